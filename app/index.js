@@ -1,7 +1,10 @@
 define([
     '../src/Widget/GuiViewer3D',
-    '../src/Core/Privite/Fn/Initializer'
-], function(GuiViewer3D, Initializer) {
+    '../src/Core/Privite/Fn/Initializer',
+    '../src/Core/Privite/Fn/getParameterByName',
+    '../src/Core/Privite/ViewerStateStore',
+    './modelPicker'
+], function(GuiViewer3D, Initializer, getParameterByName, ViewerStateStore, ModelPicker) {
     'use strict';
      //ENABLE_DEBUG = false;
     var config = {
@@ -12,11 +15,19 @@ define([
         }
     };
 
+    //Loaded when there is no model catalog, e.g. when the files are served by another server
     var path = "./model/3d.svf";
+
+    //?review=<session> follows the other browsers that opened the same session, through the relay of server.js
+    var review = getParameterByName("review");
+
     var element = document.getElementById('viewer-local');
     var viewer = new GuiViewer3D(element, config);
     //var viewer = new Autodesk.Viewing.Viewer3D(element, config);
 
+    //Saved views, markups and annotations of the picked model
+    var stateStore = viewer.stateStore = new ViewerStateStore(viewer);
+
     var options = {
         docid: path,
         env: 'Local',
@@ -27,11 +38,39 @@ define([
     Initializer(options, function () {
         //viewer.initialize();
         viewer.start();
-        viewer.load(options.docid, undefined, onLoadSuccess, onLoadError);
+
+        var loading = null;
+        var picker = new ModelPicker(element, function (model) {
+            //Only one model at a time, the previous one goes, also if it is still loading
+            if (loading)
+                loading.cancel();
+            viewer.getAllModels().forEach(function (loaded) {
+                viewer.unloadModel(loaded);
+            });
+
+            //?model=<id> opens the same model again on reload
+            if (window.history && window.history.replaceState)
+                window.history.replaceState(null, "", "?model=" + encodeURIComponent(model.id) +
+                    (review ? "&review=" + encodeURIComponent(review) : ""));
+
+            stateStore.modelId = model.id;
+            loading = viewer.loadModel(model.url, { modelName: model.name }, onLoadSuccess, onLoadError);
+        });
+
+        picker.load("/api/models", function (models) {
+            if (models.length)
+                picker.select(picker.findModel(getParameterByName("model")) || models[0]);
+        }, function () {
+            element.removeChild(picker.container);
+            viewer.load(options.docid, undefined, onLoadSuccess, onLoadError);
+        });
     });
 
     function onLoadSuccess(event) {
         console.log('success');
+
+        if (review && !viewer.liveReviewClient)
+            viewer.joinLiveReview(review, { serverUrl: window.location.protocol + "//" + window.location.host });
     }
 
     function onLoadError(event) {
@@ -0,0 +1,173 @@
+define(function() {
+    'use strict';
+
+    function formatSize(bytes) {
+        if (bytes >= 1024 * 1024)
+            return (bytes / (1024 * 1024)).toFixed(1) + " MB";
+        return Math.max(1, Math.round(bytes / 1024)) + " KB";
+    }
+
+    /**
+     * Lists the models of the catalog of the server, see server/catalog.js, to pick one to view.
+     * @constructor
+     * @param {HTMLElement} parent
+     * @param {function(Object)} onPick - called with the catalog entry of the picked model
+     */
+    function ModelPicker(parent, onPick) {
+        var self = this;
+
+        this.onPick = onPick;
+        this.models = [];
+        this.current = null;
+
+        var container = this.container = document.createElement("div");
+        container.style.position = "absolute";
+        container.style.top = "10px";
+        container.style.right = "10px";
+        container.style.width = "240px";
+        container.style.maxHeight = "60%";
+        container.style.overflowY = "auto";
+        container.style.zIndex = "10";
+        container.style.background = "rgba(34,34,34,0.9)";
+        container.style.color = "#fff";
+        container.style.font = "13px sans-serif";
+        container.style.borderRadius = "4px";
+
+        var header = document.createElement("div");
+        header.textContent = "Models";
+        header.style.padding = "6px 8px";
+        header.style.fontWeight = "bold";
+        header.style.cursor = "pointer";
+        container.appendChild(header);
+
+        this.list = document.createElement("div");
+        container.appendChild(this.list);
+
+        //The list takes room from the model, it can be folded away
+        header.addEventListener("click", function () {
+            self.list.style.display = self.list.style.display === "none" ? "" : "none";
+        });
+
+        parent.appendChild(container);
+    }
+
+    ModelPicker.prototype.constructor = ModelPicker;
+
+    /**
+     * Requests the catalog.
+     * @param {string} url - e.g. "/api/models"
+     * @param {function(Object[])} onSuccess - called with the models
+     * @param {function(number)} [onError] - called with the HTTP status, 0 if there was no response
+     */
+    ModelPicker.prototype.load = function (url, onSuccess, onError) {
+        var self = this;
+        var xhr = new XMLHttpRequest();
+        xhr.open("GET", url, true);
+        xhr.responseType = "json";
+        xhr.onload = function () {
+            if (xhr.status !== 200 || !xhr.response || !xhr.response.models) {
+                if (onError)
+                    onError(xhr.status);
+                return;
+            }
+            self.setModels(xhr.response.models);
+            onSuccess(self.models);
+        };
+        xhr.onerror = function () {
+            if (onError)
+                onError(0);
+        };
+        xhr.send();
+    };
+
+    ModelPicker.prototype.setModels = function (models) {
+        var self = this;
+        this.models = models;
+
+        var list = this.list;
+        while (list.firstChild)
+            list.removeChild(list.firstChild);
+
+        if (!models.length) {
+            var empty = document.createElement("div");
+            empty.textContent = "No models found";
+            empty.style.padding = "6px 8px";
+            list.appendChild(empty);
+            return;
+        }
+
+        models.forEach(function (model) {
+            var item = document.createElement("div");
+            item.style.display = "flex";
+            item.style.alignItems = "center";
+            item.style.padding = "4px 8px";
+            item.style.cursor = "pointer";
+            item.title = model.id;
+
+            var thumbnail = document.createElement(model.thumbnail ? "img" : "div");
+            thumbnail.style.width = "48px";
+            thumbnail.style.height = "36px";
+            thumbnail.style.marginRight = "8px";
+            thumbnail.style.flex = "none";
+            thumbnail.style.background = "#444";
+            if (model.thumbnail) {
+                thumbnail.src = model.thumbnail;
+                thumbnail.alt = "";
+                thumbnail.style.objectFit = "cover";
+            }
+            item.appendChild(thumbnail);
+
+            var text = document.createElement("div");
+            var name = document.createElement("div");
+            name.textContent = model.name;
+            var size = document.createElement("div");
+            size.textContent = formatSize(model.size);
+            size.style.opacity = "0.6";
+            text.appendChild(name);
+            text.appendChild(size);
+            item.appendChild(text);
+
+            item.addEventListener("click", function () {
+                self.select(model);
+            });
+
+            model.element = item;
+            list.appendChild(item);
+        });
+
+        this.highlight();
+    };
+
+    ModelPicker.prototype.highlight = function () {
+        var current = this.current;
+        this.models.forEach(function (model) {
+            if (model.element)
+                model.element.style.background = model === current ? "rgba(255,255,255,0.15)" : "";
+        });
+    };
+
+    /**
+     * Makes a model the current one and calls onPick, unless it is current already.
+     * @param {Object} model - an entry of the catalog
+     */
+    ModelPicker.prototype.select = function (model) {
+        if (model === this.current)
+            return;
+        this.current = model;
+        this.highlight();
+        this.onPick(model);
+    };
+
+    /**
+     * @param {string} id
+     * @returns {Object} the entry of the catalog with the id, or null
+     */
+    ModelPicker.prototype.findModel = function (id) {
+        for (var i = 0; i < this.models.length; i++)
+            if (this.models[i].id === id)
+                return this.models[i];
+        return null;
+    };
+
+    return ModelPicker;
+});
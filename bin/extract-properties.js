@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+/*
+ * Writes the object tree, the properties and the external ids of a local SVF
+ * as CSV or JSON, without a browser or WebGL.
+ *
+ *   node bin/extract-properties.js <model.svf> [options]
+ *
+ *   --out <dir>           where to write the files, default: the current directory
+ *   --format csv|json     default: csv
+ *   --shared-db <dir>     folder of a property database shared by the viewables of a document
+ *   --include-hidden      also export hidden properties
+ *   --verbose             log what the viewer code logs
+ *
+ * Writes tree.<format>, properties.<format> and externalIds.<format>.
+ * The property database is read with the same code as in the viewer, see SvfPropertyReader.
+ */
+var fs = require('fs');
+var path = require('path');
+var viewerModules = require('./viewer-modules');
+
+function usage(message) {
+    if (message)
+        console.error(message);
+    console.error("Usage: node bin/extract-properties.js <model.svf> [--out <dir>] [--format csv|json] " +
+                  "[--shared-db <dir>] [--include-hidden] [--verbose]");
+    process.exit(1);
+}
+
+function parseArgs(argv) {
+    var args = { out: '.', format: 'csv', sharedDb: null, includeHidden: false, verbose: false, input: null };
+
+    for (var i = 0; i < argv.length; i++) {
+        var arg = argv[i];
+        switch (arg) {
+            case '--out': args.out = argv[++i]; break;
+            case '--format': args.format = (argv[++i] || '').toLowerCase(); break;
+            case '--shared-db': args.sharedDb = argv[++i]; break;
+            case '--include-hidden': args.includeHidden = true; break;
+            case '--verbose': args.verbose = true; break;
+            case '--help': usage(); break;
+            default:
+                if (arg.charAt(0) === '-' || args.input)
+                    usage("Unexpected argument: " + arg);
+                args.input = arg;
+        }
+    }
+
+    if (!args.input)
+        usage("No SVF given.");
+    if (args.format !== 'csv' && args.format !== 'json')
+        usage("Unsupported format: " + args.format);
+    if (!args.out || args.sharedDb === undefined)
+        usage("Missing option value.");
+
+    return args;
+}
+
+function writeBlob(file, blob, callback) {
+    blob.arrayBuffer().then(function (buffer) {
+        fs.writeFile(file, Buffer.from(buffer), callback);
+    }, callback);
+}
+
+function fail(error) {
+    var msg = (error && (error.msg || error.message)) || String(error);
+    if (error && error.args && error.args.url)
+        msg += " (" + error.args.url + ")";
+    console.error("Extraction failed: " + msg);
+    process.exit(1);
+}
+
+var args = parseArgs(process.argv.slice(2));
+
+viewerModules([
+    'Core/Logger',
+    'Core/LogLevels',
+    'Core/Privite/SvfPropertyReader'
+], function (Logger, LogLevels, SvfPropertyReader) {
+
+    if (args.verbose)
+        Logger.setLevel(LogLevels.LOG);
+
+    var reader = new SvfPropertyReader(viewerModules.toViewerPath(args.input), {
+        sharedPropertyDbPath: args.sharedDb ? viewerModules.toViewerPath(args.sharedDb) + '/' : undefined
+    });
+
+    var ext = '.' + args.format;
+    var outFile = function (name) { return path.join(args.out, name + ext); };
+
+    reader.open(function () {
+        fs.mkdirSync(args.out, { recursive: true });
+
+        writeBlob(outFile('tree'), reader.exportTree(args.format), function (error) {
+            if (error)
+                fail(error);
+
+            var options = { format: args.format, includeHidden: args.includeHidden };
+            reader.exportProperties(options, function (properties) {
+                writeBlob(outFile('properties'), properties, function (error) {
+                    if (error)
+                        fail(error);
+
+                    reader.exportExternalIds(args.format, function (externalIds) {
+                        writeBlob(outFile('externalIds'), externalIds, function (error) {
+                            if (error)
+                                fail(error);
+
+                            reader.close();
+                            console.log("Wrote " + ['tree', 'properties', 'externalIds'].map(outFile).join(", "));
+                        });
+                    }, fail);
+                });
+            }, fail);
+        });
+    }, fail);
+});
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+/*
+ * Loads a local SVF with all its geometry, without a browser or WebGL, and writes
+ * a JSON report of statistics and checks, see SvfValidator.
+ *
+ *   node bin/validate-model.js <model.svf> [options]
+ *
+ *   --out <file>          write the report to a file instead of the standard output
+ *   --shared-db <dir>     folder of a property database shared by the viewables of a document
+ *   --verbose             log what the viewer code logs
+ *
+ * Exits with 1 if any check reports an error, warnings do not change the exit code.
+ */
+var fs = require('fs');
+var viewerModules = require('./viewer-modules');
+
+function usage(message) {
+    if (message)
+        console.error(message);
+    console.error("Usage: node bin/validate-model.js <model.svf> [--out <file>] [--shared-db <dir>] [--verbose]");
+    process.exit(1);
+}
+
+function parseArgs(argv) {
+    var args = { out: null, sharedDb: null, verbose: false, input: null };
+
+    for (var i = 0; i < argv.length; i++) {
+        var arg = argv[i];
+        switch (arg) {
+            case '--out': args.out = argv[++i]; break;
+            case '--shared-db': args.sharedDb = argv[++i]; break;
+            case '--verbose': args.verbose = true; break;
+            case '--help': usage(); break;
+            default:
+                if (arg.charAt(0) === '-' || args.input)
+                    usage("Unexpected argument: " + arg);
+                args.input = arg;
+        }
+    }
+
+    if (!args.input)
+        usage("No SVF given.");
+    if (args.out === undefined || args.sharedDb === undefined)
+        usage("Missing option value.");
+
+    return args;
+}
+
+var args = parseArgs(process.argv.slice(2));
+
+function finish(report) {
+    var json = JSON.stringify(report, null, 2) + "\n";
+    if (args.out)
+        fs.writeFileSync(args.out, json);
+    else
+        process.stdout.write(json);
+
+    if (!report.valid)
+        console.error(report.errors.length + " error(s), " + report.warnings.length + " warning(s).");
+
+    process.exitCode = report.valid ? 0 : 1;
+}
+
+viewerModules([
+    'Core/Logger',
+    'Core/LogLevels',
+    'Core/Privite/SvfPropertyReader',
+    'Core/Privite/SvfValidator'
+], function (Logger, LogLevels, SvfPropertyReader, SvfValidator) {
+
+    if (args.verbose)
+        Logger.setLevel(LogLevels.LOG);
+
+    var file = viewerModules.toViewerPath(args.input);
+    var reader = new SvfPropertyReader(file, {
+        sharedPropertyDbPath: args.sharedDb ? viewerModules.toViewerPath(args.sharedDb) + '/' : undefined
+    });
+
+    var validate = function () {
+        new SvfValidator(reader).validate(function (report) {
+            reader.close();
+            finish(report);
+        });
+    };
+
+    //Without an object tree there is still geometry to check, SvfValidator reports the tree missing
+    reader.open(validate, function (error) {
+        if (!reader.svf) {
+            finish({
+                file: file,
+                valid: false,
+                errors: [{ check: "open", msg: (error && error.msg) || "The model could not be read", details: error && error.args }],
+                warnings: []
+            });
+            return;
+        }
+        validate();
+    });
+});
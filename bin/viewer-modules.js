@@ -0,0 +1,37 @@
+/*
+ * Loads modules of the viewer in Node.js, for the command line tools in this folder.
+ * The modules are AMD modules, they are loaded with RequireJS.
+ */
+var path = require('path');
+var requirejs = require('requirejs');
+
+var ROOT = path.resolve(__dirname, '..');
+
+requirejs.config({
+    baseUrl: path.join(ROOT, 'src'),
+    nodeRequire: require
+});
+
+/**
+ * @param {string[]} modules - module ids relative to src, e.g. 'Core/Logger'
+ * @param {function} callback - called with the modules
+ */
+module.exports = function (modules, callback) {
+
+    //Polyfill sets the globals the rest of the code reads
+    requirejs(['Core/Polyfill'], function () {
+
+        //The worker script is read from the root of the repository, see createWorker
+        global.LMV_RESOURCE_ROOT = ROOT + '/';
+
+        requirejs(modules, callback);
+    });
+};
+
+/**
+ * Turns a path given on the command line into one the viewer code can use.
+ * The viewer and the worker look for the files next to an SVF after the last forward slash.
+ */
+module.exports.toViewerPath = function (file) {
+    return path.resolve(file).split(path.sep).join('/');
+};
@@ -1,10 +1,68 @@
+var path = require( 'path' );
 var express = require( 'express' );
+var catalog = require( './server/catalog' );
+var modelFiles = require( './server/modelFiles' );
+var documents = require( './server/documents' );
+var liveReview = require( './server/liveReview' );
+
+var PORT = process.env.PORT || 4000;
+
+// Where the models are, served under /model
+var MODELS_DIR = path.resolve( process.env.MODELS_DIR || './model' );
+var MODELS_URL = '/model';
+
+// Saved views, markups and annotations of the models
+var DATA_DIR = path.resolve( process.env.DATA_DIR || './data' );
+
 var app = express();
 
-app.use( express.static( './' ) );
+// The models in the models directory, for the model picker of the app
+app.get( '/api/models', function ( req, res ) {
+
+	catalog.scan( MODELS_DIR, MODELS_URL, function ( error, models ) {
+
+		if ( error && error.code !== 'ENOENT' ) {
+			console.error( 'Model catalog: ' + error.message );
+			res.status( 500 ).json( { error: 'The models directory could not be read' } );
+			return;
+		}
+
+		res.set( 'Cache-Control', 'no-cache' );
+		res.json( { models: models || [] } );
+
+	} );
+
+} );
 
-app.listen( 4000, function () {
+app.use( '/api/models', documents( DATA_DIR, {
+	hasModel: function ( id, callback ) {
+		catalog.has( MODELS_DIR, id, callback );
+	}
+} ) );
+
+app.use( MODELS_URL, modelFiles( MODELS_DIR ) );
+
+// The documents are only for the API, not for the static files
+var STATIC_DIR = path.resolve( './' );
+var dataPath = path.relative( STATIC_DIR, DATA_DIR );
+if ( dataPath && dataPath.split( path.sep )[ 0 ] !== '..' && !path.isAbsolute( dataPath ) ) {
+
+	app.use( '/' + dataPath.split( path.sep ).map( encodeURIComponent ).join( '/' ), function ( req, res ) {
+
+		res.status( 404 ).end();
+
+	} );
+
+}
+
+app.use( express.static( STATIC_DIR ) );
+
+var server = app.listen( PORT, function () {
 
 	console.log( 'qidong' );
+	console.log( 'Models from ' + MODELS_DIR + ' at http://localhost:' + PORT + MODELS_URL );
 
 } );
+
+// Live review between the browsers that open this server, see Viewer3D.joinLiveReview
+liveReview( server );
@@ -0,0 +1,167 @@
+/*
+ * The model catalog: finds the SVF models in the models directory.
+ *
+ * Each SVF file is a model. Models in a folder of their own are named after the folder,
+ * their size is the size of the folder, since the SVF refers to the files next to it.
+ * A thumbnail is an image named thumbnail*.png or thumbnail*.jpg next to the SVF
+ * or in one of the folders above it, up to the folder of the model.
+ */
+var fs = require('fs');
+var path = require('path');
+
+//Translated models are nested a few levels deep, e.g. output/Resource/3D View/{3D}/{3D}.svf
+var MAX_DEPTH = 8;
+
+var THUMBNAIL = /^thumbnail.*\.(png|jpe?g)$/i;
+
+//Lists the files below a directory, calls callback(error, [{ path, size, mtime }])
+function walk(dir, depth, callback) {
+    fs.readdir(dir, { withFileTypes: true }, function (error, entries) {
+        if (error)
+            return callback(error);
+
+        var files = [];
+        var pending = entries.length;
+        if (!pending)
+            return callback(null, files);
+
+        function done(error) {
+            if (error)
+                console.warn("Model catalog: " + error.message);
+            if (--pending === 0)
+                callback(null, files);
+        }
+
+        entries.forEach(function (entry) {
+            var file = path.join(dir, entry.name);
+
+            if (entry.isDirectory()) {
+                if (depth >= MAX_DEPTH)
+                    return done();
+                walk(file, depth + 1, function (error, below) {
+                    if (below)
+                        files.push.apply(files, below);
+                    done(error);
+                });
+            } else if (entry.isFile()) {
+                fs.stat(file, function (error, stat) {
+                    if (stat)
+                        files.push({ path: file, size: stat.size, mtime: stat.mtime });
+                    done(error);
+                });
+            } else {
+                done();
+            }
+        });
+    });
+}
+
+function toUrl(baseUrl, root, file) {
+    return baseUrl + '/' + path.relative(root, file).split(path.sep).map(encodeURIComponent).join('/');
+}
+
+/**
+ * Scans the models directory.
+ * @param {string} root - the models directory
+ * @param {string} baseUrl - where the models directory is served, e.g. '/model'
+ * @param {function(Error, Object[])} callback - called with the models, each with
+ * id, name, url, size (bytes), modified (ISO date) and thumbnail (url or null), sorted by name
+ */
+exports.scan = function (root, baseUrl, callback) {
+    walk(root, 0, function (error, files) {
+        if (error)
+            return callback(error);
+
+        var svfs = files.filter(function (file) {
+            return path.extname(file.path).toLowerCase() === '.svf';
+        });
+
+        //Models are grouped by the first folder below the models directory
+        function topFolder(file) {
+            var parts = path.relative(root, file).split(path.sep);
+            return parts.length > 1 ? parts[0] : null;
+        }
+
+        var perFolder = {};
+        svfs.forEach(function (svf) {
+            var folder = topFolder(svf.path);
+            if (folder)
+                perFolder[folder] = (perFolder[folder] || 0) + 1;
+        });
+
+        var models = svfs.map(function (svf) {
+            var folder = topFolder(svf.path);
+            var base = path.basename(svf.path, path.extname(svf.path));
+            var name = !folder ? base : (perFolder[folder] > 1 ? folder + ' - ' + base : folder);
+
+            var size = svf.size;
+            var modified = svf.mtime;
+            if (folder) {
+                var folderPath = path.join(root, folder) + path.sep;
+                size = 0;
+                files.forEach(function (file) {
+                    if (file.path.indexOf(folderPath) === 0) {
+                        size += file.size;
+                        if (file.mtime > modified)
+                            modified = file.mtime;
+                    }
+                });
+            }
+
+            //Closest thumbnail first
+            var thumbnail = null;
+            var stop = folder ? path.join(root, folder) : root;
+            for (var dir = path.dirname(svf.path); !thumbnail; dir = path.dirname(dir)) {
+                for (var i = 0; i < files.length; i++) {
+                    if (path.dirname(files[i].path) === dir && THUMBNAIL.test(path.basename(files[i].path))) {
+                        thumbnail = toUrl(baseUrl, root, files[i].path);
+                        break;
+                    }
+                }
+                if (dir === stop || dir === path.dirname(dir))
+                    break;
+            }
+
+            return {
+                id: path.relative(root, svf.path).split(path.sep).join('/'),
+                name: name,
+                url: toUrl(baseUrl, root, svf.path),
+                size: size,
+                modified: modified.toISOString(),
+                thumbnail: thumbnail
+            };
+        });
+
+        models.sort(function (a, b) {
+            return a.name.localeCompare(b.name);
+        });
+
+        callback(null, models);
+    });
+};
+
+/**
+ * Tells if a model id is a model of the catalog, without scanning the whole directory.
+ * @param {string} root - the models directory
+ * @param {string} id - a model id, as returned by scan
+ * @param {function(Error, boolean)} callback
+ */
+exports.has = function (root, id, callback) {
+    var parts = typeof id === 'string' ? id.split('/') : [];
+
+    //scan only goes MAX_DEPTH folders deep and ids are relative paths without '..'
+    var valid = parts.length > 0 && parts.length <= MAX_DEPTH + 1 &&
+        path.extname(id).toLowerCase() === '.svf' &&
+        parts.every(function (part) {
+            return part && part !== '.' && part !== '..' && part.indexOf('\\') === -1;
+        });
+
+    if (!valid)
+        return callback(null, false);
+
+    fs.stat(path.join(root, parts.join(path.sep)), function (error, stat) {
+        if (error && error.code !== 'ENOENT' && error.code !== 'ENOTDIR')
+            return callback(error);
+        callback(null, !error && stat.isFile());
+    });
+};
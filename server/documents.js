@@ -0,0 +1,247 @@
+/*
+ * Named JSON documents of a model, e.g. saved views, markups and annotations,
+ * stored on the local disk, one file per document:
+ *
+ *   <data directory>/<model id>/<document id>.json
+ *
+ * The model id is the id of the model catalog, see catalog.js. A document is
+ *
+ *   { id, model, type, name, data, created, modified }
+ *
+ * where data is whatever the client saved, e.g. a viewer state, see ViewerStateStore.
+ */
+var fs = require('fs');
+var path = require('path');
+var crypto = require('crypto');
+var express = require('express');
+
+var TYPES = ['view', 'markup', 'annotation'];
+
+var ID = /^[0-9a-f]{16}$/;
+
+//A viewer state with markups can get large, but not that large
+var MAX_SIZE = '5mb';
+
+//Model ids are paths, the folder of their documents is one path component
+function modelFolder(dataDir, model) {
+    return path.join(dataDir, encodeURIComponent(model).replace(/\./g, '%2E'));
+}
+
+function summary(doc) {
+    return {
+        id: doc.id,
+        model: doc.model,
+        type: doc.type,
+        name: doc.name,
+        created: doc.created,
+        modified: doc.modified
+    };
+}
+
+//Returns why a document cannot be saved, or null. Only the fields given are checked for updates.
+function invalid(body, update) {
+    if (!body || typeof body !== 'object' || Array.isArray(body))
+        return 'A JSON object is expected';
+    if ((!update || body.type !== undefined) && TYPES.indexOf(body.type) === -1)
+        return 'type must be one of ' + TYPES.join(', ');
+    if ((!update || body.name !== undefined) && (typeof body.name !== 'string' || !body.name.trim()))
+        return 'name must be a non-empty string';
+    if (!update && body.data === undefined)
+        return 'data is missing';
+    return null;
+}
+
+function readDocument(file, callback) {
+    fs.readFile(file, 'utf8', function (error, text) {
+        if (error)
+            return callback(error);
+        try {
+            callback(null, JSON.parse(text));
+        } catch (e) {
+            callback(e);
+        }
+    });
+}
+
+//Written next to the document first, so that a failed write does not leave half a document
+function writeDocument(file, doc, callback) {
+    var temp = file + '.' + process.pid + '.tmp';
+    fs.mkdir(path.dirname(file), { recursive: true }, function (error) {
+        if (error)
+            return callback(error);
+        fs.writeFile(temp, JSON.stringify(doc), function (error) {
+            if (error)
+                return callback(error);
+            fs.rename(temp, file, callback);
+        });
+    });
+}
+
+/**
+ * The REST API of the documents, to mount under /api/models:
+ *
+ *   GET    /:model/documents[?type=view]   the documents of a model, without their data
+ *   POST   /:model/documents               creates a document from { type, name, data }
+ *   GET    /:model/documents/:id           a document with its data
+ *   PUT    /:model/documents/:id           changes the name, type or data of a document
+ *   DELETE /:model/documents/:id           deletes a document
+ *
+ * The model id is given URI encoded, as one path component.
+ * @param {string} dataDir - where the documents are stored
+ * @param {Object} [options]
+ * @param {function(string, function(Error, boolean))} [options.hasModel] - tells if a model id is known,
+ * documents of other ids are answered with 404, e.g. catalog.has
+ */
+module.exports = function (dataDir, options) {
+    options = options || {};
+    dataDir = path.resolve(dataDir);
+
+    var router = express.Router();
+
+    function fail(res, error) {
+        console.error('Documents: ' + error.message);
+        res.status(500).json({ error: 'The documents could not be accessed' });
+    }
+
+    function documentFile(req) {
+        return path.join(modelFolder(dataDir, req.params.model), req.params.id + '.json');
+    }
+
+    router.use(express.json({ limit: MAX_SIZE }));
+
+    //No folders for models that are not there
+    router.param('model', function (req, res, next, model) {
+        if (!options.hasModel)
+            return next();
+
+        options.hasModel(model, function (error, exists) {
+            if (error)
+                return fail(res, error);
+            if (!exists)
+                return res.status(404).json({ error: 'No such model' });
+            next();
+        });
+    });
+
+    router.param('id', function (req, res, next, id) {
+        if (!ID.test(id))
+            return res.status(404).json({ error: 'No such document' });
+        next();
+    });
+
+    router.get('/:model/documents', function (req, res) {
+        var folder = modelFolder(dataDir, req.params.model);
+        var type = req.query.type;
+
+        fs.readdir(folder, function (error, names) {
+            if (error && error.code !== 'ENOENT')
+                return fail(res, error);
+
+            var files = (names || []).filter(function (name) {
+                return ID.test(path.basename(name, '.json')) && path.extname(name) === '.json';
+            });
+
+            var docs = [];
+            var pending = files.length;
+
+            function done() {
+                docs.sort(function (a, b) {
+                    return a.created < b.created ? -1 : (a.created > b.created ? 1 : 0);
+                });
+                res.set('Cache-Control', 'no-cache');
+                res.json({ documents: docs });
+            }
+
+            if (!pending)
+                return done();
+
+            files.forEach(function (name) {
+                readDocument(path.join(folder, name), function (error, doc) {
+                    //Deleted meanwhile, or not ours
+                    if (error)
+                        console.warn('Documents: ' + name + ': ' + error.message);
+                    else if (!type || doc.type === type)
+                        docs.push(summary(doc));
+                    if (--pending === 0)
+                        done();
+                });
+            });
+        });
+    });
+
+    router.post('/:model/documents', function (req, res) {
+        var message = invalid(req.body, false);
+        if (message)
+            return res.status(400).json({ error: message });
+
+        var now = new Date().toISOString();
+        var doc = {
+            id: crypto.randomBytes(8).toString('hex'),
+            model: req.params.model,
+            type: req.body.type,
+            name: req.body.name.trim(),
+            data: req.body.data,
+            created: now,
+            modified: now
+        };
+
+        writeDocument(path.join(modelFolder(dataDir, doc.model), doc.id + '.json'), doc, function (error) {
+            if (error)
+                return fail(res, error);
+            res.status(201)
+                .location(req.baseUrl + '/' + encodeURIComponent(doc.model) + '/documents/' + doc.id)
+                .json(doc);
+        });
+    });
+
+    router.get('/:model/documents/:id', function (req, res) {
+        readDocument(documentFile(req), function (error, doc) {
+            if (error && error.code === 'ENOENT')
+                return res.status(404).json({ error: 'No such document' });
+            if (error)
+                return fail(res, error);
+            res.set('Cache-Control', 'no-cache');
+            res.json(doc);
+        });
+    });
+
+    router.put('/:model/documents/:id', function (req, res) {
+        var message = invalid(req.body, true);
+        if (message)
+            return res.status(400).json({ error: message });
+
+        var file = documentFile(req);
+        readDocument(file, function (error, doc) {
+            if (error && error.code === 'ENOENT')
+                return res.status(404).json({ error: 'No such document' });
+            if (error)
+                return fail(res, error);
+
+            if (req.body.type !== undefined)
+                doc.type = req.body.type;
+            if (req.body.name !== undefined)
+                doc.name = req.body.name.trim();
+            if (req.body.data !== undefined)
+                doc.data = req.body.data;
+            doc.modified = new Date().toISOString();
+
+            writeDocument(file, doc, function (error) {
+                if (error)
+                    return fail(res, error);
+                res.json(doc);
+            });
+        });
+    });
+
+    router.delete('/:model/documents/:id', function (req, res) {
+        fs.unlink(documentFile(req), function (error) {
+            if (error && error.code === 'ENOENT')
+                return res.status(404).json({ error: 'No such document' });
+            if (error)
+                return fail(res, error);
+            res.status(204).end();
+        });
+    });
+
+    return router;
+};
@@ -0,0 +1,125 @@
+/*
+ * Live review relay: the socket.io server that MessageClient talks to, so that viewers
+ * on other machines can follow the camera, pointer and state of each other, see
+ * ViewTransceiver and Viewer3D.joinLiveReview.
+ *
+ * Everything goes through the "message" event, in both directions, as { type, ... }:
+ *
+ * - on connect the client gets { type: "sessionId", id }, its id on this server
+ * - emitting "join" with { roomId, name } subscribes to a channel. The client gets
+ *   { type: "joinok", roomId, users } with the other users of the channel, the others
+ *   get { type: "joined", roomId, user }
+ * - a message with a roomId goes to everyone else in the channel, the sender does not
+ *   have to be in it. "txt" messages starting with "/nick " rename the sender.
+ * - a message of type "private" goes to the user with the id of its target
+ * - when a client disconnects, the users of its channels get { type: "left", roomId, user }
+ *
+ * socket.io 2 also serves the client script, at <path>/socket.io.js.
+ */
+var socketIo = require('socket.io');
+
+//States are a few KB, the limit only keeps out junk
+var MAX_MESSAGE_SIZE = 1e6;
+
+//Channels are socket.io rooms, prefixed so that they cannot be the id of a client
+var ROOM_PREFIX = 'review:';
+
+function user(member) {
+    return { id: member.id, name: member.name, status: member.status };
+}
+
+/**
+ * Attaches the relay to an HTTP server.
+ * @param {http.Server} httpServer
+ * @param {Object} [options]
+ * @param {string} [options.path='/socket.io'] - the path of socket.io, as given to MessageClient
+ * @returns {Object} the socket.io server
+ */
+module.exports = function (httpServer, options) {
+    options = options || {};
+
+    var io = socketIo(httpServer, {
+        path: options.path || '/socket.io',
+        maxHttpBufferSize: MAX_MESSAGE_SIZE
+    });
+
+    //roomId -> { client id -> { id, name, status } }
+    var channels = {};
+
+    io.on('connection', function (socket) {
+        var joined = {};
+
+        socket.emit('message', { type: 'sessionId', id: socket.id });
+
+        socket.on('join', function (data) {
+            var roomId = data && data.roomId;
+            if (typeof roomId !== 'string' || !roomId) {
+                socket.emit('message', { type: 'join_error', roomId: roomId, msg: 'A roomId is required' });
+                return;
+            }
+
+            var members = channels[roomId] || (channels[roomId] = {});
+            var others = Object.keys(members).filter(function (id) {
+                return id !== socket.id;
+            }).map(function (id) {
+                return user(members[id]);
+            });
+
+            var isNew = !members[socket.id];
+            if (isNew) {
+                members[socket.id] = {
+                    id: socket.id,
+                    name: typeof data.name === 'string' ? data.name : '',
+                    status: 0
+                };
+                joined[roomId] = true;
+                socket.join(ROOM_PREFIX + roomId);
+            }
+
+            socket.emit('message', { type: 'joinok', roomId: roomId, users: others });
+
+            if (isNew)
+                socket.to(ROOM_PREFIX + roomId).emit('message', { type: 'joined', roomId: roomId, user: user(members[socket.id]) });
+        });
+
+        socket.on('message', function (evt) {
+            if (!evt || typeof evt.type !== 'string')
+                return;
+
+            //The sender is who sent it, whatever it says
+            var relayed = { type: evt.type, from: socket.id, msg: evt.msg };
+
+            if (evt.type === 'private') {
+                if (typeof evt.target === 'string' && io.sockets.connected[evt.target])
+                    io.to(evt.target).emit('message', relayed);
+                return;
+            }
+
+            if (typeof evt.roomId !== 'string' || !evt.roomId)
+                return;
+            relayed.roomId = evt.roomId;
+
+            var member = channels[evt.roomId] && channels[evt.roomId][socket.id];
+            if (evt.type === 'txt' && member && typeof evt.msg === 'string' && evt.msg.indexOf('/nick ') === 0)
+                member.name = evt.msg.slice(6);
+
+            socket.to(ROOM_PREFIX + evt.roomId).emit('message', relayed);
+        });
+
+        socket.on('disconnect', function () {
+            Object.keys(joined).forEach(function (roomId) {
+                var members = channels[roomId];
+                if (!members)
+                    return;
+
+                delete members[socket.id];
+                if (!Object.keys(members).length)
+                    delete channels[roomId];
+
+                io.to(ROOM_PREFIX + roomId).emit('message', { type: 'left', roomId: roomId, room: roomId, user: socket.id });
+            });
+        });
+    });
+
+    return io;
+};
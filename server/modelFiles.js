@@ -0,0 +1,70 @@
+/*
+ * Serves the files of the models.
+ *
+ * - Range requests, so that large files can be read in parts.
+ * - Pre-compressed files: if foo.pf.gz exists next to foo.pf and the client accepts gzip,
+ *   foo.pf.gz is sent with Content-Encoding: gzip, except for range requests. Files named *.gz, like the property
+ *   database of an SVF, are sent with Content-Encoding: gzip too, so that the browser
+ *   decompresses them instead of the viewer, see ViewingService.
+ * - ETag, Last-Modified and Cache-Control, so that unchanged files are not downloaded again.
+ */
+var fs = require('fs');
+var path = require('path');
+var express = require('express');
+
+var GZ = /\.gz$/i;
+
+/**
+ * @param {string} root - the models directory
+ * @param {Object} [options]
+ * @param {string|number} [options.maxAge='1h'] - how long clients may use files without asking again
+ */
+module.exports = function (root, options) {
+    options = options || {};
+    root = path.resolve(root);
+
+    var serve = express.static(root, {
+        acceptRanges: true,
+        etag: true,
+        lastModified: true,
+        index: false,
+        maxAge: options.maxAge !== undefined ? options.maxAge : '1h',
+        setHeaders: function (res, file) {
+            if (!GZ.test(file))
+                return;
+
+            res.setHeader('Content-Encoding', 'gzip');
+            res.setHeader('Vary', 'Accept-Encoding');
+            //The type of what is inside, not application/gzip
+            res.type(path.basename(file).replace(GZ, '') || 'application/octet-stream');
+        }
+    });
+
+    return function (req, res, next) {
+        if (req.method !== 'GET' && req.method !== 'HEAD')
+            return next();
+
+        //The response differs with the Accept-Encoding header, caches need to know
+        res.setHeader('Vary', 'Accept-Encoding');
+
+        var relative;
+        try {
+            relative = decodeURIComponent(req.path);
+        } catch (e) {
+            return next();
+        }
+
+        //A range of the compressed file cannot be decoded, ranges are cut from the file itself
+        var file = path.join(root, path.normalize(relative));
+        if (file.indexOf(root + path.sep) !== 0 || GZ.test(file) || req.headers.range || !req.acceptsEncodings('gzip'))
+            return serve(req, res, next);
+
+        fs.stat(file + '.gz', function (error, stat) {
+            if (!error && stat.isFile()) {
+                var query = req.url.indexOf('?');
+                req.url = req.path + '.gz' + (query !== -1 ? req.url.substr(query) : '');
+            }
+            serve(req, res, next);
+        });
+    };
+};
@@ -2,6 +2,11 @@ define(function() {
     'use strict'
     var isBrowser = (typeof navigator !== "undefined");
 
+    // Node.js, as opposed to a browser or a web worker. Checked by the loaders that read
+    // files from disk instead of over the network, see ViewingService.
+    var isNodeJS = (typeof window === "undefined") && (typeof process !== "undefined") &&
+                   !!(process.versions && process.versions.node);
+
     var isIE11 = isBrowser && !!navigator.userAgent.match(/Trident\/7\./);
 
     var isTouchDevice = function () {
@@ -12,7 +17,6 @@ define(function() {
             return false;
         }
         */
-        console.log(1);
         return (typeof window !== "undefined" && "ontouchstart" in window);
     }();
 
@@ -65,6 +69,7 @@ define(function() {
 
     return {
         isBrowser: isBrowser,
+        isNodeJS: isNodeJS,
         isIE11: isIE11,
         isTouchDevice: isTouchDevice,
         isIOSDevice: isIOSDevice,
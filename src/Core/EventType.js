@@ -15,6 +15,9 @@ define(function() {;
         OBJECT_TREE_CREATED_EVENT: 'propertyDbLoaded',
         OBJECT_TREE_UNAVAILABLE_EVENT: 'propertyDbUnavailable',
         MODEL_UNLOADED_EVENT: 'modelUnloaded',
+        MODEL_ADDED_EVENT: 'modelAdded',
+        MODEL_VISIBILITY_CHANGED_EVENT: 'modelVisibility',
+        MODEL_DIFF_CHANGED_EVENT: 'modelDiff',
         EXTENSION_LOADED_EVENT: 'extensionLoaded',
         EXTENSION_UNLOADED_EVENT: 'extensionUnloaded',
     
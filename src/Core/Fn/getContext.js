@@ -5,7 +5,7 @@ define(function() {;
             ? window
             : (typeof self !== "undefined" && self !== null)
                 ? self
-                : GLOBAL;
+                : global;
     }
 
     return getContext;
@@ -4,6 +4,8 @@ define(['./DeviceType', './Privite/Global'], function(DeviceType, Privite_Global
     return {
         HTTP_REQUEST_HEADERS: {},
 
+        isNodeJS: DeviceType.isNodeJS,
+
         TOOLBAR_CREATED_EVENT: 'toolbarCreated',
         SIDE_BAR_OPEN_EVENT: 'SIDE_BAR_OPEN_EVENT',
         TOOLBAR: {
@@ -1,8 +1,14 @@
 define([
     './Polyfill',
     './Privite/SvfLoader',
+    './Privite/GltfLoader',
+    './Privite/ObjLoader',
+    './Privite/StlLoader',
+    './Privite/PointCloudLoader',
+    './Privite/DxfLoader',
+    './Privite/SvgLoader',
     '../Extension/ExtensionRegister'
-], function(Polyfill, SvfLoader, ExtensionRegister) {
+], function(Polyfill, SvfLoader, GltfLoader, ObjLoader, StlLoader, PointCloudLoader, DxfLoader, SvgLoader, ExtensionRegister) {
     'use strict';
     console.log('初始化完成')
 });
\ No newline at end of file
@@ -1,8 +1,9 @@
 define([
     './ModelUnits',
     './EventDispatcher',
-    './Logger'
-], function(ModelUnits, EventDispatcher, Logger) {
+    './Logger',
+    './Privite/PropertyAggregator'
+], function(ModelUnits, EventDispatcher, Logger, PropertyAggregator) {
     'use strict';
 
     /**
@@ -80,6 +81,18 @@ define([
     };
 
 
+    /**
+     * Returns the transform that places the model in the scene, see Viewer3D.setPlacementTransform.
+     * @returns {THREE.Matrix4} identity if the model was not moved
+     */
+    Model.prototype.getPlacementTransform = function () {
+        var placement = new THREE.Matrix4();
+        if (this.myData && this.myData.placementTransform)
+            placement.copy(this.myData.placementTransform);
+        return placement;
+    };
+
+
     /**
      * Returns the scale factor of model's distance unit to meters.
      *
@@ -464,9 +477,105 @@ define([
         } else {
             this.getObjectTree(function () {
                 self.myData.propWorker.searchProperties(text, attributeNames, onSuccessCallback, onErrorCallback);
-            });
+            }, onErrorCallback);
+        }
+
+    };
+
+
+    /**
+     * Finds objects by conditions on their properties. Unlike search, which matches text anywhere in
+     * the property values, a query tests named properties and can compare numbers across units:
+     *
+     *     model.query({ and: [{ attr: "Category", eq: "Walls" }, { attr: "Area", gt: 10, units: "m^2" }] }, ...)
+     *
+     * Conditions have an attr (attribute or display name), an optional category and the tests
+     * eq, ne, gt, gte, lt, lte, regex (a RegExp, or a string with optional flags) and exists.
+     * Conditions combine with { and: [...] }, { or: [...] } and { not: query }.
+     * A numeric test with units converts lengths, areas and volumes to those units, values in units
+     * that do not convert to them do not match.
+     *
+     *  @param {Object} query
+     *  @param {function(int[])} onSuccessCallback - called with the ids of the matching objects, which
+     *                                               can be passed to isolate, select or setThemingColor.
+     *  @param {function} onErrorCallback - called if the query is malformed or the property db is not available.
+     *  @param {int[]} [dbIds] - restricts the query to these objects
+     */
+    Model.prototype.query = function (query, onSuccessCallback, onErrorCallback, dbIds) {
+        var self = this;
+        if (!this.myData || !this.myData.propWorker) {
+            if (onErrorCallback)
+                onErrorCallback();
+        } else if (this.isLoadDone()) {
+            this.myData.propWorker.query(query, dbIds || null, onSuccessCallback, onErrorCallback);
+        } else {
+            this.getObjectTree(function () {
+                self.myData.propWorker.query(query, dbIds || null, onSuccessCallback, onErrorCallback);
+            }, onErrorCallback);
+        }
+    };
+
+    /**
+     * Quantity take-off. Groups objects by a property and returns per group the count, and the sum,
+     * minimum and maximum of a numeric property, e.g. the volume per material:
+     *
+     *     model.aggregate({ groupBy: "Material", value: "Volume", units: "m^3" }, function (result) { ... });
+     *
+     * Numeric values are converted to common units before they are added up, values in units that
+     * do not convert are left out and counted in skipped.
+     *
+     *  @param {Object} options
+     *  @param {string} [options.groupBy] - attribute or display name to group by. One group if omitted.
+     *  @param {string} [options.value] - attribute or display name of the quantity. Only counts if omitted.
+     *  @param {string} [options.units] - units of the sums, like "m^3". The units of the first value by default.
+     *  @param {int[]} [options.dbIds] - objects to aggregate. By default the leaf nodes of the object tree.
+     *  @param {function(int, int)} [options.onProgress] - called with the number of objects done and the total
+     *  @param {function(Object)} onSuccessCallback - called with { groupBy, value, units, groups, total, skipped }.
+     *                                               Each group has key, dbIds, count, valueCount, sum, min and max.
+     *  @param {function} onErrorCallback - called when the property db cannot be read.
+     */
+    Model.prototype.aggregate = function (options, onSuccessCallback, onErrorCallback) {
+        var self = this;
+        options = options || {};
+
+        if (!this.myData || !this.myData.propWorker) {
+            if (onErrorCallback)
+                onErrorCallback();
+            return;
+        }
+
+        var propDb = this.myData.propWorker;
+        if (options.dbIds) {
+            PropertyAggregator.aggregate(propDb, options.dbIds, options, onSuccessCallback, onErrorCallback);
+            return;
+        }
+
+        var onObjectsKnown = function () {
+            var dbIds = PropertyAggregator.getTakeOffIds(self.myData);
+            if (dbIds)
+                PropertyAggregator.aggregate(propDb, dbIds, options, onSuccessCallback, onErrorCallback);
+            else if (onErrorCallback)
+                onErrorCallback();
+        };
+        this.getObjectTree(onObjectsKnown, onObjectsKnown);
+    };
+
+    /**
+     * Exports properties of objects as a table, for schedules and spreadsheets.
+     *
+     *  @param {int[]?} dbIds - objects to export, one row each. Use null for all objects.
+     *  @param {Object} [options] - format ("csv" or "json"), columns etc., see Viewer3D.exportProperties.
+     *  @param {function(Blob)} onSuccessCallback - called with the exported file.
+     *  @param {function} onErrorCallback - called when the property database cannot be read.
+     */
+    Model.prototype.exportProperties = function (dbIds, options, onSuccessCallback, onErrorCallback) {
+        if (!this.myData || !this.myData.propWorker) {
+            if (onErrorCallback)
+                onErrorCallback();
+            return;
         }
 
+        this.myData.propWorker.exportProperties(dbIds, options, onSuccessCallback, onErrorCallback);
     };
 
 
@@ -0,0 +1,720 @@
+define([
+    '../Logger'
+], function(Logger) {
+    'use strict';
+
+    //Models are cached in IndexedDB so that they can be opened again with a bad connection, or
+    //none at all. The same store is used on the main thread, where ViewingService goes through it,
+    //and in the web workers, whose requests are redirected to it before the worker script runs.
+    //
+    //Files of models that are registered with a version (see setModelVersion) are taken from
+    //the cache without asking the server, since they only change with a new version. Anything
+    //else goes to the network first and only falls back to the cache when the request fails.
+
+    var DEFAULT_MAX_SIZE = 512 * 1024 * 1024;
+
+    var _settings = null;
+    var _models = [];
+    var _store = null;
+    var _ready = false;
+    var _readyCallbacks = [];
+
+
+    /**
+     * Creates the cache store on top of IndexedDB.
+     * Must not reference anything outside the function body, since it is
+     * also serialized into the worker bootstrap.
+     * @param {Object} scope - the global object
+     * @param {Object} settings - { maxSize } in bytes
+     * @param {Object[]} models - registered models, { key, url, version, pinned }
+     */
+    function createAssetStore(scope, settings, models) {
+
+        var DB_NAME = "lmv-asset-cache";
+        var DATA = "data", META = "meta", MODELS = "models";
+
+        var db = null;
+        var opening = null;
+        var evictTimer = null;
+
+        function open(callback) {
+            if (db || !scope.indexedDB) {
+                callback(db);
+                return;
+            }
+            if (opening) {
+                opening.push(callback);
+                return;
+            }
+            opening = [callback];
+
+            var done = function (result) {
+                db = result;
+                var callbacks = opening;
+                opening = null;
+                callbacks.forEach(function (cb) { cb(db); });
+            };
+
+            var request = scope.indexedDB.open(DB_NAME, 1);
+            request.onupgradeneeded = function () {
+                var d = request.result;
+                d.createObjectStore(DATA);
+                var meta = d.createObjectStore(META, { keyPath: "url" });
+                meta.createIndex("lastAccess", "lastAccess");
+                d.createObjectStore(MODELS, { keyPath: "key" });
+            };
+            request.onsuccess = function () { done(request.result); };
+            request.onerror = function () { done(null); };
+        }
+
+        //Cache keys are absolute URLs without query, which only carries session parameters
+        function keyOf(url) {
+            if (typeof url !== "string" || /^(blob|data|archive):/.test(url))
+                return null;
+            try {
+                var u = new scope.URL(url, scope.location && scope.location.href);
+                if (u.protocol !== "http:" && u.protocol !== "https:")
+                    return null;
+                u.search = "";
+                u.hash = "";
+                return u.href;
+            } catch (e) {
+                return null;
+            }
+        }
+
+        //The model a file belongs to: the registered model with the longest key
+        //(an URN or a URL prefix) that the file URL contains.
+        function modelOf(key) {
+            var best = null;
+            for (var i = 0; i < models.length; i++) {
+                var m = models[i];
+                if (key.indexOf(m.key) !== -1 && (!best || m.key.length > best.key.length))
+                    best = m;
+            }
+            return best;
+        }
+
+        function sizeOf(entry) {
+            var data = entry.data;
+            if (data instanceof ArrayBuffer)
+                return data.byteLength;
+            if (typeof data === "string")
+                return data.length * 2;
+            return JSON.stringify(data).length * 2;
+        }
+
+        function bytesToBinaryString(bytes) {
+            var s = "";
+            for (var i = 0; i < bytes.length; i += 0x8000)
+                s += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+            return s;
+        }
+
+        function binaryStringToBuffer(s) {
+            var bytes = new Uint8Array(s.length);
+            for (var i = 0; i < s.length; i++)
+                bytes[i] = s.charCodeAt(i) & 0xff;
+            return bytes.buffer;
+        }
+
+        var store = {};
+
+        store.keyOf = keyOf;
+
+        store.isCacheFirst = function (url) {
+            var key = keyOf(url);
+            var model = key && modelOf(key);
+            return !!(model && model.version !== undefined && model.version !== null);
+        };
+
+        //Converts a response to a cache entry.
+        //binaryText -- the response is bytes read as text, see ViewingService ondata.
+        store.entryFromResponse = function (response, binaryText) {
+            if (response instanceof ArrayBuffer)
+                return { kind: "bytes", data: response.slice(0) };
+            if (ArrayBuffer.isView(response))
+                return { kind: "bytes", data: response.buffer.slice(response.byteOffset, response.byteOffset + response.byteLength) };
+            if (typeof response === "string")
+                return binaryText ? { kind: "bytes", data: binaryStringToBuffer(response) } : { kind: "text", data: response };
+            if (response && typeof response === "object")
+                return { kind: "json", data: response };
+            return null;
+        };
+
+        //Converts a cache entry to what a request with the given responseType would get
+        store.responseFromEntry = function (entry, responseType, binaryText) {
+            var data = entry.data;
+            var text = function () {
+                if (entry.kind === "text")
+                    return data;
+                if (entry.kind === "json")
+                    return JSON.stringify(data);
+                return new scope.TextDecoder().decode(new Uint8Array(data));
+            };
+
+            switch (responseType) {
+                case "arraybuffer":
+                    return entry.kind === "bytes" ? data : new scope.TextEncoder().encode(text()).buffer;
+                case "json":
+                    return entry.kind === "json" ? data : JSON.parse(text());
+                case "blob":
+                    return new scope.Blob([entry.kind === "bytes" ? data : text()]);
+                default:
+                    return (binaryText && entry.kind === "bytes") ? bytesToBinaryString(new Uint8Array(data)) : text();
+            }
+        };
+
+        store.get = function (url, callback) {
+            var key = keyOf(url);
+            if (!key) {
+                callback(null);
+                return;
+            }
+
+            open(function (db) {
+                if (!db) {
+                    callback(null);
+                    return;
+                }
+                var entry = null;
+                var tx = db.transaction([DATA, META], "readwrite");
+                tx.objectStore(DATA).get(key).onsuccess = function (e) {
+                    entry = e.target.result || null;
+                };
+                var metaStore = tx.objectStore(META);
+                metaStore.get(key).onsuccess = function (e) {
+                    var meta = e.target.result;
+                    if (meta) {
+                        meta.lastAccess = Date.now();
+                        metaStore.put(meta);
+                    }
+                };
+                tx.oncomplete = function () { callback(entry); };
+                tx.onabort = tx.onerror = function () { callback(null); };
+            });
+        };
+
+        store.put = function (url, entry, callback) {
+            var key = keyOf(url);
+            var size = entry ? sizeOf(entry) : 0;
+            if (!key || !size || size > settings.maxSize) {
+                if (callback)
+                    callback(false);
+                return;
+            }
+
+            open(function (db) {
+                if (!db) {
+                    if (callback)
+                        callback(false);
+                    return;
+                }
+                var model = modelOf(key);
+                var tx = db.transaction([DATA, META], "readwrite");
+                tx.objectStore(DATA).put(entry, key);
+                tx.objectStore(META).put({ url: key, model: model ? model.key : "", size: size, lastAccess: Date.now() });
+                tx.oncomplete = function () {
+                    store.scheduleEviction();
+                    if (callback)
+                        callback(true);
+                };
+                tx.onabort = tx.onerror = function () {
+                    if (callback)
+                        callback(false);
+                };
+            });
+        };
+
+        store.scheduleEviction = function () {
+            if (evictTimer)
+                return;
+            evictTimer = setTimeout(function () {
+                evictTimer = null;
+                store.evict();
+            }, 1000);
+        };
+
+        //Removes the least recently used files until the cache fits. Pinned models
+        //(downloaded for offline use) count towards the size but are never evicted.
+        store.evict = function (callback) {
+            open(function (db) {
+                if (!db) {
+                    if (callback)
+                        callback();
+                    return;
+                }
+                var pinned = {};
+                models.forEach(function (m) { if (m.pinned) pinned[m.key] = true; });
+
+                var total = 0;
+                var tx = db.transaction([DATA, META], "readwrite");
+                var data = tx.objectStore(DATA);
+                tx.objectStore(META).index("lastAccess").openCursor(null, "prev").onsuccess = function (e) {
+                    var cursor = e.target.result;
+                    if (!cursor)
+                        return;
+                    var meta = cursor.value;
+                    if (!pinned[meta.model]) {
+                        if (total + meta.size > settings.maxSize) {
+                            data.delete(meta.url);
+                            cursor.delete();
+                        } else {
+                            total += meta.size;
+                        }
+                    }
+                    cursor.continue();
+                };
+                tx.oncomplete = tx.onabort = function () {
+                    if (callback)
+                        callback();
+                };
+            });
+        };
+
+        //Removes the files of a model, or all files if modelKey is null. Files under the
+        //model key that were cached before the model was registered belong to it too.
+        store.removeFiles = function (modelKey, callback) {
+            open(function (db) {
+                if (!db) {
+                    callback();
+                    return;
+                }
+                var tx = db.transaction([DATA, META], "readwrite");
+                var data = tx.objectStore(DATA);
+                tx.objectStore(META).openCursor().onsuccess = function (e) {
+                    var cursor = e.target.result;
+                    if (!cursor)
+                        return;
+                    var meta = cursor.value;
+                    if (modelKey === null || meta.model === modelKey || (!meta.model && meta.url.indexOf(modelKey) !== -1)) {
+                        data.delete(meta.url);
+                        cursor.delete();
+                    }
+                    cursor.continue();
+                };
+                tx.oncomplete = tx.onabort = function () { callback(); };
+            });
+        };
+
+        store.getUsage = function (callback) {
+            open(function (db) {
+                var usage = { size: 0, files: 0 };
+                if (!db) {
+                    callback(usage);
+                    return;
+                }
+                var tx = db.transaction(META, "readonly");
+                tx.objectStore(META).openCursor().onsuccess = function (e) {
+                    var cursor = e.target.result;
+                    if (!cursor)
+                        return;
+                    usage.size += cursor.value.size;
+                    usage.files++;
+                    cursor.continue();
+                };
+                tx.oncomplete = tx.onabort = function () { callback(usage); };
+            });
+        };
+
+        store.readModels = function (callback) {
+            open(function (db) {
+                if (!db) {
+                    callback([]);
+                    return;
+                }
+                var tx = db.transaction(MODELS, "readonly");
+                var request = tx.objectStore(MODELS).getAll();
+                tx.oncomplete = function () { callback(request.result || []); };
+                tx.onabort = function () { callback([]); };
+            });
+        };
+
+        store.writeModel = function (model, remove, callback) {
+            open(function (db) {
+                if (!db) {
+                    callback();
+                    return;
+                }
+                var tx = db.transaction(MODELS, "readwrite");
+                if (remove)
+                    tx.objectStore(MODELS).delete(model.key);
+                else
+                    tx.objectStore(MODELS).put(model);
+                tx.oncomplete = tx.onabort = function () { callback(); };
+            });
+        };
+
+        return store;
+    }
+
+
+    /**
+     * Makes the XMLHttpRequests of a global scope go through the cache.
+     * Serialized into the worker bootstrap, like createAssetStore.
+     * The request handlers are wrapped when the request is sent, which is
+     * after the worker's ViewingService has set them.
+     * @param {Object} scope - the global object
+     * @param {Object} store - from createAssetStore
+     */
+    function installCachedRequests(scope, store) {
+        var proto = scope.XMLHttpRequest.prototype;
+        var open = proto.open, send = proto.send, overrideMimeType = proto.overrideMimeType;
+
+        proto.open = function (method, url, async) {
+            this._cacheUrl = (method === "GET" && async !== false && store.keyOf(url)) ? url : null;
+            this._cacheBinaryText = false;
+            return open.apply(this, arguments);
+        };
+
+        proto.overrideMimeType = function (mime) {
+            this._cacheBinaryText = /x-user-defined/.test(mime);
+            return overrideMimeType.apply(this, arguments);
+        };
+
+        function serve(xhr, entry) {
+            var response = store.responseFromEntry(entry, xhr.responseType, xhr._cacheBinaryText);
+            var define = function (name, value) {
+                Object.defineProperty(xhr, name, { value: value, configurable: true });
+            };
+            define("readyState", 4);
+            define("status", 200);
+            define("statusText", "OK");
+            define("response", response);
+            if (typeof response === "string")
+                define("responseText", response);
+
+            xhr.dispatchEvent(new scope.Event("readystatechange"));
+            xhr.dispatchEvent(new scope.Event("load"));
+            xhr.dispatchEvent(new scope.Event("loadend"));
+        }
+
+        proto.send = function () {
+            var xhr = this;
+            var url = this._cacheUrl;
+            var args = arguments;
+
+            if (!url) {
+                send.apply(this, args);
+                return;
+            }
+
+            var network = function (fallback) {
+                //Store the response before the handler gets it, it may transfer the buffer
+                var onload = xhr.onload;
+                xhr.onload = function () {
+                    if (xhr.status === 200)
+                        store.put(url, store.entryFromResponse(xhr.response || xhr.responseText, xhr._cacheBinaryText));
+                    if (onload)
+                        return onload.apply(this, arguments);
+                };
+
+                if (fallback) {
+                    ["onerror", "ontimeout"].forEach(function (name) {
+                        var handler = xhr[name];
+                        xhr[name] = function (e) {
+                            store.get(url, function (entry) {
+                                if (entry) {
+                                    xhr.onload = onload;
+                                    serve(xhr, entry);
+                                } else if (handler) {
+                                    handler.call(xhr, e);
+                                }
+                            });
+                        };
+                    });
+                }
+
+                send.apply(xhr, args);
+            };
+
+            if (store.isCacheFirst(url)) {
+                store.get(url, function (entry) {
+                    if (entry)
+                        serve(xhr, entry);
+                    else
+                        network(false);
+                });
+            } else {
+                network(true);
+            }
+        };
+    }
+
+
+    function notifyReady() {
+        _ready = true;
+        var callbacks = _readyCallbacks;
+        _readyCallbacks = [];
+        callbacks.forEach(function (cb) { cb(); });
+    }
+
+    function setModels(models) {
+        //The store holds on to the array, so update it in place
+        _models.length = 0;
+        Array.prototype.push.apply(_models, models);
+    }
+
+    function updateModel(model, remove, callback) {
+        var models = _models.filter(function (m) { return m.key !== model.key; });
+        if (!remove)
+            models.push(model);
+        setModels(models);
+        _store.writeModel(model, remove, callback);
+    }
+
+    //Viewing service URNs identify a model in all its file URLs
+    var URN_PATTERN = /urn:adsk\.[^\/?#]+/;
+
+
+    var AssetCache = {};
+
+    AssetCache.createAssetStore = createAssetStore;
+    AssetCache.installCachedRequests = installCachedRequests;
+
+    /**
+     * Enables the cache. Until this is called, nothing is cached.
+     * @param {Object} [options]
+     * @param {boolean} [options.enabled=true] - false to stop using the cache
+     * @param {number} [options.maxSize=512MB] - size limit in bytes. When it is exceeded,
+     * the least recently used files are removed, except those of models downloaded for offline use.
+     */
+    AssetCache.configure = function (options) {
+        options = options || {};
+
+        if (options.enabled === false || typeof indexedDB === "undefined") {
+            if (options.enabled !== false)
+                Logger.warn("IndexedDB is not available, models are not cached.");
+            _settings = null;
+            _store = null;
+            notifyReady();
+            return;
+        }
+
+        _ready = false;
+        _settings = { maxSize: options.maxSize || DEFAULT_MAX_SIZE };
+        _store = createAssetStore(typeof window !== "undefined" ? window : self, _settings, _models);
+        _store.readModels(function (models) {
+            setModels(models);
+            notifyReady();
+            _store.evict();
+        });
+    };
+
+    AssetCache.isEnabled = function () {
+        return !!_store;
+    };
+
+    /**
+     * Calls back once the registered models are known. Workers must not be created before.
+     */
+    AssetCache.whenReady = function (callback) {
+        if (_ready || !_store)
+            callback();
+        else
+            _readyCallbacks.push(callback);
+    };
+
+    /**
+     * Returns the key a model's files are registered under: the viewing service URN in the URL,
+     * the key the model was downloaded with, or else the folder of the model file.
+     * @param {string} url - URL of the model file
+     */
+    AssetCache.getModelKey = function (url) {
+        var key = _store && _store.keyOf(url);
+        for (var i = 0; key && i < _models.length; i++) {
+            if (_models[i].url === key)
+                return _models[i].key;
+        }
+
+        var urn = URN_PATTERN.exec(url);
+        if (urn)
+            return urn[0];
+
+        key = key || url;
+        return key.substr(0, key.lastIndexOf("/") + 1);
+    };
+
+    /**
+     * Registers the version of a model. When the version changes, the cached files of the model
+     * are removed, and so are files cached before the model was registered. Files of models with a version are then served from the cache without
+     * asking the server.
+     * @param {string} key - see getModelKey
+     * @param {string} version
+     * @param {function} [callback]
+     * @param {Object} [extra] - more fields to store with the model, like url and pinned
+     */
+    AssetCache.setModelVersion = function (key, version, callback, extra) {
+        callback = callback || function () {};
+        if (!_store) {
+            callback();
+            return;
+        }
+
+        AssetCache.whenReady(function () {
+            var model = null;
+            for (var i = 0; i < _models.length; i++) {
+                if (_models[i].key === key)
+                    model = _models[i];
+            }
+
+            var updated = { key: key, version: version, url: model && model.url, pinned: model && model.pinned };
+            for (var name in extra)
+                updated[name] = extra[name];
+
+            var save = function () { updateModel(updated, false, callback); };
+
+            //Files cached before the model had a version may be of any version
+            if (!model || model.version !== version) {
+                if (model)
+                    Logger.log("Model " + key + " changed from version " + model.version + " to " + version + ", clearing its cached files");
+                _store.removeFiles(key, save);
+            } else {
+                save();
+            }
+        });
+    };
+
+    /**
+     * Removes a model and its files from the cache.
+     * @param {string} key - see getModelKey
+     * @param {function} [callback]
+     */
+    AssetCache.removeModel = function (key, callback) {
+        callback = callback || function () {};
+        if (!_store) {
+            callback();
+            return;
+        }
+        _store.removeFiles(key, function () {
+            updateModel({ key: key }, true, callback);
+        });
+    };
+
+    /**
+     * Removes everything from the cache.
+     * @param {function} [callback]
+     */
+    AssetCache.clear = function (callback) {
+        callback = callback || function () {};
+        if (!_store) {
+            callback();
+            return;
+        }
+        var models = _models.slice();
+        _store.removeFiles(null, function () {
+            var pending = models.length;
+            if (!pending)
+                callback();
+            models.forEach(function (m) {
+                updateModel(m, true, function () {
+                    if (--pending === 0)
+                        callback();
+                });
+            });
+        });
+    };
+
+    /**
+     * Returns the models registered with the cache, { key, url, version, pinned }.
+     */
+    AssetCache.getModels = function () {
+        return _models.slice();
+    };
+
+    /**
+     * Calls back with the space used, { size, files }.
+     */
+    AssetCache.getUsage = function (callback) {
+        if (_store)
+            _store.getUsage(callback);
+        else
+            callback({ size: 0, files: 0 });
+    };
+
+    /**
+     * Performs a GET through the cache, for ViewingService.
+     * @param {string} url
+     * @param {string} responseType - of the request
+     * @param {function(function, function)} request - performs the network request with
+     * success and failure callbacks, like ViewingService.rawGet
+     * @param {function} onSuccess
+     * @param {function} onFailure
+     * @returns {boolean} false if the URL cannot be cached, and nothing was done
+     */
+    AssetCache.get = function (url, responseType, request, onSuccess, onFailure) {
+
+        if (!_store || !_store.keyOf(url))
+            return false;
+
+        var deliver = function (entry) {
+            var response = _store.responseFromEntry(entry, responseType || "text");
+            onSuccess(response instanceof ArrayBuffer ? new Uint8Array(response) : response);
+        };
+
+        var network = function (fallback) {
+            request(function (response) {
+                _store.put(url, _store.entryFromResponse(response));
+                onSuccess(response);
+            }, function (status, statusText, data) {
+                var failed = function () { onFailure(status, statusText, data); };
+                if (!fallback) {
+                    failed();
+                    return;
+                }
+                //Only when the server could not be reached
+                if (status && status < 500) {
+                    failed();
+                    return;
+                }
+                _store.get(url, function (entry) {
+                    if (entry)
+                        deliver(entry);
+                    else
+                        failed();
+                });
+            });
+        };
+
+        if (_store.isCacheFirst(url)) {
+            _store.get(url, function (entry) {
+                if (entry)
+                    deliver(entry);
+                else
+                    network(false);
+            });
+        } else {
+            network(true);
+        }
+
+        return true;
+    };
+
+    /**
+     * Stores a file, for example one downloaded for offline use.
+     * @param {string} url
+     * @param {ArrayBuffer|Uint8Array|Object|string} response
+     * @param {function(boolean)} [callback]
+     */
+    AssetCache.put = function (url, response, callback) {
+        if (!_store) {
+            if (callback)
+                callback(false);
+            return;
+        }
+        _store.put(url, _store.entryFromResponse(response), callback);
+    };
+
+    /**
+     * Returns the source that makes a worker's requests go through the cache,
+     * to run before the worker script.
+     */
+    AssetCache.getWorkerSetup = function () {
+        if (!_store)
+            return "";
+        return "(" + installCachedRequests.toString() + ")(self, (" + createAssetStore.toString() + ")(self, " +
+               JSON.stringify(_settings) + ", " + JSON.stringify(_models) + "));\n";
+    };
+
+    return AssetCache;
+});
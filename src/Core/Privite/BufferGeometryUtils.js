@@ -154,6 +154,8 @@ define([
         geometry.vbstride = mesh.vbstride;
         if (mesh.isLines) /* mesh is SVF lines */
             geometry.isLines = mesh.isLines;
+        if (mesh.isPoints) /* mesh is a point cloud */
+            geometry.isPoints = mesh.isPoints;
         if (mdata.is2d) /* mesh is from F2D */
             geometry.is2d = true;
 
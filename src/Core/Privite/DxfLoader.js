@@ -0,0 +1,1461 @@
+define([
+    '../FileLoaderManager',
+    '../Logger',
+    './FileLoaderBase',
+    './PackageBuilder',
+    './Package2DBuilder',
+    './VertexBufferBuilder',
+    './StrokeFont',
+    './LineStyleDefs',
+    './Fn/utf8ArrayToString'
+], function(FileLoaderManager, Logger, FileLoaderBase, PackageBuilder, Package2DBuilder, VertexBufferBuilder, StrokeFont, LineStyleDefs, utf8ArrayToString) {
+    'use strict';
+
+    var DEG_TO_RAD = Math.PI / 180;
+    var TAU = 2 * Math.PI;
+
+    //Number of segments for a full circle, when arcs and ellipses have to be tessellated
+    var ARC_SEGMENTS = 64;
+
+    //Guards against blocks that (directly or indirectly) insert themselves
+    var MAX_INSERT_DEPTH = 16;
+
+    //$INSUNITS values, for the units Model.getUnitScale knows about
+    var INSUNITS = { 1: "in", 2: "ft", 4: "mm", 5: "cm", 6: "m" };
+
+    //Patterned hatches are drawn as a translucent fill instead of their pattern lines
+    var PATTERN_HATCH_OPACITY = 0.3;
+
+    //Lineweights are given in 1/100 mm and drawn in pixels, like AutoCAD does on screen
+    var PIXELS_PER_MM = 96 / 25.4;
+
+    var IDENTITY = [1, 0, 0, 1, 0, 0];
+
+    var ENTITY_NAMES = {
+        "LINE": "Line",
+        "LWPOLYLINE": "Polyline",
+        "POLYLINE": "Polyline",
+        "CIRCLE": "Circle",
+        "ARC": "Arc",
+        "ELLIPSE": "Ellipse",
+        "SPLINE": "Spline",
+        "TEXT": "Text",
+        "MTEXT": "MText",
+        "ATTRIB": "Attribute",
+        "INSERT": "Block Reference",
+        "DIMENSION": "Dimension",
+        "HATCH": "Hatch",
+        "SOLID": "Solid",
+        "TRACE": "Trace",
+        "3DFACE": "3D Face",
+        "POINT": "Point",
+        "LEADER": "Leader"
+    };
+
+
+    //AutoCAD Color Index palette, as 0xRRGGBB.
+    //Color 7 is white on dark backgrounds and black on light ones. Drawings are shown on white paper.
+    var ACI_COLORS = (function () {
+        var colors = [0x000000, 0xff0000, 0xffff00, 0x00ff00, 0x00ffff, 0x0000ff, 0xff00ff, 0x000000, 0x808080, 0xc0c0c0];
+
+        //Colors 10 to 249 go around the hue circle in 15 degree steps, with five brightness
+        //levels per hue, each in a saturated and a pale variant.
+        var levels = [255, 204, 153, 127, 76];
+
+        function channel(h) {
+            //Value of the red channel of a fully saturated color with hue h (degrees)
+            h = ((h % 360) + 360) % 360;
+            if (h <= 60 || h >= 300) return 1;
+            if (h >= 120 && h <= 240) return 0;
+            return h < 120 ? (120 - h) / 60 : (h - 240) / 60;
+        }
+
+        for (var i = 10; i < 250; i++) {
+            var hue = ((i - 10) / 10 | 0) * 15;
+            var k = (i - 10) % 10;
+            var v = levels[k >> 1];
+            var pale = k & 1;
+
+            var rgb = [channel(hue), channel(hue - 120), channel(hue - 240)];
+            var color = 0;
+            for (var c = 0; c < 3; c++) {
+                var value = pale ? v * (0.5 + 0.5 * rgb[c]) : v * rgb[c];
+                color = (color << 8) | Math.round(value);
+            }
+            colors.push(color);
+        }
+
+        colors.push(0x333333, 0x505050, 0x696969, 0x828282, 0xbebebe, 0xffffff);
+
+        return colors;
+    })();
+
+
+    var LINE_TYPES = (function () {
+        var map = {};
+        for (var i = 0; i < LineStyleDefs.length; i++)
+            map[LineStyleDefs[i].id] = i;
+        return map;
+    })();
+
+
+    /** @constructor
+     * Loads 2D DXF drawings. The model space entities are drawn with the LineShader like
+     * F2D sheets: lines, polylines, circles, arcs, ellipses, splines, text, hatches and
+     * block references. DXF layers become the layers of the drawing, and every top level
+     * entity is a selectable object with its DXF data as properties.
+     * Text is drawn with a built-in stroke font, since the fonts the drawing references
+     * are not available. 3D entities are not supported.
+     */
+    var DxfLoader = function (parent) {
+        FileLoaderBase.call(this, parent);
+    };
+
+    DxfLoader.prototype = Object.create(FileLoaderBase.prototype);
+    DxfLoader.prototype.constructor = DxfLoader;
+
+    DxfLoader.prototype.formatName = "DXF";
+
+
+    function decodeText(bytes) {
+        var text = utf8ArrayToString(bytes, 0, bytes.length);
+
+        //Files before AutoCAD 2007 use the Windows code page of the drawing
+        if (text.indexOf("�") !== -1) {
+            var chars = [];
+            for (var i = 0; i < bytes.length; i += 8192)
+                chars.push(String.fromCharCode.apply(null, bytes.subarray(i, i + 8192)));
+            text = chars.join("");
+        }
+
+        return text;
+    }
+
+
+    /** @constructor
+     * Sequential access to the group code / value pairs of a DXF file.
+     */
+    function GroupReader(text) {
+        var lines = text.split(/\r\n|\r|\n/);
+        var count = lines.length >> 1;
+
+        this.codes = new Int32Array(count);
+        this.values = new Array(count);
+
+        for (var i = 0; i < count; i++) {
+            var code = parseInt(lines[2 * i], 10);
+            this.codes[i] = isNaN(code) ? -1 : code;
+            //Text values can have meaningful leading spaces
+            this.values[i] = (code === 1 || code === 3) ? lines[2 * i + 1].replace(/\s+$/, "") : lines[2 * i + 1].trim();
+        }
+
+        this.pos = 0;
+    }
+
+    GroupReader.prototype.hasMore = function () {
+        return this.pos < this.codes.length;
+    };
+
+    GroupReader.prototype.isMarker = function (value) {
+        return this.codes[this.pos] === 0 && this.values[this.pos] === value;
+    };
+
+    //Reads the record at the current position: its type (the value of group 0) and its groups
+    GroupReader.prototype.readRecord = function () {
+        var record = new DxfRecord(this.values[this.pos++]);
+        while (this.pos < this.codes.length && this.codes[this.pos] !== 0) {
+            record.codes.push(this.codes[this.pos]);
+            record.values.push(this.values[this.pos]);
+            this.pos++;
+        }
+        return record;
+    };
+
+    GroupReader.prototype.skipToMarker = function (value) {
+        while (this.hasMore() && !this.isMarker(value))
+            this.pos++;
+    };
+
+
+    /** @constructor
+     * An entity or table entry, with its groups in file order.
+     */
+    function DxfRecord(type) {
+        this.type = type;
+        this.codes = [];
+        this.values = [];
+    }
+
+    DxfRecord.prototype.get = function (code, defaultValue) {
+        var i = this.codes.indexOf(code);
+        return (i === -1) ? defaultValue : this.values[i];
+    };
+
+    DxfRecord.prototype.num = function (code, defaultValue) {
+        var v = parseFloat(this.get(code));
+        return isNaN(v) ? defaultValue : v;
+    };
+
+    DxfRecord.prototype.int = function (code, defaultValue) {
+        var v = parseInt(this.get(code), 10);
+        return isNaN(v) ? defaultValue : v;
+    };
+
+    DxfRecord.prototype.getAll = function (code) {
+        var result = [];
+        for (var i = 0; i < this.codes.length; i++) {
+            if (this.codes[i] === code)
+                result.push(this.values[i]);
+        }
+        return result;
+    };
+
+
+    //Reads entities up to the given end marker. Vertices and attributes are
+    //attached to the polyline or block reference they follow.
+    function readEntities(reader, endMarker) {
+        var entities = [];
+        var owner = null;
+
+        while (reader.hasMore() && !reader.isMarker(endMarker) && !reader.isMarker("ENDSEC")) {
+
+            if (reader.codes[reader.pos] !== 0) {
+                reader.pos++;
+                continue;
+            }
+
+            var entity = reader.readRecord();
+
+            if (entity.type === "VERTEX" && owner && owner.vertices) {
+                owner.vertices.push(entity);
+            } else if (entity.type === "ATTRIB" && owner && owner.attribs) {
+                owner.attribs.push(entity);
+            } else if (entity.type === "SEQEND") {
+                owner = null;
+            } else {
+                if (entity.type === "POLYLINE") {
+                    entity.vertices = [];
+                    owner = entity;
+                } else if (entity.type === "INSERT" && entity.int(66, 0)) {
+                    entity.attribs = [];
+                    owner = entity;
+                } else {
+                    owner = null;
+                }
+                entities.push(entity);
+            }
+        }
+
+        return entities;
+    }
+
+
+    /**
+     * Parses the sections of a DXF file that are needed for drawing.
+     * @returns {Object} { header, layers, styles, blocks, entities }
+     */
+    function parseDxf(text) {
+
+        var reader = new GroupReader(text);
+        var dxf = { header: {}, layers: [], styles: {}, blocks: {}, entities: [] };
+
+        while (reader.hasMore()) {
+
+            if (!reader.isMarker("SECTION")) {
+                reader.pos++;
+                continue;
+            }
+
+            reader.pos++;
+            var name = (reader.codes[reader.pos] === 2) ? reader.values[reader.pos++] : "";
+
+            if (name === "HEADER") {
+                var variable = null;
+                while (reader.hasMore() && !reader.isMarker("ENDSEC")) {
+                    var code = reader.codes[reader.pos];
+                    var value = reader.values[reader.pos++];
+                    if (code === 9)
+                        variable = dxf.header[value] = {};
+                    else if (variable && !(code in variable))
+                        variable[code] = value;
+                }
+            }
+            else if (name === "TABLES") {
+                while (reader.hasMore() && !reader.isMarker("ENDSEC")) {
+                    if (reader.isMarker("LAYER")) {
+                        dxf.layers.push(reader.readRecord());
+                    } else if (reader.isMarker("STYLE")) {
+                        var style = reader.readRecord();
+                        dxf.styles[style.get(2, "").toUpperCase()] = style;
+                    } else {
+                        reader.pos++;
+                    }
+                }
+            }
+            else if (name === "BLOCKS") {
+                while (reader.hasMore() && !reader.isMarker("ENDSEC")) {
+                    if (reader.isMarker("BLOCK")) {
+                        var block = reader.readRecord();
+                        block.entities = readEntities(reader, "ENDBLK");
+                        dxf.blocks[block.get(2, "")] = block;
+                    } else {
+                        reader.pos++;
+                    }
+                }
+            }
+            else if (name === "ENTITIES") {
+                dxf.entities = readEntities(reader, "ENDSEC");
+            }
+
+            reader.skipToMarker("ENDSEC");
+            reader.pos++;
+        }
+
+        return dxf;
+    }
+
+
+    //2D affine transforms, as [a, b, c, d, e, f] for x' = a*x + c*y + e, y' = b*x + d*y + f
+
+    function multiply(m, n) {
+        return [
+            m[0] * n[0] + m[2] * n[1],
+            m[1] * n[0] + m[3] * n[1],
+            m[0] * n[2] + m[2] * n[3],
+            m[1] * n[2] + m[3] * n[3],
+            m[0] * n[4] + m[2] * n[5] + m[4],
+            m[1] * n[4] + m[3] * n[5] + m[5]
+        ];
+    }
+
+    function transformX(m, x, y) {
+        return m[0] * x + m[2] * y + m[4];
+    }
+
+    function transformY(m, x, y) {
+        return m[1] * x + m[3] * y + m[5];
+    }
+
+    function transformPoints(m, points) {
+        for (var i = 0; i < points.length; i += 2) {
+            var x = points[i], y = points[i + 1];
+            points[i] = transformX(m, x, y);
+            points[i + 1] = transformY(m, x, y);
+        }
+        return points;
+    }
+
+    //Returns { scale, mirrored } if the transform keeps circles circular, null otherwise
+    function getSimilarity(m) {
+        var scale = Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+        var eps = 1e-6 * Math.max(scale, 1e-12);
+
+        if (Math.abs(m[0] - m[3]) < eps && Math.abs(m[1] + m[2]) < eps)
+            return { scale: scale, mirrored: false };
+        if (Math.abs(m[0] + m[3]) < eps && Math.abs(m[1] - m[2]) < eps)
+            return { scale: scale, mirrored: true };
+
+        return null;
+    }
+
+    //Entities with 2D coordinates in their object coordinate system. Only the simple case
+    //of a drawing seen from below (extrusion 0,0,-1), which mirrors x, is supported.
+    function getObjectTransform(entity, m) {
+        if (entity.num(230, 1) < 0)
+            return multiply(m, [-1, 0, 0, 1, 0, 0]);
+        return m;
+    }
+
+
+    function getArcSegments(sweep) {
+        return Math.max(4, Math.ceil(ARC_SEGMENTS * Math.abs(sweep) / TAU));
+    }
+
+    //Points on an elliptical arc, from start to end parameter
+    function tessellateEllipse(cx, cy, mx, my, ratio, start, end) {
+        var count = getArcSegments(end - start);
+        var nx = -my * ratio, ny = mx * ratio;
+        var points = [];
+        for (var i = 0; i <= count; i++) {
+            var t = start + (end - start) * i / count;
+            var c = Math.cos(t), s = Math.sin(t);
+            points.push(cx + c * mx + s * nx, cy + c * my + s * ny);
+        }
+        return points;
+    }
+
+    //Center, radius and angles of the arc between two polyline vertices
+    function getBulgeArc(x1, y1, x2, y2, bulge) {
+        var dx = x2 - x1, dy = y2 - y1;
+        var d = Math.sqrt(dx * dx + dy * dy);
+        var theta = 4 * Math.atan(bulge);
+        var radius = d / (2 * Math.sin(Math.abs(theta) / 2));
+
+        //The center is on the left of the chord for counterclockwise arcs
+        var offset = (d / 2) / Math.tan(theta / 2);
+        var cx = (x1 + x2) / 2 - dy / d * offset;
+        var cy = (y1 + y2) / 2 + dx / d * offset;
+
+        var a1 = Math.atan2(y1 - cy, x1 - cx);
+        var a2 = Math.atan2(y2 - cy, x2 - cx);
+
+        return {
+            cx: cx, cy: cy, radius: radius,
+            start: theta > 0 ? a1 : a2,
+            end: theta > 0 ? a2 : a1,
+            length: Math.abs(theta) * radius
+        };
+    }
+
+    //Adds the points of a polyline with bulges to points, with the arcs tessellated
+    function appendBulgePolyline(points, vertices, closed) {
+        var n = vertices.length;
+        var segments = closed ? n : n - 1;
+
+        for (var i = 0; i < segments; i++) {
+            var v1 = vertices[i], v2 = vertices[(i + 1) % n];
+            if (i === 0)
+                points.push(v1.x, v1.y);
+
+            if (v1.bulge && (v1.x !== v2.x || v1.y !== v2.y)) {
+                var arc = getBulgeArc(v1.x, v1.y, v2.x, v2.y, v1.bulge);
+                var a1 = Math.atan2(v1.y - arc.cy, v1.x - arc.cx);
+                var sweep = 4 * Math.atan(v1.bulge);
+                var count = getArcSegments(sweep);
+                for (var k = 1; k < count; k++) {
+                    var a = a1 + sweep * k / count;
+                    points.push(arc.cx + arc.radius * Math.cos(a), arc.cy + arc.radius * Math.sin(a));
+                }
+            }
+
+            points.push(v2.x, v2.y);
+        }
+
+        //Closing point is implicit
+        if (closed && points.length >= 4)
+            points.length -= 2;
+
+        return points;
+    }
+
+    function getPolylineLength(vertices, closed) {
+        var length = 0;
+        var n = vertices.length;
+        var segments = closed ? n : n - 1;
+        for (var i = 0; i < segments; i++) {
+            var v1 = vertices[i], v2 = vertices[(i + 1) % n];
+            if (v1.bulge && (v1.x !== v2.x || v1.y !== v2.y))
+                length += getBulgeArc(v1.x, v1.y, v2.x, v2.y, v1.bulge).length;
+            else
+                length += Math.sqrt((v2.x - v1.x) * (v2.x - v1.x) + (v2.y - v1.y) * (v2.y - v1.y));
+        }
+        return length;
+    }
+
+
+    //Evaluates a (possibly rational) B-spline with de Boor's algorithm
+    function tessellateSpline(degree, knots, control, weights) {
+        var n = control.length / 2;
+        if (n < 2)
+            return control.slice();
+
+        degree = Math.max(1, Math.min(degree, n - 1));
+
+        //Missing or inconsistent knots: use a clamped uniform knot vector
+        if (knots.length !== n + degree + 1) {
+            knots = [];
+            for (var k = 0; k < n + degree + 1; k++)
+                knots.push(Math.min(Math.max(k - degree, 0), n - degree));
+        }
+
+        var lo = knots[degree], hi = knots[n];
+        var count = Math.min(Math.max(n * 8, 16), 1000);
+        var points = [];
+
+        for (var s = 0; s <= count; s++) {
+            var t = lo + (hi - lo) * s / count;
+
+            var span = degree;
+            while (span < n - 1 && t >= knots[span + 1])
+                span++;
+
+            var dx = [], dy = [], dw = [];
+            for (var j = 0; j <= degree; j++) {
+                var idx = span - degree + j;
+                var w = weights.length === n ? weights[idx] : 1;
+                dx[j] = control[2 * idx] * w;
+                dy[j] = control[2 * idx + 1] * w;
+                dw[j] = w;
+            }
+
+            for (var r = 1; r <= degree; r++) {
+                for (j = degree; j >= r; j--) {
+                    var i = span - degree + j;
+                    var denom = knots[i + degree - r + 1] - knots[i];
+                    var alpha = denom ? (t - knots[i]) / denom : 0;
+                    dx[j] = (1 - alpha) * dx[j - 1] + alpha * dx[j];
+                    dy[j] = (1 - alpha) * dy[j - 1] + alpha * dy[j];
+                    dw[j] = (1 - alpha) * dw[j - 1] + alpha * dw[j];
+                }
+            }
+
+            points.push(dx[degree] / dw[degree], dy[degree] / dw[degree]);
+        }
+
+        return points;
+    }
+
+
+    //Replaces the % control codes and unicode escapes of TEXT entities
+    function decodeSpecialCharacters(text) {
+        return text
+            .replace(/%%[dD]/g, "°")
+            .replace(/%%[pP]/g, "±")
+            .replace(/%%[cC]/g, "Ø")
+            .replace(/%%[uUoOkK]/g, "")
+            .replace(/%%%/g, "%")
+            .replace(/\\U\+([0-9A-Fa-f]{4})/g, function (m, hex) {
+                return String.fromCharCode(parseInt(hex, 16));
+            });
+    }
+
+    //Removes the formatting codes from MTEXT contents, and splits it into lines
+    function getMTextLines(text) {
+        var plain = text.replace(/\\(\\|\{|\}|P|~|S([^;]*);|[ACFHQTWpfc][^;]*;|[LlOoKkNnX])|[{}]/g, function (m, code, stack) {
+            if (!code)
+                return "";                      //grouping braces
+            if (code === "\\" || code === "{" || code === "}")
+                return code;                    //escaped characters
+            if (code === "P")
+                return "\n";
+            if (code === "~")
+                return " ";
+            if (stack !== undefined)
+                return stack.replace(/[\^#]/, "/"); //stacked fractions
+            return "";
+        });
+
+        return decodeSpecialCharacters(plain).split("\n");
+    }
+
+
+    function colorToString(entity) {
+        var trueColor = entity.get(420);
+        if (trueColor !== undefined)
+            return "#" + ("000000" + (parseInt(trueColor, 10) & 0xffffff).toString(16)).slice(-6);
+
+        var aci = entity.int(62, 256);
+        if (aci === 256) return "ByLayer";
+        if (aci === 0) return "ByBlock";
+        return aci.toString();
+    }
+
+
+    /** @constructor
+     * Draws the entities of a parsed DXF file into a Package2DBuilder.
+     */
+    function DxfDrawer(dxf, builder, rootId) {
+        this.dxf = dxf;
+        this.builder = builder;
+        this.rootId = rootId;
+
+        this.layers = {};
+        this.missingBlocks = {};
+
+        for (var i = 0; i < dxf.layers.length; i++)
+            this.addLayer(dxf.layers[i]);
+    }
+
+    DxfDrawer.prototype.addLayer = function (record) {
+        var name = record.get(2, "0");
+        var aci = record.int(62, 7);
+        var trueColor = record.get(420);
+
+        var layer = {
+            name: name,
+            color: trueColor !== undefined ? parseInt(trueColor, 10) & 0xffffff : (ACI_COLORS[Math.abs(aci)] || 0),
+            lineType: this.getLineType(record.get(6)) || 0,
+            lineWidth: this.getLineWidth(record.int(370, -3)) || 0,
+            //Layers are off if their color is negative, and frozen if bit 1 of the flags is set
+            visible: aci >= 0 && !(record.int(70, 0) & 1),
+            nodeId: 0
+        };
+
+        layer.index = this.builder.addLayer(name, layer.visible);
+        this.layers[name] = layer;
+        return layer;
+    };
+
+    DxfDrawer.prototype.getLayer = function (name) {
+        if (this.layers[name])
+            return this.layers[name];
+
+        //Layers that are used without being in the layer table
+        var record = new DxfRecord("LAYER");
+        record.codes.push(2);
+        record.values.push(name);
+        return this.addLayer(record);
+    };
+
+    //Layer nodes of the object tree are only added for layers that have entities
+    DxfDrawer.prototype.getLayerNode = function (layer) {
+        if (!layer.nodeId) {
+            var props = [PackageBuilder.createProperty("Type", "Layer", "General")];
+            layer.nodeId = this.builder.addObject(this.rootId, layer.name, PackageBuilder.NODE_TYPE_LAYER, props, "layer:" + layer.name);
+        }
+        return layer.nodeId;
+    };
+
+    //Returns the LineStyleDefs index of a linetype name, undefined for ByLayer and ByBlock
+    DxfDrawer.prototype.getLineType = function (name) {
+        if (!name)
+            return undefined;
+        name = name.toUpperCase();
+        if (name === "BYLAYER" || name === "BYBLOCK")
+            return undefined;
+        return LINE_TYPES[name] || 0;
+    };
+
+    //Converts a lineweight to a line width for the LineShader (negative means pixels),
+    //undefined for ByLayer and ByBlock
+    DxfDrawer.prototype.getLineWidth = function (lineweight) {
+        if (lineweight === -1 || lineweight === -2)
+            return undefined;
+        if (lineweight <= 0)
+            return 0;
+        return -Math.max(1, lineweight / 100 * PIXELS_PER_MM);
+    };
+
+
+    //Resolves the ByLayer and ByBlock properties of an entity to the style used for drawing
+    DxfDrawer.prototype.getStyle = function (entity, ctx) {
+
+        var layer = this.getLayer(entity.get(8, "0"));
+
+        //Entities of blocks that are on layer 0 take the layer of the block reference
+        if (ctx.blockLayer && layer.name === "0")
+            layer = ctx.blockLayer;
+
+        var color;
+        var trueColor = entity.get(420);
+        var aci = entity.int(62, 256);
+        if (trueColor !== undefined)
+            color = parseInt(trueColor, 10) & 0xffffff;
+        else if (aci === 256)
+            color = layer.color;
+        else if (aci === 0)
+            color = ctx.blockColor;
+        else
+            color = ACI_COLORS[Math.abs(aci)] || 0;
+
+        var lineTypeName = (entity.get(6) || "BYLAYER").toUpperCase();
+        var lineType;
+        if (lineTypeName === "BYLAYER")
+            lineType = layer.lineType;
+        else if (lineTypeName === "BYBLOCK")
+            lineType = ctx.blockLineType;
+        else
+            lineType = this.getLineType(lineTypeName);
+
+        var lineweight = entity.int(370, -1);
+        var lineWidth;
+        if (lineweight === -1)
+            lineWidth = layer.lineWidth;
+        else if (lineweight === -2)
+            lineWidth = ctx.blockLineWidth;
+        else
+            lineWidth = this.getLineWidth(lineweight);
+
+        return {
+            dbId: ctx.dbId,
+            layer: layer.index,
+            layerRecord: layer,
+            rgb: color,
+            color: VertexBufferBuilder.toVertexColor(color),
+            lineType: lineType || 0,
+            lineWidth: lineWidth || 0
+        };
+    };
+
+
+    /**
+     * Draws an entity.
+     * @param {DxfRecord} entity
+     * @param {Object} ctx - { m, dbId, blockLayer, blockColor, blockLineType, blockLineWidth, depth }
+     */
+    DxfDrawer.prototype.drawEntity = function (entity, ctx) {
+
+        //Invisible entities
+        if (entity.int(60, 0))
+            return;
+
+        var style = this.getStyle(entity, ctx);
+
+        switch (entity.type) {
+            case "LINE": this.drawLine(entity, ctx.m, style); break;
+            case "LWPOLYLINE": this.drawLwPolyline(entity, getObjectTransform(entity, ctx.m), style); break;
+            case "POLYLINE": this.drawPolyline(entity, ctx.m, style); break;
+            case "CIRCLE":
+            case "ARC": this.drawCircleOrArc(entity, getObjectTransform(entity, ctx.m), style); break;
+            case "ELLIPSE": this.drawEllipse(entity, ctx.m, style); break;
+            case "SPLINE": this.drawSpline(entity, ctx.m, style); break;
+            case "TEXT":
+            case "ATTRIB": this.drawText(entity, getObjectTransform(entity, ctx.m), style); break;
+            case "MTEXT": this.drawMText(entity, ctx.m, style); break;
+            case "INSERT": this.drawInsert(entity, ctx, style); break;
+            case "DIMENSION": this.drawBlock(entity.get(2), ctx.m, ctx, style); break;
+            case "HATCH": this.drawHatch(entity, getObjectTransform(entity, ctx.m), style); break;
+            case "SOLID":
+            case "TRACE": this.drawSolid(entity, getObjectTransform(entity, ctx.m), style); break;
+            case "3DFACE": this.drawFace(entity, ctx.m, style); break;
+            case "POINT": this.drawPoint(entity, ctx.m, style); break;
+            case "LEADER": this.drawLeader(entity, ctx.m, style); break;
+            default: return false;
+        }
+
+        return true;
+    };
+
+
+    DxfDrawer.prototype.drawLine = function (e, m, style) {
+        var points = transformPoints(m, [e.num(10, 0), e.num(20, 0), e.num(11, 0), e.num(21, 0)]);
+        this.builder.addLine(points[0], points[1], points[2], points[3], style);
+    };
+
+    //Points are drawn as dots of a fixed screen size
+    DxfDrawer.prototype.drawDot = function (x, y, m, style) {
+        var dot = Object.create(style);
+        dot.lineWidth = -3;
+        this.builder.addCircle(transformX(m, x, y), transformY(m, x, y), 0, dot);
+    };
+
+    DxfDrawer.prototype.drawPoint = function (e, m, style) {
+        this.drawDot(e.num(10, 0), e.num(20, 0), m, style);
+    };
+
+    //Draws a circular arc given in entity coordinates, counterclockwise from start to end (radians)
+    DxfDrawer.prototype.drawArc = function (cx, cy, radius, start, end, m, style) {
+
+        if (end < start)
+            end += TAU;
+
+        var sim = getSimilarity(m);
+        if (sim) {
+            var x = transformX(m, cx, cy), y = transformY(m, cx, cy);
+            var rotation = Math.atan2(m[1], m[0]);
+            var full = end - start >= TAU - 1e-9;
+
+            if (full)
+                this.builder.addCircle(x, y, radius * sim.scale, style);
+            else if (sim.mirrored)
+                this.builder.addArc(x, y, radius * sim.scale, rotation - end, rotation - start, style);
+            else
+                this.builder.addArc(x, y, radius * sim.scale, start + rotation, end + rotation, style);
+            return;
+        }
+
+        //Non-uniformly scaled arcs become elliptical
+        var points = tessellateEllipse(cx, cy, radius, 0, 1, start, end);
+        this.builder.addPolyline(transformPoints(m, points), false, style);
+    };
+
+    DxfDrawer.prototype.drawCircleOrArc = function (e, m, style) {
+        var start = 0, end = TAU;
+        if (e.type === "ARC") {
+            start = e.num(50, 0) * DEG_TO_RAD;
+            end = e.num(51, 360) * DEG_TO_RAD;
+        }
+        this.drawArc(e.num(10, 0), e.num(20, 0), e.num(40, 0), start, end, m, style);
+    };
+
+    DxfDrawer.prototype.drawEllipse = function (e, m, style) {
+        var start = e.num(41, 0), end = e.num(42, TAU);
+        if (end <= start)
+            end += TAU;
+        var points = tessellateEllipse(e.num(10, 0), e.num(20, 0), e.num(11, 1), e.num(21, 0), e.num(40, 1), start, end);
+        var closed = end - start >= TAU - 1e-9;
+        if (closed)
+            points.length -= 2;
+        this.builder.addPolyline(transformPoints(m, points), closed, style);
+    };
+
+    //Draws polyline vertices { x, y, bulge }, keeping the arc segments as arcs if possible
+    DxfDrawer.prototype.drawBulgePolyline = function (vertices, closed, m, style) {
+
+        var n = vertices.length;
+        if (!n)
+            return;
+
+        if (n === 1) {
+            this.drawDot(vertices[0].x, vertices[0].y, m, style);
+            return;
+        }
+
+        var hasBulges = vertices.some(function (v) { return v.bulge; });
+        if (!hasBulges || !getSimilarity(m)) {
+            this.builder.addPolyline(transformPoints(m, appendBulgePolyline([], vertices, closed)), closed, style);
+            return;
+        }
+
+        //Straight runs are drawn as polylines, bulges as arcs
+        var run = [];
+        var segments = closed ? n : n - 1;
+        for (var i = 0; i < segments; i++) {
+            var v1 = vertices[i], v2 = vertices[(i + 1) % n];
+
+            if (!v1.bulge) {
+                if (!run.length)
+                    run.push(v1.x, v1.y);
+                run.push(v2.x, v2.y);
+                continue;
+            }
+
+            if (run.length) {
+                this.builder.addPolyline(transformPoints(m, run), false, style);
+                run = [];
+            }
+
+            var arc = getBulgeArc(v1.x, v1.y, v2.x, v2.y, v1.bulge);
+            this.drawArc(arc.cx, arc.cy, arc.radius, arc.start, arc.end, m, style);
+        }
+
+        if (run.length)
+            this.builder.addPolyline(transformPoints(m, run), false, style);
+    };
+
+    function readLwPolylineVertices(e) {
+        var vertices = [];
+        var v = null;
+        for (var i = 0; i < e.codes.length; i++) {
+            var code = e.codes[i];
+            if (code === 10) {
+                v = { x: parseFloat(e.values[i]), y: 0, bulge: 0 };
+                vertices.push(v);
+            } else if (v && code === 20) {
+                v.y = parseFloat(e.values[i]);
+            } else if (v && code === 42) {
+                v.bulge = parseFloat(e.values[i]) || 0;
+            }
+        }
+        return vertices;
+    }
+
+    DxfDrawer.prototype.drawLwPolyline = function (e, m, style) {
+        //Constant width polylines have a width in drawing units
+        var width = e.num(43, 0);
+        if (width > 0) {
+            style = Object.create(style);
+            style.lineWidth = width * (getSimilarity(m) || { scale: 1 }).scale;
+        }
+        this.drawBulgePolyline(readLwPolylineVertices(e), !!(e.int(70, 0) & 1), m, style);
+    };
+
+    DxfDrawer.prototype.drawPolyline = function (e, m, style) {
+
+        var flags = e.int(70, 0);
+        var vertices = e.vertices;
+        var i;
+
+        //Polyface meshes: draw the visible face edges
+        if (flags & 64) {
+            var positions = [];
+            for (i = 0; i < vertices.length; i++) {
+                var vf = vertices[i].int(70, 0);
+                if (vf & 64)
+                    positions.push(vertices[i].num(10, 0), vertices[i].num(20, 0));
+            }
+            transformPoints(m, positions);
+
+            for (i = 0; i < vertices.length; i++) {
+                var face = vertices[i];
+                if ((face.int(70, 0) & 192) !== 128)
+                    continue;
+                var idx = [face.int(71, 0), face.int(72, 0), face.int(73, 0), face.int(74, 0)].filter(function (k) { return k; });
+                for (var k = 0; k < idx.length; k++) {
+                    //Negative indices mark invisible edges
+                    if (idx[k] < 0)
+                        continue;
+                    var a = Math.abs(idx[k]) - 1, b = Math.abs(idx[(k + 1) % idx.length]) - 1;
+                    if (a * 2 + 1 < positions.length && b * 2 + 1 < positions.length)
+                        this.builder.addLine(positions[2 * a], positions[2 * a + 1], positions[2 * b], positions[2 * b + 1], style);
+                }
+            }
+            return;
+        }
+
+        //Polygon meshes: draw the M x N grid
+        if (flags & 16) {
+            var mCount = e.int(71, 0), nCount = e.int(72, 0);
+            var grid = [];
+            for (i = 0; i < vertices.length; i++)
+                grid.push(vertices[i].num(10, 0), vertices[i].num(20, 0));
+            transformPoints(m, grid);
+
+            for (var row = 0; row < mCount; row++) {
+                for (var col = 0; col < nCount; col++) {
+                    var p = row * nCount + col;
+                    if (col + 1 < nCount && 2 * p + 3 < grid.length)
+                        this.builder.addLine(grid[2 * p], grid[2 * p + 1], grid[2 * p + 2], grid[2 * p + 3], style);
+                    var q = p + nCount;
+                    if (row + 1 < mCount && 2 * q + 1 < grid.length)
+                        this.builder.addLine(grid[2 * p], grid[2 * p + 1], grid[2 * q], grid[2 * q + 1], style);
+                }
+            }
+            return;
+        }
+
+        //2D polylines are in object coordinates, 3D polylines (flag 8) in world coordinates
+        if (!(flags & 8))
+            m = getObjectTransform(e, m);
+
+        var points = [];
+        for (i = 0; i < vertices.length; i++) {
+            var v = vertices[i];
+            //Skip the frame control points of spline fit polylines
+            if (v.int(70, 0) & 16)
+                continue;
+            points.push({ x: v.num(10, 0), y: v.num(20, 0), bulge: v.num(42, 0) });
+        }
+
+        var width = e.num(40, 0);
+        if (width > 0 && width === e.num(41, 0)) {
+            style = Object.create(style);
+            style.lineWidth = width * (getSimilarity(m) || { scale: 1 }).scale;
+        }
+
+        this.drawBulgePolyline(points, !!(flags & 1), m, style);
+    };
+
+    DxfDrawer.prototype.drawSpline = function (e, m, style) {
+        var control = [], fit = [], knots = [], weights = [];
+
+        for (var i = 0; i < e.codes.length; i++) {
+            var code = e.codes[i], value = parseFloat(e.values[i]);
+            if (code === 10) control.push(value, 0);
+            else if (code === 20) control[control.length - 1] = value;
+            else if (code === 11) fit.push(value, 0);
+            else if (code === 21) fit[fit.length - 1] = value;
+            else if (code === 40) knots.push(value);
+            else if (code === 41) weights.push(value);
+        }
+
+        var closed = !!(e.int(70, 0) & 1);
+        var points;
+        if (control.length >= 4)
+            points = tessellateSpline(e.int(71, 3), knots, control, weights);
+        else
+            points = fit; //Splines defined by fit points only are approximated by their fit polyline
+
+        if (points.length >= 4)
+            this.builder.addPolyline(transformPoints(m, points), closed && control.length < 4, style);
+    };
+
+    DxfDrawer.prototype.drawLeader = function (e, m, style) {
+        var points = [];
+        for (var i = 0; i < e.codes.length; i++) {
+            if (e.codes[i] === 10) points.push(parseFloat(e.values[i]), 0);
+            else if (e.codes[i] === 20) points[points.length - 1] = parseFloat(e.values[i]);
+        }
+        if (points.length >= 4)
+            this.builder.addPolyline(transformPoints(m, points), false, style);
+    };
+
+    DxfDrawer.prototype.drawSolid = function (e, m, style) {
+        //The corners are in "Z" order: 1-2 is one edge, 3-4 the opposite one
+        var p = [e.num(10, 0), e.num(20, 0), e.num(11, 0), e.num(21, 0),
+                 e.num(13, e.num(12, 0)), e.num(23, e.num(22, 0)), e.num(12, 0), e.num(22, 0)];
+        this.builder.addFill([transformPoints(m, p)], style);
+    };
+
+    DxfDrawer.prototype.drawFace = function (e, m, style) {
+        var p = transformPoints(m, [e.num(10, 0), e.num(20, 0), e.num(11, 0), e.num(21, 0),
+                                    e.num(12, 0), e.num(22, 0), e.num(13, e.num(12, 0)), e.num(23, e.num(22, 0))]);
+        //Bits of group 70 hide edges
+        var hidden = e.int(70, 0);
+        for (var i = 0; i < 4; i++) {
+            var j = (i + 1) % 4;
+            if (!(hidden & (1 << i)) && (p[2 * i] !== p[2 * j] || p[2 * i + 1] !== p[2 * j + 1]))
+                this.builder.addLine(p[2 * i], p[2 * i + 1], p[2 * j], p[2 * j + 1], style);
+        }
+    };
+
+
+    //Draws one line of text at a point in entity coordinates. The transform
+    //can rotate and scale the text, but mirrored text still reads left to right.
+    DxfDrawer.prototype.drawTextLine = function (text, x, y, height, rotation, widthFactor, oblique, m, style) {
+
+        var dirX = Math.cos(rotation), dirY = Math.sin(rotation);
+        var ux = m[0] * dirX + m[2] * dirY, uy = m[1] * dirX + m[3] * dirY;
+        var vx = -m[0] * dirY + m[2] * dirX, vy = -m[1] * dirY + m[3] * dirX;
+        var su = Math.sqrt(ux * ux + uy * uy), sv = Math.sqrt(vx * vx + vy * vy);
+
+        if (!su || !sv)
+            return;
+
+        this.builder.addText(text, transformX(m, x, y), transformY(m, x, y), height * sv,
+                             Math.atan2(uy, ux), widthFactor * su / sv, oblique, style);
+    };
+
+    DxfDrawer.prototype.drawText = function (e, m, style) {
+
+        //Invisible attributes
+        if (e.type === "ATTRIB" && (e.int(70, 0) & 1))
+            return;
+
+        var text = decodeSpecialCharacters(e.get(1, ""));
+        if (!text.trim())
+            return;
+
+        var textStyle = this.dxf.styles[(e.get(7) || "STANDARD").toUpperCase()];
+        var height = e.num(40, textStyle ? textStyle.num(40, 0) : 0) || 1;
+        var widthFactor = e.num(41, textStyle ? textStyle.num(41, 1) : 1) || 1;
+        var oblique = e.num(51, textStyle ? textStyle.num(50, 0) : 0) * DEG_TO_RAD;
+        var rotation = e.num(50, 0) * DEG_TO_RAD;
+
+        var hAlign = e.int(72, 0);
+        var vAlign = e.int(e.type === "ATTRIB" ? 74 : 73, 0);
+
+        var x1 = e.num(10, 0), y1 = e.num(20, 0);
+        var x2 = e.num(11, x1), y2 = e.num(21, y1);
+
+        var width = StrokeFont.getTextWidth(text, height, widthFactor);
+
+        //"Aligned" and "fit" text stretches between the two alignment points
+        if ((hAlign === 3 || hAlign === 5) && (x2 !== x1 || y2 !== y1)) {
+            var length = Math.sqrt((x2 - x1) * (x2 - x1) + (y2 - y1) * (y2 - y1));
+            rotation = Math.atan2(y2 - y1, x2 - x1);
+            if (hAlign === 3)
+                height *= length / width;
+            else
+                widthFactor *= length / width;
+            this.drawTextLine(text, x1, y1, height, rotation, widthFactor, oblique, m, style);
+            return;
+        }
+
+        var anchorX = (hAlign || vAlign) ? x2 : x1;
+        var anchorY = (hAlign || vAlign) ? y2 : y1;
+
+        var dx = 0, dy = 0;
+        if (hAlign === 1 || hAlign === 4)
+            dx = -width / 2;
+        else if (hAlign === 2)
+            dx = -width;
+
+        if (vAlign === 1)
+            dy = StrokeFont.DESCENT_RATIO * height;
+        else if (vAlign === 2 || (hAlign === 4 && !vAlign))
+            dy = -height / 2;
+        else if (vAlign === 3)
+            dy = -height;
+
+        var c = Math.cos(rotation), s = Math.sin(rotation);
+        this.drawTextLine(text, anchorX + dx * c - dy * s, anchorY + dx * s + dy * c, height, rotation, widthFactor, oblique, m, style);
+    };
+
+    DxfDrawer.prototype.drawMText = function (e, m, style) {
+
+        //The contents can be split into several groups 3, followed by group 1
+        var contents = e.getAll(3).join("") + e.get(1, "");
+        var lines = getMTextLines(contents);
+
+        var height = e.num(40, 1) || 1;
+        var lineHeight = height * 5 / 3 * e.num(44, 1);
+
+        var rotation = e.num(50, 0) * DEG_TO_RAD;
+        if (e.get(11) !== undefined)
+            rotation = Math.atan2(e.num(21, 0), e.num(11, 1));
+
+        //Attachment point: 1 to 9 for top left to bottom right
+        var attachment = e.int(71, 1) - 1;
+        var column = attachment % 3;
+        var row = (attachment / 3) | 0;
+
+        var totalHeight = height + (lines.length - 1) * lineHeight;
+        var top = (row === 0) ? 0 : (row === 1 ? totalHeight / 2 : totalHeight);
+
+        var x = e.num(10, 0), y = e.num(20, 0);
+        var c = Math.cos(rotation), s = Math.sin(rotation);
+
+        for (var i = 0; i < lines.length; i++) {
+            var line = lines[i];
+            if (!line.trim())
+                continue;
+
+            var width = StrokeFont.getTextWidth(line, height, 1);
+            var dx = (column === 0) ? 0 : (column === 1 ? -width / 2 : -width);
+            var dy = top - height - i * lineHeight;
+
+            this.drawTextLine(line, x + dx * c - dy * s, y + dx * s + dy * c, height, rotation, 1, 0, m, style);
+        }
+    };
+
+
+    //Draws the entities of a block, with the style of the referencing entity for ByBlock properties
+    DxfDrawer.prototype.drawBlock = function (name, m, ctx, style) {
+
+        var block = this.dxf.blocks[name];
+        if (!block) {
+            if (name && !this.missingBlocks[name]) {
+                this.missingBlocks[name] = true;
+                Logger.warn("DXF block not found: " + name);
+            }
+            return;
+        }
+
+        if (ctx.depth >= MAX_INSERT_DEPTH) {
+            Logger.warn("DXF block references nested too deep, skipping block " + name);
+            return;
+        }
+
+        var blockCtx = {
+            m: m,
+            dbId: ctx.dbId,
+            blockLayer: style.layerRecord,
+            blockColor: style.rgb,
+            blockLineType: style.lineType,
+            blockLineWidth: style.lineWidth,
+            depth: ctx.depth + 1
+        };
+
+        var entities = block.entities;
+        for (var i = 0; i < entities.length; i++) {
+            //Attribute definitions are templates for the attributes of the block references
+            if (entities[i].type !== "ATTDEF")
+                this.drawEntity(entities[i], blockCtx);
+        }
+    };
+
+    DxfDrawer.prototype.drawInsert = function (e, ctx, style) {
+
+        var name = e.get(2, "");
+        var block = this.dxf.blocks[name];
+        var baseX = block ? block.num(10, 0) : 0;
+        var baseY = block ? block.num(20, 0) : 0;
+
+        var sx = e.num(41, 1), sy = e.num(42, 1);
+        var rotation = e.num(50, 0) * DEG_TO_RAD;
+        var c = Math.cos(rotation), s = Math.sin(rotation);
+
+        var columns = Math.max(1, e.int(70, 1)), rows = Math.max(1, e.int(71, 1));
+        var columnSpacing = e.num(44, 0), rowSpacing = e.num(45, 0);
+
+        var m = getObjectTransform(e, ctx.m);
+
+        for (var row = 0; row < rows; row++) {
+            for (var col = 0; col < columns; col++) {
+                //Array spacing is along the rotated, unscaled axes of the reference
+                var ox = col * columnSpacing, oy = row * rowSpacing;
+                var placement = [
+                    c * sx, s * sx, -s * sy, c * sy,
+                    e.num(10, 0) + ox * c - oy * s,
+                    e.num(20, 0) + ox * s + oy * c
+                ];
+                placement = multiply(placement, [1, 0, 0, 1, -baseX, -baseY]);
+                this.drawBlock(name, multiply(m, placement), ctx, style);
+            }
+        }
+
+        //Attributes are placed in the coordinates of the reference already
+        var attribs = e.attribs || [];
+        for (var i = 0; i < attribs.length; i++)
+            this.drawEntity(attribs[i], ctx);
+    };
+
+
+    //Reads the boundary loops of a hatch, tessellated to polygons in object coordinates
+    function readHatchBoundaries(e) {
+
+        var codes = e.codes, values = e.values;
+        var i = codes.indexOf(91);
+        if (i === -1)
+            return [];
+
+        function take(code) {
+            if (codes[i] === code)
+                return values[i++];
+            return undefined;
+        }
+
+        function num(code) {
+            return parseFloat(take(code)) || 0;
+        }
+
+        var loops = [];
+        var pathCount = parseInt(take(91), 10) || 0;
+
+        for (var p = 0; p < pathCount && i < codes.length; p++) {
+
+            var pathFlags = parseInt(take(92), 10) || 0;
+            var points = [];
+
+            if (pathFlags & 2) {
+                //Polyline boundary
+                var hasBulge = parseInt(take(72), 10) || 0;
+                take(73);
+                var count = parseInt(take(93), 10) || 0;
+                var vertices = [];
+                for (var k = 0; k < count; k++) {
+                    var v = { x: num(10), y: num(20), bulge: 0 };
+                    if (hasBulge)
+                        v.bulge = num(42);
+                    vertices.push(v);
+                }
+                appendBulgePolyline(points, vertices, true);
+            }
+            else {
+                var edgeCount = parseInt(take(93), 10) || 0;
+                for (var ed = 0; ed < edgeCount && i < codes.length; ed++) {
+                    var edgeType = parseInt(take(72), 10);
+                    var edge;
+
+                    if (edgeType === 1) {
+                        points.push(num(10), num(20), num(11), num(21));
+                    }
+                    else if (edgeType === 2 || edgeType === 3) {
+                        var cx = num(10), cy = num(20);
+                        var mx = 1, my = 0, ratio = 1, radius = 1;
+                        if (edgeType === 2) {
+                            radius = num(40);
+                        } else {
+                            mx = num(11); my = num(21); ratio = num(40);
+                        }
+                        var start = num(50) * DEG_TO_RAD, end = num(51) * DEG_TO_RAD;
+                        var ccw = parseInt(take(73), 10);
+
+                        //Clockwise arcs are stored with the angles of the mirrored arc
+                        if (!ccw) {
+                            start = -start;
+                            end = -end;
+                            if (end > start) end -= TAU;
+                        } else if (end < start) {
+                            end += TAU;
+                        }
+
+                        edge = tessellateEllipse(cx, cy, mx * radius, my * radius, ratio, start, end);
+                        Array.prototype.push.apply(points, edge);
+                    }
+                    else if (edgeType === 4) {
+                        var degree = parseInt(take(94), 10) || 3;
+                        var rational = parseInt(take(73), 10) || 0;
+                        take(74);
+                        var knotCount = parseInt(take(95), 10) || 0;
+                        var controlCount = parseInt(take(96), 10) || 0;
+                        var knots = [], control = [], weights = [];
+                        for (k = 0; k < knotCount; k++)
+                            knots.push(num(40));
+                        for (k = 0; k < controlCount; k++) {
+                            control.push(num(10), num(20));
+                            if (rational)
+                                weights.push(num(42) || 1);
+                        }
+                        var fitCount = parseInt(take(97), 10) || 0;
+                        var fit = [];
+                        for (k = 0; k < fitCount; k++)
+                            fit.push(num(11), num(21));
+                        take(12); take(22); take(13); take(23);
+
+                        edge = control.length >= 4 ? tessellateSpline(degree, knots, control, weights) : fit;
+                        Array.prototype.push.apply(points, edge);
+                    }
+                }
+            }
+
+            //Handles of the boundary objects
+            var sourceCount = parseInt(take(97), 10) || 0;
+            for (k = 0; k < sourceCount; k++)
+                take(330);
+
+            if (points.length >= 6)
+                loops.push(points);
+        }
+
+        return loops;
+    }
+
+    DxfDrawer.prototype.drawHatch = function (e, m, style) {
+
+        var loops = readHatchBoundaries(e);
+        if (!loops.length)
+            return;
+
+        for (var i = 0; i < loops.length; i++)
+            transformPoints(m, loops[i]);
+
+        if (!e.int(70, 0)) {
+            style = Object.create(style);
+            style.color = VertexBufferBuilder.toVertexColor(style.rgb, PATTERN_HATCH_OPACITY);
+        }
+
+        this.builder.addFill(loops, style);
+    };
+
+
+    //Properties shown for each entity in the property panel
+    DxfDrawer.prototype.getProperties = function (e) {
+
+        var props = [];
+        function add(name, value, category) {
+            if (value !== undefined && value !== null && value !== "")
+                props.push(PackageBuilder.createProperty(name, value, category || "General"));
+        }
+
+        add("Type", e.type);
+        add("Handle", e.get(5));
+        add("Layer", e.get(8, "0"));
+        add("Color", colorToString(e));
+        add("Linetype", e.get(6, "ByLayer"));
+
+        var lineweight = e.int(370, -1);
+        add("Lineweight", lineweight === -1 ? "ByLayer" : (lineweight === -2 ? "ByBlock" : (lineweight === -3 ? "Default" : lineweight / 100 + " mm")));
+
+        var dx, dy, vertices;
+
+        switch (e.type) {
+            case "LINE":
+                dx = e.num(11, 0) - e.num(10, 0);
+                dy = e.num(21, 0) - e.num(20, 0);
+                add("Length", Math.sqrt(dx * dx + dy * dy), "Geometry");
+                break;
+            case "CIRCLE":
+                add("Radius", e.num(40, 0), "Geometry");
+                add("Area", Math.PI * e.num(40, 0) * e.num(40, 0), "Geometry");
+                break;
+            case "ARC":
+                add("Radius", e.num(40, 0), "Geometry");
+                add("Start Angle", e.num(50, 0), "Geometry");
+                add("End Angle", e.num(51, 0), "Geometry");
+                break;
+            case "ELLIPSE":
+                dx = e.num(11, 1);
+                dy = e.num(21, 0);
+                add("Major Radius", Math.sqrt(dx * dx + dy * dy), "Geometry");
+                add("Minor Radius", Math.sqrt(dx * dx + dy * dy) * e.num(40, 1), "Geometry");
+                break;
+            case "LWPOLYLINE":
+            case "POLYLINE":
+                vertices = (e.type === "LWPOLYLINE") ? readLwPolylineVertices(e) : e.vertices.map(function (v) {
+                    return { x: v.num(10, 0), y: v.num(20, 0), bulge: v.num(42, 0) };
+                });
+                add("Vertices", vertices.length, "Geometry");
+                add("Closed", !!(e.int(70, 0) & 1), "Geometry");
+                add("Length", getPolylineLength(vertices, !!(e.int(70, 0) & 1)), "Geometry");
+                break;
+            case "TEXT":
+                add("Contents", decodeSpecialCharacters(e.get(1, "")), "Text");
+                add("Height", e.num(40, 0), "Text");
+                add("Style", e.get(7, "Standard"), "Text");
+                break;
+            case "MTEXT":
+                add("Contents", getMTextLines(e.getAll(3).join("") + e.get(1, "")).join("\n"), "Text");
+                add("Height", e.num(40, 0), "Text");
+                add("Style", e.get(7, "Standard"), "Text");
+                break;
+            case "INSERT":
+                add("Block", e.get(2), "Block");
+                add("Scale X", e.num(41, 1), "Block");
+                add("Scale Y", e.num(42, 1), "Block");
+                add("Rotation", e.num(50, 0), "Block");
+                (e.attribs || []).forEach(function (a) {
+                    add(a.get(2, "Attribute"), decodeSpecialCharacters(a.get(1, "")), "Attributes");
+                });
+                break;
+            case "DIMENSION":
+                add("Measurement", e.num(42), "Dimension");
+                add("Text Override", e.get(1), "Dimension");
+                break;
+            case "HATCH":
+                add("Pattern", e.get(2), "Hatch");
+                add("Solid Fill", !!e.int(70, 0), "Hatch");
+                break;
+        }
+
+        return props;
+    };
+
+
+    DxfLoader.prototype.parse = function (data, callback) {
+
+        var bytes = (data instanceof Uint8Array) ? data : new Uint8Array(data);
+
+        if (utf8ArrayToString(bytes, 0, Math.min(bytes.length, 22)) === "AutoCAD Binary DXF\r\n\u001a\u0000") {
+            callback("Binary DXF files are not supported.");
+            return;
+        }
+
+        var dxf = parseDxf(decodeText(bytes));
+
+        if (!dxf.entities.length) {
+            callback("No entities found in DXF file.");
+            return;
+        }
+
+        callback(null, this.buildPackage(dxf));
+    };
+
+
+    DxfLoader.prototype.buildPackage = function (dxf) {
+
+        var builder = new Package2DBuilder();
+
+        var version = dxf.header["$ACADVER"] ? dxf.header["$ACADVER"][1] : null;
+        var rootProps = [PackageBuilder.createProperty("Format", "DXF", "Drawing")];
+        if (version)
+            rootProps.push(PackageBuilder.createProperty("Version", version, "Drawing"));
+
+        var rootId = builder.addObject(0, this.getModelName(), PackageBuilder.NODE_TYPE_MODEL, rootProps, "root");
+
+        var drawer = new DxfDrawer(dxf, builder, rootId);
+
+        var skipped = {};
+        var paperSpace = 0;
+
+        for (var i = 0; i < dxf.entities.length; i++) {
+            var e = dxf.entities[i];
+
+            //Only model space is drawn
+            if (e.int(67, 0)) {
+                paperSpace++;
+                continue;
+            }
+
+            if (!ENTITY_NAMES[e.type]) {
+                skipped[e.type] = (skipped[e.type] || 0) + 1;
+                continue;
+            }
+
+            var layer = drawer.getLayer(e.get(8, "0"));
+            var name = (e.type === "INSERT") ? e.get(2, ENTITY_NAMES[e.type]) : ENTITY_NAMES[e.type];
+            var handle = e.get(5);
+
+            var dbId = builder.addObject(drawer.getLayerNode(layer), name, PackageBuilder.NODE_TYPE_GEOMETRY,
+                                         drawer.getProperties(e), handle ? "handle:" + handle : "entity:" + i);
+
+            drawer.drawEntity(e, {
+                m: IDENTITY,
+                dbId: dbId,
+                blockLayer: null,
+                blockColor: 0,
+                blockLineType: 0,
+                blockLineWidth: 0,
+                depth: 0
+            });
+        }
+
+        var skippedTypes = Object.keys(skipped);
+        if (skippedTypes.length)
+            Logger.warn("Unsupported DXF entities skipped: " + skippedTypes.map(function (t) { return t + " (" + skipped[t] + ")"; }).join(", "));
+        if (paperSpace)
+            Logger.log("DXF: skipped " + paperSpace + " paper space entities.");
+
+        var units = this.options.units;
+        if (!units && dxf.header["$INSUNITS"])
+            units = INSUNITS[dxf.header["$INSUNITS"][70]];
+
+        return builder.build(units || null);
+    };
+
+
+    FileLoaderManager.registerFileLoader("dxf", ["dxf"], DxfLoader);
+
+    return DxfLoader;
+});
@@ -0,0 +1,385 @@
+define([
+    '../DeviceType',
+    '../Logger',
+    '../Global',
+    '../EventType',
+    './ViewingService',
+    './Fn/pathToURL',
+    './Fn/initLoadContext',
+    './BufferGeometryUtils',
+    './LocalPropDbLoader',
+    './RenderModel',
+    './BVHBuilder'
+], function(
+    DeviceType,
+    Logger,
+    Global,
+    EventType,
+    ViewingService,
+    pathToURL,
+    initLoadContext,
+    BufferGeometryUtils,
+    LocalPropDbLoader,
+    RenderModel,
+    BVHBuilder
+) {
+    'use strict';
+
+    /**
+     * @constructor
+     * Common base for the loaders that download a single file and parse it on the
+     * main thread (glTF, OBJ, STL, ...). The subclass implements parse(), which turns
+     * the downloaded data into a package (see PackageBuilder). The base class then
+     * follows the same steps as SvfLoader: it creates the RenderModel, converts the
+     * materials, activates the fragments, builds the BVH and sets up the property database.
+     *
+     * Subclasses:
+     *   var MyLoader = function (parent) { FileLoaderBase.call(this, parent); };
+     *   MyLoader.prototype = Object.create(FileLoaderBase.prototype);
+     *   MyLoader.prototype.constructor = MyLoader;
+     *   MyLoader.prototype.parse = function (data, callback) { ... callback(null, svf); };
+     */
+    var FileLoaderBase = function (parent) {
+        this.viewer3DImpl = parent;
+        this.loading = false;
+        this.tmpMatrix = new THREE.Matrix4();
+
+        this.logger = Logger;
+        this.loadTime = 0;
+
+        this.loadHandle = null;
+        this.cancelled = false;
+    };
+
+    /**
+     * Response type requested for the model file. Text formats can override this with "text".
+     */
+    FileLoaderBase.prototype.responseType = "arraybuffer";
+
+    /**
+     * Human readable name of the format, used in log and error messages.
+     */
+    FileLoaderBase.prototype.formatName = "model";
+
+    FileLoaderBase.prototype.dtor = function () {
+        this.svf = null;
+        this.options = null;
+    };
+
+
+    FileLoaderBase.prototype.loadFile = function (path, options, onSuccess, onError, onWorkerStart) {
+        if (this.loading) {
+            Logger.log("Loading of " + this.formatName + " already in progress. Ignoring new request.");
+            return false;
+        }
+
+        this.dtor();
+
+        this.currentLoadPath = path;
+        this.svfUrn = path;
+        this.basePath = "";
+        var lastSlash = path.lastIndexOf("/");
+        if (lastSlash != -1)
+            this.basePath = path.substr(0, lastSlash + 1);
+
+        this.options = options || {};
+        this.loading = true;
+        this.cancelled = false;
+        this.t0 = Date.now();
+
+        var scope = this;
+
+        function onFailure(code, msg, httpStatus, httpStatusText) {
+            scope.loading = false;
+            Logger.error(scope.formatName + " load failed: " + msg);
+            if (onError)
+                onError(code, msg, httpStatus, httpStatusText);
+        }
+
+        this.fetchFile(path, this.responseType, function (data) {
+
+            if (scope.cancelled)
+                return;
+
+            if (scope.loadHandle)
+                scope.loadHandle.setProgress("manifest", 0.5);
+
+            if (onWorkerStart)
+                onWorkerStart();
+
+            try {
+                scope.parse(data, function (err, svf) {
+                    if (scope.cancelled)
+                        return;
+                    if (err) {
+                        onFailure(Global.ErrorCodes.BAD_DATA, err);
+                        return;
+                    }
+                    scope.onParseDone(svf, onSuccess);
+                });
+            } catch (e) {
+                onFailure(Global.ErrorCodes.BAD_DATA, "Failed to parse " + scope.formatName + ": " + e.toString());
+            }
+
+        }, function (httpStatus, httpStatusText, data) {
+
+            if (scope.cancelled)
+                return;
+
+            var code = (httpStatus === 404) ? Global.ErrorCodes.NETWORK_FILE_NOT_FOUND : Global.ErrorCodes.NETWORK_FAILURE;
+            onFailure(code, "Failed to download " + path, httpStatus, httpStatusText);
+        });
+
+        return true;
+    };
+
+
+    /**
+     * Stops loading. Parsing runs on the main thread, so the download and the
+     * parsing finish, but their result is dropped.
+     */
+    FileLoaderBase.prototype.cancel = function () {
+        this.cancelled = true;
+        this.loading = false;
+    };
+
+
+    /**
+     * Downloads a file relative to the model's location.
+     * Also used by subclasses for auxiliary files (e.g. glTF buffers or OBJ material libraries).
+     */
+    FileLoaderBase.prototype.fetchFile = function (path, responseType, onSuccess, onFailure) {
+
+        var loadContext = initLoadContext({});
+
+        ViewingService.getItem(loadContext, pathToURL(path), onSuccess, onFailure, {
+            responseType: responseType || "arraybuffer"
+        });
+    };
+
+
+    /**
+     * Returns the file name of the model without its extension, used to name the root node.
+     */
+    FileLoaderBase.prototype.getModelName = function () {
+        var path = (this.currentLoadPath || "").split("?")[0];
+        var name = path.substr(path.lastIndexOf("/") + 1);
+        var dot = name.lastIndexOf(".");
+        if (dot > 0)
+            name = name.substr(0, dot);
+        return decodeURIComponent(name) || this.formatName;
+    };
+
+
+    /**
+     * Parses the downloaded file. To be implemented by subclasses.
+     * @param {Uint8Array|string} data - contents of the model file, see responseType
+     * @param {function(string, Object)} callback - called with an error message, or with null and the package
+     */
+    FileLoaderBase.prototype.parse = function (data, callback) {
+        callback("parse() not implemented for " + this.formatName);
+    };
+
+    /**
+     * Called after the model is created, before the model materials get converted.
+     * Subclasses can use it to set up material or rendering state specific to the format.
+     */
+    FileLoaderBase.prototype.onModelCreated = function (model) {
+    };
+
+
+    FileLoaderBase.prototype.onParseDone = function (svf, onSuccess) {
+
+        this.svf = svf;
+
+        this.onModelRootLoadDone(svf);
+
+        if (onSuccess)
+            onSuccess(this.model);
+
+        this.viewer3DImpl.api.fireEvent({ type: EventType.MODEL_ROOT_LOADED_EVENT, svf: svf, model: this.model });
+
+        svf.loadDone = false;
+
+        this.activateMeshes();
+
+        this.onGeomLoadDone();
+
+        this.loading = false;
+    };
+
+
+    FileLoaderBase.prototype.onModelRootLoadDone = function (svf) {
+
+        svf.geomPolyCount = 0;
+        svf.instancePolyCount = 0;
+        svf.geomMemory = 0;
+        svf.fragments.numLoaded = 0;
+        svf.meshCount = 0;
+        svf.gpuNumMeshes = 0;
+        svf.gpuMeshMemory = 0;
+
+        svf.urn = this.svfUrn;
+        svf.basePath = this.basePath;
+        svf.loadOptions = this.options;
+
+        var t1 = Date.now();
+        this.loadTime += t1 - this.t0;
+        Logger.log(this.formatName + " parse: " + (t1 - this.t0));
+
+        //Create the API Model object and its render proxy
+        var model = this.model = new RenderModel(svf);
+        model.initialize(this);
+        model.loader = this;
+
+        //The parsers know nothing about placement, so the fragments are moved before any mesh is created
+        if (this.options.placementTransform)
+            model.setPlacementTransform(this.options.placementTransform);
+
+        this.onModelCreated(model);
+
+        this.loadPropertyDb();
+
+        this.viewer3DImpl.matman().convertMaterials(svf);
+
+        this.t0 = t1;
+
+        Logger.log("scene bounds: " + JSON.stringify(svf.bbox));
+
+        this.viewer3DImpl.signalProgress(5);
+        this.viewer3DImpl.invalidate(false, false);
+    };
+
+
+    /**
+     * Creates the GPU geometry for all meshes of the package and adds the fragments
+     * that use them to the model.
+     */
+    FileLoaderBase.prototype.activateMeshes = function () {
+
+        var svf = this.svf;
+        var fragments = svf.fragments;
+        var rm = this.model;
+
+        var lineMaterialId = svf.is2d ? this.create2DMaterial() : null;
+
+        for (var meshIndex = 0; meshIndex < svf.meshes.length; meshIndex++) {
+
+            var fragIndexes = fragments.mesh2frag[meshIndex];
+            if (fragIndexes === undefined) {
+                Logger.warn("Mesh " + meshIndex + " was not referenced by any fragments.");
+                continue;
+            }
+            if (!Array.isArray(fragIndexes))
+                fragIndexes = [fragIndexes];
+
+            var mdata = {
+                mesh: svf.meshes[meshIndex],
+                is2d: svf.is2d
+            };
+
+            BufferGeometryUtils.meshToGeometry(mdata);
+
+            rm.getGeometryList().addGeometry(mdata.geometry, fragIndexes.length);
+
+            for (var i = 0; i < fragIndexes.length; i++) {
+                var fragId = fragIndexes[i];
+
+                rm.getFragmentList().getOriginalWorldMatrix(fragId, this.tmpMatrix);
+
+                var materialId = lineMaterialId || fragments.materials[fragId].toString();
+
+                var m = this.viewer3DImpl.setupMesh(rm, mdata.geometry, materialId, this.tmpMatrix);
+
+                rm.activateFragment(fragId, m, false);
+            }
+
+            fragments.numLoaded += fragIndexes.length;
+        }
+
+        svf.instancePolyCount = rm.getGeometryList().instancePolyCount;
+
+        //The model owns the geometry now
+        svf.meshes = null;
+        fragments.mesh2frag = null;
+
+        this.viewer3DImpl.invalidate(false, true);
+    };
+
+
+    /**
+     * 2D drawings are drawn with the LineShader material, which can only be created
+     * once Viewer3DImpl.addModel has set up the layers texture for the model.
+     * @returns {string} the material id
+     */
+    FileLoaderBase.prototype.create2DMaterial = function () {
+        var matman = this.viewer3DImpl.matman();
+
+        if (this.svf.hasLineStyles && !matman.lineStyleTex)
+            matman.initLineStyleTexture();
+
+        return matman.create2DMaterial(this.svf, { skipEllipticals: true });
+    };
+
+
+    FileLoaderBase.prototype.makeBVH = function (svf) {
+        var t0 = performance.now();
+        var mats = svf.materials ? svf.materials["materials"] : null;
+        svf.bvh = new BVHBuilder(svf.fragments, mats);
+        svf.bvh.build(this.options.bvhOptions || { isWeakDevice: DeviceType.isMobileDevice });
+        var t1 = performance.now();
+        Logger.log("BVH build time: " + (t1 - t0));
+    };
+
+
+    FileLoaderBase.prototype.onGeomLoadDone = function () {
+        this.svf.loadDone = true;
+
+        this.viewer3DImpl.matman().loadTextures(this.svf);
+
+        var t1 = Date.now();
+        this.loadTime += t1 - this.t0;
+        Logger.log("Fragments load time: " + (t1 - this.t0));
+
+        //2D models are drawn in order, so they get no BVH
+        if (!this.svf.is2d && this.svf.fragments.length) {
+            this.makeBVH(this.svf);
+            this.model.setBVH(this.svf.bvh.nodes, this.svf.bvh.primitives, this.options.bvhOptions);
+        }
+
+        //Layers that are switched off in the file start out hidden
+        if (this.svf.is2d && this.svf.hiddenLayers && this.svf.hiddenLayers.length)
+            this.viewer3DImpl.setLayerVisible(this.svf.hiddenLayers, false);
+
+        var modelStats = {
+            category: "model_load_stats",
+            is_f2d: !!this.svf.is2d,
+            format: this.formatName,
+            load_time: this.loadTime,
+            geometry_size: this.model.getGeometryList().geomMemory,
+            meshes_count: this.model.getGeometryList().geoms.length,
+            fragments_count: this.model.getFragmentList().getCount(),
+            urn: this.svfUrn
+        };
+        Logger.track(modelStats, true);
+
+        this.currentLoadPath = null;
+
+        this.viewer3DImpl.onLoadComplete(this.model);
+    };
+
+
+    FileLoaderBase.prototype.loadPropertyDb = function () {
+        this.svf.propWorker = new LocalPropDbLoader(this.model, this.viewer3DImpl.api);
+        this.svf.propWorker.load();
+    };
+
+
+    //All geometry is in memory once the file is parsed, so there is
+    //nothing to load on demand. Called by FragmentList.requireGeometry.
+    FileLoaderBase.prototype.loadGeometryPackOnDemand = function (packId) {
+    };
+
+
+    return FileLoaderBase;
+});
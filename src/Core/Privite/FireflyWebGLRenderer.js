@@ -2607,6 +2607,8 @@ define([
 
             if (object instanceof THREE.Mesh) {
 
+                var mode = geometry.isPoints ? _gl.POINTS : (geometry.isLines ? _gl.LINES : _gl.TRIANGLES);
+
                 var index = geometryAttributes.index;
 
                 // indexed triangles
@@ -2659,9 +2661,9 @@ define([
 
                         // render indexed triangles
                         if (geometry.numInstances)
-                            _glExtensionInstancedArrays.drawElementsInstancedANGLE(geometry.isLines ? _gl.LINES : _gl.TRIANGLES, count, type, startOffset * size, geometry.numInstances); // 2 bytes per Uint16
+                            _glExtensionInstancedArrays.drawElementsInstancedANGLE(mode, count, type, startOffset * size, geometry.numInstances); // 2 bytes per Uint16
                         else
-                            _gl.drawElements(geometry.isLines ? _gl.LINES : _gl.TRIANGLES, count, type, startOffset * size); // 2 bytes per Uint16
+                            _gl.drawElements(mode, count, type, startOffset * size); // 2 bytes per Uint16
 
                     } while (offsets && ++i < offsets.length);
 
@@ -2678,9 +2680,9 @@ define([
 
                     // render non-indexed triangles
                     if (geometry.numInstances)
-                        _glExtensionInstancedArrays.drawArraysInstancedANGLE(geometry.isLines ? _gl.LINES : _gl.TRIANGLES, 0, position.array.length / 3, geometry.numInstances);
+                        _glExtensionInstancedArrays.drawArraysInstancedANGLE(mode, 0, position.array.length / 3, geometry.numInstances);
                     else
-                        _gl.drawArrays(geometry.isLines ? _gl.LINES : _gl.TRIANGLES, 0, position.array.length / position.itemSize);
+                        _gl.drawArrays(mode, 0, position.array.length / position.itemSize);
 
                 }
             }
@@ -3801,7 +3803,7 @@ define([
             MeshPhongMaterial: 'firefly_phong',
             LineBasicMaterial: 'firefly_basic',
             LineDashedMaterial: 'dashed',
-            PointCloudMaterial: 'particle_basic'
+            PointCloudMaterial: 'firefly_points'
         };
 
         function initMaterial(material, lights, fog, object) {
@@ -4175,6 +4177,10 @@ define([
                     refreshUniformsLine(m_uniforms, material);
                     refreshUniformsDash(m_uniforms, material);
 
+                } else if (material instanceof THREE.PointCloudMaterial) {
+
+                    refreshUniformsPointCloud(m_uniforms, material);
+
                 } else if (material instanceof THREE.MeshPhongMaterial) {
 
                     refreshUniformsPhong(m_uniforms, material);
@@ -4386,6 +4392,17 @@ define([
 
         }
 
+        function refreshUniformsPointCloud(uniforms, material) {
+
+            uniforms.diffuse.value = material.color;
+            uniforms.opacity.value = material.opacity;
+            uniforms.size.value = material.size;
+
+            //Half the height of the render target, converts normalized device units to pixels
+            uniforms.scale.value = 0.5 * (_currentHeight || _viewportHeight);
+
+        }
+
         function refreshUniformsDash(uniforms, material) {
 
             uniforms.dashSize.value = material.dashSize;
@@ -12,7 +12,8 @@ define([
     '../../Three/pvrLoader',
     '../../Logger',
     './initializeLocalization',
-    './initializeUserInfo'
+    './initializeUserInfo',
+    '../AssetCache'
 ], function(
     Global, 
     Privite_Global,
@@ -27,7 +28,8 @@ define([
     pvrLoader,
     Logger,
     initializeLocalization,
-    initializeUserInfo
+    initializeUserInfo,
+    AssetCache
 ) {
     'use strict';
     /**
@@ -58,6 +60,8 @@ define([
      *  @param {string} [options.language] - Preferred language code as defined in RFC 4646, such as "en", "de", "fr", etc.
      *  If no language is set, viewer will pick it up from the browser. If language is not as defined in RFC,
      *  viewer will fall back to "en" but the behavior is undefined.
+     *  @param {object} [options.assetCache] - Keeps the files of opened models in IndexedDB, so that they open again
+     *                                         without network. See AssetCache.configure for the settings, e.g. { maxSize: 1024 * 1024 * 1024 }.
      *
      *  @param {function} callback - A method the client executes when initialization is finished.
      *
@@ -111,6 +115,9 @@ define([
                 initializeUserInfo(options);
             }
 
+            if (options && options.assetCache)
+                AssetCache.configure(options.assetCache);
+
             //Kick off a request for the web worker script, so it loads in parallel with three.js
             initWorkerScript();
 
@@ -215,8 +215,9 @@ define([
             if (!skipStateTracking) {
                 _client.addEventListener("viewerState", onViewerState);
 
-                if (!_viewer.hasEventListener(EventType.SELECTION_CHANGED_EVENT, sendViewerState)) {
-                    _viewer.addEventListener(EventType.SELECTION_CHANGED_EVENT, sendViewerState);
+                //The state has the selection of the main model, which can change with more models loaded
+                if (!_viewer.hasEventListener(EventType.AGGREGATE_SELECTION_CHANGED_EVENT, sendViewerState)) {
+                    _viewer.addEventListener(EventType.AGGREGATE_SELECTION_CHANGED_EVENT, sendViewerState);
                     _viewer.addEventListener(EventType.ISOLATE_EVENT, sendViewerState);
                     _viewer.addEventListener(EventType.HIDE_EVENT, sendViewerState);
                     _viewer.addEventListener(EventType.SHOW_EVENT, sendViewerState);
@@ -240,7 +241,7 @@ define([
             if (_viewer) {
                 _viewer.removeEventListener(EventType.CAMERA_CHANGE_EVENT, sendCamera);
 
-                _viewer.removeEventListener(EventType.SELECTION_CHANGED_EVENT, sendViewerState);
+                _viewer.removeEventListener(EventType.AGGREGATE_SELECTION_CHANGED_EVENT, sendViewerState);
                 _viewer.removeEventListener(EventType.ISOLATE_EVENT, sendViewerState);
                 _viewer.removeEventListener(EventType.HIDE_EVENT, sendViewerState);
                 _viewer.removeEventListener(EventType.SHOW_EVENT, sendViewerState);
@@ -0,0 +1,44 @@
+define(function() {
+    'use strict';
+    /**
+     * Converts a length, an area ("m^2") or a volume ("m^3") from units to units.
+     * Unlike convertUnits, units that are not known lengths are not taken for meters.
+     * Must not reference anything outside the function body, since PropertyQuery
+     * serializes it into the property worker.
+     * @param {number} value
+     * @param {string} fromUnits - e.g. "ft^2"
+     * @param {string} toUnits - e.g. "m^2"
+     * @returns {number} NaN if either units is not a known length unit, or the powers differ.
+     */
+    return function (value, fromUnits, toUnits) {
+
+        if (fromUnits === toUnits)
+            return value;
+
+        var METERS = {
+            "mm": 0.001,
+            "cm": 0.01,
+            "m": 1,
+            "m-and-cm": 1,
+            "in": 0.0254,
+            "decimal-in": 0.0254,
+            "fractional-in": 0.0254,
+            "ft": 0.3048,
+            "decimal-ft": 0.3048,
+            "ft-and-fractional-in": 0.3048,
+            "ft-and-decimal-in": 0.3048
+        };
+
+        //Linear units and power
+        function parse(units) {
+            var m = /^(.*)\^([23])$/.exec(units || "");
+            return m ? { base: m[1], power: parseInt(m[2]) } : { base: units || "", power: 1 };
+        }
+
+        var from = parse(fromUnits), to = parse(toUnits);
+        if (from.power !== to.power || !METERS.hasOwnProperty(from.base) || !METERS.hasOwnProperty(to.base))
+            return NaN;
+
+        return value * Math.pow(METERS[from.base] / METERS[to.base], from.power);
+    };
+});
@@ -0,0 +1,32 @@
+define(function() {;
+    'use strict'
+    /**
+    * Saves a file created in the browser, like an export, through the browser's download.
+    * @param {Blob} blob - the file contents
+    * @param {string} fileName - suggested name of the saved file
+    */
+    var downloadBlob = function (blob, fileName) {
+
+        //IE and old Edge
+        if (window.navigator && window.navigator.msSaveOrOpenBlob) {
+            window.navigator.msSaveOrOpenBlob(blob, fileName);
+            return;
+        }
+
+        var url = URL.createObjectURL(blob);
+        var link = document.createElement("a");
+        link.href = url;
+        link.download = fileName;
+        link.style.display = "none";
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        //Give the download a chance to start before releasing the data
+        setTimeout(function () {
+            URL.revokeObjectURL(url);
+        }, 1000);
+    };
+
+    return downloadBlob;
+});
@@ -0,0 +1,55 @@
+define(['../Global'], function(Privite_Global) {;
+    'use strict'
+    /**
+    * Collects the fragments of a model, or of some of its nodes, for the exporters.
+    * @param {RenderModel} model
+    * @param {number[]} [dbIds] - nodes to collect, including their children. All fragments if omitted.
+    * @param {boolean} [visibleOnly] - skip hidden and ghosted fragments
+    * @returns {number[]} fragment ids, without duplicates.
+    */
+    var getNodeFragIds = function (model, dbIds, visibleOnly) {
+
+        var frags = model.getFragmentList();
+        var data = model.getData();
+        var fragIds = [];
+        var seen = {};
+
+        function add(fragId) {
+            if (seen[fragId])
+                return;
+            seen[fragId] = true;
+
+            if (visibleOnly &&
+                (!frags.isFlagSet(fragId, Privite_Global.MESH_VISIBLE) || frags.isFragOff(fragId)))
+                return;
+
+            fragIds.push(fragId);
+        }
+
+        if (!dbIds) {
+            for (var i = 0, count = frags.getCount(); i < count; i++)
+                add(i);
+            return fragIds;
+        }
+
+        var it = data.instanceTree;
+        var dbId2fragId = data.fragments.dbId2fragId;
+
+        dbIds.forEach(function (dbId) {
+            if (it) {
+                it.enumNodeFragments(dbId, add, true);
+            } else if (dbId2fragId) {
+                //Models without an instance tree, like 2D sheets
+                var f = dbId2fragId[dbId];
+                if (Array.isArray(f))
+                    f.forEach(add);
+                else if (f !== undefined)
+                    add(f);
+            }
+        });
+
+        return fragIds;
+    };
+
+    return getNodeFragIds;
+});
@@ -3,10 +3,23 @@ define([
     '../../Global',
     './initLoadContext',
     '../../Logger',
-    '../ViewingService'
-], function(urlIsApiViewingOrDev, Global, initLoadContext, Logger, ViewingService) {
+    '../ViewingService',
+    '../LocalArchives'
+], function(urlIsApiViewingOrDev, Global, initLoadContext, Logger, ViewingService, LocalArchives) {
     'use strict';
     function loadTextureWithSecurity(path, mapping, callback, acmSessionId) {
+
+        //Textures of models opened from the local disk
+        var archivePath = LocalArchives.resolve(path);
+        if (archivePath !== path) {
+            if (!archivePath) {
+                Logger.error("Texture not found: " + path);
+                return new THREE.Texture(undefined, mapping);
+            }
+            if (/\.dds$/i.test(path.replace(/[?#].*$/, "")))
+                return new THREE.DDSLoader().load(archivePath, callback);
+            return THREE.ImageUtils.loadTexture(archivePath, mapping, callback);
+        }
         
         if (auth) {
             // TODO: We should actually ALSO consider the case where texture is being loaded from
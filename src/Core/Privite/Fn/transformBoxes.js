@@ -0,0 +1,34 @@
+define(function() {;
+    'use strict'
+    //Transforms boxes stored as 6 floats each (min xyz, max xyz), in place.
+    //Each box is replaced by the box around its transformed corners.
+    return (function () {
+
+        var box;
+
+        return function (boxes, matrix) {
+
+            if (!box)
+                box = new THREE.Box3();
+
+            for (var off = 0; off + 6 <= boxes.length; off += 6) {
+
+                //Empty boxes stay empty
+                if (boxes[off] > boxes[off + 3])
+                    continue;
+
+                box.min.set(boxes[off], boxes[off + 1], boxes[off + 2]);
+                box.max.set(boxes[off + 3], boxes[off + 4], boxes[off + 5]);
+                box.applyMatrix4(matrix);
+
+                boxes[off] = box.min.x;
+                boxes[off + 1] = box.min.y;
+                boxes[off + 2] = box.min.z;
+                boxes[off + 3] = box.max.x;
+                boxes[off + 4] = box.max.y;
+                boxes[off + 5] = box.max.z;
+            }
+        };
+
+    })();
+});
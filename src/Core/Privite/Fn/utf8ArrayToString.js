@@ -0,0 +1,56 @@
+define(function() {;
+    'use strict'
+    /**
+    * Decodes UTF-8 encoded bytes into a string.
+    * Used by the loaders that parse text based formats on the main thread.
+    * @param {Uint8Array} array - the encoded bytes
+    * @param {number} [start] - offset of the first byte to decode
+    * @param {number} [length] - number of bytes to decode
+    * @returns {string} - the decoded string.
+    */
+    return function (array, start, length) {
+
+        start = start || 0;
+        var end = (length === undefined) ? array.length : start + length;
+
+        if (typeof TextDecoder !== "undefined") {
+            return new TextDecoder("utf-8").decode(array.subarray(start, end));
+        }
+
+        var chars = [];
+        var str = "";
+        var i = start;
+
+        //Skip the byte order mark, if any
+        if (array[i] === 0xEF && array[i + 1] === 0xBB && array[i + 2] === 0xBF)
+            i += 3;
+
+        while (i < end) {
+            var c = array[i++];
+            var code;
+
+            if (c < 0x80) {
+                code = c;
+            } else if (c < 0xE0) {
+                code = ((c & 0x1F) << 6) | (array[i++] & 0x3F);
+            } else if (c < 0xF0) {
+                code = ((c & 0x0F) << 12) | ((array[i++] & 0x3F) << 6) | (array[i++] & 0x3F);
+            } else {
+                code = ((c & 0x07) << 18) | ((array[i++] & 0x3F) << 12) | ((array[i++] & 0x3F) << 6) | (array[i++] & 0x3F);
+                code -= 0x10000;
+                chars.push(0xD800 + (code >> 10));
+                code = 0xDC00 + (code & 0x3FF);
+            }
+
+            chars.push(code);
+
+            //Flush in chunks to stay below the argument count limit of apply()
+            if (chars.length >= 8192) {
+                str += String.fromCharCode.apply(null, chars);
+                chars.length = 0;
+            }
+        }
+
+        return str + String.fromCharCode.apply(null, chars);
+    };
+});
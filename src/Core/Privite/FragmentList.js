@@ -1,7 +1,8 @@
 define([
     './Global',
-    '../Logger'
-], function(Privite_Global, Logger) {
+    '../Logger',
+    './Fn/transformBoxes'
+], function(Privite_Global, Logger, transformBoxes) {
     'use strict';
 
 
@@ -37,7 +38,9 @@ define([
         if (this.isFixedSize) {
             this.boxes = this.fragments.boxes;       // Float32Array, stores Boxes as 6 floats per fragment (after applying mesh matrix)
             this.transforms = this.fragments.transforms;  // Float32Array, stores transforms as 12 floats per fragment (Matrix4 with omitted last row)
-            this.useThreeMesh = !Privite_Global.memoryOptimizedLoading;
+            //2D meshes hold many objects, and theming and ghosting work on their vertex buffers,
+            //which needs a THREE.Mesh per fragment.
+            this.useThreeMesh = !Privite_Global.memoryOptimizedLoading || !!model.getData().is2d;
         } else {
             this.boxes = null;
             this.transforms = null;
@@ -80,6 +83,8 @@ define([
         // Maps a geometry id to an object {n: numInstances, t: numTraversedInstances}. Elems are added by SvfLoader.
         // The .t property of each element is updated per frame in RenderBatch.forEach. 
         // If t reaches n, the geom is added to traversedGeom. 
+        this.memoryBudget = null; // MemoryBudget that may page out geometry of this list, see MemoryBudget.attach
+        this.geomStamps = null;   // Per geometry id, the render traversal in which it was last visible. Set with memoryBudget.
 
         this.animxforms = null; // If animation is used, this is a Float32Array storing 10 floats per fragment to describe scale (3), rotation (4), and translation (3).
         // See this.updateAnimTransform.
@@ -117,6 +122,8 @@ define([
 
     // Requests the geometry of a fragment for loading, unless it is already in memory or the request limit is reached.
     // If already in memory, it just returns the geometry directly.
+    // Under a memory budget, this is called for each visible fragment: it marks the geometry as recently
+    // visible, so that it is paged out last, and fetches it again if it was paged out.
     FragmentList.prototype.requireGeometry = function (fragId) {
         var geom = null;
         var geomId = this.geomids[fragId];
@@ -125,7 +132,12 @@ define([
             geom = this.geoms.getGeometry(geomId);
         }
 
-        if (geom == null && !this.reachLimit) {
+        var budget = this.memoryBudget;
+        if (budget && geom) {
+            budget.touch(this, geomId);
+        }
+
+        if (geom == null && !this.reachLimit && (!budget || budget.canLoad())) {
             // Request to load this geometry.
             var packId = this.fragments.packIds[fragId];
             this.svfLoader.loadGeometryPackOnDemand(packId);
@@ -739,9 +751,66 @@ define([
         }
     };
 
+    /**
+     * Moves all fragments by a matrix that is applied after their current world matrix.
+     * Unlike animation transforms, the matrix becomes part of the original transforms and boxes.
+     * Note: Fragments of a model without fixed fragment data (e.g. F2D) that are added
+     *       afterwards are not moved.
+     * @param {THREE.Matrix4} matrix
+     */
+    FragmentList.prototype.applyTransform = (function () {
+
+        var tmp;
+
+        return function (matrix) {
+
+            if (!tmp)
+                tmp = new THREE.Matrix4();
+
+            var count = this.getCount();
+            var orig = this.transforms;
+
+            if (orig) {
+                for (var fragId = 0; fragId < count; fragId++) {
+                    this.getOriginalWorldMatrix(fragId, tmp);
+                    tmp.multiplyMatrices(matrix, tmp);
+
+                    var cur = tmp.elements;
+                    var i = fragId * 12;
+                    orig[i] = cur[0];
+                    orig[i + 1] = cur[1];
+                    orig[i + 2] = cur[2];
+                    orig[i + 3] = cur[4];
+                    orig[i + 4] = cur[5];
+                    orig[i + 5] = cur[6];
+                    orig[i + 6] = cur[8];
+                    orig[i + 7] = cur[9];
+                    orig[i + 8] = cur[10];
+                    orig[i + 9] = cur[12];
+                    orig[i + 10] = cur[13];
+                    orig[i + 11] = cur[14];
+                }
+            }
+
+            if (this.boxes)
+                transformBoxes(this.boxes, matrix);
+
+            if (this.useThreeMesh) {
+                for (var j = 0; j < this.vizmeshes.length; j++) {
+                    var m = this.vizmeshes[j];
+                    if (m) {
+                        m.matrixWorld.multiplyMatrices(matrix, m.matrixWorld);
+                        m.matrix.copy(m.matrixWorld);
+                    }
+                }
+            }
+        };
+
+    })();
+
     /**
      * Updates animation transform of a specific fragment.
-     * Note: 
+     * Note:
      *      - If scale/rotation/translation are all null, the call resets the whole transform, i.e., no anim transform is assigned anymore.
      *      - Leaving some of them null means to leave them unchanged.
      * @param {number} fragId - Fragment ID.
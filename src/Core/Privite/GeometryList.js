@@ -166,8 +166,8 @@ define([
     };
 
     /**
-     * Removes the geometry with svfid 'idx' from the list.
-     * Note: Unlike addGeometry, this method only updates this.numGeomsInMemory. All other statistics keep the same.
+     * Removes the geometry with svfid 'idx' from the list, and takes it out of the memory statistics.
+     * The polygon counts keep the same. GPU buffers of the geometry have to be released separately.
      * @param {int} idx - Geometry ID.
      * @returns {int} Size of the removed geometry, or 0.
      */
@@ -185,6 +185,12 @@ define([
         // decrease mesh counter
         this.numGeomsInMemory--;
 
+        this.geomMemory -= geometry.byteSize;
+        if (!geometry.streamingDraw) {
+            this.gpuMeshMemory -= geometry.byteSize;
+            this.gpuNumMeshes -= 1;
+        }
+
         return geometry.byteSize;
     };
 
@@ -216,12 +222,20 @@ define([
     //  renderer: instaneof FireFlyWebGLRenderer
     GeometryList.prototype.dispose = function (renderer) {
 
-        if (!renderer)
-            return;
+        if (renderer) {
+            for (var i = 0, iEnd = this.geoms.length; i < iEnd; i++)
+                if (this.geoms[i])
+                    renderer.deallocateGeometry(this.geoms[i]);
+        }
 
-        for (var i = 0, iEnd = this.geoms.length; i < iEnd; i++)
-            if (this.geoms[i])
-                renderer.deallocateGeometry(this.geoms[i]);
+        // Drop the system memory copies as well. The model may still be referenced
+        // after it is unloaded (e.g. by the application), but its geometry is not needed anymore.
+        this.geoms = [null];
+        this.geomBoxes = new Float32Array(6);
+        this.numGeomsInMemory = 0;
+        this.geomMemory = 0;
+        this.gpuMeshMemory = 0;
+        this.gpuNumMeshes = 0;
     };
 
     GeometryList.prototype.printStats = function () {
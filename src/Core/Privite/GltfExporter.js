@@ -0,0 +1,488 @@
+define([
+    '../Logger',
+    './Global',
+    './VBUtils',
+    './Fn/getNodeFragIds',
+    '../Shaders/MaterialConverter'
+], function(Logger, Privite_Global, VBUtils, getNodeFragIds, MaterialConverter) {
+    'use strict';
+
+    var GLB_MAGIC = 0x46546C67, // "glTF"
+        GLB_CHUNK_JSON = 0x4E4F534A,
+        GLB_CHUNK_BIN = 0x004E4942;
+
+    var FLOAT = 5126,
+        UNSIGNED_SHORT = 5123,
+        UNSIGNED_INT = 5125;
+
+    var TARGET_ARRAY_BUFFER = 34962,
+        TARGET_ELEMENT_ARRAY_BUFFER = 34963;
+
+    var MODE_POINTS = 0,
+        MODE_LINES = 1,
+        MODE_TRIANGLES = 4;
+
+
+    function align4(n) {
+        return (n + 3) & ~3;
+    }
+
+    function isIdentity(e) {
+        for (var i = 0; i < 16; i++) {
+            if (e[i] !== ((i % 5 === 0) ? 1 : 0))
+                return false;
+        }
+        return true;
+    }
+
+
+    /**
+     * Accumulates the glTF JSON and the binary buffer of a GLB file.
+     * @constructor
+     * @private
+     */
+    function GlbWriter() {
+        this.json = {
+            asset: { version: "2.0", generator: "LMV " + (Privite_Global.LMV_VIEWER_VERSION || "") },
+            scene: 0,
+            scenes: [{ nodes: [] }],
+            nodes: [],
+            meshes: [],
+            materials: [],
+            textures: [],
+            images: [],
+            samplers: [],
+            accessors: [],
+            bufferViews: [],
+            buffers: []
+        };
+
+        this.chunks = [];
+        this.byteLength = 0;
+    }
+
+    GlbWriter.prototype.addBufferView = function (bytes, target) {
+        var view = {
+            buffer: 0,
+            byteOffset: this.byteLength,
+            byteLength: bytes.byteLength
+        };
+        if (target)
+            view.target = target;
+
+        this.chunks.push(bytes);
+        this.byteLength += bytes.byteLength;
+
+        var padding = align4(this.byteLength) - this.byteLength;
+        if (padding) {
+            this.chunks.push(new Uint8Array(padding));
+            this.byteLength += padding;
+        }
+
+        this.json.bufferViews.push(view);
+        return this.json.bufferViews.length - 1;
+    };
+
+    GlbWriter.prototype.addAccessor = function (array, itemSize, componentType, target, withBounds) {
+
+        var bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+        var count = array.length / itemSize;
+
+        var accessor = {
+            bufferView: this.addBufferView(bytes, target),
+            componentType: componentType,
+            count: count,
+            type: itemSize === 1 ? "SCALAR" : "VEC" + itemSize
+        };
+
+        //Required for positions
+        if (withBounds) {
+            var min = [], max = [];
+            for (var j = 0; j < itemSize; j++) {
+                min[j] = Infinity;
+                max[j] = -Infinity;
+            }
+            for (var i = 0; i < array.length; i += itemSize) {
+                for (j = 0; j < itemSize; j++) {
+                    var v = array[i + j];
+                    if (v < min[j]) min[j] = v;
+                    if (v > max[j]) max[j] = v;
+                }
+            }
+            accessor.min = min;
+            accessor.max = max;
+        }
+
+        this.json.accessors.push(accessor);
+        return this.json.accessors.length - 1;
+    };
+
+    GlbWriter.prototype.toBlob = function () {
+
+        var json = this.json;
+        json.buffers.push({ byteLength: this.byteLength });
+
+        //Drop the empty top level arrays, validators complain about them
+        for (var key in json) {
+            if (Array.isArray(json[key]) && !json[key].length)
+                delete json[key];
+        }
+
+        var text = JSON.stringify(json);
+        var jsonBytes = new TextEncoder().encode(text);
+        var jsonLength = align4(jsonBytes.length);
+
+        var header = new ArrayBuffer(20);
+        var view = new DataView(header);
+        view.setUint32(0, GLB_MAGIC, true);
+        view.setUint32(4, 2, true);
+        view.setUint32(8, 12 + 8 + jsonLength + 8 + this.byteLength, true);
+        view.setUint32(12, jsonLength, true);
+        view.setUint32(16, GLB_CHUNK_JSON, true);
+
+        //The JSON chunk is padded with spaces
+        var jsonPadding = new Uint8Array(jsonLength - jsonBytes.length);
+        for (var i = 0; i < jsonPadding.length; i++)
+            jsonPadding[i] = 0x20;
+
+        var binHeader = new DataView(new ArrayBuffer(8));
+        binHeader.setUint32(0, this.byteLength, true);
+        binHeader.setUint32(4, GLB_CHUNK_BIN, true);
+
+        return new Blob([header, jsonBytes, jsonPadding, binHeader.buffer].concat(this.chunks), { type: "model/gltf-binary" });
+    };
+
+
+    //Encodes the image of a texture as PNG. Returns null for images we cannot
+    //read back, like compressed DDS data or cross origin images without CORS.
+    function encodeTextureImage(texture) {
+
+        var image = texture && texture.image;
+        if (!image || !image.width || !image.height || typeof document === "undefined")
+            return null;
+
+        try {
+            var canvas = document.createElement("canvas");
+            canvas.width = image.width;
+            canvas.height = image.height;
+            canvas.getContext("2d").drawImage(image, 0, 0);
+
+            var url = canvas.toDataURL("image/png");
+            var str = atob(url.substr(url.indexOf(",") + 1));
+            var bytes = new Uint8Array(str.length);
+            for (var i = 0; i < str.length; i++)
+                bytes[i] = str.charCodeAt(i);
+            return bytes;
+        } catch (e) {
+            Logger.warn("Texture not exported: " + e);
+            return null;
+        }
+    }
+
+    function getWrapMode(wrap) {
+        if (wrap === THREE.ClampToEdgeWrapping)
+            return 33071;
+        if (wrap === THREE.MirroredRepeatWrapping)
+            return 33648;
+        return 10497;
+    }
+
+
+    /**
+     * Writes the meshes of a 3D model to a binary glTF 2.0 (GLB) file.
+     *
+     * Each fragment becomes a node with its world transform (including transforms
+     * set with FragmentList.updateAnimTransform), under nodes that follow the
+     * instance tree. Geometry shared by several fragments is written once.
+     * Materials are approximated by metallic-roughness materials, see
+     * MaterialConverter.convertMaterialToPbr. The scene is converted to meters
+     * and to the Y up axis of glTF.
+     *
+     * @constructor
+     * @param {RenderModel} model
+     */
+    function GltfExporter(model) {
+        this.model = model;
+        this.frags = model.getFragmentList();
+        this.fragments = model.getData().fragments;
+        this.instanceTree = model.getData().instanceTree;
+
+        this.writer = null;
+        this.skipped = 0;
+    }
+
+    GltfExporter.prototype.getTexture = function (texture) {
+
+        if (!this.textureCache)
+            this.textureCache = [];
+
+        for (var i = 0; i < this.textureCache.length; i++) {
+            if (this.textureCache[i].texture === texture)
+                return this.textureCache[i].index;
+        }
+
+        var index = -1;
+        var bytes = encodeTextureImage(texture);
+        if (bytes) {
+            var json = this.writer.json;
+            json.images.push({ bufferView: this.writer.addBufferView(bytes), mimeType: "image/png" });
+            json.samplers.push({ wrapS: getWrapMode(texture.wrapS), wrapT: getWrapMode(texture.wrapT) });
+            json.textures.push({ source: json.images.length - 1, sampler: json.samplers.length - 1 });
+            index = json.textures.length - 1;
+        }
+
+        this.textureCache.push({ texture: texture, index: index });
+        return index;
+    };
+
+    GltfExporter.prototype.getMaterial = function (material) {
+
+        if (!this.materialCache)
+            this.materialCache = {};
+
+        var key = material ? material.id : "default";
+        if (this.materialCache.hasOwnProperty(key))
+            return this.materialCache[key];
+
+        var pbr = MaterialConverter.convertMaterialToPbr(material || {});
+
+        if (material && material.map && this.includeTextures) {
+            var texture = this.getTexture(material.map);
+            if (texture !== -1)
+                pbr.pbrMetallicRoughness.baseColorTexture = { index: texture };
+        }
+
+        var json = this.writer.json;
+        json.materials.push(pbr);
+        return (this.materialCache[key] = json.materials.length - 1);
+    };
+
+    GltfExporter.prototype.getMesh = function (fragId) {
+
+        var geometry = this.frags.getGeometry(fragId);
+        var material = this.frags.getMaterial(fragId);
+        if (!geometry)
+            return -1;
+
+        if (!this.meshCache)
+            this.meshCache = {};
+
+        var geomId = this.frags.getGeometryId(fragId);
+        var key = geomId + "|" + (material ? material.id : "");
+        if (this.meshCache.hasOwnProperty(key))
+            return this.meshCache[key];
+
+        var data = VBUtils.readGeometry(geometry);
+        if (!data) {
+            this.meshCache[key] = -1;
+            return -1;
+        }
+
+        var writer = this.writer;
+        var attributes = {};
+
+        attributes.POSITION = writer.addAccessor(data.positions, 3, FLOAT, TARGET_ARRAY_BUFFER, true);
+
+        if (data.normals && !data.isLines && !data.isPoints)
+            attributes.NORMAL = writer.addAccessor(data.normals, 3, FLOAT, TARGET_ARRAY_BUFFER);
+
+        if (data.uvs) {
+            //Bake the texture transform, and flip to the top-left origin of glTF
+            //unless the texture was loaded unflipped.
+            var map = material && material.map;
+            var ou = 0, ov = 0, ru = 1, rv = 1, flip = true;
+            if (map) {
+                ou = map.offset.x; ov = map.offset.y;
+                ru = map.repeat.x; rv = map.repeat.y;
+                flip = map.flipY !== false;
+            }
+            var uvs = data.uvs;
+            for (var i = 0; i < uvs.length; i += 2) {
+                uvs[i] = uvs[i] * ru + ou;
+                var v = uvs[i + 1] * rv + ov;
+                uvs[i + 1] = flip ? 1 - v : v;
+            }
+            attributes.TEXCOORD_0 = writer.addAccessor(uvs, 2, FLOAT, TARGET_ARRAY_BUFFER);
+        }
+
+        if (data.colors)
+            attributes.COLOR_0 = writer.addAccessor(data.colors, data.colorSize, FLOAT, TARGET_ARRAY_BUFFER);
+
+        var maxIndex = 0;
+        for (i = 0; i < data.indices.length; i++) {
+            if (data.indices[i] > maxIndex)
+                maxIndex = data.indices[i];
+        }
+        var indices = maxIndex < 65535 ? new Uint16Array(data.indices) : data.indices;
+
+        var primitive = {
+            attributes: attributes,
+            indices: writer.addAccessor(indices, 1, maxIndex < 65535 ? UNSIGNED_SHORT : UNSIGNED_INT, TARGET_ELEMENT_ARRAY_BUFFER),
+            material: this.getMaterial(material),
+            mode: data.isPoints ? MODE_POINTS : (data.isLines ? MODE_LINES : MODE_TRIANGLES)
+        };
+
+        writer.json.meshes.push({ primitives: [primitive] });
+        return (this.meshCache[key] = writer.json.meshes.length - 1);
+    };
+
+    //Returns the node of an instance tree node, creating it and its ancestors as needed
+    GltfExporter.prototype.getTreeNode = function (dbId) {
+
+        var index = this.treeNodes[dbId];
+        if (index !== undefined)
+            return index;
+
+        var it = this.instanceTree;
+        var nodes = this.writer.json.nodes;
+
+        var node = { name: it.getNodeName(dbId) || ("Object " + dbId), extras: { dbId: dbId } };
+        nodes.push(node);
+        index = this.treeNodes[dbId] = nodes.length - 1;
+
+        var parentId = it.getNodeParentId(dbId);
+        var parent = (dbId === it.getRootId() || !parentId) ? this.rootNode : this.getTreeNode(parentId);
+        var parentNode = nodes[parent];
+        (parentNode.children || (parentNode.children = [])).push(index);
+
+        return index;
+    };
+
+    //Nodes with a single mesh child take over the mesh, so that
+    //the output does not have an extra node per object.
+    GltfExporter.prototype.collapseMeshNodes = function () {
+
+        var nodes = this.writer.json.nodes;
+
+        for (var dbId in this.treeNodes) {
+            var node = nodes[this.treeNodes[dbId]];
+            if (!node.children || node.children.length !== 1)
+                continue;
+
+            var child = nodes[node.children[0]];
+            if (child.mesh === undefined || child.children)
+                continue;
+
+            node.mesh = child.mesh;
+            if (child.matrix)
+                node.matrix = child.matrix;
+            delete node.children;
+            child.removed = true;
+        }
+
+        //Renumber the remaining nodes
+        var remap = [];
+        var kept = [];
+        for (var i = 0; i < nodes.length; i++) {
+            if (nodes[i].removed)
+                continue;
+            remap[i] = kept.length;
+            kept.push(nodes[i]);
+        }
+        kept.forEach(function (node) {
+            if (node.children) {
+                node.children = node.children.map(function (c) { return remap[c]; });
+            }
+        });
+
+        this.writer.json.nodes = kept;
+        this.rootNode = remap[this.rootNode];
+    };
+
+    //Scales to meters and turns Z up models to the Y up of glTF
+    GltfExporter.prototype.getRootMatrix = function () {
+        var s = this.model.getUnitScale ? this.model.getUnitScale() : 1;
+        var up = this.model.getUpVector ? this.model.getUpVector() : null;
+
+        if (up && Math.abs(up[2]) > Math.abs(up[1]))
+            return [s, 0, 0, 0, 0, 0, -s, 0, 0, s, 0, 0, 0, 0, 0, 1];
+
+        return [s, 0, 0, 0, 0, s, 0, 0, 0, 0, s, 0, 0, 0, 0, 1];
+    };
+
+    /**
+     * Writes the GLB file.
+     * @param {Object} [options]
+     * @param {number[]} [options.dbIds] - export only these nodes and their children
+     * @param {boolean} [options.visibleOnly] - skip hidden and ghosted fragments
+     * @param {boolean} [options.includeTextures=true] - embed the diffuse textures as PNG
+     * @returns {Blob|null} the GLB file, or null if there is nothing to export
+     */
+    GltfExporter.prototype.exportGlb = function (options) {
+
+        options = options || {};
+        this.includeTextures = options.includeTextures !== false;
+
+        if (this.model.is2d()) {
+            Logger.warn("glTF export is not supported for 2D models.");
+            return null;
+        }
+
+        var writer = this.writer = new GlbWriter();
+        var nodes = writer.json.nodes;
+
+        var root = { name: this.model.getData().name || "Model" };
+        var matrix = this.getRootMatrix();
+        if (!isIdentity(matrix))
+            root.matrix = matrix;
+        nodes.push(root);
+        this.rootNode = 0;
+        this.treeNodes = {};
+
+        var fragIds = getNodeFragIds(this.model, options.dbIds, options.visibleOnly);
+        var world = new THREE.Matrix4();
+        var exported = 0;
+
+        for (var i = 0; i < fragIds.length; i++) {
+            var fragId = fragIds[i];
+
+            var mesh = this.getMesh(fragId);
+            if (mesh === -1) {
+                this.skipped++;
+                continue;
+            }
+
+            var node = { mesh: mesh };
+            this.frags.getWorldMatrix(fragId, world);
+            if (!isIdentity(world.elements))
+                node.matrix = Array.prototype.slice.call(world.elements);
+
+            nodes.push(node);
+            var index = nodes.length - 1;
+
+            var dbId = this.fragments.fragId2dbId ? this.fragments.fragId2dbId[fragId] : undefined;
+            if (Array.isArray(dbId))
+                dbId = dbId[0];
+
+            var parent = (this.instanceTree && dbId !== undefined && dbId !== null) ? this.getTreeNode(dbId) : this.rootNode;
+            var parentNode = nodes[parent];
+            (parentNode.children || (parentNode.children = [])).push(index);
+
+            exported++;
+        }
+
+        if (this.skipped)
+            Logger.warn("glTF export skipped " + this.skipped + " fragments without loaded geometry.");
+
+        if (!exported)
+            return null;
+
+        this.collapseMeshNodes();
+        writer.json.scenes[0].nodes.push(this.rootNode);
+
+        return writer.toBlob();
+    };
+
+
+    /**
+     * Writes a model to a GLB file, see GltfExporter.prototype.exportGlb.
+     * @param {RenderModel} model
+     * @param {Object} [options]
+     * @returns {Blob|null}
+     */
+    GltfExporter.exportGlb = function (model, options) {
+        return new GltfExporter(model).exportGlb(options);
+    };
+
+    return GltfExporter;
+});
@@ -0,0 +1,548 @@
+define([
+    '../FileLoaderManager',
+    '../Logger',
+    '../Global',
+    './FileLoaderBase',
+    './PackageBuilder',
+    './VBUtils',
+    './Fn/utf8ArrayToString'
+], function(FileLoaderManager, Logger, Global, FileLoaderBase, PackageBuilder, VBUtils, utf8ArrayToString) {
+    'use strict';
+
+    var GLB_MAGIC = 0x46546C67, // "glTF"
+        GLB_CHUNK_JSON = 0x4E4F534A,
+        GLB_CHUNK_BIN = 0x004E4942;
+
+    var COMPONENT_TYPES = {
+        5120: Int8Array,
+        5121: Uint8Array,
+        5122: Int16Array,
+        5123: Uint16Array,
+        5125: Uint32Array,
+        5126: Float32Array
+    };
+
+    var TYPE_SIZES = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT2: 4, MAT3: 9, MAT4: 16 };
+
+    var MODE_POINTS = 0,
+        MODE_LINES = 1,
+        MODE_LINE_LOOP = 2,
+        MODE_LINE_STRIP = 3,
+        MODE_TRIANGLES = 4,
+        MODE_TRIANGLE_STRIP = 5,
+        MODE_TRIANGLE_FAN = 6;
+
+
+    /** @constructor
+     * Loads glTF 2.0 (.gltf with external or embedded buffers, and binary .glb) files.
+     * The node hierarchy becomes the instance tree, node names and extras are
+     * exposed as properties, and the PBR materials are approximated by
+     * MaterialConverter.convertMaterialGltf.
+     */
+    var GltfLoader = function (parent) {
+        FileLoaderBase.call(this, parent);
+        this.objectUrls = [];
+    };
+
+    GltfLoader.prototype = Object.create(FileLoaderBase.prototype);
+    GltfLoader.prototype.constructor = GltfLoader;
+
+    GltfLoader.prototype.formatName = "glTF";
+
+    GltfLoader.prototype.dtor = function () {
+        FileLoaderBase.prototype.dtor.call(this);
+
+        //Release the embedded images
+        if (this.objectUrls) {
+            for (var i = 0; i < this.objectUrls.length; i++)
+                URL.revokeObjectURL(this.objectUrls[i]);
+            this.objectUrls = [];
+        }
+    };
+
+
+    function decodeDataUri(uri) {
+        var base64 = uri.substr(uri.indexOf(",") + 1);
+
+        if (Global.isNodeJS)
+            return new Uint8Array(Buffer.from(base64, "base64"));
+
+        var str = atob(base64);
+        var bytes = new Uint8Array(str.length);
+        for (var i = 0; i < str.length; i++)
+            bytes[i] = str.charCodeAt(i);
+        return bytes;
+    }
+
+
+    GltfLoader.prototype.parse = function (data, callback) {
+
+        var bytes = (data instanceof Uint8Array) ? data : new Uint8Array(data);
+        var json, binChunk = null;
+
+        var view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        if (bytes.length >= 12 && view.getUint32(0, true) === GLB_MAGIC) {
+
+            var version = view.getUint32(4, true);
+            if (version !== 2) {
+                callback("Unsupported GLB version " + version + ". Only glTF 2.0 is supported.");
+                return;
+            }
+
+            var length = Math.min(view.getUint32(8, true), bytes.length);
+            var offset = 12;
+            while (offset + 8 <= length) {
+                var chunkLength = view.getUint32(offset, true);
+                var chunkType = view.getUint32(offset + 4, true);
+                offset += 8;
+
+                if (chunkType === GLB_CHUNK_JSON)
+                    json = JSON.parse(utf8ArrayToString(bytes, offset, chunkLength));
+                else if (chunkType === GLB_CHUNK_BIN && !binChunk)
+                    binChunk = bytes.subarray(offset, offset + chunkLength);
+
+                offset += chunkLength;
+            }
+
+            if (!json) {
+                callback("GLB file without JSON chunk.");
+                return;
+            }
+
+        } else {
+            json = JSON.parse(utf8ArrayToString(bytes));
+        }
+
+        if (!json.asset || parseInt(json.asset.version, 10) !== 2) {
+            callback("Unsupported glTF version " + (json.asset && json.asset.version) + ". Only glTF 2.0 is supported.");
+            return;
+        }
+
+        var required = json.extensionsRequired || [];
+        if (required.length) {
+            callback("Unsupported glTF extension(s): " + required.join(", "));
+            return;
+        }
+
+        var scope = this;
+        this.loadBuffers(json, binChunk, function (err, buffers) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            callback(null, scope.buildPackage(json, buffers));
+        });
+    };
+
+
+    GltfLoader.prototype.loadBuffers = function (json, binChunk, callback) {
+
+        var defs = json.buffers || [];
+        var buffers = new Array(defs.length);
+        var pending = 0;
+        var failed = false;
+
+        for (var i = 0; i < defs.length; i++) {
+            var uri = defs[i].uri;
+
+            if (uri === undefined) {
+                //The GLB binary chunk
+                buffers[i] = binChunk;
+            } else if (uri.indexOf("data:") === 0) {
+                buffers[i] = decodeDataUri(uri);
+            } else {
+                pending++;
+                (function (index, path) {
+                    this.fetchFile(path, "arraybuffer", function (data) {
+                        buffers[index] = (data instanceof Uint8Array) ? data : new Uint8Array(data);
+                        if (--pending === 0 && !failed)
+                            callback(null, buffers);
+                    }, function (httpStatus, httpStatusText) {
+                        if (!failed) {
+                            failed = true;
+                            callback("Failed to load glTF buffer " + path + " (" + httpStatus + ")");
+                        }
+                    });
+                }).call(this, i, this.basePath + uri);
+            }
+        }
+
+        if (!pending)
+            callback(null, buffers);
+    };
+
+
+    /**
+     * Reads the data of an accessor into a flat, tightly packed array.
+     * @param {boolean} asFloat - convert to Float32Array, applying normalization for integer data
+     */
+    function readAccessor(json, buffers, index, asFloat) {
+
+        var accessor = json.accessors[index];
+        var ArrayType = COMPONENT_TYPES[accessor.componentType];
+        var itemSize = TYPE_SIZES[accessor.type];
+        var count = accessor.count * itemSize;
+        var result = asFloat ? new Float32Array(count) : new ArrayType(count);
+
+        var normalizeScale = 1;
+        if (asFloat && ArrayType !== Float32Array && (accessor.normalized || asFloat === "normalize")) {
+            switch (ArrayType) {
+                case Uint8Array: normalizeScale = 1 / 255; break;
+                case Int8Array: normalizeScale = 1 / 127; break;
+                case Uint16Array: normalizeScale = 1 / 65535; break;
+                case Int16Array: normalizeScale = 1 / 32767; break;
+            }
+        }
+
+        function readInto(dst, bufferViewIndex, byteOffset, numItems, dstIndices) {
+            var bufferView = json.bufferViews[bufferViewIndex];
+            var buffer = buffers[bufferView.buffer];
+            var elementSize = ArrayType.BYTES_PER_ELEMENT;
+            var stride = bufferView.byteStride || itemSize * elementSize;
+            var start = buffer.byteOffset + (bufferView.byteOffset || 0) + (byteOffset || 0);
+            var src = new DataView(buffer.buffer);
+
+            var getter;
+            switch (ArrayType) {
+                case Int8Array: getter = src.getInt8; break;
+                case Uint8Array: getter = src.getUint8; break;
+                case Int16Array: getter = src.getInt16; break;
+                case Uint16Array: getter = src.getUint16; break;
+                case Uint32Array: getter = src.getUint32; break;
+                default: getter = src.getFloat32; break;
+            }
+
+            for (var i = 0; i < numItems; i++) {
+                var item = dstIndices ? dstIndices[i] : i;
+                var pos = start + i * stride;
+                for (var c = 0; c < itemSize; c++) {
+                    var v = getter.call(src, pos + c * elementSize, true);
+                    dst[item * itemSize + c] = (normalizeScale !== 1) ? Math.max(v * normalizeScale, -1) : v;
+                }
+            }
+        }
+
+        //Accessors without a buffer view are all zeros (possibly with sparse substitution)
+        if (accessor.bufferView !== undefined)
+            readInto(result, accessor.bufferView, accessor.byteOffset, accessor.count);
+
+        if (accessor.sparse) {
+            var sparse = accessor.sparse;
+            var idxAccessor = {
+                componentType: sparse.indices.componentType,
+                type: "SCALAR",
+                count: sparse.count,
+                bufferView: sparse.indices.bufferView,
+                byteOffset: sparse.indices.byteOffset
+            };
+            var sparseIndices = readAccessor({ accessors: [idxAccessor], bufferViews: json.bufferViews }, buffers, 0, false);
+            readInto(result, sparse.values.bufferView, sparse.values.byteOffset, sparse.count, sparseIndices);
+        }
+
+        return result;
+    }
+
+
+    //Converts strips, fans and loops to plain triangle and line lists
+    function toListIndices(mode, indices, vertexCount) {
+
+        var src = indices;
+        if (!src) {
+            src = new Uint32Array(vertexCount);
+            for (var i = 0; i < vertexCount; i++)
+                src[i] = i;
+        }
+
+        var res = [];
+        switch (mode) {
+            case MODE_TRIANGLE_STRIP:
+                for (i = 0; i + 2 < src.length; i++) {
+                    if (i % 2)
+                        res.push(src[i + 1], src[i], src[i + 2]);
+                    else
+                        res.push(src[i], src[i + 1], src[i + 2]);
+                }
+                break;
+            case MODE_TRIANGLE_FAN:
+                for (i = 1; i + 1 < src.length; i++)
+                    res.push(src[0], src[i], src[i + 1]);
+                break;
+            case MODE_LINE_STRIP:
+            case MODE_LINE_LOOP:
+                for (i = 0; i + 1 < src.length; i++)
+                    res.push(src[i], src[i + 1]);
+                if (mode === MODE_LINE_LOOP && src.length > 2)
+                    res.push(src[src.length - 1], src[0]);
+                break;
+            default:
+                return indices;
+        }
+
+        return new Uint32Array(res);
+    }
+
+
+    GltfLoader.prototype.createPrimitiveMeshes = function (json, buffers, primitive, builder) {
+
+        var mode = (primitive.mode !== undefined) ? primitive.mode : MODE_TRIANGLES;
+        var attributes = primitive.attributes || {};
+
+        if (mode === MODE_POINTS) {
+            Logger.warn("glTF point primitives are not supported, skipping.");
+            return [];
+        }
+
+        if (attributes.POSITION === undefined)
+            return [];
+
+        var positions = readAccessor(json, buffers, attributes.POSITION, true);
+        var vertexCount = positions.length / 3;
+
+        var indices = (primitive.indices !== undefined) ? readAccessor(json, buffers, primitive.indices, false) : null;
+        indices = toListIndices(mode, indices, vertexCount);
+
+        var isLines = (mode === MODE_LINES || mode === MODE_LINE_STRIP || mode === MODE_LINE_LOOP);
+
+        var attrs = {
+            positions: positions,
+            indices: indices,
+            isLines: isLines
+        };
+
+        if (!isLines && attributes.NORMAL !== undefined)
+            attrs.normals = readAccessor(json, buffers, attributes.NORMAL, true);
+
+        if (attributes.TEXCOORD_0 !== undefined)
+            attrs.uvs = readAccessor(json, buffers, attributes.TEXCOORD_0, "normalize");
+
+        if (attributes.COLOR_0 !== undefined) {
+            var colors = readAccessor(json, buffers, attributes.COLOR_0, "normalize");
+            var itemSize = TYPE_SIZES[json.accessors[attributes.COLOR_0].type];
+            if (itemSize === 4) {
+                var rgb = new Float32Array(vertexCount * 3);
+                for (var i = 0; i < vertexCount; i++) {
+                    rgb[i * 3] = colors[i * 4];
+                    rgb[i * 3 + 1] = colors[i * 4 + 1];
+                    rgb[i * 3 + 2] = colors[i * 4 + 2];
+                }
+                colors = rgb;
+            }
+            attrs.colors = colors;
+        }
+
+        var meshes = VBUtils.createMeshes(attrs);
+        var res = [];
+        for (i = 0; i < meshes.length; i++)
+            res.push(builder.addMesh(meshes[i]));
+
+        return res;
+    };
+
+
+    GltfLoader.prototype.registerImages = function (json, buffers, builder) {
+
+        var images = json.images || [];
+        for (var i = 0; i < images.length; i++) {
+            var image = images[i];
+            var uri = image.uri;
+
+            if (image.bufferView !== undefined) {
+                if (Global.isNodeJS || typeof Blob === "undefined")
+                    continue;
+
+                var bufferView = json.bufferViews[image.bufferView];
+                var buffer = buffers[bufferView.buffer];
+                var start = bufferView.byteOffset || 0;
+                var blob = new Blob([buffer.subarray(start, start + bufferView.byteLength)], { type: image.mimeType });
+                uri = URL.createObjectURL(blob);
+                this.objectUrls.push(uri);
+            }
+
+            if (uri)
+                builder.addAsset("image" + i, uri);
+        }
+    };
+
+
+    function getNodeMatrix(node, dst) {
+
+        if (node.matrix) {
+            dst.elements.set(node.matrix);
+        } else {
+            var t = node.translation || [0, 0, 0];
+            var r = node.rotation || [0, 0, 0, 1];
+            var s = node.scale || [1, 1, 1];
+            dst.compose(new THREE.Vector3(t[0], t[1], t[2]),
+                        new THREE.Quaternion(r[0], r[1], r[2], r[3]),
+                        new THREE.Vector3(s[0], s[1], s[2]));
+        }
+
+        return dst;
+    }
+
+
+    function extrasToProperties(extras, category, props) {
+
+        if (extras === undefined || extras === null)
+            return props;
+
+        if (typeof extras !== "object" || Array.isArray(extras)) {
+            props.push(PackageBuilder.createProperty("extras", extras, category));
+            return props;
+        }
+
+        for (var key in extras) {
+            props.push(PackageBuilder.createProperty(key, extras[key], category));
+        }
+
+        return props;
+    }
+
+
+    GltfLoader.prototype.buildPackage = function (json, buffers) {
+
+        var builder = new PackageBuilder();
+        var scope = this;
+
+        this.registerImages(json, buffers, builder);
+
+        //Material ids match the glTF material indices. Primitives without
+        //material get a default one appended at the end.
+        var materials = json.materials || [];
+        for (var i = 0; i < materials.length; i++) {
+            materials[i].transparent = (materials[i].alphaMode === "BLEND");
+            builder.addMaterial(materials[i]);
+        }
+
+        var defaultMaterialId = -1;
+        function getDefaultMaterial() {
+            if (defaultMaterialId === -1) {
+                defaultMaterialId = builder.addMaterial({
+                    name: "Default",
+                    pbrMetallicRoughness: { baseColorFactor: [0.8, 0.8, 0.8, 1], metallicFactor: 0, roughnessFactor: 0.5 },
+                    transparent: false
+                });
+            }
+            return defaultMaterialId;
+        }
+
+        //Primitives can be shared by several nodes, so we create their meshes only once
+        var meshCache = {};
+
+        var nodes = json.nodes || [];
+        var meshes = json.meshes || [];
+
+        function addMeshFragments(dbId, meshIndex, worldMatrix) {
+            var mesh = meshes[meshIndex];
+            var primitives = mesh.primitives || [];
+
+            for (var p = 0; p < primitives.length; p++) {
+                var key = meshIndex + ":" + p;
+                var meshIndexes = meshCache[key];
+                if (!meshIndexes)
+                    meshIndexes = meshCache[key] = scope.createPrimitiveMeshes(json, buffers, primitives[p], builder);
+
+                var materialId = (primitives[p].material !== undefined) ? primitives[p].material : getDefaultMaterial();
+
+                for (var m = 0; m < meshIndexes.length; m++)
+                    builder.addFragment(dbId, meshIndexes[m], materialId, worldMatrix);
+            }
+        }
+
+        function traverse(nodeIndex, parentId, parentMatrix, visited) {
+
+            //Guard against malformed files with cycles in the hierarchy
+            if (visited[nodeIndex])
+                return;
+            visited[nodeIndex] = true;
+
+            var node = nodes[nodeIndex];
+            var worldMatrix = new THREE.Matrix4().multiplyMatrices(parentMatrix, getNodeMatrix(node, new THREE.Matrix4()));
+            var children = node.children || [];
+            var mesh = (node.mesh !== undefined) ? meshes[node.mesh] : null;
+
+            var name = node.name || (mesh && mesh.name) || ("Node " + nodeIndex);
+
+            var props = [];
+            if (mesh)
+                props.push(PackageBuilder.createProperty("Mesh", mesh.name || ("Mesh " + node.mesh), "glTF"));
+            extrasToProperties(node.extras, "Extras", props);
+
+            var nodeType = children.length ? PackageBuilder.NODE_TYPE_ASSEMBLY : PackageBuilder.NODE_TYPE_GEOMETRY;
+            var dbId = builder.addObject(parentId, name, nodeType, props, "node" + nodeIndex);
+
+            if (mesh) {
+                //Instance tree nodes either have children or fragments, so a node with
+                //both gets an extra geometry child holding its mesh.
+                var geomId = dbId;
+                if (children.length) {
+                    var meshProps = extrasToProperties(mesh.extras, "Extras", []);
+                    geomId = builder.addObject(dbId, mesh.name || name, PackageBuilder.NODE_TYPE_GEOMETRY, meshProps, "node" + nodeIndex + "/mesh");
+                } else {
+                    extrasToProperties(mesh.extras, "Extras", props);
+                }
+
+                addMeshFragments(geomId, node.mesh, worldMatrix);
+            }
+
+            for (var c = 0; c < children.length; c++)
+                traverse(children[c], dbId, worldMatrix, visited);
+        }
+
+        //Find the root nodes: those of the default scene, or all nodes that are nobody's child
+        var rootNodes;
+        var sceneIndex = (json.scene !== undefined) ? json.scene : 0;
+        var scene = json.scenes && json.scenes[sceneIndex];
+        if (scene) {
+            rootNodes = scene.nodes || [];
+        } else {
+            var isChild = {};
+            for (i = 0; i < nodes.length; i++) {
+                var ch = nodes[i].children || [];
+                for (var j = 0; j < ch.length; j++)
+                    isChild[ch[j]] = true;
+            }
+            rootNodes = [];
+            for (i = 0; i < nodes.length; i++) {
+                if (!isChild[i])
+                    rootNodes.push(i);
+            }
+        }
+
+        var rootProps = [];
+        if (json.asset.generator)
+            rootProps.push(PackageBuilder.createProperty("Generator", json.asset.generator, "glTF"));
+        if (json.asset.copyright)
+            rootProps.push(PackageBuilder.createProperty("Copyright", json.asset.copyright, "glTF"));
+        extrasToProperties(scene && scene.extras, "Extras", rootProps);
+
+        var rootName = (scene && scene.name) || this.getModelName();
+        var rootId = builder.addObject(0, rootName, PackageBuilder.NODE_TYPE_MODEL, rootProps, "root");
+
+        var identity = new THREE.Matrix4();
+        var visited = {};
+        for (i = 0; i < rootNodes.length; i++)
+            traverse(rootNodes[i], rootId, identity, visited);
+
+        //glTF is always in meters, with Y up
+        var svf = builder.build({
+            "distance unit": { value: "m" },
+            "world up vector": { XYZ: [0, 1, 0] }
+        });
+
+        svf.gltf = json;
+        svf.gltfMaterials = true;
+
+        //The buffers are not needed once the meshes are built
+        json.buffers = null;
+
+        return svf;
+    };
+
+
+    FileLoaderManager.registerFileLoader("gltf", ["gltf", "glb"], GltfLoader);
+
+    return GltfLoader;
+});
@@ -19,10 +19,15 @@ define([
         this.leaveLiveReviewSession();
     };
 
-    LiveReviewClient.prototype.joinLiveReviewSession = function (sessionId) {
+    /**
+     * @param {string} sessionId
+     * @param {string|string[]} [serverUrls] - the message servers, by default the ones of the environment
+     * @param {string} [serverPath] - the socket.io path on the servers
+     */
+    LiveReviewClient.prototype.joinLiveReviewSession = function (sessionId, serverUrls, serverPath) {
 
         if (!this.messageClient)
-            this.messageClient = MessageClient.GetInstance();
+            this.messageClient = MessageClient.GetInstance(serverUrls, serverPath);
         if (!this.presenceChannelId)
             this.presenceChannelId = window.location.host;
         if (!this.messageClient.isConnected()) {
@@ -58,4 +63,6 @@ define([
         this.messageClient = null;
         this.interceptor = null;
     };
-});
\ No newline at end of file
+
+    return LiveReviewClient;
+});
@@ -0,0 +1,177 @@
+define([
+    '../Logger'
+], function(Logger) {
+    'use strict';
+
+    /**
+     * Handle of a model load, returned by Viewer3D.loadModel.
+     *
+     * Progress is reported per phase, as a fraction from 0 to 1:
+     *   manifest   -- the model file and its manifest, done when the model is added to the viewer
+     *   geometry   -- the geometry packs
+     *   properties -- the property database
+     *
+     * The load is done when all geometry is loaded. The property database may still
+     * be loading then, it has its own phase.
+     *
+     * @constructor
+     * @param {string} url - what is being loaded
+     */
+    var LoadHandle = function (url) {
+        this.url = url;
+        this.model = null;
+        this.state = LoadHandle.LOADING;
+        this.error = null;
+        this.progress = { manifest: 0, geometry: 0, properties: 0 };
+
+        this._listeners = [];
+        this._cancelHandlers = [];
+
+        /**
+         * Settles when the load is done: resolves with the model, or rejects with
+         * { code, msg } when the load failed or was cancelled. Not set in environments without Promise.
+         * @type {Promise}
+         */
+        this.promise = null;
+
+        if (typeof Promise !== "undefined") {
+            var scope = this;
+            this.promise = new Promise(function (resolve, reject) {
+                scope._resolve = resolve;
+                scope._reject = reject;
+            });
+            //Failures also go to the error callback of loadModel, so an unused promise must not report them
+            this.promise.catch(function () {});
+        }
+    };
+
+    LoadHandle.LOADING = "loading";
+    LoadHandle.LOADED = "loaded";
+    LoadHandle.FAILED = "failed";
+    LoadHandle.CANCELLED = "cancelled";
+
+    LoadHandle.PHASES = ["manifest", "geometry", "properties"];
+
+    LoadHandle.prototype.constructor = LoadHandle;
+
+    /**
+     * Adds a progress listener.
+     * @param {function(string, number, LoadHandle)} listener - called with the phase, its progress from 0 to 1, and the handle
+     */
+    LoadHandle.prototype.addProgressListener = function (listener) {
+        this._listeners.push(listener);
+    };
+
+    LoadHandle.prototype.removeProgressListener = function (listener) {
+        var index = this._listeners.indexOf(listener);
+        if (index !== -1)
+            this._listeners.splice(index, 1);
+    };
+
+    /**
+     * Returns the overall progress from 0 to 1, with the phases weighted by their usual duration.
+     */
+    LoadHandle.prototype.getProgress = function () {
+        var p = this.progress;
+        return 0.1 * p.manifest + 0.7 * p.geometry + 0.2 * p.properties;
+    };
+
+    /**
+     * Reports progress of a phase. Progress only goes forward. For loaders.
+     * @param {string} phase - one of LoadHandle.PHASES
+     * @param {number} fraction - 0 to 1
+     */
+    LoadHandle.prototype.setProgress = function (phase, fraction) {
+        if (this.state === LoadHandle.CANCELLED || this.state === LoadHandle.FAILED)
+            return;
+
+        fraction = Math.max(0, Math.min(1, fraction || 0));
+        if (!this.progress.hasOwnProperty(phase) || fraction <= this.progress[phase])
+            return;
+
+        this.progress[phase] = fraction;
+
+        var listeners = this._listeners.slice();
+        for (var i = 0; i < listeners.length; i++) {
+            try {
+                listeners[i](phase, fraction, this);
+            } catch (e) {
+                Logger.error("Load progress listener failed: " + e);
+            }
+        }
+    };
+
+    LoadHandle.prototype.isLoading = function () {
+        return this.state === LoadHandle.LOADING;
+    };
+
+    LoadHandle.prototype.isCancelled = function () {
+        return this.state === LoadHandle.CANCELLED;
+    };
+
+    /**
+     * Registers what to do to stop the load. For loaders.
+     * @param {function} handler
+     */
+    LoadHandle.prototype.onCancel = function (handler) {
+        this._cancelHandlers.push(handler);
+    };
+
+    /**
+     * Stops the load. A model that was already added to the viewer is removed again.
+     * @returns {boolean} false if the load had already finished
+     */
+    LoadHandle.prototype.cancel = function () {
+        if (this.state !== LoadHandle.LOADING)
+            return false;
+
+        this.state = LoadHandle.CANCELLED;
+        this.error = { code: 0, msg: "Loading of " + this.url + " was cancelled" };
+
+        var handlers = this._cancelHandlers;
+        this._cancelHandlers = [];
+        for (var i = 0; i < handlers.length; i++)
+            handlers[i](this);
+
+        this._listeners = [];
+        if (this._reject)
+            this._reject(this.error);
+        return true;
+    };
+
+    /**
+     * Marks the load as done. For loaders.
+     * @param {Object} model
+     */
+    LoadHandle.prototype.done = function (model) {
+        if (this.state !== LoadHandle.LOADING)
+            return;
+
+        this.model = model;
+        this.setProgress("manifest", 1);
+        this.setProgress("geometry", 1);
+        this.state = LoadHandle.LOADED;
+        this._cancelHandlers = [];
+        if (this._resolve)
+            this._resolve(model);
+    };
+
+    /**
+     * Marks the load as failed. For loaders.
+     * @param {number} code - one of Autodesk.Viewing.ErrorCodes
+     * @param {string} msg
+     */
+    LoadHandle.prototype.fail = function (code, msg) {
+        if (this.state !== LoadHandle.LOADING)
+            return;
+
+        this.state = LoadHandle.FAILED;
+        this.error = { code: code, msg: msg };
+        this._cancelHandlers = [];
+        this._listeners = [];
+        if (this._reject)
+            this._reject(this.error);
+    };
+
+    return LoadHandle;
+});
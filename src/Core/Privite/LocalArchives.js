@@ -0,0 +1,265 @@
+define([
+    './ZipReader',
+    '../FileLoaderManager',
+    '../Logger'
+], function(ZipReader, FileLoaderManager, Logger) {
+    'use strict';
+
+    //Files opened from the local disk are given virtual URLs of the form
+    //archive://<archive id>/<path in archive>. Everything that fetches model
+    //resources (the viewing service, the texture loader and the web workers)
+    //maps these to the blob URLs of the extracted files.
+    var ARCHIVE_SCHEME = "archive://";
+
+    var _archives = {};
+    var _nextId = 1;
+
+
+    /**
+     * Maps a virtual archive URL to the blob URL of the extracted file.
+     * Must not reference anything outside the function body, since it is
+     * also serialized into the worker bootstrap.
+     * @param {string} url
+     * @param {Object} archives - map of archive id to a map of path to blob URL
+     * @returns {string|null} the blob URL, the url unchanged if it is not an
+     * archive URL, or null if the archive does not contain the file.
+     */
+    function resolveArchiveUrl(url, archives) {
+
+        if (typeof url !== "string" || url.indexOf("archive://") !== 0)
+            return url;
+
+        var path = url.substr("archive://".length).replace(/[?#].*$/, "");
+        var slash = path.indexOf("/");
+        var files = archives[path.substr(0, slash)];
+        if (slash === -1 || !files)
+            return null;
+
+        var elements = path.substr(slash + 1).split("/");
+        var stack = [];
+        for (var i = 0; i < elements.length; i++) {
+            var e = elements[i];
+            try {
+                e = decodeURIComponent(e);
+            } catch (err) {
+                //Not escaped, use as is
+            }
+            if (e === "" || e === ".")
+                continue;
+            if (e === "..")
+                stack.pop();
+            else
+                stack.push(e);
+        }
+
+        var file = stack.join("/");
+        return files.hasOwnProperty(file) ? files[file] : null;
+    }
+
+
+    /**
+     * Makes the XMLHttpRequests of a global scope resolve archive URLs.
+     * Serialized into the worker bootstrap, like resolveArchiveUrl, because
+     * the worker script cannot be changed to look up archives itself.
+     * @param {Object} scope - the global object
+     * @param {Object} archives - as for resolveArchiveUrl
+     * @param {function} resolve - resolveArchiveUrl
+     */
+    function installArchiveRequests(scope, archives, resolve) {
+        var open = scope.XMLHttpRequest.prototype.open;
+        scope.XMLHttpRequest.prototype.open = function (method, url) {
+            var args = Array.prototype.slice.call(arguments);
+            //Missing files keep their archive URL and fail like any unknown scheme
+            args[1] = resolve(url, archives) || url;
+            return open.apply(this, args);
+        };
+    }
+
+
+    //Picks the file to load: the one the caller asked for, else an SVF,
+    //else any file we have a loader for, preferring ones closer to the root.
+    function findMainFile(paths, requested) {
+
+        if (requested)
+            return paths.indexOf(requested) !== -1 ? requested : null;
+
+        var best = null, bestScore;
+        for (var i = 0; i < paths.length; i++) {
+            var path = paths[i];
+            var ext = path.slice(path.lastIndexOf(".") + 1).toLowerCase();
+            if (!FileLoaderManager.getFileLoaderForExtension(ext))
+                continue;
+
+            var score = path.split("/").length * 2 + (ext === "svf" ? 0 : 1);
+            if (!best || score < bestScore) {
+                best = path;
+                bestScore = score;
+            }
+        }
+
+        return best;
+    }
+
+    function encodePath(path) {
+        return path.split("/").map(encodeURIComponent).join("/");
+    }
+
+    function addArchive(files, main) {
+        var id = "local" + (_nextId++);
+        var urls = {};
+        for (var path in files)
+            urls[path] = URL.createObjectURL(files[path]);
+
+        _archives[id] = urls;
+
+        return {
+            id: id,
+            mainUrl: ARCHIVE_SCHEME + id + "/" + encodePath(main)
+        };
+    }
+
+    function extractAll(buffer, entries, callback) {
+        var files = {};
+        var pending = entries.length;
+        var failed = false;
+
+        if (!pending) {
+            callback(null, files);
+            return;
+        }
+
+        entries.forEach(function (entry) {
+            ZipReader.extract(buffer, entry, function (err, blob) {
+                if (failed)
+                    return;
+                if (err) {
+                    failed = true;
+                    callback(err);
+                    return;
+                }
+                files[entry.name] = blob;
+                if (--pending === 0)
+                    callback(null, files);
+            });
+        });
+    }
+
+
+    var LocalArchives = {};
+
+    LocalArchives.resolveArchiveUrl = resolveArchiveUrl;
+    LocalArchives.installArchiveRequests = installArchiveRequests;
+
+    /**
+     * Makes a local file available to the viewer under a virtual URL.
+     * ZIP archives are extracted, so that the files a model references are
+     * found relative to it. Any other file is opened by itself.
+     * @param {Blob|File} blob
+     * @param {Object} [options]
+     * @param {string} [options.archiveEntry] - path of the file to load from the archive.
+     * By default, an SVF or the least nested file of a supported format.
+     * @param {function(string, Object)} callback - called with an error message, or with null
+     * and { id, mainUrl }. Pass the id to close() when done with the model.
+     */
+    LocalArchives.open = function (blob, options, callback) {
+
+        if (typeof options === "function") {
+            callback = options;
+            options = {};
+        }
+        options = options || {};
+
+        var reader = new FileReader();
+
+        reader.onerror = function () {
+            callback("Failed to read " + (blob.name || "file") + ".");
+        };
+
+        reader.onload = function () {
+            var buffer = reader.result;
+
+            if (!ZipReader.isZip(buffer)) {
+                if (!blob.name) {
+                    callback("Only ZIP archives can be opened without a file name.");
+                    return;
+                }
+                var single = {};
+                single[blob.name] = blob;
+                callback(null, addArchive(single, blob.name));
+                return;
+            }
+
+            var entries;
+            try {
+                entries = ZipReader.readEntries(buffer);
+            } catch (e) {
+                callback(e.message);
+                return;
+            }
+
+            var main = findMainFile(entries.map(function (e) { return e.name; }), options.archiveEntry);
+            if (!main) {
+                callback(options.archiveEntry ?
+                         "The archive does not contain " + options.archiveEntry + "." :
+                         "The archive does not contain a model that can be loaded.");
+                return;
+            }
+
+            extractAll(buffer, entries, function (err, files) {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+                Logger.log("Opened " + entries.length + " files from " + (blob.name || "archive") + ", loading " + main);
+                callback(null, addArchive(files, main));
+            });
+        };
+
+        reader.readAsArrayBuffer(blob);
+    };
+
+    /**
+     * Releases the extracted files of an archive.
+     * @param {string} id - as given to the open() callback
+     */
+    LocalArchives.close = function (id) {
+        var urls = _archives[id];
+        if (!urls)
+            return;
+
+        for (var path in urls)
+            URL.revokeObjectURL(urls[path]);
+
+        delete _archives[id];
+    };
+
+    /**
+     * Returns true if any archive is open.
+     */
+    LocalArchives.hasArchives = function () {
+        for (var id in _archives)
+            return true;
+        return false;
+    };
+
+    /**
+     * Maps a virtual archive URL to the blob URL of the extracted file.
+     * @param {string} url
+     * @returns {string|null} the url unchanged if it is not an archive URL,
+     * or null if there is no such file.
+     */
+    LocalArchives.resolve = function (url) {
+        return resolveArchiveUrl(url, _archives);
+    };
+
+    /**
+     * Returns the source that makes a worker resolve archive URLs,
+     * to run before the worker script.
+     */
+    LocalArchives.getWorkerSetup = function () {
+        return "(" + installArchiveRequests.toString() + ")(self, " +
+               JSON.stringify(_archives) + ", " + resolveArchiveUrl.toString() + ");\n";
+    };
+
+    return LocalArchives;
+});
@@ -0,0 +1,309 @@
+define([
+    '../EventType',
+    '../Global',
+    './InstanceTreeAccess',
+    './InstanceTree',
+    './InstanceTreeStorage',
+    './PropertyExporter',
+    './PropertyQuery'
+], function(EventType, Global, InstanceTreeAccess, InstanceTree, NodeArray, PropertyExporter, PropertyQuery) {
+    'use strict';
+
+    /**
+     * @constructor
+     * Property database for models whose properties are produced by a loader running on the
+     * main thread (glTF, OBJ, ...) instead of being read from an SVF property database by the
+     * property worker. Implements the same interface and result formats as PropDbLoader,
+     * so that Model.getProperties, Model.search etc. work the same for all model types.
+     *
+     * The objects are taken from svf.objects, see PackageBuilder.addObject.
+     */
+    var LocalPropDbLoader = function (model, eventTarget) {
+
+        this.eventTarget = eventTarget;
+        this.model = model;
+        this.svf = model.getData();
+        this.objects = this.svf.objects || [null];
+    };
+
+    LocalPropDbLoader.prototype.dtor = function () {
+        this.objects = null;
+    };
+
+
+    //Results are always delivered asynchronously, like they are from the property worker
+    function deliver(callback, result) {
+        if (callback) {
+            setTimeout(function () { callback(result); }, 0);
+        }
+    }
+
+
+    LocalPropDbLoader.prototype.processLoadResult = function () {
+        var svf = this.svf;
+        var objects = this.objects;
+
+        var nodeArray = new NodeArray(objects.length, svf.fragments.length);
+        var rootId = 0;
+
+        for (var dbId = 1; dbId < objects.length; dbId++) {
+            var obj = objects[dbId];
+
+            //Nodes with geometry are leaves, listing their fragments instead of children.
+            var isLeaf = !obj.children.length;
+            nodeArray.setNode(dbId, obj.parent, obj.name, obj.flags, isLeaf ? obj.fragIds : obj.children, isLeaf);
+
+            if (!obj.parent && !rootId)
+                rootId = dbId;
+        }
+
+        nodeArray.flatten();
+
+        //Compute the node boxes bottom up from the fragment boxes, needed for explode
+        var numNodes = nodeArray.nodes.length / 5;
+        var boxes = new Float32Array(6 * numNodes);
+        var fragBoxes = svf.fragments.boxes;
+
+        function computeBox(dbId) {
+            var obj = objects[dbId];
+            var off = nodeArray.dbIdToIndex[dbId] * 6;
+            var i, j, src;
+
+            boxes[off] = boxes[off + 1] = boxes[off + 2] = Infinity;
+            boxes[off + 3] = boxes[off + 4] = boxes[off + 5] = -Infinity;
+
+            function grow(srcArray, srcOff) {
+                for (j = 0; j < 3; j++) {
+                    boxes[off + j] = Math.min(boxes[off + j], srcArray[srcOff + j]);
+                    boxes[off + 3 + j] = Math.max(boxes[off + 3 + j], srcArray[srcOff + 3 + j]);
+                }
+            }
+
+            for (i = 0; i < obj.fragIds.length; i++)
+                grow(fragBoxes, obj.fragIds[i] * 6);
+
+            for (i = 0; i < obj.children.length; i++) {
+                computeBox(obj.children[i]);
+                src = nodeArray.dbIdToIndex[obj.children[i]] * 6;
+                grow(boxes, src);
+            }
+        }
+
+        for (dbId = 1; dbId < objects.length; dbId++) {
+            if (!objects[dbId].parent)
+                computeBox(dbId);
+        }
+
+        var nodeAccess = new InstanceTreeAccess(nodeArray, rootId, boxes);
+        svf.instanceTree = new InstanceTree(nodeAccess, objects.length - 1, svf.maxTreeDepth || 0);
+        svf.fragToNodeDone = true;
+
+        this.eventTarget.fireEvent({
+            type: EventType.OBJECT_TREE_CREATED_EVENT,
+            svf: svf,
+            model: this.model
+        });
+    };
+
+
+    LocalPropDbLoader.prototype.load = function () {
+        var scope = this;
+
+        //Need this call to be async, because some state required
+        //by object tree load event handlers is not yet initialized
+        //when load() is called (in particular, viewer.model is not assigned at that point)
+        setTimeout(function () {
+            if (scope.objects)
+                scope.processLoadResult();
+        }, 0);
+    };
+
+
+    LocalPropDbLoader.prototype.getObjectProperties = function (dbId, propFilter) {
+
+        var obj = this.objects[dbId];
+        if (!obj)
+            return null;
+
+        var result = { dbId: dbId, properties: [] };
+
+        if (!propFilter || propFilter.indexOf("externalId") !== -1)
+            result.externalId = obj.externalId;
+
+        if (!propFilter || propFilter.indexOf("name") !== -1 || propFilter.indexOf("Name") !== -1)
+            result.name = obj.name;
+
+        for (var i = 0; i < obj.properties.length; i++) {
+            var prop = obj.properties[i];
+            if (!propFilter || propFilter.indexOf(prop.attributeName) !== -1 || propFilter.indexOf(prop.displayName) !== -1)
+                result.properties.push(prop);
+        }
+
+        if (propFilter && !result.properties.length && !("name" in result) && !("externalId" in result))
+            return null;
+
+        return result;
+    };
+
+
+    LocalPropDbLoader.prototype.getProperties = function (dbId, onSuccess, onError) {
+
+        var result = this.objects ? this.getObjectProperties(dbId) : null;
+
+        if (result)
+            deliver(onSuccess, result);
+        else
+            deliver(onError, { code: Global.ErrorCodes.BAD_DATA, msg: "No properties for object " + dbId });
+    };
+
+    /**
+     * Bulk property retrieval with property name filter.
+     * dbIds -- array of object dbIds to return properties for.
+     * propFilter -- array of property names to retrieve values for. If empty, all properties are returned.
+     */
+    LocalPropDbLoader.prototype.getBulkProperties = function (dbIds, propFilter, onSuccess, onError) {
+
+        if (propFilter && !propFilter.length)
+            propFilter = null;
+
+        var results = [];
+        for (var i = 0; i < dbIds.length; i++) {
+            var result = this.getObjectProperties(dbIds[i], propFilter);
+            if (result)
+                results.push(result);
+        }
+
+        deliver(onSuccess, results);
+    };
+
+
+    /**
+     * Exports properties of many objects as a CSV or JSON table, like PropDbLoader.exportProperties.
+     * dbIds -- objects to export, or null for all objects.
+     */
+    LocalPropDbLoader.prototype.exportProperties = function (dbIds, options, onSuccess, onError) {
+        var scope = this;
+
+        if (dbIds) {
+            PropertyExporter.exportProperties(this, dbIds, options, onSuccess, onError);
+            return;
+        }
+
+        this.getObjectTree(function () {
+            PropertyExporter.exportProperties(scope, PropertyExporter.getAllObjectIds(scope.svf), options, onSuccess, onError);
+        }, onError);
+    };
+
+
+    //Same semantics as the property worker search: the search string is split into
+    //terms (quoted phrases are kept together), each term is matched as a case insensitive
+    //substring of property values and the result is the set of objects matching all terms.
+    LocalPropDbLoader.prototype.searchProperties = function (searchText, attributeNames, onSuccess, onError) {
+
+        var text = (searchText || "").toLowerCase();
+        var terms = (text.match(/"[^"]+"|[^\s]+/g) || []).map(function (t) {
+            return t.replace(/"/g, "");
+        }).filter(function (t) {
+            return t.length > 1;
+        });
+
+        var useNames = attributeNames && attributeNames.length;
+        var matchNames = !useNames || attributeNames.indexOf("name") !== -1 || attributeNames.indexOf("Name") !== -1;
+
+        var results = [];
+        for (var dbId = 1; terms.length && dbId < this.objects.length; dbId++) {
+            var obj = this.objects[dbId];
+
+            var matchesAll = true;
+            for (var t = 0; t < terms.length && matchesAll; t++) {
+                var term = terms[t];
+                var found = matchNames && obj.name.toLowerCase().indexOf(term) !== -1;
+
+                for (var i = 0; i < obj.properties.length && !found; i++) {
+                    var prop = obj.properties[i];
+                    if (useNames && attributeNames.indexOf(prop.attributeName) === -1)
+                        continue;
+                    found = prop.displayValue.toString().toLowerCase().indexOf(term) !== -1;
+                }
+
+                matchesAll = found;
+            }
+
+            if (matchesAll)
+                results.push(dbId);
+        }
+
+        deliver(onSuccess, results);
+    };
+
+
+    //One past the last object id, like the property database in the worker
+    LocalPropDbLoader.prototype.getObjectCount = function () {
+        return this.objects.length;
+    };
+
+    LocalPropDbLoader.prototype.query = function (query, dbIds, onSuccess, onError) {
+
+        var result;
+        try {
+            result = PropertyQuery.run(this, query, dbIds);
+        } catch (e) {
+            deliver(onError, { code: Global.ErrorCodes.BAD_DATA, msg: e.message });
+            return;
+        }
+
+        deliver(onSuccess, result);
+    };
+
+
+    LocalPropDbLoader.prototype.getExternalIdMapping = function (onSuccess, onError) {
+
+        var mapping = {};
+        for (var dbId = 1; dbId < this.objects.length; dbId++)
+            mapping[this.objects[dbId].externalId] = dbId;
+
+        deliver(onSuccess, mapping);
+    };
+
+
+    LocalPropDbLoader.prototype.getObjectTree = function (onSuccess, onError) {
+        var scope = this;
+
+        if (scope.svf.instanceTree) {
+            onSuccess(scope.svf.instanceTree);
+        } else {
+            var listener = function () {
+                scope.eventTarget.removeEventListener(EventType.OBJECT_TREE_CREATED_EVENT, listener);
+                scope.getObjectTree(onSuccess, onError);
+            };
+            scope.eventTarget.addEventListener(EventType.OBJECT_TREE_CREATED_EVENT, listener);
+        }
+    };
+
+    LocalPropDbLoader.prototype.attributeToIdMap = function (onSuccess, onError) {
+
+        var map = {};
+        for (var dbId = 1; dbId < this.objects.length; dbId++) {
+            var props = this.objects[dbId].properties;
+            for (var i = 0; i < props.length; i++) {
+                var prop = props[i];
+                var entry = map[prop.displayName];
+                if (!entry) {
+                    entry = map[prop.displayName] = {
+                        values: [],
+                        units: prop.units,
+                        category: prop.displayCategory,
+                        isnumber: true
+                    };
+                }
+                if (isNaN(prop.displayValue))
+                    entry.isnumber = false;
+                entry.values.push({ value: prop.displayValue, id: dbId });
+            }
+        }
+
+        deliver(onSuccess, map);
+    };
+
+    return LocalPropDbLoader;
+});
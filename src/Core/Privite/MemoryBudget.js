@@ -0,0 +1,230 @@
+define([
+    '../Logger'
+], function(Logger) {
+    'use strict';
+
+    /**
+     * @constructor
+     * Keeps the geometry of the models in a scene within a GPU and a system memory budget.
+     *
+     * Each geometry is stamped with the render traversal in which it was last visible
+     * (see FragmentList.requireGeometry). When the scene is over budget, the least recently
+     * visible geometry is paged out, and its pack is fetched again once a fragment using it
+     * becomes visible. Only models loaded while the budget is enabled take part, because
+     * their loader has to keep what is needed to fetch packs again (see SvfLoader).
+     *
+     * @param {FireflyWebGLRenderer} renderer - releases the GPU buffers of paged out geometry
+     */
+    function MemoryBudget(renderer) {
+        this.renderer = renderer;
+
+        this.gpuLimit = 0; // bytes, 0 for no limit
+        this.cpuLimit = 0;
+
+        this.traversal = 0;     // increased with each render traversal, see RenderScene.reset
+        this.overBudget = false; // still over budget after the last page-out. Blocks fetching more geometry.
+
+        // totals, for diagnostics
+        this.pageOutCount = 0;
+        this.pageOutBytes = 0;
+        this.refetchCount = 0;
+    }
+
+    // Geometry visible in this many recent traversals is never paged out. A view takes a few
+    // traversals (highlighted, normal and ghosted objects), and geometry that was just loaded
+    // needs a chance to be drawn.
+    MemoryBudget.KEEP_TRAVERSALS = 8;
+
+    // Paging out continues down to this fraction of the limits, so that it does not run every frame.
+    MemoryBudget.PAGEOUT_TARGET = 0.85;
+
+    MemoryBudget.prototype.constructor = MemoryBudget;
+
+    /**
+     * @param {Object} limits
+     * @param {number} [limits.gpu] - bytes of geometry uploaded to the GPU, 0 or undefined for no limit
+     * @param {number} [limits.cpu] - bytes of geometry in system memory
+     */
+    MemoryBudget.prototype.setLimits = function (limits) {
+        limits = limits || {};
+        this.gpuLimit = Math.max(0, limits.gpu || 0);
+        this.cpuLimit = Math.max(0, limits.cpu || 0);
+        this.overBudget = false;
+    };
+
+    MemoryBudget.prototype.isEnabled = function () {
+        return this.gpuLimit > 0 || this.cpuLimit > 0;
+    };
+
+    /**
+     * Puts the geometry of a fragment list under this budget. Only for fragment lists
+     * without THREE.Mesh instances, where fragments refer to geometry by id.
+     * @param {FragmentList} frags
+     */
+    MemoryBudget.prototype.attach = function (frags) {
+        frags.memoryBudget = this;
+        frags.geomStamps = frags.geomStamps || [];
+    };
+
+    MemoryBudget.prototype.nextTraversal = function () {
+        this.traversal++;
+    };
+
+    /**
+     * Marks a geometry as visible in the current traversal.
+     * @param {FragmentList} frags
+     * @param {number} geomId
+     */
+    MemoryBudget.prototype.touch = function (frags, geomId) {
+        frags.geomStamps[geomId] = this.traversal;
+    };
+
+    /**
+     * Called by the loader when a paged out geometry is back in memory.
+     * @param {FragmentList} frags
+     * @param {number} geomId
+     */
+    MemoryBudget.prototype.onRefetched = function (frags, geomId) {
+        this.refetchCount++;
+        this.touch(frags, geomId);
+    };
+
+    /**
+     * @returns {bool} false while over budget, then requests for missing geometry are skipped.
+     */
+    MemoryBudget.prototype.canLoad = function () {
+        return !this.overBudget;
+    };
+
+    function isGoverned(budget, model) {
+        var frags = model.getFragmentList && model.getFragmentList();
+        return !!frags && frags.memoryBudget === budget;
+    }
+
+    /**
+     * @param {RenderModel[]} models
+     * @returns {Object} { gpu, cpu } bytes used by the geometry of the models under this budget
+     */
+    MemoryBudget.prototype.getUsage = function (models) {
+        var usage = { gpu: 0, cpu: 0 };
+        for (var i = 0; i < models.length; i++) {
+            if (!isGoverned(this, models[i]))
+                continue;
+            var geoms = models[i].getGeometryList();
+            usage.gpu += geoms.gpuMeshMemory;
+            usage.cpu += geoms.geomMemory;
+        }
+        return usage;
+    };
+
+    function exceeds(usage, gpuLimit, cpuLimit, fraction) {
+        return (gpuLimit > 0 && usage.gpu > gpuLimit * fraction) ||
+               (cpuLimit > 0 && usage.cpu > cpuLimit * fraction);
+    }
+
+    /**
+     * Pages out least recently visible geometry until the models are within budget again.
+     * Called after each render update, see RenderScene.renderSome.
+     * @param {RenderModel[]} models
+     * @returns {number} number of geometries paged out
+     */
+    MemoryBudget.prototype.enforce = function (models) {
+
+        if (!this.isEnabled())
+            return 0;
+
+        var usage = this.getUsage(models);
+        if (!exceeds(usage, this.gpuLimit, this.cpuLimit, 1.0)) {
+            this.overBudget = false;
+            return 0;
+        }
+
+        // Collect what may be paged out, least recently visible first.
+        // Geometry that was never drawn has no stamp and goes first.
+        var candidates = [];
+        var keepFrom = this.traversal - MemoryBudget.KEEP_TRAVERSALS;
+        var i, j;
+        for (i = 0; i < models.length; i++) {
+            if (!isGoverned(this, models[i]))
+                continue;
+
+            var frags = models[i].getFragmentList();
+            var list = models[i].getGeometryList().geoms;
+            for (j = 1; j < list.length; j++) {
+                if (!list[j])
+                    continue;
+                var stamp = frags.geomStamps[j];
+                if (stamp === undefined)
+                    stamp = -1;
+                if (stamp <= keepFrom)
+                    candidates.push({ frags: frags, geomId: j, stamp: stamp });
+            }
+        }
+
+        candidates.sort(function (a, b) { return a.stamp - b.stamp; });
+
+        var count = 0, bytes = 0;
+        for (i = 0; i < candidates.length; i++) {
+            if (!exceeds(usage, this.gpuLimit, this.cpuLimit, MemoryBudget.PAGEOUT_TARGET))
+                break;
+
+            var c = candidates[i];
+            var geometry = c.frags.geoms.getGeometry(c.geomId);
+            var onGpu = !geometry.streamingDraw;
+
+            c.frags.geoms.removeGeometry(c.geomId);
+            if (this.renderer)
+                this.renderer.deallocateGeometry(geometry);
+
+            usage.cpu -= geometry.byteSize;
+            if (onGpu)
+                usage.gpu -= geometry.byteSize;
+
+            bytes += geometry.byteSize;
+            count++;
+        }
+
+        this.pageOutCount += count;
+        this.pageOutBytes += bytes;
+        this.overBudget = exceeds(usage, this.gpuLimit, this.cpuLimit, 1.0);
+
+        if (count)
+            Logger.log("Memory budget: paged out " + count + " geometries, " + (bytes / (1024 * 1024)).toFixed(1) + " MB.");
+
+        return count;
+    };
+
+    /**
+     * Describes the budget and the memory use, for diagnostics.
+     * @param {RenderModel[]} models
+     * @returns {Object}
+     */
+    MemoryBudget.prototype.getState = function (models) {
+        var state = {
+            enabled: this.isEnabled(),
+            limits: { gpu: this.gpuLimit, cpu: this.cpuLimit },
+            usage: this.getUsage(models),
+            overBudget: this.overBudget,
+            models: 0,
+            geometries: 0,  // in memory
+            pagedOut: 0,    // currently out of memory
+            pageOutCount: this.pageOutCount,
+            pageOutBytes: this.pageOutBytes,
+            refetchCount: this.refetchCount
+        };
+
+        for (var i = 0; i < models.length; i++) {
+            if (!isGoverned(this, models[i]))
+                continue;
+            var geoms = models[i].getGeometryList();
+            state.models++;
+            state.geometries += geoms.numGeomsInMemory;
+            // Ids are handed out as geometry arrives, so the gaps are what was paged out
+            state.pagedOut += geoms.geoms.length - 1 - geoms.numGeomsInMemory;
+        }
+
+        return state;
+    };
+
+    return MemoryBudget;
+});
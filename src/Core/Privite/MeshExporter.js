@@ -0,0 +1,261 @@
+define([
+    '../Logger',
+    './VBUtils',
+    './Fn/getNodeFragIds',
+    './Fn/convertUnits'
+], function(Logger, VBUtils, getNodeFragIds, convertUnits) {
+    'use strict';
+
+    /**
+     * Exports the fragments of model nodes as plain triangle meshes (STL, OBJ),
+     * for fabrication and other tools that only need the shape.
+     * Vertices are transformed to world space and scaled to the requested units.
+     */
+    var MeshExporter = {};
+
+
+    //Walks the loaded geometry of the fragments of some nodes, with vertices in world space.
+    //Calls callback(dbId, data) per fragment, see VBUtils.readGeometry.
+    function forEachFragment(model, dbIds, units, callback) {
+
+        var frags = model.getFragmentList();
+        var fragId2dbId = model.getData().fragments.fragId2dbId;
+
+        var scale = 1;
+        var modelUnits = model.getUnitString();
+        if (units && modelUnits)
+            scale = convertUnits(modelUnits, units, 1);
+        else if (units)
+            Logger.warn("Model units are unknown, exporting without unit conversion.");
+
+        var world = new THREE.Matrix4();
+        var normalMatrix = new THREE.Matrix3();
+        var skipped = 0;
+
+        getNodeFragIds(model, dbIds).forEach(function (fragId) {
+
+            var geometry = frags.getGeometry(fragId);
+            var data = geometry && VBUtils.readGeometry(geometry);
+            if (!data) {
+                skipped++;
+                return;
+            }
+
+            frags.getWorldMatrix(fragId, world);
+            normalMatrix.getNormalMatrix(world);
+
+            var e = world.elements, p = data.positions;
+            for (var i = 0; i < p.length; i += 3) {
+                var x = p[i], y = p[i + 1], z = p[i + 2];
+                p[i] = (e[0] * x + e[4] * y + e[8] * z + e[12]) * scale;
+                p[i + 1] = (e[1] * x + e[5] * y + e[9] * z + e[13]) * scale;
+                p[i + 2] = (e[2] * x + e[6] * y + e[10] * z + e[14]) * scale;
+            }
+
+            var n = data.normals;
+            if (n) {
+                var ne = normalMatrix.elements;
+                for (i = 0; i < n.length; i += 3) {
+                    var nx = n[i], ny = n[i + 1], nz = n[i + 2];
+                    var tx = ne[0] * nx + ne[3] * ny + ne[6] * nz,
+                        ty = ne[1] * nx + ne[4] * ny + ne[7] * nz,
+                        tz = ne[2] * nx + ne[5] * ny + ne[8] * nz;
+                    var len = Math.sqrt(tx * tx + ty * ty + tz * tz) || 1;
+                    n[i] = tx / len;
+                    n[i + 1] = ty / len;
+                    n[i + 2] = tz / len;
+                }
+            }
+
+            //Mirroring transforms turn the triangles inside out
+            if (world.determinant() < 0 && !data.isLines && !data.isPoints) {
+                var idx = data.indices;
+                for (i = 0; i + 2 < idx.length; i += 3) {
+                    var tmp = idx[i + 1];
+                    idx[i + 1] = idx[i + 2];
+                    idx[i + 2] = tmp;
+                }
+            }
+
+            var dbId = fragId2dbId ? fragId2dbId[fragId] : fragId;
+            callback(Array.isArray(dbId) ? dbId[0] : dbId, data);
+        });
+
+        if (skipped)
+            Logger.warn("Export skipped " + skipped + " fragments without loaded geometry.");
+    }
+
+    function faceNormal(p, a, b, c, out) {
+        var e1x = p[b] - p[a], e1y = p[b + 1] - p[a + 1], e1z = p[b + 2] - p[a + 2];
+        var e2x = p[c] - p[a], e2y = p[c + 1] - p[a + 1], e2z = p[c + 2] - p[a + 2];
+        var nx = e1y * e2z - e1z * e2y,
+            ny = e1z * e2x - e1x * e2z,
+            nz = e1x * e2y - e1y * e2x;
+        var len = Math.sqrt(nx * nx + ny * ny + nz * nz) || 1;
+        out[0] = nx / len;
+        out[1] = ny / len;
+        out[2] = nz / len;
+    }
+
+    function formatNumber(x) {
+        //Enough digits for float precision, without trailing noise
+        return String(+x.toPrecision(7));
+    }
+
+
+    /**
+     * Exports nodes as an STL file. Only triangles are written.
+     * @param {RenderModel} model
+     * @param {number[]} [dbIds] - nodes to export, with their children. The whole model if omitted.
+     * @param {Object} [options]
+     * @param {string} [options.units] - target units (see ModelUnits), the model units if omitted
+     * @param {boolean} [options.ascii] - write ASCII instead of binary STL
+     * @returns {Blob|null} the file, or null if there are no triangles to export.
+     */
+    MeshExporter.exportStl = function (model, dbIds, options) {
+
+        options = options || {};
+
+        var meshes = [];
+        var triangleCount = 0;
+
+        forEachFragment(model, dbIds, options.units, function (dbId, data) {
+            if (data.isLines || data.isPoints)
+                return;
+            meshes.push(data);
+            triangleCount += Math.floor(data.indices.length / 3);
+        });
+
+        if (!triangleCount)
+            return null;
+
+        var n = [0, 0, 0];
+        var m, i, p, idx;
+
+        if (options.ascii) {
+            var lines = ["solid model"];
+            for (m = 0; m < meshes.length; m++) {
+                p = meshes[m].positions;
+                idx = meshes[m].indices;
+                for (i = 0; i + 2 < idx.length; i += 3) {
+                    var a = idx[i] * 3, b = idx[i + 1] * 3, c = idx[i + 2] * 3;
+                    faceNormal(p, a, b, c, n);
+                    lines.push("facet normal " + n.map(formatNumber).join(" "),
+                               "  outer loop",
+                               "    vertex " + formatNumber(p[a]) + " " + formatNumber(p[a + 1]) + " " + formatNumber(p[a + 2]),
+                               "    vertex " + formatNumber(p[b]) + " " + formatNumber(p[b + 1]) + " " + formatNumber(p[b + 2]),
+                               "    vertex " + formatNumber(p[c]) + " " + formatNumber(p[c + 1]) + " " + formatNumber(p[c + 2]),
+                               "  endloop",
+                               "endfacet");
+                }
+            }
+            lines.push("endsolid model", "");
+            return new Blob([lines.join("\n")], { type: "model/stl" });
+        }
+
+        //80 byte header, triangle count, then 50 bytes per triangle
+        var buffer = new ArrayBuffer(84 + triangleCount * 50);
+        var view = new DataView(buffer);
+        var header = "Binary STL" + (options.units ? " (" + options.units + ")" : "");
+        for (i = 0; i < header.length; i++)
+            view.setUint8(i, header.charCodeAt(i));
+        view.setUint32(80, triangleCount, true);
+
+        var offset = 84;
+        for (m = 0; m < meshes.length; m++) {
+            p = meshes[m].positions;
+            idx = meshes[m].indices;
+            for (i = 0; i + 2 < idx.length; i += 3) {
+                var v = [idx[i] * 3, idx[i + 1] * 3, idx[i + 2] * 3];
+                faceNormal(p, v[0], v[1], v[2], n);
+
+                view.setFloat32(offset, n[0], true);
+                view.setFloat32(offset + 4, n[1], true);
+                view.setFloat32(offset + 8, n[2], true);
+                offset += 12;
+
+                for (var k = 0; k < 3; k++) {
+                    view.setFloat32(offset, p[v[k]], true);
+                    view.setFloat32(offset + 4, p[v[k] + 1], true);
+                    view.setFloat32(offset + 8, p[v[k] + 2], true);
+                    offset += 12;
+                }
+
+                offset += 2; //attribute byte count
+            }
+        }
+
+        return new Blob([buffer], { type: "model/stl" });
+    };
+
+
+    /**
+     * Exports nodes as a Wavefront OBJ file, with one object per node.
+     * Triangles keep their normals, and lines are written as polylines.
+     * @param {RenderModel} model
+     * @param {number[]} [dbIds] - nodes to export, with their children. The whole model if omitted.
+     * @param {Object} [options]
+     * @param {string} [options.units] - target units (see ModelUnits), the model units if omitted
+     * @returns {Blob|null} the file, or null if there is no geometry to export.
+     */
+    MeshExporter.exportObj = function (model, dbIds, options) {
+
+        options = options || {};
+
+        var it = model.getData().instanceTree;
+        var out = ["# Exported from LMV" + (options.units ? ", units: " + options.units : "")];
+        var vertexBase = 1, normalBase = 1;
+        var exported = 0;
+        var lastDbId;
+
+        forEachFragment(model, dbIds, options.units, function (dbId, data) {
+            if (data.isPoints)
+                return;
+
+            if (dbId !== lastDbId) {
+                var name = (it && it.getNodeName(dbId)) || "Object";
+                out.push("o " + name.replace(/\s+/g, "_") + "_" + dbId);
+                lastDbId = dbId;
+            }
+
+            var p = data.positions, i;
+            for (i = 0; i < p.length; i += 3)
+                out.push("v " + formatNumber(p[i]) + " " + formatNumber(p[i + 1]) + " " + formatNumber(p[i + 2]));
+
+            var n = !data.isLines && data.normals;
+            if (n) {
+                for (i = 0; i < n.length; i += 3)
+                    out.push("vn " + formatNumber(n[i]) + " " + formatNumber(n[i + 1]) + " " + formatNumber(n[i + 2]));
+            }
+
+            var idx = data.indices;
+            if (data.isLines) {
+                for (i = 0; i + 1 < idx.length; i += 2)
+                    out.push("l " + (idx[i] + vertexBase) + " " + (idx[i + 1] + vertexBase));
+            } else {
+                for (i = 0; i + 2 < idx.length; i += 3) {
+                    var face = "f";
+                    for (var k = 0; k < 3; k++) {
+                        face += " " + (idx[i + k] + vertexBase);
+                        if (n)
+                            face += "//" + (idx[i + k] + normalBase);
+                    }
+                    out.push(face);
+                }
+            }
+
+            vertexBase += p.length / 3;
+            if (n)
+                normalBase += n.length / 3;
+            exported++;
+        });
+
+        if (!exported)
+            return null;
+
+        out.push("");
+        return new Blob([out.join("\n")], { type: "text/plain" });
+    };
+
+    return MeshExporter;
+});
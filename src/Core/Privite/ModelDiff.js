@@ -0,0 +1,345 @@
+define([
+    '../Logger'
+], function(Logger) {
+    'use strict';
+
+    /**
+     * Compares two versions of a design. Objects are matched by their external ids,
+     * which stay the same from one version to the next, and each object is classified as
+     * added, removed, changed in geometry, changed in properties, or unchanged.
+     */
+    var ModelDiff = {};
+
+    ModelDiff.ADDED = "added";
+    ModelDiff.REMOVED = "removed";
+    ModelDiff.GEOMETRY_CHANGED = "geometry";
+    ModelDiff.PROPERTIES_CHANGED = "properties";
+
+    ModelDiff.TYPES = [ModelDiff.ADDED, ModelDiff.REMOVED, ModelDiff.GEOMETRY_CHANGED, ModelDiff.PROPERTIES_CHANGED];
+
+    /**
+     * Theming colors (r, g, b) of the change types.
+     */
+    ModelDiff.COLORS = {
+        added: [0.1, 0.75, 0.1],
+        removed: [0.9, 0.1, 0.1],
+        geometry: [1.0, 0.55, 0.0],
+        properties: [0.15, 0.45, 1.0]
+    };
+
+    var DEFAULT_BATCH_SIZE = 500;
+
+    //Property type of references to other objects. Their ids differ between versions.
+    var TYPE_DB_KEY = 11;
+
+    //Tolerance of bounding box comparisons, relative to the size of the model
+    var DEFAULT_TOLERANCE = 1e-5;
+
+
+    function formatValue(prop) {
+        var value = prop.displayValue;
+        if (typeof value === "number")
+            value = +value.toPrecision(12);
+        value = (value === null || value === undefined) ? "" : String(value);
+        return prop.units ? value + " " + prop.units : value;
+    }
+
+    function getPropertyMap(result) {
+        var map = {};
+        if (!result)
+            return map;
+
+        if (result.name !== undefined)
+            map["\nName"] = { category: "", name: "Name", value: String(result.name) };
+
+        var props = result.properties || [];
+        for (var i = 0; i < props.length; i++) {
+            var prop = props[i];
+            if (prop.hidden || prop.type === TYPE_DB_KEY)
+                continue;
+            var category = prop.displayCategory || "";
+            map[category + "\n" + prop.displayName] = { category: category, name: prop.displayName, value: formatValue(prop) };
+        }
+        return map;
+    }
+
+    /**
+     * Lists the properties that differ between two versions of an object.
+     * @param {Object} oldResult - properties of the old version, as passed to the getProperties callback
+     * @param {Object} newResult - properties of the new version
+     * @returns {Object[]} { category, name, oldValue, newValue }. The value is null in the version
+     * that does not have the property. References to other objects are not compared.
+     */
+    ModelDiff.compareProperties = function (oldResult, newResult) {
+        var oldMap = getPropertyMap(oldResult);
+        var newMap = getPropertyMap(newResult);
+        var diffs = [];
+        var key;
+
+        for (key in oldMap) {
+            var oldProp = oldMap[key];
+            var newProp = newMap.hasOwnProperty(key) ? newMap[key] : null;
+            if (!newProp || newProp.value !== oldProp.value)
+                diffs.push({ category: oldProp.category, name: oldProp.name, oldValue: oldProp.value, newValue: newProp ? newProp.value : null });
+        }
+
+        for (key in newMap) {
+            if (!oldMap.hasOwnProperty(key))
+                diffs.push({ category: newMap[key].category, name: newMap[key].name, oldValue: null, newValue: newMap[key].value });
+        }
+
+        return diffs;
+    };
+
+
+    function hashInt(h, x) {
+        h ^= x | 0;
+        return Math.imul(h, 16777619);
+    }
+
+    //Hash of the vertex data of a geometry, for shape changes that keep the bounds.
+    //Large meshes are sampled.
+    function hashGeometry(geom) {
+        var vb = geom.vb || (geom.attributes && geom.attributes.position && geom.attributes.position.array);
+        if (!vb)
+            return null;
+        var ib = geom.ib || (geom.attributes && geom.attributes.index && geom.attributes.index.array);
+
+        var h = hashInt(hashInt(2166136261, vb.length), ib ? ib.length : 0);
+        var step = Math.max(1, Math.floor(vb.length / 4096));
+        for (var i = 0; i < vb.length; i += step)
+            h = hashInt(h, Math.round(vb[i] * 1e4));
+        return h >>> 0;
+    }
+
+    //Bounds and geometry hash of the fragments of one object, without its children.
+    //Bounds are in the coordinates of the file, so that versions with different global offsets compare.
+    function createGeometryReader(model) {
+        var svf = model.getData();
+        var it = svf.instanceTree;
+        var frags = model.getFragmentList();
+        var offset = svf.globalOffset || { x: 0, y: 0, z: 0 };
+        var box = new THREE.Box3();
+        var hashes = {};
+
+        return function (dbId) {
+            var bounds = new THREE.Box3();
+            var geomHashes = [];
+            var complete = true;
+
+            it.enumNodeFragments(dbId, function (fragId) {
+                frags.getWorldBounds(fragId, box);
+                bounds.union(box);
+
+                var geomId = frags.getGeometryId(fragId);
+                if (!hashes.hasOwnProperty(geomId)) {
+                    var geom = frags.getGeometry(fragId);
+                    hashes[geomId] = geom ? hashGeometry(geom) : null;
+                }
+                if (hashes[geomId] === null)
+                    complete = false;
+                else
+                    geomHashes.push(hashes[geomId]);
+            }, false);
+
+            if (!bounds.empty()) {
+                bounds.min.add(offset);
+                bounds.max.add(offset);
+            }
+
+            return {
+                bounds: bounds,
+                //Unknown if geometry is not in memory, then only the bounds are compared
+                hash: complete ? geomHashes.sort().join(",") : null
+            };
+        };
+    }
+
+    function boxesDiffer(a, b, tolerance) {
+        if (a.empty() || b.empty())
+            return a.empty() !== b.empty();
+        return Math.abs(a.min.x - b.min.x) > tolerance || Math.abs(a.min.y - b.min.y) > tolerance ||
+            Math.abs(a.min.z - b.min.z) > tolerance || Math.abs(a.max.x - b.max.x) > tolerance ||
+            Math.abs(a.max.y - b.max.y) > tolerance || Math.abs(a.max.z - b.max.z) > tolerance;
+    }
+
+    function isInTree(svf, dbId) {
+        return !svf.instanceTree || svf.instanceTree.nodeAccess.getIndex(dbId) !== undefined;
+    }
+
+    function getProperties(propDb, dbIds, callback, onError) {
+        propDb.getBulkProperties(dbIds, null, function (results) {
+            var byId = {};
+            for (var i = 0; results && i < results.length; i++)
+                if (results[i])
+                    byId[results[i].dbId] = results[i];
+            callback(byId);
+        }, onError);
+    }
+
+
+    /**
+     * Compares two versions of a model. Both need their geometry and object tree loaded.
+     *
+     * @param {Autodesk.Viewing.Model} oldModel
+     * @param {Autodesk.Viewing.Model} newModel
+     * @param {Object} [options]
+     * @param {number} [options.tolerance] - how far bounds may move before the geometry counts as changed,
+     * in model units. By default a small fraction of the model size.
+     * @param {boolean} [options.compareProperties=true] - false to only compare geometry
+     * @param {number} [options.batchSize=500] - objects per property database request
+     * @param {function(number, number)} [options.onProgress] - called with the number of objects compared and the total
+     * @param {function(Object)} onSuccess - called with { oldModel, newModel, changes, counts, unchanged }.
+     * Each change has type, externalId, oldDbId and newDbId. Geometry changes also have propertiesChanged.
+     * counts has the number of changes per type.
+     * @param {function(Object)} [onError]
+     */
+    ModelDiff.compare = function (oldModel, newModel, options, onSuccess, onError) {
+
+        options = options || {};
+
+        var oldData = oldModel.getData();
+        var newData = newModel.getData();
+
+        if (!oldData.propWorker || !newData.propWorker || !oldData.instanceTree || !newData.instanceTree) {
+            Logger.warn("Models can only be compared when their object trees are loaded.");
+            if (onError)
+                onError({ msg: "Object tree not available" });
+            return;
+        }
+
+        var batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+        var tolerance = options.tolerance;
+        if (tolerance === undefined) {
+            var size = Math.max(oldData.bbox.size().length(), newData.bbox.size().length());
+            tolerance = DEFAULT_TOLERANCE * size;
+        }
+
+        var changes = [];
+        var matched = [];
+
+        function classify(oldIds, newIds) {
+            var externalId;
+
+            for (externalId in newIds) {
+                if (!isInTree(newData, newIds[externalId]))
+                    continue;
+                if (oldIds.hasOwnProperty(externalId) && isInTree(oldData, oldIds[externalId]))
+                    matched.push({ externalId: externalId, oldDbId: oldIds[externalId], newDbId: newIds[externalId] });
+                else
+                    changes.push({ type: ModelDiff.ADDED, externalId: externalId, oldDbId: null, newDbId: newIds[externalId] });
+            }
+
+            for (externalId in oldIds) {
+                if (!isInTree(oldData, oldIds[externalId]))
+                    continue;
+                if (!newIds.hasOwnProperty(externalId) || !isInTree(newData, newIds[externalId]))
+                    changes.push({ type: ModelDiff.REMOVED, externalId: externalId, oldDbId: oldIds[externalId], newDbId: null });
+            }
+
+            var readOld = createGeometryReader(oldModel);
+            var readNew = createGeometryReader(newModel);
+            for (var i = 0; i < matched.length; i++) {
+                var a = readOld(matched[i].oldDbId);
+                var b = readNew(matched[i].newDbId);
+                matched[i].geometryChanged = boxesDiffer(a.bounds, b.bounds, tolerance) ||
+                    (a.hash !== null && b.hash !== null && a.hash !== b.hash);
+            }
+
+            if (options.compareProperties === false)
+                finish();
+            else
+                nextBatch(0);
+        }
+
+        function nextBatch(offset) {
+            if (offset >= matched.length) {
+                finish();
+                return;
+            }
+
+            var batch = matched.slice(offset, offset + batchSize);
+            var oldIds = batch.map(function (m) { return m.oldDbId; });
+            var newIds = batch.map(function (m) { return m.newDbId; });
+
+            getProperties(oldData.propWorker, oldIds, function (oldProps) {
+                getProperties(newData.propWorker, newIds, function (newProps) {
+                    for (var i = 0; i < batch.length; i++) {
+                        var m = batch[i];
+                        m.propertiesChanged = ModelDiff.compareProperties(oldProps[m.oldDbId], newProps[m.newDbId]).length > 0;
+                    }
+
+                    offset += batch.length;
+                    if (options.onProgress)
+                        options.onProgress(offset, matched.length);
+                    nextBatch(offset);
+                }, onError);
+            }, onError);
+        }
+
+        function finish() {
+            var unchanged = 0;
+            for (var i = 0; i < matched.length; i++) {
+                var m = matched[i];
+                var type = m.geometryChanged ? ModelDiff.GEOMETRY_CHANGED : (m.propertiesChanged ? ModelDiff.PROPERTIES_CHANGED : null);
+                if (!type) {
+                    unchanged++;
+                    continue;
+                }
+                var change = { type: type, externalId: m.externalId, oldDbId: m.oldDbId, newDbId: m.newDbId };
+                if (type === ModelDiff.GEOMETRY_CHANGED)
+                    change.propertiesChanged = !!m.propertiesChanged;
+                changes.push(change);
+            }
+
+            var counts = {};
+            ModelDiff.TYPES.forEach(function (type) { counts[type] = 0; });
+            changes.forEach(function (change) { counts[change.type]++; });
+
+            onSuccess({
+                oldModel: oldModel,
+                newModel: newModel,
+                changes: changes,
+                counts: counts,
+                unchanged: unchanged
+            });
+        }
+
+        oldModel.getExternalIdMapping(function (oldIds) {
+            newModel.getExternalIdMapping(function (newIds) {
+                classify(oldIds || {}, newIds || {});
+            }, onError);
+        }, onError);
+    };
+
+    /**
+     * Lists the property differences of one changed object, see compareProperties.
+     * @param {Object} change - an entry of the changes of a compare result
+     * @param {Object} diff - the compare result
+     * @param {function(Object[])} onSuccess
+     * @param {function(Object)} [onError]
+     */
+    ModelDiff.getPropertyChanges = function (change, diff, onSuccess, onError) {
+        var oldResult = null;
+        var newResult = null;
+
+        //Added and removed objects have all their properties listed as new or gone
+        var pending = (change.oldDbId ? 1 : 0) + (change.newDbId ? 1 : 0);
+        if (!pending) {
+            onSuccess([]);
+            return;
+        }
+
+        function done() {
+            if (--pending === 0)
+                onSuccess(ModelDiff.compareProperties(oldResult, newResult));
+        }
+
+        if (change.oldDbId)
+            diff.oldModel.getProperties(change.oldDbId, function (result) { oldResult = result; done(); }, onError);
+        if (change.newDbId)
+            diff.newModel.getProperties(change.newDbId, function (result) { newResult = result; done(); }, onError);
+    };
+
+    return ModelDiff;
+});
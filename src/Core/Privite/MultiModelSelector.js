@@ -1,7 +1,8 @@
 define([
     './Selector',
-    '../EventType'
-], function(Selector, EventType) {
+    '../EventType',
+    '../Logger'
+], function(Selector, EventType, Logger) {
     'use strict';
     
     function MultiModelSelector(viewer) {
@@ -17,14 +18,23 @@ define([
 
         this.removeModel = function (model) {
             var idx = _models.indexOf(model);
+            if (idx == -1)
+                return;
+
+            var hadSelection = model.selector.getSelectionLength() > 0;
+
+            model.selector.dtor();
             model.selector = null;
             _models.splice(idx, 1);
+
+            //The selection panels still show the objects of the removed model
+            if (hadSelection)
+                fireAggregateSelectionChangedEvent();
         };
 
-        function warn() {
-            if (_models.length > 1) {
-                avp.logger.warn("This selection call does not yet support multiple models.");
-            }
+        //Calls without a model are for the main model (viewer.model), not the first model added
+        function getModel(model) {
+            return model || viewer.model;
         }
 
         function fireAggregateSelectionChangedEvent() {
@@ -111,10 +121,9 @@ define([
         };
 
         this.getSelection = function () {
-            warn();
             if (_models.length > 1)
-                avp.logger.warn("Use getAggregateSelection instead of getSelection when there are multiple models in the scene.");
-            return _models[0].selector.getSelection();
+                Logger.warn("Use getAggregateSelection instead of getSelection when there are multiple models in the scene.");
+            return getModel().selector.getSelection();
         };
 
         this.getAggregateSelection = function () {
@@ -137,10 +146,7 @@ define([
         };
 
         this.toggleSelection = function (dbId, model) {
-            if (!model) {
-                warn();
-                model = _models[0];
-            }
+            model = getModel(model);
             model.selector.toggleSelection(dbId);
 
             fireAggregateSelectionChangedEvent();
@@ -155,14 +161,11 @@ define([
             if (!dbNodeArray || dbNodeArray.length === 0)
                 this.clearSelection();
             else {
-                if (!model) {
-                    warn();
-                    model = _models[0];
-                } else {
-                    for (var i = 0; i < _models.length; i++)
-                        if (_models[i] !== model)
-                            _models[i].selector.clearSelection();
-                }
+                //The selection of the other models is cleared, as Viewer3D.select says
+                model = getModel(model);
+                for (var i = 0; i < _models.length; i++)
+                    if (_models[i] !== model)
+                        _models[i].selector.clearSelection();
                 model.selector.setSelection(dbNodeArray);
             }
 
@@ -183,8 +186,13 @@ define([
         };
 
         this.getSelectionVisibility = function () {
-            warn();
-            return _models[0].selector.getSelectionVisibility();
+            var res = { hasVisible: false, hasHidden: false };
+            for (var i = 0; i < _models.length; i++) {
+                var vis = _models[i].selector.getSelectionVisibility();
+                res.hasVisible = res.hasVisible || vis.hasVisible;
+                res.hasHidden = res.hasHidden || vis.hasHidden;
+            }
+            return res;
         };
 
         this.dtor = function () {
@@ -201,6 +209,10 @@ define([
             deselectInvisible();
         });
 
+        viewer.api.addEventListener(EventType.MODEL_VISIBILITY_CHANGED_EVENT, function (event) {
+            deselectInvisible();
+        });
+
 
     }
 
@@ -1,7 +1,6 @@
 define([
-    './VisibilityManager',
-    '../Logger'
-], function(VisibilityManager, Logger) {
+    './VisibilityManager'
+], function(VisibilityManager) {
     'use strict';
     function MultiModelVisibilityManager(viewer) {
         
@@ -19,88 +18,63 @@ define([
 
     MultiModelVisibilityManager.prototype.removeModel = function (model) {
         var idx = this.models.indexOf(model);
+        if (idx == -1)
+            return;
         model.visibilityManager = null;
         this.models.splice(idx, 1);
     };
 
-    MultiModelVisibilityManager.prototype.warn = function () {
-        if (this.models.length > 1) {
-            Logger.warn("This selection call does not yet support multiple models.");
-        }
+    //Calls without a model are for the main model (viewer.model), not the first model added
+    MultiModelVisibilityManager.prototype.getModel = function (model) {
+        return model || this.viewer.model;
     };
 
 
     MultiModelVisibilityManager.prototype.getIsolatedNodes = function (model) {
-        if (!model) {
-            this.warn();
-            model = this.models[0];
-        }
+        model = this.getModel(model);
         return model.visibilityManager.getIsolatedNodes();
     };
 
     MultiModelVisibilityManager.prototype.getHiddenNodes = function (model) {
-        if (!model) {
-            this.warn();
-            model = this.models[0];
-        }
+        model = this.getModel(model);
         return model.visibilityManager.getHiddenNodes();
     };
 
     MultiModelVisibilityManager.prototype.isNodeVisible = function (model, dbId) {
-        if (!model) {
-            this.warn();
-            model = this.models[0];
-        }
-        return model.visibilityManager.isNodeVisible(dbId);
+        model = this.getModel(model);
+        //Nothing of a hidden model is visible, whatever its own visibility state
+        return model.visibilityManager.isNodeVisible(dbId) && this.viewer.isModelVisible(model);
     };
 
     MultiModelVisibilityManager.prototype.isolate = function (node, model) {
-        if (!model) {
-            this.warn();
-            model = this.models[0];
-        }
+        model = this.getModel(model);
         model.visibilityManager.isolate(node);
     };
 
     //Makes the children of a given node visible and
     //everything else not visible
     MultiModelVisibilityManager.prototype.hide = function (node, model) {
-        if (!model) {
-            this.warn();
-            model = this.models[0];
-        }
+        model = this.getModel(model);
         model.visibilityManager.hide(node);
     };
 
     MultiModelVisibilityManager.prototype.show = function (node, model) {
-        if (!model) {
-            this.warn();
-            model = this.models[0];
-        }
+        model = this.getModel(model);
         model.visibilityManager.show(node);
     };
 
     MultiModelVisibilityManager.prototype.toggleVisibility = function (node, model) {
-        if (!model) {
-            this.warn();
-            model = this.models[0];
-        }
+        model = this.getModel(model);
         model.visibilityManager.toggleVisibility(node);
     };
 
     MultiModelVisibilityManager.prototype.setVisibilityOnNode = function (node, visible, model) {
-        if (!model) {
-            this.warn();
-            model = this.models[0];
-        }
+        model = this.getModel(model);
         model.visibilityManager.setVisibilityOnNode(node, visible);
     };
 
     MultiModelVisibilityManager.prototype.setNodeOff = function (node, isOff, model) {
-        if (!model) {
-            this.warn();
-            model = this.models[0];
-        }
+        model = this.getModel(model);
         model.visibilityManager.setNodeOff(node, isOff);
     };
 
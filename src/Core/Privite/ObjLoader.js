@@ -0,0 +1,577 @@
+define([
+    '../FileLoaderManager',
+    '../Logger',
+    './FileLoaderBase',
+    './PackageBuilder',
+    './VBUtils',
+    './Fn/utf8ArrayToString'
+], function(FileLoaderManager, Logger, FileLoaderBase, PackageBuilder, VBUtils, utf8ArrayToString) {
+    'use strict';
+
+    /** @constructor
+     * Loads Wavefront OBJ files, including the MTL material libraries they reference.
+     * Every object ("o") and group ("g") becomes a node of the instance tree, with
+     * one fragment per material used in the group. The MTL materials are converted
+     * by MaterialConverter.convertMaterialMtl.
+     */
+    var ObjLoader = function (parent) {
+        FileLoaderBase.call(this, parent);
+    };
+
+    ObjLoader.prototype = Object.create(FileLoaderBase.prototype);
+    ObjLoader.prototype.constructor = ObjLoader;
+
+    ObjLoader.prototype.formatName = "OBJ";
+
+
+    function toText(data) {
+        if (typeof data === "string")
+            return data;
+
+        var bytes = (data instanceof Uint8Array) ? data : new Uint8Array(data);
+        return utf8ArrayToString(bytes, 0, bytes.length);
+    }
+
+
+    //Splits the file into statements, joining lines continued with a backslash
+    //and dropping comments and empty lines
+    function getStatements(text) {
+        var lines = text.replace(/\\\r?\n/g, " ").split(/\r?\n|\r/);
+        var statements = [];
+
+        for (var i = 0; i < lines.length; i++) {
+            var line = lines[i];
+            var hash = line.indexOf("#");
+            if (hash !== -1)
+                line = line.substr(0, hash);
+            line = line.trim();
+            if (line.length)
+                statements.push(line);
+        }
+
+        return statements;
+    }
+
+    //Returns the statement keyword and the remainder of the statement
+    function splitStatement(line) {
+        var space = line.search(/\s/);
+        if (space === -1)
+            return { keyword: line, rest: "" };
+        return { keyword: line.substr(0, space), rest: line.substr(space + 1).trim() };
+    }
+
+
+    /**
+     * Parses the OBJ text into the group hierarchy. Each group keeps its geometry
+     * split into chunks, one per material and primitive type, with the vertices
+     * already de-indexed into per-chunk arrays.
+     */
+    function parseObj(text) {
+
+        var positions = [], colors = [], normals = [], uvs = [];
+        var mtllibs = [];
+
+        var root = { name: "", kind: "root", children: [], childMap: {}, chunks: [], chunkMap: {} };
+        var currentObject = null;
+        var currentGroup = null;
+        var currentMaterial = null;
+
+        function getNode(parent, name, kind) {
+            var key = kind + ":" + name;
+            var node = parent.childMap[key];
+            if (!node) {
+                node = parent.childMap[key] = {
+                    name: name,
+                    kind: kind,
+                    children: [],
+                    childMap: {},
+                    chunks: [],
+                    chunkMap: {}
+                };
+                parent.children.push(node);
+            }
+            return node;
+        }
+
+        //Geometry goes to the current group, or the current object if there is no group.
+        //Geometry that is not part of any object or group goes to a default group.
+        function getTargetNode() {
+            if (currentGroup)
+                return currentGroup;
+            if (currentObject)
+                return currentObject;
+            currentGroup = getNode(root, "default", "group");
+            return currentGroup;
+        }
+
+        function getChunk(isLines) {
+            var node = getTargetNode();
+            var key = (currentMaterial || "") + (isLines ? "|lines" : "|faces");
+            var chunk = node.chunkMap[key];
+            if (!chunk) {
+                chunk = node.chunkMap[key] = {
+                    material: currentMaterial,
+                    isLines: isLines,
+                    vertexMap: {},
+                    positions: [],
+                    normals: [],
+                    uvs: [],
+                    colors: [],
+                    indices: [],
+                    hasNormals: true,
+                    hasUVs: true,
+                    hasColors: false
+                };
+                node.chunks.push(chunk);
+            }
+            return chunk;
+        }
+
+        //Indices are 1 based, negative indices are relative to the end of the list
+        function resolveIndex(str, count) {
+            if (!str)
+                return -1;
+            var idx = parseInt(str, 10);
+            if (isNaN(idx))
+                return -1;
+            idx = (idx < 0) ? count + idx : idx - 1;
+            return (idx >= 0 && idx < count) ? idx : -1;
+        }
+
+        function addVertex(chunk, ref) {
+            var parts = ref.split("/");
+            var vi = resolveIndex(parts[0], positions.length / 3);
+            if (vi === -1)
+                return -1;
+
+            var ti = resolveIndex(parts[1], uvs.length / 2);
+            var ni = resolveIndex(parts[2], normals.length / 3);
+
+            //Keyed by the resolved indices, since relative indices change meaning as the file goes on
+            var key = vi + "/" + ti + "/" + ni;
+            var index = chunk.vertexMap[key];
+            if (index !== undefined)
+                return index;
+
+            index = chunk.vertexMap[key] = chunk.positions.length / 3;
+
+            chunk.positions.push(positions[vi * 3], positions[vi * 3 + 1], positions[vi * 3 + 2]);
+
+            if (vi * 3 < colors.length) {
+                chunk.colors.push(colors[vi * 3], colors[vi * 3 + 1], colors[vi * 3 + 2]);
+                chunk.hasColors = true;
+            } else {
+                chunk.colors.push(1, 1, 1);
+            }
+
+            if (ti !== -1)
+                chunk.uvs.push(uvs[ti * 2], uvs[ti * 2 + 1]);
+            else {
+                chunk.uvs.push(0, 0);
+                chunk.hasUVs = false;
+            }
+
+            if (ni !== -1)
+                chunk.normals.push(normals[ni * 3], normals[ni * 3 + 1], normals[ni * 3 + 2]);
+            else {
+                chunk.normals.push(0, 0, 1);
+                chunk.hasNormals = false;
+            }
+
+            return index;
+        }
+
+        function addPolygon(refs, isLines) {
+            var chunk = getChunk(isLines);
+            var verts = [];
+            for (var i = 0; i < refs.length; i++) {
+                var v = addVertex(chunk, refs[i]);
+                if (v !== -1)
+                    verts.push(v);
+            }
+
+            if (isLines) {
+                for (i = 0; i + 1 < verts.length; i++)
+                    chunk.indices.push(verts[i], verts[i + 1]);
+            } else {
+                //Polygons are assumed to be convex and get triangulated as a fan
+                for (i = 1; i + 1 < verts.length; i++)
+                    chunk.indices.push(verts[0], verts[i], verts[i + 1]);
+            }
+        }
+
+        var statements = getStatements(text);
+
+        for (var s = 0; s < statements.length; s++) {
+
+            var st = splitStatement(statements[s]);
+            var args = st.rest.length ? st.rest.split(/\s+/) : [];
+
+            switch (st.keyword) {
+                case "v":
+                    //Optional per vertex color extension: v x y z r g b
+                    if (args.length >= 6) {
+                        //Vertices declared before the first color are white
+                        while (colors.length < positions.length)
+                            colors.push(1, 1, 1);
+                        colors.push(parseFloat(args[3]) || 0, parseFloat(args[4]) || 0, parseFloat(args[5]) || 0);
+                    } else if (colors.length) {
+                        colors.push(1, 1, 1);
+                    }
+                    positions.push(parseFloat(args[0]) || 0, parseFloat(args[1]) || 0, parseFloat(args[2]) || 0);
+                    break;
+                case "vn":
+                    normals.push(parseFloat(args[0]) || 0, parseFloat(args[1]) || 0, parseFloat(args[2]) || 0);
+                    break;
+                case "vt":
+                    uvs.push(parseFloat(args[0]) || 0, parseFloat(args[1]) || 0);
+                    break;
+                case "f":
+                    addPolygon(args, false);
+                    break;
+                case "l":
+                    addPolygon(args, true);
+                    break;
+                case "o":
+                    currentObject = getNode(root, args.join(" ") || "default", "object");
+                    currentGroup = null;
+                    break;
+                case "g":
+                    //Groups with an empty name go back to the parent object
+                    currentGroup = args.length ? getNode(currentObject || root, args.join(" "), "group") : null;
+                    break;
+                case "usemtl":
+                    currentMaterial = st.rest || null;
+                    break;
+                case "mtllib":
+                    //File names may contain spaces, so only split if each part looks like a file name
+                    var libs = /\.mtl(\s|$)/i.test(st.rest) ? st.rest.match(/.+?\.mtl(?=\s|$)/gi) : [st.rest];
+                    for (var l = 0; l < libs.length; l++) {
+                        var lib = libs[l].trim();
+                        if (lib && mtllibs.indexOf(lib) === -1)
+                            mtllibs.push(lib);
+                    }
+                    break;
+                case "s":
+                case "p":
+                case "vp":
+                    //Smoothing groups, points and free form geometry are not supported
+                    break;
+                default:
+                    break;
+            }
+        }
+
+        return { root: root, mtllibs: mtllibs };
+    }
+
+
+    //Number of arguments taken by the map statement options. Options with
+    //several arguments (-o, -s, -t) may omit the trailing ones.
+    var MAP_OPTION_ARGS = { "-blendu": 1, "-blendv": 1, "-bm": 1, "-boost": 1, "-cc": 1, "-clamp": 1,
+        "-imfchan": 1, "-mm": 2, "-o": 3, "-s": 3, "-t": 3, "-texres": 1, "-type": 1 };
+
+    var NUMBER_REGEX = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+
+    //Parses a map statement (e.g. "-bm 0.5 -s 1 1 1 file.png") and returns
+    //the file name and the bump multiplier, the other options are ignored.
+    function parseMapStatement(rest) {
+        var args = rest.split(/\s+/);
+        var result = { path: null, bumpScale: undefined };
+
+        var i = 0;
+        while (i < args.length - 1 && MAP_OPTION_ARGS[args[i]]) {
+            var option = args[i++];
+            var count = MAP_OPTION_ARGS[option];
+
+            if (option === "-bm")
+                result.bumpScale = parseFloat(args[i]);
+
+            if (count === 1) {
+                i++;
+            } else {
+                //Always leave the last argument for the file name
+                for (var n = 0; n < count && i < args.length - 1 && NUMBER_REGEX.test(args[i]); n++)
+                    i++;
+            }
+        }
+
+        //File names may contain spaces
+        result.path = args.slice(i).join(" ").replace(/\\/g, "/");
+        return result;
+    }
+
+    function parseColor(args) {
+        var r = parseFloat(args[0]) || 0;
+        var g = (args.length > 1) ? (parseFloat(args[1]) || 0) : r;
+        var b = (args.length > 2) ? (parseFloat(args[2]) || 0) : r;
+        return [r, g, b];
+    }
+
+    /**
+     * Parses a material library. Texture paths are made relative to the
+     * model's base path, using the location of the library.
+     * @returns {Object} material definitions by name
+     */
+    function parseMtl(text, libDir) {
+
+        var materials = {};
+        var current = null;
+
+        var statements = getStatements(text);
+
+        for (var s = 0; s < statements.length; s++) {
+
+            var st = splitStatement(statements[s]);
+            var keyword = st.keyword.toLowerCase();
+            var args = st.rest.length ? st.rest.split(/\s+/) : [];
+
+            if (keyword === "newmtl") {
+                current = materials[st.rest] = { name: st.rest, maps: {} };
+                continue;
+            }
+
+            if (!current)
+                continue;
+
+            switch (keyword) {
+                case "kd": current.Kd = parseColor(args); break;
+                case "ks": current.Ks = parseColor(args); break;
+                case "ka": current.Ka = parseColor(args); break;
+                case "ke": current.Ke = parseColor(args); break;
+                case "ns": current.Ns = parseFloat(args[0]) || 0; break;
+                case "d": current.d = parseFloat(args[args.length - 1]); break; //"d -halo 0.5"
+                case "tr": current.d = 1 - parseFloat(args[0]); break;
+                case "illum": current.illum = parseInt(args[0], 10); break;
+                case "map_kd":
+                case "map_ks":
+                case "map_d":
+                case "map_bump":
+                case "bump":
+                case "norm":
+                    var map = parseMapStatement(st.rest);
+                    if (!map.path)
+                        break;
+                    var mapKey = (keyword === "bump") ? "map_bump" : keyword;
+                    current.maps[mapKey] = libDir + map.path;
+                    if (mapKey === "map_bump" && map.bumpScale !== undefined)
+                        current.bumpScale = map.bumpScale;
+                    break;
+                default:
+                    break;
+            }
+        }
+
+        return materials;
+    }
+
+
+    ObjLoader.prototype.parse = function (data, callback) {
+
+        var obj = parseObj(toText(data));
+
+        var scope = this;
+        this.loadMaterialLibraries(obj.mtllibs, function (mtls) {
+            callback(null, scope.buildPackage(obj, mtls));
+        });
+    };
+
+
+    /**
+     * Downloads and parses the material libraries. Libraries that fail to load
+     * are skipped with a warning, the groups using their materials get a default material.
+     */
+    ObjLoader.prototype.loadMaterialLibraries = function (libs, callback) {
+
+        var materials = {};
+        var pending = libs.length;
+        var scope = this;
+
+        if (!pending) {
+            callback(materials);
+            return;
+        }
+
+        function done() {
+            if (--pending === 0)
+                callback(materials);
+        }
+
+        libs.forEach(function (lib) {
+            var path = lib.replace(/\\/g, "/");
+            var lastSlash = path.lastIndexOf("/");
+            var libDir = (lastSlash !== -1) ? path.substr(0, lastSlash + 1) : "";
+
+            scope.fetchFile(scope.basePath + path, "arraybuffer", function (data) {
+                var mtls = parseMtl(toText(data), libDir);
+                for (var name in mtls) {
+                    if (!materials[name])
+                        materials[name] = mtls[name];
+                }
+                done();
+            }, function (httpStatus, httpStatusText) {
+                Logger.warn("Failed to load OBJ material library " + path + " (" + httpStatus + ")");
+                done();
+            });
+        });
+    };
+
+
+    ObjLoader.prototype.buildPackage = function (obj, mtls) {
+
+        var builder = new PackageBuilder();
+
+        //Textures are registered as assets, with ids that the converted materials refer to
+        var textureIds = {};
+        function getTextureId(path) {
+            var id = textureIds[path];
+            if (id === undefined) {
+                id = textureIds[path] = "texture" + Object.keys(textureIds).length;
+                builder.addAsset(id, path);
+            }
+            return id;
+        }
+
+        var materialIds = {};
+        function getMaterialId(name) {
+            var key = name || "";
+            var id = materialIds[key];
+            if (id !== undefined)
+                return id;
+
+            var mtl = name && mtls[name];
+            if (!mtl) {
+                if (name)
+                    Logger.warn("OBJ material " + name + " not found, using default material.");
+                mtl = { name: name || "Default", Kd: [0.8, 0.8, 0.8], maps: {} };
+            }
+
+            var def = {
+                name: mtl.name,
+                Kd: mtl.Kd,
+                Ks: mtl.Ks,
+                Ka: mtl.Ka,
+                Ke: mtl.Ke,
+                Ns: mtl.Ns,
+                d: mtl.d,
+                illum: mtl.illum,
+                bumpScale: mtl.bumpScale,
+                maps: {},
+                transparent: (mtl.d !== undefined && mtl.d < 1) || !!mtl.maps.map_d
+            };
+
+            for (var m in mtl.maps)
+                def.maps[m] = getTextureId(mtl.maps[m]);
+
+            id = materialIds[key] = builder.addMaterial(def);
+            return id;
+        }
+
+        function addChunkFragments(dbId, chunks) {
+            var materialNames = [];
+            var triangles = 0;
+
+            for (var i = 0; i < chunks.length; i++) {
+                var chunk = chunks[i];
+                if (!chunk.indices.length)
+                    continue;
+
+                var attrs = {
+                    positions: new Float32Array(chunk.positions),
+                    indices: new Uint32Array(chunk.indices),
+                    isLines: chunk.isLines
+                };
+
+                //Normals are computed for the whole chunk if any of its vertices has none
+                if (chunk.hasNormals && !chunk.isLines)
+                    attrs.normals = new Float32Array(chunk.normals);
+                if (chunk.hasUVs)
+                    attrs.uvs = new Float32Array(chunk.uvs);
+                if (chunk.hasColors)
+                    attrs.colors = new Float32Array(chunk.colors);
+
+                var materialId = getMaterialId(chunk.material);
+
+                var meshes = VBUtils.createMeshes(attrs);
+                for (var m = 0; m < meshes.length; m++) {
+                    builder.addFragment(dbId, builder.addMesh(meshes[m]), materialId);
+                    triangles += meshes[m].triangleCount || 0;
+                }
+
+                if (chunk.material && materialNames.indexOf(chunk.material) === -1)
+                    materialNames.push(chunk.material);
+
+                //Release the parse data as we go
+                chunk.positions = chunk.normals = chunk.uvs = chunk.colors = chunk.indices = chunk.vertexMap = null;
+            }
+
+            var props = builder.getObject(dbId).properties;
+            if (materialNames.length)
+                props.push(PackageBuilder.createProperty("Material", materialNames.join(", "), "OBJ"));
+            props.push(PackageBuilder.createProperty("Triangles", triangles, "OBJ"));
+        }
+
+        function hasGeometry(node) {
+            for (var i = 0; i < node.chunks.length; i++) {
+                if (node.chunks[i].indices.length)
+                    return true;
+            }
+            for (i = 0; i < node.children.length; i++) {
+                if (hasGeometry(node.children[i]))
+                    return true;
+            }
+            return false;
+        }
+
+        function addNode(node, parentId, parentPath) {
+
+            //Skip groups that were declared but never received any faces
+            if (!hasGeometry(node))
+                return;
+
+            var path = parentPath + "/" + node.kind + ":" + node.name;
+            var type = (node.kind === "object") ? "Object" : "Group";
+            var props = [PackageBuilder.createProperty("Type", type, "OBJ")];
+
+            var nodeType = node.children.length ? PackageBuilder.NODE_TYPE_ASSEMBLY : PackageBuilder.NODE_TYPE_GEOMETRY;
+            var dbId = builder.addObject(parentId, node.name, nodeType, props, path);
+
+            for (var i = 0; i < node.children.length; i++)
+                addNode(node.children[i], dbId, path);
+
+            if (node.chunks.length) {
+                //Instance tree nodes either have children or fragments, so an object with both
+                //its own faces and groups gets an extra geometry child holding the faces.
+                var geomId = dbId;
+                if (builder.getObject(dbId).children.length)
+                    geomId = builder.addObject(dbId, node.name, PackageBuilder.NODE_TYPE_GEOMETRY,
+                        [PackageBuilder.createProperty("Type", type, "OBJ")], path + "/geometry");
+
+                addChunkFragments(geomId, node.chunks);
+            }
+        }
+
+        var rootId = builder.addObject(0, this.getModelName(), PackageBuilder.NODE_TYPE_MODEL, [], "root");
+
+        if (obj.mtllibs.length)
+            builder.getObject(rootId).properties.push(PackageBuilder.createProperty("Material Library", obj.mtllibs.join(", "), "OBJ"));
+
+        var children = obj.root.children;
+        for (var i = 0; i < children.length; i++)
+            addNode(children[i], rootId, "");
+
+        //OBJ has no units and is Y up by convention
+        var svf = builder.build({
+            "world up vector": { XYZ: [0, 1, 0] }
+        });
+
+        svf.mtlMaterials = true;
+
+        return svf;
+    };
+
+
+    FileLoaderManager.registerFileLoader("obj", ["obj"], ObjLoader);
+
+    return ObjLoader;
+});
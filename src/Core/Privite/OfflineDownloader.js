@@ -0,0 +1,195 @@
+define([
+    '../Global',
+    '../Logger',
+    './ViewingService',
+    './AssetCache',
+    './ZipReader',
+    './Fn/initLoadContext',
+    './Fn/pathToURL'
+], function(Global, Logger, ViewingService, AssetCache, ZipReader, initLoadContext, pathToURL) {
+    'use strict';
+
+    /**
+     * Downloads models into the offline cache (see AssetCache), so that they open
+     * later without network. The files are the ones listed in the manifest inside
+     * the SVF: geometry packs, textures and the property database.
+     */
+    var OfflineDownloader = {};
+
+    var DEFAULT_CONCURRENCY = 4;
+
+
+    function absoluteUrl(url) {
+        try {
+            return new URL(url, window.location.href).href;
+        } catch (e) {
+            return url;
+        }
+    }
+
+    //Plain URLs have no URN to identify the model by. The folder that contains all
+    //files is used instead, since the property database is usually outside the SVF folder.
+    function commonFolder(urls) {
+        var prefix = urls[0];
+        for (var i = 1; i < urls.length; i++) {
+            var j = 0;
+            while (j < prefix.length && prefix.charAt(j) === urls[i].charAt(j))
+                j++;
+            prefix = prefix.substr(0, j);
+        }
+        return prefix.substr(0, prefix.lastIndexOf("/") + 1);
+    }
+
+    function readManifest(buffer, callback) {
+        var entries;
+        try {
+            entries = ZipReader.readEntries(buffer);
+        } catch (e) {
+            callback(e.message);
+            return;
+        }
+
+        var entry = entries.filter(function (e) { return e.name === "manifest.json"; })[0];
+        if (!entry) {
+            callback("The model file has no manifest");
+            return;
+        }
+
+        ZipReader.extract(buffer, entry, function (err, blob) {
+            if (err) {
+                callback(err);
+                return;
+            }
+            var reader = new FileReader();
+            reader.onload = function () {
+                try {
+                    callback(null, JSON.parse(reader.result));
+                } catch (e) {
+                    callback("Malformed model manifest: " + e.message);
+                }
+            };
+            reader.onerror = function () { callback("Failed to read the model manifest"); };
+            reader.readAsText(blob);
+        });
+    }
+
+
+    /**
+     * Downloads a model and keeps it in the offline cache until it is removed with
+     * AssetCache.removeModel. Files that are cached already are not downloaded again,
+     * so an interrupted download can be resumed by calling this again.
+     * @param {string} path - the SVF file, as passed to Viewer3D.loadModel
+     * @param {Object} [options]
+     * @param {string} [options.version="1"] - version of the model. Downloading another version
+     * replaces the cached files.
+     * @param {string} [options.acmSessionId]
+     * @param {number} [options.concurrency=4] - parallel requests
+     * @param {function(number, number)} [options.onProgress] - called with the files done and the total
+     * @param {function(Object)} onSuccess - called with { key, files, size }, where key identifies
+     * the model in the cache
+     * @param {function(int, string)} [onError]
+     */
+    OfflineDownloader.download = function (path, options, onSuccess, onError) {
+
+        options = options || {};
+        onError = onError || function (code, msg) { Logger.error(msg); };
+
+        if (!AssetCache.isEnabled()) {
+            onError(Global.ErrorCodes.UNKNOWN_FAILURE, "The offline cache is not enabled");
+            return;
+        }
+
+        var version = String(options.version || "1");
+        var loadContext = initLoadContext({
+            queryParams: options.acmSessionId ? "acmsession=" + options.acmSessionId : ""
+        });
+
+        var basePath = path.substr(0, path.lastIndexOf("/") + 1);
+        var size = 0;
+
+        var failed = function (status, statusText, data) {
+            onError(status === 404 ? Global.ErrorCodes.NETWORK_FILE_NOT_FOUND : Global.ErrorCodes.NETWORK_FAILURE,
+                    "Failed to download " + (data && data.url || path) + ": " + status + " " + statusText);
+        };
+
+        //The model file is fetched past the cache, since it tells whether the cached files are still valid
+        ViewingService.getItem(loadContext, path, function (data) {
+
+            var buffer = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+            size += buffer.byteLength;
+
+            readManifest(buffer, function (err, manifest) {
+                if (err) {
+                    onError(Global.ErrorCodes.BAD_DATA, err);
+                    return;
+                }
+
+                var paths = (manifest.assets || []).map(function (asset) {
+                    return asset.URI;
+                }).filter(function (uri) {
+                    return uri && uri.indexOf("embed:/") !== 0;
+                }).map(function (uri) {
+                    return basePath + uri;
+                });
+
+                var svfUrl = absoluteUrl(path);
+                var key = path.indexOf("urn:") === 0 ? AssetCache.getModelKey(path) :
+                          commonFolder([svfUrl].concat(paths.map(absoluteUrl)));
+
+                AssetCache.setModelVersion(key, version, function () {
+                    AssetCache.put(ViewingService.generateUrl(loadContext.viewing_url, "items", pathToURL(path)), buffer);
+                    downloadFiles(key, paths);
+                }, { url: svfUrl, pinned: true });
+            });
+
+        }, failed, { responseType: "arraybuffer", skipAssetCache: true, skipAssetCallback: true });
+
+        function downloadFiles(key, paths) {
+            var total = paths.length;
+            var next = 0, done = 0, active = 0;
+            var stopped = false;
+
+            if (options.onProgress)
+                options.onProgress(0, total);
+
+            function finish() {
+                onSuccess({ key: key, files: total + 1, size: size });
+            }
+
+            function start() {
+                while (!stopped && active < (options.concurrency || DEFAULT_CONCURRENCY) && next < total) {
+                    active++;
+                    //Registered with a version, the model files are taken from the cache if present
+                    ViewingService.getItem(loadContext, paths[next++], onFile, onFailure,
+                                           { responseType: "arraybuffer", skipAssetCallback: true });
+                }
+            }
+
+            function onFile(data) {
+                active--;
+                done++;
+                size += data.byteLength;
+                if (options.onProgress)
+                    options.onProgress(done, total);
+                if (done === total)
+                    finish();
+                else
+                    start();
+            }
+
+            function onFailure(status, statusText, data) {
+                if (stopped)
+                    return;
+                stopped = true;
+                failed(status, statusText, data);
+            }
+
+            if (total)
+                start();
+            else
+                finish();
+        }
+    };
+
+    return OfflineDownloader;
+});
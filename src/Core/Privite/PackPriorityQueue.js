@@ -0,0 +1,170 @@
+define([
+    './FrustumIntersector',
+    './Global'
+], function(FrustumIntersector, Privite_Global) {
+    'use strict';
+
+    /**
+     * @constructor
+     * Decides the order in which the geometry packs of a model are loaded, see SvfLoader.loadGeometryPack.
+     *
+     * Each pack is scored by the fragments it contains: fragments outside the view count nothing,
+     * the others count their projected screen area, weighted up when they are close to the camera.
+     * The pack with the highest score is loaded next. Scores are recomputed when the camera moved,
+     * so navigating during the load changes what comes in next. Without a camera, packs load in file order.
+     *
+     * @param {RenderModel} model - Fragment bounds and pack ids must be available.
+     * @param {UnifiedCamera} [camera]
+     */
+    function PackPriorityQueue(model, camera) {
+        var svf = model.getData();
+
+        this.frags = model.getFragmentList();
+        this.packIds = svf.fragments.packIds;
+        this.camera = camera || null;
+
+        var numPacks = svf.geompacks.length;
+        this.scores = new Float32Array(numPacks);
+        this.state = new Uint8Array(numPacks); // PENDING, LOADING or LOADED
+        this.pending = numPacks;
+        this.remaining = numPacks; // not loaded yet
+
+        var size = model.getBoundingBox().size();
+        this.diagonal = size.length() || 1;
+
+        this.frustum = new FrustumIntersector();
+        this.lastViewProj = null;
+        this.lastUpdate = 0;
+
+        // Time when most of what is in view had loaded, see onLoaded
+        this.usefulTime = null;
+    }
+
+    var PENDING = 0, LOADING = 1, LOADED = 2;
+
+    // Scores are recomputed at most this often [ms], it walks all fragments
+    PackPriorityQueue.UPDATE_INTERVAL = 250;
+
+    // Share of the in-view score that has to be loaded for the first useful frame
+    PackPriorityQueue.USEFUL_FRACTION = 0.9;
+
+    PackPriorityQueue.prototype.constructor = PackPriorityQueue;
+
+    function sameMatrix(a, b) {
+        for (var i = 0; i < 16; i++)
+            if (a[i] !== b[i])
+                return false;
+        return true;
+    }
+
+    /**
+     * Recomputes the scores if the camera moved since the last time.
+     * @param {bool} [force] - ignore UPDATE_INTERVAL
+     * @returns {bool} true if the scores were recomputed
+     */
+    PackPriorityQueue.prototype.update = function () {
+
+        var box = new THREE.Box3();
+
+        return function (force) {
+            var camera = this.camera;
+            if (!camera || !this.packIds)
+                return false;
+
+            var now = Date.now();
+            if (!force && now - this.lastUpdate < PackPriorityQueue.UPDATE_INTERVAL)
+                return false;
+
+            var frustum = this.frustum;
+            frustum.reset(camera);
+
+            var viewProj = frustum.viewProj.elements;
+            if (this.lastViewProj && sameMatrix(this.lastViewProj, viewProj))
+                return false;
+            this.lastViewProj = new Float32Array(viewProj);
+            this.lastUpdate = now;
+
+            var scores = this.scores;
+            var packIds = this.packIds;
+            var frags = this.frags;
+            var eye = camera.position;
+            var diagonal = this.diagonal;
+
+            for (var p = 0; p < scores.length; p++)
+                scores[p] = 0;
+
+            for (var i = 0, iEnd = packIds.length; i < iEnd; i++) {
+                frags.getWorldBounds(i, box);
+                if (frustum.intersectsBox(box) === Privite_Global.OUTSIDE)
+                    continue;
+
+                var dx = (box.min.x + box.max.x) * 0.5 - eye.x;
+                var dy = (box.min.y + box.max.y) * 0.5 - eye.y;
+                var dz = (box.min.z + box.max.z) * 0.5 - eye.z;
+                var distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+                // Of two fragments that cover the same area, the near one is more likely in front
+                scores[packIds[i]] += frustum.projectedArea(box) * (1 + diagonal / (diagonal + distance));
+            }
+
+            return true;
+        };
+    }();
+
+    /**
+     * Takes the pending pack with the highest score and marks it as loading.
+     * @returns {number|null} pack id, or null if all packs are loading or loaded
+     */
+    PackPriorityQueue.prototype.next = function () {
+        if (!this.pending)
+            return null;
+
+        this.update();
+
+        var best = -1, bestScore = -1;
+        for (var i = 0; i < this.state.length; i++) {
+            if (this.state[i] === PENDING && this.scores[i] > bestScore) {
+                best = i;
+                bestScore = this.scores[i];
+            }
+        }
+
+        if (best === -1)
+            return null;
+
+        this.state[best] = LOADING;
+        this.pending--;
+        return best;
+    };
+
+    /**
+     * Called when a pack is loaded.
+     * @param {number} packId
+     * @returns {bool} true if this completes the first useful frame: most of what is in view is loaded
+     */
+    PackPriorityQueue.prototype.onLoaded = function (packId) {
+        if (this.state[packId] !== LOADED) {
+            this.state[packId] = LOADED;
+            this.remaining--;
+        }
+
+        if (this.usefulTime !== null)
+            return false;
+
+        var total = 0, loaded = 0;
+        for (var i = 0; i < this.scores.length; i++) {
+            total += this.scores[i];
+            if (this.state[i] === LOADED)
+                loaded += this.scores[i];
+        }
+
+        //Nothing in view, or no camera: the first useful frame is the one with everything loaded
+        if (total > 0 ? loaded < total * PackPriorityQueue.USEFUL_FRACTION : this.remaining > 0)
+            return false;
+
+        this.usefulTime = Date.now();
+        return true;
+    };
+
+    return PackPriorityQueue;
+});
@@ -0,0 +1,404 @@
+define([
+    '../Logger',
+    './PackageBuilder',
+    './VertexBufferBuilder',
+    './StrokeFont'
+], function(Logger, PackageBuilder, VertexBufferBuilder, StrokeFont) {
+    'use strict';
+
+    //Layer 0 holds the paper sheet, like in F2D files. The drawing layers start at 1.
+    var PAPER_LAYER = 0;
+    var PAPER_DBID = -1;
+    var PAPER_COLOR = 0xffffffff;
+    var PAPER_MARGIN = 0.05;
+
+    //Hairlines are drawn one pixel wide. Negative widths are in pixels, see LineShader.
+    var HAIRLINE_WIDTH = -1;
+
+
+    /**
+     * @constructor
+     * Assembles 2D drawings for the loaders of 2D formats (DXF, SVG). The geometry is
+     * encoded for the LineShader by a VertexBufferBuilder, objects go to the property
+     * database through a PackageBuilder, and the layers are collected for the layers panel.
+     *
+     * The drawing methods take a style: { dbId, layer, color, lineWidth, lineType },
+     * where color is in the vertex color format (see VertexBufferBuilder.toVertexColor),
+     * lineWidth is in drawing units (0 for hairlines, negative for pixels),
+     * and lineType is an index into LineStyleDefs.
+     */
+    function Package2DBuilder() {
+        this.builder = new PackageBuilder();
+        this.vbb = new VertexBufferBuilder();
+
+        this.meshes = [];   // { mesh, dbIds }, in drawing order
+        this.layers = [];   // { name, index, visible }
+
+        this.hasLineStyles = false;
+    }
+
+    /**
+     * Adds a node to the object hierarchy, see PackageBuilder.addObject.
+     */
+    Package2DBuilder.prototype.addObject = function (parentId, name, nodeType, properties, externalId) {
+        return this.builder.addObject(parentId, name, nodeType, properties, externalId);
+    };
+
+    Package2DBuilder.prototype.getObject = function (dbId) {
+        return this.builder.getObject(dbId);
+    };
+
+    /**
+     * Adds a layer to the layers panel.
+     * @param {string} name
+     * @param {boolean} [visible] - initial visibility, defaults to true
+     * @returns {number} the layer index to use in styles
+     */
+    Package2DBuilder.prototype.addLayer = function (name, visible) {
+        var index = this.layers.length + 1;
+        this.layers.push({ name: name, index: index, visible: visible !== false });
+        return index;
+    };
+
+
+    //Makes room for the given number of vertices, moving the current buffer to a mesh if needed
+    Package2DBuilder.prototype.reserve = function (vertexCount, indexCount) {
+        if (this.vbb.isFull(vertexCount, indexCount))
+            this.flush();
+    };
+
+    Package2DBuilder.prototype.flush = function () {
+        var vbb = this.vbb;
+        if (vbb.isEmpty())
+            return;
+
+        this.meshes.push({ mesh: vbb.toMesh(), dbIds: vbb.dbIds });
+        vbb.reset();
+    };
+
+    function getLineWidth(style) {
+        return style.lineWidth || HAIRLINE_WIDTH;
+    }
+
+
+    Package2DBuilder.prototype.addLine = function (x1, y1, x2, y2, style) {
+        this.reserve(4, 6);
+        this.vbb.addSegment(x1, y1, x2, y2, 0, getLineWidth(style), style.color, style.dbId, style.layer, 0, style.lineType);
+        if (style.lineType)
+            this.hasLineStyles = true;
+    };
+
+    /**
+     * @param {number[]} points - x, y pairs
+     * @param {boolean} closed - adds a segment from the last point back to the first
+     */
+    Package2DBuilder.prototype.addPolyline = function (points, closed, style) {
+
+        var count = points.length / 2;
+        var lineWidth = getLineWidth(style);
+        var distance = 0;
+
+        if (style.lineType)
+            this.hasLineStyles = true;
+
+        var segments = closed ? count : count - 1;
+        for (var i = 0; i < segments; i++) {
+            var j = (i + 1) % count;
+            var x1 = points[2 * i], y1 = points[2 * i + 1];
+            var x2 = points[2 * j], y2 = points[2 * j + 1];
+
+            this.reserve(4, 6);
+            this.vbb.addSegment(x1, y1, x2, y2, distance, lineWidth, style.color, style.dbId, style.layer, 0, style.lineType);
+
+            //Line patterns continue along the polyline
+            distance += Math.sqrt((x2 - x1) * (x2 - x1) + (y2 - y1) * (y2 - y1));
+        }
+    };
+
+    /**
+     * Adds a circular arc, counterclockwise from start to end angle (in radians).
+     */
+    Package2DBuilder.prototype.addArc = function (cx, cy, radius, start, end, style) {
+        this.reserve(4, 6);
+        this.vbb.addArc(cx, cy, start, end, radius, getLineWidth(style), style.color, style.dbId, style.layer, 0);
+    };
+
+    Package2DBuilder.prototype.addCircle = function (cx, cy, radius, style) {
+        this.addArc(cx, cy, radius, 0, 2 * Math.PI, style);
+    };
+
+
+    function toFlatArray(points) {
+        var flat = new Array(points.length * 2);
+        for (var i = 0; i < points.length; i++) {
+            flat[2 * i] = points[i].x;
+            flat[2 * i + 1] = points[i].y;
+        }
+        return flat;
+    }
+
+    function signedArea(points) {
+        var area = 0;
+        for (var i = 0, n = points.length; i < n; i++) {
+            var p = points[i], q = points[(i + 1) % n];
+            area += p.x * q.y - q.x * p.y;
+        }
+        return 0.5 * area;
+    }
+
+    function containsPoint(points, x, y) {
+        var inside = false;
+        for (var i = 0, j = points.length - 1; i < points.length; j = i++) {
+            var pi = points[i], pj = points[j];
+            if (((pi.y > y) !== (pj.y > y)) && (x < (pj.x - pi.x) * (y - pi.y) / (pj.y - pi.y) + pi.x))
+                inside = !inside;
+        }
+        return inside;
+    }
+
+    //Sorts the boundary loops of a filled area into shapes with holes.
+    //A loop inside an odd number of other loops is a hole of the smallest loop around it.
+    function groupContours(contours) {
+
+        var loops = contours.map(function (c) {
+            var pts = [];
+            for (var i = 0; i < c.length; i += 2)
+                pts.push(new THREE.Vector2(c[i], c[i + 1]));
+            return { points: pts, area: Math.abs(signedArea(pts)), parent: null, depth: 0, holes: [] };
+        }).filter(function (l) {
+            return l.points.length >= 3 && l.area > 0;
+        });
+
+        loops.sort(function (a, b) { return b.area - a.area; });
+
+        var shapes = [];
+        for (var i = 0; i < loops.length; i++) {
+            var loop = loops[i];
+            var p = loop.points[0];
+
+            //The smallest containing loop is the last one found, since they are sorted by area
+            for (var j = 0; j < i; j++) {
+                if (containsPoint(loops[j].points, p.x, p.y))
+                    loop.parent = loops[j];
+            }
+
+            loop.depth = loop.parent ? loop.parent.depth + 1 : 0;
+
+            if (loop.depth % 2)
+                loop.parent.holes.push(loop.points);
+            else
+                shapes.push(loop);
+        }
+
+        return shapes;
+    }
+
+    /**
+     * Adds a filled area.
+     * @param {number[][]} contours - boundary loops, as arrays of x, y pairs. Nested loops are holes.
+     */
+    Package2DBuilder.prototype.addFill = function (contours, style) {
+
+        var shapes = groupContours(contours);
+
+        for (var i = 0; i < shapes.length; i++) {
+            var shape = shapes[i];
+
+            var faces;
+            try {
+                faces = THREE.Shape.Utils.triangulateShape(shape.points, shape.holes);
+            } catch (e) {
+                faces = null;
+            }
+
+            if (!faces || !faces.length) {
+                Logger.warn("Failed to triangulate a filled area, drawing its outline instead.");
+                this.addPolyline(toFlatArray(shape.points), true, style);
+                continue;
+            }
+
+            //The triangle indices refer to the outer loop followed by the holes
+            var all = shape.points.concat.apply(shape.points, shape.holes);
+
+            //A fill that does not fit in an empty buffer cannot be drawn
+            if (all.length > this.vbb.FULL_COUNT) {
+                Logger.warn("Filled area with " + all.length + " points is too large, drawing its outline instead.");
+                this.addPolyline(toFlatArray(shape.points), true, style);
+                continue;
+            }
+
+            var indices = [];
+            for (var j = 0; j < faces.length; j++)
+                indices.push(faces[j][0], faces[j][1], faces[j][2]);
+
+            this.reserve(all.length, indices.length);
+            this.vbb.addPolyTriangle(toFlatArray(all), indices, style.color, style.dbId, style.layer, 0);
+        }
+    };
+
+
+    /**
+     * Adds a line of text, drawn with the built-in stroke font.
+     * @param {string} text
+     * @param {number} x - start of the baseline
+     * @param {number} y
+     * @param {number} height - height of capital letters
+     * @param {number} [rotation] - in radians, counterclockwise
+     * @param {number} [widthFactor]
+     * @param {number} [oblique] - slant angle in radians
+     */
+    Package2DBuilder.prototype.addText = function (text, x, y, height, rotation, widthFactor, oblique, style) {
+
+        if (!text || !(height > 0))
+            return;
+
+        var polylines = StrokeFont.layoutText(text, height, widthFactor, oblique);
+
+        var c = Math.cos(rotation || 0), s = Math.sin(rotation || 0);
+
+        //Text strokes are thin lines regardless of the line weight
+        var textStyle = {
+            dbId: style.dbId,
+            layer: style.layer,
+            color: style.color,
+            lineWidth: HAIRLINE_WIDTH,
+            lineType: 0
+        };
+
+        for (var i = 0; i < polylines.length; i++) {
+            var pts = polylines[i];
+            for (var j = 0; j < pts.length; j += 2) {
+                var px = pts[j], py = pts[j + 1];
+                pts[j] = x + px * c - py * s;
+                pts[j + 1] = y + px * s + py * c;
+            }
+            this.addPolyline(pts, false, textStyle);
+        }
+    };
+
+
+    function createPaperMesh(bbox) {
+        var vbb = new VertexBufferBuilder(4);
+
+        var points = [bbox.min.x, bbox.min.y, bbox.max.x, bbox.min.y, bbox.max.x, bbox.max.y, bbox.min.x, bbox.max.y];
+        vbb.addPolyTriangle(points, [0, 1, 2, 0, 2, 3], PAPER_COLOR, PAPER_DBID, PAPER_LAYER, 0);
+
+        return vbb.toMesh();
+    }
+
+    function createLayersRoot(layers) {
+        var root = {
+            name: "root",
+            id: "root",
+            isLayer: false,
+            children: [],
+            childCount: 0
+        };
+
+        for (var i = 0; i < layers.length; i++) {
+            var layer = layers[i];
+            root.children.push({ name: layer.name, index: layer.index, id: layer.index, isLayer: true });
+            root.childCount++;
+        }
+
+        return root;
+    }
+
+
+    /**
+     * Assembles the package.
+     * @param {string} [units] - drawing units, e.g. "mm"
+     * @param {Object} [metadata] - additional metadata
+     * @returns {Object} the package ("svf") that can be passed to the RenderModel constructor
+     */
+    Package2DBuilder.prototype.build = function (units, metadata) {
+
+        this.flush();
+
+        //Drawing extents
+        var bbox = new THREE.Box3();
+        var i, m;
+        for (i = 0; i < this.meshes.length; i++) {
+            m = this.meshes[i].mesh.boundingBox;
+            bbox.expandByPoint(new THREE.Vector3(m.min.x, m.min.y, 0));
+            bbox.expandByPoint(new THREE.Vector3(m.max.x, m.max.y, 0));
+        }
+        if (bbox.empty()) {
+            bbox.min.set(0, 0, 0);
+            bbox.max.set(1, 1, 0);
+        }
+
+        var size = bbox.size();
+        var margin = PAPER_MARGIN * Math.max(size.x, size.y, 1e-6);
+        bbox.expandByScalar(margin);
+        bbox.min.z = bbox.max.z = 0;
+
+        //2D fragments are drawn in order, so the paper goes first.
+        //Fragments of a drawing hold many objects, so they do not belong to a single dbId.
+        var builder = this.builder;
+        builder.addFragment(PAPER_DBID, builder.addMesh(createPaperMesh(bbox)), 0);
+
+        var fragDbIds = [null];
+        for (i = 0; i < this.meshes.length; i++) {
+            builder.addFragment(PAPER_DBID, builder.addMesh(this.meshes[i].mesh), 0);
+            fragDbIds.push(this.meshes[i].dbIds);
+        }
+
+        metadata = metadata || {};
+
+        metadata.page_dimensions = {
+            page_width: bbox.max.x - bbox.min.x,
+            page_height: bbox.max.y - bbox.min.y,
+            page_units: units || null,
+            logical_width: bbox.max.x - bbox.min.x,
+            logical_height: bbox.max.y - bbox.min.y,
+            logical_offset_x: bbox.min.x,
+            logical_offset_y: bbox.min.y
+        };
+
+        var layers = this.layers;
+        var layersMap = {};
+        var layerNames = {};
+        var hiddenLayers = [];
+        layersMap[PAPER_LAYER] = PAPER_LAYER;
+        for (i = 0; i < layers.length; i++) {
+            layersMap[layers[i].index] = layers[i].index;
+            layerNames[layers[i].index] = { name: layers[i].name, index: layers[i].index };
+            if (!layers[i].visible)
+                hiddenLayers.push(layers[i].index);
+        }
+        metadata.layers = layerNames;
+
+        var svf = builder.build(metadata);
+
+        //Map each object to the fragments that contain its geometry
+        var dbId2fragId = svf.fragments.dbId2fragId = {};
+        for (var fragId = 1; fragId < fragDbIds.length; fragId++) {
+            for (var id in fragDbIds[fragId]) {
+                var ids = dbId2fragId[id];
+                if (ids === undefined)
+                    dbId2fragId[id] = fragId;
+                else if (Array.isArray(ids))
+                    ids.push(fragId);
+                else
+                    dbId2fragId[id] = [ids, fragId];
+            }
+        }
+
+        svf.is2d = true;
+        svf.bbox = bbox;
+        svf.layersRoot = createLayersRoot(layers);
+        svf.layersMap = layersMap;
+        svf.layerCount = layers.length + 1;
+        svf.hiddenLayers = hiddenLayers;
+        svf.hasLineStyles = this.hasLineStyles;
+        svf.maxObjectNumber = svf.objects.length;
+
+        //Drawing coordinates are the model coordinates
+        svf.pageToModelTransform = new THREE.Matrix4();
+
+        return svf;
+    };
+
+    return Package2DBuilder;
+});
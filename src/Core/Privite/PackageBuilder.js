@@ -0,0 +1,279 @@
+define(function() {
+    'use strict';
+
+    //Property data types, as used by the property database
+    var PROPERTY_TYPE_BOOLEAN = 1,
+        PROPERTY_TYPE_INTEGER = 2,
+        PROPERTY_TYPE_DOUBLE = 3,
+        PROPERTY_TYPE_STRING = 20;
+
+
+    /**
+     * @constructor
+     * Collects the meshes, fragments, materials and objects produced by one of the
+     * loaders that parse a model file on the main thread, and assembles them into
+     * a package with the same layout the SVF worker produces. The package can then
+     * be wrapped by a RenderModel like any SVF.
+     */
+    function PackageBuilder() {
+
+        this.meshes = [];         // mesh descriptors, see VBUtils.createMeshes
+        this.frags = [];          // { dbId, meshIndex, materialId, matrix }
+        this.materialDefs = [];   // loader specific material definitions, indexed by material id
+        this.objects = [null];    // property database objects, indexed by dbId. dbId 0 is unused.
+        this.assets = [];         // manifest assets (textures)
+    }
+
+    /**
+     * Creates a property record in the format returned by the property worker.
+     * @param {string} displayName
+     * @param {*} value
+     * @param {string} [category]
+     * @param {string} [units]
+     * @param {boolean} [hidden]
+     */
+    PackageBuilder.createProperty = function (displayName, value, category, units, hidden) {
+
+        var type;
+        if (typeof value === "boolean") {
+            type = PROPERTY_TYPE_BOOLEAN;
+        } else if (typeof value === "number") {
+            type = (value % 1 === 0) ? PROPERTY_TYPE_INTEGER : PROPERTY_TYPE_DOUBLE;
+        } else {
+            type = PROPERTY_TYPE_STRING;
+            if (value === null || value === undefined)
+                value = "";
+            else if (typeof value === "object")
+                value = JSON.stringify(value);
+            else
+                value = value.toString();
+        }
+
+        return {
+            displayName: displayName,
+            displayValue: value,
+            displayCategory: category || "",
+            attributeName: displayName,
+            type: type,
+            units: units || null,
+            hidden: !!hidden
+        };
+    };
+
+    /**
+     * Adds a node to the object hierarchy.
+     * @param {number} parentId - dbId of the parent node, 0 for the root
+     * @param {string} name
+     * @param {number} [nodeType] - one of the PackageBuilder.NODE_TYPE_* values
+     * @param {Object[]} [properties] - see PackageBuilder.createProperty
+     * @param {string} [externalId] - defaults to the node path
+     * @returns {number} the dbId of the new node
+     */
+    PackageBuilder.prototype.addObject = function (parentId, name, nodeType, properties, externalId) {
+
+        var dbId = this.objects.length;
+        var parent = parentId ? this.objects[parentId] : null;
+
+        var obj = {
+            dbId: dbId,
+            parent: parentId || 0,
+            name: name || ("Object " + dbId),
+            externalId: externalId || (parent ? parent.externalId + "/" : "") + dbId,
+            flags: nodeType || 0,
+            children: [],
+            fragIds: [],
+            properties: properties || []
+        };
+
+        this.objects.push(obj);
+
+        if (parent)
+            parent.children.push(dbId);
+
+        return dbId;
+    };
+
+    PackageBuilder.prototype.getObject = function (dbId) {
+        return this.objects[dbId];
+    };
+
+    /**
+     * Registers a material definition. The format of the definition depends on the loader,
+     * MaterialManager.convertMaterials picks the converter based on flags set on the package.
+     * @returns {number} material id
+     */
+    PackageBuilder.prototype.addMaterial = function (def) {
+        this.materialDefs.push(def);
+        return this.materialDefs.length - 1;
+    };
+
+    /**
+     * Registers a texture, so that MaterialManager.loadTexture can resolve the id to a URI.
+     * @param {string} id - the id used as texture uri in the material definitions
+     * @param {string} uri - relative to the model base path, or an absolute, blob: or data: URL.
+     */
+    PackageBuilder.prototype.addAsset = function (id, uri) {
+        this.assets.push({ id: id, URI: uri, type: "image" });
+    };
+
+    /**
+     * @param {Object} mesh - mesh descriptor, see VBUtils.createMeshes
+     * @returns {number} mesh index
+     */
+    PackageBuilder.prototype.addMesh = function (mesh) {
+        this.meshes.push(mesh);
+        return this.meshes.length - 1;
+    };
+
+    /**
+     * Adds an instance of a mesh to the scene.
+     * @param {number} dbId - the node the fragment belongs to, or -1 if it holds the
+     *                        geometry of many nodes (2D drawings, see Package2DBuilder)
+     * @param {number} meshIndex
+     * @param {number} materialId
+     * @param {THREE.Matrix4} [matrix] - world transform
+     * @returns {number} fragId
+     */
+    PackageBuilder.prototype.addFragment = function (dbId, meshIndex, materialId, matrix) {
+
+        var fragId = this.frags.length;
+
+        this.frags.push({
+            dbId: dbId,
+            meshIndex: meshIndex,
+            materialId: materialId,
+            matrix: matrix ? matrix.clone() : null
+        });
+
+        if (dbId > 0)
+            this.objects[dbId].fragIds.push(fragId);
+
+        return fragId;
+    };
+
+
+    function getNodeDepth(objects, dbId) {
+        var obj = objects[dbId];
+        var depth = 1;
+        for (var i = 0; i < obj.children.length; i++)
+            depth = Math.max(depth, 1 + getNodeDepth(objects, obj.children[i]));
+        return depth;
+    }
+
+
+    /**
+     * Assembles the package.
+     * @param {Object} [metadata] - same structure as the SVF metadata, e.g. { "distance unit": { value: "m" } }
+     * @returns {Object} the package ("svf") that can be passed to the RenderModel constructor
+     */
+    PackageBuilder.prototype.build = function (metadata) {
+
+        var count = this.frags.length;
+
+        var fragments = {
+            length: count,
+            numLoaded: 0,
+            boxes: new Float32Array(6 * count),
+            transforms: new Float32Array(12 * count),
+            fragId2dbId: new Int32Array(count),
+            dbId2fragId: {},
+            materials: new Int32Array(count),
+            polygonCounts: new Int32Array(count),
+            mesh2frag: {}
+        };
+
+        var bbox = new THREE.Box3();
+        var box = new THREE.Box3();
+        var identity = new THREE.Matrix4();
+
+        for (var fragId = 0; fragId < count; fragId++) {
+
+            var frag = this.frags[fragId];
+            var mesh = this.meshes[frag.meshIndex];
+            var matrix = frag.matrix || identity;
+
+            //Column major, skipping the last row
+            var e = matrix.elements;
+            var off = fragId * 12;
+            for (var c = 0; c < 4; c++) {
+                fragments.transforms[off++] = e[c * 4];
+                fragments.transforms[off++] = e[c * 4 + 1];
+                fragments.transforms[off++] = e[c * 4 + 2];
+            }
+
+            box.min.copy(mesh.boundingBox.min);
+            box.max.copy(mesh.boundingBox.max);
+            box.applyMatrix4(matrix);
+            bbox.union(box);
+
+            off = fragId * 6;
+            fragments.boxes[off] = box.min.x;
+            fragments.boxes[off + 1] = box.min.y;
+            fragments.boxes[off + 2] = box.min.z;
+            fragments.boxes[off + 3] = box.max.x;
+            fragments.boxes[off + 4] = box.max.y;
+            fragments.boxes[off + 5] = box.max.z;
+
+            fragments.fragId2dbId[fragId] = frag.dbId;
+            fragments.materials[fragId] = frag.materialId;
+            fragments.polygonCounts[fragId] = mesh.triangleCount || 0;
+
+            if (frag.dbId > 0) {
+                var ids = fragments.dbId2fragId[frag.dbId];
+                if (ids === undefined)
+                    fragments.dbId2fragId[frag.dbId] = fragId;
+                else if (Array.isArray(ids))
+                    ids.push(fragId);
+                else
+                    fragments.dbId2fragId[frag.dbId] = [ids, fragId];
+            }
+
+            var fragIndexes = fragments.mesh2frag[frag.meshIndex];
+            if (fragIndexes === undefined)
+                fragments.mesh2frag[frag.meshIndex] = fragId;
+            else if (Array.isArray(fragIndexes))
+                fragIndexes.push(fragId);
+            else
+                fragments.mesh2frag[frag.meshIndex] = [fragIndexes, fragId];
+        }
+
+        if (bbox.empty()) {
+            bbox.min.set(0, 0, 0);
+            bbox.max.set(0, 0, 0);
+        }
+
+        var mats = {};
+        for (var i = 0; i < this.materialDefs.length; i++)
+            mats[i] = this.materialDefs[i];
+
+        var maxDepth = 0;
+        for (var dbId = 1; dbId < this.objects.length; dbId++) {
+            if (!this.objects[dbId].parent)
+                maxDepth = Math.max(maxDepth, getNodeDepth(this.objects, dbId));
+        }
+
+        return {
+            metadata: metadata || {},
+            manifest: { assets: this.assets },
+            materials: {
+                scene: { SceneUnit: metadata && metadata["distance unit"] ? metadata["distance unit"].value : "m" },
+                materials: mats
+            },
+            fragments: fragments,
+            meshes: this.meshes,
+            objects: this.objects,
+            maxTreeDepth: maxDepth,
+            bbox: bbox,
+            cameras: [],
+            lights: []
+        };
+    };
+
+    PackageBuilder.NODE_TYPE_ASSEMBLY = 0x0;
+    PackageBuilder.NODE_TYPE_LAYER = 0x2;
+    PackageBuilder.NODE_TYPE_COLLECTION = 0x3;
+    PackageBuilder.NODE_TYPE_MODEL = 0x5;
+    PackageBuilder.NODE_TYPE_GEOMETRY = 0x6;
+
+    return PackageBuilder;
+});
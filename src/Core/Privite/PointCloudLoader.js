@@ -0,0 +1,419 @@
+define([
+    '../FileLoaderManager',
+    '../Logger',
+    './FileLoaderBase',
+    './PackageBuilder',
+    './VBUtils',
+    './Fn/utf8ArrayToString'
+], function(FileLoaderManager, Logger, FileLoaderBase, PackageBuilder, VBUtils, utf8ArrayToString) {
+    'use strict';
+
+    //Survey scans are usually in meters, unless overridden with the "units" load option
+    var DEFAULT_UNITS = "m";
+
+    var PLY_TYPES = {
+        "char": { size: 1, getter: "getInt8" },
+        "int8": { size: 1, getter: "getInt8" },
+        "uchar": { size: 1, getter: "getUint8" },
+        "uint8": { size: 1, getter: "getUint8" },
+        "short": { size: 2, getter: "getInt16" },
+        "int16": { size: 2, getter: "getInt16" },
+        "ushort": { size: 2, getter: "getUint16" },
+        "uint16": { size: 2, getter: "getUint16" },
+        "int": { size: 4, getter: "getInt32" },
+        "int32": { size: 4, getter: "getInt32" },
+        "uint": { size: 4, getter: "getUint32" },
+        "uint32": { size: 4, getter: "getUint32" },
+        "float": { size: 4, getter: "getFloat32" },
+        "float32": { size: 4, getter: "getFloat32" },
+        "double": { size: 8, getter: "getFloat64" },
+        "float64": { size: 8, getter: "getFloat64" }
+    };
+
+    //Property names used for vertex colors by the various PLY writers
+    var PLY_COLOR_NAMES = [
+        ["red", "green", "blue"],
+        ["r", "g", "b"],
+        ["diffuse_red", "diffuse_green", "diffuse_blue"]
+    ];
+
+
+    /** @constructor
+     * Loads point clouds from PLY (ASCII and binary) and XYZ files. The points are
+     * drawn as GL points, with their colors if the file has any (see FireflyPointShader).
+     * PLY files that also contain faces are loaded as triangle meshes instead.
+     */
+    var PointCloudLoader = function (parent) {
+        FileLoaderBase.call(this, parent);
+    };
+
+    PointCloudLoader.prototype = Object.create(FileLoaderBase.prototype);
+    PointCloudLoader.prototype.constructor = PointCloudLoader;
+
+    PointCloudLoader.prototype.formatName = "point cloud";
+
+
+    function getExtension(path) {
+        var name = (path || "").split("?")[0];
+        return name.substr(name.lastIndexOf(".") + 1).toLowerCase();
+    }
+
+
+    //Converts float colors in the [0,1] range to bytes, unless they already are in [0,255]
+    function toByteColors(colors) {
+        var max = 0;
+        for (var i = 0; i < colors.length; i++) {
+            if (colors[i] > max)
+                max = colors[i];
+        }
+
+        var scale = (max <= 1) ? 255 : 1;
+        var bytes = new Uint8Array(colors.length);
+        for (i = 0; i < colors.length; i++)
+            bytes[i] = Math.max(0, Math.min(255, Math.round(colors[i] * scale)));
+        return bytes;
+    }
+
+
+    function toFloatColors(bytes) {
+        var colors = new Float32Array(bytes.length);
+        for (var i = 0; i < bytes.length; i++)
+            colors[i] = bytes[i] / 255;
+        return colors;
+    }
+
+
+    /**
+     * Parses an XYZ file: one point per line, with the coordinates optionally followed by
+     * the color ("x y z r g b") or by intensity and color ("x y z i r g b").
+     * Values can be separated by spaces, commas or semicolons. Lines that do not
+     * start with three numbers (headers, point counts) are skipped.
+     * @returns {Object} { positions, colors, comments }
+     */
+    function parseXyz(text) {
+
+        var lines = text.split(/\r?\n|\r/);
+        var positions = new Float32Array(lines.length * 3);
+        var colors = null;
+        var count = 0;
+        var skipped = 0;
+
+        for (var i = 0; i < lines.length; i++) {
+            var line = lines[i].trim();
+            if (!line.length || line.charAt(0) === "#" || line.substr(0, 2) === "//")
+                continue;
+
+            var values = line.split(/[\s,;]+/);
+            if (values.length < 3) {
+                skipped++;
+                continue;
+            }
+
+            var x = parseFloat(values[0]), y = parseFloat(values[1]), z = parseFloat(values[2]);
+            if (isNaN(x) || isNaN(y) || isNaN(z)) {
+                skipped++;
+                continue;
+            }
+
+            positions[count * 3] = x;
+            positions[count * 3 + 1] = y;
+            positions[count * 3 + 2] = z;
+
+            var colorStart = (values.length >= 7) ? 4 : (values.length >= 6 ? 3 : -1);
+            if (colorStart !== -1) {
+                if (!colors)
+                    colors = new Float32Array(lines.length * 3);
+                colors[count * 3] = parseFloat(values[colorStart]) || 0;
+                colors[count * 3 + 1] = parseFloat(values[colorStart + 1]) || 0;
+                colors[count * 3 + 2] = parseFloat(values[colorStart + 2]) || 0;
+            } else if (colors) {
+                colors[count * 3] = colors[count * 3 + 1] = colors[count * 3 + 2] = 1;
+            }
+
+            count++;
+        }
+
+        if (skipped)
+            Logger.log("XYZ: skipped " + skipped + " lines that are not points.");
+
+        return {
+            positions: positions.subarray(0, count * 3),
+            colors: colors ? toByteColors(colors.subarray(0, count * 3)) : null,
+            comments: []
+        };
+    }
+
+
+    function parsePlyHeader(bytes) {
+
+        //The header is ASCII and ends with "end_header" on a line of its own
+        var text = utf8ArrayToString(bytes, 0, Math.min(bytes.length, 65536));
+        var match = /end_header[ \t]*(\r\n|\r|\n)/.exec(text);
+        if (text.substr(0, 3) !== "ply" || !match)
+            return null;
+
+        var header = {
+            format: null,
+            elements: [],
+            comments: [],
+            dataOffset: match.index + match[0].length
+        };
+
+        var lines = text.substr(0, match.index).split(/\r?\n|\r/);
+        var element = null;
+
+        for (var i = 1; i < lines.length; i++) {
+            var args = lines[i].trim().split(/\s+/);
+
+            switch (args[0]) {
+                case "format":
+                    header.format = args[1];
+                    break;
+                case "comment":
+                case "obj_info":
+                    header.comments.push(lines[i].trim().substr(args[0].length + 1));
+                    break;
+                case "element":
+                    element = { name: args[1], count: parseInt(args[2], 10) || 0, properties: [] };
+                    header.elements.push(element);
+                    break;
+                case "property":
+                    if (!element)
+                        break;
+                    if (args[1] === "list")
+                        element.properties.push({ name: args[4], isList: true, countType: args[2], type: args[3] });
+                    else
+                        element.properties.push({ name: args[2], type: args[1] });
+                    break;
+                default:
+                    break;
+            }
+        }
+
+        return header;
+    }
+
+
+    //Returns a function that reads the next value of the PLY body, for the given format
+    function createPlyReader(bytes, header) {
+
+        if (header.format === "ascii") {
+            var text = utf8ArrayToString(bytes, header.dataOffset, bytes.length - header.dataOffset);
+            var tokens = text.split(/\s+/);
+            var t = (tokens[0] === "") ? 1 : 0;
+
+            return function () {
+                return parseFloat(tokens[t++]);
+            };
+        }
+
+        var littleEndian = (header.format === "binary_little_endian");
+        var view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        var offset = header.dataOffset;
+
+        return function (type) {
+            var info = PLY_TYPES[type];
+            if (!info)
+                throw new Error("Unknown PLY property type " + type);
+            var value = view[info.getter](offset, littleEndian);
+            offset += info.size;
+            return value;
+        };
+    }
+
+
+    /**
+     * Parses a PLY file, keeping the vertex positions, normals and colors and the faces.
+     * Other elements and properties are skipped.
+     * @returns {Object} { positions, normals, colors, indices, comments } or an error string
+     */
+    function parsePly(bytes) {
+
+        var header = parsePlyHeader(bytes);
+        if (!header)
+            return "Invalid PLY header.";
+
+        if (header.format !== "ascii" && header.format !== "binary_little_endian" && header.format !== "binary_big_endian")
+            return "Unsupported PLY format " + header.format + ".";
+
+        var read = createPlyReader(bytes, header);
+        var result = { positions: null, normals: null, colors: null, indices: null, comments: header.comments };
+        var colorType = null;
+
+        for (var e = 0; e < header.elements.length; e++) {
+            var element = header.elements[e];
+            var props = element.properties;
+
+            //Find the vertex attribute properties by name
+            var slots = {};
+            for (var p = 0; p < props.length; p++)
+                slots[props[p].name] = p;
+
+            var isVertex = (element.name === "vertex");
+            var isFace = (element.name === "face");
+
+            var colorNames = null;
+            if (isVertex) {
+                result.positions = new Float32Array(element.count * 3);
+                if (slots.nx !== undefined && slots.ny !== undefined && slots.nz !== undefined)
+                    result.normals = new Float32Array(element.count * 3);
+                for (var c = 0; c < PLY_COLOR_NAMES.length && !colorNames; c++) {
+                    var names = PLY_COLOR_NAMES[c];
+                    if (slots[names[0]] !== undefined && slots[names[1]] !== undefined && slots[names[2]] !== undefined)
+                        colorNames = names;
+                }
+                if (colorNames) {
+                    result.colors = new Float32Array(element.count * 3);
+                    colorType = props[slots[colorNames[0]]].type;
+                }
+            }
+
+            var faceIndices = isFace ? [] : null;
+            var values = new Array(props.length);
+
+            for (var i = 0; i < element.count; i++) {
+
+                for (p = 0; p < props.length; p++) {
+                    var prop = props[p];
+                    if (prop.isList) {
+                        var n = read(prop.countType);
+                        var list = new Array(n);
+                        for (var k = 0; k < n; k++)
+                            list[k] = read(prop.type);
+                        values[p] = list;
+                    } else {
+                        values[p] = read(prop.type);
+                    }
+                }
+
+                if (isVertex) {
+                    result.positions[i * 3] = values[slots.x];
+                    result.positions[i * 3 + 1] = values[slots.y];
+                    result.positions[i * 3 + 2] = values[slots.z];
+
+                    if (result.normals) {
+                        result.normals[i * 3] = values[slots.nx];
+                        result.normals[i * 3 + 1] = values[slots.ny];
+                        result.normals[i * 3 + 2] = values[slots.nz];
+                    }
+
+                    if (colorNames) {
+                        result.colors[i * 3] = values[slots[colorNames[0]]];
+                        result.colors[i * 3 + 1] = values[slots[colorNames[1]]];
+                        result.colors[i * 3 + 2] = values[slots[colorNames[2]]];
+                    }
+                } else if (isFace) {
+                    var face = values[slots.vertex_indices !== undefined ? slots.vertex_indices : slots.vertex_index];
+                    //Triangulate polygons as a fan
+                    for (k = 1; face && k + 1 < face.length; k++)
+                        faceIndices.push(face[0], face[k], face[k + 1]);
+                }
+            }
+
+            if (isFace && faceIndices.length)
+                result.indices = new Uint32Array(faceIndices);
+        }
+
+        if (!result.positions)
+            return "PLY file has no vertices.";
+
+        if (result.colors) {
+            //Integer color properties are in [0,255], float ones in [0,1]
+            result.colors = (PLY_TYPES[colorType].getter.indexOf("Float") !== -1) ?
+                toByteColors(result.colors) : new Uint8Array(result.colors);
+        }
+
+        return result;
+    }
+
+
+    PointCloudLoader.prototype.parse = function (data, callback) {
+
+        var bytes = (data instanceof Uint8Array) ? data : new Uint8Array(data);
+
+        var format = getExtension(this.currentLoadPath);
+        var cloud;
+
+        if (format === "ply") {
+            cloud = parsePly(bytes);
+            if (typeof cloud === "string") {
+                callback(cloud);
+                return;
+            }
+        } else {
+            format = "xyz";
+            cloud = parseXyz(utf8ArrayToString(bytes, 0, bytes.length));
+        }
+
+        if (!cloud.positions.length) {
+            callback("No points found in " + format.toUpperCase() + " file.");
+            return;
+        }
+
+        callback(null, this.buildPackage(cloud, format.toUpperCase()));
+    };
+
+
+    PointCloudLoader.prototype.buildPackage = function (cloud, format) {
+
+        var builder = new PackageBuilder();
+
+        //Color used for points without vertex colors, in MTL terms like the OBJ and STL materials
+        var materialId = builder.addMaterial({
+            name: "Default",
+            Kd: [0.7, 0.7, 0.7],
+            maps: {},
+            transparent: false
+        });
+
+        var rootProps = [PackageBuilder.createProperty("Format", format, "Point Cloud")];
+        for (var i = 0; i < cloud.comments.length; i++)
+            rootProps.push(PackageBuilder.createProperty("Comment", cloud.comments[i], "Point Cloud"));
+
+        var rootId = builder.addObject(0, this.getModelName(), PackageBuilder.NODE_TYPE_MODEL, rootProps, "root");
+
+        var numPoints = cloud.positions.length / 3;
+        var meshes, props, name;
+
+        if (cloud.indices) {
+            //PLY with faces: a regular triangle mesh
+            meshes = VBUtils.createMeshes({
+                positions: cloud.positions,
+                normals: cloud.normals || undefined,
+                colors: cloud.colors ? toFloatColors(cloud.colors) : undefined,
+                indices: cloud.indices
+            });
+            name = "Mesh";
+            props = [
+                PackageBuilder.createProperty("Vertices", numPoints, "Point Cloud"),
+                PackageBuilder.createProperty("Triangles", cloud.indices.length / 3, "Point Cloud")
+            ];
+        } else {
+            meshes = VBUtils.createPointMeshes(cloud.positions, cloud.colors);
+            name = "Points";
+            props = [
+                PackageBuilder.createProperty("Points", numPoints, "Point Cloud"),
+                PackageBuilder.createProperty("Colored", !!cloud.colors, "Point Cloud")
+            ];
+        }
+
+        var dbId = builder.addObject(rootId, name, PackageBuilder.NODE_TYPE_GEOMETRY, props, "points");
+
+        for (i = 0; i < meshes.length; i++)
+            builder.addFragment(dbId, builder.addMesh(meshes[i]), materialId);
+
+        var svf = builder.build({
+            "distance unit": { value: (this.options && this.options.units) || DEFAULT_UNITS },
+            "world up vector": { XYZ: [0, 0, 1] }
+        });
+
+        svf.mtlMaterials = true;
+
+        return svf;
+    };
+
+
+    FileLoaderManager.registerFileLoader("pointcloud", ["ply", "xyz"], PointCloudLoader);
+
+    return PointCloudLoader;
+});
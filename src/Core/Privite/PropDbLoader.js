@@ -1,12 +1,14 @@
 define([
     '../EventType',
     '../DeviceType',
+    '../Logger',
     './InstanceTreeAccess',
     './InstanceTree',
     './Fn/pathToURL',
     './Fn/initLoadContext',
+    './PropertyExporter',
     '../../Worker/createWorkerWithIntercept'
-], function(EventType, DeviceType, InstanceTreeAccess, InstanceTree, pathToURL, initLoadContext, createWorkerWithIntercept) {
+], function(EventType, DeviceType, Logger, InstanceTreeAccess, InstanceTree, pathToURL, initLoadContext, PropertyExporter, createWorkerWithIntercept) {
     'use strict';
     var WORKER_GET_PROPERTIES = "GET_PROPERTIES";
     var WORKER_SEARCH_PROPERTIES = "SEARCH_PROPERTIES";
@@ -175,7 +177,7 @@ define([
             this.propWorker = cached;
         } else {
 
-            this.propWorker = createWorkerWithIntercept();
+            this.propWorker = createWorkerWithIntercept({ propertyQuery: true });
             this.propWorker.addEventListenerWithIntercept(propertyWorkerCallback);
 
             if (cacheable) {
@@ -275,6 +277,32 @@ define([
     };
 
 
+    /**
+     * Exports properties of many objects as a CSV or JSON table, see PropertyExporter.exportProperties
+     * for the options. The properties are requested from the worker in batches.
+     * dbIds -- objects to export, or null for all objects of the property database.
+     */
+    PropDbLoader.prototype.exportProperties = function (dbIds, options, onSuccess, onError) {
+        var scope = this;
+
+        if (dbIds) {
+            PropertyExporter.exportProperties(this, dbIds, options, onSuccess, onError);
+            return;
+        }
+
+        //All objects: wait until the worker has told us what they are
+        var onObjectsKnown = function () {
+            var allIds = PropertyExporter.getAllObjectIds(scope.svf);
+            if (allIds)
+                PropertyExporter.exportProperties(scope, allIds, options, onSuccess, onError);
+            else if (onError)
+                onError(scope.propertyDbError || { code: EventType.UNKNOWN_FAILURE, msg: "Failed to load properties" });
+        };
+
+        this.getObjectTree(onObjectsKnown, onObjectsKnown);
+    };
+
+
     PropDbLoader.prototype.searchProperties = function (searchText, attributeNames, onSuccess, onError) {
 
         this.asyncPropertyOperation(
@@ -288,6 +316,24 @@ define([
     };
 
 
+    /**
+     * Structured property query, see PropertyQuery for the query format.
+     * The worker has no operation of its own for queries, they are sent as a search with a query.
+     * dbIds -- objects to test, or null for all objects.
+     */
+    PropDbLoader.prototype.query = function (query, dbIds, onSuccess, onError) {
+
+        this.asyncPropertyOperation(
+            {
+                "operation": WORKER_SEARCH_PROPERTIES,
+                "query": query,
+                "dbIds": dbIds
+            },
+            onSuccess, onError
+        );
+    };
+
+
     PropDbLoader.prototype.getExternalIdMapping = function (onSuccess, onError) {
 
         this.asyncPropertyOperation(
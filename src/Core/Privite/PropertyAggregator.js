@@ -0,0 +1,197 @@
+define([
+    './Fn/convertQuantity',
+    './PropertyExporter'
+], function(convertQuantity, PropertyExporter) {
+    'use strict';
+
+    /**
+     * Quantity take-off: groups objects by the value of one property and adds up
+     * another one per group, e.g. the volume per material or the doors per level.
+     */
+    var PropertyAggregator = {};
+
+    var DEFAULT_BATCH_SIZE = 500;
+
+
+    //Values without units are added as they are. Returns NaN if the units are not
+    //lengths, areas or volumes of the same kind, unless they are the same.
+    function convertValue(value, units, toUnits) {
+        if (!units || !toUnits)
+            return value;
+        return convertQuantity(value, units, toUnits);
+    }
+
+    function toNumber(value) {
+        if (typeof value === "number")
+            return value;
+        return (typeof value === "string" && value.trim().length) ? Number(value) : NaN;
+    }
+
+    function createGroup(key) {
+        return { key: key, dbIds: [], count: 0, valueCount: 0, sum: 0, min: Infinity, max: -Infinity };
+    }
+
+    function addToGroup(group, dbId, value) {
+        group.dbIds.push(dbId);
+        group.count++;
+        if (value === null)
+            return;
+        group.valueCount++;
+        group.sum += value;
+        group.min = Math.min(group.min, value);
+        group.max = Math.max(group.max, value);
+    }
+
+    function finishGroup(group) {
+        if (!group.valueCount)
+            group.min = group.max = null;
+        return group;
+    }
+
+    //Values of one property per object. With a single name in the filter,
+    //whatever comes back belongs to that property.
+    function getPropertyValues(propDb, dbIds, name, callback, onError) {
+        propDb.getBulkProperties(dbIds, [name], function (results) {
+            var values = {};
+            for (var i = 0; results && i < results.length; i++) {
+                var result = results[i];
+                if (!result)
+                    continue;
+                if (result.name !== undefined)
+                    values[result.dbId] = { displayValue: result.name };
+                else if (result.properties && result.properties.length)
+                    values[result.dbId] = result.properties[0];
+            }
+            callback(values);
+        }, onError);
+    }
+
+
+    /**
+     * Returns the objects a take-off counts by default: the leaves of the
+     * object tree, so that assemblies are not counted with their parts.
+     * @param {Object} svf - the model data
+     * @returns {number[]|null} null if the object tree is not known yet.
+     */
+    PropertyAggregator.getTakeOffIds = function (svf) {
+        var it = svf.instanceTree;
+        if (!it)
+            return PropertyExporter.getAllObjectIds(svf);
+
+        var dbIds = [];
+        it.enumNodeChildren(it.getRootId(), function (dbId) {
+            if (dbId > 0 && !it.getChildCount(dbId))
+                dbIds.push(dbId);
+        }, true);
+        return dbIds;
+    };
+
+    /**
+     * Groups objects by a property and sums another one.
+     * @param {PropDbLoader} propDb - anything with getBulkProperties
+     * @param {number[]} dbIds - objects to aggregate
+     * @param {Object} options
+     * @param {string} [options.groupBy] - attribute or display name of the property to group by.
+     * All objects are in one group if omitted.
+     * @param {string} [options.value] - attribute or display name of the numeric property to sum up.
+     * If omitted, only the objects are counted.
+     * @param {string} [options.units] - units to sum in, e.g. "m^3". By default, the units
+     * of the first value found. Values that cannot be converted are not added.
+     * @param {number} [options.batchSize=500] - objects per property database request
+     * @param {function(number, number)} [options.onProgress] - called with the number of objects done and the total
+     * @param {function(Object)} onSuccess - called with { groupBy, value, units, groups, total, skipped },
+     * where groups and total have key, dbIds, count, valueCount, sum, min and max.
+     * Objects without the groupBy property are in the group with key null.
+     * @param {function(Object)} [onError]
+     */
+    PropertyAggregator.aggregate = function (propDb, dbIds, options, onSuccess, onError) {
+
+        options = options || {};
+
+        var units = options.units || null;
+        var batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+        var groups = {};
+        var nullGroup = null;
+        var total = createGroup(null);
+        var skipped = 0;
+
+        function valueOf(prop) {
+            if (!prop)
+                return null;
+            var x = toNumber(prop.displayValue);
+            if (!isNaN(x) && !units && prop.units)
+                units = prop.units;
+            x = convertValue(x, prop.units, units);
+            if (isNaN(x)) {
+                skipped++;
+                return null;
+            }
+            return x;
+        }
+
+        function addBatch(batch, keys, values) {
+            for (var i = 0; i < batch.length; i++) {
+                var dbId = batch[i];
+                var keyProp = keys && keys[dbId];
+                var value = values ? valueOf(values[dbId]) : null;
+
+                var group;
+                if (!options.groupBy || keyProp) {
+                    var key = options.groupBy ? String(keyProp.displayValue) : "";
+                    group = groups.hasOwnProperty(key) ? groups[key] : (groups[key] = createGroup(key));
+                } else {
+                    group = nullGroup || (nullGroup = createGroup(null));
+                }
+
+                addToGroup(group, dbId, value);
+                addToGroup(total, dbId, value);
+            }
+        }
+
+        var offset = 0;
+
+        function nextBatch() {
+            if (offset >= dbIds.length) {
+                var list = Object.keys(groups).sort().map(function (key) { return finishGroup(groups[key]); });
+                if (nullGroup)
+                    list.push(finishGroup(nullGroup));
+
+                onSuccess({
+                    groupBy: options.groupBy || null,
+                    value: options.value || null,
+                    units: units,
+                    groups: list,
+                    total: finishGroup(total),
+                    skipped: skipped
+                });
+                return;
+            }
+
+            var batch = dbIds.slice(offset, offset + batchSize);
+            offset += batch.length;
+
+            var done = function (keys, values) {
+                addBatch(batch, keys, values);
+                if (options.onProgress)
+                    options.onProgress(offset, dbIds.length);
+                nextBatch();
+            };
+
+            var withValues = function (keys) {
+                if (options.value)
+                    getPropertyValues(propDb, batch, options.value, function (values) { done(keys, values); }, onError);
+                else
+                    done(keys, null);
+            };
+
+            if (options.groupBy)
+                getPropertyValues(propDb, batch, options.groupBy, withValues, onError);
+            else
+                withValues(null);
+        }
+
+        nextBatch();
+    };
+
+    return PropertyAggregator;
+});
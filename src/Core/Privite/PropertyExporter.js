@@ -0,0 +1,347 @@
+define([
+    '../Global',
+    './Fn/formatValueWithUnits'
+], function(Global, formatValueWithUnits) {
+    'use strict';
+
+    /**
+     * Writes property tables (schedules) out of a property database, as CSV or JSON.
+     * Works with anything that implements getBulkProperties like PropDbLoader,
+     * fetching the properties in batches so that large databases do not have to
+     * go through the worker in one message.
+     */
+    var PropertyExporter = {};
+
+    var DEFAULT_BATCH_SIZE = 500;
+
+    //Separates category and display name in the keys of discovered columns
+    var KEY_SEPARATOR = "\u0000";
+
+
+    //Columns can be given as display names, or as { attributeName } / { displayName, category },
+    //with an optional header.
+    function normalizeColumns(columns) {
+        return columns.map(function (column, i) {
+            if (typeof column === "string")
+                column = { displayName: column };
+
+            return {
+                key: String(i),
+                attributeName: column.attributeName,
+                displayName: column.displayName,
+                category: column.category,
+                header: column.header || column.displayName || column.attributeName
+            };
+        });
+    }
+
+    //Makes the headers of columns found in the data unique, by prefixing
+    //display names that occur in more than one category with the category.
+    function discoveredColumns(keys) {
+        var counts = {};
+        var columns = keys.map(function (key) {
+            var parts = key.split(KEY_SEPARATOR);
+            counts[parts[1]] = (counts[parts[1]] || 0) + 1;
+            return { key: key, category: parts[0], displayName: parts[1] };
+        });
+
+        columns.forEach(function (column) {
+            column.header = (counts[column.displayName] > 1 && column.category) ?
+                            column.category + ": " + column.displayName : column.displayName;
+        });
+
+        return columns;
+    }
+
+
+    function csvCell(value, separator) {
+        var s = (value === undefined || value === null) ? "" : String(value);
+
+        //Spreadsheets would evaluate text like "=A1" or "@cmd" as a formula
+        if (/^[=+\-@]/.test(s) && isNaN(parseFloat(s)))
+            s = "'" + s;
+
+        if (s.indexOf(separator) !== -1 || /["\r\n]/.test(s))
+            s = '"' + s.replace(/"/g, '""') + '"';
+
+        return s;
+    }
+
+    function CsvWriter(options) {
+        this.separator = options.separator || ",";
+        this.includeExternalId = options.includeExternalId;
+        //The byte order mark makes Excel read the file as UTF-8
+        this.parts = ["\ufeff"];
+    }
+
+    CsvWriter.prototype.begin = function (columns) {
+        this.columns = columns;
+        var headers = ["dbId", "Name"];
+        if (this.includeExternalId)
+            headers.push("External ID");
+        this.writeLine(headers.concat(columns.map(function (c) { return c.header; })));
+    };
+
+    CsvWriter.prototype.writeLine = function (cells) {
+        var separator = this.separator;
+        this.parts.push(cells.map(function (cell) { return csvCell(cell, separator); }).join(separator) + "\r\n");
+    };
+
+    CsvWriter.prototype.write = function (record) {
+        var cells = [record.dbId, record.name];
+        if (this.includeExternalId)
+            cells.push(record.externalId);
+        for (var i = 0; i < this.columns.length; i++)
+            cells.push(record.values[this.columns[i].key]);
+        this.writeLine(cells);
+    };
+
+    CsvWriter.prototype.end = function () {
+        return new Blob(this.parts, { type: "text/csv;charset=utf-8" });
+    };
+
+    function JsonWriter(options) {
+        this.includeExternalId = options.includeExternalId;
+        this.parts = ["["];
+        this.count = 0;
+    }
+
+    JsonWriter.prototype.begin = function (columns) {
+        this.columns = columns;
+    };
+
+    JsonWriter.prototype.write = function (record) {
+        var obj = { dbId: record.dbId, name: record.name };
+        if (this.includeExternalId)
+            obj.externalId = record.externalId;
+
+        obj.properties = {};
+        for (var i = 0; i < this.columns.length; i++) {
+            var column = this.columns[i];
+            if (record.values.hasOwnProperty(column.key))
+                obj.properties[column.header] = record.values[column.key];
+        }
+
+        this.parts.push((this.count++ ? ",\n" : "\n") + JSON.stringify(obj));
+    };
+
+    JsonWriter.prototype.end = function () {
+        this.parts.push("\n]\n");
+        return new Blob(this.parts, { type: "application/json" });
+    };
+
+
+    /**
+     * Writes a table as a CSV file that spreadsheet applications open as is.
+     * @param {Array[]} rows - rows of cells, the first one usually the headers
+     * @param {string} [separator=","]
+     * @returns {Blob}
+     */
+    PropertyExporter.tableToCsv = function (rows, separator) {
+        var writer = new CsvWriter({ separator: separator });
+        rows.forEach(writer.writeLine, writer);
+        return writer.end();
+    };
+
+    /**
+     * Returns the ids of all objects of a model with a property database, or null
+     * if the object tree is not known yet.
+     * @param {Object} svf - the model data
+     */
+    PropertyExporter.getAllObjectIds = function (svf) {
+        var dbIds = [];
+
+        if (svf.instanceTree) {
+            svf.instanceTree.enumNodeChildren(svf.instanceTree.getRootId(), function (dbId) {
+                if (dbId > 0)
+                    dbIds.push(dbId);
+            }, true);
+        } else if (svf.hasObjectProperties) {
+            //Drawings without object tree, the object count includes the unused id 0
+            for (var dbId = 1; dbId < svf.hasObjectProperties; dbId++)
+                dbIds.push(dbId);
+        } else {
+            return null;
+        }
+
+        return dbIds;
+    };
+
+    /**
+     * Exports properties of objects as a table.
+     * @param {PropDbLoader} propDb - the property database
+     * @param {number[]} dbIds - objects to export, one row each
+     * @param {Object} [options]
+     * @param {string} [options.format="csv"] - "csv" or "json"
+     * @param {Array} [options.columns] - properties to export, as display names, or objects
+     * with either attributeName, or displayName and an optional category, and an optional header.
+     * By default all properties that are not hidden are exported, with a column per category and name.
+     * @param {boolean} [options.formatValues=true] - format the values with their units, like the property panel
+     * @param {number} [options.precision] - decimals of formatted values
+     * @param {boolean} [options.includeExternalId] - add the external id of the objects
+     * @param {boolean} [options.includeHidden] - also export hidden properties, when no columns are given
+     * @param {boolean} [options.includeEmpty] - also export objects that have none of the properties
+     * @param {string} [options.separator=","] - CSV field separator
+     * @param {number} [options.batchSize=500] - objects per property database request
+     * @param {function(number, number)} [options.onProgress] - called with the number of objects done and the total
+     * @param {function(Blob)} onSuccess
+     * @param {function(Object)} [onError]
+     */
+    PropertyExporter.exportProperties = function (propDb, dbIds, options, onSuccess, onError) {
+
+        options = options || {};
+
+        var format = (options.format || "csv").toLowerCase();
+        var writer;
+        if (format === "csv")
+            writer = new CsvWriter(options);
+        else if (format === "json")
+            writer = new JsonWriter(options);
+        else {
+            if (onError)
+                onError({ code: Global.ErrorCodes.BAD_DATA, msg: "Unsupported property export format: " + options.format });
+            return;
+        }
+
+        var columns = options.columns && options.columns.length ? normalizeColumns(options.columns) : null;
+        var formatValues = options.formatValues !== false;
+        var batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+
+        //Properties selected by attribute name come back with their display name only, so each
+        //of those columns gets its own request, whose results can only belong to that column.
+        var requests = [];
+        if (!columns) {
+            requests.push({ filter: null });
+        } else {
+            var displayFilter = ["name"];
+            if (options.includeExternalId)
+                displayFilter.push("externalId");
+
+            var byDisplayName = columns.filter(function (c) { return !c.attributeName; });
+            byDisplayName.forEach(function (c) {
+                if (displayFilter.indexOf(c.displayName) === -1)
+                    displayFilter.push(c.displayName);
+            });
+            requests.push({ filter: displayFilter, columns: byDisplayName });
+
+            columns.forEach(function (c) {
+                if (c.attributeName)
+                    requests.push({ filter: [c.attributeName], columns: [c] });
+            });
+        }
+
+        //Rows are buffered until the end when the columns are only known then
+        var discovered = columns ? null : {};
+        var discoveredKeys = [];
+        var buffered = [];
+        if (columns)
+            writer.begin(columns);
+
+        function formatValue(prop) {
+            return formatValues ? formatValueWithUnits(prop.displayValue, prop.units, prop.type, options.precision) : prop.displayValue;
+        }
+
+        function addProperties(record, result, request) {
+            var props = result.properties || [];
+            for (var i = 0; i < props.length; i++) {
+                var prop = props[i];
+
+                if (!request.columns) {
+                    if (prop.hidden && !options.includeHidden)
+                        continue;
+                    var key = (prop.displayCategory || "") + KEY_SEPARATOR + prop.displayName;
+                    if (!discovered[key]) {
+                        discovered[key] = true;
+                        discoveredKeys.push(key);
+                    }
+                    if (!record.values.hasOwnProperty(key)) {
+                        record.values[key] = formatValue(prop);
+                        record.count++;
+                    }
+                    continue;
+                }
+
+                for (var j = 0; j < request.columns.length; j++) {
+                    var column = request.columns[j];
+                    if (record.values.hasOwnProperty(column.key))
+                        continue;
+                    if (!column.attributeName &&
+                        (prop.displayName !== column.displayName || (column.category && prop.displayCategory !== column.category)))
+                        continue;
+                    record.values[column.key] = formatValue(prop);
+                    record.count++;
+                }
+            }
+        }
+
+        function fetchBatch(batch, callback) {
+            var records = {};
+            batch.forEach(function (dbId) {
+                records[dbId] = { dbId: dbId, name: "", externalId: "", values: {}, count: 0 };
+            });
+
+            var index = 0;
+            function nextRequest() {
+                if (index === requests.length) {
+                    callback(batch.map(function (dbId) { return records[dbId]; }));
+                    return;
+                }
+
+                var request = requests[index++];
+                propDb.getBulkProperties(batch, request.filter, function (results) {
+                    for (var i = 0; results && i < results.length; i++) {
+                        var result = results[i];
+                        var record = result && records[result.dbId];
+                        if (!record)
+                            continue;
+                        if (result.name)
+                            record.name = result.name;
+                        if (result.externalId)
+                            record.externalId = result.externalId;
+                        addProperties(record, result, request);
+                    }
+                    nextRequest();
+                }, onError);
+            }
+
+            nextRequest();
+        }
+
+        var offset = 0;
+
+        function nextBatch() {
+            if (offset >= dbIds.length) {
+                if (!columns) {
+                    writer.begin(discoveredColumns(discoveredKeys));
+                    buffered.forEach(writer.write, writer);
+                }
+                onSuccess(writer.end());
+                return;
+            }
+
+            var batch = dbIds.slice(offset, offset + batchSize);
+            offset += batch.length;
+
+            fetchBatch(batch, function (records) {
+                for (var i = 0; i < records.length; i++) {
+                    var record = records[i];
+                    if (!record.count && !options.includeEmpty)
+                        continue;
+                    if (columns)
+                        writer.write(record);
+                    else
+                        buffered.push(record);
+                }
+
+                if (options.onProgress)
+                    options.onProgress(offset, dbIds.length);
+
+                nextBatch();
+            });
+        }
+
+        nextBatch();
+    };
+
+    return PropertyExporter;
+});
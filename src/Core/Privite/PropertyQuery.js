@@ -0,0 +1,258 @@
+define([
+    './Fn/convertQuantity'
+], function(convertQuantity) {
+    'use strict';
+
+    /**
+     * Structured queries on the property database, as an alternative to the free text search.
+     *
+     * A query is a condition on a property, or a boolean combination of queries:
+     *
+     *     { and: [query, ...] }, { or: [query, ...] }, { not: query }
+     *     { attr: "Area", gt: 10, lte: 20, units: "m^2" }
+     *
+     * A condition names the property by attribute name or display name (attr), and optionally
+     * its category. It can test eq, ne, gt, gte, lt, lte, regex and exists. All tests of a
+     * condition must hold for the same value. Numbers are compared in the given units: lengths,
+     * areas and volumes are converted, values in other or unknown units do not match, unless they
+     * are in the very units of the condition. Values without units are compared as they are.
+     *
+     * The queries run in the property worker, next to the property database.
+     */
+    var PropertyQuery = {};
+
+
+    /**
+     * Returns the ids of the objects that match a query.
+     * Must not reference anything outside the function body, since it is
+     * serialized into the property worker.
+     * @param {Object} db - property database, with getObjectProperties(dbId, propFilter) and getObjectCount()
+     * @param {number[]} [dbIds] - objects to test. All objects if omitted.
+     * @param {Object} query
+     * @param {function} convertQuantity - see Fn/convertQuantity
+     * @returns {number[]}
+     * @throws {Error} if the query is malformed
+     */
+    function runQuery(db, dbIds, query, convertQuantity) {
+
+        var OPERATORS = ["eq", "ne", "gt", "gte", "lt", "lte", "regex", "exists"];
+
+        //NaN if the value is in units that do not convert to those of the query
+        function toQueryUnits(value, units, queryUnits) {
+            if (!queryUnits || !units)
+                return value;
+            return convertQuantity(value, units, queryUnits);
+        }
+
+        function toNumber(value) {
+            if (typeof value === "number")
+                return value;
+            if (typeof value === "boolean")
+                return value ? 1 : 0;
+            return (typeof value === "string" && value.trim().length) ? Number(value) : NaN;
+        }
+
+        //null if the value cannot be compared in the units of the query, which matches neither eq nor ne
+        function isEqual(prop, expected, queryUnits) {
+            if (typeof expected === "number") {
+                var x = toNumber(prop.displayValue);
+                if (!isNaN(x)) {
+                    x = toQueryUnits(x, prop.units, queryUnits);
+                    if (isNaN(x))
+                        return null;
+                }
+                return Math.abs(x - expected) <= 1e-9 * Math.max(1, Math.abs(expected));
+            }
+            if (typeof expected === "boolean")
+                return toNumber(prop.displayValue) === (expected ? 1 : 0);
+            return String(prop.displayValue) === String(expected);
+        }
+
+        //Compiles a condition into a test of one property value
+        function compileTests(cond) {
+            var tests = [];
+            var units = cond.units;
+
+            function numeric(bound, compare) {
+                if (typeof bound !== "number" || isNaN(bound))
+                    throw new Error("Query: numeric bound expected for " + cond.attr);
+                tests.push(function (prop) {
+                    var x = toQueryUnits(toNumber(prop.displayValue), prop.units, units);
+                    return !isNaN(x) && compare(x, bound);
+                });
+            }
+
+            if ("eq" in cond)
+                tests.push(function (prop) { return isEqual(prop, cond.eq, units) === true; });
+            if ("ne" in cond)
+                tests.push(function (prop) { return isEqual(prop, cond.ne, units) === false; });
+            if ("gt" in cond)
+                numeric(cond.gt, function (x, b) { return x > b; });
+            if ("gte" in cond)
+                numeric(cond.gte, function (x, b) { return x >= b; });
+            if ("lt" in cond)
+                numeric(cond.lt, function (x, b) { return x < b; });
+            if ("lte" in cond)
+                numeric(cond.lte, function (x, b) { return x <= b; });
+            if ("regex" in cond) {
+                var re = cond.regex instanceof RegExp ? cond.regex : new RegExp(cond.regex, cond.flags || "");
+                tests.push(function (prop) { re.lastIndex = 0; return re.test(String(prop.displayValue)); });
+            }
+
+            return tests;
+        }
+
+        //Compiles a query into a function of dbId. Property values are read once per
+        //object and attribute, however often the attribute appears in the query.
+        function compile(q, cache) {
+            if (!q || typeof q !== "object")
+                throw new Error("Query: object expected");
+
+            var parts, i;
+
+            if (Array.isArray(q.and) || Array.isArray(q.or)) {
+                var isAnd = Array.isArray(q.and);
+                parts = (isAnd ? q.and : q.or).map(function (p) { return compile(p, cache); });
+                return function (dbId) {
+                    for (i = 0; i < parts.length; i++) {
+                        if (parts[i](dbId) !== isAnd)
+                            return !isAnd;
+                    }
+                    return isAnd;
+                };
+            }
+
+            if (q.not) {
+                var inner = compile(q.not, cache);
+                return function (dbId) { return !inner(dbId); };
+            }
+
+            if (typeof q.attr !== "string" || !q.attr)
+                throw new Error("Query: attr, and, or or not expected");
+
+            var hasTest = false;
+            for (i = 0; i < OPERATORS.length; i++)
+                hasTest = hasTest || (OPERATORS[i] in q);
+            if (!hasTest)
+                throw new Error("Query: no test given for " + q.attr);
+
+            var tests = compileTests(q);
+            var exists = ("exists" in q) ? !!q.exists : true;
+
+            return function (dbId) {
+                var values = cache(dbId, q.attr);
+                var found = false;
+
+                for (var v = 0; v < values.length && !found; v++) {
+                    var prop = values[v];
+                    if (q.category && prop.displayCategory !== q.category)
+                        continue;
+                    found = true;
+                    for (var t = 0; t < tests.length && found; t++)
+                        found = tests[t](prop);
+                }
+
+                //Without other tests, exists: false matches the objects without the property
+                return tests.length ? found : (found === exists);
+            };
+        }
+
+        var cachedId = -1, cachedValues = {};
+
+        function getValues(dbId, attr) {
+            if (dbId !== cachedId) {
+                cachedId = dbId;
+                cachedValues = {};
+            }
+            if (cachedValues.hasOwnProperty(attr))
+                return cachedValues[attr];
+
+            //With a single name in the filter, everything returned belongs to that attribute
+            var result = db.getObjectProperties(dbId, [attr]);
+            var values = [];
+            if (result) {
+                if (result.name !== undefined)
+                    values.push({ displayValue: result.name, displayCategory: "" });
+                if (result.externalId !== undefined && attr === "externalId")
+                    values.push({ displayValue: result.externalId, displayCategory: "" });
+                values = values.concat(result.properties || []);
+            }
+            return (cachedValues[attr] = values);
+        }
+
+        var matches = compile(query, getValues);
+        var hits = [];
+
+        if (dbIds) {
+            for (var i = 0; i < dbIds.length; i++) {
+                if (matches(dbIds[i]))
+                    hits.push(dbIds[i]);
+            }
+        } else {
+            for (var dbId = 1, count = db.getObjectCount(); dbId < count; dbId++) {
+                if (matches(dbId))
+                    hits.push(dbId);
+            }
+        }
+
+        return hits;
+    }
+
+
+    /**
+     * Makes the property worker answer search requests that carry a query.
+     * Serialized into the worker after the worker script, like runQuery. The worker
+     * script has a fixed set of operations, so queries travel as SEARCH_PROPERTIES.
+     * @param {Object} scope - the worker global object
+     * @param {function} run - runQuery
+     * @param {function} convert - convertQuantity
+     */
+    function installQueryHandler(scope, run, convert) {
+        var lmvtk = scope.Autodesk.LMVTK;
+        var search = lmvtk.doPropertySearch;
+
+        lmvtk.doPropertySearch = function (op) {
+            if (!op.query) {
+                search(op);
+                return;
+            }
+
+            //The database is loaded with the object tree, before any property requests
+            var worker = op.worker;
+            if (!worker.propdb) {
+                worker.postMessage({ cbId: op.cbId, error: { code: 1, msg: "Property database is not available" } });
+                return;
+            }
+
+            try {
+                worker.postMessage({ cbId: op.cbId, result: run(worker.propdb, op.dbIds, op.query, convert) });
+            } catch (e) {
+                worker.postMessage({ cbId: op.cbId, error: { code: 2, msg: e.message } });
+            }
+        };
+    }
+
+
+    /**
+     * Runs a query on a property database on this thread.
+     * @param {Object} db - with getObjectProperties(dbId, propFilter) and getObjectCount()
+     * @param {Object} query
+     * @param {number[]} [dbIds] - objects to test. All objects if omitted.
+     * @returns {number[]} ids of the matching objects
+     * @throws {Error} if the query is malformed
+     */
+    PropertyQuery.run = function (db, query, dbIds) {
+        return runQuery(db, dbIds, query, convertQuantity);
+    };
+
+    /**
+     * Returns the source that adds query support to the property worker,
+     * to run after the worker script.
+     */
+    PropertyQuery.getWorkerSetup = function () {
+        return "(" + installQueryHandler.toString() + ")(self, " +
+               runQuery.toString() + ", " + convertQuantity.toString() + ");\n";
+    };
+
+    return PropertyQuery;
+});
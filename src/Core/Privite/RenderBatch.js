@@ -800,6 +800,10 @@ define([
                 // Note that evalVisbility also updates the MESH_RENDERFLAG already.
                 var v = evalVisbility(drawMode, vizflags, idx);
 
+                // Keep visible geometry in memory under a memory budget, or fetch it again if it was paged out.
+                if (v && frags.memoryBudget)
+                    frags.requireGeometry(idx);
+
                 // Set to false if any mesh passes as visible
                 allHidden = allHidden && !v;
             }
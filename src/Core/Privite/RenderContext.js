@@ -13,6 +13,7 @@ define([
     '../Shaders/SAOMinifyShader',
     '../Shaders/SAOShader',
     '../Shaders/FireflyBasicShader',
+    '../Shaders/FireflyPointShader',
     '../Logger',
     '../DeviceType',
     '../Shaders/LmvShaderPass'
@@ -31,6 +32,7 @@ define([
     SAOMinifyShader,
     SAOShader,
     FireflyBasicShader,
+    FireflyPointShader,
     Logger,
     DeviceType,
     LmvShaderPass
@@ -1,19 +1,25 @@
 define([
     '../Model',
+    '../DeviceType',
     './Global',
     './FragmentList',
     './GeometryList',
     './ModelIteratorLinear',
     './ModelIteratorBVH',
-    './VBIntersector'
+    './VBIntersector',
+    './BVHBuilder',
+    './Fn/transformBoxes'
 ], function(
     Model, 
+    DeviceType,
     Privite_Global, 
     FragmentList, 
     GeometryList,
     ModelIteratorLinear,
     ModelIteratorBVH,
-    VBIntersector
+    VBIntersector,
+    BVHBuilder,
+    transformBoxes
 ) {
     'use strict';
     // Counter to assign individual numbers to RenderModel in order of their creation
@@ -187,6 +193,61 @@ define([
     
             };
     
+            /**
+             * Places the model in the scene. Replaces the placement transform that the model was
+             * loaded with (see the placementTransform load option), so it can be used at any time.
+             * The global offset of the model stays applied after the placement.
+             *
+             *  @param {THREE.Matrix4} [matrix] - null to return to the original placement
+             */
+            this.setPlacementTransform = function (matrix) {
+
+                var svf = this.getData();
+                var placement = new THREE.Matrix4();
+                if (matrix)
+                    placement.copy(matrix);
+
+                // The fragments are at offset * current * original, they must get to offset * new * original
+                var offset = new THREE.Matrix4();
+                var go = svf.globalOffset;
+                if (go)
+                    offset.makeTranslation(-go.x, -go.y, -go.z);
+
+                var delta = new THREE.Matrix4();
+                if (svf.placementTransform)
+                    delta.getInverse(svf.placementTransform);
+                delta.multiplyMatrices(placement, delta);
+                delta.multiplyMatrices(offset, delta);
+                delta.multiply(new THREE.Matrix4().getInverse(offset));
+
+                svf.placementTransform = placement;
+
+                if (svf.bbox)
+                    svf.bbox.applyMatrix4(delta);
+
+                if (!_frags)
+                    return;
+
+                _frags.applyTransform(delta);
+
+                var it = svf.instanceTree;
+                if (it && it.nodeAccess.nodeBoxes)
+                    transformBoxes(it.nodeAccess.nodeBoxes, delta);
+
+                // The BVH is built from the fragment boxes and does not fit anymore
+                if (_bvhIterator) {
+                    var mats = svf.materials ? svf.materials["materials"] : null;
+                    var options = (svf.loadOptions && svf.loadOptions.bvhOptions) || { isWeakDevice: DeviceType.isMobileDevice };
+                    svf.bvh = new BVHBuilder(svf.fragments, mats);
+                    svf.bvh.build(options);
+                    this.setBVH(svf.bvh.nodes, svf.bvh.primitives, options);
+                }
+
+                // Recompute the bounds of the render batches, they are used for culling
+                this.visibleBoundsDirty = true;
+                this.getVisibleBounds(true);
+            };
+
             /** 
              *  Starts the scene draw traversal, so that nextBatch() will return the first batch to render.
              *   @param: {UnifiedCamera}      camera   - camera.position was needed for the heuristic to choose between linear iterator and BVH.
@@ -307,10 +368,12 @@ define([
                     }
     
                     //TODO: move this into the iterator?
+                    //Under a memory budget, only visible fragments request their geometry (see RenderBatch.applyVisibility)
+                    var frags = this.getFragmentList();
                     var allHidden = scene.applyVisibility(
                         _drawMode,
                         _frustum,
-                        this.getFragmentList().fragments.packIds ? fragIdCallback : null);
+                        (frags.fragments.packIds && !frags.memoryBudget) ? fragIdCallback : null);
     
                     // For 3D scenes, sort fragments of this batch. 
                     // Note that fragments of F2D scenes must be drawn in original order.
@@ -28,12 +28,14 @@ define([
 
         var _models = []; // {RenderModel[]} - All RenderModels to be rendered.
         var _candidateScenes = []; // {RenderBatch[]} - _candidateScenes[i] points to the next batch to be rendered from _models[i]. Same length as _models.
+        var _hiddenModels = []; // {RenderModel[]} - Models that are loaded, but neither rendered nor hit by rays.
         var _tmpBox = new THREE.Box3(); // Reused for return values of getVisibleBounds() 
 
         var _frustum = new FrustumIntersector(); // updated for current camera in this.reset().
         var _raycaster = new THREE.Raycaster();
 
         var _frameStamp = 0;             // increased with each render traversal restart
+        var _memoryBudget = null;        // {MemoryBudget} - pages out geometry after each render update, if set
         var _perf = performance;   // shortcut to browser-provided performance object
 
 
@@ -74,9 +76,45 @@ define([
                 _models.splice(idx, 1);
             }
             _candidateScenes.length = _models.length;
+            this.setModelVisible(renderModel, true);
             return idx >= 0;
         };
 
+        /**
+         * Hides or shows a whole model. Unlike hiding its objects, this skips the model
+         * entirely: a hidden model is not traversed, not hit tested and not part of the bounds.
+         *  @param {RenderModel} renderModel
+         *  @param {bool}        visible
+         *  @returns {bool} true if the visibility changed
+         */
+        this.setModelVisible = function (renderModel, visible) {
+            var idx = _hiddenModels.indexOf(renderModel);
+            if (visible && idx >= 0) {
+                _hiddenModels.splice(idx, 1);
+                return true;
+            }
+            if (!visible && idx < 0) {
+                _hiddenModels.push(renderModel);
+                return true;
+            }
+            return false;
+        };
+
+        this.isModelVisible = function (renderModel) {
+            return _hiddenModels.indexOf(renderModel) === -1;
+        };
+
+        /**
+         *  @param {MemoryBudget|null} budget - Keeps the geometry of the models within memory limits.
+         */
+        this.setMemoryBudget = function (budget) {
+            _memoryBudget = budget;
+        };
+
+        this.getMemoryBudget = function () {
+            return _memoryBudget;
+        };
+
         this.isEmpty = function () {
             return _models.length === 0;
         };
@@ -233,6 +271,9 @@ define([
                     _needsRender = true;
             }
 
+            if (_memoryBudget)
+                _memoryBudget.enforce(_models);
+
             // As long as _firstFrameLastBatch is set, we ignore timing and enforce the same batch count in each initial frame update.
             // This mechanism is only wanted in phases of permanent traversal restarts, where we never get the full frame finished (e.g., during a camera motion).
             // As soon as the view keeps constant again and we finish a progressive rendering with >1 update cycles, we reset 
@@ -253,6 +294,8 @@ define([
          */
         this.reset = function (camera, drawMode, moved) {
             _frameStamp++;
+            if (_memoryBudget)
+                _memoryBudget.nextTraversal();
             _done = false;
 
             _renderCounter = 0;
@@ -267,6 +310,10 @@ define([
 
             //Begin the frustum based scene iteration process per model
             for (var i = 0; i < _models.length; i++) {
+                if (!this.isModelVisible(_models[i])) {
+                    _candidateScenes[i] = null;
+                    continue;
+                }
                 _models[i].resetIterator(camera, _frustum, drawMode, moved);
                 _candidateScenes[i] = _models[i].nextBatch();
             }
@@ -322,12 +369,13 @@ define([
         *       the second call would also change box1.
         */
         this.getVisibleBounds = function (includeGhosted) {
-            if (_models.length === 1)
+            if (_models.length === 1 && !_hiddenModels.length)
                 return _models[0].getVisibleBounds(includeGhosted);
 
             _tmpBox.makeEmpty();
             for (var i = 0; i < _models.length; i++)
-                _tmpBox.union(_models[i].getVisibleBounds(includeGhosted));
+                if (this.isModelVisible(_models[i]))
+                    _tmpBox.union(_models[i].getVisibleBounds(includeGhosted));
 
             return _tmpBox;
         };
@@ -340,6 +388,14 @@ define([
             return null;
         }
 
+        /**
+         * Sets how close to the ray points of point clouds have to be to get hit by rayIntersect.
+         * @param {Object} tolerance - { threshold, thresholdPerUnit }, see Viewer3DImpl.getPointPickTolerance
+         */
+        this.setPointPickTolerance = function (tolerance) {
+            _raycaster.params.PointCloud = tolerance;
+        };
+
         /**
          * @param {THREE.Vector3} position            - Ray origin.
          * @param {THREE.Vector3} direction           - Ray direction.
@@ -364,15 +420,17 @@ define([
                 if (modelIds) {
                     for (var i = 0; i < modelIds.length; i++) {
                         var model = this.findModel(modelIds[i]);
-                        if (model) {
-                            model.rayIntersect(_raycaster, ignoreTransparent, [dbIds[i]]);
+                        if (model && this.isModelVisible(model)) {
+                            var hit = model.rayIntersect(_raycaster, ignoreTransparent, [dbIds[i]]);
+                            if (hit)
+                                modelHits.push(hit);
                         }
                     }
                 } else {
                     for (var i = 0; i < _models.length; i++) {
 
-                        // Skip 2D models
-                        if (_models[i].is2d())
+                        // Skip 2D models and hidden models
+                        if (_models[i].is2d() || !this.isModelVisible(_models[i]))
                             continue;
 
                         // Perform raytest on model i                        
@@ -390,8 +448,8 @@ define([
                 return modelHits[0];
 
             } else {
-                // If we don't have any 3D RenderModel, just return null.
-                if (!_models.length || _models[0].is2d())
+                // If we don't have any visible 3D RenderModel, just return null.
+                if (!_models.length || _models[0].is2d() || !this.isModelVisible(_models[0]))
                     return null;
 
                 // If we only have a single 3D RenderModel, just call rayIntersect() on it.
@@ -463,6 +521,11 @@ define([
 
             var pt = new THREE.Vector3();
 
+            //Input scale is in the range 0-1, where 0
+            //means no displacement, and 1 maximum reasonable displacement.
+            //Scaled once for all models.
+            scale *= 2;
+
             for (var q = 0; q < _models.length; q++) {
 
                 var model = _models[q];
@@ -474,10 +537,6 @@ define([
                 var mc = model.getVisibleBounds(true).center();
 
 
-                //Input scale is in the range 0-1, where 0
-                //means no displacement, and 1 maximum reasonable displacement.
-                scale *= 2;
-
                 //If we have a full part hierarchy we can use a
                 //better grouping strategy when exploding
                 if (it && it.nodeAccess.nodeBoxes && scale !== 0) {
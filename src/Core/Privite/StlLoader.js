@@ -0,0 +1,261 @@
+define([
+    '../FileLoaderManager',
+    '../Logger',
+    './FileLoaderBase',
+    './PackageBuilder',
+    './VBUtils',
+    './Fn/utf8ArrayToString'
+], function(FileLoaderManager, Logger, FileLoaderBase, PackageBuilder, VBUtils, utf8ArrayToString) {
+    'use strict';
+
+    var BINARY_HEADER_SIZE = 80,
+        BINARY_FACET_SIZE = 50;
+
+    //STL has no units. Files from 3D printing and CAD pipelines are in millimeters
+    //by convention, unless the header says otherwise or the caller overrides it
+    //with the "units" load option.
+    var DEFAULT_UNITS = "mm";
+
+
+    /** @constructor
+     * Loads binary and ASCII STL files. Every solid of the file becomes a
+     * selectable node of the instance tree. Facet normals are used as is, and
+     * computed from the triangle when the file leaves them empty.
+     */
+    var StlLoader = function (parent) {
+        FileLoaderBase.call(this, parent);
+    };
+
+    StlLoader.prototype = Object.create(FileLoaderBase.prototype);
+    StlLoader.prototype.constructor = StlLoader;
+
+    StlLoader.prototype.formatName = "STL";
+
+
+    function isBinary(bytes) {
+        if (bytes.length < BINARY_HEADER_SIZE + 4)
+            return false;
+
+        //The facet count must match the file size exactly. This is more reliable than
+        //looking for "solid" at the start, since many binary exporters write it into the header.
+        var view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        var count = view.getUint32(BINARY_HEADER_SIZE, true);
+        if (BINARY_HEADER_SIZE + 4 + count * BINARY_FACET_SIZE === bytes.length)
+            return true;
+
+        //Otherwise it is ASCII if the file starts with "solid" and only has text characters
+        var start = utf8ArrayToString(bytes, 0, Math.min(bytes.length, 512));
+        if (!/^\s*solid/i.test(start))
+            return true;
+
+        for (var i = 0; i < start.length; i++) {
+            var c = start.charCodeAt(i);
+            if (c < 9 || (c > 13 && c < 32))
+                return true;
+        }
+
+        return false;
+    }
+
+
+    //Copies the facet normal to the three vertices of the facet,
+    //computing it from the vertices if the file has none
+    function setFacetNormal(positions, normals, offset, nx, ny, nz) {
+
+        if (!(nx * nx + ny * ny + nz * nz > 1e-12) || isNaN(nx + ny + nz)) {
+            var e1x = positions[offset + 3] - positions[offset],
+                e1y = positions[offset + 4] - positions[offset + 1],
+                e1z = positions[offset + 5] - positions[offset + 2];
+            var e2x = positions[offset + 6] - positions[offset],
+                e2y = positions[offset + 7] - positions[offset + 1],
+                e2z = positions[offset + 8] - positions[offset + 2];
+
+            nx = e1y * e2z - e1z * e2y;
+            ny = e1z * e2x - e1x * e2z;
+            nz = e1x * e2y - e1y * e2x;
+        }
+
+        for (var v = 0; v < 9; v += 3) {
+            normals[offset + v] = nx;
+            normals[offset + v + 1] = ny;
+            normals[offset + v + 2] = nz;
+        }
+    }
+
+
+    /**
+     * Parses a binary STL file, which holds a single solid.
+     * @returns {Object} { header, solids: [{ name, positions, normals }] }
+     */
+    function parseBinary(bytes) {
+
+        var view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        var header = utf8ArrayToString(bytes, 0, BINARY_HEADER_SIZE).replace(/\0[\s\S]*$/, "").trim();
+
+        //Truncated files: only read the facets that are actually there
+        var count = view.getUint32(BINARY_HEADER_SIZE, true);
+        var available = Math.floor((bytes.length - BINARY_HEADER_SIZE - 4) / BINARY_FACET_SIZE);
+        if (count > available) {
+            Logger.warn("STL file is truncated, expected " + count + " facets but found " + available + ".");
+            count = available;
+        }
+
+        var positions = new Float32Array(count * 9);
+        var normals = new Float32Array(count * 9);
+
+        var offset = BINARY_HEADER_SIZE + 4;
+        for (var i = 0; i < count; i++) {
+            var nx = view.getFloat32(offset, true),
+                ny = view.getFloat32(offset + 4, true),
+                nz = view.getFloat32(offset + 8, true);
+
+            for (var j = 0; j < 9; j++)
+                positions[i * 9 + j] = view.getFloat32(offset + 12 + j * 4, true);
+
+            setFacetNormal(positions, normals, i * 9, nx, ny, nz);
+
+            offset += BINARY_FACET_SIZE;
+        }
+
+        //Exporters often write "solid <name>" into the header, possibly
+        //followed by attributes like "COLOR=..." or "UNITS=..."
+        var match = /^solid\s+(\S.*)$/i.exec(header);
+        var name = match ? match[1].replace(/\s*\S+=\S*/g, "").trim() : "";
+
+        return {
+            header: header,
+            solids: [{ name: name, positions: positions, normals: normals }]
+        };
+    }
+
+
+    /**
+     * Parses an ASCII STL file, which can hold several solids.
+     * @returns {Object} { header, solids: [{ name, positions, normals }] }
+     */
+    function parseAscii(text) {
+
+        var solids = [];
+        var solidRegex = /\bsolid\b([^\n\r]*)([\s\S]*?)(?:endsolid\b[^\n\r]*|$)/g;
+        var facetRegex = /facet\s+normal\s+(\S+)\s+(\S+)\s+(\S+)\s+outer\s+loop\s+vertex\s+(\S+)\s+(\S+)\s+(\S+)\s+vertex\s+(\S+)\s+(\S+)\s+(\S+)\s+vertex\s+(\S+)\s+(\S+)\s+(\S+)\s+endloop\s+endfacet/g;
+
+        var solidMatch;
+        while ((solidMatch = solidRegex.exec(text)) !== null) {
+
+            var body = solidMatch[2];
+            var positions = [];
+            var normals = [];
+
+            var facet;
+            facetRegex.lastIndex = 0;
+            while ((facet = facetRegex.exec(body)) !== null) {
+                var offset = positions.length;
+                for (var j = 4; j <= 12; j++)
+                    positions.push(parseFloat(facet[j]));
+                normals.push(0, 0, 0, 0, 0, 0, 0, 0, 0);
+                setFacetNormal(positions, normals, offset, parseFloat(facet[1]), parseFloat(facet[2]), parseFloat(facet[3]));
+            }
+
+            solids.push({
+                name: solidMatch[1].trim(),
+                positions: new Float32Array(positions),
+                normals: new Float32Array(normals)
+            });
+        }
+
+        return {
+            header: solids.length ? solids[0].name : "",
+            solids: solids
+        };
+    }
+
+
+    //Some exporters record the units in the header, e.g. "UNITS=mm"
+    function getUnits(header, options) {
+        if (options.units)
+            return options.units;
+
+        var match = /units?\s*[=:]\s*([a-z]+)/i.exec(header || "");
+        return match ? match[1].toLowerCase() : DEFAULT_UNITS;
+    }
+
+
+    StlLoader.prototype.parse = function (data, callback) {
+
+        var bytes = (data instanceof Uint8Array) ? data : new Uint8Array(data);
+
+        var binary = isBinary(bytes);
+        var stl = binary ? parseBinary(bytes) : parseAscii(utf8ArrayToString(bytes, 0, bytes.length));
+
+        if (!stl.solids.length) {
+            callback("No solids found in STL file.");
+            return;
+        }
+
+        callback(null, this.buildPackage(stl, binary));
+    };
+
+
+    StlLoader.prototype.buildPackage = function (stl, binary) {
+
+        var builder = new PackageBuilder();
+
+        //STL has no materials. The default material is described in MTL terms,
+        //so that it is converted the same way as the OBJ materials.
+        var materialId = builder.addMaterial({
+            name: "Default",
+            Kd: [0.7, 0.7, 0.7],
+            Ks: [0.3, 0.3, 0.3],
+            Ns: 60,
+            maps: {},
+            transparent: false
+        });
+
+        var units = getUnits(stl.header, this.options || {});
+
+        var rootProps = [
+            PackageBuilder.createProperty("Format", binary ? "Binary" : "ASCII", "STL")
+        ];
+        if (binary && stl.header)
+            rootProps.push(PackageBuilder.createProperty("Header", stl.header, "STL"));
+
+        var rootId = builder.addObject(0, this.getModelName(), PackageBuilder.NODE_TYPE_MODEL, rootProps, "root");
+
+        for (var i = 0; i < stl.solids.length; i++) {
+            var solid = stl.solids[i];
+            var triangles = solid.positions.length / 9;
+
+            var props = [PackageBuilder.createProperty("Triangles", triangles, "STL")];
+            var dbId = builder.addObject(rootId, solid.name || ("Solid " + (i + 1)), PackageBuilder.NODE_TYPE_GEOMETRY, props, "solid" + i);
+
+            if (!triangles)
+                continue;
+
+            var meshes = VBUtils.createMeshes({
+                positions: solid.positions,
+                normals: solid.normals
+            });
+
+            for (var m = 0; m < meshes.length; m++)
+                builder.addFragment(dbId, builder.addMesh(meshes[m]), materialId);
+
+            //Release the parse data as we go
+            solid.positions = solid.normals = null;
+        }
+
+        //Parts from 3D printing and CAD pipelines are Z up
+        var svf = builder.build({
+            "distance unit": { value: units },
+            "world up vector": { XYZ: [0, 0, 1] }
+        });
+
+        svf.mtlMaterials = true;
+
+        return svf;
+    };
+
+
+    FileLoaderManager.registerFileLoader("stl", ["stl"], StlLoader);
+
+    return StlLoader;
+});
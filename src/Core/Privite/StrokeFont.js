@@ -0,0 +1,183 @@
+define(function() {
+    'use strict';
+
+    //A minimal single stroke font for drawing text with line segments, for 2D
+    //formats that reference fonts we cannot render (DXF text styles, SVG text).
+    //
+    //Glyphs are drawn on a grid that is 4 units wide. The baseline is at y=2,
+    //capitals reach y=8, and descenders go down to y=0. Each glyph is a list of
+    //strokes separated by spaces, and each stroke is a polyline given as a
+    //string of single digit x,y pairs. Lower case letters use the capitals at a
+    //smaller size.
+    var GLYPHS = {
+        "A": "022842 1535",
+        "B": "02083847463505 3544433202",
+        "C": "4738180703123243",
+        "D": "02082846442202",
+        "E": "42020848 0535",
+        "F": "020848 0535",
+        "G": "47381807031232434525",
+        "H": "0208 4248 0545",
+        "I": "1838 2822 1232",
+        "J": "4843321203",
+        "K": "0802 4804 1542",
+        "L": "080242",
+        "M": "0208244842",
+        "N": "02084248",
+        "O": "120307183847433212",
+        "P": "02083847463505",
+        "Q": "120307183847433212 2341",
+        "R": "02083847463505 2542",
+        "S": "473818070615354443321203",
+        "T": "0848 2822",
+        "U": "080312324348",
+        "V": "082248",
+        "W": "0812253248",
+        "X": "0842 0248",
+        "Y": "082548 2522",
+        "Z": "08480242",
+
+        "0": "120307183847433212 0347",
+        "1": "172822 1232",
+        "2": "07183847460242",
+        "3": "07183847463515 354443321203",
+        "4": "32380444",
+        "5": "4808053544433202",
+        "6": "38180703123243443505",
+        "7": "084812",
+        "8": "15060718384746351504031232434435",
+        "9": "45150607183847433212",
+
+        " ": "",
+        ".": "2223",
+        ",": "2311",
+        ":": "2223 2526",
+        ";": "2311 2526",
+        "-": "1535",
+        "+": "1535 2436",
+        "=": "1434 1636",
+        "_": "0141",
+        "/": "0248",
+        "\\": "0842",
+        "|": "2822",
+        "(": "38272332",
+        ")": "18272312",
+        "[": "38182232",
+        "]": "18382212",
+        "{": "38272615242332",
+        "}": "18272635242312",
+        "<": "470543",
+        ">": "074503",
+        "'": "2827",
+        "`": "1827",
+        "\"": "1817 3837",
+        "!": "2824 2223",
+        "?": "07183847462524 2223",
+        "#": "1228 3248 0434 0636",
+        "*": "2327 0446 0644",
+        "%": "0248 0708 4243",
+        "&": "4206071828373603123244",
+        "$": "473818070615354443321203 2921",
+        "@": "120307183847433212 2434",
+        "^": "162836",
+        "~": "05162536",
+        "°": "1728372617",          //degree sign
+        "±": "1535 2436 1232",      //plus-minus sign
+        "Ø": "120307183847433212 0248" //diameter sign
+    };
+
+    var GLYPH_ADVANCE = 5;    //glyph width plus spacing, in grid units
+    var CAP_HEIGHT = 6;       //baseline to the top of capitals, in grid units
+    var BASELINE = 2;
+    var LOWER_CASE_SCALE = 0.75;
+
+    var _cache = {};
+
+    //Decodes a glyph to polylines in grid units, relative to the baseline
+    function getGlyph(c) {
+        var glyph = _cache[c];
+        if (glyph)
+            return glyph;
+
+        var upper = c.toUpperCase();
+        var isLower = (upper !== c);
+        var def = GLYPHS[upper];
+        if (def === undefined)
+            def = GLYPHS["?"];
+
+        var scale = isLower ? LOWER_CASE_SCALE : 1;
+
+        glyph = [];
+        var strokes = def ? def.split(" ") : [];
+        for (var i = 0; i < strokes.length; i++) {
+            var s = strokes[i];
+            var pts = [];
+            for (var j = 0; j + 1 < s.length; j += 2) {
+                pts.push(+s[j] * scale, (+s[j + 1] - BASELINE) * scale);
+            }
+            glyph.push(pts);
+        }
+
+        _cache[c] = glyph;
+        return glyph;
+    }
+
+
+    /**
+     * Returns the advance width of a text.
+     * @param {string} text
+     * @param {number} height - height of capital letters
+     * @param {number} [widthFactor] - horizontal scale, defaults to 1
+     */
+    function getTextWidth(text, height, widthFactor) {
+        var unit = height / CAP_HEIGHT;
+        var width = text.length * GLYPH_ADVANCE * unit * (widthFactor || 1);
+        //No spacing after the last glyph
+        return text.length ? width - unit * (widthFactor || 1) : 0;
+    }
+
+
+    /**
+     * Lays out a line of text and returns its strokes as polylines.
+     * The text starts at the origin, with the baseline along the x axis.
+     * @param {string} text
+     * @param {number} height - height of capital letters
+     * @param {number} [widthFactor] - horizontal scale, defaults to 1
+     * @param {number} [oblique] - slant angle in radians
+     * @returns {number[][]} polylines, as arrays of x, y pairs
+     */
+    function layoutText(text, height, widthFactor, oblique) {
+
+        var unit = height / CAP_HEIGHT;
+        var sx = unit * (widthFactor || 1);
+        var slant = oblique ? Math.tan(oblique) : 0;
+
+        var polylines = [];
+
+        for (var i = 0; i < text.length; i++) {
+            var glyph = getGlyph(text[i]);
+            var x0 = i * GLYPH_ADVANCE * sx;
+
+            for (var j = 0; j < glyph.length; j++) {
+                var src = glyph[j];
+                var dst = new Array(src.length);
+                for (var k = 0; k < src.length; k += 2) {
+                    var y = src[k + 1] * unit;
+                    dst[k] = x0 + src[k] * sx + y * slant;
+                    dst[k + 1] = y;
+                }
+                polylines.push(dst);
+            }
+        }
+
+        return polylines;
+    }
+
+
+    return {
+        //Depth of descenders, relative to the text height
+        DESCENT_RATIO: BASELINE / CAP_HEIGHT,
+        getTextWidth: getTextWidth,
+        layoutText: layoutText
+    };
+});
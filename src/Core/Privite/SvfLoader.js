@@ -12,7 +12,9 @@ define([
     './PropDbLoader',
     './RenderModel',
     './BVHBuilder',
-    '../../Worker/initWorkerScript'
+    './PackPriorityQueue',
+    '../../Worker/initWorkerScript',
+    '../Global'
 ], function(
     FileLoaderManager, 
     DeviceType,
@@ -27,7 +29,9 @@ define([
     PropDbLoader,
     RenderModel,
     BVHBuilder,
-    initWorkerScript
+    PackPriorityQueue,
+    initWorkerScript,
+    Global
 ) {
     'use strict';
     var NUM_WORKER_THREADS = DeviceType.isNodeJS ? 10 : (DeviceType.isMobileDevice ? 2 : 6);
@@ -43,6 +47,7 @@ define([
         this.loading = false;
         this.loadedPacksCount = 0;
         this.loadedPacks = [];
+        this.packQueue = null; // order of the geometry packs, see PackPriorityQueue
         this.tmpMatrix = new THREE.Matrix4();
 
         this.logger = Logger;
@@ -53,6 +58,10 @@ define([
         this.onDemandLoading = false;
         this.cullGeometryOnLoading = false;
         this.pageOutGeometryEnabled = false;
+
+        // Set by Viewer3D.loadModel to report progress, see LoadHandle.
+        this.loadHandle = null;
+        this.cancelled = false;
     };
 
     SvfLoader.prototype.dtor = function () {
@@ -82,6 +91,8 @@ define([
         }
 
         this.dtor();
+        this.loading = true;
+        this.cancelled = false;
 
         var index = path.indexOf('urn:');
         if (index != -1) {
@@ -118,13 +129,39 @@ define([
         var scope = this;
 
         initWorkerScript(function () {
-            scope.loadSvfCB(path, options, onSuccess, onError, onWorkerStart);
+            if (!scope.cancelled)
+                scope.loadSvfCB(path, options, onSuccess, onError, onWorkerStart);
+        }, function (httpStatus, httpStatusText) {
+            if (scope.cancelled || !onError)
+                return;
+            var code = (httpStatus === 404) ? Global.ErrorCodes.NETWORK_FILE_NOT_FOUND : Global.ErrorCodes.NETWORK_FAILURE;
+            onError(code, "Failed to load the worker script", httpStatus, httpStatusText);
         });
 
         return true;
     };
 
 
+    /**
+     * Stops loading. The workers are terminated, so nothing arrives after this.
+     */
+    SvfLoader.prototype.cancel = function () {
+        this.cancelled = true;
+        this.loading = false;
+
+        //Once the model is loaded, the property worker is released with the model
+        if (this.svf && this.svf.propWorker && !this.svf.loadDone)
+            this.svf.propWorker.dtor();
+
+        this.dtor();
+    };
+
+    SvfLoader.prototype.reportProgress = function (phase, fraction) {
+        if (this.loadHandle)
+            this.loadHandle.setProgress(phase, fraction);
+    };
+
+
     /**
      * Define this to manipulate the manifest before it is used.
      * Must be either undefined or a function that takes exactly one argument, the manifest.
@@ -137,6 +174,7 @@ define([
     SvfLoader.prototype.loadSvfCB = function (path, options, onSuccess, onError, onWorkerStart) {
         this.t0 = new Date().getTime();
         this.firstPixelTimestamp = null;
+        this.firstUsefulTimestamp = null;
         this.failedToLoadSomeGeometryPacks = null;
         var first = true;
 
@@ -169,6 +207,7 @@ define([
 
             if (ew.data && ew.data.manifest) {
 
+                scope.reportProgress("manifest", 0.5);
                 scope.interceptManifest(ew.data.manifest);
                 msg.operation = WORKER_LOAD_SVF_CONTD;
                 msg.manifest = ew.data.manifest;
@@ -215,8 +254,17 @@ define([
                             scope.cullGeometryOnLoading = false;
                         }
 
+                        // Under a memory budget, geometry may be paged out and its pack fetched again later.
+                        // That needs the mapping from meshes to fragments, so it is decided when the load starts.
+                        var budget = scope.viewer3DImpl.memoryBudget;
+                        var frags = scope.model.getFragmentList();
+                        scope.pageOutGeometryEnabled = !!(budget && budget.isEnabled() && !frags.useThreeMesh);
+                        if (scope.pageOutGeometryEnabled)
+                            budget.attach(frags);
+
                         Logger.log("SVF on demand loading: " + scope.onDemandLoading);
                         Logger.log("SVF culling geometry on loading: " + scope.cullGeometryOnLoading);
+                        Logger.log("SVF geometry memory budget: " + scope.pageOutGeometryEnabled);
 
                         if (scope.onDemandLoading) {
                             // On demand loading is enabled, then
@@ -226,18 +274,20 @@ define([
                         }
                         else {
                             // On demand loading is disabled, then
-                            // Require loading immediately
+                            // Require loading immediately, the packs most visible from the camera first.
+                            // Each pack is picked when its request goes out, so that it is picked from
+                            // the current view.
                             if (numGeomPacks) {
+                                scope.packQueue = new PackPriorityQueue(scope.model, DeviceType.isNodeJS ? null : scope.viewer3DImpl.camera);
                                 var count = Math.min(numGeomPacks, NUM_WORKER_THREADS);
                                 for (var i = 0; i < count; i++) {
-                                    var pf = svf.geompacks[scope.next_pack++];
-                                    pf.loading = true;
                                     if (DeviceType.isNodeJS) {
-                                        scope.loadGeometryPack(pf.id, pf.uri);
+                                        scope.loadNextGeometryPack();
                                     } else {
-                                        (function (pf) {
-                                            setTimeout(function () { scope.loadGeometryPack(pf.id, pf.uri); }, i * 200);
-                                        })(pf);
+                                        setTimeout(function () {
+                                            if (!scope.cancelled && scope.packQueue)
+                                                scope.loadNextGeometryPack();
+                                        }, i * 200);
                                     }
                                 }
                             }
@@ -306,7 +356,11 @@ define([
     SvfLoader.prototype.loadGeometryPackOnDemand = function (packId) {
 
         var scope = this;
-        if (!scope.onDemandLoading) {
+
+        // Geometry paged out by the memory budget is fetched again once the initial load is done
+        var refetch = scope.pageOutGeometryEnabled && scope.svf && scope.svf.loadDone;
+
+        if (!(scope.onDemandLoading || refetch) || scope.cancelled) {
             // Return immediately if do not allow on demand loading.
             return;
         }
@@ -361,13 +415,15 @@ define([
                         }
                     }
 
-                    if (scope.loadedPacks.indexOf(ew.data.packId) == -1) {
+                    // Packs fetched again after the load is done are not load progress
+                    if (!scope.svf.loadDone && scope.loadedPacks.indexOf(ew.data.packId) == -1) {
                         // Recored which pack has been loaded.
                         scope.loadedPacks.push(ew.data.packId);
+                        scope.reportProgress("geometry", scope.loadedPacks.length / scope.svf.geompacks.length);
                     }
 
                     if (isdone && scope.model.geomPacksMissingLastFrame().length == 0) {
-                        if (scope.loadedPacks.length == scope.svf.geompacks.length) {
+                        if (!scope.svf.loadDone && scope.loadedPacks.length == scope.svf.geompacks.length) {
                             // This is for whole geometry get loaded.
                             // Notice, if geometry page out is enabled, loaded geometry may be
                             // get deleted later. So, this event just notify that all geometry
@@ -404,7 +460,8 @@ define([
                     scope.loadGeometryPackOnDemand(packId);
                 }
 
-                scope.viewer3DImpl.signalProgress(100 * scope.loadedPacks.length / scope.svf.geompacks.length);
+                if (!scope.svf.loadDone)
+                    scope.viewer3DImpl.signalProgress(100 * scope.loadedPacks.length / scope.svf.geompacks.length);
 
             } else if (ew.data && ew.data.debug) {
                 Logger.debug(ew.data.message);
@@ -476,6 +533,9 @@ define([
         var i, j;
         var scope = this;
 
+        if (this.cancelled)
+            return;
+
         var onMeshLoad = function (ew) {
             if (ew.data && ew.data.meshes) {
 
@@ -503,8 +563,12 @@ define([
                 if (ew.data.progress >= 1.0) {
                     scope.pack_workers[ew.data.workerId].queued -= 1;
 
+                    if (scope.packQueue && scope.packQueue.onLoaded(ew.data.packId))
+                        scope.onFirstUsefulFrame();
+
                     scope.loadedPacksCount++;
                     scope.viewer3DImpl.signalProgress(100 * scope.loadedPacksCount / scope.svf.geompacks.length);
+                    scope.reportProgress("geometry", scope.loadedPacksCount / scope.svf.geompacks.length);
 
                     //Are all workers done?
                     var isdone = true;
@@ -531,34 +595,10 @@ define([
                 //download is done, queue the next download
                 scope.pack_workers[ew.data.workerId].queued -= 1;
 
-                if (scope.next_pack < scope.svf.geompacks.length) {
-
-                    var pf = null;
-                    var missingPacks = scope.model.geomPacksMissingLastFrame();
-                    for (i = 0; i < missingPacks.length; ++i) {
-                        pf = scope.svf.geompacks[missingPacks[i]];
-                        if (pf && !pf.loading) {
-                            break;
-                        }
-                    }
-
-                    if (!pf || pf.loading) {
-                        while (scope.next_pack < scope.svf.geompacks.length) {
-                            pf = scope.svf.geompacks[scope.next_pack++];
-                            if (!pf.loading) {
-                                break;
-                            }
-                        }
-                    }
-
-                    if (pf && !pf.loading) {
-                        pf.loading = true;
-                        scope.loadGeometryPack(pf.id, pf.uri);
-                    }
-                    else {
-                        scope.viewer3DImpl.modelQueue().enforceBvh = false;
+                if (!scope.packQueue || !scope.loadNextGeometryPack()) {
+                    scope.viewer3DImpl.modelQueue().enforceBvh = false;
+                    if (!scope.pageOutGeometryEnabled)
                         scope.svf.fragments.packIds = null; // not needed anymore
-                    }
                 }
             } else if (ew.data && ew.data.debug) {
                 Logger.debug(ew.data.message);
@@ -622,6 +662,33 @@ define([
     };
 
 
+    /**
+     * Starts loading the pack that is most important for the current view, see PackPriorityQueue.
+     * @returns {bool} false if all packs are loading or loaded already
+     */
+    SvfLoader.prototype.loadNextGeometryPack = function () {
+        var packId = this.packQueue.next();
+        while (packId !== null && this.svf.geompacks[packId].loading)
+            packId = this.packQueue.next();
+
+        if (packId === null)
+            return false;
+
+        var pf = this.svf.geompacks[packId];
+        pf.loading = true;
+        this.next_pack++;
+        this.loadGeometryPack(pf.id, pf.uri);
+        return true;
+    };
+
+    //Most of the geometry in view is loaded. Repaint right away instead of waiting for the
+    //next progressive repaint, and report the time.
+    SvfLoader.prototype.onFirstUsefulFrame = function () {
+        this.firstUsefulTimestamp = Date.now();
+        Logger.log("First useful frame time: " + (this.firstUsefulTimestamp - this.t0));
+        this.viewer3DImpl.invalidate(false, true);
+    };
+
     SvfLoader.prototype.processReceivedMesh = function (mdata) {
 
         //Find all fragments that instance this mesh
@@ -638,6 +705,23 @@ define([
         if (!Array.isArray(fragIndexes))
             fragIndexes = [fragIndexes];
 
+        var rm = this.model;
+
+        //A pack fetched again under the memory budget brings all its meshes. Those that were paged out
+        //go back into the geometry list under their old id, their fragments still refer to it.
+        var frags = rm.getFragmentList();
+        var oldId = frags.getGeometryId(fragIndexes[0]);
+        if (frags.memoryBudget && oldId > 0) {
+            var geoms = rm.getGeometryList();
+            if (!geoms.getGeometry(oldId)) {
+                BufferGeometryUtils.meshToGeometry(mdata);
+                geoms.addGeometry(mdata.geometry, fragIndexes.length, oldId);
+                frags.memoryBudget.onRefetched(frags, oldId);
+                this.viewer3DImpl.invalidate(false, true);
+            }
+            return;
+        }
+
         // Let's do a culling when process the received meshes,
         // which cull those won't be rendered in current frame.
         if (this.cullGeometryOnLoading) {
@@ -665,8 +749,6 @@ define([
 
         var numInstances = fragIndexes.length;
 
-        var rm = this.model;
-
         //Reuse previous index of this geometry, if available
         var idx = rm.getFragmentList().getGeometryId(fragIndexes[0]);
         var geomId = rm.getGeometryList().addGeometry(mdata.geometry, numInstances, idx);
@@ -703,7 +785,7 @@ define([
             rm.activateFragment(fragId, m, !!svf.placementTransform);
         }
 
-        if (!this.onDemandLoading) {
+        if (!this.onDemandLoading && !this.pageOutGeometryEnabled) {
             //don't need this mapping anymore.
             fragments.mesh2frag[meshid] = null;
         }
@@ -861,12 +943,20 @@ define([
         //delete this.svf.fragments.transforms;
 
         // Don't need these anymore (except perhaps for out of core stuff?)
-        if (!this.onDemandLoading) {
+        if (!this.onDemandLoading && !this.pageOutGeometryEnabled) {
             // On demand loading still need this.
             this.svf.fragments.entityIndexes = null;
             this.svf.fragments.mesh2frag = null;
         }
 
+        // The initial load leaves its packs marked as loading. Under a memory budget,
+        // they are fetched again on demand from now on.
+        if (this.pageOutGeometryEnabled) {
+            var packs = this.svf.geompacks;
+            for (var i = 0; i < packs.length; i++)
+                packs[i].loading = false;
+        }
+
 
         var t1 = Date.now();
         var msg = "Fragments load time: " + (t1 - this.t0);
@@ -875,6 +965,11 @@ define([
         var firstPixelTime = this.firstPixelTimestamp - this.t0;
         msg += ' (first pixel time: ' + firstPixelTime + ')';
 
+        var firstUsefulTime = this.firstUsefulTimestamp ? this.firstUsefulTimestamp - this.t0 : 0;
+        if (firstUsefulTime > 0)
+            msg += ' (first useful frame time: ' + firstUsefulTime + ')';
+        this.packQueue = null;
+
         //If there is a post-transform, the BVH has to be computed after
         //all the world transforms/boxes are updated
         if (!this.svf.bvh || this.svf.placementTransform) {
@@ -896,6 +991,9 @@ define([
         if (firstPixelTime > 0) {
             modelStats['first_pixel_time'] = firstPixelTime; // time [ms] from SVF load to first geometry rendered
         }
+        if (firstUsefulTime > 0) {
+            modelStats['first_useful_frame_time'] = firstUsefulTime; // time [ms] from SVF load until most geometry in view is loaded
+        }
         Logger.track(modelStats, true);
 
         function sendMessage(data) {
@@ -923,7 +1021,7 @@ define([
     };
 
 
-    FileLoaderManager.registerFileLoader("svf", ["svf", "gltf", "glb"], SvfLoader);
+    FileLoaderManager.registerFileLoader("svf", ["svf"], SvfLoader);
 
     return SvfLoader;
 });
\ No newline at end of file
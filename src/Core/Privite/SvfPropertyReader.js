@@ -0,0 +1,228 @@
+define([
+    '../Model',
+    '../EventDispatcher',
+    '../EventType',
+    '../Logger',
+    './PropDbLoader',
+    './PropertyExporter',
+    './Fn/pathToURL',
+    './Fn/initLoadContext',
+    '../../Worker/createWorkerWithIntercept'
+], function(Model, EventDispatcher, EventType, Logger, PropDbLoader, PropertyExporter, pathToURL, initLoadContext, createWorkerWithIntercept) {
+    'use strict';
+
+    var WORKER_LOAD_SVF = "LOAD_SVF";
+    var WORKER_LOAD_SVF_CONTD = "LOAD_SVF_CONTD";
+
+    /**
+     * @constructor
+     * Reads the object tree, properties and external ids of an SVF without a viewer.
+     * Only the root of the SVF is read, for its fragment to object mapping, not the geometry,
+     * and no WebGL is needed. The property database is read by a PropDbLoader like
+     * in the viewer, so the results are the same as those of Model.getProperties etc.
+     *
+     * Meant for Node.js, see bin/extract-properties.js, where the worker runs
+     * in-process and reads the files from disk, see NodeWorker.
+     *
+     * @param {string} path - the .svf file
+     * @param {Object} [options]
+     * @param {string} [options.sharedPropertyDbPath] - as for Viewer3D.loadModel
+     */
+    var SvfPropertyReader = function (path, options) {
+        this.path = path;
+        this.options = options || {};
+
+        this.svf = null;
+        this.model = null;
+        this.propDb = null;
+
+        //PropDbLoader reports the object tree with events
+        this.events = new EventDispatcher();
+    };
+
+    SvfPropertyReader.prototype.constructor = SvfPropertyReader;
+
+    /**
+     * Reads the SVF and its object tree.
+     * @param {function(InstanceTree)} onSuccess - called with the object tree, or null for
+     * models whose objects have properties but no tree
+     * @param {function(Object)} [onError] - called with { code, msg }
+     */
+    SvfPropertyReader.prototype.open = function (onSuccess, onError) {
+        var scope = this;
+
+        this.loadSvf(function (svf) {
+            scope.svf = svf;
+            scope.model = new Model(svf);
+
+            scope.propDb = svf.propWorker = new PropDbLoader(scope.options.sharedPropertyDbPath, scope.model, scope.events);
+            scope.propDb.load();
+            scope.propDb.getObjectTree(onSuccess, function (error) {
+                if (svf.hasObjectProperties)
+                    onSuccess(null);
+                else if (onError)
+                    onError(error || { code: EventType.UNKNOWN_FAILURE, msg: "Failed to load the property database" });
+            });
+        }, onError);
+    };
+
+    SvfPropertyReader.prototype.loadSvf = function (onSuccess, onError) {
+        var path = this.path;
+        var lastSlash = path.lastIndexOf("/");
+        var basePath = lastSlash !== -1 ? path.substr(0, lastSlash + 1) : "";
+
+        var msg = {
+            url: pathToURL(path),
+            basePath: basePath,
+            operation: WORKER_LOAD_SVF,
+            interceptManifest: false
+        };
+
+        var w = createWorkerWithIntercept();
+
+        function done() {
+            w.clearAllEventListenerWithIntercept();
+            w.terminate();
+        }
+
+        w.addEventListenerWithIntercept(function (ew) {
+            var data = ew.data;
+
+            if (data && data.manifest) {
+                msg.operation = WORKER_LOAD_SVF_CONTD;
+                msg.manifest = data.manifest;
+                w.doOperation(msg);
+            } else if (data && data.svf) {
+                done();
+                data.svf.basePath = basePath;
+                onSuccess(data.svf);
+            } else if (data && data.error) {
+                done();
+                if (onError)
+                    onError(data.error);
+            } else if (data && data.debug) {
+                Logger.debug(data.message);
+            } else if (!data) {
+                done();
+                if (onError)
+                    onError({ code: EventType.UNKNOWN_FAILURE, msg: "Failed to read " + path });
+            }
+        });
+
+        w.doOperation(initLoadContext(msg));
+    };
+
+    SvfPropertyReader.prototype.close = function () {
+        if (this.propDb) {
+            this.propDb.dtor();
+            this.propDb = null;
+        }
+        this.svf = null;
+        this.model = null;
+    };
+
+    /**
+     * Lists the nodes of the object tree, parents before their children.
+     * @returns {Object[]} { dbId, parentId, name, depth, childCount }, empty without a tree
+     */
+    SvfPropertyReader.prototype.getTreeNodes = function () {
+        var it = this.svf && this.svf.instanceTree;
+        var nodes = [];
+        if (!it)
+            return nodes;
+
+        var stack = [{ dbId: it.getRootId(), parentId: 0, depth: 0 }];
+        while (stack.length) {
+            var node = stack.pop();
+            nodes.push({
+                dbId: node.dbId,
+                parentId: node.parentId,
+                name: it.getNodeName(node.dbId),
+                depth: node.depth,
+                childCount: it.getChildCount(node.dbId)
+            });
+
+            //Pushed in reverse, so that children come out in tree order
+            var children = [];
+            it.enumNodeChildren(node.dbId, function (childId) {
+                children.push(childId);
+            });
+            for (var i = children.length - 1; i >= 0; i--)
+                stack.push({ dbId: children[i], parentId: node.dbId, depth: node.depth + 1 });
+        }
+
+        return nodes;
+    };
+
+    /**
+     * Writes the object tree as a table.
+     * @param {string} [format="csv"] - "csv" or "json"
+     * @returns {Blob}
+     */
+    SvfPropertyReader.prototype.exportTree = function (format) {
+        var nodes = this.getTreeNodes();
+
+        if (format === "json")
+            return new Blob([JSON.stringify(nodes, null, 1)], { type: "application/json" });
+
+        var rows = [["dbId", "Parent dbId", "Name", "Depth", "Children"]];
+        nodes.forEach(function (node) {
+            rows.push([node.dbId, node.parentId, node.name, node.depth, node.childCount]);
+        });
+        return PropertyExporter.tableToCsv(rows);
+    };
+
+    /**
+     * Returns the ids of all objects of the property database. Unlike the object tree,
+     * this includes objects without geometry, like types and materials.
+     * @returns {number[]}
+     */
+    SvfPropertyReader.prototype.getAllObjectIds = function () {
+        var svf = this.svf;
+        var count = (svf.instanceTree && svf.instanceTree.objectCount) || svf.hasObjectProperties || 0;
+
+        //Id 0 is not used
+        var dbIds = [];
+        for (var dbId = 1; dbId < count; dbId++)
+            dbIds.push(dbId);
+        return dbIds;
+    };
+
+    /**
+     * Writes the properties of all objects, see PropertyExporter.exportProperties for the options.
+     * External ids are included unless options.includeExternalId is false.
+     */
+    SvfPropertyReader.prototype.exportProperties = function (options, onSuccess, onError) {
+        options = options || {};
+        var exportOptions = { includeExternalId: true };
+        for (var p in options)
+            exportOptions[p] = options[p];
+
+        this.propDb.exportProperties(this.getAllObjectIds(), exportOptions, onSuccess, onError);
+    };
+
+    /**
+     * Writes the mapping between external ids and object ids.
+     * @param {string} [format="csv"] - "csv" or "json". JSON maps external ids to dbIds,
+     * like Model.getExternalIdMapping.
+     * @param {function(Blob)} onSuccess
+     * @param {function(Object)} [onError]
+     */
+    SvfPropertyReader.prototype.exportExternalIds = function (format, onSuccess, onError) {
+        this.propDb.getExternalIdMapping(function (mapping) {
+            mapping = mapping || {};
+
+            if (format === "json") {
+                onSuccess(new Blob([JSON.stringify(mapping, null, 1)], { type: "application/json" }));
+                return;
+            }
+
+            var rows = [["dbId", "External ID"]];
+            for (var externalId in mapping)
+                rows.push([mapping[externalId], externalId]);
+            onSuccess(PropertyExporter.tableToCsv(rows));
+        }, onError);
+    };
+
+    return SvfPropertyReader;
+});
@@ -0,0 +1,300 @@
+define([
+    '../Logger',
+    './Fn/pathToURL',
+    './Fn/initLoadContext',
+    '../../Worker/createWorkerWithIntercept'
+], function(Logger, pathToURL, initLoadContext, createWorkerWithIntercept) {
+    'use strict';
+
+    var WORKER_LOAD_GEOMETRY = "LOAD_GEOMETRY";
+
+    //Lists of objects in the report are cut at this length, the counts are complete
+    var MAX_LISTED = 100;
+
+    //Textures of the shared material library are not part of the bundle, see MaterialManager
+    var SHARED_TEXTURE = /^[123]\/Mats/;
+
+    /**
+     * @constructor
+     * Checks an SVF before it is published: loads all its geometry without rendering it and
+     * reports statistics, and problems like geometry packs that fail to load or missing textures.
+     * Meant for Node.js, see bin/validate-model.js.
+     *
+     * @param {SvfPropertyReader} reader - opened, the object tree is used for some of the checks
+     */
+    var SvfValidator = function (reader) {
+        this.reader = reader;
+        this.svf = reader.svf;
+
+        this.errors = [];
+        this.warnings = [];
+    };
+
+    SvfValidator.prototype.constructor = SvfValidator;
+
+    SvfValidator.prototype.error = function (check, msg, details) {
+        this.errors.push({ check: check, msg: msg, details: details });
+    };
+
+    SvfValidator.prototype.warn = function (check, msg, details) {
+        this.warnings.push({ check: check, msg: msg, details: details });
+    };
+
+    function listed(items) {
+        return items.length > MAX_LISTED ? items.slice(0, MAX_LISTED) : items;
+    }
+
+    /**
+     * Runs all checks.
+     * @param {function(Object)} onDone - called with the report. The report has an errors
+     * and a warnings list, each entry with check, msg and optional details.
+     */
+    SvfValidator.prototype.validate = function (onDone) {
+        var scope = this;
+
+        this.loadGeometry(function (geometry) {
+            var report = {
+                file: scope.reader.path,
+                valid: true,
+                fragments: scope.checkFragments(geometry),
+                triangles: { geometry: scope.svf.geomPolyCount, instances: scope.svf.instancePolyCount },
+                geometryPacks: geometry.packs,
+                materials: scope.checkMaterials(),
+                units: scope.checkUnits(),
+                boundingBox: scope.checkBoundingBox(),
+                objects: scope.checkObjects(),
+                errors: scope.errors,
+                warnings: scope.warnings
+            };
+            report.valid = !scope.errors.length;
+            onDone(report);
+        });
+    };
+
+    /**
+     * Loads the geometry packs one after the other and counts their triangles like
+     * GeometryList.addGeometry does, without keeping the meshes.
+     * @param {function(Object)} onDone - called with { packs, loadedFrags }
+     */
+    SvfValidator.prototype.loadGeometry = function (onDone) {
+        var scope = this;
+        var svf = this.svf;
+        var packs = svf.geompacks || [];
+        var mesh2frag = svf.fragments.mesh2frag || {};
+        var loadedFrags = new Uint8Array(svf.fragments.length);
+
+        var result = { count: packs.length, loaded: 0, failed: [] };
+        svf.geomPolyCount = 0;
+        svf.instancePolyCount = 0;
+
+        var w = createWorkerWithIntercept();
+        var current = -1;
+        var packId = -1; //of the current pack, mesh ids are made of it
+
+        function next() {
+            current++;
+            if (current === packs.length) {
+                w.clearAllEventListenerWithIntercept();
+                w.terminate();
+
+                if (result.failed.length)
+                    scope.error("geometryPacks", result.failed.length + " of " + packs.length + " geometry packs failed to load", listed(result.failed));
+
+                onDone({ packs: result, loadedFrags: loadedFrags });
+                return;
+            }
+
+            packId = parseInt(packs[current].id);
+            w.doOperation(initLoadContext({
+                operation: WORKER_LOAD_GEOMETRY,
+                url: pathToURL(svf.basePath + packs[current].uri),
+                packId: packId,
+                workerId: 0
+            }));
+        }
+
+        function fail(error) {
+            var pack = packs[current];
+            result.failed.push({ id: pack.id, uri: pack.uri, code: error && error.code, msg: error && error.msg });
+            next();
+        }
+
+        w.addEventListenerWithIntercept(function (ew) {
+            var data = ew.data;
+
+            //Late messages of a pack that already failed
+            if (data && data.packId !== undefined && data.packId !== packId)
+                return;
+
+            if (data && data.meshes) {
+                var meshes = data.meshes;
+                for (var i = 0; i < meshes.length; i++) {
+                    if (!meshes[i])
+                        continue;
+
+                    var fragIds = mesh2frag[packId + ":" + i];
+                    if (fragIds === undefined || fragIds === null)
+                        continue;
+                    if (!Array.isArray(fragIds))
+                        fragIds = [fragIds];
+
+                    var polyCount = meshes[i].indices.length / 3;
+                    svf.geomPolyCount += polyCount;
+                    svf.instancePolyCount += polyCount * fragIds.length;
+
+                    for (var j = 0; j < fragIds.length; j++)
+                        loadedFrags[fragIds[j]] = 1;
+                }
+
+                if (data.progress >= 1.0) {
+                    result.loaded++;
+                    next();
+                }
+            } else if (data && data.error) {
+                fail(data.error);
+            } else if (data && data.debug) {
+                Logger.debug(data.message);
+            } else if (!data) {
+                fail(null);
+            }
+        });
+
+        next();
+    };
+
+    SvfValidator.prototype.checkFragments = function (geometry) {
+        var count = this.svf.fragments.length;
+        var missing = [];
+
+        for (var fragId = 0; fragId < count; fragId++) {
+            if (!geometry.loadedFrags[fragId])
+                missing.push(fragId);
+        }
+
+        if (!count)
+            this.error("fragments", "The model has no fragments");
+        else if (missing.length)
+            this.warn("fragments", missing.length + " fragments have no geometry", listed(missing));
+
+        return { count: count, withoutGeometry: missing.length };
+    };
+
+    //Texture uris of a material, in all the assets it is made of
+    function getTextureUris(matObj) {
+        var uris = [];
+        var assets = (matObj && matObj.materials) || {};
+
+        for (var id in assets) {
+            var props = assets[id].properties;
+            var byType = props && props.uris;
+            for (var type in byType) {
+                var values = byType[type].values;
+                if (values && values[0] && uris.indexOf(values[0]) === -1)
+                    uris.push(values[0]);
+            }
+        }
+        return uris;
+    }
+
+    //Where the viewer would look for a texture, see MaterialManager.loadTexture
+    function resolveTexture(svf, uri) {
+        var assets = (svf.manifest && svf.manifest.assets) || [];
+        for (var i = 0; i < assets.length; i++) {
+            if (assets[i].id === uri) {
+                if (assets[i].URI.indexOf("embed:/") === 0)
+                    return null;
+                return svf.basePath + assets[i].URI;
+            }
+        }
+        return svf.basePath + uri;
+    }
+
+    SvfValidator.prototype.checkMaterials = function () {
+        var svf = this.svf;
+        var fs = require('fs');
+        var mats = svf.materials ? svf.materials["materials"] : null;
+        var list = [];
+        var missing = [];
+        var textureCount = 0, sharedCount = 0;
+
+        for (var id in mats) {
+            var matObj = mats[id];
+            var uris = getTextureUris(matObj);
+            var main = matObj.materials && matObj.userassets ? matObj.materials[matObj.userassets[0]] : null;
+
+            list.push({ id: id, definition: main ? main.definition : null, textures: uris });
+
+            for (var i = 0; i < uris.length; i++) {
+                textureCount++;
+                if (SHARED_TEXTURE.test(uris[i])) {
+                    sharedCount++;
+                    continue;
+                }
+                var path = resolveTexture(svf, uris[i]);
+                if (path && !fs.existsSync(path.split("?")[0]))
+                    missing.push({ material: id, uri: uris[i], path: path });
+            }
+        }
+
+        if (!mats)
+            this.warn("materials", "The model has no materials");
+        if (missing.length)
+            this.error("textures", missing.length + " textures are missing", listed(missing));
+
+        return { count: list.length, list: listed(list), textures: textureCount, sharedTextures: sharedCount, missingTextures: missing.length };
+    };
+
+    SvfValidator.prototype.checkUnits = function () {
+        var unit = this.reader.model.getUnitString();
+        if (!unit) {
+            var raw = this.reader.model.getMetadata('distance unit', 'value', null);
+            this.warn("units", raw ? "Unknown distance unit: " + raw : "The model has no distance unit");
+        }
+        return unit || null;
+    };
+
+    //In the coordinates of the file, the loader moves the model by the global offset
+    SvfValidator.prototype.checkBoundingBox = function () {
+        var bbox = this.svf.bbox;
+        var offset = this.svf.globalOffset || { x: 0, y: 0, z: 0 };
+
+        if (!bbox || !(bbox.min.x <= bbox.max.x && bbox.min.y <= bbox.max.y && bbox.min.z <= bbox.max.z)) {
+            this.error("boundingBox", "The model has no valid bounding box");
+            return null;
+        }
+
+        return {
+            min: [bbox.min.x + offset.x, bbox.min.y + offset.y, bbox.min.z + offset.z],
+            max: [bbox.max.x + offset.x, bbox.max.y + offset.y, bbox.max.z + offset.z]
+        };
+    };
+
+    SvfValidator.prototype.checkObjects = function () {
+        var it = this.svf.instanceTree;
+        if (!it) {
+            this.warn("objectTree", "The object tree is not available",
+                      this.reader.propDb && this.reader.propDb.propertyDbError);
+            return null;
+        }
+
+        //Leaves are where the geometry should be
+        var nodes = this.reader.getTreeNodes();
+        var empty = [];
+        for (var i = 0; i < nodes.length; i++) {
+            if (nodes[i].childCount)
+                continue;
+
+            var hasGeometry = false;
+            it.enumNodeFragments(nodes[i].dbId, function () { hasGeometry = true; }, false);
+            if (!hasGeometry)
+                empty.push(nodes[i].dbId);
+        }
+
+        if (empty.length)
+            this.warn("objectTree", empty.length + " objects in the tree have no geometry", listed(empty));
+
+        return { count: it.objectCount, nodes: nodes.length, withoutGeometry: empty.length };
+    };
+
+    return SvfValidator;
+});
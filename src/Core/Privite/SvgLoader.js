@@ -0,0 +1,1074 @@
+define([
+    '../FileLoaderManager',
+    '../Logger',
+    './FileLoaderBase',
+    './PackageBuilder',
+    './Package2DBuilder',
+    './VertexBufferBuilder',
+    './StrokeFont',
+    './LineStyleDefs',
+    './Fn/utf8ArrayToString'
+], function(FileLoaderManager, Logger, FileLoaderBase, PackageBuilder, Package2DBuilder, VertexBufferBuilder, StrokeFont, LineStyleDefs, utf8ArrayToString) {
+    'use strict';
+
+    var DEG_TO_RAD = Math.PI / 180;
+    var TAU = 2 * Math.PI;
+
+    //Flattening of curved path segments
+    var ARC_SEGMENTS = 64;      //per full circle
+    var CUBIC_SEGMENTS = 16;
+    var QUADRATIC_SEGMENTS = 12;
+
+    //Nested <use> references beyond this depth are assumed to be circular
+    var MAX_USE_DEPTH = 16;
+
+    //The stroke font is sized by the height of capitals, SVG fonts by the em size
+    var CAP_HEIGHT_PER_EM = 0.7;
+
+    //CSS pixels per unit, for the size of the root <svg> element
+    var PIXELS_PER_UNIT = { "px": 1, "pt": 96 / 72, "pc": 16, "in": 96, "cm": 96 / 2.54, "mm": 96 / 25.4 };
+
+    //Elements that are not drawn where they appear in the document
+    var SKIPPED_ELEMENTS = {
+        "defs": 1, "symbol": 1, "clipPath": 1, "mask": 1, "marker": 1, "pattern": 1,
+        "linearGradient": 1, "radialGradient": 1, "filter": 1, "style": 1, "script": 1,
+        "title": 1, "desc": 1, "metadata": 1, "image": 1, "foreignObject": 1
+    };
+
+    //Attributes that are not shown as properties of groups
+    var HIDDEN_ATTRIBUTES = { "style": 1, "transform": 1, "d": 1, "points": 1, "class": 1 };
+
+    //Properties that children take from their parents
+    var INHERITED = [
+        "fill", "fill-opacity", "fill-rule", "stroke", "stroke-opacity", "stroke-width",
+        "stroke-dasharray", "vector-effect", "visibility", "color", "font-size", "text-anchor"
+    ];
+
+    var NAMED_COLORS = {
+        "black": 0x000000, "white": 0xffffff, "red": 0xff0000, "lime": 0x00ff00, "green": 0x008000,
+        "blue": 0x0000ff, "yellow": 0xffff00, "cyan": 0x00ffff, "aqua": 0x00ffff, "magenta": 0xff00ff,
+        "fuchsia": 0xff00ff, "gray": 0x808080, "grey": 0x808080, "silver": 0xc0c0c0, "maroon": 0x800000,
+        "olive": 0x808000, "purple": 0x800080, "teal": 0x008080, "navy": 0x000080, "orange": 0xffa500,
+        "brown": 0xa52a2a, "pink": 0xffc0cb, "gold": 0xffd700, "darkgray": 0xa9a9a9, "darkgrey": 0xa9a9a9,
+        "lightgray": 0xd3d3d3, "lightgrey": 0xd3d3d3, "dimgray": 0x696969, "dimgrey": 0x696969,
+        "darkblue": 0x00008b, "darkred": 0x8b0000, "darkgreen": 0x006400, "lightblue": 0xadd8e6,
+        "lightgreen": 0x90ee90, "beige": 0xf5f5dc, "tan": 0xd2b48c, "whitesmoke": 0xf5f5f5,
+        "gainsboro": 0xdcdcdc, "steelblue": 0x4682b4, "skyblue": 0x87ceeb, "wheat": 0xf5deb3
+    };
+
+    //Stroke patterns all use one dashed line type, the dash lengths are not reproduced
+    var DASHED_LINE_TYPE = (function () {
+        for (var i = 0; i < LineStyleDefs.length; i++) {
+            if (LineStyleDefs[i].id === "DASHED")
+                return i;
+        }
+        return 0;
+    })();
+
+
+    /** @constructor
+     * Loads SVG drawings as 2D sheets, drawn with the LineShader.
+     *
+     * Paths, basic shapes and text are converted to 2D geometry. Inkscape layers, or the
+     * top level groups of documents without them, become the layers of the sheet. Groups
+     * with an id or a label become selectable objects, with their attributes as properties.
+     * Shapes outside of such groups are objects of their own.
+     *
+     * Text is drawn with a built-in stroke font. Gradients are drawn in a single color,
+     * clipping paths, masks, markers and images are ignored.
+     */
+    var SvgLoader = function (parent) {
+        FileLoaderBase.call(this, parent);
+    };
+
+    SvgLoader.prototype = Object.create(FileLoaderBase.prototype);
+    SvgLoader.prototype.constructor = SvgLoader;
+
+    SvgLoader.prototype.formatName = "SVG";
+
+
+    //2D affine transforms, in the order of SVG's matrix(a b c d e f)
+
+    function multiply(m, n) {
+        return [
+            m[0] * n[0] + m[2] * n[1],
+            m[1] * n[0] + m[3] * n[1],
+            m[0] * n[2] + m[2] * n[3],
+            m[1] * n[2] + m[3] * n[3],
+            m[0] * n[4] + m[2] * n[5] + m[4],
+            m[1] * n[4] + m[3] * n[5] + m[5]
+        ];
+    }
+
+    function transformPoints(m, points) {
+        for (var i = 0; i < points.length; i += 2) {
+            var x = points[i], y = points[i + 1];
+            points[i] = m[0] * x + m[2] * y + m[4];
+            points[i + 1] = m[1] * x + m[3] * y + m[5];
+        }
+        return points;
+    }
+
+    function getScale(m) {
+        return Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+    }
+
+    //True if the transform keeps circles circular
+    function isSimilarity(m) {
+        var eps = 1e-6 * Math.max(getScale(m), 1e-12);
+        return (Math.abs(m[0] - m[3]) < eps && Math.abs(m[1] + m[2]) < eps) ||
+               (Math.abs(m[0] + m[3]) < eps && Math.abs(m[1] - m[2]) < eps);
+    }
+
+
+    function parseNumbers(text) {
+        var numbers = [];
+        var re = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g;
+        var match;
+        while ((match = re.exec(text || "")) !== null)
+            numbers.push(parseFloat(match[0]));
+        return numbers;
+    }
+
+    /**
+     * Parses the transform attribute.
+     * @returns {number[]} the transform as [a, b, c, d, e, f]
+     */
+    function parseTransform(text) {
+        var m = [1, 0, 0, 1, 0, 0];
+        var re = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+        var match;
+
+        while ((match = re.exec(text || "")) !== null) {
+            var v = parseNumbers(match[2]);
+            var t;
+
+            switch (match[1]) {
+                case "matrix":
+                    t = v.length >= 6 ? v.slice(0, 6) : null;
+                    break;
+                case "translate":
+                    t = [1, 0, 0, 1, v[0] || 0, v[1] || 0];
+                    break;
+                case "scale":
+                    t = [v[0], 0, 0, v.length > 1 ? v[1] : v[0], 0, 0];
+                    break;
+                case "rotate":
+                    var a = (v[0] || 0) * DEG_TO_RAD;
+                    var c = Math.cos(a), s = Math.sin(a);
+                    var cx = v[1] || 0, cy = v[2] || 0;
+                    t = [c, s, -s, c, cx - c * cx + s * cy, cy - s * cx - c * cy];
+                    break;
+                case "skewX":
+                    t = [1, 0, Math.tan((v[0] || 0) * DEG_TO_RAD), 1, 0, 0];
+                    break;
+                case "skewY":
+                    t = [1, Math.tan((v[0] || 0) * DEG_TO_RAD), 0, 1, 0, 0];
+                    break;
+            }
+
+            if (t)
+                m = multiply(m, t);
+        }
+
+        return m;
+    }
+
+    //Parses a length, in user units. Percentages and font relative units are not supported.
+    function parseLength(text, defaultValue) {
+        var match = /^\s*([-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)\s*([a-z%]*)\s*$/.exec(text || "");
+        if (!match || match[2] === "%")
+            return defaultValue;
+        var value = parseFloat(match[1]);
+        return match[2] ? value * (PIXELS_PER_UNIT[match[2]] || 1) : value;
+    }
+
+
+    //Returns the color as 0xRRGGBB, null for "none", undefined if it cannot be parsed
+    function parseColor(text) {
+        text = (text || "").trim().toLowerCase();
+
+        if (text === "none" || text === "transparent")
+            return null;
+
+        if (text[0] === "#") {
+            var hex = text.substr(1);
+            if (hex.length === 3)
+                hex = hex[0] + hex[0] + hex[1] + hex[1] + hex[2] + hex[2];
+            var value = parseInt(hex.substr(0, 6), 16);
+            return isNaN(value) ? undefined : value;
+        }
+
+        var rgb = /^rgba?\(([^)]*)\)$/.exec(text);
+        if (rgb) {
+            var parts = rgb[1].split(/\s*,\s*|\s+/);
+            var color = 0;
+            for (var i = 0; i < 3; i++) {
+                var p = parts[i] || "0";
+                var c = (p.indexOf("%") !== -1) ? parseFloat(p) * 2.55 : parseFloat(p);
+                color = (color << 8) | Math.max(0, Math.min(255, Math.round(c || 0)));
+            }
+            return color;
+        }
+
+        return NAMED_COLORS[text];
+    }
+
+
+    //Parses the declarations of a style attribute or a CSS rule
+    function parseDeclarations(text, result) {
+        var items = (text || "").split(";");
+        for (var i = 0; i < items.length; i++) {
+            var colon = items[i].indexOf(":");
+            if (colon !== -1)
+                result[items[i].substr(0, colon).trim()] = items[i].substr(colon + 1).replace(/!important/, "").trim();
+        }
+        return result;
+    }
+
+    //Reads the rules of the <style> elements. Only simple tag, class and id selectors are supported.
+    function parseStyleSheets(doc) {
+        var rules = [];
+        var elements = doc.getElementsByTagName("style");
+
+        for (var i = 0; i < elements.length; i++) {
+            var css = (elements[i].textContent || "").replace(/\/\*[\s\S]*?\*\//g, "");
+            var re = /([^{}]+)\{([^}]*)\}/g;
+            var match;
+
+            while ((match = re.exec(css)) !== null) {
+                var declarations = parseDeclarations(match[2], {});
+                var selectors = match[1].split(",");
+
+                for (var j = 0; j < selectors.length; j++) {
+                    var sel = /^\s*([\w-]*)(?:([.#])([\w-]+))?\s*$/.exec(selectors[j]);
+                    if (!sel || (!sel[1] && !sel[3]))
+                        continue;
+
+                    rules.push({
+                        tag: sel[1] || null,
+                        className: sel[2] === "." ? sel[3] : null,
+                        id: sel[2] === "#" ? sel[3] : null,
+                        //id selectors win over class selectors, which win over tag selectors
+                        specificity: (sel[2] === "#" ? 100 : (sel[2] === "." ? 10 : 0)) + (sel[1] ? 1 : 0),
+                        order: rules.length,
+                        declarations: declarations
+                    });
+                }
+            }
+        }
+
+        rules.sort(function (a, b) { return (a.specificity - b.specificity) || (a.order - b.order); });
+        return rules;
+    }
+
+
+    function getTagName(element) {
+        return element.localName || element.tagName.replace(/^.*:/, "");
+    }
+
+    function getLabel(element) {
+        return element.getAttribute("inkscape:label") || element.getAttribute("data-name") || element.getAttribute("id");
+    }
+
+    function isInkscapeLayer(element) {
+        return getTagName(element) === "g" && element.getAttribute("inkscape:groupmode") === "layer";
+    }
+
+    function getChildText(element, tagName) {
+        var children = element.childNodes;
+        for (var i = 0; i < children.length; i++) {
+            if (children[i].nodeType === 1 && getTagName(children[i]) === tagName)
+                return (children[i].textContent || "").trim();
+        }
+        return "";
+    }
+
+
+    //Converts an SVG elliptical arc to points, see the SVG spec, appendix F.6.5
+    function appendArc(points, x1, y1, rx, ry, angle, largeArc, sweep, x2, y2) {
+
+        if (x1 === x2 && y1 === y2)
+            return;
+
+        rx = Math.abs(rx);
+        ry = Math.abs(ry);
+        if (!rx || !ry) {
+            points.push(x2, y2);
+            return;
+        }
+
+        var phi = angle * DEG_TO_RAD;
+        var cp = Math.cos(phi), sp = Math.sin(phi);
+
+        var dx = (x1 - x2) / 2, dy = (y1 - y2) / 2;
+        var x1p = cp * dx + sp * dy;
+        var y1p = -sp * dx + cp * dy;
+
+        //Scale up radii that are too small to reach the end point
+        var lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+        if (lambda > 1) {
+            rx *= Math.sqrt(lambda);
+            ry *= Math.sqrt(lambda);
+        }
+
+        var num = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+        var den = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+        var k = Math.sqrt(Math.max(0, num / den));
+        if (largeArc === sweep)
+            k = -k;
+
+        var cxp = k * rx * y1p / ry;
+        var cyp = -k * ry * x1p / rx;
+
+        var cx = cp * cxp - sp * cyp + (x1 + x2) / 2;
+        var cy = sp * cxp + cp * cyp + (y1 + y2) / 2;
+
+        var theta1 = Math.atan2((y1p - cyp) / ry, (x1p - cxp) / rx);
+        var dtheta = Math.atan2((-y1p - cyp) / ry, (-x1p - cxp) / rx) - theta1;
+
+        if (sweep && dtheta < 0)
+            dtheta += TAU;
+        else if (!sweep && dtheta > 0)
+            dtheta -= TAU;
+
+        var count = Math.max(2, Math.ceil(ARC_SEGMENTS * Math.abs(dtheta) / TAU));
+        for (var i = 1; i <= count; i++) {
+            var t = theta1 + dtheta * i / count;
+            var ex = rx * Math.cos(t), ey = ry * Math.sin(t);
+            points.push(cp * ex - sp * ey + cx, sp * ex + cp * ey + cy);
+        }
+    }
+
+    /**
+     * Parses path data into subpaths.
+     * @returns {Object[]} { points, closed } per subpath, with points as x, y pairs
+     */
+    function parsePath(d) {
+
+        var subpaths = [];
+        var tokens = (d || "").match(/[a-df-z]|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/gi) || [];
+
+        var current = null;
+        var x = 0, y = 0;           //current point
+        var startX = 0, startY = 0; //start of the subpath
+        var ctrlX = 0, ctrlY = 0;   //last control point, for smooth curves
+        var command = null, previous = null;
+        var i = 0;
+
+        function num() {
+            return parseFloat(tokens[i++]);
+        }
+
+        function flag() {
+            //Arc flags can be written without separators, e.g. "a1 1 0 00 1 1"
+            var token = tokens[i];
+            if (token.length > 1 && (token[0] === "0" || token[0] === "1")) {
+                tokens[i] = token.substr(1);
+                return token[0] === "1";
+            }
+            i++;
+            return parseFloat(token) !== 0;
+        }
+
+        function moveTo(nx, ny) {
+            current = { points: [nx, ny], closed: false };
+            subpaths.push(current);
+            x = startX = nx;
+            y = startY = ny;
+        }
+
+        function lineTo(nx, ny) {
+            if (!current)
+                moveTo(x, y);
+            current.points.push(nx, ny);
+            x = nx;
+            y = ny;
+        }
+
+        function cubicTo(x1, y1, x2, y2, nx, ny) {
+            if (!current)
+                moveTo(x, y);
+            for (var k = 1; k <= CUBIC_SEGMENTS; k++) {
+                var t = k / CUBIC_SEGMENTS, mt = 1 - t;
+                var a = mt * mt * mt, b = 3 * mt * mt * t, c = 3 * mt * t * t, e = t * t * t;
+                current.points.push(a * x + b * x1 + c * x2 + e * nx, a * y + b * y1 + c * y2 + e * ny);
+            }
+            ctrlX = x2;
+            ctrlY = y2;
+            x = nx;
+            y = ny;
+        }
+
+        function quadraticTo(x1, y1, nx, ny) {
+            if (!current)
+                moveTo(x, y);
+            for (var k = 1; k <= QUADRATIC_SEGMENTS; k++) {
+                var t = k / QUADRATIC_SEGMENTS, mt = 1 - t;
+                current.points.push(mt * mt * x + 2 * mt * t * x1 + t * t * nx, mt * mt * y + 2 * mt * t * y1 + t * t * ny);
+            }
+            ctrlX = x1;
+            ctrlY = y1;
+            x = nx;
+            y = ny;
+        }
+
+        while (i < tokens.length) {
+
+            if (/[a-z]/i.test(tokens[i]))
+                command = tokens[i++];
+            else if (!command)
+                break;
+
+            var rel = (command === command.toLowerCase());
+            var ox = rel ? x : 0, oy = rel ? y : 0;
+
+            switch (command.toUpperCase()) {
+                case "M":
+                    moveTo(ox + num(), oy + num());
+                    //Further coordinate pairs are implicit line commands
+                    command = rel ? "l" : "L";
+                    break;
+                case "L":
+                    lineTo(ox + num(), oy + num());
+                    break;
+                case "H":
+                    lineTo(ox + num(), y);
+                    break;
+                case "V":
+                    lineTo(x, oy + num());
+                    break;
+                case "C":
+                    cubicTo(ox + num(), oy + num(), ox + num(), oy + num(), ox + num(), oy + num());
+                    break;
+                case "S":
+                    var reflect = /[CS]/i.test(previous);
+                    cubicTo(reflect ? 2 * x - ctrlX : x, reflect ? 2 * y - ctrlY : y, ox + num(), oy + num(), ox + num(), oy + num());
+                    break;
+                case "Q":
+                    quadraticTo(ox + num(), oy + num(), ox + num(), oy + num());
+                    break;
+                case "T":
+                    var smooth = /[QT]/i.test(previous);
+                    quadraticTo(smooth ? 2 * x - ctrlX : x, smooth ? 2 * y - ctrlY : y, ox + num(), oy + num());
+                    break;
+                case "A":
+                    var rx = num(), ry = num(), angle = num();
+                    var largeArc = flag(), sweep = flag();
+                    var nx = ox + num(), ny = oy + num();
+                    if (!current)
+                        moveTo(x, y);
+                    appendArc(current.points, x, y, rx, ry, angle, largeArc, sweep, nx, ny);
+                    x = nx;
+                    y = ny;
+                    break;
+                case "Z":
+                    if (current) {
+                        current.closed = true;
+                        current = null;
+                    }
+                    x = startX;
+                    y = startY;
+                    break;
+                default:
+                    //Unknown command, give up on the rest of the path
+                    i = tokens.length;
+                    break;
+            }
+
+            previous = command;
+
+            if (isNaN(x) || isNaN(y)) {
+                Logger.warn("Invalid SVG path data: " + d.substr(0, 40));
+                break;
+            }
+        }
+
+        return subpaths.filter(function (s) {
+            if (s.closed && s.points.length >= 4) {
+                //The closing segment is implicit
+                var n = s.points.length;
+                if (s.points[0] === s.points[n - 2] && s.points[1] === s.points[n - 1])
+                    s.points.length -= 2;
+            }
+            return s.points.length >= 4;
+        });
+    }
+
+    function ellipsePoints(cx, cy, rx, ry) {
+        var points = [];
+        for (var i = 0; i < ARC_SEGMENTS; i++) {
+            var a = TAU * i / ARC_SEGMENTS;
+            points.push(cx + rx * Math.cos(a), cy + ry * Math.sin(a));
+        }
+        return points;
+    }
+
+    function rectPath(x, y, w, h, rx, ry) {
+        if (!rx && !ry)
+            return [x, y, x + w, y, x + w, y + h, x, y + h];
+
+        rx = Math.min(rx || ry, w / 2);
+        ry = Math.min(ry || rx, h / 2);
+
+        var d = "M" + (x + rx) + "," + y + "H" + (x + w - rx) +
+                "A" + rx + "," + ry + " 0 0 1 " + (x + w) + "," + (y + ry) + "V" + (y + h - ry) +
+                "A" + rx + "," + ry + " 0 0 1 " + (x + w - rx) + "," + (y + h) + "H" + (x + rx) +
+                "A" + rx + "," + ry + " 0 0 1 " + x + "," + (y + h - ry) + "V" + (y + ry) +
+                "A" + rx + "," + ry + " 0 0 1 " + (x + rx) + "," + y + "Z";
+        return parsePath(d)[0].points;
+    }
+
+
+    /** @constructor
+     * Walks an SVG document and draws it into a Package2DBuilder.
+     */
+    function SvgDrawer(doc, builder, rootId) {
+        this.doc = doc;
+        this.builder = builder;
+        this.rootId = rootId;
+
+        this.rules = parseStyleSheets(doc);
+        this.elementsById = {};
+        this.defaultLayer = null;
+        this.elementCount = 0;
+        this.externalIds = {};
+
+        var all = doc.getElementsByTagName("*");
+        this.hasInkscapeLayers = false;
+        for (var i = 0; i < all.length; i++) {
+            var id = all[i].getAttribute("id");
+            if (id)
+                this.elementsById[id] = all[i];
+            if (isInkscapeLayer(all[i]))
+                this.hasInkscapeLayers = true;
+        }
+    }
+
+    //Presentation attributes, overridden by style sheets, overridden by the style attribute
+    SvgDrawer.prototype.getDeclarations = function (element, tagName) {
+
+        var result = {};
+        var attributes = element.attributes;
+        for (var i = 0; i < attributes.length; i++)
+            result[attributes[i].name] = attributes[i].value;
+
+        var rules = this.rules;
+        if (rules.length) {
+            var classes = " " + (element.getAttribute("class") || "") + " ";
+            var id = element.getAttribute("id");
+            for (i = 0; i < rules.length; i++) {
+                var rule = rules[i];
+                if ((rule.tag && rule.tag !== tagName) ||
+                    (rule.id && rule.id !== id) ||
+                    (rule.className && classes.indexOf(" " + rule.className + " ") === -1))
+                    continue;
+                for (var key in rule.declarations)
+                    result[key] = rule.declarations[key];
+            }
+        }
+
+        parseDeclarations(element.getAttribute("style"), result);
+
+        return result;
+    };
+
+    //Computes the style of an element from its declarations and the style of its parent
+    SvgDrawer.prototype.getStyle = function (declarations, parent) {
+        var style = {};
+        for (var i = 0; i < INHERITED.length; i++) {
+            var name = INHERITED[i];
+            var value = declarations[name];
+            style[name] = (value === undefined || value === "inherit") ? parent[name] : value;
+        }
+
+        //Opacity is not inherited, but applies to everything inside the element
+        var opacity = parseFloat(declarations["opacity"]);
+        style.opacity = parent.opacity * (isNaN(opacity) ? 1 : opacity);
+        style.display = declarations["display"];
+
+        return style;
+    };
+
+    SvgDrawer.prototype.getPaint = function (paint, style) {
+        paint = (paint || "").trim();
+
+        if (paint === "currentColor")
+            return parseColor(style.color);
+
+        //Gradients and patterns are drawn in the color of their first stop
+        var ref = /^url\(\s*['"]?#([^'")]+)['"]?\s*\)\s*(.*)$/.exec(paint);
+        if (ref) {
+            var target = this.elementsById[ref[1]];
+            var stops = target ? target.getElementsByTagName("stop") : [];
+            if (stops.length) {
+                var decl = this.getDeclarations(stops[0], "stop");
+                return parseColor(decl["stop-color"] || "black");
+            }
+            return ref[2] ? parseColor(ref[2]) : 0x808080;
+        }
+
+        return parseColor(paint);
+    };
+
+
+    //Layers are created on first use, so that empty layers are not listed
+    SvgDrawer.prototype.createLayer = function (name, visible, element) {
+        var layer = {
+            index: this.builder.addLayer(name, visible),
+            nodeId: 0,
+            name: name,
+            element: element
+        };
+        return layer;
+    };
+
+    SvgDrawer.prototype.getLayerNode = function (layer) {
+        if (!layer.nodeId) {
+            var props = [PackageBuilder.createProperty("Type", "Layer", "General")];
+            if (layer.element)
+                props = props.concat(this.getAttributeProperties(layer.element));
+            layer.nodeId = this.builder.addObject(this.rootId, layer.name, PackageBuilder.NODE_TYPE_LAYER, props, "layer:" + layer.name);
+        }
+        return layer.nodeId;
+    };
+
+    SvgDrawer.prototype.getDefaultLayer = function () {
+        if (!this.defaultLayer)
+            this.defaultLayer = this.createLayer("Default", true, null);
+        return this.defaultLayer;
+    };
+
+
+    SvgDrawer.prototype.getAttributeProperties = function (element) {
+        var props = [];
+        var attributes = element.attributes;
+
+        for (var i = 0; i < attributes.length; i++) {
+            var name = attributes[i].name;
+            if (HIDDEN_ATTRIBUTES[name] || name.indexOf("xmlns") === 0 || name.indexOf("sodipodi:") === 0)
+                continue;
+            props.push(PackageBuilder.createProperty(name, attributes[i].value, "Attributes"));
+        }
+
+        var title = getChildText(element, "title");
+        if (title)
+            props.push(PackageBuilder.createProperty("Title", title, "General"));
+        var desc = getChildText(element, "desc");
+        if (desc)
+            props.push(PackageBuilder.createProperty("Description", desc, "General"));
+
+        return props;
+    };
+
+    SvgDrawer.prototype.addObject = function (element, tagName, parentId, nodeType) {
+        var id = element.getAttribute("id");
+        var name = getLabel(element) || tagName;
+        var props = [PackageBuilder.createProperty("Element", tagName, "General")].concat(this.getAttributeProperties(element));
+        var externalId = id ? "#" + id : "element:" + this.elementCount;
+
+        //Elements drawn by several <use> references appear more than once
+        if (this.externalIds[externalId])
+            externalId += ":" + this.elementCount;
+        this.externalIds[externalId] = true;
+
+        return this.builder.addObject(parentId, name, nodeType, props, externalId);
+    };
+
+
+    /**
+     * Draws an element and its children.
+     * @param {Element} element
+     * @param {Object} ctx - { m, style, layer, parentId, dbId, depth }. dbId is 0 outside of named groups.
+     */
+    SvgDrawer.prototype.drawElement = function (element, ctx) {
+
+        var tagName = getTagName(element);
+        if (SKIPPED_ELEMENTS[tagName])
+            return;
+
+        this.elementCount++;
+
+        var declarations = this.getDeclarations(element, tagName);
+        var style = this.getStyle(declarations, ctx.style);
+        var hidden = (style.display === "none");
+
+        var m = ctx.m;
+        if (declarations.transform)
+            m = multiply(m, parseTransform(declarations.transform));
+
+        var child = { m: m, style: style, layer: ctx.layer, parentId: ctx.parentId, dbId: ctx.dbId, depth: ctx.depth, topLevel: false };
+
+        if (tagName === "g" || tagName === "svg" || tagName === "a" || tagName === "switch") {
+
+            //Layers are drawn even if hidden, so they can be turned on in the layers panel
+            var layerGroup = tagName === "g" && (this.hasInkscapeLayers ? isInkscapeLayer(element) : ctx.topLevel);
+
+            if (layerGroup) {
+                child.layer = this.createLayer(getLabel(element) || "Layer " + (this.builder.layers.length + 1), !hidden, element);
+                child.parentId = this.getLayerNode(child.layer);
+                child.dbId = 0;
+            }
+            else if (hidden) {
+                return;
+            }
+            else if (tagName === "g" && getLabel(element)) {
+                child.parentId = this.addObject(element, tagName, ctx.parentId || this.getLayerNode(this.getLayer(ctx)), PackageBuilder.NODE_TYPE_ASSEMBLY);
+                child.dbId = child.parentId;
+            }
+
+            if (tagName === "svg" && element !== this.doc.documentElement) {
+                child.m = multiply(child.m, [1, 0, 0, 1, parseLength(element.getAttribute("x"), 0), parseLength(element.getAttribute("y"), 0)]);
+            }
+
+            this.drawChildren(element, child);
+            return;
+        }
+
+        if (hidden || style.visibility === "hidden" || style.visibility === "collapse")
+            return;
+
+        //Shapes outside of named groups are objects of their own, and so are <use> references
+        var layer = this.getLayer(ctx);
+        if (!child.dbId) {
+            child.dbId = this.addObject(element, tagName, ctx.parentId || this.getLayerNode(layer), PackageBuilder.NODE_TYPE_GEOMETRY);
+            child.parentId = child.dbId;
+        }
+
+        if (tagName === "use") {
+            this.drawUse(element, child);
+            return;
+        }
+
+        if (tagName === "text")
+            this.drawText(element, child, layer);
+        else
+            this.drawShape(element, tagName, declarations, child, layer);
+    };
+
+    SvgDrawer.prototype.getLayer = function (ctx) {
+        return ctx.layer || this.getDefaultLayer();
+    };
+
+    SvgDrawer.prototype.drawChildren = function (element, ctx) {
+        var children = element.childNodes;
+        for (var i = 0; i < children.length; i++) {
+            if (children[i].nodeType === 1)
+                this.drawElement(children[i], ctx);
+        }
+    };
+
+    SvgDrawer.prototype.drawUse = function (element, ctx) {
+
+        var href = element.getAttribute("href") || element.getAttribute("xlink:href") || "";
+        var target = this.elementsById[href.replace(/^#/, "")];
+
+        if (!target || ctx.depth >= MAX_USE_DEPTH) {
+            Logger.warn("SVG: cannot draw <use> element referencing " + href);
+            return;
+        }
+
+        ctx.m = multiply(ctx.m, [1, 0, 0, 1, parseLength(element.getAttribute("x"), 0), parseLength(element.getAttribute("y"), 0)]);
+        ctx.depth++;
+
+        //Symbols are not drawn in place, so their content is drawn here
+        if (getTagName(target) === "symbol")
+            this.drawChildren(target, ctx);
+        else
+            this.drawElement(target, ctx);
+    };
+
+
+    //Returns the subpaths of a shape element, in user coordinates
+    function getShapeOutlines(element, tagName, decl) {
+        var num = function (name) {
+            return parseLength(decl[name], 0);
+        };
+
+        switch (tagName) {
+            case "path":
+                return parsePath(decl.d);
+            case "rect":
+                var w = num("width"), h = num("height");
+                if (w <= 0 || h <= 0)
+                    return [];
+                return [{ points: rectPath(num("x"), num("y"), w, h, num("rx"), num("ry")), closed: true }];
+            case "circle":
+                if (num("r") <= 0)
+                    return [];
+                return [{ points: ellipsePoints(num("cx"), num("cy"), num("r"), num("r")), closed: true, circle: true }];
+            case "ellipse":
+                if (num("rx") <= 0 || num("ry") <= 0)
+                    return [];
+                return [{ points: ellipsePoints(num("cx"), num("cy"), num("rx"), num("ry")), closed: true }];
+            case "line":
+                return [{ points: [num("x1"), num("y1"), num("x2"), num("y2")], closed: false }];
+            case "polyline":
+            case "polygon":
+                var points = parseNumbers(decl.points);
+                if (points.length % 2)
+                    points.length--;
+                return points.length >= 4 ? [{ points: points, closed: tagName === "polygon" }] : [];
+        }
+
+        return [];
+    }
+
+    SvgDrawer.prototype.drawShape = function (element, tagName, decl, ctx, layer) {
+
+        var outlines = getShapeOutlines(element, tagName, decl);
+        if (!outlines.length)
+            return;
+
+        var style = ctx.style;
+        var m = ctx.m;
+        var i;
+
+        var fill = this.getPaint(style.fill === undefined ? "black" : style.fill, style);
+        var fillOpacity = parseFloat(style["fill-opacity"]);
+        //Open subpaths are filled as if they were closed
+        if (fill !== null && fill !== undefined && tagName !== "line") {
+            var contours = outlines.map(function (o) {
+                return transformPoints(m, o.points.slice());
+            }).filter(function (c) {
+                return c.length >= 6;
+            });
+
+            if (contours.length) {
+                this.builder.addFill(contours, {
+                    dbId: ctx.dbId,
+                    layer: layer.index,
+                    color: VertexBufferBuilder.toVertexColor(fill, style.opacity * (isNaN(fillOpacity) ? 1 : fillOpacity))
+                });
+            }
+        }
+
+        var stroke = this.getPaint(style.stroke, style);
+        var strokeWidth = parseLength(style["stroke-width"], 1);
+        if (stroke === null || stroke === undefined || !(strokeWidth > 0))
+            return;
+
+        var strokeOpacity = parseFloat(style["stroke-opacity"]);
+        var dashed = style["stroke-dasharray"] && style["stroke-dasharray"] !== "none";
+
+        var lineStyle = {
+            dbId: ctx.dbId,
+            layer: layer.index,
+            color: VertexBufferBuilder.toVertexColor(stroke, style.opacity * (isNaN(strokeOpacity) ? 1 : strokeOpacity)),
+            //Non-scaling strokes keep their width in screen pixels
+            lineWidth: (style["vector-effect"] === "non-scaling-stroke") ? -strokeWidth : strokeWidth * getScale(m),
+            lineType: dashed ? DASHED_LINE_TYPE : 0
+        };
+
+        //Circles stay exact arcs when they are not distorted
+        if (outlines[0].circle && isSimilarity(m) && !dashed) {
+            var r = parseLength(decl.r, 0);
+            var center = transformPoints(m, [parseLength(decl.cx, 0), parseLength(decl.cy, 0)]);
+            this.builder.addCircle(center[0], center[1], r * getScale(m), lineStyle);
+            return;
+        }
+
+        for (i = 0; i < outlines.length; i++)
+            this.builder.addPolyline(transformPoints(m, outlines[i].points.slice()), outlines[i].closed, lineStyle);
+    };
+
+
+    //Draws the text of a <text> element. <tspan> children with a position start a new run of text.
+    SvgDrawer.prototype.drawText = function (element, ctx, layer) {
+
+        var self = this;
+        var runs = [];
+        var run = null;
+        var x = parseNumbers(element.getAttribute("x"))[0] || 0;
+        var y = parseNumbers(element.getAttribute("y"))[0] || 0;
+
+        function visit(node, style) {
+            var children = node.childNodes;
+            for (var i = 0; i < children.length; i++) {
+                var c = children[i];
+                if (c.nodeType === 3 || c.nodeType === 4) {
+                    var text = c.nodeValue.replace(/\s+/g, " ");
+                    if (!run)
+                        runs.push(run = { x: x, y: y, text: "", style: style });
+                    run.text += text;
+                } else if (c.nodeType === 1 && getTagName(c) === "tspan") {
+                    var decl = self.getDeclarations(c, "tspan");
+                    var tspanStyle = self.getStyle(decl, style);
+                    if (tspanStyle.display === "none")
+                        continue;
+
+                    var tx = parseNumbers(decl.x)[0], ty = parseNumbers(decl.y)[0];
+                    var dx = parseNumbers(decl.dx)[0] || 0, dy = parseNumbers(decl.dy)[0] || 0;
+
+                    //Continue from the end of the previous text
+                    if (run) {
+                        var size = parseLength(run.style["font-size"], 16) * CAP_HEIGHT_PER_EM;
+                        x = run.x + StrokeFont.getTextWidth(run.text, size, 1);
+                        y = run.y;
+                    }
+                    if (tx !== undefined) x = tx;
+                    if (ty !== undefined) y = ty;
+                    x += dx;
+                    y += dy;
+
+                    run = null;
+                    runs.push(run = { x: x, y: y, text: "", style: tspanStyle });
+                    visit(c, tspanStyle);
+                    run = null;
+                }
+            }
+        }
+
+        visit(element, ctx.style);
+
+        var m = ctx.m;
+
+        //Text runs along x, with y pointing down in SVG user space
+        var ux = m[0], uy = m[1];
+        var vx = -m[2], vy = -m[3];
+        var su = Math.sqrt(ux * ux + uy * uy), sv = Math.sqrt(vx * vx + vy * vy);
+        if (!su || !sv)
+            return;
+
+        for (var i = 0; i < runs.length; i++) {
+            var r = runs[i];
+            var text = r.text.trim();
+            if (!text)
+                continue;
+
+            var color = this.getPaint(r.style.fill === undefined ? "black" : r.style.fill, r.style);
+            if (color === null || color === undefined)
+                continue;
+
+            var height = parseLength(r.style["font-size"], 16) * CAP_HEIGHT_PER_EM;
+            var width = StrokeFont.getTextWidth(text, height, 1);
+            var anchor = r.style["text-anchor"];
+            var offset = (anchor === "middle") ? -width / 2 : (anchor === "end" ? -width : 0);
+
+            var p = transformPoints(m, [r.x + offset, r.y]);
+            this.builder.addText(text, p[0], p[1], height * sv, Math.atan2(uy, ux), su / sv, 0, {
+                dbId: ctx.dbId,
+                layer: layer.index,
+                color: VertexBufferBuilder.toVertexColor(color, r.style.opacity)
+            });
+        }
+    };
+
+
+    /**
+     * Computes the transform from the user space of the root <svg> element to the sheet,
+     * which has y pointing up, and the units of the sheet.
+     */
+    function getRootTransform(svg, unitsOverride) {
+
+        var viewBox = parseNumbers(svg.getAttribute("viewBox"));
+        var hasViewBox = viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0;
+
+        var widthText = svg.getAttribute("width") || "";
+        var unit = (/[a-z]+\s*$/.exec(widthText) || ["px"])[0].trim();
+        var width = parseLength(widthText, hasViewBox ? viewBox[2] : undefined);
+        var height = parseLength(svg.getAttribute("height"), hasViewBox ? viewBox[3] : undefined);
+
+        //User units to pixels
+        var sx = 1, sy = 1;
+        var x0 = 0, y0 = 0;
+        if (hasViewBox) {
+            x0 = viewBox[0];
+            y0 = viewBox[1];
+            sx = width / viewBox[2];
+            sy = height / viewBox[3];
+            height = viewBox[3];
+        }
+
+        //Pixels to sheet units
+        var units = null, toUnits = 1;
+        if (unit === "mm" || unit === "cm" || unit === "in") {
+            units = unit;
+            toUnits = 1 / PIXELS_PER_UNIT[unit];
+        } else if (unit === "pt" || unit === "pc") {
+            units = "in";
+            toUnits = 1 / PIXELS_PER_UNIT["in"];
+        }
+        if (unitsOverride) {
+            units = unitsOverride;
+            toUnits = 1;
+        }
+
+        sx *= toUnits;
+        sy *= toUnits;
+
+        //Flip y, keeping the sheet in the positive quadrant when the height is known
+        var top = (height !== undefined) ? y0 + height : 0;
+
+        return {
+            m: [sx, 0, 0, -sy, -x0 * sx, top * sy],
+            units: units
+        };
+    }
+
+
+    function toText(data) {
+        if (typeof data === "string")
+            return data;
+
+        var bytes = (data instanceof Uint8Array) ? data : new Uint8Array(data);
+        return utf8ArrayToString(bytes, 0, bytes.length);
+    }
+
+    SvgLoader.prototype.parse = function (data, callback) {
+
+        var doc;
+        try {
+            doc = new DOMParser().parseFromString(toText(data), "image/svg+xml");
+        } catch (e) {
+            doc = null;
+        }
+
+        var svg = doc && doc.documentElement;
+        if (!svg || getTagName(svg) !== "svg" || doc.getElementsByTagName("parsererror").length) {
+            callback("Failed to parse SVG document.");
+            return;
+        }
+
+        var builder = new Package2DBuilder();
+        var rootProps = [PackageBuilder.createProperty("Format", "SVG", "Drawing")];
+        var title = getChildText(svg, "title");
+        if (title)
+            rootProps.push(PackageBuilder.createProperty("Title", title, "Drawing"));
+
+        var rootId = builder.addObject(0, this.getModelName(), PackageBuilder.NODE_TYPE_MODEL, rootProps, "root");
+
+        var root = getRootTransform(svg, this.options.units);
+        var drawer = new SvgDrawer(doc, builder, rootId);
+
+        var rootStyle = drawer.getStyle(drawer.getDeclarations(svg, "svg"), {
+            "fill": "black",
+            "stroke": "none",
+            "stroke-width": "1",
+            "font-size": "16",
+            "opacity": 1
+        });
+
+        var children = svg.childNodes;
+        for (var i = 0; i < children.length; i++) {
+            if (children[i].nodeType !== 1)
+                continue;
+            drawer.drawElement(children[i], {
+                m: root.m,
+                style: rootStyle,
+                layer: null,
+                parentId: 0,
+                dbId: 0,
+                depth: 0,
+                topLevel: true
+            });
+        }
+
+        callback(null, builder.build(root.units));
+    };
+
+
+    FileLoaderManager.registerFileLoader("svg", ["svg"], SvgLoader);
+
+    return SvgLoader;
+});
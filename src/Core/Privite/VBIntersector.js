@@ -272,9 +272,70 @@ define(function() {
     }
 
 
+    //Point clouds have no surface to hit, so we look for the points within a tolerance
+    //of the ray instead. The tolerance grows with the distance along the ray (see
+    //Viewer3DImpl.getPointPickTolerance), to keep it about constant in screen space.
+    //Only the point nearest to the ray origin is reported, dense clouds
+    //would otherwise produce thousands of hits.
+    function pointRayCast(mesh, raycaster, intersects) {
+
+        init_three();
+
+        var geometry = mesh.geometry;
+
+        if (!geometry)
+            return;
+
+        var params = raycaster.params.PointCloud || {};
+        var threshold = params.threshold || 0;
+        var thresholdPerUnit = params.thresholdPerUnit || 0;
+
+        var positions = geometry.vb ? geometry.vb : geometry.attributes.position.array;
+        var stride = geometry.vb ? geometry.vbstride : 3;
+        var worldRay = raycaster.ray;
+
+        var point = new THREE.Vector3();
+        var closest = new THREE.Vector3();
+        var best = null;
+        var bestDistance = Infinity;
+
+        for (var i = 0, il = positions.length; i < il; i += stride) {
+
+            point.set(positions[i], positions[i + 1], positions[i + 2]).applyMatrix4(mesh.matrixWorld);
+
+            var distance = worldRay.closestPointToPoint(point, closest).distanceTo(worldRay.origin);
+            if (distance >= bestDistance || distance < raycaster.near || distance > raycaster.far)
+                continue;
+
+            var tolerance = threshold + thresholdPerUnit * distance;
+            if (closest.distanceToSquared(point) > tolerance * tolerance)
+                continue;
+
+            bestDistance = distance;
+            best = (best || new THREE.Vector3()).copy(point);
+        }
+
+        if (!best)
+            return;
+
+        intersects.push({
+
+            distance: bestDistance,
+            point: best,
+            face: null,
+            faceIndex: null,
+            fragId: mesh.fragId,
+            dbId: mesh.dbId
+
+        });
+    }
+
+
     function rayCast(mesh, raycaster, intersects) {
 
-        if (mesh.isLine)
+        if (mesh.geometry && mesh.geometry.isPoints)
+            pointRayCast(mesh, raycaster, intersects);
+        else if (mesh.isLine)
             lineRayCast(mesh, raycaster, intersects);
         else
             meshRayCast(mesh, raycaster, intersects);
@@ -316,6 +377,7 @@ define(function() {
     return {
         meshRayCast: meshRayCast,
         lineRayCast: lineRayCast,
+        pointRayCast: pointRayCast,
         rayCast: rayCast,
         intersectObject: intersectObject
     };
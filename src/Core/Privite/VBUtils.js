@@ -0,0 +1,492 @@
+define(function() {
+    'use strict';
+
+    //The renderer addresses vertices with 16 bit indices
+    var MAX_VERTS_PER_MESH = 65535;
+
+
+    //Encodes a unit normal into two 16 bit integers, using the same spherical
+    //encoding as the SVF worker, so that the meshes can be drawn with the
+    //UNPACK_NORMALS shader variants shared by all the SVF materials.
+    function packNormal(nx, ny, nz, dst, offset) {
+        var len = Math.sqrt(nx * nx + ny * ny + nz * nz);
+        if (len > 0) {
+            nx /= len;
+            ny /= len;
+            nz /= len;
+        } else {
+            nz = 1;
+        }
+
+        var u = 0.5 * (Math.atan2(ny, nx) / Math.PI + 1);
+        var v = 0.5 * (nz + 1);
+        dst[offset] = (u * 65535) | 0;
+        dst[offset + 1] = (v * 65535) | 0;
+    }
+
+
+    /**
+     * Computes area weighted vertex normals for an indexed triangle list.
+     * Vertices that are not shared between triangles end up with the face normal.
+     * @param {Float32Array} positions - xyz per vertex
+     * @param {Uint32Array|Uint16Array|number[]} indices - three indices per triangle
+     * @returns {Float32Array} xyz per vertex
+     */
+    function computeNormals(positions, indices) {
+
+        var normals = new Float32Array(positions.length);
+
+        for (var i = 0; i + 2 < indices.length; i += 3) {
+            var a = indices[i] * 3, b = indices[i + 1] * 3, c = indices[i + 2] * 3;
+
+            var e1x = positions[b] - positions[a],
+                e1y = positions[b + 1] - positions[a + 1],
+                e1z = positions[b + 2] - positions[a + 2];
+            var e2x = positions[c] - positions[a],
+                e2y = positions[c + 1] - positions[a + 1],
+                e2z = positions[c + 2] - positions[a + 2];
+
+            //Cross product length is twice the triangle area, which gives us the weighting for free
+            var nx = e1y * e2z - e1z * e2y,
+                ny = e1z * e2x - e1x * e2z,
+                nz = e1x * e2y - e1y * e2x;
+
+            normals[a] += nx; normals[a + 1] += ny; normals[a + 2] += nz;
+            normals[b] += nx; normals[b + 1] += ny; normals[b + 2] += nz;
+            normals[c] += nx; normals[c + 1] += ny; normals[c + 2] += nz;
+        }
+
+        for (i = 0; i < normals.length; i += 3) {
+            var len = Math.sqrt(normals[i] * normals[i] + normals[i + 1] * normals[i + 1] + normals[i + 2] * normals[i + 2]);
+            if (len > 0) {
+                normals[i] /= len;
+                normals[i + 1] /= len;
+                normals[i + 2] /= len;
+            }
+        }
+
+        return normals;
+    }
+
+
+    function computeBounds3D(mesh) {
+
+        var vb = mesh.vb, stride = mesh.vbstride;
+        var minx = Infinity, miny = Infinity, minz = Infinity;
+        var maxx = -Infinity, maxy = -Infinity, maxz = -Infinity;
+
+        for (var i = 0; i < vb.length; i += stride) {
+            var x = vb[i], y = vb[i + 1], z = vb[i + 2];
+            if (x < minx) minx = x;
+            if (x > maxx) maxx = x;
+            if (y < miny) miny = y;
+            if (y > maxy) maxy = y;
+            if (z < minz) minz = z;
+            if (z > maxz) maxz = z;
+        }
+
+        mesh.boundingBox = {
+            min: { x: minx, y: miny, z: minz },
+            max: { x: maxx, y: maxy, z: maxz }
+        };
+
+        var cx = 0.5 * (minx + maxx), cy = 0.5 * (miny + maxy), cz = 0.5 * (minz + maxz);
+        var r2 = 0;
+        for (i = 0; i < vb.length; i += stride) {
+            var dx = vb[i] - cx, dy = vb[i + 1] - cy, dz = vb[i + 2] - cz;
+            var d2 = dx * dx + dy * dy + dz * dz;
+            if (d2 > r2)
+                r2 = d2;
+        }
+
+        mesh.boundingSphere = {
+            center: { x: cx, y: cy, z: cz },
+            radius: Math.sqrt(r2)
+        };
+    }
+
+
+    //Marks the uv attribute as a repeating pattern if the coordinates leave the unit square,
+    //matching what the SVF worker does for its meshes.
+    function deduceUVRepetition(mesh) {
+
+        var uv = mesh.vblayout.uv;
+        if (!uv)
+            return;
+
+        var vb = mesh.vb, stride = mesh.vbstride;
+        for (var i = uv.offset; i < vb.length; i += stride) {
+            var u = vb[i], v = vb[i + 1];
+            if (u > 2 || u < -2 || v > 2 || v < -2) {
+                uv.isPattern = true;
+                return;
+            }
+        }
+    }
+
+
+    function createLayout(hasNormals, hasUVs, hasColors) {
+        var layout = {};
+        var offset = 0;
+
+        layout.position = { offset: offset, itemSize: 3 };
+        offset += 3;
+
+        if (hasNormals) {
+            layout.normal = { offset: offset, itemSize: 2, bytesPerItem: 2, normalize: true };
+            offset += 1;
+        }
+
+        if (hasUVs) {
+            layout.uv = { offset: offset, itemSize: 2 };
+            offset += 2;
+        }
+
+        if (hasColors) {
+            layout.color = { offset: offset, itemSize: 3 };
+            offset += 3;
+        }
+
+        return { vblayout: layout, vbstride: offset };
+    }
+
+
+    function writeVertex(mesh, vb16, dst, src, attrs) {
+
+        var layout = mesh.vblayout;
+        var base = dst * mesh.vbstride;
+        var vb = mesh.vb;
+
+        vb[base] = attrs.positions[src * 3];
+        vb[base + 1] = attrs.positions[src * 3 + 1];
+        vb[base + 2] = attrs.positions[src * 3 + 2];
+
+        if (layout.normal) {
+            var n = attrs.normals;
+            packNormal(n[src * 3], n[src * 3 + 1], n[src * 3 + 2], vb16, (base + layout.normal.offset) * 2);
+        }
+
+        if (layout.uv) {
+            vb[base + layout.uv.offset] = attrs.uvs[src * 2];
+            vb[base + layout.uv.offset + 1] = attrs.uvs[src * 2 + 1];
+        }
+
+        if (layout.color) {
+            vb[base + layout.color.offset] = attrs.colors[src * 3];
+            vb[base + layout.color.offset + 1] = attrs.colors[src * 3 + 1];
+            vb[base + layout.color.offset + 2] = attrs.colors[src * 3 + 2];
+        }
+    }
+
+
+    /**
+     * Builds interleaved mesh descriptors, in the same format the SVF worker
+     * produces, from flat per-vertex attribute arrays. The result can be passed
+     * to BufferGeometryUtils.meshToGeometry. Since the renderer is limited to 16 bit
+     * indices, larger meshes are split into several descriptors.
+     *
+     * @param {Object} attrs
+     * @param {Float32Array} attrs.positions - xyz per vertex
+     * @param {Float32Array} [attrs.normals] - xyz per vertex. Computed when missing, unless isLines is set.
+     * @param {Float32Array} [attrs.uvs] - uv per vertex
+     * @param {Float32Array} [attrs.colors] - rgb per vertex, in the [0,1] range
+     * @param {Uint32Array|Uint16Array|number[]} [attrs.indices] - triangle (or line) list. Sequential if missing.
+     * @param {boolean} [attrs.isLines] - if true, indices are line segments instead of triangles
+     * @returns {Object[]} mesh descriptors
+     */
+    function createMeshes(attrs) {
+
+        var numVerts = attrs.positions.length / 3;
+        var primSize = attrs.isLines ? 2 : 3;
+
+        var indices = attrs.indices;
+        if (!indices) {
+            indices = new Uint32Array(numVerts - numVerts % primSize);
+            for (var i = 0; i < indices.length; i++)
+                indices[i] = i;
+        }
+
+        if (!attrs.isLines && !attrs.normals)
+            attrs.normals = computeNormals(attrs.positions, indices);
+
+        var fmt = createLayout(!attrs.isLines && !!attrs.normals, !!attrs.uvs, !!attrs.colors);
+
+        var meshes = [];
+
+        //Maps source vertex index to its index in the mesh being filled
+        var remap = new Int32Array(numVerts);
+        for (i = 0; i < numVerts; i++)
+            remap[i] = -1;
+
+        var start = 0;
+        while (start + primSize <= indices.length) {
+
+            //Figure out how many primitives fit into the current mesh
+            var used = [];
+            var end = start;
+            while (end + primSize <= indices.length) {
+                var added = 0;
+                for (var k = 0; k < primSize; k++) {
+                    if (remap[indices[end + k]] === -1)
+                        added++;
+                }
+
+                if (used.length + added > MAX_VERTS_PER_MESH)
+                    break;
+
+                for (k = 0; k < primSize; k++) {
+                    var idx = indices[end + k];
+                    if (remap[idx] === -1) {
+                        remap[idx] = used.length;
+                        used.push(idx);
+                    }
+                }
+
+                end += primSize;
+            }
+
+            var mesh = {
+                vblayout: fmt.vblayout,
+                vbstride: fmt.vbstride,
+                vb: new Float32Array(used.length * fmt.vbstride),
+                indices: new Uint16Array(end - start),
+                vertexCount: used.length,
+                isLines: !!attrs.isLines
+            };
+
+            var vb16 = new Uint16Array(mesh.vb.buffer);
+            for (i = 0; i < used.length; i++)
+                writeVertex(mesh, vb16, i, used[i], attrs);
+
+            for (i = start; i < end; i++)
+                mesh.indices[i - start] = remap[indices[i]];
+
+            if (attrs.isLines)
+                mesh.lineCount = mesh.indices.length / 2;
+            else
+                mesh.triangleCount = mesh.indices.length / 3;
+
+            computeBounds3D(mesh);
+            deduceUVRepetition(mesh);
+
+            meshes.push(mesh);
+
+            //Reset the remap table for the next chunk
+            for (i = 0; i < used.length; i++)
+                remap[used[i]] = -1;
+
+            start = end;
+        }
+
+        return meshes;
+    }
+
+
+    /**
+     * Builds point cloud mesh descriptors, drawn as GL points (see FireflyPointShader).
+     * Colors are packed into 4 bytes per point to keep large clouds small.
+     * @param {Float32Array} positions - xyz per point
+     * @param {Uint8Array} [colors] - rgb per point, in the [0,255] range
+     * @returns {Object[]} mesh descriptors, with at most 65535 points each
+     */
+    function createPointMeshes(positions, colors) {
+
+        var numPoints = positions.length / 3;
+
+        var layout = { position: { offset: 0, itemSize: 3 } };
+        var stride = 3;
+        if (colors) {
+            layout.color = { offset: 3, itemSize: 4, bytesPerItem: 1, normalize: true };
+            stride += 1;
+        }
+
+        //All meshes use the same sequential index list
+        var sequence = new Uint16Array(Math.min(numPoints, MAX_VERTS_PER_MESH));
+        for (var i = 0; i < sequence.length; i++)
+            sequence[i] = i;
+
+        var meshes = [];
+
+        for (var start = 0; start < numPoints; start += MAX_VERTS_PER_MESH) {
+
+            var count = Math.min(MAX_VERTS_PER_MESH, numPoints - start);
+
+            var mesh = {
+                vblayout: layout,
+                vbstride: stride,
+                vb: new Float32Array(count * stride),
+                indices: (count === sequence.length) ? sequence : sequence.subarray(0, count),
+                vertexCount: count,
+                isPoints: true,
+                pointCount: count
+            };
+
+            var vb = mesh.vb;
+            var vb8 = new Uint8Array(vb.buffer);
+
+            for (i = 0; i < count; i++) {
+                var src = (start + i) * 3;
+                var dst = i * stride;
+
+                vb[dst] = positions[src];
+                vb[dst + 1] = positions[src + 1];
+                vb[dst + 2] = positions[src + 2];
+
+                if (colors) {
+                    var dst8 = (dst + 3) * 4;
+                    vb8[dst8] = colors[src];
+                    vb8[dst8 + 1] = colors[src + 1];
+                    vb8[dst8 + 2] = colors[src + 2];
+                    vb8[dst8 + 3] = 255;
+                }
+            }
+
+            computeBounds3D(mesh);
+
+            meshes.push(mesh);
+        }
+
+        return meshes;
+    }
+
+
+    //Inverse of packNormal, matching decodeNormal in PackNormalsShaderChunk
+    function unpackNormal(u, v, dst, offset) {
+        var ax = (u / 65535) * 2 - 1;
+        var ay = (v / 65535) * 2 - 1;
+        var sinPhi = Math.sqrt(Math.max(0, 1 - ay * ay));
+        dst[offset] = Math.cos(ax * Math.PI) * sinPhi;
+        dst[offset + 1] = Math.sin(ax * Math.PI) * sinPhi;
+        dst[offset + 2] = ay;
+    }
+
+
+    //Copies a vertex attribute of a geometry into a flat float array, from
+    //either a separate array or the interleaved vertex buffer.
+    function readAttribute(geometry, attr, numVerts) {
+
+        var size = attr.itemSize;
+        var out;
+        var i, j;
+
+        if (attr.array) {
+            out = new Float32Array(numVerts * size);
+            for (i = 0; i < out.length; i++)
+                out[i] = attr.array[i];
+            return out;
+        }
+
+        var vb = geometry.vb;
+        var stride = geometry.vbstride;
+        var offset = attr.itemOffset || 0;
+
+        if (attr.bytesPerItem === 1) {
+            //Normalized bytes, like packed point colors
+            var vb8 = new Uint8Array(vb.buffer, vb.byteOffset, vb.byteLength);
+            out = new Float32Array(numVerts * size);
+            for (i = 0; i < numVerts; i++) {
+                for (j = 0; j < size; j++) {
+                    var b = vb8[(i * stride + offset) * 4 + j];
+                    out[i * size + j] = attr.normalize ? b / 255 : b;
+                }
+            }
+            return out;
+        }
+
+        if (attr.bytesPerItem === 2) {
+            var vb16 = new Uint16Array(vb.buffer, vb.byteOffset, vb.byteLength / 2);
+            out = new Float32Array(numVerts * size);
+            for (i = 0; i < numVerts; i++) {
+                for (j = 0; j < size; j++) {
+                    var s = vb16[(i * stride + offset) * 2 + j];
+                    out[i * size + j] = attr.normalize ? s / 65535 : s;
+                }
+            }
+            return out;
+        }
+
+        out = new Float32Array(numVerts * size);
+        for (i = 0; i < numVerts; i++) {
+            for (j = 0; j < size; j++)
+                out[i * size + j] = vb[i * stride + offset + j];
+        }
+        return out;
+    }
+
+
+    /**
+     * Extracts the vertex data of a loaded geometry into flat arrays, undoing the
+     * interleaving and normal packing of the render format. Used by the exporters.
+     * @param {THREE.BufferGeometry} geometry - an LmvBufferGeometry from a GeometryList or FragmentList
+     * @returns {Object|null} { positions, normals, uvs, colors, colorSize, indices, isLines, isPoints }.
+     * Normals, uvs and colors are null when the geometry does not have them. Colors have colorSize
+     * (3 or 4) components per vertex. Returns null for geometry without vertices.
+     */
+    function readGeometry(geometry) {
+
+        var attributes = geometry.attributes;
+        var position = attributes.position;
+        if (!position)
+            return null;
+
+        var numVerts = geometry.vb ?
+            Math.floor(geometry.vb.length / geometry.vbstride) :
+            position.array.length / position.itemSize;
+        if (!numVerts)
+            return null;
+
+        var res = {
+            positions: readAttribute(geometry, position, numVerts),
+            normals: null,
+            uvs: null,
+            colors: null,
+            colorSize: 0,
+            indices: null,
+            isLines: !!geometry.isLines,
+            isPoints: !!geometry.isPoints
+        };
+
+        var normal = attributes.normal;
+        if (normal) {
+            if (normal.itemSize === 2 && normal.bytesPerItem === 2 && !normal.array) {
+                var packed = readAttribute(geometry, { itemSize: 2, itemOffset: normal.itemOffset, bytesPerItem: 2 }, numVerts);
+                res.normals = new Float32Array(numVerts * 3);
+                for (var i = 0; i < numVerts; i++)
+                    unpackNormal(packed[i * 2], packed[i * 2 + 1], res.normals, i * 3);
+            } else if (normal.itemSize === 3) {
+                res.normals = readAttribute(geometry, normal, numVerts);
+            }
+        }
+
+        if (attributes.uv && attributes.uv.itemSize === 2)
+            res.uvs = readAttribute(geometry, attributes.uv, numVerts);
+
+        var color = attributes.color;
+        if (color && (color.itemSize === 3 || color.itemSize === 4)) {
+            res.colors = readAttribute(geometry, color, numVerts);
+            res.colorSize = color.itemSize;
+        }
+
+        var index = attributes.index;
+        var ib = (index && index.array) || geometry.ib;
+        if (ib) {
+            res.indices = new Uint32Array(ib.length);
+            res.indices.set(ib);
+        } else {
+            res.indices = new Uint32Array(numVerts);
+            for (i = 0; i < numVerts; i++)
+                res.indices[i] = i;
+        }
+
+        return res;
+    }
+
+
+    return {
+        computeNormals: computeNormals,
+        computeBounds3D: computeBounds3D,
+        createMeshes: createMeshes,
+        createPointMeshes: createPointMeshes,
+        readGeometry: readGeometry
+    };
+});
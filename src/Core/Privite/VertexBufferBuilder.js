@@ -0,0 +1,266 @@
+define(function() {
+    'use strict';
+
+    //Geometry types and vertex ids, must match the defines in LineShader.js
+    var VBB_GT_TRIANGLE_INDEXED = 0,
+        VBB_GT_LINE_SEGMENT = 1,
+        VBB_GT_ARC_CIRCULAR = 2;
+
+    var VBB_SEG_START_RIGHT = 0,
+        VBB_SEG_START_LEFT = 1,
+        VBB_SEG_END_RIGHT = 2,
+        VBB_SEG_END_LEFT = 3;
+
+    //Layout of a vertex, in 32 bit words
+    var VBB_STRIDE = 10,
+        VBB_COLOR_OFFSET = 6,
+        VBB_DBID_OFFSET = 7,
+        VBB_FLAGS_OFFSET = 8,
+        VBB_LAYER_VP_OFFSET = 9;
+
+    //Stay below 65535 vertices so that the mesh can use 16 bit indices
+    var MAX_VERTEX_COUNT = 65532;
+
+    var QUAD_TRIANGLE_INDICES = [0, 1, 2, 2, 1, 3];
+
+    var TAU = 2 * Math.PI;
+
+
+    /**
+     * @constructor
+     * Encodes 2D geometry in the vertex format of the LineShader. Line segments and
+     * circular arcs are each drawn as a quad, whose four vertices carry the full shape,
+     * filled areas are drawn as indexed triangles.
+     *
+     * Every vertex also carries the color, the dbId and the layer of its object, so a
+     * single mesh holds many objects. Call isFull() before adding a shape, and toMesh()
+     * followed by reset() once the buffer is full.
+     *
+     * @param {number} [vertexCapacity] - defaults to the most a mesh with 16 bit indices can hold
+     */
+    function VertexBufferBuilder(vertexCapacity) {
+
+        this.FULL_COUNT = Math.min(vertexCapacity || MAX_VERTEX_COUNT, MAX_VERTEX_COUNT);
+        this.stride = VBB_STRIDE;
+
+        this.vb = new ArrayBuffer(this.stride * 4 * this.FULL_COUNT);
+        this.vbf = new Float32Array(this.vb);
+        this.vbi = new Int32Array(this.vb);
+
+        //Quads use 6 indices per 4 vertices, polygon fills at most 3 per vertex
+        this.ib = new Uint16Array(this.FULL_COUNT * 3);
+
+        this.reset();
+    }
+
+    VertexBufferBuilder.prototype.reset = function () {
+        this.vcount = 0;
+        this.icount = 0;
+
+        this.minx = this.miny = Infinity;
+        this.maxx = this.maxy = -Infinity;
+
+        //dbIds of the objects with geometry in the buffer
+        this.dbIds = {};
+    };
+
+    /**
+     * Returns true if the buffer has no room left for the given number of vertices and indices.
+     */
+    VertexBufferBuilder.prototype.isFull = function (addVertexCount, addIndexCount) {
+        addVertexCount = addVertexCount || 4;
+        addIndexCount = addIndexCount || 6;
+        return (this.vcount + addVertexCount > this.FULL_COUNT) || (this.icount + addIndexCount > this.ib.length);
+    };
+
+    VertexBufferBuilder.prototype.isEmpty = function () {
+        return this.vcount === 0;
+    };
+
+    VertexBufferBuilder.prototype.grow = function (minx, miny, maxx, maxy) {
+        if (minx < this.minx) this.minx = minx;
+        if (miny < this.miny) this.miny = miny;
+        if (maxx > this.maxx) this.maxx = maxx;
+        if (maxy > this.maxy) this.maxy = maxy;
+    };
+
+    //Writes the attributes shared by all geometry types, and returns the float offset of the vertex
+    VertexBufferBuilder.prototype.addVertexCommon = function (vertexId, geomType, color, dbId, layerId, vpId, lineType) {
+        var base = this.vcount * this.stride;
+
+        this.vbi[base + VBB_COLOR_OFFSET] = color;
+        this.vbi[base + VBB_DBID_OFFSET] = dbId;
+        this.vbi[base + VBB_FLAGS_OFFSET] = vertexId | (geomType << 8) | ((lineType || 0) << 16);
+        this.vbi[base + VBB_LAYER_VP_OFFSET] = (layerId & 0xffff) | ((vpId || 0) << 16);
+
+        this.vcount++;
+        this.dbIds[dbId] = true;
+
+        return base;
+    };
+
+    VertexBufferBuilder.prototype.addQuadIndices = function (firstVertex) {
+        for (var i = 0; i < 6; i++)
+            this.ib[this.icount++] = firstVertex + QUAD_TRIANGLE_INDICES[i];
+    };
+
+
+    /**
+     * Adds a line segment.
+     * @param {number} totalDistance - distance along the polyline up to the segment start, for line patterns
+     * @param {number} lineWidth - in drawing units, or in pixels if negative
+     * @param {number} color - 0xAABBGGRR
+     * @param {number} lineType - index into LineStyleDefs, 0 for solid lines
+     */
+    VertexBufferBuilder.prototype.addSegment = function (x1, y1, x2, y2, totalDistance, lineWidth, color, dbId, layerId, vpId, lineType) {
+
+        var dx = x2 - x1;
+        var dy = y2 - y1;
+        var angle = (dx || dy) ? Math.atan2(dy, dx) : 0.0;
+        var length = Math.sqrt(dx * dx + dy * dy);
+
+        var first = this.vcount;
+
+        for (var vertexId = VBB_SEG_START_RIGHT; vertexId <= VBB_SEG_END_LEFT; vertexId++) {
+            var base = this.addVertexCommon(vertexId, VBB_GT_LINE_SEGMENT, color, dbId, layerId, vpId, lineType);
+
+            //All four vertices are the start point, the shader moves them into place
+            this.vbf[base] = x1;
+            this.vbf[base + 1] = y1;
+            this.vbf[base + 2] = angle;
+            this.vbf[base + 3] = length;
+            this.vbf[base + 4] = lineWidth * 0.5;
+            this.vbf[base + 5] = totalDistance;
+        }
+
+        this.addQuadIndices(first);
+
+        var pad = Math.max(lineWidth * 0.5, 0);
+        this.grow(Math.min(x1, x2) - pad, Math.min(y1, y2) - pad, Math.max(x1, x2) + pad, Math.max(y1, y2) + pad);
+    };
+
+
+    /**
+     * Adds a circular arc, running counterclockwise from the start to the end angle.
+     * Angles are in radians, an arc from 0 to 2*PI is a full circle.
+     */
+    VertexBufferBuilder.prototype.addArc = function (cx, cy, start, end, radius, lineWidth, color, dbId, layerId, vpId) {
+
+        //The shader expects angles in [0, 2*PI], and handles arcs that cross
+        //angle 0 by a start angle that is bigger than the end angle.
+        if (end - start >= TAU - 1e-6) {
+            start = 0;
+            end = TAU;
+        } else {
+            start = start % TAU;
+            if (start < 0) start += TAU;
+            end = end % TAU;
+            if (end < 0) end += TAU;
+        }
+
+        var first = this.vcount;
+
+        for (var vertexId = VBB_SEG_START_RIGHT; vertexId <= VBB_SEG_END_LEFT; vertexId++) {
+            var base = this.addVertexCommon(vertexId, VBB_GT_ARC_CIRCULAR, color, dbId, layerId, vpId, 0);
+
+            this.vbf[base] = cx;
+            this.vbf[base + 1] = cy;
+            this.vbf[base + 2] = start;
+            this.vbf[base + 3] = end;
+            this.vbf[base + 4] = lineWidth * 0.5;
+            this.vbf[base + 5] = radius;
+        }
+
+        this.addQuadIndices(first);
+
+        var extent = radius + Math.max(lineWidth * 0.5, 0);
+        this.grow(cx - extent, cy - extent, cx + extent, cy + extent);
+    };
+
+
+    /**
+     * Adds a filled polygon that is already triangulated.
+     * @param {number[]} points - x, y pairs
+     * @param {number[]} indices - three indices into points per triangle
+     */
+    VertexBufferBuilder.prototype.addPolyTriangle = function (points, indices, color, dbId, layerId, vpId) {
+
+        var first = this.vcount;
+        var count = points.length / 2;
+
+        for (var i = 0; i < count; i++) {
+            var base = this.addVertexCommon(0, VBB_GT_TRIANGLE_INDEXED, color, dbId, layerId, vpId, 0);
+
+            var x = points[2 * i];
+            var y = points[2 * i + 1];
+
+            this.vbf[base] = x;
+            this.vbf[base + 1] = y;
+            this.vbf[base + 2] = 0;
+            this.vbf[base + 3] = 0;
+            this.vbf[base + 4] = 0; //zero line width marks a fill for the fragment shader
+            this.vbf[base + 5] = 0;
+
+            this.grow(x, y, x, y);
+        }
+
+        for (i = 0; i < indices.length; i++)
+            this.ib[this.icount++] = first + indices[i];
+    };
+
+
+    /**
+     * Returns a mesh descriptor with a copy of the buffer contents, see BufferGeometryUtils.meshToGeometry.
+     */
+    VertexBufferBuilder.prototype.toMesh = function () {
+
+        var mesh = {};
+
+        //Copy, so that the buffer can be reused and the mesh vertex data
+        //has a buffer of its own (it gets modified in place for theming).
+        mesh.vb = new Float32Array(this.vb.slice(0, this.vcount * this.stride * 4));
+        mesh.vbstride = this.stride;
+
+        mesh.vblayout = {
+            "fields1": { offset: 0, itemSize: 3, bytesPerItem: 4, normalize: false },
+            "fields2": { offset: 3, itemSize: 3, bytesPerItem: 4, normalize: false },
+            "color4b": { offset: VBB_COLOR_OFFSET, itemSize: 4, bytesPerItem: 1, normalize: true },
+            "dbId4b": { offset: VBB_DBID_OFFSET, itemSize: 4, bytesPerItem: 1, normalize: false },
+            "flags4b": { offset: VBB_FLAGS_OFFSET, itemSize: 4, bytesPerItem: 1, normalize: false },
+            "layerVp4b": { offset: VBB_LAYER_VP_OFFSET, itemSize: 4, bytesPerItem: 1, normalize: false }
+        };
+
+        mesh.indices = new Uint16Array(this.ib.subarray(0, this.icount));
+        mesh.vertexCount = this.vcount;
+
+        var min = { x: this.minx, y: this.miny, z: 0 };
+        var max = { x: this.maxx, y: this.maxy, z: 0 };
+        if (!this.vcount)
+            min.x = min.y = max.x = max.y = 0;
+
+        mesh.boundingBox = { min: min, max: max };
+
+        var cx = 0.5 * (min.x + max.x), cy = 0.5 * (min.y + max.y);
+        var dx = max.x - cx, dy = max.y - cy;
+        mesh.boundingSphere = {
+            center: { x: cx, y: cy, z: 0 },
+            radius: Math.sqrt(dx * dx + dy * dy)
+        };
+
+        return mesh;
+    };
+
+
+    /**
+     * Converts a color given as 0xRRGGBB and an opacity in [0, 1] to the vertex color format.
+     */
+    VertexBufferBuilder.toVertexColor = function (rgb, opacity) {
+        var a = (opacity === undefined) ? 255 : Math.max(0, Math.min(255, Math.round(opacity * 255)));
+        var r = (rgb >> 16) & 0xff,
+            g = (rgb >> 8) & 0xff,
+            b = rgb & 0xff;
+        return ((a << 24) | (b << 16) | (g << 8) | r) | 0;
+    };
+
+    return VertexBufferBuilder;
+});
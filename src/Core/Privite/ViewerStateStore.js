@@ -0,0 +1,198 @@
+define([
+    '../Logger'
+], function(Logger) {
+    'use strict';
+
+    /**
+     * Saves viewer states on the server, as named documents of a model, and restores them,
+     * see server/documents.js. A document has a type: "view" for a bookmarked view,
+     * "markup" or "annotation" for a state that goes with some drawing or text of the client.
+     *
+     * Failures call onError(httpStatus, statusText, data) like ViewingService does,
+     * with a status of 0 when the server could not be reached.
+     *
+     * @constructor
+     * @param {Autodesk.Viewing.Viewer3D} viewer
+     * @param {Object} [options]
+     * @param {string} [options.modelId] - the id of the model in the model catalog
+     * @param {string} [options.baseUrl="/api/models"] - where the documents API is
+     */
+    var ViewerStateStore = function (viewer, options) {
+        options = options || {};
+
+        this.viewer = viewer;
+        this.modelId = options.modelId || null;
+        this.baseUrl = options.baseUrl || "/api/models";
+    };
+
+    ViewerStateStore.prototype.constructor = ViewerStateStore;
+
+    ViewerStateStore.TYPES = ["view", "markup", "annotation"];
+
+    ViewerStateStore.prototype.documentsUrl = function (id) {
+        if (!this.modelId)
+            throw new Error("ViewerStateStore: no modelId");
+
+        var url = this.baseUrl + "/" + encodeURIComponent(this.modelId) + "/documents";
+        return id ? url + "/" + encodeURIComponent(id) : url;
+    };
+
+    ViewerStateStore.prototype.request = function (method, url, body, onSuccess, onError) {
+        var xhr = new XMLHttpRequest();
+        xhr.open(method, url, true);
+        xhr.responseType = "json";
+        if (body !== undefined)
+            xhr.setRequestHeader("Content-Type", "application/json");
+
+        onError = onError || function (status, statusText, data) {
+            Logger.error("ViewerStateStore: " + method + " " + url + " failed: " + status + " " + ((data && data.error) || statusText));
+        };
+
+        xhr.onload = function () {
+            //IE gives the JSON as a string
+            var response = typeof xhr.response === "string" && xhr.response ? JSON.parse(xhr.response) : xhr.response;
+
+            if (xhr.status >= 200 && xhr.status < 300) {
+                if (onSuccess)
+                    onSuccess(response);
+            } else {
+                onError(xhr.status, xhr.statusText, response);
+            }
+        };
+        xhr.onerror = function () {
+            onError(0, "Network error", { url: url });
+        };
+
+        xhr.send(body !== undefined ? JSON.stringify(body) : null);
+    };
+
+    /**
+     * Lists the documents of the model, without their data.
+     * @param {string} [type] - only the documents of a type, e.g. "view"
+     * @param {function(Object[])} onSuccess - called with {id, model, type, name, created, modified} per document, oldest first
+     * @param {function} [onError]
+     */
+    ViewerStateStore.prototype.list = function (type, onSuccess, onError) {
+        var url = this.documentsUrl();
+        if (type)
+            url += "?type=" + encodeURIComponent(type);
+
+        this.request("GET", url, undefined, function (response) {
+            onSuccess(response.documents);
+        }, onError);
+    };
+
+    /**
+     * @param {string} id
+     * @param {function(Object)} onSuccess - called with the document, with its data
+     * @param {function} [onError]
+     */
+    ViewerStateStore.prototype.get = function (id, onSuccess, onError) {
+        this.request("GET", this.documentsUrl(id), undefined, onSuccess, onError);
+    };
+
+    /**
+     * Saves the current state of the viewer as a new document. Its data is
+     * { state: viewer.getState(filter) } plus the properties of options.data,
+     * e.g. the SVG of a markup.
+     *
+     * @param {string} name
+     * @param {Object} [options]
+     * @param {string} [options.type="view"] - see ViewerStateStore.TYPES
+     * @param {Object} [options.filter] - which parts of the state to save, see Viewer3D.getState
+     * @param {Object} [options.data] - more to save with the state
+     * @param {function(Object)} [onSuccess] - called with the new document
+     * @param {function} [onError]
+     */
+    ViewerStateStore.prototype.save = function (name, options, onSuccess, onError) {
+        options = options || {};
+
+        this.request("POST", this.documentsUrl(), {
+            type: options.type || "view",
+            name: name,
+            data: this.getData(options)
+        }, onSuccess, onError);
+    };
+
+    /**
+     * Overwrites the state of a document with the current state of the viewer.
+     * @param {string} id
+     * @param {Object} [options] - filter and data as for save, and name to rename the document
+     * @param {function(Object)} [onSuccess] - called with the updated document
+     * @param {function} [onError]
+     */
+    ViewerStateStore.prototype.update = function (id, options, onSuccess, onError) {
+        options = options || {};
+
+        var changes = { data: this.getData(options) };
+        if (options.name !== undefined)
+            changes.name = options.name;
+
+        this.request("PUT", this.documentsUrl(id), changes, onSuccess, onError);
+    };
+
+    /**
+     * Renames a document, the state stays.
+     * @param {string} id
+     * @param {string} name
+     * @param {function(Object)} [onSuccess]
+     * @param {function} [onError]
+     */
+    ViewerStateStore.prototype.rename = function (id, name, onSuccess, onError) {
+        this.request("PUT", this.documentsUrl(id), { name: name }, onSuccess, onError);
+    };
+
+    /**
+     * @param {string} id
+     * @param {function} [onSuccess]
+     * @param {function} [onError]
+     */
+    ViewerStateStore.prototype.remove = function (id, onSuccess, onError) {
+        this.request("DELETE", this.documentsUrl(id), undefined, onSuccess, onError);
+    };
+
+    /**
+     * Brings the viewer back to the state of a document.
+     * @param {string|Object} idOrDocument - the id, or the document if it was got already
+     * @param {Object} [options]
+     * @param {Object} [options.filter] - which parts of the state to restore, see Viewer3D.restoreState
+     * @param {boolean} [options.immediate] - without a camera transition
+     * @param {function(Object)} [onSuccess] - called with the document
+     * @param {function} [onError]
+     */
+    ViewerStateStore.prototype.restore = function (idOrDocument, options, onSuccess, onError) {
+        var viewer = this.viewer;
+        options = options || {};
+
+        function apply(doc) {
+            var state = doc.data && doc.data.state;
+            if (!state || !viewer.restoreState(state, options.filter, options.immediate)) {
+                var fail = onError || function () {
+                    Logger.warn("ViewerStateStore: the state of " + doc.name + " could not be restored");
+                };
+                fail(0, "The state could not be restored", { id: doc.id });
+                return;
+            }
+            if (onSuccess)
+                onSuccess(doc);
+        }
+
+        if (typeof idOrDocument === "object" && idOrDocument.data)
+            apply(idOrDocument);
+        else
+            this.get(typeof idOrDocument === "object" ? idOrDocument.id : idOrDocument, apply, onError);
+    };
+
+    ViewerStateStore.prototype.getData = function (options) {
+        var data = {};
+        var extra = options.data || {};
+        for (var key in extra) {
+            if (extra.hasOwnProperty(key))
+                data[key] = extra[key];
+        }
+        data.state = this.viewer.getState(options.filter);
+        return data;
+    };
+
+    return ViewerStateStore;
+});
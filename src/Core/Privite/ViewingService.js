@@ -1,8 +1,10 @@
 define([
     './Global',
     '../Global',
-    '../Logger'
-], function(Private_Global, Global, Logger) {
+    '../Logger',
+    './LocalArchives',
+    './AssetCache'
+], function(Private_Global, Global, Logger, LocalArchives, AssetCache) {
     'use strict';
     var inWorkerThread = (typeof self !== 'undefined') && (typeof window === 'undefined');
 
@@ -160,6 +162,201 @@ define([
         });
     }
 
+    //Set with addInterceptor and setTransport
+    var interceptors = [];
+    var transport = null;
+
+    /**
+     * Adds a request interceptor. Interceptors see all requests of the viewer, including those of
+     * its web workers, in the order they were added. Both hooks are optional:
+     *
+     *  request(request, next) -- called before the request is sent. It can change request.url and
+     *      request.headers, then calls next(). Calling next(response) answers the request without sending it,
+     *      with { data } for a success, or { status, statusText } for a failure.
+     *  failure(request, error, retry, next) -- called when the request failed, with error { status, statusText, data }.
+     *      Calling retry(delay) sends the request again after delay milliseconds, starting over with the
+     *      request hooks. Calling next() passes the failure on to the next interceptor, and finally to
+     *      the caller, which maps it with ErrorHandler.getErrorCode.
+     *
+     * The request has url, method, headers, responseType, withCredentials, api and attempt,
+     * which counts the retries. Synchronous requests are sent without interceptors.
+     *
+     * @param {Object} interceptor - { request, failure }
+     */
+    ViewingService.addInterceptor = function (interceptor) {
+        if (interceptors.indexOf(interceptor) === -1)
+            interceptors.push(interceptor);
+    };
+
+    ViewingService.removeInterceptor = function (interceptor) {
+        var index = interceptors.indexOf(interceptor);
+        if (index !== -1)
+            interceptors.splice(index, 1);
+    };
+
+    /**
+     * Replaces XMLHttpRequest for the requests of the viewer and its web workers, e.g. to go through a gateway.
+     * @param {function(Object, function, function)} newTransport - called with a request as for interceptors,
+     * and success and failure callbacks as for rawGet. The success callback takes the response as rawGet
+     * delivers it: a Uint8Array for the responseType "arraybuffer", the parsed object for "json", else a string.
+     * Pass null to restore the default.
+     */
+    ViewingService.setTransport = function (newTransport) {
+        transport = newTransport || null;
+    };
+
+    /**
+     * Returns true if requests have to go through interceptors or a custom transport.
+     */
+    ViewingService.hasRequestHandlers = function () {
+        return !!(interceptors.length || transport);
+    };
+
+    /**
+     * Creates an interceptor that retries requests that failed with a server error (5xx),
+     * waiting longer after each attempt.
+     * @param {Object} [options]
+     * @param {number} [options.retries=3] - attempts after the first one
+     * @param {number} [options.delay=500] - milliseconds before the first retry, doubled for each further one
+     * @param {number} [options.maxDelay=10000]
+     * @returns {Object} the interceptor, for addInterceptor
+     */
+    ViewingService.createRetryInterceptor = function (options) {
+        options = options || {};
+        var retries = options.hasOwnProperty("retries") ? options.retries : 3;
+        var delay = options.delay || 500;
+        var maxDelay = options.maxDelay || 10000;
+
+        return {
+            failure: function (request, error, retry, next) {
+                if (error.status >= 500 && error.status < 600 && request.attempt < retries)
+                    retry(Math.min(maxDelay, delay * Math.pow(2, request.attempt)));
+                else
+                    next();
+            }
+        };
+    };
+
+    //Runs a request through the interceptors and the transport
+    function sendRequest(url, api, options, onSuccess, onFailure) {
+
+        var attempt = 0;
+
+        function send() {
+            var headers = {};
+            for (var name in options.headers)
+                headers[name] = options.headers[name];
+
+            var request = {
+                url: url,
+                method: options.noBody ? "HEAD" : "GET",
+                headers: headers,
+                responseType: options.responseType || "",
+                withCredentials: options.hasOwnProperty("withCredentials") ? options.withCredentials : true,
+                api: api,
+                attempt: attempt
+            };
+
+            var failed = function (status, statusText, data) {
+                var error = { status: status, statusText: statusText, data: data || { url: request.url } };
+                var index = 0;
+
+                (function nextFailureHook() {
+                    while (index < interceptors.length && !interceptors[index].failure)
+                        index++;
+
+                    if (index === interceptors.length) {
+                        onFailure(error.status, error.statusText, error.data);
+                        return;
+                    }
+
+                    var handled = false;
+                    interceptors[index++].failure(request, error, function (delay) {
+                        if (handled)
+                            return;
+                        handled = true;
+                        attempt++;
+                        setTimeout(send, delay || 0);
+                    }, function () {
+                        if (handled)
+                            return;
+                        handled = true;
+                        nextFailureHook();
+                    });
+                })();
+            };
+
+            var index = 0;
+
+            (function nextRequestHook(response) {
+                if (response) {
+                    if (response.hasOwnProperty("data"))
+                        onSuccess(response.data);
+                    else
+                        failed(response.status || 0, response.statusText || "", { url: request.url });
+                    return;
+                }
+
+                while (index < interceptors.length && !interceptors[index].request)
+                    index++;
+
+                if (index < interceptors.length) {
+                    var called = false;
+                    interceptors[index++].request(request, function (response) {
+                        if (!called) {
+                            called = true;
+                            nextRequestHook(response);
+                        }
+                    });
+                    return;
+                }
+
+                if (transport) {
+                    transport(request, onSuccess, failed);
+                    return;
+                }
+
+                var xhrOptions = {};
+                for (var name in options)
+                    xhrOptions[name] = options[name];
+                xhrOptions.headers = request.headers;
+                xhrOptions.withCredentials = request.withCredentials;
+                xhrOptions.responseType = request.responseType;
+                xhrGet(request.url, onSuccess, failed, xhrOptions);
+            })();
+        }
+
+        send();
+    }
+
+    /**
+     * Performs a request of a web worker, see WorkerRequests.
+     * @param {Worker} worker
+     * @param {Object} message - { id, url, method, headers, responseType, withCredentials }
+     */
+    ViewingService.sendWorkerRequest = function (worker, message) {
+        var options = {
+            headers: message.headers,
+            responseType: message.responseType === "json" ? "json" : (message.responseType === "arraybuffer" || message.binaryText ? "arraybuffer" : message.responseType),
+            withCredentials: message.withCredentials,
+            noBody: message.method === "HEAD",
+            skipAssetCallback: true
+        };
+
+        sendRequest(message.url, 'worker', options, function (data) {
+            var transfer = [];
+            if (data instanceof Uint8Array) {
+                if (data.byteOffset || data.byteLength !== data.buffer.byteLength)
+                    data = data.slice();
+                data = data.buffer;
+                transfer.push(data);
+            }
+            worker.postMessage({ workerResponse: { id: message.id, status: 200, statusText: "OK", data: data } }, transfer);
+        }, function (status, statusText) {
+            worker.postMessage({ workerResponse: { id: message.id, status: status || 0, statusText: statusText || "" } });
+        });
+    };
+
     /**
      *  Performs a GET/HEAD request to Viewing Service.
      *
@@ -178,6 +375,7 @@ define([
      *                               responseType - A string representing the response type for this request.
      *                               {boolean} [encodeUrn] - when true, encodes the document urn if found.
      *                               {boolean} [noBody] - when true, will perform a HEAD request
+     *                               {boolean} [skipAssetCache] - when true, does not use the offline cache
      */
     ViewingService.rawGet = function (viewingServiceBaseUrl, api, url, onSuccess, onFailure, options) {
 
@@ -201,6 +399,47 @@ define([
             url = url + "?" + options.queryParams;
         }
 
+        //Files of models opened from the local disk
+        var archiveUrl = LocalArchives.resolve(url);
+        if (!archiveUrl) {
+            onFailure(404, "Not Found", { url: url });
+            return;
+        }
+        url = archiveUrl;
+
+        //Offline cache. Only whole responses are cached, so not the streamed ones.
+        if (AssetCache.isEnabled() && !options.skipAssetCache && !options.noBody && !options.ondata &&
+            options.asynchronous !== false && api !== 'thumbnails') {
+
+            var networkOptions = { skipAssetCache: true };
+            for (var name in options) {
+                if (name !== 'queryParams')
+                    networkOptions[name] = options[name];
+            }
+
+            var cached = AssetCache.get(url, options.responseType, function (onLoad, onError) {
+                ViewingService.rawGet(null, null, url, onLoad, onError, networkOptions);
+            }, onSuccess, onFailure);
+
+            if (cached)
+                return;
+        }
+
+        var async = options.hasOwnProperty('asynchronous') ? options.asynchronous : true;
+
+        //Sync requests cannot wait for interceptors
+        if (async && (interceptors.length || transport)) {
+            sendRequest(url, api, options, onSuccess, onFailure);
+            return;
+        }
+
+        xhrGet(url, onSuccess, onFailure, options);
+    };
+
+
+    //The default transport
+    function xhrGet(url, onSuccess, onFailure, options) {
+
         var request = new XhrConstructor();
 
         function onError(e) {
@@ -320,7 +559,7 @@ define([
         catch (e) {
             onFailure(request.status, request.statusText, { url: url, exception: e });
         }
-    };
+    }
 
 
     // Create the default failure callback.
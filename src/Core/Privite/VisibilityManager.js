@@ -139,11 +139,11 @@ define(['../EventType'], function(EventType) {;
             }
 
             if (node.length > 0) {
-                event = { type: EventType.HIDE_EVENT, nodeIdArray: node };
+                event = { type: EventType.HIDE_EVENT, nodeIdArray: node, model: this.model };
             }
         } else {
             this.setVisibilityOnNode(node, false);
-            event = { type: EventType.HIDE_EVENT, nodeIdArray: [node] };
+            event = { type: EventType.HIDE_EVENT, nodeIdArray: [node], model: this.model };
         }
 
         if (event)
@@ -160,11 +160,11 @@ define(['../EventType'], function(EventType) {;
             }
 
             if (node.length > 0) {
-                event = { type: EventType.SHOW_EVENT, nodeIdArray: node };
+                event = { type: EventType.SHOW_EVENT, nodeIdArray: node, model: this.model };
             }
         } else {
             this.setVisibilityOnNode(node, true);
-            event = { type: EventType.SHOW_EVENT, nodeIdArray: [node] };
+            event = { type: EventType.SHOW_EVENT, nodeIdArray: [node], model: this.model };
         }
 
         if (event)
@@ -175,7 +175,7 @@ define(['../EventType'], function(EventType) {;
         var hidden = this.getInstanceTree().isNodeHidden(node);
         this.setVisibilityOnNode(node, hidden); //Note -- toggle visibility, so we want !!hidden => hidden
 
-        var event = { type: hidden ? EventType.SHOW_EVENT : EventType.HIDE_EVENT, nodeIdArray: [node] };
+        var event = { type: hidden ? EventType.SHOW_EVENT : EventType.HIDE_EVENT, nodeIdArray: [node], model: this.model };
         this.viewerImpl.api.fireEvent(event);
     };
 
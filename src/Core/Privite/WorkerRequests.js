@@ -0,0 +1,127 @@
+define(function() {
+    'use strict';
+
+    //The web workers make their own requests, with a ViewingService of their own that does not
+    //know the interceptors and the transport registered on the main thread. When there are any,
+    //the worker requests are sent to the main thread instead (see ViewingService.sendWorkerRequest),
+    //and the answers are delivered to the worker as if its XMLHttpRequests had completed.
+
+
+    /**
+     * Hands the XMLHttpRequests of a worker to the main thread.
+     * Must not reference anything outside the function body, since it is
+     * serialized into the worker bootstrap, before the worker script.
+     * @param {Object} scope - the worker global object
+     */
+    function installRequestForwarding(scope) {
+        var proto = scope.XMLHttpRequest.prototype;
+        var open = proto.open, send = proto.send;
+        var setRequestHeader = proto.setRequestHeader, overrideMimeType = proto.overrideMimeType;
+
+        var pending = {};
+        var nextId = 1;
+
+        function absoluteUrl(url) {
+            try {
+                return new scope.URL(url).href;
+            } catch (e) {
+                return url;
+            }
+        }
+
+        function bytesToBinaryString(bytes) {
+            var s = "";
+            for (var i = 0; i < bytes.length; i += 0x8000)
+                s += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+            return s;
+        }
+
+        function complete(xhr, answer) {
+            var data = answer.data;
+            if (xhr._forward.binaryText && data instanceof ArrayBuffer)
+                data = bytesToBinaryString(new Uint8Array(data));
+
+            var define = function (name, value) {
+                Object.defineProperty(xhr, name, { value: value, configurable: true });
+            };
+            define("readyState", 4);
+            define("status", answer.status);
+            define("statusText", answer.statusText);
+            define("response", data === undefined ? null : data);
+            if (typeof data === "string")
+                define("responseText", data);
+
+            xhr.dispatchEvent(new scope.Event("readystatechange"));
+            xhr.dispatchEvent(new scope.Event(answer.status ? "load" : "error"));
+            xhr.dispatchEvent(new scope.Event("loadend"));
+        }
+
+        //Registered before the worker script registers its own listener, so the answers
+        //can be kept away from it
+        scope.addEventListener("message", function (e) {
+            var answer = e.data && e.data.workerResponse;
+            if (!answer)
+                return;
+            e.stopImmediatePropagation();
+
+            var xhr = pending[answer.id];
+            delete pending[answer.id];
+            if (xhr)
+                complete(xhr, answer);
+        }, false);
+
+        proto.open = function (method, url, async) {
+            this._forward = (async !== false && (method === "GET" || method === "HEAD")) ?
+                            { method: method, url: url, headers: {}, binaryText: false } : null;
+            return open.apply(this, arguments);
+        };
+
+        proto.setRequestHeader = function (name, value) {
+            if (this._forward)
+                this._forward.headers[name] = value;
+            else
+                return setRequestHeader.apply(this, arguments);
+        };
+
+        proto.overrideMimeType = function (mime) {
+            if (this._forward)
+                this._forward.binaryText = /x-user-defined/.test(mime);
+            return overrideMimeType.apply(this, arguments);
+        };
+
+        proto.send = function () {
+            var forward = this._forward;
+            if (!forward) {
+                send.apply(this, arguments);
+                return;
+            }
+
+            var id = nextId++;
+            pending[id] = this;
+            scope.postMessage({
+                workerRequest: {
+                    id: id,
+                    url: absoluteUrl(forward.url),
+                    method: forward.method,
+                    headers: forward.headers,
+                    responseType: this.responseType,
+                    withCredentials: this.withCredentials,
+                    binaryText: forward.binaryText
+                }
+            });
+        };
+    }
+
+
+    var WorkerRequests = {};
+
+    /**
+     * Returns the source that forwards the requests of a worker to the main thread,
+     * to run before the worker script.
+     */
+    WorkerRequests.getWorkerSetup = function () {
+        return "(" + installRequestForwarding.toString() + ")(self);\n";
+    };
+
+    return WorkerRequests;
+});
@@ -0,0 +1,175 @@
+define([
+    './Fn/utf8ArrayToString'
+], function(utf8ArrayToString) {
+    'use strict';
+
+    var LOCAL_HEADER_SIGNATURE = 0x04034b50;
+    var CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+    var END_SIGNATURE = 0x06054b50;
+    var ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+    var ZIP64_END_SIGNATURE = 0x06064b50;
+
+    var METHOD_STORED = 0;
+    var METHOD_DEFLATED = 8;
+
+    //The end of central directory record is 22 bytes, followed by a comment of up to 64K
+    var MAX_END_RECORD_SEARCH = 22 + 0xffff;
+
+
+    function readUint64(view, offset) {
+        return view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 0x100000000;
+    }
+
+    function findEndRecord(view) {
+        var min = Math.max(0, view.byteLength - MAX_END_RECORD_SEARCH);
+        for (var i = view.byteLength - 22; i >= min; i--) {
+            if (view.getUint32(i, true) === END_SIGNATURE)
+                return i;
+        }
+        return -1;
+    }
+
+    //Sizes and offsets that do not fit in 32 bits are in the zip64 extra field
+    function readZip64Extra(view, offset, length, entry) {
+        var end = offset + length;
+        while (offset + 4 <= end) {
+            var id = view.getUint16(offset, true);
+            var size = view.getUint16(offset + 2, true);
+            var p = offset + 4;
+            if (id === 0x0001) {
+                if (entry.size === 0xffffffff) { entry.size = readUint64(view, p); p += 8; }
+                if (entry.compressedSize === 0xffffffff) { entry.compressedSize = readUint64(view, p); p += 8; }
+                if (entry.headerOffset === 0xffffffff) { entry.headerOffset = readUint64(view, p); }
+                return;
+            }
+            offset += 4 + size;
+        }
+    }
+
+
+    /**
+     * Reads the ZIP archives that models are sometimes delivered in.
+     * Only stored and deflated entries are supported. Deflated entries are
+     * decompressed with the browser's DecompressionStream.
+     */
+    var ZipReader = {};
+
+    /**
+     * Returns true if the data starts like a ZIP archive.
+     * @param {ArrayBuffer} buffer
+     */
+    ZipReader.isZip = function (buffer) {
+        return buffer.byteLength >= 4 && new DataView(buffer).getUint32(0, true) === LOCAL_HEADER_SIGNATURE;
+    };
+
+    /**
+     * Lists the files of an archive.
+     * @param {ArrayBuffer} buffer - the whole archive
+     * @returns {Object[]} entries, { name, method, size, compressedSize, dataOffset }. Folders are not listed.
+     * @throws {Error} if the archive is damaged or uses unsupported features
+     */
+    ZipReader.readEntries = function (buffer) {
+
+        var view = new DataView(buffer);
+        var bytes = new Uint8Array(buffer);
+
+        var endOffset = findEndRecord(view);
+        if (endOffset === -1)
+            throw new Error("Not a ZIP archive");
+
+        var count = view.getUint16(endOffset + 10, true);
+        var directoryOffset = view.getUint32(endOffset + 16, true);
+
+        //ZIP64 archives keep the real values in a separate record
+        var locator = endOffset - 20;
+        if (locator >= 0 && view.getUint32(locator, true) === ZIP64_LOCATOR_SIGNATURE) {
+            var zip64End = readUint64(view, locator + 8);
+            if (view.getUint32(zip64End, true) === ZIP64_END_SIGNATURE) {
+                count = readUint64(view, zip64End + 32);
+                directoryOffset = readUint64(view, zip64End + 48);
+            }
+        }
+
+        var entries = [];
+        var offset = directoryOffset;
+
+        for (var i = 0; i < count; i++) {
+
+            if (offset + 46 > buffer.byteLength || view.getUint32(offset, true) !== CENTRAL_HEADER_SIGNATURE)
+                throw new Error("Damaged ZIP archive");
+
+            var flags = view.getUint16(offset + 8, true);
+            var nameLength = view.getUint16(offset + 28, true);
+            var extraLength = view.getUint16(offset + 30, true);
+            var commentLength = view.getUint16(offset + 32, true);
+
+            var entry = {
+                //Names are UTF-8 if bit 11 is set, and in practice mostly ASCII otherwise
+                name: utf8ArrayToString(bytes, offset + 46, nameLength).replace(/\\/g, "/"),
+                method: view.getUint16(offset + 10, true),
+                encrypted: !!(flags & 1),
+                compressedSize: view.getUint32(offset + 20, true),
+                size: view.getUint32(offset + 24, true),
+                headerOffset: view.getUint32(offset + 42, true),
+                dataOffset: 0
+            };
+
+            readZip64Extra(view, offset + 46 + nameLength, extraLength, entry);
+
+            offset += 46 + nameLength + extraLength + commentLength;
+
+            if (entry.name.charAt(entry.name.length - 1) === "/")
+                continue;
+
+            //The local header can have a different extra field than the central directory
+            var local = entry.headerOffset;
+            if (view.getUint32(local, true) !== LOCAL_HEADER_SIGNATURE)
+                throw new Error("Damaged ZIP archive");
+            entry.dataOffset = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+
+            entries.push(entry);
+        }
+
+        return entries;
+    };
+
+    /**
+     * Extracts a file of the archive.
+     * @param {ArrayBuffer} buffer - the whole archive
+     * @param {Object} entry - from readEntries
+     * @param {function(string, Blob)} callback - called with an error message, or with null and the contents
+     */
+    ZipReader.extract = function (buffer, entry, callback) {
+
+        if (entry.encrypted) {
+            callback("Encrypted file in ZIP archive: " + entry.name);
+            return;
+        }
+
+        var data = new Uint8Array(buffer, entry.dataOffset, entry.compressedSize);
+
+        if (entry.method === METHOD_STORED) {
+            callback(null, new Blob([data]));
+            return;
+        }
+
+        if (entry.method !== METHOD_DEFLATED) {
+            callback("Unsupported compression method " + entry.method + " in ZIP archive: " + entry.name);
+            return;
+        }
+
+        if (typeof DecompressionStream === "undefined") {
+            callback("This browser cannot decompress ZIP archives.");
+            return;
+        }
+
+        var stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+        new Response(stream).blob().then(function (blob) {
+            callback(null, blob);
+        }, function (err) {
+            callback("Failed to decompress " + entry.name + ": " + err);
+        });
+    };
+
+    return ZipReader;
+});
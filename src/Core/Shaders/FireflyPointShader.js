@@ -0,0 +1,134 @@
+define([
+    './Uniforms/CutPlanesUniforms',
+    './Uniforms/IdUniforms',
+    './Uniforms/ThemingUniform',
+    './Chunks/CutPlanesShaderChunk',
+    './Declarations/IdFragmentDeclaration',
+    './Declarations/ThemingFragmentDeclaration',
+    './Chunks/ThemingFragmentShaderChunk',
+    './Chunks/FinalOutputShaderChunk'
+], function(
+    CutPlanesUniforms,
+    IdUniforms,
+    ThemingUniform,
+    CutPlanesShaderChunk,
+    IdFragmentDeclaration,
+    ThemingFragmentDeclaration,
+    ThemingFragmentShaderChunk,
+    FinalOutputShaderChunk
+) {
+    'use strict';
+    //Replacement for the THREE particle shader, used for point clouds.
+    //Adds cut plane and theming support, and draws round points.
+    //Without size attenuation, size is the point diameter in pixels.
+    //With size attenuation, size is the point diameter in world units.
+
+    var FireflyPointShader = {
+
+        uniforms: THREE.UniformsUtils.merge([
+
+            {
+                "diffuse": { type: "c", value: new THREE.Color(0xeeeeee) },
+                "opacity": { type: "f", value: 1.0 },
+                "size": { type: "f", value: 1.0 },
+                "scale": { type: "f", value: 1.0 }
+            },
+            THREE.UniformsLib["fog"],
+            CutPlanesUniforms,
+            IdUniforms,
+            ThemingUniform
+        ]),
+
+        vertexShader: [
+
+            "uniform float size;",
+            "uniform float scale;",
+
+            THREE.ShaderChunk["common"],
+            THREE.ShaderChunk["color_pars_vertex"],
+            THREE.ShaderChunk["logdepthbuf_pars_vertex"],
+
+            "#if NUM_CUTPLANES > 0",
+                "varying vec3 vWorldPosition;",
+            "#endif",
+
+            "void main() {",
+
+                THREE.ShaderChunk["color_vertex"],
+
+            "	vec4 mvPosition = modelViewMatrix * vec4( position, 1.0 );",
+            "	gl_Position = projectionMatrix * mvPosition;",
+
+            "	#ifdef USE_SIZEATTENUATION",
+                    //projectionMatrix[1][1] converts world units to normalized device units at unit distance,
+                    //and gl_Position.w is the distance for perspective cameras and 1.0 for orthographic ones.
+            "		gl_PointSize = max(size * scale * projectionMatrix[1][1] / gl_Position.w, 1.0);",
+            "	#else",
+            "		gl_PointSize = size;",
+            "	#endif",
+
+                THREE.ShaderChunk["logdepthbuf_vertex"],
+
+                "#if NUM_CUTPLANES > 0",
+                    "vec4 worldPosition = modelMatrix * vec4( position, 1.0 );",
+                    "vWorldPosition = worldPosition.xyz;",
+                "#endif",
+
+            "}"
+
+        ].join("\n"),
+
+        fragmentShader: [
+
+            "uniform vec3 diffuse;",
+            "uniform float opacity;",
+
+            THREE.ShaderChunk["common"],
+            THREE.ShaderChunk["color_pars_fragment"],
+            THREE.ShaderChunk["fog_pars_fragment"],
+            THREE.ShaderChunk["logdepthbuf_pars_fragment"],
+
+            "#if NUM_CUTPLANES > 0",
+                "varying highp vec3 vWorldPosition;",
+            "#endif",
+
+            CutPlanesShaderChunk,
+            IdFragmentDeclaration,
+            ThemingFragmentDeclaration,
+
+            "void main() {",
+
+                "#if NUM_CUTPLANES > 0",
+                    "checkCutPlanes(vWorldPosition);",
+                "#endif",
+
+                //Round points
+            "	vec2 fromCenter = gl_PointCoord - vec2(0.5);",
+            "	if (dot(fromCenter, fromCenter) > 0.25) discard;",
+
+            "	vec3 outgoingLight = vec3( 0.0 );",
+            "	vec4 diffuseColor = vec4( diffuse, opacity );",
+
+                THREE.ShaderChunk["logdepthbuf_fragment"],
+                THREE.ShaderChunk["color_fragment"],
+                THREE.ShaderChunk["alphatest_fragment"],
+
+            "	outgoingLight = diffuseColor.rgb;",
+
+                THREE.ShaderChunk["fog_fragment"],
+
+            "	gl_FragColor = vec4( outgoingLight, diffuseColor.a );",
+
+                ThemingFragmentShaderChunk,
+
+                FinalOutputShaderChunk,
+            "}"
+
+        ].join("\n")
+
+    };
+
+    THREE.ShaderLib['firefly_points'] = FireflyPointShader;
+    return FireflyPointShader;
+
+});
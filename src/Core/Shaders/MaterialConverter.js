@@ -759,6 +759,10 @@ define([
 
     function convertMaterialGltf(matObj, svf) {
 
+        //glTF 2.0 materials have no technique values, they use the PBR model instead
+        if (!matObj.values)
+            return convertMaterialPbr(matObj, svf);
+
         var tm = new THREE.MeshPhongMaterial();
         tm.packedNormals = true;
         tm.textureMaps = {};
@@ -801,10 +805,226 @@ define([
 
     }
 
+    function setGltf2TextureMap(tm, mapName, textureInfo, svf) {
+
+        if (!textureInfo)
+            return;
+
+        var texture = svf.gltf.textures && svf.gltf.textures[textureInfo.index];
+        if (!texture || texture.source === undefined)
+            return;
+
+        //The image index is mapped to its URI through the manifest assets
+        //in MaterialManager.loadTexture (see GltfLoader)
+        tm.textureMaps[mapName] = {
+            mapName: mapName,
+            uri: "image" + texture.source,
+            flipY: false //glTF textures are OpenGL style, unlike Protein/Prism which is DX
+        };
+    }
+
+    //Approximates a glTF 2.0 metallic-roughness material by a Phong material.
+    function convertMaterialPbr(matObj, svf) {
+
+        var tm = new THREE.MeshPhongMaterial();
+        tm.packedNormals = true;
+        tm.textureMaps = {};
+
+        var pbr = matObj.pbrMetallicRoughness || {};
+        var base = pbr.baseColorFactor || [1, 1, 1, 1];
+        var metallic = (pbr.metallicFactor !== undefined) ? pbr.metallicFactor : 1;
+        var roughness = (pbr.roughnessFactor !== undefined) ? pbr.roughnessFactor : 1;
+
+        //glTF colors are linear, our colors are gamma encoded
+        var color = new THREE.Color(Math.pow(base[0], 1 / 2.2), Math.pow(base[1], 1 / 2.2), Math.pow(base[2], 1 / 2.2));
+
+        if (metallic >= 0.5) {
+            //Metals: the base color tints the reflection, there is very little diffuse.
+            //Reflectivity is derived from the specular color in MaterialManager.addMaterial.
+            tm.metal = true;
+            tm.specular = color.clone();
+            tm.color = color.clone().multiplyScalar(0.1);
+        } else {
+            tm.color = color;
+            tm.specular = new THREE.Color(1, 1, 1);
+            tm.reflectivity = 0.01 + 0.05 * (1 - roughness);
+        }
+
+        //Blinn-Phong exponent equivalent to the GGX roughness
+        var alpha = Math.max(roughness * roughness, 0.01);
+        tm.shininess = Math.min(2 / (alpha * alpha) - 2, 1000);
+
+        if (matObj.emissiveFactor)
+            tm.emissive = new THREE.Color(matObj.emissiveFactor[0], matObj.emissiveFactor[1], matObj.emissiveFactor[2]);
+
+        if (matObj.alphaMode === "BLEND") {
+            tm.transparent = true;
+            tm.opacity = base[3];
+        } else if (matObj.alphaMode === "MASK") {
+            tm.alphaTest = (matObj.alphaCutoff !== undefined) ? matObj.alphaCutoff : 0.5;
+        }
+
+        if (matObj.doubleSided)
+            tm.side = THREE.DoubleSide;
+
+        setGltf2TextureMap(tm, "map", pbr.baseColorTexture, svf);
+        setGltf2TextureMap(tm, "normalMap", matObj.normalTexture, svf);
+
+        return tm;
+    }
+
+    //Approximates a render material by a glTF 2.0 metallic-roughness material,
+    //roughly the inverse of convertMaterialPbr. Textures are left to the caller.
+    function convertMaterialToPbr(material) {
+
+        var base = [0.8, 0.8, 0.8, 1];
+        var metallic = 0;
+        var roughness = 1;
+
+        function linear(c, scale) {
+            scale = scale || 1;
+            base[0] = Math.min(c.r * scale, 1);
+            base[1] = Math.min(c.g * scale, 1);
+            base[2] = Math.min(c.b * scale, 1);
+        }
+
+        function gamma(c, scale) {
+            scale = scale || 1;
+            base[0] = Math.min(Math.pow(c.r * scale, 2.2), 1);
+            base[1] = Math.min(Math.pow(c.g * scale, 2.2), 1);
+            base[2] = Math.min(Math.pow(c.b * scale, 2.2), 1);
+        }
+
+        if (material.prismType) {
+            //Prism colors are already linear
+            switch (material.prismType) {
+                case 'PrismOpaque': if (material.opaque_albedo) linear(material.opaque_albedo); break;
+                case 'PrismMetal': if (material.metal_f0) linear(material.metal_f0); metallic = 1; break;
+                case 'PrismLayered': if (material.layered_diffuse) linear(material.layered_diffuse); break;
+                case 'PrismTransparent':
+                    if (material.transparent_color) linear(material.transparent_color);
+                    base[3] = 0.25;
+                    break;
+            }
+            if (material.surface_roughness !== undefined)
+                roughness = material.surface_roughness;
+        } else {
+            if (material.metal && material.specular) {
+                gamma(material.specular);
+                metallic = 1;
+            } else if (material.color) {
+                gamma(material.color);
+            }
+
+            //GGX roughness equivalent to the Blinn-Phong exponent
+            if (material.shininess !== undefined)
+                roughness = Math.sqrt(Math.sqrt(2 / (Math.max(material.shininess, 0) + 2)));
+
+            if (material.transparent && material.opacity !== undefined)
+                base[3] = material.opacity;
+        }
+
+        var res = {
+            pbrMetallicRoughness: {
+                baseColorFactor: base,
+                metallicFactor: metallic,
+                roughnessFactor: Math.min(Math.max(roughness, 0), 1)
+            }
+        };
+
+        if (material.name)
+            res.name = material.name;
+
+        if (base[3] < 1)
+            res.alphaMode = "BLEND";
+        else if (material.alphaTest) {
+            res.alphaMode = "MASK";
+            res.alphaCutoff = material.alphaTest;
+        }
+
+        if (material.side === THREE.DoubleSide)
+            res.doubleSided = true;
+
+        if (material.emissive && (material.emissive.r || material.emissive.g || material.emissive.b))
+            res.emissiveFactor = [material.emissive.r, material.emissive.g, material.emissive.b];
+
+        return res;
+    }
+
+    function setMtlTextureMap(tm, mapName, uri) {
+
+        if (!uri)
+            return;
+
+        //The uri is the texture asset id assigned by ObjLoader
+        tm.textureMaps[mapName] = {
+            mapName: mapName,
+            uri: uri
+        };
+    }
+
+    //Converts a material parsed from a Wavefront MTL file (see ObjLoader).
+    function convertMaterialMtl(matObj, svf) {
+
+        var tm = new THREE.MeshPhongMaterial();
+        tm.packedNormals = true;
+        tm.textureMaps = {};
+        tm.name = matObj.name;
+
+        var kd = matObj.Kd || [0.8, 0.8, 0.8];
+        tm.color = new THREE.Color(kd[0], kd[1], kd[2]);
+
+        if (matObj.Ka)
+            tm.ambient = new THREE.Color(matObj.Ka[0], matObj.Ka[1], matObj.Ka[2]);
+
+        //Illumination models 0 and 1 have no highlights
+        var ks = (matObj.illum === 0 || matObj.illum === 1) ? null : matObj.Ks;
+        tm.specular = ks ? new THREE.Color(ks[0], ks[1], ks[2]) : new THREE.Color(0, 0, 0);
+
+        if (matObj.Ke)
+            tm.emissive = new THREE.Color(matObj.Ke[0], matObj.Ke[1], matObj.Ke[2]);
+
+        //Ns goes up to 1000 in MTL files
+        tm.shininess = (matObj.Ns !== undefined) ? Math.min(Math.max(matObj.Ns, 1), 1000) : 30;
+
+        //Illumination model 3 and up are reflective
+        tm.reflectivity = (matObj.illum >= 3) ? 0.1 : 0;
+
+        if (matObj.d !== undefined && matObj.d < 1) {
+            tm.transparent = true;
+            tm.opacity = Math.max(matObj.d, 0);
+        }
+
+        var maps = matObj.maps || {};
+
+        if (maps.map_kd)
+            tm.color.setRGB(1, 1, 1);
+        setMtlTextureMap(tm, "map", maps.map_kd);
+        setMtlTextureMap(tm, "specularMap", maps.map_ks);
+
+        if (maps.map_d) {
+            setMtlTextureMap(tm, "alphaMap", maps.map_d);
+            tm.transparent = true;
+        }
+
+        if (maps.norm) {
+            setMtlTextureMap(tm, "normalMap", maps.norm);
+        } else if (maps.map_bump) {
+            setMtlTextureMap(tm, "bumpMap", maps.map_bump);
+        }
+
+        if (matObj.bumpScale !== undefined)
+            tm.bumpScale = matObj.bumpScale;
+
+        return tm;
+    }
+
     return {
         convertMaterial: convertMaterial,
         convertTexture: convertTexture,
         isPrismMaterial: isPrismMaterial,
-        convertMaterialGltf: convertMaterialGltf
+        convertMaterialGltf: convertMaterialGltf,
+        convertMaterialToPbr: convertMaterialToPbr,
+        convertMaterialMtl: convertMaterialMtl
     };
 });
\ No newline at end of file
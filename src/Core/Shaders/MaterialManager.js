@@ -43,6 +43,10 @@ define([
         // cutplanes array where all materials refer to
         var _cutplanes = [];
 
+        // point cloud display settings, see setPointSize
+        var _pointSize = 2;
+        var _pointSizeAttenuation = false;
+
         this.defaultMaterial = new THREE.MeshPhongMaterial({
             ambient: 0x030303,
             color: 0x777777,
@@ -117,6 +121,21 @@ define([
                 return;
             }
 
+            if (svf.mtlMaterials) {
+
+                var mtlmats = svf.materials["materials"];
+                for (var p in mtlmats) {
+
+                    var mtlMat = mtlmats[p];
+                    var phongMat = MaterialConverter.convertMaterialMtl(mtlMat, svf);
+                    var matName = getMaterialHash(svf, p);
+                    this.addMaterial(matName, phongMat, false);
+
+                }
+
+                return;
+            }
+
             //TODO: The code below needs to be refactored, with functions like isPrismMaterial moved
             //to MaterialConverter. Decal processing also.
 
@@ -251,7 +270,11 @@ define([
                         for (var j = 0; j < svf.manifest.assets.length; ++j) {
                             var asset = svf.manifest.assets[j];
                             if (asset.id == map.uri) {
-                                texPath = pathToURL(svf.basePath + asset.URI);
+                                //Textures embedded in the model file are exposed as blob: or data: URLs
+                                if (asset.URI.indexOf("blob:") === 0 || asset.URI.indexOf("data:") === 0)
+                                    texPath = asset.URI;
+                                else
+                                    texPath = pathToURL(svf.basePath + asset.URI);
                                 break;
                             }
                         }
@@ -629,7 +652,7 @@ define([
                 if (mat.transparent ||
                     (mat.textureMaps && ((mat.textureMaps.map && mat.textureMaps.map.uri.toLowerCase().indexOf(".png") != -1) ||
                                           mat.textureMaps.opacityMap))) {
-                    mat.alphaTest = 0.01;
+                    mat.alphaTest = mat.alphaTest || 0.01;
                 }
             }
 
@@ -696,6 +719,56 @@ define([
 
         };
 
+        /**
+         * Creates the material for a point cloud geometry. Points are drawn with the
+         * color of the model material, unless the geometry has per point colors.
+         */
+        this.createPointCloudMaterial = function (svf, materialId, vertexColors) {
+
+            var material = new THREE.PointCloudMaterial({
+                vertexColors: vertexColors ? THREE.VertexColors : THREE.NoColors,
+                size: _pointSize,
+                sizeAttenuation: _pointSizeAttenuation
+            });
+
+            if (!vertexColors) {
+                var svfmat = this.findMaterial(svf, materialId);
+                material.color = svfmat.color;
+            }
+
+            //Register it so that cutplanes get updated
+            this.addMaterialNonHDR(svf.basePath + materialId + "_points_" + material.id, material);
+
+            return material;
+        };
+
+        /**
+         * Sets the size of the points of all point clouds.
+         * @param {number} size - Point diameter, in pixels, or in model units if sizeAttenuation is set.
+         * @param {boolean} [sizeAttenuation] - If true, points get smaller with distance.
+         */
+        this.setPointSize = function (size, sizeAttenuation) {
+
+            _pointSize = size;
+            if (sizeAttenuation !== undefined)
+                _pointSizeAttenuation = !!sizeAttenuation;
+
+            for (var p in _materialsNonHDR) {
+                var mat = _materialsNonHDR[p];
+                if (mat instanceof THREE.PointCloudMaterial) {
+                    mat.size = _pointSize;
+                    if (mat.sizeAttenuation !== _pointSizeAttenuation) {
+                        mat.sizeAttenuation = _pointSizeAttenuation;
+                        mat.needsUpdate = true;
+                    }
+                }
+            }
+        };
+
+        this.getPointSize = function () {
+            return { size: _pointSize, sizeAttenuation: _pointSizeAttenuation };
+        };
+
         //Certain material properties only become available
         //once we see a geometry that uses the material. Here,
         //we modify the material based on a given geometry that's using it.
@@ -32,7 +32,10 @@ define([
     '../Core/Privite/Fn/stringToDOM',
     './ToolbarSID',
     './ViewerPropertyPanel',
-    '../Core/Privite/ViewerSettingTab'
+    '../Core/Privite/ViewerSettingTab',
+    './TakeOffPanel',
+    './ModelListPanel',
+    './ModelDiffPanel'
 ], function(
     Init,
     Viewer3D,
@@ -67,7 +70,10 @@ define([
     stringToDOM,
     ToolbarSID,
     ViewerPropertyPanel,
-    ViewerSettingTab
+    ViewerSettingTab,
+    TakeOffPanel,
+    ModelListPanel,
+    ModelDiffPanel
 ) {
     'use strict'
     var GuiViewer3D = function(container, config) {
@@ -134,8 +140,8 @@ define([
         // We need to know if there is anything selected in order to process the
         // Escape key workflow, so track it manually.
         this.selectionActive = false;
-        this.addEventListener(EventType.SELECTION_CHANGED_EVENT, function (event) {
-            viewer.selectionActive = (event.dbIdArray.length > 0);
+        this.addEventListener(EventType.AGGREGATE_SELECTION_CHANGED_EVENT, function (event) {
+            viewer.selectionActive = (event.selections.length > 0);
 
             if (viewer.prefs.openPropertiesOnSelect) {
                 var propertyPanel = viewer.getPropertyPanel(true);
@@ -143,6 +149,36 @@ define([
             }
         });
 
+        // The change list opens with each comparison of two versions, see compareModels
+        this.addEventListener(EventType.MODEL_DIFF_CHANGED_EVENT, function (event) {
+            if (!event.diff)
+                return;
+            if (!viewer.modelDiffPanel) {
+                viewer.modelDiffPanel = new ModelDiffPanel(viewer);
+                viewer.addPanel(viewer.modelDiffPanel);
+            }
+            viewer.modelDiffPanel.setVisible(true);
+        });
+
+        // The model browser shows the main model. When it is unloaded, show the next one.
+        this.addEventListener(EventType.MODEL_UNLOADED_EVENT, function (event) {
+            var structure = viewer.modelstructure;
+            if (!structure || !structure.instanceTree || structure.instanceTree !== event.model.getData().instanceTree)
+                return;
+
+            var modelTitle = viewer.config.defaultModelStructureTitle ? viewer.config.defaultModelStructureTitle : '';
+            structure.setModel(null, modelTitle);
+
+            //Waits for the object tree if it is still loading
+            var model = viewer.model;
+            if (model) {
+                model.getObjectTree(function (instanceTree) {
+                    if (model === viewer.model)
+                        structure.setModel(instanceTree, modelTitle);
+                });
+            }
+        });
+
         this.addEventListener(EventType.ISOLATE_EVENT, function (event) {
             if (viewer.prefs.openPropertiesOnSelect || event.nodeIdArray[0] === viewer.model.getRootId()) {
                 if (viewer.propertygrid) {
@@ -187,6 +223,8 @@ define([
 
         this.initEscapeHandlers();
 
+        this.initDropTarget();
+
         // Now that all the ui is created, localize it.
         this.localize();
 
@@ -234,6 +272,13 @@ define([
         theHotkeyManager.popHotkeys("Autodesk.ROLL");
         theHotkeyManager.popHotkeys("Autodesk.FOV");
 
+        if (this.onDropTargetDragOver) {
+            this.container.removeEventListener('dragover', this.onDropTargetDragOver, false);
+            this.container.removeEventListener('drop', this.onDropTargetDrop, false);
+            this.onDropTargetDragOver = null;
+            this.onDropTargetDrop = null;
+        }
+
         this.removeEventListener(EventType.RENDER_OPTION_CHANGED_EVENT, this.onRenderOptionChanged);
         this.onRenderOptionChanged = null;
         this.removeEventListener(EventType.VIEWER_STATE_RESTORED_EVENT, this.onRestoreState);
@@ -281,6 +326,7 @@ define([
             this.toolbar.container.parentNode.removeChild(this.toolbar.container);
             this.toolbar = null;
         }
+        this.modelUI = null;
 
         if (this.modelstructure) {
             this.setModelStructurePanel(null);
@@ -299,6 +345,21 @@ define([
             this.renderoptions.uninitialize();
             this.renderoptions = null;
         }
+        if (this.takeOffPanel) {
+            this.removePanel(this.takeOffPanel);
+            this.takeOffPanel.uninitialize();
+            this.takeOffPanel = null;
+        }
+        if (this.modelListPanel) {
+            this.removePanel(this.modelListPanel);
+            this.modelListPanel.uninitialize();
+            this.modelListPanel = null;
+        }
+        if (this.modelDiffPanel) {
+            this.removePanel(this.modelDiffPanel);
+            this.modelDiffPanel.uninitialize();
+            this.modelDiffPanel = null;
+        }
 
         // Need to remove this event listener, in case that viewcube will show up when
         // changing sheets from 3D to 2D and the 3D model doesn't fully loaded.
@@ -306,30 +367,6 @@ define([
     };
 
     GuiViewer3D.prototype.loadModel = function (url, options, onSuccessCallback, onErrorCallback, initAfterWorker) {
-
-        var viewer = this;
-
-        function createUI(model) {
-            if (!viewer.running) {
-                Logger.error("createUI expects the viewer to be running.");
-                //setTimeout(createUI, 1);
-                return;
-            }
-
-            viewer.createUI(model);
-        }
-
-        function onSuccessChained(model) {
-
-            //TODO: The exact timeout needs to be tuned for best
-            //CPU utilization and shortest frame length during startup.
-            setTimeout(createUI.bind(createUI, model), 1);
-
-            if (onSuccessCallback)
-                onSuccessCallback.apply(onSuccessCallback, arguments);
-
-        }
-
         /*
                 function initAfterWorkerChained() {
                     if (initAfterWorker)
@@ -338,15 +375,76 @@ define([
                     setTimeout(createUI, 1);
                 }
         */
-        var res = Viewer3D.prototype.loadModel.call(this, url, options, onSuccessChained, onErrorCallback, initAfterWorker);
+        //The UI is created for the main model, see initMainModel
+        var res = Viewer3D.prototype.loadModel.call(this, url, options, onSuccessCallback, onErrorCallback, initAfterWorker);
 
         return res;
     };
 
+    /**
+     * Creates the toolbar and panels for the main model. Models added to the scene share
+     * the UI of the main model, it is only created again when another model becomes the main model.
+     * @private
+     */
+    GuiViewer3D.prototype.initMainModel = function (model) {
+        Viewer3D.prototype.initMainModel.call(this, model);
+
+        var viewer = this;
+
+        //TODO: The exact timeout needs to be tuned for best
+        //CPU utilization and shortest frame length during startup.
+        setTimeout(function () {
+            if (!viewer.running) {
+                Logger.error("createUI expects the viewer to be running.");
+                return;
+            }
+
+            //Replaced meanwhile
+            if (viewer.model !== model || (viewer.modelUI && viewer.modelUI.model === model))
+                return;
+
+            viewer.createUI(model);
+        }, 1);
+    };
+
+    //Extensions that createUI loads for the dimension of the main model
+    var MODEL_UI_EXTENSIONS = [
+        'Autodesk.DefaultTools.NavTools',
+        'Autodesk.Measure',
+        'Autodesk.Hyperlink',
+        'Autodesk.Section',
+        'Autodesk.FirstPerson',
+        'Autodesk.Beeline',
+        'Autodesk.Viewing.Oculus',
+        'Autodesk.Viewing.FusionOrbit'
+    ];
+
+    //The controls of the toolbar and of its groups, as { group, control }
+    function getToolbarControls(toolbar) {
+        var controls = [];
+        toolbar._controls.forEach(function (group) {
+            controls.push({ group: toolbar, control: group });
+            if (group instanceof ControlGroup) {
+                group._controls.forEach(function (control) {
+                    controls.push({ group: group, control: control });
+                });
+            }
+        });
+        return controls;
+    }
+
     GuiViewer3D.prototype.createUI = function (model) {
         var self = this;
         var viewer = this;
 
+        //The UI of the previous main model
+        this.destroyModelUI();
+
+        var existingControls = getToolbarControls(this.toolbar).map(function (entry) {
+            return entry.control;
+        });
+        var ui = this.modelUI = { model: model, controls: [] };
+
         this.initViewCube = function () {
             //Delay this to the next frame so that the current frame can render fast and display the geometry.
             setTimeout(function () {
@@ -380,6 +478,11 @@ define([
 
         this.initModality();
 
+        //What the model added to the toolbar, to remove when another model becomes the main model
+        ui.controls = getToolbarControls(this.toolbar).filter(function (entry) {
+            return existingControls.indexOf(entry.control) === -1;
+        });
+
         this.resize();
 
         if (model.is2d()) {
@@ -401,6 +504,9 @@ define([
 
             //Load relevant extensions (on the next frame, since creating the UI is already too slow)
             setTimeout(function () {
+                if (viewer.modelUI !== ui)
+                    return;
+
                 if (!disabledExtensions || (disabledExtensions && !disabledExtensions.measure)) {
                     viewer.loadExtension('Autodesk.Measure', null);
                 }
@@ -417,6 +523,9 @@ define([
 
             //Load relevant extensions (on the next frame, since creating the UI is already too slow)
             setTimeout(function () {
+                if (viewer.modelUI !== ui)
+                    return;
+
                 if (viewer.prefs.useFirstPersonNavigation)
                     viewer.loadExtension('Autodesk.FirstPerson', null);
                 else
@@ -464,11 +573,82 @@ define([
             viewer.removeEventListener(EventType.OBJECT_TREE_CREATED_EVENT, modelTreeInit);
         };
 
-        this.addEventListener(EventType.OBJECT_TREE_CREATED_EVENT, modelTreeInit);
+        //A model that became the main model later may have its tree already
+        if (model.isObjectTreeCreated())
+            modelTreeInit();
+        else
+            this.addEventListener(EventType.OBJECT_TREE_CREATED_EVENT, modelTreeInit);
+        ui.modelTreeInit = modelTreeInit;
 
         //this.toolbar.addControl(this.searchMenu);
     };
 
+    /**
+     * Removes what createUI created for the main model: its toolbar controls, panels,
+     * hotkeys and the extensions of its dimension.
+     * @private
+     */
+    GuiViewer3D.prototype.destroyModelUI = function () {
+        var ui = this.modelUI;
+        if (!ui)
+            return;
+        this.modelUI = null;
+
+        var viewer = this;
+
+        MODEL_UI_EXTENSIONS.forEach(function (extensionId) {
+            if (viewer.getExtension(extensionId))
+                viewer.unloadExtension(extensionId);
+        });
+
+        theHotkeyManager.popHotkeys("Autodesk.ROLL");
+        theHotkeyManager.popHotkeys("Autodesk.FOV");
+
+        this.removeEventListener(EventType.OBJECT_TREE_CREATED_EVENT, ui.modelTreeInit);
+        this.removeEventListener(EventType.RESET_EVENT, this.onResetModel);
+        this.onResetModel = null;
+        this.removeEventListener(EventType.GEOMETRY_LOADED_EVENT, this.initViewCube);
+
+        if (this.viewerOptionButton && this.viewerOptionButton.subMenu) {
+            this.removeViewerOptionsMenu(this.viewerOptionButton.subMenu.mode);
+            this.viewerOptionButton = null;
+        }
+        this.removeEventListener(EventType.VIEWER_STATE_RESTORED_EVENT, this.onRestoreState);
+        this.onRestoreState = null;
+
+        if (this.explodeSubmenu) {
+            this.explodeSubmenu.parentNode && this.explodeSubmenu.parentNode.removeChild(this.explodeSubmenu);
+            this.explodeSubmenu = null;
+            this.explodeSlider = null;
+        }
+
+        this.toolbar.removeEventListener(ToolBar.Event.SIZE_CHANGED, this.centerToolBar);
+        this.toolbar.container.removeEventListener("click", this.onToolbarModality, true);
+        this.onToolbarModality = null;
+
+        //Extensions removed their own controls already
+        ui.controls.reverse().forEach(function (entry) {
+            if (entry.group.indexOf(entry.control) !== -1)
+                entry.group.removeControl(entry.control);
+        });
+        this.debugMenu = null;
+
+        if (this.viewerSettingsPanel)
+            this.setSettingsPanel(null);
+        //Not setLayersPanel, which refuses when the new main model is 3D
+        if (this.layersPanel) {
+            this.layersPanel.setVisible(false);
+            this.removePanel(this.layersPanel);
+            this.layersPanel.uninitialize();
+            this.layersPanel = null;
+        }
+        if (this.renderoptions) {
+            this.removePanel(this.renderoptions);
+            this.renderoptions.uninitialize();
+            this.renderoptions = null;
+        }
+    };
+
     // "tooltip" string is localized by this method.
     GuiViewer3D.prototype.addOptionToggle = function (parent, tooltip, initialState, onchange, saveKey) {
 
@@ -872,13 +1052,14 @@ define([
         // this.modelTools.addControl(resetModelButton);
         // this.modelTools.resetModelButton = resetModelButton;
 
-        viewer.addEventListener(EventType.RESET_EVENT, function () {
+        this.onResetModel = function () {
             if (viewer.model && !viewer.model.is2d()) {
                 viewer.explode(0);
                 viewer.explodeSlider.value = 0;
             }
             viewer.showAll();
-        });
+        };
+        viewer.addEventListener(EventType.RESET_EVENT, this.onResetModel);
 
         var propertiesButton = new Button('toolbar-propertiesTool');
         propertiesButton.setToolTip('Properties');
@@ -891,6 +1072,33 @@ define([
         this.settingsTools.addControl(propertiesButton);
         this.settingsTools.propertiesbutton = propertiesButton;
 
+        var takeOffButton = new Button('toolbar-takeOffTool');
+        //Same string as the title of the panel, one entry in allstrings localizes both
+        takeOffButton.setToolTip('Quantity Take-off');
+        takeOffButton.setIcon("adsk-icon-box");
+        takeOffButton.onClick = function (e) {
+            if (!viewer.takeOffPanel) {
+                viewer.takeOffPanel = new TakeOffPanel(viewer);
+                viewer.addPanel(viewer.takeOffPanel);
+            }
+            viewer.takeOffPanel.setVisible(!viewer.takeOffPanel.isVisible());
+        };
+        this.settingsTools.addControl(takeOffButton);
+        this.settingsTools.takeoffbutton = takeOffButton;
+
+        var modelListButton = new Button('toolbar-modelListTool');
+        modelListButton.setToolTip('Models');
+        modelListButton.setIcon("adsk-icon-layers");
+        modelListButton.onClick = function (e) {
+            if (!viewer.modelListPanel) {
+                viewer.modelListPanel = new ModelListPanel(viewer);
+                viewer.addPanel(viewer.modelListPanel);
+            }
+            viewer.modelListPanel.setVisible(!viewer.modelListPanel.isVisible());
+        };
+        this.settingsTools.addControl(modelListButton);
+        this.settingsTools.modellistbutton = modelListButton;
+
         // New viewer options' panel
         var settingsPanel = new ViewerSettingsPanel(this, model);
         this.setSettingsPanel(settingsPanel);
@@ -1312,6 +1520,56 @@ define([
         });
     };
 
+    /**
+     * Lets the user open a model by dropping a file on the viewer, either a ZIP archive
+     * of an SVF bundle or a single file of a supported format. The main model is replaced, see replaceModel.
+     * One file is opened per drop, the others are reported and left out.
+     */
+    GuiViewer3D.prototype.initDropTarget = function () {
+        var viewer = this;
+
+        function hasFiles(event) {
+            var types = event.dataTransfer && event.dataTransfer.types;
+            if (!types)
+                return false;
+            for (var i = 0; i < types.length; ++i) {
+                if (types[i] === "Files")
+                    return true;
+            }
+            return false;
+        }
+
+        this.onDropTargetDragOver = function (event) {
+            if (!hasFiles(event))
+                return;
+            event.preventDefault();
+            event.dataTransfer.dropEffect = "copy";
+        };
+
+        this.onDropTargetDrop = function (event) {
+            var files = event.dataTransfer && event.dataTransfer.files;
+            if (!files || !files.length)
+                return;
+            event.preventDefault();
+
+            if (files.length > 1)
+                Logger.warn("Only the first of " + files.length + " dropped files is opened: " + files[0].name);
+
+            var onError = function (errorCode, errorMsg, statusCode, statusText) {
+                ErrorHandler.reportError(viewer.container, errorCode, errorMsg, statusCode, statusText);
+            };
+
+            //Only the main model is swapped, extensions, panels and the other models stay
+            if (viewer.model)
+                viewer.replaceModel(viewer.model, files[0], {}, null, onError);
+            else
+                viewer.loadModel(files[0], {}, null, onError);
+        };
+
+        this.container.addEventListener('dragover', this.onDropTargetDragOver, false);
+        this.container.addEventListener('drop', this.onDropTargetDrop, false);
+    };
+
     GuiViewer3D.prototype.displayViewCube = function (display, updatePrefs) {
         this.viewCubeUi.displayViewCube(display, updatePrefs);
     };
@@ -1734,6 +1992,7 @@ define([
             registerButton(toolName, button, true);
         }
 
+        this.onToolbarModality = handleModality;
         this.toolbar.container.addEventListener("click", handleModality, true);
     };
 
@@ -0,0 +1,249 @@
+define([
+    './DockingPanel',
+    '../Extension/ViewerPanelMixin',
+    '../Core/EventType',
+    '../Core/Logger',
+    '../i18n',
+    '../Core/Privite/ModelDiff'
+], function(DockingPanel, ViewerPanelMixin, EventType, Logger, i18n, ModelDiff) {
+    'use strict';
+
+    var TYPE_LABELS = {
+        added: "Added",
+        removed: "Removed",
+        geometry: "Geometry changed",
+        properties: "Properties changed"
+    };
+
+    //Rows beyond this are not listed, the changes are still colored in the scene
+    var MAX_ROWS = 2000;
+
+    function toCssColor(rgb) {
+        return "rgb(" + rgb.map(function (c) { return Math.round(c * 255); }).join(",") + ")";
+    }
+
+    function createSwatch(type) {
+        var swatch = document.createElement("span");
+        swatch.style.display = "inline-block";
+        swatch.style.width = "10px";
+        swatch.style.height = "10px";
+        swatch.style.marginRight = "6px";
+        swatch.style.backgroundColor = toCssColor(ModelDiff.COLORS[type]);
+        return swatch;
+    }
+
+    /**
+     * Lists the changes between two versions of a design, see Viewer3D.compareModels.
+     * The change types can be filtered. Clicking a change selects the object and
+     * shows how its properties differ between the versions.
+     * @class
+     * @augments Autodesk.Viewing.UI.DockingPanel
+     *
+     * @param {Viewer} viewer - The parent viewer.
+     * @constructor
+     */
+    var ModelDiffPanel = function (viewer) {
+        this.viewer = viewer;
+        this.diff = null;
+        this.filter = {};
+
+        DockingPanel.call(this, viewer.container, viewer.container.id + 'ModelDiffPanel', 'Changes');
+
+        this.container.style.width = "420px";
+        this.container.style.height = "540px";
+        this.container.style.top = "10px";
+        this.container.style.left = "10px";
+    };
+
+    ModelDiffPanel.prototype = Object.create(DockingPanel.prototype);
+    ModelDiffPanel.prototype.constructor = ModelDiffPanel;
+    ViewerPanelMixin.call(ModelDiffPanel.prototype);
+
+    ModelDiffPanel.prototype.initialize = function () {
+        DockingPanel.prototype.initialize.call(this);
+
+        var self = this;
+
+        this.summary = document.createElement("div");
+        this.summary.style.padding = "4px 8px";
+        this.container.appendChild(this.summary);
+
+        this.createScrollContainer({ heightAdjustment: 300, marginTop: 0 });
+
+        this.table = document.createElement("table");
+        this.table.className = "adsk-lmv-tftable";
+        this.scrollContainer.appendChild(this.table);
+
+        //Property differences of the clicked object
+        this.details = document.createElement("div");
+        this.details.style.height = "160px";
+        this.details.style.overflowY = "auto";
+        this.details.style.borderTop = "1px solid rgba(128,128,128,0.5)";
+        this.container.appendChild(this.details);
+
+        this.detailsTable = document.createElement("table");
+        this.detailsTable.className = "adsk-lmv-tftable";
+        this.details.appendChild(this.detailsTable);
+
+        this.addEventListener(this.viewer, EventType.MODEL_DIFF_CHANGED_EVENT, function (e) {
+            self.setDiff(e.diff);
+        });
+
+        this.setDiff(this.viewer.getDiff());
+    };
+
+    ModelDiffPanel.prototype.uninitialize = function () {
+        this.viewer = null;
+        this.diff = null;
+        DockingPanel.prototype.uninitialize.call(this);
+    };
+
+    /**
+     * Shows a comparison.
+     * @param {Object} diff - the result of ModelDiff.compare, or null
+     */
+    ModelDiffPanel.prototype.setDiff = function (diff) {
+        this.diff = diff;
+        this.updateSummary();
+        this.updateList();
+        this.showDetails(null);
+    };
+
+    ModelDiffPanel.prototype.updateSummary = function () {
+        var self = this;
+        var summary = this.summary;
+
+        while (summary.firstChild)
+            summary.removeChild(summary.firstChild);
+
+        if (!this.diff) {
+            summary.setAttribute("data-i18n", "No comparison");
+            summary.textContent = i18n.translate("No comparison");
+            return;
+        }
+        summary.removeAttribute("data-i18n");
+
+        ModelDiff.TYPES.forEach(function (type) {
+            var label = document.createElement("label");
+            label.style.display = "block";
+
+            //The summary is rebuilt for each comparison, the listeners go with it
+            var checkbox = document.createElement("input");
+            checkbox.type = "checkbox";
+            checkbox.checked = self.filter[type] !== false;
+            checkbox.addEventListener("change", function () {
+                self.filter[type] = checkbox.checked;
+                self.updateList();
+            });
+
+            label.appendChild(checkbox);
+            label.appendChild(createSwatch(type));
+            label.appendChild(document.createTextNode(i18n.translate(TYPE_LABELS[type]) + " (" + self.diff.counts[type] + ")"));
+            summary.appendChild(label);
+        });
+    };
+
+    ModelDiffPanel.prototype.getChangeName = function (change) {
+        var removed = change.type === ModelDiff.REMOVED;
+        var model = removed ? this.diff.oldModel : this.diff.newModel;
+        var dbId = removed ? change.oldDbId : change.newDbId;
+        var it = model.getData().instanceTree;
+        return (it && it.getNodeName(dbId)) || ('Object ' + dbId);
+    };
+
+    ModelDiffPanel.prototype.updateList = function () {
+        var self = this;
+        var table = this.table;
+
+        while (table.rows.length)
+            table.deleteRow(0);
+
+        if (!this.diff)
+            return;
+
+        var changes = this.diff.changes.filter(function (change) {
+            return self.filter[change.type] !== false;
+        });
+
+        changes.slice(0, MAX_ROWS).forEach(function (change) {
+            var row = table.insertRow(-1);
+            row.style.cursor = "pointer";
+
+            var name = row.insertCell(-1);
+            name.appendChild(createSwatch(change.type));
+            name.appendChild(document.createTextNode(self.getChangeName(change)));
+
+            row.insertCell(-1).textContent = i18n.translate(TYPE_LABELS[change.type]);
+
+            row.addEventListener("click", function () {
+                self.onChangeClick(change);
+            });
+        });
+
+        if (changes.length > MAX_ROWS) {
+            var more = table.insertRow(-1).insertCell(-1);
+            more.colSpan = 2;
+            more.textContent = "+" + (changes.length - MAX_ROWS);
+        }
+    };
+
+    /**
+     * Selects the object of a change, fits the view to it and shows its property differences.
+     * @param {Object} change - an entry of the changes of the comparison
+     */
+    ModelDiffPanel.prototype.onChangeClick = function (change) {
+        var viewer = this.viewer;
+        var removed = change.type === ModelDiff.REMOVED;
+        var model = removed ? this.diff.oldModel : this.diff.newModel;
+        var dbId = removed ? change.oldDbId : change.newDbId;
+
+        viewer.select([dbId], model);
+        viewer.fitToView([dbId], model);
+
+        this.showDetails(change);
+    };
+
+    ModelDiffPanel.prototype.showDetails = function (change) {
+        var self = this;
+        var table = this.detailsTable;
+        var diff = this.diff;
+
+        while (table.rows.length)
+            table.deleteRow(0);
+
+        this.detailsChange = change;
+        if (!change || !diff)
+            return;
+
+        ModelDiff.getPropertyChanges(change, diff, function (props) {
+            //Another object may have been clicked meanwhile
+            if (self.detailsChange !== change)
+                return;
+
+            function addRow(cells, tag) {
+                var row = table.insertRow(-1);
+                cells.forEach(function (text) {
+                    var cell = document.createElement(tag);
+                    cell.textContent = text === null ? "" : text;
+                    row.appendChild(cell);
+                });
+            }
+
+            addRow([i18n.translate("Property"), i18n.translate("Old"), i18n.translate("New")], "th");
+
+            if (!props.length) {
+                addRow([i18n.translate("No property changes"), "", ""], "td");
+                return;
+            }
+
+            props.forEach(function (prop) {
+                var name = prop.category ? prop.category + " / " + prop.name : prop.name;
+                addRow([name, prop.oldValue, prop.newValue], "td");
+            });
+        }, function () {
+            Logger.warn("Properties of the changed object are not available.");
+        });
+    };
+
+    return ModelDiffPanel;
+});
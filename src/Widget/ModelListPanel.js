@@ -0,0 +1,98 @@
+define([
+    './DockingPanel',
+    '../Extension/ViewerPanelMixin',
+    '../Core/EventType',
+    '../i18n'
+], function(DockingPanel, ViewerPanelMixin, EventType, i18n) {
+    'use strict';
+
+    /**
+     * Lists the models in the scene. Each model can be shown or hidden, and clicking
+     * its name fits the view to it.
+     * @class
+     * @augments Autodesk.Viewing.UI.DockingPanel
+     *
+     * @param {Viewer} viewer - The parent viewer.
+     * @constructor
+     */
+    var ModelListPanel = function (viewer) {
+        this.viewer = viewer;
+
+        DockingPanel.call(this, viewer.container, viewer.container.id + 'ModelListPanel', 'Models');
+
+        this.container.style.width = "300px";
+        this.container.style.height = "250px";
+        this.container.style.top = "10px";
+        this.container.style.left = "10px";
+    };
+
+    ModelListPanel.prototype = Object.create(DockingPanel.prototype);
+    ModelListPanel.prototype.constructor = ModelListPanel;
+    ViewerPanelMixin.call(ModelListPanel.prototype);
+
+    ModelListPanel.prototype.initialize = function () {
+        DockingPanel.prototype.initialize.call(this);
+
+        var self = this;
+
+        this.createScrollContainer({ heightAdjustment: 70, marginTop: 0 });
+
+        this.table = document.createElement("table");
+        this.table.className = "adsk-lmv-tftable";
+        this.scrollContainer.appendChild(this.table);
+
+        function update() {
+            self.update();
+        }
+
+        this.addEventListener(this.viewer, EventType.MODEL_ADDED_EVENT, update);
+        this.addEventListener(this.viewer, EventType.MODEL_UNLOADED_EVENT, update);
+        this.addEventListener(this.viewer, EventType.MODEL_VISIBILITY_CHANGED_EVENT, update);
+
+        this.update();
+    };
+
+    ModelListPanel.prototype.uninitialize = function () {
+        this.viewer = null;
+        DockingPanel.prototype.uninitialize.call(this);
+    };
+
+    ModelListPanel.prototype.getModelName = function (model, index) {
+        return model.getData().modelName || i18n.translate("Model") + " " + (index + 1);
+    };
+
+    /**
+     * Rebuilds the list from the models in the scene.
+     */
+    ModelListPanel.prototype.update = function () {
+        var self = this;
+        var viewer = this.viewer;
+        var table = this.table;
+
+        while (table.rows.length)
+            table.deleteRow(0);
+
+        viewer.getAllModels().forEach(function (model, index) {
+            var row = table.insertRow(-1);
+
+            var checkbox = document.createElement("input");
+            checkbox.type = "checkbox";
+            checkbox.checked = viewer.isModelVisible(model);
+            //Rows are rebuilt on every change, so their listeners go with them
+            checkbox.addEventListener("change", function () {
+                viewer.setModelVisible(model, checkbox.checked);
+            });
+            row.insertCell(-1).appendChild(checkbox);
+
+            var name = row.insertCell(-1);
+            name.textContent = self.getModelName(model, index);
+            name.style.cursor = "pointer";
+            name.addEventListener("click", function () {
+                if (viewer.isModelVisible(model))
+                    viewer.navigation.fitBounds(false, model.getBoundingBox());
+            });
+        });
+    };
+
+    return ModelListPanel;
+});
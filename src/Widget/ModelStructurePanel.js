@@ -79,8 +79,21 @@ define([
         var that = this;
         var instanceTree = that.instanceTree;
 
-        if (!instanceTree)
+        // Remove the previous tree from the scroll container and any listeners on the title bar.
+        //
+        if (that.tree) {
+            while (that.scrollContainer.hasChildNodes()) {
+                that.scrollContainer.removeChild(that.scrollContainer.lastChild);
+            }
+            that.title.removeEventListener("click", that.onTitleClick);
+            that.title.removeEventListener("dblclick", that.onTitleDoubleClick);
+        }
+
+        // No tree when the model was unloaded
+        if (!instanceTree) {
+            that.tree = null;
             return;
+        }
 
         var createDelegate = function () {
             var delegate = new TreeDelegate();
@@ -160,16 +173,6 @@ define([
         }
         that.setTitle(title, options);
 
-        // Remove the previous tree from the scroll container and any listeners on the title bar.
-        //
-        if (that.tree) {
-            while (that.scrollContainer.hasChildNodes()) {
-                that.scrollContainer.removeChild(that.scrollContainer.lastChild);
-            }
-            that.title.removeEventListener("click", that.onTitleClick);
-            that.title.removeEventListener("dblclick", that.onTitleDoubleClick);
-        }
-
         var rootId = this.rootId = instanceTree.getRootId();
         var rootName = instanceTree.getNodeName(rootId);
         var childName;
@@ -0,0 +1,217 @@
+define([
+    './DockingPanel',
+    '../Extension/ViewerPanelMixin',
+    '../Core/Logger',
+    '../i18n',
+    '../Core/Privite/PropertyExporter',
+    '../Core/Privite/Fn/downloadBlob'
+], function(DockingPanel, ViewerPanelMixin, Logger, i18n, PropertyExporter, downloadBlob) {
+    'use strict';
+
+    var UNITS = ["", "m", "cm", "mm", "ft", "in", "m^2", "ft^2", "m^3", "ft^3"];
+
+    function formatNumber(x) {
+        return (x === null || x === undefined) ? "" : String(+x.toFixed(3));
+    }
+
+    /**
+     * Quantity take-off panel. Shows the result of Model.aggregate as a table of
+     * groups with count, sum, minimum and maximum. Clicking a row isolates the
+     * objects of the group, and the table can be exported as CSV.
+     * @class
+     * @augments Autodesk.Viewing.UI.DockingPanel
+     *
+     * @param {Viewer} viewer - The parent viewer.
+     * @constructor
+     */
+    var TakeOffPanel = function (viewer) {
+        this.viewer = viewer;
+        this.result = null;
+
+        DockingPanel.call(this, viewer.container, viewer.container.id + 'TakeOffPanel', 'Quantity Take-off');
+
+        this.container.style.width = "420px";
+        this.container.style.height = "400px";
+        this.container.style.top = "10px";
+        this.container.style.left = "10px";
+    };
+
+    TakeOffPanel.prototype = Object.create(DockingPanel.prototype);
+    TakeOffPanel.prototype.constructor = TakeOffPanel;
+    ViewerPanelMixin.call(TakeOffPanel.prototype);
+
+    TakeOffPanel.prototype.initialize = function () {
+        DockingPanel.prototype.initialize.call(this);
+
+        var self = this;
+
+        var form = document.createElement("table");
+        form.className = "adsk-lmv-tftable";
+        var tbody = document.createElement("tbody");
+        form.appendChild(tbody);
+
+        function addField(caption, input) {
+            var row = tbody.insertRow(-1);
+            var label = row.insertCell(0);
+            label.setAttribute("data-i18n", caption);
+            label.textContent = i18n.translate(caption);
+            row.insertCell(1).appendChild(input);
+            return input;
+        }
+
+        function textInput(value) {
+            var input = document.createElement("input");
+            input.type = "text";
+            input.value = value;
+            return input;
+        }
+
+        this.groupByInput = addField("Group by", textInput("Material"));
+        this.valueInput = addField("Quantity", textInput("Volume"));
+
+        this.unitsSelect = document.createElement("select");
+        UNITS.forEach(function (units) {
+            var option = document.createElement("option");
+            option.value = units;
+            option.textContent = units || i18n.translate("Model units");
+            self.unitsSelect.add(option);
+        });
+        addField("Units", this.unitsSelect);
+
+        var buttons = tbody.insertRow(-1).insertCell(0);
+        buttons.colSpan = 2;
+        this.runButton = this.createButton("Calculate", function () { self.update(); });
+        this.exportButton = this.createButton("Export", function () { self.exportTable(); });
+        buttons.appendChild(this.runButton);
+        buttons.appendChild(this.exportButton);
+
+        this.container.appendChild(form);
+
+        this.createScrollContainer({ heightAdjustment: 210, marginTop: 0 });
+
+        this.table = document.createElement("table");
+        this.table.className = "adsk-lmv-tftable";
+        this.scrollContainer.appendChild(this.table);
+    };
+
+    TakeOffPanel.prototype.createButton = function (caption, onClick) {
+        var button = document.createElement("button");
+        button.setAttribute("data-i18n", caption);
+        button.textContent = i18n.translate(caption);
+        button.style.marginRight = "8px";
+        this.addEventListener(button, "click", onClick);
+        return button;
+    };
+
+    TakeOffPanel.prototype.uninitialize = function () {
+        this.viewer = null;
+        this.result = null;
+        DockingPanel.prototype.uninitialize.call(this);
+    };
+
+    /**
+     * Runs the take-off with the current settings and shows the result.
+     */
+    TakeOffPanel.prototype.update = function () {
+        var model = this.viewer.model;
+        if (!model || this.isRunning)
+            return;
+
+        var self = this;
+        var button = this.runButton;
+        var caption = button.textContent;
+
+        this.isRunning = true;
+        model.aggregate({
+            groupBy: this.groupByInput.value.trim() || null,
+            value: this.valueInput.value.trim() || null,
+            units: this.unitsSelect.value || null,
+            onProgress: function (count, total) {
+                button.textContent = caption + " (" + Math.floor(100 * count / total) + "%)";
+            }
+        }, function (result) {
+            self.isRunning = false;
+            button.textContent = caption;
+            self.setResult(result);
+        }, function () {
+            self.isRunning = false;
+            button.textContent = caption;
+            Logger.error("Quantity take-off failed: properties are not available.");
+        });
+    };
+
+    TakeOffPanel.prototype.getHeaders = function () {
+        var headers = [this.result.groupBy || i18n.translate("Group"), i18n.translate("Count")];
+        if (this.result.value) {
+            var units = this.result.units ? " (" + this.result.units + ")" : "";
+            headers.push(this.result.value + units, i18n.translate("Min"), i18n.translate("Max"));
+        }
+        return headers;
+    };
+
+    TakeOffPanel.prototype.getRow = function (group, label) {
+        var row = [label, group.count];
+        if (this.result.value)
+            row.push(formatNumber(group.sum), formatNumber(group.min), formatNumber(group.max));
+        return row;
+    };
+
+    /**
+     * Shows a take-off result.
+     * @param {Object} result - as passed to the Model.aggregate callback
+     */
+    TakeOffPanel.prototype.setResult = function (result) {
+        var self = this;
+        this.result = result;
+
+        var table = this.table;
+        while (table.rows.length)
+            table.deleteRow(0);
+
+        function addRow(cells, tag) {
+            var row = table.insertRow(-1);
+            cells.forEach(function (text) {
+                var cell = document.createElement(tag);
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            return row;
+        }
+
+        addRow(this.getHeaders(), "th");
+
+        result.groups.forEach(function (group) {
+            var label = group.key === null ? i18n.translate("(none)") : (group.key || i18n.translate("All"));
+            var row = addRow(self.getRow(group, label), "td");
+            row.style.cursor = "pointer";
+            self.addEventListener(row, "click", function () {
+                self.viewer.isolate(group.dbIds);
+            });
+        });
+
+        if (result.groups.length > 1)
+            addRow(this.getRow(result.total, i18n.translate("Total")), "th");
+
+        if (result.skipped)
+            Logger.warn("Quantity take-off skipped " + result.skipped + " values in other units.");
+    };
+
+    /**
+     * Downloads the table as a CSV file.
+     */
+    TakeOffPanel.prototype.exportTable = function () {
+        if (!this.result)
+            return;
+
+        var self = this;
+        var rows = [this.getHeaders()];
+        this.result.groups.forEach(function (group) {
+            rows.push(self.getRow(group, group.key === null ? "" : group.key));
+        });
+        rows.push(this.getRow(this.result.total, i18n.translate("Total")));
+
+        downloadBlob(PropertyExporter.tableToCsv(rows), "takeoff.csv");
+    };
+
+    return TakeOffPanel;
+});
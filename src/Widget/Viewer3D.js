@@ -23,6 +23,13 @@ define([
         '../Core/Privite/Autocam',
         '../Core/Privite/Fn/loadDependency',
         '../Core/Privite/LiveReviewClient',
+        '../Core/Privite/LocalArchives',
+        '../Core/Privite/GltfExporter',
+        '../Core/Privite/MeshExporter',
+        '../Core/Privite/AssetCache',
+        '../Core/Privite/OfflineDownloader',
+        '../Core/Privite/LoadHandle',
+        '../Core/Privite/ModelDiff',
         './ViewCubeUi',
         './ViewerObjectContextMenu'
        ], function(
@@ -50,12 +57,31 @@ define([
            Autocam,
            loadDependency,
            LiveReviewClient,
+           LocalArchives,
+           GltfExporter,
+           MeshExporter,
+           AssetCache,
+           OfflineDownloader,
+           LoadHandle,
+           ModelDiff,
            ViewCubeUi,
            ViewerObjectContextMenu
        ) {
     'use strict'
 
     var nextViewerId = 0;
+
+    //Default name of a model in the model list
+    function getFileName(url) {
+        var path = String(url || "").split(/[?#]/)[0];
+        var name = path.substr(path.lastIndexOf("/") + 1) || path;
+        try {
+            return decodeURIComponent(name);
+        } catch (e) {
+            return name;
+        }
+    }
+
     /**
      *  This is the base class for all viewer implementations. It contains everything that is needed
      *  to connect to the Autodesk viewing service and display 3D models. It also includes
@@ -676,72 +702,130 @@ define([
 
     /**
      * Loads a model into the viewer
-     * @param {string} url the url to the model.
+     * @param {string|Blob} url the url to the model, or a local file. A ZIP archive is extracted in
+     * the browser and the model is loaded from it, along with the files it references.
      * @param {Object} [options] - An optional dictionary of options.
      * @param {av.FileLoader} [options.fileLoader] - The file loader to use for this url.
+     * @param {string} [options.archiveEntry] - The file to load from a ZIP archive. By default, the first SVF found.
      * @param {Object} [options.loadOptions] - May contain params that are specific for certain loaders/filetypes. See LeafletLoader.js
      * @param {string} [options.sharedPropertyDbPath] - Optional path to shared property database.
      * @param {string} [options.ids] A list of object id to load.
+     * @param {string} [options.cacheVersion] - Version of the model, when the offline cache is enabled. Files of a model
+     * with a version are served from the cache without network requests, until the version changes.
+     * @param {THREE.Matrix4} [options.placementTransform] - Places the model in the scene, see setPlacementTransform.
+     * @param {string} [options.modelName] - Name of the model in the model list. By default, the file name.
      * @param {function} [onSuccessCallback] A method that gets called when initial loading is done and streaming starts.
      * @param {function(int, string)} [onErrorCallback] A method that gets called when loading fails.
+     * @returns {LoadHandle} to follow the progress of the load and to cancel it. Several models
+     * can be loaded at the same time, each with its own handle.
+     *
+     * A model that is loaded while another one is shown is added to the scene. The first
+     * model stays the main model (viewer.model), see getAllModels.
      */
-    Viewer3D.prototype.loadModel = function (url, options, onSuccessCallback, onErrorCallback, onWorkerStart) {
+    Viewer3D.prototype.loadModel = function (url, options, onSuccessCallback, onErrorCallback, onWorkerStart, loadHandle) {
         var self = this;
 
         options = options || {};
 
-        function registerDimensionSpecificHotkeys() {
-            if (!theHotkeyManager)
-                return;
+        //loadHandle is passed on internally, when a local file is loaded in two steps
+        var handle = loadHandle || new LoadHandle(typeof url === "string" ? url : (url.name || "local file"));
 
-            if (self.model.is2d()) {
-                // Remove 3D specific hotkeys
-                theHotkeyManager.popHotkeys("Autodesk.Orbit");
-            } else {
-                // Add 3D specific hotkeys
-                // Orbit
-                var previousTool;
-                var onPress = function () {
-                    previousTool = self.getActiveNavigationTool();
-                    return self.setActiveNavigationTool("orbit");
-                };
-                var onRelease = function () {
-                    return self.setActiveNavigationTool(previousTool);
-                };
-                var hotkeys = [
-                    {
-                        keycodes: [theHotkeyManager.KEYCODES.ALT],
-                        onPress: onPress,
-                        onRelease: onRelease
-                    }];
-                theHotkeyManager.pushHotkeys("Autodesk.Orbit", hotkeys, { tryUntilSuccess: true });
-            }
+        if (typeof Blob !== "undefined" && url instanceof Blob) {
+            this.loadLocalModel(url, options, onSuccessCallback, onErrorCallback, onWorkerStart, handle);
+            return handle;
         }
 
         function onSuccess(model) {
-            self.model = model;
-            self.impl.addModel(self.model);
+            handle.model = model;
+            handle.setProgress("manifest", 1);
+
+            model.getData().modelName = options.modelName || getFileName(handle.url);
+
+            self.impl.addModel(model);
+            self.model = self.impl.model;
 
             if (self.loadSpinner)
                 self.loadSpinner.style.display = "None";
 
-            if (self.model.is2d())
-                self.activateLayerState("Initial");
-
-            registerDimensionSpecificHotkeys();
+            if (model === self.model)
+                self.initMainModel(model);
 
             if (onSuccessCallback) {
-                onSuccessCallback(self.model);
+                onSuccessCallback(model);
             }
         }
 
         function onError(errorCode, errorMessage, statusCode, statusText) {
             if (self.loadSpinner)
                 self.loadSpinner.style.display = "None";
+
+            //Loaders report some errors after the model is added, like missing geometry packs
+            if (!handle.model) {
+                handle.fail(errorCode, errorMessage);
+                stopTracking();
+            }
+
             if (onErrorCallback)
                 onErrorCallback(errorCode, errorMessage, statusCode, statusText);
         }
 
+        //Phases that the loaders do not report themselves
+        function onGeometryLoaded(e) {
+            if (e.model === handle.model && handle.model)
+                handle.done(e.model);
+            if (!handle.isLoading() && handle.progress.properties === 1)
+                stopTracking();
+        }
+
+        function onPropertiesLoaded(e) {
+            if (e.model !== handle.model || !handle.model)
+                return;
+            handle.setProgress("properties", 1);
+            if (!handle.isLoading())
+                stopTracking();
+        }
+
+        function stopTracking() {
+            self.removeEventListener(EventType.GEOMETRY_LOADED_EVENT, onGeometryLoaded);
+            self.removeEventListener(EventType.OBJECT_TREE_CREATED_EVENT, onPropertiesLoaded);
+            self.removeEventListener(EventType.OBJECT_TREE_UNAVAILABLE_EVENT, onPropertiesLoaded);
+        }
+
+        this.addEventListener(EventType.GEOMETRY_LOADED_EVENT, onGeometryLoaded);
+        this.addEventListener(EventType.OBJECT_TREE_CREATED_EVENT, onPropertiesLoaded);
+        this.addEventListener(EventType.OBJECT_TREE_UNAVAILABLE_EVENT, onPropertiesLoaded);
+
+        var loaderInstance = null;
+
+        handle.onCancel(function () {
+            stopTracking();
+
+            if (loaderInstance && loaderInstance.cancel)
+                loaderInstance.cancel();
+
+            if (self.loadSpinner)
+                self.loadSpinner.style.display = "None";
+
+            //The model is added as soon as its manifest is loaded
+            if (handle.model) {
+                self.impl.unloadModel(handle.model);
+                self.updateMainModel();
+            }
+        });
+
+        function startLoader() {
+            if (handle.isCancelled())
+                return;
+
+            loaderInstance = new loader(self.impl);
+            loaderInstance.loadHandle = handle;
+
+            if (!loaderInstance.loadFile(url, options, onSuccess, onError, onWorkerStart)) {
+                stopTracking();
+                handle.fail(Global.ErrorCodes.UNKNOWN_FAILURE, "Failed to start loading " + url);
+            }
+        }
+
         // Force a repaint when a file is fully done loading
         function forceRepaint() {
             self.impl.needsRender = true;
@@ -759,7 +843,259 @@ define([
             loader = FileLoaderManager.getFileLoaderForExtension(fileExtension);
         }
 
-        return new loader(this.impl).loadFile(url, options, onSuccess, onError, onWorkerStart);
+        if (options.cacheVersion && AssetCache.isEnabled()) {
+            //Stale files of a previous version must be gone before the loader asks for them
+            AssetCache.setModelVersion(AssetCache.getModelKey(url), String(options.cacheVersion), startLoader);
+        } else {
+            startLoader();
+        }
+
+        return handle;
+    };
+
+
+    /**
+     * Sets up the viewer for the model that is the main model (viewer.model): the hotkeys
+     * of its dimension and, for 2D, the initial layer state. Runs whenever the main model
+     * changes, when it is loaded and when the previous main model is unloaded or replaced.
+     * @param {Autodesk.Viewing.Model} model
+     * @private
+     */
+    Viewer3D.prototype.initMainModel = function (model) {
+        var self = this;
+
+        if (model.is2d())
+            this.activateLayerState("Initial");
+
+        if (!theHotkeyManager)
+            return;
+
+        if (model.is2d()) {
+            // Remove 3D specific hotkeys
+            theHotkeyManager.popHotkeys("Autodesk.Orbit");
+        } else {
+            // Add 3D specific hotkeys
+            // Orbit
+            var previousTool;
+            var onPress = function () {
+                previousTool = self.getActiveNavigationTool();
+                return self.setActiveNavigationTool("orbit");
+            };
+            var onRelease = function () {
+                return self.setActiveNavigationTool(previousTool);
+            };
+            var hotkeys = [
+                {
+                    keycodes: [theHotkeyManager.KEYCODES.ALT],
+                    onPress: onPress,
+                    onRelease: onRelease
+                }];
+            theHotkeyManager.pushHotkeys("Autodesk.Orbit", hotkeys, { tryUntilSuccess: true });
+        }
+    };
+
+    /**
+     * Takes the main model from the scene after a model was removed,
+     * and sets it up if it is another model than before.
+     * @private
+     */
+    Viewer3D.prototype.updateMainModel = function () {
+        var previous = this.model;
+        this.model = this.impl.model || null;
+
+        if (this.model && this.model !== previous)
+            this.initMainModel(this.model);
+    };
+
+
+    /**
+     * Loads a model from a local file, see loadModel.
+     * The extracted files are released when the model is unloaded.
+     * @private
+     */
+    Viewer3D.prototype.loadLocalModel = function (blob, options, onSuccessCallback, onErrorCallback, onWorkerStart, handle) {
+        var self = this;
+
+        LocalArchives.open(blob, options, function (err, archive) {
+            if (handle.isCancelled()) {
+                if (archive)
+                    LocalArchives.close(archive.id);
+                return;
+            }
+
+            if (err) {
+                Logger.error(err);
+                handle.fail(Global.ErrorCodes.BAD_DATA, err);
+                if (onErrorCallback)
+                    onErrorCallback(Global.ErrorCodes.BAD_DATA, err);
+                return;
+            }
+
+            var loaded = false;
+
+            function onSuccess(model) {
+                loaded = true;
+
+                function onUnload(e) {
+                    if (e.model !== model)
+                        return;
+                    self.removeEventListener(EventType.MODEL_UNLOADED_EVENT, onUnload);
+                    LocalArchives.close(archive.id);
+                }
+                self.addEventListener(EventType.MODEL_UNLOADED_EVENT, onUnload);
+
+                if (onSuccessCallback)
+                    onSuccessCallback(model);
+            }
+
+            function onError(errorCode, errorMessage, statusCode, statusText) {
+                //Errors after the model is added are left to the unload handler
+                if (!loaded)
+                    LocalArchives.close(archive.id);
+                if (onErrorCallback)
+                    onErrorCallback(errorCode, errorMessage, statusCode, statusText);
+            }
+
+            //Not self.loadModel, subclasses already wrapped the callbacks for the local file
+            Viewer3D.prototype.loadModel.call(self, archive.mainUrl, options, onSuccess, onError, onWorkerStart, handle);
+        });
+    };
+
+
+    /**
+     * Returns all models in the scene. The main model (viewer.model) comes first.
+     * @returns {Autodesk.Viewing.Model[]}
+     */
+    Viewer3D.prototype.getAllModels = function () {
+        return this.impl.modelQueue().getModels().slice();
+    };
+
+    /**
+     * Moves a model in the scene, e.g. to align models that are federated. The matrix replaces
+     * the placement the model was loaded with (options.placementTransform of loadModel),
+     * it is not combined with it.
+     *
+     * Not applicable to 2D.
+     *
+     * @param {Autodesk.Viewing.Model} model
+     * @param {THREE.Matrix4} [matrix] - null to move the model back to where it was authored
+     */
+    Viewer3D.prototype.setPlacementTransform = function (model, matrix) {
+        if (!model || model.is2d())
+            return;
+
+        this.impl.setPlacementTransform(model, matrix);
+    };
+
+    /**
+     * Shows or hides a whole model. A hidden model keeps its own hidden and isolated objects
+     * for when it is shown again, but its selection is cleared.
+     * @param {Autodesk.Viewing.Model} model
+     * @param {boolean} visible
+     */
+    Viewer3D.prototype.setModelVisible = function (model, visible) {
+        if (model)
+            this.impl.setModelVisible(model, !!visible);
+    };
+
+    /**
+     * @param {Autodesk.Viewing.Model} model
+     * @returns {boolean} false if the model is hidden, see setModelVisible
+     */
+    Viewer3D.prototype.isModelVisible = function (model) {
+        return this.impl.isModelVisible(model);
+    };
+
+    /**
+     * Limits the memory used by geometry, for large models on devices with little memory.
+     * When the models are over budget, the geometry that has not been in view for the longest time
+     * is released, and loaded again when it comes back into view.
+     *
+     * The budget applies to 3D models that are loaded after it is set.
+     *
+     * @param {Object} limits
+     * @param {number} [limits.gpu] - bytes of geometry on the GPU, 0 for no limit
+     * @param {number} [limits.cpu] - bytes of geometry in system memory, 0 for no limit
+     */
+    Viewer3D.prototype.setMemoryBudget = function (limits) {
+        this.impl.setMemoryBudget(limits);
+    };
+
+    /**
+     * Describes the memory budget and how much geometry memory is in use, for diagnostics.
+     * Sizes are in bytes and only count models under the budget.
+     * @returns {Object} { enabled, limits: { gpu, cpu }, usage: { gpu, cpu }, overBudget, models,
+     * geometries, pagedOut, pageOutCount, pageOutBytes, refetchCount }.
+     * geometries and pagedOut are the geometries currently in and out of memory, the counts are totals.
+     */
+    Viewer3D.prototype.getMemoryBudgetState = function () {
+        return this.impl.getMemoryBudgetState();
+    };
+
+    /**
+     * Removes a model from the scene and frees its memory and workers, without tearing
+     * down the viewer. The camera, extensions and the other models stay as they are.
+     * A model that is still loading stops loading, its load handle is cancelled.
+     *
+     * When the main model is removed, the next model in the scene becomes the main model.
+     *
+     * @param {Autodesk.Viewing.Model} model
+     * @returns {boolean} false if the model is not in the scene
+     */
+    Viewer3D.prototype.unloadModel = function (model) {
+        if (!model)
+            return false;
+
+        //Cancelling the handle unloads the model, see loadModel
+        var handle = model.loader && model.loader.loadHandle;
+        if (handle && handle.model === model && handle.cancel())
+            return true;
+
+        if (!this.impl.unloadModel(model))
+            return false;
+
+        this.updateMainModel();
+        return true;
+    };
+
+    /**
+     * Replaces a model by another one, e.g. to switch between design options.
+     * The old model stays in the scene until the new one is added, so the camera is kept
+     * even when it is the only model. The new model takes the placement of the old one,
+     * unless options.placementTransform is given.
+     *
+     * @param {Autodesk.Viewing.Model} oldModel
+     * @param {string|Blob} url - the new model, see loadModel
+     * @param {Object} [options] - see loadModel
+     * @param {function(Autodesk.Viewing.Model)} [onSuccessCallback]
+     * @param {function(int, string)} [onErrorCallback] - the old model is kept if loading fails
+     * @returns {LoadHandle} of the new model
+     */
+    Viewer3D.prototype.replaceModel = function (oldModel, url, options, onSuccessCallback, onErrorCallback) {
+        var self = this;
+
+        var opts = {};
+        for (var key in options)
+            opts[key] = options[key];
+        options = opts;
+
+        if (!options.placementTransform && oldModel && oldModel.getData().placementTransform)
+            options.placementTransform = oldModel.getPlacementTransform();
+
+        function onSuccess(model) {
+            var wasVisible = self.isModelVisible(oldModel);
+
+            //If the old model was the main model, the new one takes over and is set up as such
+            self.unloadModel(oldModel);
+
+            if (!wasVisible)
+                self.setModelVisible(model, false);
+
+            if (onSuccessCallback)
+                onSuccessCallback(model);
+        }
+
+        return this.loadModel(url, options, onSuccess, onErrorCallback);
     };
 
 
@@ -1053,12 +1389,14 @@ define([
      * @param {number} dbid
      * @param {function} [onSuccessCallback] call this callback once the properties are found.
      * @param {function(int, string)} [onErrorCallback] call this callback if the properties are not found, or another error occurs.
+     * @param {Autodesk.Viewing.Model} [model] - the model of the object. By default, the main model.
      */
-    Viewer3D.prototype.getProperties = function (dbid, onSuccessCallback, onErrorCallback) {
+    Viewer3D.prototype.getProperties = function (dbid, onSuccessCallback, onErrorCallback, model) {
         Logger.track({ name: 'get_props_count', aggregate: 'count' });
 
-        if (this.model) {
-            this.model.getProperties(dbid, onSuccessCallback, onErrorCallback);
+        model = model || this.model;
+        if (model) {
+            model.getProperties(dbid, onSuccessCallback, onErrorCallback);
         }
         else {
             if (onErrorCallback)
@@ -1163,15 +1501,220 @@ define([
         }
     };
 
+    /**
+     * Searches the elements of all models for the given text, see search.
+     * Models that have no properties are skipped.
+     * @param {string} text - the search term.
+     * @param {function(Object[])} onSuccessCallback - called with { model, dbIds } for each model that has matches.
+     * @param {function(errorCode, errorMsg)} [onErrorCallback] - called if no model could be searched.
+     * @param {string[]} [attributeNames] - restricts search to specific attribute names
+     */
+    Viewer3D.prototype.searchAllModels = function (text, onSuccessCallback, onErrorCallback, attributeNames) {
+        this.searchText = text;
+
+        var models = this.getAllModels();
+        var results = [];
+        var pending = models.length;
+        var searched = 0;
+        var errorCode = Global.ErrorCodes.BAD_DATA;
+        var errorMsg = "Search failed since model does not exist";
+
+        function done() {
+            if (--pending)
+                return;
+
+            if (!searched) {
+                if (onErrorCallback)
+                    onErrorCallback(errorCode, errorMsg);
+                return;
+            }
+
+            //Report in the order of the models, not in the order the searches finished
+            results.sort(function (a, b) { return models.indexOf(a.model) - models.indexOf(b.model); });
+            onSuccessCallback(results);
+        }
+
+        if (!pending) {
+            pending = 1;
+            done();
+            return;
+        }
+
+        models.forEach(function (model) {
+            model.search(text, function (dbIds) {
+                searched++;
+                if (dbIds && dbIds.length)
+                    results.push({ model: model, dbIds: dbIds });
+                done();
+            }, function (code, msg) {
+                errorCode = code || errorCode;
+                errorMsg = msg || "Search failed since the properties of the models are not available";
+                done();
+            }, attributeNames);
+        });
+    };
+
+    /**
+     * Finds objects by conditions on their properties, see Autodesk.Viewing.Model.query
+     * for the query format.
+     *
+     * @example
+     *  viewer.query({ and: [{ attr: "Category", eq: "Walls" }, { attr: "Area", gt: 10, units: "m^2" }] },
+     *      function (dbIds) { viewer.isolate(dbIds); });
+     *
+     * @param {Object} query
+     * @param {function(int[])} onSuccessCallback - called with the ids of the matching objects
+     * @param {function(int, string)} [onErrorCallback]
+     * @param {int[]} [dbIds] - restricts the query to these objects
+     */
+    Viewer3D.prototype.query = function (query, onSuccessCallback, onErrorCallback, dbIds) {
+        if (this.model) {
+            this.model.query(query, onSuccessCallback, function (err) {
+                if (onErrorCallback)
+                    onErrorCallback(err && err.code || Global.ErrorCodes.UNKNOWN_FAILURE, err && err.msg || "Query failed");
+            }, dbIds);
+        }
+        else {
+            if (onErrorCallback)
+                onErrorCallback(Global.ErrorCodes.BAD_DATA, "Query failed since model does not exist");
+        }
+    };
+
+    /**
+     * Exports object properties as a CSV or JSON table, for schedules and quantity lists.
+     * The CSV output opens directly in spreadsheet applications like Excel.
+     *
+     * @param {Object} [options]
+     * @param {number[]} [options.dbIds] - objects to export. All objects by default.
+     * @param {string} [options.scope] - "selection" to export the selected objects
+     * @param {string} [options.format="csv"] - "csv" or "json"
+     * @param {Array} [options.columns] - properties to export. Each one either a display name,
+     * or an object with an attributeName, or with a displayName and optional category. An optional
+     * header sets the column title. By default all visible properties are exported.
+     * @param {boolean} [options.formatValues=true] - format values with their units, as in the property panel
+     * @param {number} [options.precision=3] - decimals of formatted numbers
+     * @param {boolean} [options.includeExternalId] - add a column with the external ids
+     * @param {boolean} [options.includeEmpty] - keep rows of objects that have none of the columns
+     * @param {string} [options.separator=","] - CSV field separator
+     * @param {function(number, number)} [options.onProgress] - called with the objects done so far and the total
+     * @param {function(Blob)} onSuccessCallback - called with the exported file
+     * @param {function(int, string)} [onErrorCallback]
+     */
+    Viewer3D.prototype.exportProperties = function (options, onSuccessCallback, onErrorCallback) {
+        options = options || {};
+
+        if (!this.model) {
+            if (onErrorCallback)
+                onErrorCallback(Global.ErrorCodes.BAD_DATA, "Property export failed since model does not exist");
+            return;
+        }
+
+        var dbIds = options.dbIds || null;
+        if (!dbIds && options.scope === "selection")
+            dbIds = this.getSelection();
+
+        this.model.exportProperties(dbIds, options, onSuccessCallback, function (err) {
+            if (onErrorCallback)
+                onErrorCallback(err && err.code || Global.ErrorCodes.UNKNOWN_FAILURE, err && err.msg || "Failed to export properties");
+        });
+    };
+
+    /**
+     * Exports the geometry of the model to a binary glTF (GLB) file, with the
+     * current fragment transforms, approximated materials and the instance tree
+     * as node hierarchy. Only fragments with loaded geometry are exported.
+     *
+     * @param {Object} [options]
+     * @param {string} [options.scope="all"] - "all", "visible" to skip hidden and ghosted
+     * nodes, or "selection" for the selected nodes.
+     * @param {boolean} [options.includeTextures=true] - embed the diffuse textures
+     * @returns {Blob|null} the GLB file, or null if there is nothing to export.
+     */
+    Viewer3D.prototype.exportGlb = function (options) {
+        if (!this.model)
+            return null;
+
+        options = options || {};
+        var exportOptions = {
+            includeTextures: options.includeTextures,
+            visibleOnly: options.scope === "visible"
+        };
+
+        if (options.scope === "selection") {
+            exportOptions.dbIds = this.getSelection();
+            if (!exportOptions.dbIds.length)
+                return null;
+        }
+
+        return GltfExporter.exportGlb(this.model, exportOptions);
+    };
+
+    /**
+     * Exports the geometry of the selected nodes as a mesh file, in world
+     * coordinates, for fabrication and 3D printing.
+     *
+     * @param {string} format - "stl" or "obj"
+     * @param {Object} [options]
+     * @param {number[]} [options.dbIds] - nodes to export instead of the selection
+     * @param {string} [options.units] - units to convert to, one of Autodesk.Viewing.ModelUnits.
+     * By default the model units are kept.
+     * @param {boolean} [options.ascii] - write ASCII instead of binary STL
+     * @returns {Blob|null} the file, or null if there is nothing to export.
+     */
+    Viewer3D.prototype.exportSelection = function (format, options) {
+        if (!this.model || this.model.is2d())
+            return null;
+
+        options = options || {};
+        var dbIds = options.dbIds || this.getSelection();
+        if (!dbIds.length)
+            return null;
+
+        switch ((format || "").toLowerCase()) {
+            case "stl": return MeshExporter.exportStl(this.model, dbIds, options);
+            case "obj": return MeshExporter.exportObj(this.model, dbIds, options);
+        }
+
+        Logger.warn("Unsupported export format: " + format);
+        return null;
+    };
+
+    /**
+     * Downloads a model into the offline cache, so that it opens later without network.
+     * The offline cache has to be enabled with the assetCache option of the Initializer.
+     * Open the model with the same version in options.cacheVersion of loadModel.
+     *
+     * @param {string} url - the SVF file, as for loadModel
+     * @param {Object} [options]
+     * @param {string} [options.version="1"] - version of the model
+     * @param {function(number, number)} [options.onProgress] - called with the files done and the total
+     * @param {function(Object)} [onSuccessCallback] - called with { key, files, size }
+     * @param {function(int, string)} [onErrorCallback]
+     */
+    Viewer3D.prototype.downloadModelForOffline = function (url, options, onSuccessCallback, onErrorCallback) {
+        OfflineDownloader.download(url, options, onSuccessCallback || function () {}, onErrorCallback);
+    };
+
+    /**
+     * Removes a model downloaded with downloadModelForOffline from the offline cache.
+     *
+     * @param {string} url - the SVF file
+     * @param {function} [callback]
+     */
+    Viewer3D.prototype.removeOfflineModel = function (url, callback) {
+        AssetCache.removeModel(AssetCache.getModelKey(url), callback);
+    };
+
     /**
      * Returns an Array of the IDs of the currently hidden nodes.
      * When isolation is in place, there are no hidden nodes returned because
      * all nodes that are not isolated are considered hidden.
      *
+     * @param {Autodesk.Viewing.Model} [model] - By default, the main model.
      * @returns {Array} of nodes that are currently hidden, when no isolation is in place.
      */
-    Viewer3D.prototype.getHiddenNodes = function () {
-        return this.impl.visibilityManager.getHiddenNodes();
+    Viewer3D.prototype.getHiddenNodes = function (model) {
+        return this.impl.visibilityManager.getHiddenNodes(model || this.model);
     };
 
     /**
@@ -1179,15 +1722,17 @@ define([
      *
      * Not yet implemented for 2D.
      *
+     * @param {Autodesk.Viewing.Model} [model] - By default, the main model.
      * @returns {Array} of nodes that are currently isolated.
      */
-    Viewer3D.prototype.getIsolatedNodes = function () {
-        if (this.model && this.model.is2d()) {
+    Viewer3D.prototype.getIsolatedNodes = function (model) {
+        model = model || this.model;
+        if (model && model.is2d()) {
             Logger.warn("Viewer3D.getIsolatedNodes is not yet implemented for 2D");
             return [];
         }
 
-        return this.impl.visibilityManager.getIsolatedNodes();
+        return this.impl.visibilityManager.getIsolatedNodes(model);
     };
 
     /**
@@ -1197,24 +1742,26 @@ define([
      * Not yet implemented for 2D.
      *
      * @param {int[] | int} node A node ID or array of node IDs from the model tree {@link BaseViewer#getObjectTree}
+     * @param {Autodesk.Viewing.Model} [model] - the model of the nodes. By default, the main model.
      */
-    Viewer3D.prototype.isolate = function (node) {
-        if (!this.model) {
+    Viewer3D.prototype.isolate = function (node, model) {
+        model = model || this.model;
+        if (!model) {
             // Silently abort //
             return;
         }
 
-        var data = this.model.getData();
+        var data = model.getData();
         if (data && data.is2d && data.loadDone && 'hasObjectProperties' in data) {
             // some 2d datasets have no instance-tree, but just a flat list of object properties.
             // Here, we can call isolate directly without requesting the instanceTree first.
-            this.impl.visibilityManager.isolate(node);
+            this.impl.visibilityManager.isolate(node, model);
         } else {
             // request instance tree first
             var self = this;
-            this.model.getObjectTree(function () {
+            model.getObjectTree(function () {
                 Logger.track({ name: 'isolate_count', aggregate: 'count' });
-                self.impl.visibilityManager.isolate(node);
+                self.impl.visibilityManager.isolate(node, model);
             });
         }
     };
@@ -1254,27 +1801,31 @@ define([
      * Not yet implemented for 2D.
      *
      * @param {( number)} dbid
+     * @param {Autodesk.Viewing.Model} [model] - the model of the object. By default, the main model.
      */
-    Viewer3D.prototype.toggleSelect = function (dbid) {
-        if (this.model && this.model.is2d()) {
+    Viewer3D.prototype.toggleSelect = function (dbid, model) {
+        model = model || this.model;
+        if (model && model.is2d()) {
             // Fails because Model.getNodeById is not supported.
             Logger.warn("Viewer3D.toggleSelect is not yet implemented for 2D");
             return;
         }
 
-        this.impl.selector.toggleSelection(dbid);
+        this.impl.selector.toggleSelection(dbid, model);
     };
 
     /**
      * Selects the array of ids. You can also just pass in a single id instead of an array.
+     * The selection of other models is cleared.
      * @param {( number[] | number)} dbids
+     * @param {Autodesk.Viewing.Model} [model] - the model of the objects. By default, the main model.
      */
-    Viewer3D.prototype.select = function (dbids) {
+    Viewer3D.prototype.select = function (dbids, model) {
         if (typeof dbids === "number") {
             dbids = [dbids];
         }
 
-        this.impl.selector.setSelection(dbids);
+        this.impl.selector.setSelection(dbids, model || this.model);
     };
 
 
@@ -1352,11 +1903,12 @@ define([
      * Not yet implemented for 2D.
      *
      * @param {( number[] | number)} node
+     * @param {Autodesk.Viewing.Model} [model] - the model of the nodes. By default, the main model.
      */
-    Viewer3D.prototype.hide = function (node) {
+    Viewer3D.prototype.hide = function (node, model) {
         Logger.track({ name: 'hide', aggregate: 'count' });
 
-        this.impl.visibilityManager.hide(node);
+        this.impl.visibilityManager.hide(node, model || this.model);
     };
 
     /**
@@ -1376,16 +1928,25 @@ define([
      * Not yet implemented for 2D.
      *
      * @param {( number[] | number)} node
+     * @param {Autodesk.Viewing.Model} [model] - the model of the nodes. By default, the main model.
      */
-    Viewer3D.prototype.show = function (node) {
-        this.impl.visibilityManager.show(node);
+    Viewer3D.prototype.show = function (node, model) {
+        this.impl.visibilityManager.show(node, model || this.model);
     };
 
     /**
      * Ensures everything is visible. Clears all node isolation (3D) and turns on all layers (2D).
+     * Models that were hidden with setModelVisible stay hidden.
      */
     Viewer3D.prototype.showAll = function () {
-        this.impl.visibilityManager.isolate();
+        //No models, nothing to show
+        if (!this.model)
+            return;
+
+        var models = this.getAllModels();
+        for (var i = 0; i < models.length; i++)
+            this.impl.visibilityManager.isolate(undefined, models[i]);
+
         if (this.model.is2d()) {
             this.setLayerVisible(null, true);
         }
@@ -1819,14 +2380,15 @@ define([
     };
 
     /**
-     * Fits camera to objects by ID - Fits entire model if no id is provided.
+     * Fits camera to objects by ID - Fits all visible models if no id is provided.
      * @param {array| int} [objectIds] array of Ids, or null.
+     * @param {Autodesk.Viewing.Model} [model] - the model of the objects. By default, the main model.
      */
-    Viewer3D.prototype.fitToView = function (objectIds) {
+    Viewer3D.prototype.fitToView = function (objectIds, model) {
 
         var that = this;
         var instant = true;
-        var model = that.model;
+        model = model || that.model;
 
         var fit = function () {
             var fitTo = null;
@@ -2291,6 +2853,19 @@ define([
         this.impl.setGroundShadowAlpha(alpha);
     };
 
+    /**
+     * Sets the size of the points of point cloud models.
+     *
+     * Without size attenuation points keep the same size on screen, and size is in pixels.
+     * With size attenuation points get smaller with distance, and size is in model units.
+     *
+     * @param {number} size
+     * @param {boolean=} sizeAttenuation - Keeps the current setting if not given.
+     */
+    Viewer3D.prototype.setPointSize = function (size, sizeAttenuation) {
+        this.impl.setPointSize(size, sizeAttenuation);
+    };
+
     /**
      * If enabled, set ground reflection color. This is reset to default when reflections toggled off.
      *
@@ -2603,13 +3178,29 @@ define([
      * Join a live review session.
      *
      * @param {string} [sessionId] - The live review session id to join.
+     * @param {Object} [options]
+     * @param {string} [options.serverUrl] - A self-hosted relay, see server/liveReview.js, e.g. the origin
+     * of the page. By default, the message servers of the environment.
+     * @param {string} [options.serverPath="/socket.io"] - The socket.io path of the relay.
      */
-    Viewer3D.prototype.joinLiveReview = function (sessionId) {
+    Viewer3D.prototype.joinLiveReview = function (sessionId, options) {
         if (!this.liveReviewClient) {
             this.liveReviewClient = new LiveReviewClient(this);
         }
 
         var liveReviewClient = this.liveReviewClient;
+        options = options || {};
+
+        if (options.serverUrl) {
+            //The relay serves a socket.io client that speaks its protocol
+            var serverUrl = options.serverUrl.replace(/\/$/, "");
+            var serverPath = options.serverPath || "/socket.io";
+            loadDependency("io", serverUrl + serverPath + "/socket.io.js", function () {
+                liveReviewClient.joinLiveReviewSession(sessionId, serverUrl, serverPath);
+            });
+            return;
+        }
+
         loadDependency("lmv_io", "socket.io-1.3.5.js", function () {
             liveReviewClient.joinLiveReviewSession(sessionId);
         });
@@ -2738,7 +3329,7 @@ define([
     };
 
     /** Highlight an object with a theming color that is blended with the original object's material.
-     *   @param {number}        dbId
+     *   @param {number|number[]} dbId   - one or more objects, e.g. the result of a query
      *   @param {THREE.Vector4} themingColor - (r, g, b, intensity), all in [0,1]
      *   @param [RenderModel]   model        - optional - for multi-model support
      */
@@ -2746,7 +3337,12 @@ define([
         // use default RenderModel by default
         model = model || this.model;
 
-        model.setThemingColor(dbId, color);
+        if (Array.isArray(dbId)) {
+            for (var i = 0; i < dbId.length; i++)
+                model.setThemingColor(dbId[i], color);
+        } else {
+            model.setThemingColor(dbId, color);
+        }
 
         // we changed the scene to apply theming => trigger re-render
         this.impl.invalidate(true);
@@ -2765,5 +3361,198 @@ define([
         this.impl.invalidate(true);
     }
 
+    //Calls back with true when the geometry and the object tree of a model are loaded,
+    //or with false when the model is unloaded first or has no object tree.
+    function whenModelReady(viewer, model, callback) {
+        function onTree() {
+            model.getObjectTree(function () { callback(true); }, function () { callback(false); });
+        }
+
+        if (model.isLoadDone()) {
+            onTree();
+            return;
+        }
+
+        function onEvent(e) {
+            if (e.model !== model)
+                return;
+            viewer.removeEventListener(EventType.GEOMETRY_LOADED_EVENT, onEvent);
+            viewer.removeEventListener(EventType.MODEL_UNLOADED_EVENT, onEvent);
+            if (e.type === EventType.GEOMETRY_LOADED_EVENT)
+                onTree();
+            else
+                callback(false);
+        }
+        viewer.addEventListener(EventType.GEOMETRY_LOADED_EVENT, onEvent);
+        viewer.addEventListener(EventType.MODEL_UNLOADED_EVENT, onEvent);
+    }
+
+    /**
+     * Compares two versions of a design that are loaded in the viewer, see ModelDiff.compare.
+     * Changed objects get the theming color of their change, see ModelDiff.COLORS.
+     * Of the old version, only the removed objects stay visible.
+     *
+     * The comparison starts once both models are fully loaded. The result is
+     * available with getDiff until clearDiff is called or one of the models is unloaded.
+     *
+     * @param {Autodesk.Viewing.Model} oldModel
+     * @param {Autodesk.Viewing.Model} newModel
+     * @param {Object} [options] - see ModelDiff.compare
+     * @param {function(Object)} [onSuccessCallback] - called with the result of ModelDiff.compare
+     * @param {function(Object)} [onErrorCallback]
+     */
+    Viewer3D.prototype.compareModels = function (oldModel, newModel, options, onSuccessCallback, onErrorCallback) {
+        var self = this;
+
+        this.clearDiff();
+
+        function onError(err) {
+            Logger.error("Comparing the models failed: " + (err && err.msg || "models not available"));
+            if (onErrorCallback)
+                onErrorCallback(err);
+        }
+
+        whenModelReady(this, oldModel, function (oldReady) {
+            whenModelReady(self, newModel, function (newReady) {
+                if (!oldReady || !newReady) {
+                    onError();
+                    return;
+                }
+
+                ModelDiff.compare(oldModel, newModel, options, function (diff) {
+                    //Either model may be gone by now
+                    var models = self.getAllModels();
+                    if (models.indexOf(oldModel) === -1 || models.indexOf(newModel) === -1) {
+                        onError();
+                        return;
+                    }
+
+                    self.showDiff(diff);
+
+                    if (onSuccessCallback)
+                        onSuccessCallback(diff);
+                }, onError);
+            });
+        });
+    };
+
+    /**
+     * Loads two versions of a design and compares them, see compareModels.
+     * @param {string} oldUrl
+     * @param {string} newUrl
+     * @param {Object} [options] - see ModelDiff.compare
+     * @param {Object} [options.oldModelOptions] - load options of the old version, see loadModel
+     * @param {Object} [options.newModelOptions] - load options of the new version
+     * @param {function(Object)} [onSuccessCallback] - called with the result of the comparison
+     * @param {function(Object)} [onErrorCallback]
+     * @returns {LoadHandle[]} the load handles of the old and the new version
+     */
+    Viewer3D.prototype.loadDiff = function (oldUrl, newUrl, options, onSuccessCallback, onErrorCallback) {
+        var self = this;
+        var models = [null, null];
+        var failed = false;
+
+        options = options || {};
+
+        function onLoaded(index) {
+            return function (model) {
+                models[index] = model;
+                if (models[0] && models[1])
+                    self.compareModels(models[0], models[1], options, onSuccessCallback, onErrorCallback);
+            };
+        }
+
+        function onError(errorCode, errorMessage) {
+            if (failed)
+                return;
+            failed = true;
+            if (onErrorCallback)
+                onErrorCallback({ code: errorCode, msg: errorMessage });
+        }
+
+        return [
+            this.loadModel(oldUrl, options.oldModelOptions, onLoaded(0), onError),
+            this.loadModel(newUrl, options.newModelOptions, onLoaded(1), onError)
+        ];
+    };
+
+    /**
+     * Shows the result of ModelDiff.compare, see compareModels.
+     * @param {Object} diff
+     * @private
+     */
+    Viewer3D.prototype.showDiff = function (diff) {
+        var self = this;
+
+        this.clearDiff();
+
+        var colors = {};
+        ModelDiff.TYPES.forEach(function (type) {
+            var c = ModelDiff.COLORS[type];
+            colors[type] = new THREE.Vector4(c[0], c[1], c[2], 1);
+        });
+
+        var removed = [];
+        diff.changes.forEach(function (change) {
+            if (change.type === ModelDiff.REMOVED) {
+                removed.push(change.oldDbId);
+                diff.oldModel.setThemingColor(change.oldDbId, colors[change.type]);
+            } else {
+                diff.newModel.setThemingColor(change.newDbId, colors[change.type]);
+            }
+        });
+
+        //Everything else of the old version is where the new version is
+        if (removed.length) {
+            this.setModelVisible(diff.oldModel, true);
+            this.isolate(removed, diff.oldModel);
+        } else {
+            this.setModelVisible(diff.oldModel, false);
+        }
+
+        this.diff = diff;
+        this.diffUnloadListener = function (e) {
+            if (e.model === diff.oldModel || e.model === diff.newModel)
+                self.clearDiff();
+        };
+        this.addEventListener(EventType.MODEL_UNLOADED_EVENT, this.diffUnloadListener);
+
+        this.impl.invalidate(true);
+        this.fireEvent({ type: EventType.MODEL_DIFF_CHANGED_EVENT, diff: diff });
+    };
+
+    /**
+     * @returns {Object} the result of the current comparison, see compareModels, or null
+     */
+    Viewer3D.prototype.getDiff = function () {
+        return this.diff || null;
+    };
+
+    /**
+     * Ends the comparison: removes the colors of the changes. The old version is hidden,
+     * it can be shown with setModelVisible.
+     */
+    Viewer3D.prototype.clearDiff = function () {
+        var diff = this.diff;
+        if (!diff)
+            return;
+
+        this.diff = null;
+        this.removeEventListener(EventType.MODEL_UNLOADED_EVENT, this.diffUnloadListener);
+        this.diffUnloadListener = null;
+
+        var models = this.getAllModels();
+        if (models.indexOf(diff.oldModel) !== -1) {
+            diff.oldModel.clearThemingColors();
+            this.isolate(undefined, diff.oldModel);
+            this.setModelVisible(diff.oldModel, false);
+        }
+        if (models.indexOf(diff.newModel) !== -1)
+            diff.newModel.clearThemingColors();
+
+        this.impl.invalidate(true);
+        this.fireEvent({ type: EventType.MODEL_DIFF_CHANGED_EVENT, diff: null });
+    };
+
     return Viewer3D;
 });
\ No newline at end of file
@@ -21,6 +21,7 @@ define([
     '../Core/Privite/Fn/getResourceUrl',
     '../Core/Privite/BackgroundPresets',
     '../Core/Privite/VBIntersector',
+    '../Core/Privite/MemoryBudget',
     '../Core/Logger'
 ], function(
     EventType, 
@@ -45,6 +46,7 @@ define([
     getResourceUrl,
     BackgroundPresets,
     VBIntersector,
+    MemoryBudget,
     Logger
 ) {
     'use strict';
@@ -61,6 +63,9 @@ define([
         devicePixelRatio: null
     }
 
+    //How far from the cursor, in pixels, points of point clouds can be picked
+    var POINT_PICK_TOLERANCE = 5;
+
     /** @constructor */
     function Viewer3DImpl(thecanvas, theapi) {
         var _this = this;
@@ -143,6 +148,10 @@ define([
             _renderer = new RenderContext();
             _renderer.init(_webglrender, thecanvas ? thecanvas.clientWidth : 0, thecanvas ? thecanvas.clientHeight : 0);
 
+            //No limits until setMemoryBudget is called
+            this.memoryBudget = new MemoryBudget(_webglrender);
+            _modelQueue.setMemoryBudget(this.memoryBudget);
+
             _materials = new MaterialManager(this);
 
             //this.camera = new THREE.CombinedCamera( w, h, VIEW_ANGLE, NEAR, FAR, NEAR, FAR);
@@ -876,6 +885,11 @@ define([
             this.invalidate(true, false, false);
         };
 
+        this.setPointSize = function (size, sizeAttenuation) {
+            _materials.setPointSize(size, sizeAttenuation);
+            this.invalidate(true);
+        };
+
         this.toggleGroundReflection = function (enable) {
             if ((enable && !!_groundReflection) ||
                 (!enable && !_groundReflection))
@@ -1533,6 +1547,41 @@ define([
 
             this.fireRenderOptionChanged();
             this.invalidate(true);
+
+            this.api.fireEvent({ type: EventType.MODEL_ADDED_EVENT, model: model });
+        };
+
+        /**
+         * Shows or hides a whole model, see RenderScene.setModelVisible.
+         */
+        this.setModelVisible = function (model, visible) {
+            if (!_modelQueue.setModelVisible(model, visible))
+                return;
+
+            this.sceneUpdated(false);
+            this.api.fireEvent({ type: EventType.MODEL_VISIBILITY_CHANGED_EVENT, model: model, visible: visible });
+        };
+
+        this.isModelVisible = function (model) {
+            return _modelQueue.isModelVisible(model);
+        };
+
+        this.setPlacementTransform = function (model, matrix) {
+            model.setPlacementTransform(matrix);
+            this.sceneUpdated(true);
+        };
+
+        /**
+         * Sets the memory limits for geometry, see MemoryBudget.setLimits.
+         * Models that are loaded afterwards are kept within them.
+         */
+        this.setMemoryBudget = function (limits) {
+            this.memoryBudget.setLimits(limits);
+            this.invalidate(false, true);
+        };
+
+        this.getMemoryBudgetState = function () {
+            return this.memoryBudget.getState(_modelQueue.getModels());
         };
 
         this.getSvfMaterialId = function (fragId) {
@@ -1578,6 +1627,9 @@ define([
                 m.material = material;
 
                 svf.hasLines = true;
+            } else if (threegeom.isPoints) {
+                // Point clouds are drawn with their own material, with per point colors if available
+                m.material = _materials.createPointCloudMaterial(svf, materialId, !!threegeom.attributes.color);
             } else {
                 var material = _materials.findMaterial(svf, materialId);
 
@@ -1663,10 +1715,15 @@ define([
         };
 
 
+        /**
+         * Removes a model from the scene and frees its GPU buffers, geometry and property worker.
+         * The camera and the other models are left as they are.
+         * @returns {boolean} false if the model was not in the scene
+         */
         this.unloadModel = function (model) {
 
             if (!_modelQueue.removeModel(model))
-                return; //model was not found
+                return false; //model was not found
 
             if (this.keyFrameAnimator) {
                 this.keyFrameAnimator.destroy();
@@ -1677,10 +1734,16 @@ define([
 
             _materials.cleanup(model.getData());
 
-            if (model.isLoadDone())
-                model.getData().propWorker.dtor();
-            if (model.loader)
-                model.loader.dtor();
+            if (model.loader && !model.isLoadDone() && model.loader.cancel) {
+                //Stops the workers of a load in progress, including the property worker
+                model.loader.cancel();
+            } else {
+                var propWorker = model.getData().propWorker;
+                if (propWorker)
+                    propWorker.dtor();
+                if (model.loader)
+                    model.loader.dtor();
+            }
 
             this.selector.removeModel(model);
             this.visibilityManager.removeModel(model);
@@ -1692,29 +1755,40 @@ define([
                     this.model = _modelQueue.getModels()[0];
             }
 
+            //The 2d state belongs to the sheet, the next model may be 3d
+            if (_modelQueue.isEmpty())
+                exit2DMode();
+
             this.api.fireEvent({ type: EventType.MODEL_UNLOADED_EVENT, model: model });
 
             this.invalidate(true);
+
+            return true;
+        };
+
+        //Restores transient changes to the render state made when entering 2d mode,
+        //like light preset, antialias and SAO settings,
+        //and frees GL objects specific to the 2d sheet.
+        var exit2DMode = function () {
+            if (!_this.is2d)
+                return;
+
+            _this.is2d = undefined;
+            _this.selectionMaterial2d = null;
+            _this.removeOverlayScene("selection2d");
+            _renderer.exit2DMode();
+
+            //Restore the state, but do not actually switch it here, because
+            //we don't want to spend the time on it
+            //when switching from 2d to 2d. See corresponding
+            //logic in addModel().
+            _currentLightPreset = _oldLightPreset;
         };
 
         this.unloadCurrentModel = function () {
             //Before loading a new model, restore states back to what they
-            //need to be when loading a new model. This means restoring transient
-            //changes to the render state made when entering 2d mode,
-            //like light preset, antialias and SAO settings,
-            //and freeing GL objects specific to the old model.
-            if (this.is2d) {
-                this.is2d = undefined;
-                this.selectionMaterial2d = null;
-                this.removeOverlayScene("selection2d");
-                _renderer.exit2DMode();
-
-                //Restore the state, but do not actually switch it here, because
-                //we don't want to spend the time on it
-                //when switching from 2d to 2d. See corresponding
-                //logic in addModel().
-                _currentLightPreset = _oldLightPreset;
-            }
+            //need to be when loading a new model.
+            exit2DMode();
 
             _renderer.beginScene(this.scene, this.camera, this.lights, true);
             _renderer.composeFinalFrame();
@@ -2299,6 +2373,8 @@ define([
         // Add "meshes" parameter, after we get meshes of the object using id buffer,
         // then we just need to ray intersect this object instead of all objects of the model.
         this.rayIntersect = function (ray, ignoreTransparent, dbIds, modelIds) {
+            _modelQueue.setPointPickTolerance(this.getPointPickTolerance());
+
             var result = _modelQueue.rayIntersect(ray.origin, ray.direction, ignoreTransparent, dbIds, modelIds);
 
             if (this.sceneAfter.children.length) {
@@ -2338,6 +2414,34 @@ define([
             return { dbId: dbId, fragId: fragId, "intersectPoint": intersectPoint, "face": face, "model": model };
         };
 
+        /**
+         * Returns how close to the ray a point of a point cloud has to be to get picked,
+         * see VBIntersector.pointRayCast. The tolerance is a few pixels, or the size of
+         * the points if they are bigger, converted to world units.
+         * @returns {Object} { threshold, thresholdPerUnit } - world space tolerance at the ray origin
+         *                   and its increase per unit of distance along the ray.
+         */
+        this.getPointPickTolerance = function () {
+            var camera = this.camera;
+            var pointSize = _materials.getPointSize();
+            var height = this.canvas.clientHeight || 1;
+
+            //World units per pixel, at unit distance for perspective cameras
+            var pixelSize = 2 / (camera.projectionMatrix.elements[5] * height);
+
+            var pixels = POINT_PICK_TOLERANCE;
+            var worldSize = 0;
+            if (pointSize.sizeAttenuation)
+                worldSize = 0.5 * pointSize.size;
+            else
+                pixels = Math.max(pixels, 0.5 * pointSize.size);
+
+            if (camera.isPerspective)
+                return { threshold: worldSize, thresholdPerUnit: pixels * pixelSize };
+
+            return { threshold: worldSize + pixels * pixelSize, thresholdPerUnit: 0 };
+        };
+
         this.castRayViewport = function () {
 
             var _ray;
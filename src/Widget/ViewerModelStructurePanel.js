@@ -2,8 +2,10 @@ define([
     './ModelStructurePanel',
     '../Core/EventType',
     '../i18n',
-    '../Extension/ViewerPanelMixin'
-], function(ModelStructurePanel, EventType, i18n, ViewerPanelMixin) {
+    '../Extension/ViewerPanelMixin',
+    '../Core/Logger',
+    '../Core/Privite/Fn/downloadBlob'
+], function(ModelStructurePanel, EventType, i18n, ViewerPanelMixin, Logger, downloadBlob) {
     'use strict';
     var kDefaultDocStructureConfig = {
         "click": {
@@ -21,7 +23,7 @@ define([
         options = options || {};
 
         //TODO: base this on whether search is visible or not
-        options.heightAdjustment = 75; //bigger than default because of search bar
+        options.heightAdjustment = 100; //bigger than default because of search bar and export button
 
         ModelStructurePanel.call(this, viewer.container, viewer.container.id + 'ViewerModelStructurePanel', title, options);
 
@@ -29,6 +31,7 @@ define([
         this.isMac = (navigator.userAgent.search("Mac OS") !== -1);
 
         this.initSearchBox();
+        this.initExportButton();
 
         this.prevSearchResults = [];
         this.prevSearchString = "";
@@ -43,17 +46,31 @@ define([
 
         var that = this;
 
-        that.addEventListener(that.viewer, EventType.SELECTION_CHANGED_EVENT, function (event) {
-            that.setSelection(event.nodeArray.slice());
+        //The browser shows the tree of the main model, the ids of other models are not in it
+        function isOtherModel(event) {
+            return event.model && event.model !== that.viewer.model;
+        }
+
+        //The old selection event is only fired while there is one model
+        that.addEventListener(that.viewer, EventType.AGGREGATE_SELECTION_CHANGED_EVENT, function (event) {
+            var nodes = [];
+            for (var i = 0; i < event.selections.length; i++) {
+                if (event.selections[i].model === that.viewer.model)
+                    nodes = event.selections[i].nodeArray.slice();
+            }
+            that.setSelection(nodes);
         });
         that.addEventListener(that.viewer, EventType.ISOLATE_EVENT, function (event) {
-            that.setIsolation(event.nodeIdArray.slice());
+            if (!isOtherModel(event))
+                that.setIsolation(event.nodeIdArray.slice());
         });
         that.addEventListener(that.viewer, EventType.HIDE_EVENT, function (event) {
-            that.setHidden(event.nodeIdArray.slice(), true);
+            if (!isOtherModel(event))
+                that.setHidden(event.nodeIdArray.slice(), true);
         });
         that.addEventListener(that.viewer, EventType.SHOW_EVENT, function (event) {
-            that.setHidden(event.nodeIdArray.slice(), false);
+            if (!isOtherModel(event))
+                that.setHidden(event.nodeIdArray.slice(), false);
         });
     };
 
@@ -248,19 +265,35 @@ define([
                 self.tree.setCollapsed(self.prevSearchResults[i], true, true);
             }
 
+            //All models are filtered, the tree shows the matches of the main model
             if (searchbox.value.length === 0) {
                 self.isSearching = false;
                 self.prevSearchString = "";
-                viewer.isolate();
+                viewer.getAllModels().forEach(function (model) {
+                    viewer.isolate(null, model);
+                });
             } else {
                 if (self.prevSearchString == searchbox.value)
                     return;
 
                 self.isSearching = true;
 
-                viewer.search(searchbox.value, function (resultIds) {
+                viewer.searchAllModels(searchbox.value, function (results) {
+                    var resultIds = [];
+
                     self.inSearchIsolate = true;
-                    viewer.isolate(resultIds);
+                    viewer.getAllModels().forEach(function (model) {
+                        var found = null;
+                        for (var i = 0; i < results.length; i++) {
+                            if (results[i].model === model)
+                                found = results[i].dbIds;
+                        }
+                        if (model === viewer.model && found)
+                            resultIds = found;
+
+                        //Like a single model, a model without matches is shown whole
+                        viewer.isolate(found, model);
+                    });
                     self.inSearchIsolate = false;
 
                     if (resultIds.length) {
@@ -274,7 +307,9 @@ define([
 
                     self.prevSearchResults = resultIds;
                     self.isSearching = false;
-                }, null, ["name"]);
+                }, function () {
+                    self.isSearching = false;
+                }, ["name"]);
             }
         }
 
@@ -291,5 +326,59 @@ define([
         });
     };
 
+    ViewerModelStructurePanel.prototype.initExportButton = function () {
+        var button = document.createElement("div");
+        button.className = "model-browser-export";
+        button.textContent = i18n.translate("Export properties");
+        button.setAttribute("data-i18n", "Export properties");
+        button.style.cursor = "pointer";
+        button.style.padding = "4px 10px";
+        this.scrollContainer.parentNode.insertBefore(button, this.scrollContainer);
+        this.exportButton = button;
+
+        var self = this;
+        button.addEventListener("click", function () {
+            self.exportProperties();
+        });
+    };
+
+    /**
+     * Downloads the properties of the objects in the browser as a CSV file.
+     * When the browser is filtered by the search box, only the matching objects are exported.
+     */
+    ViewerModelStructurePanel.prototype.exportProperties = function () {
+        if (this.isExporting || !this.viewer.model)
+            return;
+
+        var dbIds = null;
+        if (this.searchbox && this.searchbox.value.length)
+            dbIds = this.prevSearchResults.slice();
+
+        var fileName = (this.modelTitle || "properties").replace(/[\\/:*?"<>|]+/g, "_") + ".csv";
+        var button = this.exportButton;
+        var label = button.textContent;
+        var self = this;
+
+        function done() {
+            self.isExporting = false;
+            button.textContent = label;
+        }
+
+        this.isExporting = true;
+        this.viewer.exportProperties({
+            dbIds: dbIds,
+            format: "csv",
+            onProgress: function (count, total) {
+                button.textContent = label + " (" + Math.floor(100 * count / total) + "%)";
+            }
+        }, function (blob) {
+            done();
+            downloadBlob(blob, fileName);
+        }, function (code, msg) {
+            done();
+            Logger.error("Property export failed: " + msg);
+        });
+    };
+
     return ViewerModelStructurePanel;
 });
\ No newline at end of file
@@ -1,6 +1,8 @@
 define([
-    './ObjectContextMenu'
-], function(ObjectContextMenu) {
+    './ObjectContextMenu',
+    '../Core/ModelUnits',
+    '../Core/Privite/Fn/downloadBlob'
+], function(ObjectContextMenu, ModelUnits, downloadBlob) {
     'use strict';
     /**
      * Constructs a ViewerObjectContextMenu object.
@@ -103,6 +105,18 @@ define([
             });
         }
 
+        if (!is2d && status.hasSelected) {
+            menu.push({
+                title: "Export Selection",
+                target: [
+                    { title: "STL (mm)", target: function () { that.exportSelection("stl", ModelUnits.MILLIMETER); } },
+                    { title: "STL (in)", target: function () { that.exportSelection("stl", ModelUnits.INCH); } },
+                    { title: "OBJ (mm)", target: function () { that.exportSelection("obj", ModelUnits.MILLIMETER); } },
+                    { title: "OBJ (in)", target: function () { that.exportSelection("obj", ModelUnits.INCH); } }
+                ]
+            });
+        }
+
         if (status.hasSelected) {
             menu.push({
                 title: "Clear Selection",
@@ -114,6 +128,17 @@ define([
 
         return menu;
     };
+
+    /**
+     * Exports the selected objects and saves the file.
+     * @param {string} format - "stl" or "obj"
+     * @param {string} units - one of ModelUnits
+     */
+    ViewerObjectContextMenu.prototype.exportSelection = function (format, units) {
+        var blob = this.viewer.exportSelection(format, { units: units });
+        if (blob)
+            downloadBlob(blob, "selection." + format);
+    };
     
     return ViewerObjectContextMenu;
 });
\ No newline at end of file
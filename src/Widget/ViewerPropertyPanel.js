@@ -64,12 +64,14 @@ define([
 
         // Populate the ids with the current selection or isolation.
         //
-        this.currentModel = that.viewer.model; //TODO: getSelection needs to return something better so we know which model
-        this.currentNodeIds = that.viewer.getSelection();
-        if (this.currentNodeIds.length === 0) {
-            this.currentNodeIds = that.viewer.getIsolatedNodes();
-        } else {
+        var selection = that.viewer.getAggregateSelection();
+        if (selection.length) {
+            this.currentModel = selection[0].model;
+            this.currentNodeIds = selection[0].selection;
             this.isSelection = true; //remember that we are showing the properties of a selection so that we trump isolation.
+        } else {
+            this.currentModel = that.viewer.model;
+            this.currentNodeIds = that.viewer.getIsolatedNodes();
         }
     };
 
@@ -0,0 +1,130 @@
+define(function() {
+    'use strict';
+
+    // Compiled worker scripts by file path. Each worker runs its own copy in a fresh context.
+    var scripts = {};
+
+    function getScript(path) {
+        if (!scripts[path]) {
+            var vm = require('vm');
+            var source = require('fs').readFileSync(path, 'utf8');
+            scripts[path] = new vm.Script(source, { filename: path });
+        }
+        return scripts[path];
+    }
+
+    //Messages are handed over on a later tick, like between threads
+    function deliver(listeners, data) {
+        setImmediate(function () {
+            var e = { data: data };
+            listeners.slice().forEach(function (listener) {
+                listener(e);
+            });
+        });
+    }
+
+    //The worker script adds fields to the messages it receives,
+    //a shallow copy keeps them off the objects of the caller.
+    function copy(data) {
+        if (!data || typeof data !== "object")
+            return data;
+        var result = {};
+        for (var p in data)
+            result[p] = data[p];
+        return result;
+    }
+
+    /**
+     * @constructor
+     * Stands in for a web worker on Node.js, which has none that run our worker script.
+     * The script runs in a separate V8 context on the same thread, whose global object
+     * plays the worker scope: it is self, it posts messages back and receives ours.
+     * Messages are delivered asynchronously, but they are not cloned, so typed arrays and
+     * other objects are shared between both sides.
+     *
+     * The script reads files through Node's fs, see ViewingService, so models
+     * are opened with file system paths.
+     *
+     * @param {string} scriptPath - file system path of the worker script
+     * @param {string} [setup] - source to run in the worker scope after the script,
+     * see PropertyQuery.getWorkerSetup
+     */
+    function NodeWorker(scriptPath, setup) {
+        var vm = require('vm');
+
+        var toMain = this.listeners = [];
+        var toWorker = [];
+
+        var scope = {
+            console: console,
+            require: require,
+            Buffer: Buffer,
+            TextDecoder: TextDecoder,
+            setTimeout: setTimeout,
+            clearTimeout: clearTimeout,
+            setInterval: setInterval,
+            clearInterval: clearInterval,
+            setImmediate: setImmediate,
+
+            addEventListener: function (type, listener) {
+                if (type === 'message')
+                    toWorker.push(listener);
+            },
+            removeEventListener: function (type, listener) {
+                var index = toWorker.indexOf(listener);
+                if (index !== -1)
+                    toWorker.splice(index, 1);
+            },
+            postMessage: function (data) {
+                deliver(toMain, data);
+            },
+            close: function () {
+                toWorker.length = 0;
+            },
+            importScripts: function () {
+                throw new Error("importScripts is not available in Node.js workers");
+            }
+        };
+        scope.self = scope;
+        scope.GLOBAL = scope.global = scope;
+
+        this.scope = vm.createContext(scope);
+        this.toWorker = toWorker;
+
+        getScript(scriptPath).runInContext(this.scope);
+
+        //The script picks the file system when it knows it is on Node
+        this.scope.Autodesk.Viewing.isNodeJS = true;
+
+        if (setup)
+            vm.runInContext(setup, this.scope);
+    }
+
+    NodeWorker.prototype.constructor = NodeWorker;
+
+    NodeWorker.prototype.postMessage = function (data) {
+        if (this.toWorker)
+            deliver(this.toWorker, copy(data));
+    };
+
+    NodeWorker.prototype.addEventListener = function (type, listener) {
+        if (type === 'message' && this.listeners.indexOf(listener) === -1)
+            this.listeners.push(listener);
+    };
+
+    NodeWorker.prototype.removeEventListener = function (type, listener) {
+        var index = this.listeners.indexOf(listener);
+        if (index !== -1)
+            this.listeners.splice(index, 1);
+    };
+
+    NodeWorker.prototype.terminate = function () {
+        if (this.toWorker)
+            this.toWorker.length = 0;
+        this.listeners.length = 0;
+        this.toWorker = null;
+        this.scope = null;
+    };
+
+    return NodeWorker;
+});
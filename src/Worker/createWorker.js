@@ -1,19 +1,60 @@
-define(['../Core/Privite/Fn/getResourceUrl', './WORKER_DATA_URL'], function(getResourceUrl, W) {;
+define([
+    '../Core/Privite/Fn/getResourceUrl',
+    '../Core/Privite/Fn/pathToURL',
+    '../Core/Privite/LocalArchives',
+    '../Core/Privite/PropertyQuery',
+    '../Core/Privite/AssetCache',
+    '../Core/Privite/WorkerRequests',
+    '../Core/DeviceType',
+    './NodeWorker',
+    './WORKER_DATA_URL'
+], function(getResourceUrl, pathToURL, LocalArchives, PropertyQuery, AssetCache, WorkerRequests, DeviceType, NodeWorker, W) {;
     'use strict'
     // Create a web worker.
-    return function () {
+    // options.propertyQuery -- add structured property queries, for property workers.
+    // options.forwardRequests -- send the worker's requests through the main thread, see WorkerRequests.
+    return function (options) {
         
         var w;
 
+        // Node.js runs the worker script from disk. Local archives and the offline cache
+        // are browser features, so only the operations added after the script apply.
+        if (DeviceType.isNodeJS) {
+            w = new NodeWorker(getResourceUrl(LMV_WORKER_URL).split("?")[0],
+                               (options && options.propertyQuery) ? PropertyQuery.getWorkerSetup() : "");
+            w.doOperation = w.postMessage;
+            return w;
+        }
+
         // When we are not at release mode, create web worker directly from URL.
-        if (ENABLE_INLINE_WORKER) {
-            w = new Worker(W.WORKER_DATA_URL);
+        var url = ENABLE_INLINE_WORKER ? W.WORKER_DATA_URL : getResourceUrl(LMV_WORKER_URL);
+
+        // Models opened from local files are requested with archive URLs, which the worker
+        // can only fetch if its requests are redirected before the worker script loads.
+        var before = LocalArchives.hasArchives() ? LocalArchives.getWorkerSetup() : "";
+
+        // The offline cache goes first, so that archive URLs are already redirected to
+        // blob URLs, which it leaves alone, when its request hooks see them.
+        if (AssetCache.isEnabled())
+            before = AssetCache.getWorkerSetup() + before;
+
+        // Forwarding is the innermost hook, only what is not in the cache leaves the worker.
+        if (options && options.forwardRequests)
+            before = WorkerRequests.getWorkerSetup() + before;
+
+        // Operations the worker script does not have are added once it has loaded.
+        var after = (options && options.propertyQuery) ? PropertyQuery.getWorkerSetup() : "";
+
+        // The bootstrap runs from a blob, so the script needs an absolute URL.
+        if (before || after) {
+            var bootstrap = before + "importScripts(" + JSON.stringify(pathToURL(url)) + ");\n" + after;
+            w = new Worker(URL.createObjectURL(new Blob([bootstrap], { type: "application/javascript" })));
         } else {
-            w = new Worker(getResourceUrl(LMV_WORKER_URL));
+            w = new Worker(url);
         }
 
         w.doOperation = w.postMessage;
 
         return w;
     };
-});
\ No newline at end of file
+});
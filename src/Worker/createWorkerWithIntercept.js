@@ -1,10 +1,28 @@
 define([
     './createWorker',
-    '../Core/Privite/Global'
-], function(createWorker, Private_Global) {
+    '../Core/Privite/Global',
+    '../Core/Privite/ViewingService'
+], function(createWorker, Private_Global, ViewingService) {
     'use strict';
-    return function () {
-        var worker = createWorker();
+    return function (options) {
+        // Interceptors and transports registered with ViewingService run on the main thread,
+        // so the worker has to hand its requests over.
+        if (ViewingService.hasRequestHandlers()) {
+            var workerOptions = { forwardRequests: true };
+            for (var name in options)
+                workerOptions[name] = options[name];
+            options = workerOptions;
+        }
+
+        var worker = createWorker(options);
+
+        // One listener of its own, since checkEvent runs once per intercepted listener
+        if (options && options.forwardRequests) {
+            worker.addEventListener('message', function (e) {
+                if (e.data && e.data.workerRequest)
+                    ViewingService.sendWorkerRequest(worker, e.data.workerRequest);
+            }, false);
+        }
 
         worker.checkEvent = function (e) {
             if (e.data && e.data.assetRequest) {
@@ -13,6 +31,9 @@ define([
                 }
                 return true;
             }
+            if (e.data && e.data.workerRequest) {
+                return true;
+            }
             return false;
         };
 
@@ -1,7 +1,10 @@
 define([
     '../Core/Privite/Fn/getResourceUrl',
+    '../Core/Privite/ViewingService',
+    '../Core/Privite/AssetCache',
+    '../Core/Logger',
     './WORKER_DATA_URL'
-], function(getResourceUrl, W) {
+], function(getResourceUrl, ViewingService, AssetCache, Logger, W) {
     'use strict';
     // A cache of entire worker script as data URL.
     // var WORKER_DATA_URL = null;
@@ -9,19 +12,19 @@ define([
     var WORKER_FETCHING_CALLBACKS = [];
 
 
-    return  function (successCB, errorCB) {
+    function initWorkerScript(successCB, errorCB) {
 
         if (ENABLE_INLINE_WORKER && !W.WORKER_DATA_URL) {
 
             WORKER_FETCHING_CALLBACKS.push({
-                successCB: successCB
+                successCB: successCB,
+                errorCB: errorCB
             });
 
             if (WORKER_FETCHING_SCRIPT) {
                 return;
             }
 
-            var xhr = new XMLHttpRequest();
             var scriptURL = LMV_WORKER_URL;
 
             // We need to request the same version of the library for this worker.  Take the original
@@ -33,10 +36,9 @@ define([
                 scriptURL = originalScriptURL;
             }
 
-            xhr.open("GET", scriptURL, true);
-            xhr.withCredentials = false;
-
-            xhr.onload = function () {
+            // Goes through the offline cache like the model files, so that models
+            // downloaded for offline use open without network.
+            var onLoad = function (responseText) {
 
                 // Set up global cached worker script.
                 WORKER_FETCHING_SCRIPT = false;
@@ -44,11 +46,11 @@ define([
                 window.URL = window.URL || window.webkitURL;
 
                 try {
-                    blob = new Blob([xhr.responseText], { type: 'application/javascript' });
+                    blob = new Blob([responseText], { type: 'application/javascript' });
                 } catch (e) {
                     // Backward compatibility.
                     blob = new BlobBuilder();
-                    blob.append(xhr.responseText);
+                    blob.append(responseText);
                     blob = blob.getBlob();
                 }
                 W.WORKER_DATA_URL = URL.createObjectURL(blob);
@@ -60,13 +62,34 @@ define([
                 }
             };
 
+            // Everyone waiting gets the error, the next call tries again.
+            var onError = function (status, statusText) {
+                WORKER_FETCHING_SCRIPT = false;
+                Logger.error("Failed to load the worker script " + scriptURL + ": " + status + " " + statusText);
+
+                var callbacks = WORKER_FETCHING_CALLBACKS.concat(); // Shallow copy
+                WORKER_FETCHING_CALLBACKS = [];
+                for (var i = 0; i < callbacks.length; ++i) {
+                    callbacks[i].errorCB && callbacks[i].errorCB(status, statusText);
+                }
+            };
+
             WORKER_FETCHING_SCRIPT = true;
-            xhr.send();
+            ViewingService.rawGet(null, null, scriptURL, onLoad, onError,
+                                  { responseType: "text", withCredentials: false, skipAssetCallback: true });
 
         } else {
             if (successCB)
                 successCB();
         }
 
+    }
+
+    // Workers are created with the models the offline cache knows about, which are
+    // read from the cache when it is configured.
+    return function (successCB, errorCB) {
+        AssetCache.whenReady(function () {
+            initWorkerScript(successCB, errorCB);
+        });
     };
 });
\ No newline at end of file
@@ -0,0 +1,216 @@
+var test = require('node:test');
+var assert = require('assert');
+var fakeIndexedDB = require('fake-indexeddb');
+var viewerModules = require('./support/viewerModules');
+
+//The cache runs on the global object of the page or the worker
+global.self = global;
+
+var AssetCache = viewerModules('Core/Privite/AssetCache');
+
+function createStore(maxSize, models) {
+    var scope = {
+        indexedDB: new fakeIndexedDB.IDBFactory(),
+        URL: URL,
+        TextEncoder: TextEncoder,
+        TextDecoder: TextDecoder,
+        Blob: Blob
+    };
+    return AssetCache.createAssetStore(scope, { maxSize: maxSize }, models || []);
+}
+
+function bytes(text) {
+    return new Uint8Array(Buffer.from(text)).buffer;
+}
+
+function text(buffer) {
+    return Buffer.from(buffer).toString();
+}
+
+function wait(ms) {
+    return new Promise(function (resolve) { setTimeout(resolve, ms); });
+}
+
+//Enables the cache on an empty database
+function configure(options) {
+    global.indexedDB = new fakeIndexedDB.IDBFactory();
+    AssetCache.configure(options);
+}
+
+//The store and cache calls take callbacks
+function call(fn) {
+    var args = Array.prototype.slice.call(arguments, 1);
+    return new Promise(function (resolve) {
+        fn.apply(null, args.concat(resolve));
+    });
+}
+
+test('files are keyed by their http URL without query, and versioned models are cache first', function () {
+    var store = createStore(1000, [
+        { key: "http://host/models/", version: "1" },
+        { key: "http://host/models/house/", version: null },
+        { key: "urn:adsk.objects:bridge", version: "3" }
+    ]);
+
+    assert.strictEqual(store.keyOf("http://host/models/house/0.pf?session=1#top"), "http://host/models/house/0.pf");
+    assert.strictEqual(store.keyOf("blob:http://host/1234"), null);
+    assert.strictEqual(store.keyOf("archive:1/0.pf"), null);
+    assert.strictEqual(store.keyOf("file:///models/0.pf"), null);
+    assert.strictEqual(store.keyOf("models/0.pf"), null);
+
+    //The model with the longest key wins
+    assert.strictEqual(store.isCacheFirst("http://host/models/tower/0.pf"), true);
+    assert.strictEqual(store.isCacheFirst("http://host/models/house/0.pf"), false);
+    assert.strictEqual(store.isCacheFirst("https://api/derivatives/urn:adsk.objects:bridge/0.pf"), true);
+    assert.strictEqual(store.isCacheFirst("http://other/0.pf"), false);
+});
+
+test('cached responses are converted to the response type of the request', function () {
+    var store = createStore(1000);
+
+    var data = new Uint8Array([0, 104, 105, 0]).subarray(1, 3);
+    var entry = store.entryFromResponse(data);
+    assert.strictEqual(entry.kind, "bytes");
+    assert.strictEqual(text(entry.data), "hi");
+    assert.strictEqual(store.responseFromEntry(entry, "text"), "hi");
+    assert.strictEqual(store.responseFromEntry(entry, "", true), "hi");
+
+    //Bytes read as text are stored as bytes
+    entry = store.entryFromResponse("ÿ\u0001", true);
+    assert.deepStrictEqual(Array.from(new Uint8Array(entry.data)), [255, 1]);
+
+    entry = store.entryFromResponse({ name: "house" });
+    assert.strictEqual(entry.kind, "json");
+    assert.strictEqual(text(store.responseFromEntry(entry, "arraybuffer")), '{"name":"house"}');
+    assert.ok(store.responseFromEntry(entry, "blob") instanceof Blob);
+
+    entry = store.entryFromResponse('{"name":"house"}');
+    assert.strictEqual(entry.kind, "text");
+    assert.deepStrictEqual(store.responseFromEntry(entry, "json"), { name: "house" });
+
+    assert.strictEqual(store.entryFromResponse(undefined), null);
+});
+
+test('the least recently used files are evicted, except those of pinned models', async function () {
+    var store = createStore(6, [{ key: "http://host/offline/", pinned: true }]);
+
+    assert.strictEqual(await call(store.put, "http://host/offline/0.pf", { kind: "bytes", data: bytes("1234") }), true);
+    await wait(5);
+    assert.strictEqual(await call(store.put, "http://host/old.json", { kind: "bytes", data: bytes("5678") }), true);
+    await wait(5);
+    assert.strictEqual(await call(store.put, "http://host/new.json", { kind: "bytes", data: bytes("abcd") }), true);
+    await wait(5);
+
+    //Larger than the whole cache
+    assert.strictEqual(await call(store.put, "http://host/big.bin", { kind: "bytes", data: bytes("0123456789ab") }), false);
+
+    //Reading a file makes it the most recently used
+    var entry = await call(store.get, "http://host/old.json?session=2");
+    assert.strictEqual(text(entry.data), "5678");
+
+    await call(store.evict);
+
+    assert.strictEqual(await call(store.get, "http://host/new.json"), null);
+    assert.ok(await call(store.get, "http://host/old.json"));
+    assert.ok(await call(store.get, "http://host/offline/0.pf"));
+    assert.deepStrictEqual(await call(store.getUsage), { size: 8, files: 2 });
+
+    await call(store.removeFiles, "http://host/offline/");
+    assert.deepStrictEqual(await call(store.getUsage), { size: 4, files: 1 });
+});
+
+test('requests go to the network first and fall back to the cache when the server is unreachable', async function () {
+    configure({ maxSize: 1000 });
+    await call(AssetCache.whenReady);
+    assert.strictEqual(AssetCache.isEnabled(), true);
+
+    var url = "http://host/models/house/manifest.json";
+    var get = function (response) {
+        return new Promise(function (resolve) {
+            var handled = AssetCache.get(url, "json", function (onSuccess, onFailure) {
+                if (typeof response === "number")
+                    onFailure(response, "Failed");
+                else
+                    onSuccess(response);
+            }, function (data) {
+                resolve({ data: data });
+            }, function (status) {
+                resolve({ status: status });
+            });
+            assert.strictEqual(handled, true);
+        });
+    };
+
+    assert.deepStrictEqual(await get({ version: 1 }), { data: { version: 1 } });
+    await wait(10);
+
+    assert.deepStrictEqual(await get({ version: 2 }), { data: { version: 2 } });
+    await wait(10);
+
+    //No response, or a server error
+    assert.deepStrictEqual(await get(0), { data: { version: 2 } });
+    assert.deepStrictEqual(await get(503), { data: { version: 2 } });
+
+    //The server answered
+    assert.deepStrictEqual(await get(404), { status: 404 });
+
+    assert.strictEqual(AssetCache.get("blob:http://host/1", "json", null, null, null), false);
+});
+
+test('the files of a model with a version come from the cache until the version changes', async function () {
+    configure({ maxSize: 1000 });
+    await call(AssetCache.whenReady);
+
+    var url = "http://host/urn:adsk.objects:tower/output/0.pf";
+    var key = AssetCache.getModelKey(url);
+    assert.strictEqual(key, "urn:adsk.objects:tower");
+    assert.strictEqual(AssetCache.getModelKey("http://host/models/house/0.svf"), "http://host/models/house/");
+
+    var requests = 0;
+    var get = function () {
+        return new Promise(function (resolve, reject) {
+            AssetCache.get(url, "arraybuffer", function (onSuccess) {
+                requests++;
+                onSuccess(new Uint8Array(bytes("network")));
+            }, resolve, reject);
+        });
+    };
+
+    //Files cached before the model had a version may be of any version
+    await call(AssetCache.put, url, bytes("stale"));
+    await call(AssetCache.setModelVersion, key, "1");
+    assert.deepStrictEqual(await call(AssetCache.getUsage), { size: 0, files: 0 });
+    assert.deepStrictEqual(AssetCache.getModels().map(function (m) { return m.version; }), ["1"]);
+
+    assert.strictEqual(await call(AssetCache.put, url, bytes("cached")), true);
+    var data = await get();
+    assert.ok(data instanceof Uint8Array);
+    assert.strictEqual(text(data), "cached");
+    assert.strictEqual(requests, 0);
+
+    //Same version, nothing changes
+    await call(AssetCache.setModelVersion, key, "1");
+    assert.strictEqual(text(await get()), "cached");
+
+    await call(AssetCache.setModelVersion, key, "2");
+    assert.strictEqual(text(await get()), "network");
+    assert.strictEqual(requests, 1);
+    await wait(10);
+
+    //The worker setup carries the registered models
+    assert.ok(AssetCache.getWorkerSetup().indexOf('"version":"2"') !== -1);
+
+    await call(AssetCache.removeModel, key);
+    assert.deepStrictEqual(AssetCache.getModels(), []);
+    assert.strictEqual((await call(AssetCache.getUsage)).files, 0);
+});
+
+test('nothing is cached when the cache is disabled', async function () {
+    configure({ enabled: false });
+
+    assert.strictEqual(AssetCache.isEnabled(), false);
+    assert.strictEqual(AssetCache.getWorkerSetup(), "");
+    assert.strictEqual(AssetCache.get("http://host/0.pf", "arraybuffer", null, null, null), false);
+    assert.strictEqual(await call(AssetCache.put, "http://host/0.pf", bytes("data")), false);
+    await call(AssetCache.whenReady);
+});
@@ -0,0 +1,132 @@
+var test = require('node:test');
+var assert = require('assert');
+var viewerModules = require('./support/viewerModules');
+
+var DxfLoader = viewerModules('Core/Privite/DxfLoader');
+var PackageBuilder = viewerModules('Core/Privite/PackageBuilder');
+
+//A DXF file from its group code and value pairs
+function toDxf(groups) {
+    var lines = [];
+    for (var i = 0; i < groups.length; i += 2)
+        lines.push(String(groups[i]), String(groups[i + 1]));
+    return new Uint8Array(Buffer.from(lines.join("\r\n") + "\r\n"));
+}
+
+function parse(groups, options, callback) {
+    var loader = new DxfLoader(null);
+    loader.currentLoadPath = "plans/floor.dxf";
+    loader.options = options;
+    loader.parse(toDxf(groups), callback);
+}
+
+function findObject(svf, name) {
+    return svf.objects.filter(function (obj) { return obj && obj.name === name; })[0];
+}
+
+function propertyValue(obj, name) {
+    var props = obj.properties.filter(function (p) { return p.displayName === name; });
+    return props.length ? props[0].displayValue : undefined;
+}
+
+var FLOOR = [
+    0, "SECTION", 2, "HEADER",
+    9, "$ACADVER", 1, "AC1027",
+    9, "$INSUNITS", 70, 4,
+    0, "ENDSEC",
+    0, "SECTION", 2, "TABLES",
+    0, "TABLE", 2, "LAYER",
+    0, "LAYER", 2, "Walls", 62, 1, 70, 0,
+    0, "LAYER", 2, "Furniture", 62, -3, 70, 0,
+    0, "ENDTAB",
+    0, "ENDSEC",
+    0, "SECTION", 2, "BLOCKS",
+    0, "BLOCK", 2, "Door", 10, 0, 20, 0,
+    0, "LINE", 8, "0", 10, 0, 20, 0, 11, 1, 21, 0,
+    0, "ENDBLK",
+    0, "ENDSEC",
+    0, "SECTION", 2, "ENTITIES",
+    0, "LINE", 5, "1A", 8, "Walls", 10, 0, 20, 0, 11, 3, 21, 4,
+    0, "CIRCLE", 8, "Furniture", 10, 10, 20, 10, 40, 2,
+    0, "INSERT", 8, "Walls", 66, 1, 2, "Door", 10, 5, 20, 0,
+    0, "ATTRIB", 8, "Walls", 2, "TAG", 1, "D-01", 10, 5, 20, 1, 40, 0.5,
+    0, "SEQEND",
+    0, "LINE", 8, "Walls", 67, 1, 10, 0, 20, 0, 11, 100, 21, 100,
+    0, "3DSOLID", 8, "Walls",
+    0, "ENDSEC",
+    0, "EOF"
+];
+
+test('model space entities are objects under their layers, with their DXF data', function (t, done) {
+    parse(FLOOR, {}, function (err, svf) {
+        assert.ifError(err);
+
+        var root = svf.objects[1];
+        assert.strictEqual(root.name, "floor");
+        assert.strictEqual(propertyValue(root, "Version"), "AC1027");
+
+        var walls = findObject(svf, "Walls");
+        assert.strictEqual(walls.flags, PackageBuilder.NODE_TYPE_LAYER);
+        assert.strictEqual(walls.parent, root.dbId);
+
+        //The paper space line and the unsupported solid are left out
+        var names = walls.children.map(function (id) { return svf.objects[id].name; });
+        assert.deepStrictEqual(names, ["Line", "Door"]);
+
+        var line = svf.objects[walls.children[0]];
+        assert.strictEqual(line.externalId, "handle:1A");
+        assert.strictEqual(propertyValue(line, "Length"), 5);
+        assert.strictEqual(propertyValue(line, "Color"), "ByLayer");
+
+        var door = svf.objects[walls.children[1]];
+        assert.strictEqual(propertyValue(door, "Block"), "Door");
+        assert.strictEqual(propertyValue(door, "TAG"), "D-01");
+
+        var circle = findObject(svf, "Circle");
+        assert.strictEqual(propertyValue(circle, "Radius"), 2);
+        done();
+    });
+});
+
+test('DXF layers are drawing layers, off when their color is negative', function (t, done) {
+    parse(FLOOR, {}, function (err, svf) {
+        assert.ifError(err);
+
+        assert.strictEqual(svf.is2d, true);
+        var layers = svf.metadata.layers;
+        var names = Object.keys(layers).map(function (index) { return layers[index].name; });
+        //Layer 0 is added for the line of the block, which is not in the layer table
+        assert.deepStrictEqual(names, ["Walls", "Furniture", "0"]);
+        assert.deepStrictEqual(svf.hiddenLayers, [layers[2].index]);
+
+        //$INSUNITS 4 is millimeters
+        assert.strictEqual(svf.metadata.page_dimensions.page_units, "mm");
+
+        //The objects are found in the fragments that draw them
+        var circle = findObject(svf, "Circle");
+        assert.ok(svf.fragments.dbId2fragId[circle.dbId] !== undefined);
+        assert.ok(svf.bbox.max.x >= 12 && svf.bbox.max.y >= 12);
+        done();
+    });
+});
+
+test('the units load option wins over the drawing units', function (t, done) {
+    parse(FLOOR, { units: "in" }, function (err, svf) {
+        assert.ifError(err);
+        assert.strictEqual(svf.metadata.page_dimensions.page_units, "in");
+        done();
+    });
+});
+
+test('binary DXF files and drawings without entities are errors', function (t, done) {
+    var loader = new DxfLoader(null);
+    loader.options = {};
+    loader.parse(new Uint8Array(Buffer.from("AutoCAD Binary DXF\r\n\u001a\u0000")), function (err) {
+        assert.match(err, /Binary DXF files are not supported/);
+
+        parse([0, "SECTION", 2, "ENTITIES", 0, "ENDSEC", 0, "EOF"], {}, function (err) {
+            assert.match(err, /No entities found/);
+            done();
+        });
+    });
+});
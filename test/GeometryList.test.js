@@ -0,0 +1,49 @@
+var test = require('node:test');
+var assert = require('assert');
+var viewerModules = require('./support/viewerModules');
+var createModel = require('./support/createModel');
+
+var PackageBuilder = viewerModules('Core/Privite/PackageBuilder');
+var VBUtils = viewerModules('Core/Privite/VBUtils');
+
+//Two parts with a mesh each
+function createPartsModel() {
+    var builder = new PackageBuilder();
+    var root = builder.addObject(0, "Parts", PackageBuilder.NODE_TYPE_MODEL, [], "root");
+
+    for (var i = 0; i < 2; i++) {
+        var mesh = builder.addMesh(VBUtils.createMeshes({
+            positions: new Float32Array([0, 0, i, 1, 0, i, 0, 1, i]),
+            indices: [0, 1, 2]
+        })[0]);
+        builder.addFragment(builder.addObject(root, "Part " + i, PackageBuilder.NODE_TYPE_GEOMETRY, []), mesh, 0);
+    }
+
+    return createModel(builder.build());
+}
+
+test('disposing frees the GPU buffers and drops the geometry', function () {
+    var geoms = createPartsModel().getGeometryList();
+    var loaded = geoms.geoms.filter(Boolean);
+    assert.strictEqual(loaded.length, 2);
+    assert.ok(geoms.geomMemory > 0);
+
+    var freed = [];
+    geoms.dispose({ deallocateGeometry: function (geometry) { freed.push(geometry); } });
+
+    assert.deepStrictEqual(freed, loaded);
+    assert.deepStrictEqual(geoms.geoms, [null]);
+    assert.strictEqual(geoms.getGeometry(1), undefined);
+    assert.strictEqual(geoms.numGeomsInMemory, 0);
+    assert.strictEqual(geoms.geomMemory, 0);
+    assert.strictEqual(geoms.gpuMeshMemory, 0);
+    assert.strictEqual(geoms.gpuNumMeshes, 0);
+});
+
+test('without a renderer, the geometry is dropped all the same', function () {
+    var geoms = createPartsModel().getGeometryList();
+    geoms.dispose(null);
+
+    assert.deepStrictEqual(geoms.geoms, [null]);
+    assert.strictEqual(geoms.geomMemory, 0);
+});
@@ -0,0 +1,120 @@
+var test = require('node:test');
+var assert = require('assert');
+var viewerModules = require('./support/viewerModules');
+var createModel = require('./support/createModel');
+
+var GltfExporter = viewerModules('Core/Privite/GltfExporter');
+var GltfLoader = viewerModules('Core/Privite/GltfLoader');
+var PackageBuilder = viewerModules('Core/Privite/PackageBuilder');
+var VBUtils = viewerModules('Core/Privite/VBUtils');
+
+//A Z up model in millimeters: two parts sharing a triangle, the second one moved along x
+function createBracketModel() {
+    var builder = new PackageBuilder();
+
+    var triangle = builder.addMesh(VBUtils.createMeshes({
+        positions: new Float32Array([0, 0, 0, 1000, 0, 0, 0, 1000, 0]),
+        indices: [0, 1, 2]
+    })[0]);
+
+    var root = builder.addObject(0, "Bracket", PackageBuilder.NODE_TYPE_MODEL, [], "root");
+    var assembly = builder.addObject(root, "Assembly", PackageBuilder.NODE_TYPE_ASSEMBLY, []);
+    var left = builder.addObject(assembly, "Left", PackageBuilder.NODE_TYPE_GEOMETRY, []);
+    var right = builder.addObject(assembly, "Right", PackageBuilder.NODE_TYPE_GEOMETRY, []);
+
+    builder.addFragment(left, triangle, 0);
+    builder.addFragment(right, triangle, 0, new THREE.Matrix4().makeTranslation(2000, 0, 0));
+
+    var svf = builder.build({
+        "distance unit": { value: "mm" },
+        "world up vector": { XYZ: [0, 0, 1] }
+    });
+    svf.name = "Bracket";
+
+    return { model: createModel(svf), ids: { root: root, assembly: assembly, left: left, right: right } };
+}
+
+//Reads back an exported GLB with the glTF loader
+function reload(blob, callback) {
+    blob.arrayBuffer().then(function (buffer) {
+        new GltfLoader(null).parse(new Uint8Array(buffer), callback);
+    });
+}
+
+function findNode(json, name) {
+    return json.nodes.filter(function (node) { return node.name === name; })[0];
+}
+
+function readJson(blob, callback) {
+    blob.arrayBuffer().then(function (buffer) {
+        var view = new DataView(buffer);
+        var length = view.getUint32(12, true);
+        callback(JSON.parse(Buffer.from(buffer, 20, length).toString()));
+    });
+}
+
+test('the exported GLB follows the instance tree and shares the geometry', function (t, done) {
+    var bracket = createBracketModel();
+    var blob = GltfExporter.exportGlb(bracket.model);
+
+    assert.strictEqual(blob.type, "model/gltf-binary");
+
+    readJson(blob, function (json) {
+        assert.strictEqual(json.asset.version, "2.0");
+
+        //The nodes of the parts take over their mesh
+        var left = findNode(json, "Left"), right = findNode(json, "Right");
+        assert.strictEqual(left.mesh, right.mesh);
+        assert.strictEqual(json.meshes.length, 1);
+        assert.strictEqual(left.extras.dbId, bracket.ids.left);
+        assert.deepStrictEqual(right.matrix.slice(12), [2000, 0, 0, 1]);
+
+        var assembly = findNode(json, "Assembly");
+        assert.deepStrictEqual(assembly.children.map(function (i) { return json.nodes[i].name; }), ["Left", "Right"]);
+
+        //Millimeters to meters, Z up to Y up
+        var root = json.nodes[json.scenes[0].nodes[0]];
+        assert.strictEqual(root.name, "Bracket");
+        assert.deepStrictEqual(root.matrix, [0.001, 0, 0, 0, 0, 0, -0.001, 0, 0, 0.001, 0, 0, 0, 0, 0, 1]);
+
+        assert.strictEqual(json.materials.length, 1);
+        assert.ok(json.materials[0].pbrMetallicRoughness);
+        done();
+    });
+});
+
+test('the exported GLB loads back with the same geometry', function (t, done) {
+    var blob = GltfExporter.exportGlb(createBracketModel().model);
+
+    reload(blob, function (err, svf) {
+        assert.ifError(err);
+
+        assert.strictEqual(svf.fragments.length, 2);
+        assert.strictEqual(svf.meshes.length, 1);
+
+        //In meters and Y up: the triangles lie in the y = 0 plane, along -z
+        var min = svf.bbox.min.toArray(), max = svf.bbox.max.toArray();
+        [[0, 0, -1], [3, 0, 0]].forEach(function (expected, i) {
+            var actual = i ? max : min;
+            for (var k = 0; k < 3; k++)
+                assert.ok(Math.abs(actual[k] - expected[k]) < 1e-6, "bbox " + actual + " expected " + expected);
+        });
+        done();
+    });
+});
+
+test('only the given nodes are exported', function (t, done) {
+    var bracket = createBracketModel();
+    var blob = GltfExporter.exportGlb(bracket.model, { dbIds: [bracket.ids.right] });
+
+    readJson(blob, function (json) {
+        assert.ok(findNode(json, "Right"));
+        assert.strictEqual(findNode(json, "Left"), undefined);
+        done();
+    });
+});
+
+test('there is nothing to export without loaded geometry', function () {
+    var bracket = createBracketModel();
+    assert.strictEqual(GltfExporter.exportGlb(bracket.model, { dbIds: [] }), null);
+});
@@ -0,0 +1,177 @@
+var test = require('node:test');
+var assert = require('assert');
+var viewerModules = require('./support/viewerModules');
+
+var GltfLoader = viewerModules('Core/Privite/GltfLoader');
+var PackageBuilder = viewerModules('Core/Privite/PackageBuilder');
+
+//A triangle in the z = 0 plane, with its indices
+function triangleBuffer() {
+    var positions = new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0]);
+    var indices = new Uint16Array([0, 1, 2, 0]); //padded to 4 bytes
+    var bytes = Buffer.alloc(positions.byteLength + indices.byteLength);
+    Buffer.from(positions.buffer).copy(bytes, 0);
+    Buffer.from(indices.buffer).copy(bytes, positions.byteLength);
+    return bytes;
+}
+
+function triangleJson(buffer) {
+    return {
+        asset: { version: "2.0", generator: "viewer tests" },
+        scene: 0,
+        scenes: [{ name: "Scene", nodes: [0] }],
+        nodes: [
+            { name: "Assembly", translation: [10, 0, 0], children: [1] },
+            { name: "Part", mesh: 0, extras: { Material: "Steel", Weight: 2.5 } }
+        ],
+        meshes: [{ name: "Triangle", primitives: [{ attributes: { POSITION: 0 }, indices: 1 }] }],
+        accessors: [
+            { bufferView: 0, componentType: 5126, count: 3, type: "VEC3", min: [0, 0, 0], max: [1, 1, 0] },
+            { bufferView: 1, componentType: 5123, count: 3, type: "SCALAR" }
+        ],
+        bufferViews: [
+            { buffer: 0, byteOffset: 0, byteLength: 36 },
+            { buffer: 0, byteOffset: 36, byteLength: 6 }
+        ],
+        buffers: [buffer]
+    };
+}
+
+function toGlb(json, bin) {
+    var text = Buffer.from(JSON.stringify(json));
+    var jsonChunk = Buffer.concat([text, Buffer.alloc((4 - text.length % 4) % 4, 0x20)]);
+
+    var header = Buffer.alloc(12);
+    header.writeUInt32LE(0x46546C67, 0);
+    header.writeUInt32LE(2, 4);
+    header.writeUInt32LE(12 + 8 + jsonChunk.length + 8 + bin.length, 8);
+
+    function chunkHeader(length, type) {
+        var b = Buffer.alloc(8);
+        b.writeUInt32LE(length, 0);
+        b.writeUInt32LE(type, 4);
+        return b;
+    }
+
+    return new Uint8Array(Buffer.concat([
+        header,
+        chunkHeader(jsonChunk.length, 0x4E4F534A), jsonChunk,
+        chunkHeader(bin.length, 0x004E4942), bin
+    ]));
+}
+
+function parse(data, callback) {
+    var loader = new GltfLoader(null);
+    loader.parse(data, callback);
+}
+
+function findObject(svf, name) {
+    return svf.objects.filter(function (obj) { return obj && obj.name === name; })[0];
+}
+
+function propertyValue(obj, name) {
+    var props = obj.properties.filter(function (p) { return p.displayName === name; });
+    return props.length ? props[0].displayValue : undefined;
+}
+
+test('a GLB becomes a package with the node hierarchy as objects', function (t, done) {
+    var bin = triangleBuffer();
+    var glb = toGlb(triangleJson({ byteLength: bin.length }), bin);
+
+    parse(glb, function (err, svf) {
+        assert.ifError(err);
+
+        var root = svf.objects[1];
+        assert.strictEqual(root.name, "Scene");
+        assert.strictEqual(root.flags, PackageBuilder.NODE_TYPE_MODEL);
+        assert.strictEqual(propertyValue(root, "Generator"), "viewer tests");
+
+        var assembly = findObject(svf, "Assembly");
+        var part = findObject(svf, "Part");
+        assert.strictEqual(assembly.parent, root.dbId);
+        assert.strictEqual(part.parent, assembly.dbId);
+        assert.strictEqual(part.externalId, "node1");
+
+        assert.strictEqual(propertyValue(part, "Mesh"), "Triangle");
+        assert.strictEqual(propertyValue(part, "Material"), "Steel");
+        assert.strictEqual(propertyValue(part, "Weight"), 2.5);
+
+        assert.strictEqual(svf.fragments.length, 1);
+        assert.strictEqual(svf.fragments.fragId2dbId[0], part.dbId);
+        assert.deepStrictEqual(part.fragIds, [0]);
+        assert.strictEqual(svf.fragments.polygonCounts[0], 1);
+
+        //The translation of the parent node applies to the mesh of the child
+        assert.deepStrictEqual(svf.bbox.min.toArray(), [10, 0, 0]);
+        assert.deepStrictEqual(svf.bbox.max.toArray(), [11, 1, 0]);
+
+        assert.strictEqual(svf.metadata["distance unit"].value, "m");
+        assert.deepStrictEqual(svf.metadata["world up vector"].XYZ, [0, 1, 0]);
+        done();
+    });
+});
+
+test('a .gltf with an embedded buffer is read, and strips become triangle lists', function (t, done) {
+    var positions = new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0, 1, 1, 0]);
+    var json = {
+        asset: { version: "2.0" },
+        nodes: [{ name: "Quad", mesh: 0 }],
+        meshes: [{ primitives: [{ attributes: { POSITION: 0 }, mode: 5 }] }],
+        accessors: [{ bufferView: 0, componentType: 5126, count: 4, type: "VEC3" }],
+        bufferViews: [{ buffer: 0, byteLength: positions.byteLength }],
+        buffers: [{
+            byteLength: positions.byteLength,
+            uri: "data:application/octet-stream;base64," + Buffer.from(positions.buffer).toString("base64")
+        }]
+    };
+
+    parse(new Uint8Array(Buffer.from(JSON.stringify(json))), function (err, svf) {
+        assert.ifError(err);
+
+        //Without a scene, the nodes that are nobody's child are the roots
+        var quad = findObject(svf, "Quad");
+        assert.strictEqual(quad.parent, 1);
+        assert.strictEqual(svf.meshes[0].triangleCount, 2);
+        assert.deepStrictEqual(svf.bbox.max.toArray(), [1, 1, 0]);
+        done();
+    });
+});
+
+test('the mesh of a node with children goes to an extra geometry child', function (t, done) {
+    var bin = triangleBuffer();
+    var json = triangleJson({ byteLength: bin.length });
+    json.nodes = [
+        { name: "Frame", mesh: 0, children: [1] },
+        { name: "Part", mesh: 0 }
+    ];
+
+    parse(toGlb(json, bin), function (err, svf) {
+        assert.ifError(err);
+
+        var frame = findObject(svf, "Frame");
+        assert.strictEqual(frame.fragIds.length, 0);
+        assert.strictEqual(frame.children.length, 2);
+
+        var geometry = svf.objects[frame.children[0]];
+        assert.strictEqual(geometry.externalId, "node0/mesh");
+        assert.strictEqual(geometry.fragIds.length, 1);
+
+        //Both nodes share the mesh of the primitive
+        assert.strictEqual(svf.meshes.length, 1);
+        assert.strictEqual(svf.fragments.length, 2);
+        done();
+    });
+});
+
+test('glTF 1.0 and required extensions are rejected', function (t, done) {
+    var v1 = { asset: { version: "1.0" } };
+    parse(new Uint8Array(Buffer.from(JSON.stringify(v1))), function (err) {
+        assert.match(err, /Only glTF 2\.0 is supported/);
+
+        var draco = { asset: { version: "2.0" }, extensionsRequired: ["KHR_draco_mesh_compression"] };
+        parse(new Uint8Array(Buffer.from(JSON.stringify(draco))), function (err) {
+            assert.match(err, /KHR_draco_mesh_compression/);
+            done();
+        });
+    });
+});
@@ -0,0 +1,129 @@
+var test = require('node:test');
+var assert = require('assert');
+var viewerModules = require('./support/viewerModules');
+
+var LoadHandle = viewerModules('Core/Privite/LoadHandle');
+var Logger = viewerModules('Core/Logger');
+
+test('progress is reported per phase and only goes forward', function () {
+    var handle = new LoadHandle("models/house.svf");
+    var reports = [];
+    var listener = function (phase, fraction, h) {
+        assert.strictEqual(h, handle);
+        reports.push(phase + " " + fraction);
+    };
+    handle.addProgressListener(listener);
+
+    handle.setProgress("manifest", 0.5);
+    handle.setProgress("manifest", 0.25);
+    handle.setProgress("geometry", 0.5);
+    handle.setProgress("geometry", 2);
+    handle.setProgress("textures", 0.5);
+
+    assert.deepStrictEqual(reports, ["manifest 0.5", "geometry 0.5", "geometry 1"]);
+    assert.deepStrictEqual(handle.progress, { manifest: 0.5, geometry: 1, properties: 0 });
+    assert.strictEqual(handle.getProgress(), 0.75);
+
+    handle.removeProgressListener(listener);
+    handle.setProgress("properties", 1);
+    assert.strictEqual(reports.length, 3);
+    assert.strictEqual(handle.getProgress(), 0.95);
+});
+
+test('a failing progress listener does not stop the others', function (t) {
+    var errors = [];
+    var error = Logger.error;
+    Logger.error = function (msg) { errors.push(msg); };
+    t.after(function () { Logger.error = error; });
+
+    var handle = new LoadHandle("models/house.svf");
+    var calls = 0;
+    handle.addProgressListener(function () { throw new Error("broken"); });
+    handle.addProgressListener(function () { calls++; });
+
+    handle.setProgress("geometry", 0.1);
+    assert.strictEqual(calls, 1);
+    assert.strictEqual(errors.length, 1);
+});
+
+test('a finished load resolves with the model and can no longer be cancelled', async function () {
+    var handle = new LoadHandle("models/house.svf");
+    var cancelled = 0;
+    handle.onCancel(function () { cancelled++; });
+
+    var model = { id: 1 };
+    handle.done(model);
+
+    assert.strictEqual(handle.state, LoadHandle.LOADED);
+    assert.strictEqual(handle.isLoading(), false);
+    assert.strictEqual(handle.model, model);
+    assert.strictEqual(handle.progress.manifest, 1);
+    assert.strictEqual(handle.progress.geometry, 1);
+    assert.strictEqual(await handle.promise, model);
+
+    assert.strictEqual(handle.cancel(), false);
+    assert.strictEqual(cancelled, 0);
+
+    //Nothing changes after the load is done
+    handle.fail(4, "Too late");
+    assert.strictEqual(handle.state, LoadHandle.LOADED);
+});
+
+test('cancelling runs the cancel handlers and rejects the promise', async function () {
+    var handle = new LoadHandle("models/house.svf");
+    var cancelled = [];
+    var reports = 0;
+    handle.onCancel(function (h) { cancelled.push(h); });
+    handle.addProgressListener(function () { reports++; });
+
+    assert.strictEqual(handle.cancel(), true);
+    assert.deepStrictEqual(cancelled, [handle]);
+    assert.strictEqual(handle.isCancelled(), true);
+    assert.strictEqual(handle.cancel(), false);
+
+    await assert.rejects(handle.promise, { code: 0, msg: "Loading of models/house.svf was cancelled" });
+
+    //Loaders that are still running do not report anymore
+    handle.setProgress("geometry", 0.5);
+    handle.done({});
+    assert.strictEqual(reports, 0);
+    assert.strictEqual(handle.state, LoadHandle.CANCELLED);
+    assert.strictEqual(handle.model, null);
+});
+
+test('a failed load rejects the promise with the error', async function () {
+    var handle = new LoadHandle("models/house.svf");
+    handle.fail(5, "Failed to download models/house.svf");
+
+    assert.strictEqual(handle.state, LoadHandle.FAILED);
+    assert.deepStrictEqual(handle.error, { code: 5, msg: "Failed to download models/house.svf" });
+    await assert.rejects(handle.promise, { code: 5 });
+    assert.strictEqual(handle.cancel(), false);
+});
+
+test('a cancelled file loader drops the downloaded file and its errors', function () {
+    var ObjLoader = viewerModules('Core/Privite/ObjLoader');
+    var loader = new ObjLoader(null);
+
+    var downloads = [];
+    loader.fetchFile = function (path, responseType, onSuccess, onFailure) {
+        downloads.push({ onSuccess: onSuccess, onFailure: onFailure });
+    };
+    loader.parse = function () {
+        assert.fail("The file must not be parsed");
+    };
+
+    var handle = new LoadHandle("models/house.obj");
+    loader.loadHandle = handle;
+
+    var fail = function () { assert.fail("No callback after cancel"); };
+    assert.strictEqual(loader.loadFile("models/house.obj", {}, fail, fail, fail), true);
+    loader.cancel();
+    downloads[0].onSuccess(new Uint8Array(0));
+    assert.strictEqual(handle.progress.manifest, 0);
+
+    //The loader can be used again
+    assert.strictEqual(loader.loadFile("models/house.obj", {}, fail, fail, fail), true);
+    loader.cancel();
+    downloads[1].onFailure(404, "Not Found");
+});
@@ -0,0 +1,62 @@
+var test = require('node:test');
+var assert = require('assert');
+var viewerModules = require('./support/viewerModules');
+
+var LocalArchives = viewerModules('Core/Privite/LocalArchives');
+
+var ARCHIVES = {
+    local1: {
+        "model/0.svf": "blob:svf",
+        "model/textures/brick wall.png": "blob:png"
+    }
+};
+
+test('archive URLs resolve to the blob URLs of the extracted files', function () {
+    var resolve = LocalArchives.resolveArchiveUrl;
+
+    assert.strictEqual(resolve("archive://local1/model/0.svf", ARCHIVES), "blob:svf");
+
+    //Relative paths, escapes and query strings as the loaders produce them
+    assert.strictEqual(resolve("archive://local1/model/geometry/../textures/brick%20wall.png?v=2", ARCHIVES), "blob:png");
+    assert.strictEqual(resolve("archive://local1/./model//0.svf", ARCHIVES), "blob:svf");
+
+    assert.strictEqual(resolve("archive://local1/model/1.svf", ARCHIVES), null);
+    assert.strictEqual(resolve("archive://local2/model/0.svf", ARCHIVES), null);
+    assert.strictEqual(resolve("https://example.com/model/0.svf", ARCHIVES), "https://example.com/model/0.svf");
+});
+
+test('requests of a worker scope are sent to the extracted files', function () {
+    var opened = [];
+    var scope = { XMLHttpRequest: function () {} };
+    scope.XMLHttpRequest.prototype.open = function (method, url, async) {
+        opened.push([method, url, async]);
+    };
+
+    LocalArchives.installArchiveRequests(scope, ARCHIVES, LocalArchives.resolveArchiveUrl);
+
+    var xhr = new scope.XMLHttpRequest();
+    xhr.open("GET", "archive://local1/model/0.svf", true);
+    xhr.open("GET", "archive://local1/missing.pf", true);
+    xhr.open("GET", "/api/models", false);
+
+    //Missing files keep their URL and fail on their own
+    assert.deepStrictEqual(opened, [
+        ["GET", "blob:svf", true],
+        ["GET", "archive://local1/missing.pf", true],
+        ["GET", "/api/models", false]
+    ]);
+});
+
+test('the worker setup resolves archive URLs in the worker', function () {
+    assert.strictEqual(LocalArchives.hasArchives(), false);
+    assert.strictEqual(LocalArchives.resolve("archive://local1/model/0.svf"), null);
+
+    //The serialized functions run by themselves
+    var opened = [];
+    var self = { XMLHttpRequest: function () {} };
+    self.XMLHttpRequest.prototype.open = function (method, url) { opened.push(url); };
+    new Function("self", LocalArchives.getWorkerSetup())(self);
+
+    new self.XMLHttpRequest().open("GET", "https://example.com/0.svf");
+    assert.deepStrictEqual(opened, ["https://example.com/0.svf"]);
+});
@@ -0,0 +1,114 @@
+var test = require('node:test');
+var assert = require('assert');
+var viewerModules = require('./support/viewerModules');
+
+var LocalPropDbLoader = viewerModules('Core/Privite/LocalPropDbLoader');
+var PackageBuilder = viewerModules('Core/Privite/PackageBuilder');
+var VBUtils = viewerModules('Core/Privite/VBUtils');
+var EventDispatcher = viewerModules('Core/EventDispatcher');
+var EventType = viewerModules('Core/EventType');
+
+//A root with a wall and a door of unit cubes, the door one unit further along x
+function createPropDb() {
+    var builder = new PackageBuilder();
+    var prop = PackageBuilder.createProperty;
+
+    var cube = builder.addMesh(VBUtils.createMeshes({
+        positions: new Float32Array([0, 0, 0, 1, 0, 0, 1, 1, 1]),
+        indices: [0, 1, 2]
+    })[0]);
+
+    var root = builder.addObject(0, "House", PackageBuilder.NODE_TYPE_MODEL, [], "root");
+    var wall = builder.addObject(root, "Wall", PackageBuilder.NODE_TYPE_GEOMETRY, [
+        prop("Material", "Red brick", "Materials"),
+        prop("Area", 12.5, "Dimensions", "m^2")
+    ]);
+    var door = builder.addObject(root, "Front door", PackageBuilder.NODE_TYPE_GEOMETRY, [
+        prop("Material", "Oak", "Materials")
+    ], "door-1");
+
+    builder.addFragment(wall, cube, 0);
+    builder.addFragment(door, cube, 0, new THREE.Matrix4().makeTranslation(1, 0, 0));
+
+    var svf = builder.build();
+    var events = {};
+    EventDispatcher.prototype.apply(events);
+
+    var model = { getData: function () { return svf; } };
+    return { propDb: new LocalPropDbLoader(model, events), events: events, svf: svf, ids: { root: root, wall: wall, door: door } };
+}
+
+test('getBulkProperties returns only the properties in the filter', function (t, done) {
+    var db = createPropDb();
+
+    db.propDb.getBulkProperties([db.ids.wall, db.ids.door], ["Area"], function (results) {
+        //The door has no area
+        assert.strictEqual(results.length, 1);
+        assert.strictEqual(results[0].dbId, db.ids.wall);
+        assert.deepStrictEqual(results[0].properties.map(function (p) { return [p.displayName, p.displayValue, p.units]; }),
+                               [["Area", 12.5, "m^2"]]);
+        assert.ok(!("name" in results[0]));
+        done();
+    });
+});
+
+test('getProperties has the name, external id and all properties of an object', function (t, done) {
+    var db = createPropDb();
+
+    db.propDb.getProperties(db.ids.door, function (result) {
+        assert.strictEqual(result.name, "Front door");
+        assert.strictEqual(result.externalId, "door-1");
+        assert.strictEqual(result.properties.length, 1);
+
+        db.propDb.getProperties(99, null, function (error) {
+            assert.ok(error.msg);
+            done();
+        });
+    });
+});
+
+test('search matches all terms, in names and values, case insensitive', function (t, done) {
+    var db = createPropDb();
+
+    db.propDb.searchProperties('"red brick"', null, function (ids) {
+        assert.deepStrictEqual(ids, [db.ids.wall]);
+
+        db.propDb.searchProperties("DOOR oak", null, function (ids) {
+            assert.deepStrictEqual(ids, [db.ids.door]);
+
+            //Names are only searched when they are asked for
+            db.propDb.searchProperties("door", ["Material"], function (ids) {
+                assert.deepStrictEqual(ids, []);
+                done();
+            });
+        });
+    });
+});
+
+test('the external ids map to the object ids', function (t, done) {
+    var db = createPropDb();
+
+    db.propDb.getExternalIdMapping(function (mapping) {
+        assert.strictEqual(mapping["door-1"], db.ids.door);
+        assert.strictEqual(mapping.root, db.ids.root);
+        done();
+    });
+});
+
+test('loading builds the instance tree with node boxes from the fragments', function (t, done) {
+    var db = createPropDb();
+
+    db.events.addEventListener(EventType.OBJECT_TREE_CREATED_EVENT, function (event) {
+        var tree = event.svf.instanceTree;
+        assert.strictEqual(tree.getRootId(), db.ids.root);
+        assert.strictEqual(tree.getChildCount(db.ids.root), 2);
+        assert.strictEqual(tree.getNodeName(db.ids.door), "Front door");
+
+        var box = new Float32Array(6);
+        tree.getNodeBox(db.ids.root, box);
+        assert.deepStrictEqual(Array.prototype.slice.call(box), [0, 0, 0, 2, 1, 1]);
+        done();
+    });
+
+    db.propDb.load();
+});
@@ -0,0 +1,141 @@
+var test = require('node:test');
+var assert = require('assert');
+var viewerModules = require('./support/viewerModules');
+var createModel = require('./support/createModel');
+
+var MemoryBudget = viewerModules('Core/Privite/MemoryBudget');
+var PackageBuilder = viewerModules('Core/Privite/PackageBuilder');
+var VBUtils = viewerModules('Core/Privite/VBUtils');
+var Logger = viewerModules('Core/Logger');
+
+//Page-outs are logged
+Logger.log = function () {};
+
+//A model with a geometry of the same size per part, each in its own pack
+function createPartsModel(count) {
+    var builder = new PackageBuilder();
+    var root = builder.addObject(0, "Parts", PackageBuilder.NODE_TYPE_MODEL, [], "root");
+
+    for (var i = 0; i < count; i++) {
+        var mesh = builder.addMesh(VBUtils.createMeshes({
+            positions: new Float32Array([0, 0, i, 1, 0, i, 0, 1, i]),
+            indices: [0, 1, 2]
+        })[0]);
+        builder.addFragment(builder.addObject(root, "Part " + i, PackageBuilder.NODE_TYPE_GEOMETRY, []), mesh, 0);
+    }
+
+    var model = createModel(builder.build());
+    var frags = model.getFragmentList();
+    frags.fragments.packIds = [];
+    for (i = 0; i < count; i++)
+        frags.fragments.packIds.push(i);
+
+    //Records the packs the loader is asked for
+    model.requestedPacks = [];
+    frags.svfLoader = {
+        loadGeometryPackOnDemand: function (packId) { model.requestedPacks.push(packId); }
+    };
+    return model;
+}
+
+function geometrySize(model) {
+    var geoms = model.getGeometryList();
+    return geoms.geomMemory / geoms.numGeomsInMemory;
+}
+
+function inMemory(model) {
+    var frags = model.getFragmentList();
+    var ids = [];
+    for (var fragId = 0; fragId < frags.getCount(); fragId++)
+        if (frags.getGeometry(fragId))
+            ids.push(fragId);
+    return ids;
+}
+
+//Draws some fragments in a new traversal
+function draw(budget, model, fragIds) {
+    budget.nextTraversal();
+    fragIds.forEach(function (fragId) { model.getFragmentList().requireGeometry(fragId); });
+}
+
+test('the least recently visible geometry is paged out first', function () {
+    var model = createPartsModel(6);
+    var size = geometrySize(model);
+    var freed = [];
+    var budget = new MemoryBudget({ deallocateGeometry: function (geometry) { freed.push(geometry); } });
+    budget.attach(model.getFragmentList());
+
+    //Nothing to do without limits
+    assert.strictEqual(budget.enforce([model]), 0);
+
+    //Part 0 was drawn first, then parts 1 and 2, 3 to 5 were never drawn
+    draw(budget, model, [0]);
+    draw(budget, model, [1, 2]);
+    for (var i = 0; i < MemoryBudget.KEEP_TRAVERSALS; i++)
+        budget.nextTraversal();
+
+    //Paging out goes below the limit, to the page-out target
+    budget.setLimits({ cpu: 5 * size });
+    assert.strictEqual(budget.enforce([model]), 2);
+    assert.deepStrictEqual(inMemory(model), [0, 1, 2, 5]);
+    assert.strictEqual(freed.length, 2);
+
+    budget.setLimits({ cpu: 2.5 * size });
+    assert.strictEqual(budget.enforce([model]), 2);
+    assert.deepStrictEqual(inMemory(model), [1, 2]);
+    assert.strictEqual(budget.canLoad(), true);
+
+    var state = budget.getState([model]);
+    assert.strictEqual(state.geometries, 2);
+    assert.strictEqual(state.pagedOut, 4);
+    assert.strictEqual(state.pageOutCount, 4);
+    assert.strictEqual(state.usage.cpu, 2 * size);
+    assert.strictEqual(model.getGeometryList().geomMemory, 2 * size);
+});
+
+test('recently visible geometry is kept, and nothing is fetched while over budget', function () {
+    var model = createPartsModel(3);
+    var size = geometrySize(model);
+    var budget = new MemoryBudget(null);
+    budget.attach(model.getFragmentList());
+
+    draw(budget, model, [0, 1, 2]);
+    budget.setLimits({ gpu: size, cpu: size });
+
+    assert.strictEqual(budget.enforce([model]), 0);
+    assert.strictEqual(budget.canLoad(), false);
+
+    //Once part 2 has not been seen for a while, it can go
+    for (var i = 0; i < MemoryBudget.KEEP_TRAVERSALS; i++)
+        draw(budget, model, [0, 1]);
+    assert.strictEqual(budget.enforce([model]), 1);
+    assert.deepStrictEqual(inMemory(model), [0, 1]);
+    assert.strictEqual(budget.canLoad(), false);
+
+    //Missing geometry is not requested while over budget
+    draw(budget, model, [2]);
+    assert.deepStrictEqual(model.requestedPacks, []);
+
+    budget.setLimits({ cpu: 10 * size });
+    assert.strictEqual(budget.enforce([model]), 0);
+    draw(budget, model, [2]);
+    assert.deepStrictEqual(model.requestedPacks, [2]);
+
+    budget.onRefetched(model.getFragmentList(), 3);
+    assert.strictEqual(budget.getState([model]).refetchCount, 1);
+});
+
+test('only models attached to the budget are paged out', function () {
+    var attached = createPartsModel(2), other = createPartsModel(2);
+    var size = geometrySize(attached);
+    var budget = new MemoryBudget(null);
+    budget.attach(attached.getFragmentList());
+    budget.setLimits({ cpu: size });
+    for (var i = 0; i < MemoryBudget.KEEP_TRAVERSALS; i++)
+        budget.nextTraversal();
+
+    assert.deepStrictEqual(budget.getUsage([attached, other]), { gpu: 2 * size, cpu: 2 * size });
+    assert.strictEqual(budget.enforce([attached, other]), 2);
+    assert.deepStrictEqual(inMemory(other), [0, 1]);
+    assert.strictEqual(budget.getState([attached, other]).models, 1);
+});
@@ -0,0 +1,109 @@
+var test = require('node:test');
+var assert = require('assert');
+var viewerModules = require('./support/viewerModules');
+var createModel = require('./support/createModel');
+
+var MeshExporter = viewerModules('Core/Privite/MeshExporter');
+var StlLoader = viewerModules('Core/Privite/StlLoader');
+var ObjLoader = viewerModules('Core/Privite/ObjLoader');
+var PackageBuilder = viewerModules('Core/Privite/PackageBuilder');
+var VBUtils = viewerModules('Core/Privite/VBUtils');
+
+//A plate in millimeters, and its mirror image one meter further along x
+function createPlateModel() {
+    var builder = new PackageBuilder();
+
+    var triangle = builder.addMesh(VBUtils.createMeshes({
+        positions: new Float32Array([0, 0, 0, 100, 0, 0, 0, 100, 0]),
+        normals: new Float32Array([0, 0, 1, 0, 0, 1, 0, 0, 1]),
+        indices: [0, 1, 2]
+    })[0]);
+
+    var root = builder.addObject(0, "Plates", PackageBuilder.NODE_TYPE_MODEL, [], "root");
+    var plate = builder.addObject(root, "Top plate", PackageBuilder.NODE_TYPE_GEOMETRY, []);
+    var mirrored = builder.addObject(root, "Mirrored", PackageBuilder.NODE_TYPE_GEOMETRY, []);
+
+    builder.addFragment(plate, triangle, 0);
+    builder.addFragment(mirrored, triangle, 0, new THREE.Matrix4().makeTranslation(1000, 0, 0).scale(new THREE.Vector3(-1, 1, 1)));
+
+    var svf = builder.build({ "distance unit": { value: "mm" } });
+    return { model: createModel(svf), ids: { root: root, plate: plate, mirrored: mirrored } };
+}
+
+function readBlob(blob, callback) {
+    blob.arrayBuffer().then(function (buffer) { callback(new Uint8Array(buffer)); });
+}
+
+//Facet normals of a binary STL
+function stlNormals(bytes) {
+    var view = new DataView(bytes.buffer, bytes.byteOffset);
+    var normals = [];
+    for (var i = 0, count = view.getUint32(80, true); i < count; i++)
+        normals.push(view.getFloat32(84 + i * 50 + 8, true));
+    return normals;
+}
+
+test('binary STL has the triangles in world space and the requested units', function (t, done) {
+    var plates = createPlateModel();
+    var blob = MeshExporter.exportStl(plates.model, null, { units: "m" });
+
+    readBlob(blob, function (bytes) {
+        assert.strictEqual(Buffer.from(bytes.subarray(0, 14)).toString(), "Binary STL (m)");
+
+        //Mirrored triangles are turned back, so that both face up
+        assert.deepStrictEqual(stlNormals(bytes), [1, 1]);
+
+        var loader = new StlLoader(null);
+        loader.options = {};
+        loader.parse(bytes, function (err, svf) {
+            assert.ifError(err);
+            assert.strictEqual(svf.objects[2].properties[0].displayValue, 2);
+            assert.ok(Math.abs(svf.bbox.min.x) < 1e-6 && Math.abs(svf.bbox.max.x - 1) < 1e-6);
+            assert.ok(Math.abs(svf.bbox.max.y - 0.1) < 1e-6);
+            done();
+        });
+    });
+});
+
+test('ASCII STL of a single node', function (t, done) {
+    var plates = createPlateModel();
+    var blob = MeshExporter.exportStl(plates.model, [plates.ids.mirrored], { ascii: true });
+
+    blob.text().then(function (text) {
+        var lines = text.split("\n");
+        assert.strictEqual(lines[0], "solid model");
+        assert.strictEqual(lines[1], "facet normal 0 0 1");
+        assert.deepStrictEqual(lines.filter(function (l) { return /vertex/.test(l); }).map(function (l) { return l.trim(); }),
+                               ["vertex 1000 0 0", "vertex 1000 100 0", "vertex 900 0 0"]);
+        done();
+    });
+});
+
+test('OBJ has an object per node, with normals', function (t, done) {
+    var plates = createPlateModel();
+    var blob = MeshExporter.exportObj(plates.model, [plates.ids.root], { units: "cm" });
+
+    blob.text().then(function (text) {
+        var lines = text.split("\n");
+        assert.strictEqual(lines[0], "# Exported from LMV, units: cm");
+        assert.deepStrictEqual(lines.filter(function (l) { return l.charAt(0) === "o"; }),
+                               ["o Top_plate_" + plates.ids.plate, "o Mirrored_" + plates.ids.mirrored]);
+
+        //Indices continue across objects
+        assert.deepStrictEqual(lines.filter(function (l) { return l.charAt(0) === "f"; }),
+                               ["f 1//1 2//2 3//3", "f 4//4 6//6 5//5"]);
+
+        var loader = new ObjLoader(null);
+        loader.parse(new Uint8Array(Buffer.from(text)), function (err, svf) {
+            assert.ifError(err);
+            assert.deepStrictEqual(svf.bbox.max.toArray(), [100, 10, 0]);
+            done();
+        });
+    });
+});
+
+test('nothing is exported for nodes without geometry', function () {
+    var plates = createPlateModel();
+    assert.strictEqual(MeshExporter.exportStl(plates.model, []), null);
+    assert.strictEqual(MeshExporter.exportObj(plates.model, []), null);
+});
@@ -0,0 +1,165 @@
+var test = require('node:test');
+var assert = require('assert');
+var viewerModules = require('./support/viewerModules');
+var createModel = require('./support/createModel');
+
+var ModelDiff = viewerModules('Core/Privite/ModelDiff');
+var PackageBuilder = viewerModules('Core/Privite/PackageBuilder');
+var VBUtils = viewerModules('Core/Privite/VBUtils');
+
+var prop = PackageBuilder.createProperty;
+
+var SHAPES = {
+    triangle: [0, 0, 0, 1, 0, 0, 0, 1, 0],
+    //Same bounds as the triangle
+    wedge: [0, 0, 0, 1, 0, 0, 1, 1, 0]
+};
+
+//A version of a building. Each part is { externalId, name, x, shape, properties }.
+function createVersion(parts) {
+    var builder = new PackageBuilder();
+    var meshes = {};
+    var root = builder.addObject(0, "Building", PackageBuilder.NODE_TYPE_MODEL, [], "root");
+
+    parts.forEach(function (part) {
+        var shape = part.shape || "triangle";
+        if (!meshes.hasOwnProperty(shape)) {
+            meshes[shape] = builder.addMesh(VBUtils.createMeshes({
+                positions: new Float32Array(SHAPES[shape]),
+                indices: [0, 1, 2]
+            })[0]);
+        }
+        var dbId = builder.addObject(root, part.name, PackageBuilder.NODE_TYPE_GEOMETRY, part.properties || [], part.externalId);
+        builder.addFragment(dbId, meshes[shape], 0, new THREE.Matrix4().makeTranslation(part.x, 0, 0));
+    });
+
+    return createModel(builder.build());
+}
+
+function createVersions() {
+    var v1 = createVersion([
+        { externalId: "wall", name: "Wall", x: 0, properties: [prop("Height", 3, "Dimensions", "m")] },
+        { externalId: "door", name: "Door", x: 2 },
+        { externalId: "window", name: "Window", x: 4, properties: [prop("Width", 1, "Dimensions", "m")] },
+        { externalId: "beam", name: "Beam", x: 6 },
+        { externalId: "slab", name: "Slab", x: 8 }
+    ]);
+    var v2 = createVersion([
+        { externalId: "column", name: "Column", x: 10 },
+        { externalId: "wall", name: "Wall", x: 0, properties: [prop("Height", 3, "Dimensions", "m")] },
+        { externalId: "door", name: "Door", x: 2.5, properties: [prop("Fire rating", "EI30", "Other")] },
+        { externalId: "window", name: "Window", x: 4, properties: [prop("Width", 1.2, "Dimensions", "m")] },
+        { externalId: "slab", name: "Slab", x: 8, shape: "wedge" }
+    ]);
+    return { v1: v1, v2: v2 };
+}
+
+function byExternalId(changes) {
+    var map = {};
+    changes.forEach(function (change) { map[change.externalId] = change; });
+    return map;
+}
+
+test('objects are matched by external id and classified by their changes', function (t, done) {
+    var versions = createVersions();
+    var progress = [];
+
+    ModelDiff.compare(versions.v1, versions.v2, {
+        batchSize: 2,
+        onProgress: function (count, total) { progress.push(count + "/" + total); }
+    }, function (diff) {
+        var changes = byExternalId(diff.changes);
+
+        assert.deepStrictEqual(diff.counts, { added: 1, removed: 1, geometry: 2, properties: 1 });
+        assert.strictEqual(diff.unchanged, 2);
+
+        assert.strictEqual(changes.column.type, ModelDiff.ADDED);
+        assert.strictEqual(changes.column.oldDbId, null);
+        assert.strictEqual(changes.beam.type, ModelDiff.REMOVED);
+        assert.strictEqual(changes.beam.newDbId, null);
+
+        //Moved, and also has a new property
+        assert.strictEqual(changes.door.type, ModelDiff.GEOMETRY_CHANGED);
+        assert.strictEqual(changes.door.propertiesChanged, true);
+
+        //Same bounds, other vertices
+        assert.strictEqual(changes.slab.type, ModelDiff.GEOMETRY_CHANGED);
+        assert.strictEqual(changes.slab.propertiesChanged, false);
+
+        assert.strictEqual(changes.window.type, ModelDiff.PROPERTIES_CHANGED);
+        assert.strictEqual(changes.window.oldDbId, 4);
+        assert.strictEqual(changes.window.newDbId, 5);
+        assert.strictEqual(changes.wall, undefined);
+
+        //root, wall, door, window and slab are in both versions
+        assert.deepStrictEqual(progress, ["2/5", "4/5", "5/5"]);
+        done();
+    }, function (err) {
+        assert.fail(err.msg);
+    });
+});
+
+test('moves within the tolerance and property changes can be ignored', function (t, done) {
+    var versions = createVersions();
+
+    ModelDiff.compare(versions.v1, versions.v2, { tolerance: 0.6, compareProperties: false }, function (diff) {
+        //The door moved by 0.5, only the slab has other geometry
+        assert.deepStrictEqual(diff.counts, { added: 1, removed: 1, geometry: 1, properties: 0 });
+        assert.strictEqual(diff.changes.filter(function (c) { return c.type === ModelDiff.GEOMETRY_CHANGED; })[0].externalId, "slab");
+        done();
+    });
+});
+
+test('the property changes of an object list the old and new values', function (t, done) {
+    var versions = createVersions();
+
+    ModelDiff.compare(versions.v1, versions.v2, null, function (diff) {
+        var changes = byExternalId(diff.changes);
+
+        ModelDiff.getPropertyChanges(changes.window, diff, function (props) {
+            assert.deepStrictEqual(props, [{ category: "Dimensions", name: "Width", oldValue: "1 m", newValue: "1.2 m" }]);
+
+            //Everything of an added object is new
+            ModelDiff.getPropertyChanges(changes.column, diff, function (props) {
+                assert.deepStrictEqual(props, [{ category: "", name: "Name", oldValue: null, newValue: "Column" }]);
+                done();
+            });
+        });
+    });
+});
+
+test('references to other objects and hidden properties are not compared', function () {
+    var reference = prop("Host", 12, "Other");
+    reference.type = 11;
+
+    var diffs = ModelDiff.compareProperties({
+        name: "Door",
+        properties: [reference, prop("Revision", 1, "Other", null, true), prop("Area", 0.1 + 0.2, "Dimensions", "m^2")]
+    }, {
+        name: "Door 2",
+        properties: [prop("Host", 40, "Other"), prop("Revision", 2, "Other", null, true), prop("Area", 0.3, "Dimensions", "m^2")]
+    });
+
+    //Numbers are compared with 12 digits
+    assert.deepStrictEqual(diffs, [
+        { category: "", name: "Name", oldValue: "Door", newValue: "Door 2" },
+        { category: "Other", name: "Host", oldValue: null, newValue: "40" }
+    ]);
+});
+
+test('models without an object tree cannot be compared', function (t, done) {
+    var versions = createVersions();
+    versions.v2.getData().instanceTree = null;
+
+    var Logger = viewerModules('Core/Logger');
+    var warn = Logger.warn;
+    Logger.warn = function () {};
+    t.after(function () { Logger.warn = warn; });
+
+    ModelDiff.compare(versions.v1, versions.v2, null, function () {
+        assert.fail("Nothing to compare");
+    }, function (err) {
+        assert.strictEqual(err.msg, "Object tree not available");
+        done();
+    });
+});
@@ -0,0 +1,146 @@
+var test = require('node:test');
+var assert = require('assert');
+var viewerModules = require('./support/viewerModules');
+var createModel = require('./support/createModel');
+
+var MultiModelSelector = viewerModules('Core/Privite/MultiModelSelector');
+var MultiModelVisibilityManager = viewerModules('Core/Privite/MultiModelVisibilityManager');
+var EventDispatcher = viewerModules('Core/EventDispatcher');
+var EventType = viewerModules('Core/EventType');
+var PackageBuilder = viewerModules('Core/Privite/PackageBuilder');
+var VBUtils = viewerModules('Core/Privite/VBUtils');
+
+//A model with two parts
+function createPartsModel(name) {
+    var builder = new PackageBuilder();
+
+    var triangle = builder.addMesh(VBUtils.createMeshes({
+        positions: new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0]),
+        indices: [0, 1, 2]
+    })[0]);
+
+    var root = builder.addObject(0, name, PackageBuilder.NODE_TYPE_MODEL, [], "root");
+    var first = builder.addObject(root, "First", PackageBuilder.NODE_TYPE_GEOMETRY, []);
+    var second = builder.addObject(root, "Second", PackageBuilder.NODE_TYPE_GEOMETRY, []);
+    builder.addFragment(first, triangle, 0);
+    builder.addFragment(second, triangle, 0);
+
+    var model = createModel(builder.build());
+    model.ids = { root: root, first: first, second: second };
+    return model;
+}
+
+//What the selection and visibility managers use of Viewer3DImpl, with two models.
+//The second model is the main model.
+function createViewer() {
+    var api = {};
+    EventDispatcher.prototype.apply(api);
+
+    var hiddenModels = [];
+    var viewer = {
+        api: api,
+        events: [],
+        sceneUpdated: function () {},
+        invalidate: function () {},
+        matman: function () { return null; },
+        highlightObjectNode: function () {},
+        isModelVisible: function (model) { return hiddenModels.indexOf(model) === -1; },
+        hideModel: function (model) {
+            hiddenModels.push(model);
+            api.fireEvent({ type: EventType.MODEL_VISIBILITY_CHANGED_EVENT, model: model, visible: false });
+        }
+    };
+
+    [EventType.SELECTION_CHANGED_EVENT, EventType.AGGREGATE_SELECTION_CHANGED_EVENT].forEach(function (type) {
+        api.addEventListener(type, function (event) { viewer.events.push(event); });
+    });
+
+    viewer.visibilityManager = new MultiModelVisibilityManager(viewer);
+    viewer.selector = new MultiModelSelector(viewer);
+
+    viewer.other = createPartsModel("Other");
+    viewer.model = createPartsModel("Main");
+    [viewer.other, viewer.model].forEach(function (model) {
+        viewer.visibilityManager.addModel(model);
+        viewer.selector.addModel(model);
+    });
+
+    return viewer;
+}
+
+test('selection calls without a model are for the main model', function () {
+    var viewer = createViewer();
+    var main = viewer.model, other = viewer.other;
+
+    viewer.selector.setSelection([other.ids.first], other);
+    viewer.selector.setSelection([main.ids.second]);
+
+    //Selecting in one model clears the others
+    assert.deepStrictEqual(viewer.selector.getAggregateSelection(), [{ model: main, selection: [main.ids.second] }]);
+
+    viewer.selector.toggleSelection(main.ids.first);
+    assert.deepStrictEqual(main.selector.getSelection(), [main.ids.first, main.ids.second]);
+    assert.strictEqual(viewer.selector.getSelectionLength(), 2);
+
+    //With several models, only the aggregate selection event is fired
+    assert.ok(viewer.events.every(function (e) { return e.type === EventType.AGGREGATE_SELECTION_CHANGED_EVENT; }));
+    var last = viewer.events[viewer.events.length - 1];
+    assert.strictEqual(last.selections.length, 1);
+    assert.strictEqual(last.selections[0].model, main);
+    assert.deepStrictEqual(last.selections[0].dbIdArray, [main.ids.first, main.ids.second]);
+});
+
+test('visibility calls without a model are for the main model', function () {
+    var viewer = createViewer();
+    var main = viewer.model, other = viewer.other;
+    var vm = viewer.visibilityManager;
+
+    vm.hide(main.ids.first);
+    assert.strictEqual(vm.isNodeVisible(null, main.ids.first), false);
+    assert.strictEqual(vm.isNodeVisible(other, other.ids.first), true);
+    assert.deepStrictEqual(vm.getHiddenNodes(), [main.ids.first]);
+    assert.deepStrictEqual(vm.getHiddenNodes(other), []);
+
+    vm.isolate(other.ids.second, other);
+    assert.deepStrictEqual(vm.getIsolatedNodes(other), [other.ids.second]);
+    assert.deepStrictEqual(vm.getIsolatedNodes(), []);
+});
+
+test('nothing of a hidden model is visible, and its selection is cleared', function () {
+    var viewer = createViewer();
+    var other = viewer.other;
+
+    viewer.selector.setSelection([other.ids.first], other);
+    viewer.hideModel(other);
+
+    assert.strictEqual(viewer.visibilityManager.isNodeVisible(other, other.ids.first), false);
+    assert.strictEqual(viewer.selector.getSelectionLength(), 0);
+    assert.deepStrictEqual(viewer.events[viewer.events.length - 1].selections, []);
+});
+
+test('removing a model with a selection tells the selection panels', function () {
+    var viewer = createViewer();
+    var main = viewer.model, other = viewer.other;
+
+    viewer.selector.setSelection([other.ids.first], other);
+    var events = viewer.events.length;
+
+    viewer.selector.removeModel(other);
+    viewer.visibilityManager.removeModel(other);
+    assert.strictEqual(other.selector, null);
+    assert.strictEqual(other.visibilityManager, null);
+    assert.strictEqual(viewer.selector.getSelectionLength(), 0);
+
+    //Only the main model is left, so the single model event is fired too
+    var fired = viewer.events.slice(events);
+    assert.deepStrictEqual(fired.map(function (e) { return e.type; }),
+                           [EventType.SELECTION_CHANGED_EVENT, EventType.AGGREGATE_SELECTION_CHANGED_EVENT]);
+    assert.strictEqual(fired[0].model, main);
+    assert.deepStrictEqual(fired[0].dbIdArray, []);
+
+    //Removing again, or a model without selection, changes nothing
+    viewer.selector.removeModel(other);
+    viewer.visibilityManager.removeModel(other);
+    viewer.selector.removeModel(main);
+    assert.strictEqual(viewer.events.length, events + 2);
+});
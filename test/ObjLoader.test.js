@@ -0,0 +1,180 @@
+var test = require('node:test');
+var assert = require('assert');
+var viewerModules = require('./support/viewerModules');
+
+var ObjLoader = viewerModules('Core/Privite/ObjLoader');
+
+//Serves the material libraries from a map of path to text, 404 for the others
+function createLoader(files) {
+    var loader = new ObjLoader(null);
+    loader.basePath = "models/";
+    loader.fetchFile = function (path, responseType, onSuccess, onFailure) {
+        if (files && files.hasOwnProperty(path))
+            onSuccess(new Uint8Array(Buffer.from(files[path])));
+        else
+            onFailure(404, "Not Found");
+    };
+    return loader;
+}
+
+function parse(loader, text, callback) {
+    loader.parse(new Uint8Array(Buffer.from(text)), callback);
+}
+
+function findObject(svf, name) {
+    return svf.objects.filter(function (obj) { return obj && obj.name === name; })[0];
+}
+
+function propertyValue(obj, name) {
+    var props = obj.properties.filter(function (p) { return p.displayName === name; });
+    return props.length ? props[0].displayValue : undefined;
+}
+
+var CUBE_SIDES = [
+    "mtllib lib/house.mtl",
+    "v 0 0 0", "v 1 0 0", "v 1 1 0", "v 0 1 0",
+    "v 0 0 1", "v 1 0 1",
+    "o House",
+    "g Walls",
+    "usemtl Brick",
+    "f 1 2 3 4      # a quad, two triangles",
+    "usemtl Glass",
+    "f -6 -5 -1",
+    "g Unused",
+    "g Roof",
+    "usemtl Brick",
+    "f 1/1 5 \\",
+    "  6"
+].join("\n");
+
+var HOUSE_MTL = [
+    "newmtl Brick",
+    "Kd 0.8 0.2 0.1",
+    "map_Kd -s 1 1 1 -o 0 0 textures/brick.png",
+    "bump -bm 0.3 textures/brick bump.png",
+    "newmtl Glass",
+    "Kd 0.9",
+    "d 0.25"
+].join("\n");
+
+test('objects and groups become nodes, with a fragment per material', function (t, done) {
+    var loader = createLoader({ "models/lib/house.mtl": HOUSE_MTL });
+
+    parse(loader, CUBE_SIDES, function (err, svf) {
+        assert.ifError(err);
+
+        var house = findObject(svf, "House");
+        var walls = findObject(svf, "Walls");
+        var roof = findObject(svf, "Roof");
+
+        assert.strictEqual(house.parent, 1);
+        assert.deepStrictEqual(house.children, [walls.dbId, roof.dbId]);
+        assert.strictEqual(walls.externalId, "/object:House/group:Walls");
+
+        //Groups without faces are left out
+        assert.strictEqual(findObject(svf, "Unused"), undefined);
+
+        assert.strictEqual(walls.fragIds.length, 2);
+        assert.strictEqual(propertyValue(walls, "Material"), "Brick, Glass");
+        assert.strictEqual(propertyValue(walls, "Triangles"), 3);
+        assert.strictEqual(propertyValue(roof, "Triangles"), 1);
+        assert.strictEqual(propertyValue(svf.objects[1], "Material Library"), "lib/house.mtl");
+
+        //The negative indices refer to the first, second and last vertex
+        assert.deepStrictEqual(svf.bbox.min.toArray(), [0, 0, 0]);
+        assert.deepStrictEqual(svf.bbox.max.toArray(), [1, 1, 1]);
+        done();
+    });
+});
+
+test('the materials of the libraries are used, with textures relative to the library', function (t, done) {
+    var loader = createLoader({ "models/lib/house.mtl": HOUSE_MTL });
+
+    parse(loader, CUBE_SIDES, function (err, svf) {
+        assert.ifError(err);
+        assert.strictEqual(svf.mtlMaterials, true);
+
+        var materials = svf.materials.materials;
+        var brick = materials[0], glass = materials[1];
+
+        assert.strictEqual(brick.name, "Brick");
+        assert.deepStrictEqual(brick.Kd, [0.8, 0.2, 0.1]);
+        assert.strictEqual(brick.bumpScale, 0.3);
+        assert.strictEqual(brick.transparent, false);
+
+        var assets = {};
+        svf.manifest.assets.forEach(function (asset) { assets[asset.id] = asset.URI; });
+        assert.strictEqual(assets[brick.maps.map_kd], "lib/textures/brick.png");
+        assert.strictEqual(assets[brick.maps.map_bump], "lib/textures/brick bump.png");
+
+        //A single value is gray, d below 1 is transparent
+        assert.deepStrictEqual(glass.Kd, [0.9, 0.9, 0.9]);
+        assert.strictEqual(glass.transparent, true);
+        done();
+    });
+});
+
+test('a missing material library falls back to a default material', function (t, done) {
+    parse(createLoader({}), CUBE_SIDES, function (err, svf) {
+        assert.ifError(err);
+
+        var materials = svf.materials.materials;
+        assert.strictEqual(Object.keys(materials).length, 2);
+        assert.deepStrictEqual(materials[0].Kd, [0.8, 0.8, 0.8]);
+        assert.strictEqual(svf.fragments.length, 3);
+        done();
+    });
+});
+
+test('the faces of an object with groups go to an extra geometry child', function (t, done) {
+    var text = [
+        "v 0 0 0", "v 1 0 0", "v 0 1 0",
+        "o Table",
+        "f 1 2 3",
+        "g Legs",
+        "f 3 2 1",
+        "l 1 2 3"
+    ].join("\n");
+
+    parse(createLoader(), text, function (err, svf) {
+        assert.ifError(err);
+
+        var table = findObject(svf, "Table");
+        assert.strictEqual(table.fragIds.length, 0);
+
+        var geometry = svf.objects.filter(function (obj) {
+            return obj && obj.externalId === "/object:Table/geometry";
+        })[0];
+        assert.ok(geometry);
+        assert.strictEqual(geometry.parent, table.dbId);
+
+        //Faces and lines of the legs are separate meshes
+        var legs = findObject(svf, "Legs");
+        assert.strictEqual(legs.fragIds.length, 2);
+        var lines = svf.meshes.filter(function (mesh) { return mesh.isLines; });
+        assert.strictEqual(lines.length, 1);
+        assert.strictEqual(lines[0].lineCount, 2);
+        done();
+    });
+});
+
+test('MTL materials become Phong materials with their texture maps', function () {
+    var MaterialConverter = viewerModules('Core/Shaders/MaterialConverter');
+
+    var brick = MaterialConverter.convertMaterialMtl({
+        name: "Brick", Kd: [0.8, 0.2, 0.1], Ks: [1, 1, 1], illum: 1, Ns: 5000,
+        maps: { map_kd: "tex0", map_bump: "tex1" }, bumpScale: 0.3
+    });
+    //The texture replaces the diffuse color, illum 1 has no highlights
+    assert.deepStrictEqual(brick.color.toArray(), [1, 1, 1]);
+    assert.deepStrictEqual(brick.specular.toArray(), [0, 0, 0]);
+    assert.strictEqual(brick.shininess, 1000);
+    assert.strictEqual(brick.textureMaps.map.uri, "tex0");
+    assert.strictEqual(brick.textureMaps.bumpMap.uri, "tex1");
+    assert.strictEqual(brick.bumpScale, 0.3);
+
+    var glass = MaterialConverter.convertMaterialMtl({ name: "Glass", d: 0.25, maps: {} });
+    assert.strictEqual(glass.transparent, true);
+    assert.strictEqual(glass.opacity, 0.25);
+    assert.strictEqual(glass.shininess, 30);
+});
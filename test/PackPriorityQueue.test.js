@@ -0,0 +1,113 @@
+var test = require('node:test');
+var assert = require('assert');
+var viewerModules = require('./support/viewerModules');
+var createModel = require('./support/createModel');
+
+var PackPriorityQueue = viewerModules('Core/Privite/PackPriorityQueue');
+var SvfLoader = viewerModules('Core/Privite/SvfLoader');
+var PackageBuilder = viewerModules('Core/Privite/PackageBuilder');
+var VBUtils = viewerModules('Core/Privite/VBUtils');
+
+//A unit triangle per pack, at the given z: behind the camera, far in front, near in front
+var PACK_Z = [20, -50, 5];
+
+function createPacksModel() {
+    var builder = new PackageBuilder();
+
+    var triangle = builder.addMesh(VBUtils.createMeshes({
+        positions: new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0]),
+        indices: [0, 1, 2]
+    })[0]);
+
+    var root = builder.addObject(0, "Packs", PackageBuilder.NODE_TYPE_MODEL, [], "root");
+    PACK_Z.forEach(function (z, i) {
+        var dbId = builder.addObject(root, "Part " + i, PackageBuilder.NODE_TYPE_GEOMETRY, []);
+        builder.addFragment(dbId, triangle, 0, new THREE.Matrix4().makeTranslation(0, 0, z));
+    });
+
+    var svf = builder.build();
+    svf.geompacks = PACK_Z.map(function (z, i) { return { id: String(i), uri: i + ".pf" }; });
+    svf.fragments.packIds = new Int32Array([0, 1, 2]);
+    return createModel(svf);
+}
+
+//A camera at z = 10, like the one of the viewer
+function createCamera(target) {
+    var camera = new THREE.PerspectiveCamera(60, 1, 0.1, 1000);
+    camera.clientWidth = camera.clientHeight = 100;
+    camera.position.set(0, 0, 10);
+    lookAt(camera, target);
+    return camera;
+}
+
+function lookAt(camera, target) {
+    camera.lookAt(target);
+    camera.updateMatrixWorld();
+    camera.matrixWorldInverse.getInverse(camera.matrixWorld);
+}
+
+function drain(queue) {
+    var order = [], packId;
+    while ((packId = queue.next()) !== null)
+        order.push(packId);
+    return order;
+}
+
+test('without a camera packs load in file order, and the useful frame is the complete one', function () {
+    var queue = new PackPriorityQueue(createPacksModel());
+
+    assert.strictEqual(queue.update(true), false);
+    assert.deepStrictEqual(drain(queue), [0, 1, 2]);
+
+    assert.strictEqual(queue.onLoaded(0), false);
+    assert.strictEqual(queue.onLoaded(2), false);
+    assert.strictEqual(queue.onLoaded(1), true);
+    assert.ok(queue.usefulTime !== null);
+
+    //Reported once only
+    assert.strictEqual(queue.onLoaded(1), false);
+});
+
+test('packs in view load first, the near ones before the far ones', function () {
+    var queue = new PackPriorityQueue(createPacksModel(), createCamera(new THREE.Vector3(0, 0, 0)));
+
+    assert.deepStrictEqual(drain(queue), [2, 1, 0]);
+    assert.strictEqual(queue.scores[0], 0);
+    assert.ok(queue.scores[2] > queue.scores[1]);
+
+    //The near part is most of what is in view
+    assert.strictEqual(queue.onLoaded(2), true);
+    assert.strictEqual(queue.onLoaded(1), false);
+});
+
+test('priorities follow the camera while loading', function () {
+    var camera = createCamera(new THREE.Vector3(0, 0, 0));
+    var queue = new PackPriorityQueue(createPacksModel(), camera);
+    assert.strictEqual(queue.next(), 2);
+
+    //Nothing moved
+    assert.strictEqual(queue.update(true), false);
+
+    //Turned around, towards the part that was behind
+    lookAt(camera, new THREE.Vector3(0, 0, 20));
+    assert.strictEqual(queue.update(true), true);
+    assert.deepStrictEqual(drain(queue), [0, 1]);
+});
+
+test('the loader requests the next pack from the queue, skipping those loading already', function () {
+    var model = createPacksModel();
+    var requested = [];
+    var loader = {
+        svf: model.getData(),
+        next_pack: 0,
+        packQueue: new PackPriorityQueue(model),
+        loadGeometryPack: function (id, uri) { requested.push(uri); }
+    };
+    loader.svf.geompacks[1].loading = true;
+
+    while (SvfLoader.prototype.loadNextGeometryPack.call(loader));
+
+    assert.deepStrictEqual(requested, ["0.pf", "2.pf"]);
+    assert.strictEqual(loader.next_pack, 2);
+    assert.strictEqual(loader.svf.geompacks[2].loading, true);
+});
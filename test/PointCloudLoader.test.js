@@ -0,0 +1,143 @@
+var test = require('node:test');
+var assert = require('assert');
+var viewerModules = require('./support/viewerModules');
+
+var PointCloudLoader = viewerModules('Core/Privite/PointCloudLoader');
+
+//The format is taken from the extension of the loaded file
+function parse(path, data, callback) {
+    var loader = new PointCloudLoader(null);
+    loader.currentLoadPath = path;
+    loader.options = {};
+    loader.parse(typeof data === "string" ? new Uint8Array(Buffer.from(data)) : data, callback);
+}
+
+function propertyValue(obj, name) {
+    var props = obj.properties.filter(function (p) { return p.displayName === name; });
+    return props.length ? props[0].displayValue : undefined;
+}
+
+//The RGBA bytes of a point of a point mesh
+function pointColor(mesh, i) {
+    var vb8 = new Uint8Array(mesh.vb.buffer, mesh.vb.byteOffset, mesh.vb.byteLength);
+    var offset = (i * mesh.vbstride + mesh.vblayout.color.offset) * 4;
+    return Array.prototype.slice.call(vb8, offset, offset + 4);
+}
+
+test('an XYZ file is a point cloud, with its colors and without its header lines', function (t, done) {
+    var text = [
+        "# scanned points",
+        "3",
+        "0 0 0 0.5 1 0 0",
+        "1,2,3,0.5,0,0.5,1",
+        "4;5;6"
+    ].join("\n");
+
+    parse("scans/site.xyz", text, function (err, svf) {
+        assert.ifError(err);
+
+        var root = svf.objects[1];
+        assert.strictEqual(root.name, "site");
+        assert.strictEqual(propertyValue(root, "Format"), "XYZ");
+
+        var points = svf.objects[root.children[0]];
+        assert.strictEqual(propertyValue(points, "Points"), 3);
+        assert.strictEqual(propertyValue(points, "Colored"), true);
+
+        var mesh = svf.meshes[0];
+        assert.strictEqual(mesh.isPoints, true);
+        assert.strictEqual(mesh.pointCount, 3);
+
+        //With 7 values the color comes after the intensity. Colors in [0,1] are scaled
+        //to bytes, points without a color after colored ones are white.
+        assert.deepStrictEqual(pointColor(mesh, 0), [255, 0, 0, 255]);
+        assert.deepStrictEqual(pointColor(mesh, 1), [0, 128, 255, 255]);
+        assert.deepStrictEqual(pointColor(mesh, 2), [255, 255, 255, 255]);
+
+        assert.strictEqual(svf.metadata["distance unit"].value, "m");
+        assert.deepStrictEqual(svf.bbox.max.toArray(), [4, 5, 6]);
+        done();
+    });
+});
+
+test('an ASCII PLY file keeps its vertex colors and comments', function (t, done) {
+    var text = [
+        "ply",
+        "format ascii 1.0",
+        "comment made by a scanner",
+        "element vertex 2",
+        "property float x",
+        "property float y",
+        "property float z",
+        "property uchar red",
+        "property uchar green",
+        "property uchar blue",
+        "element camera 1",
+        "property float focal",
+        "end_header",
+        "0 0 0 10 20 30",
+        "1 1 1 40 50 60",
+        "35"
+    ].join("\n");
+
+    parse("cloud.ply", text, function (err, svf) {
+        assert.ifError(err);
+
+        var root = svf.objects[1];
+        assert.strictEqual(propertyValue(root, "Format"), "PLY");
+        assert.strictEqual(propertyValue(root, "Comment"), "made by a scanner");
+
+        //Byte colors are used as they are
+        assert.deepStrictEqual(pointColor(svf.meshes[0], 1), [40, 50, 60, 255]);
+        assert.strictEqual(svf.meshes[0].pointCount, 2);
+        done();
+    });
+});
+
+test('a binary PLY file with faces is loaded as a triangle mesh', function (t, done) {
+    var header = Buffer.from([
+        "ply",
+        "format binary_little_endian 1.0",
+        "element vertex 4",
+        "property float x",
+        "property float y",
+        "property float z",
+        "element face 1",
+        "property list uchar int vertex_indices",
+        "end_header",
+        ""
+    ].join("\n"));
+
+    var body = Buffer.alloc(4 * 12 + 1 + 4 * 4);
+    [0, 0, 0, 1, 0, 0, 1, 1, 0, 0, 1, 0].forEach(function (v, i) { body.writeFloatLE(v, i * 4); });
+    body.writeUInt8(4, 48);
+    [0, 1, 2, 3].forEach(function (v, i) { body.writeInt32LE(v, 49 + i * 4); });
+
+    parse("quad.ply", new Uint8Array(Buffer.concat([header, body])), function (err, svf) {
+        assert.ifError(err);
+
+        var mesh = svf.objects[svf.objects[1].children[0]];
+        assert.strictEqual(mesh.name, "Mesh");
+        assert.strictEqual(propertyValue(mesh, "Vertices"), 4);
+
+        //The quad is triangulated as a fan
+        assert.strictEqual(propertyValue(mesh, "Triangles"), 2);
+        assert.ok(!svf.meshes[0].isPoints);
+        done();
+    });
+});
+
+test('invalid PLY files and files without points are errors', function (t, done) {
+    parse("bad.ply", "ply\nformat ascii 1.0\n", function (err) {
+        assert.match(err, /Invalid PLY header/);
+
+        parse("bad.ply", "ply\nformat binary_middle_endian 1.0\nend_header\n", function (err) {
+            assert.match(err, /Unsupported PLY format/);
+
+            parse("empty.xyz", "# nothing here\n", function (err) {
+                assert.match(err, /No points found in XYZ file/);
+                done();
+            });
+        });
+    });
+});
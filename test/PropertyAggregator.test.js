@@ -0,0 +1,116 @@
+var test = require('node:test');
+var assert = require('assert');
+var viewerModules = require('./support/viewerModules');
+var createModel = require('./support/createModel');
+
+var PropertyAggregator = viewerModules('Core/Privite/PropertyAggregator');
+var PackageBuilder = viewerModules('Core/Privite/PackageBuilder');
+var VBUtils = viewerModules('Core/Privite/VBUtils');
+
+//Walls of an assembly with volumes in various units, and a door without a material
+function createWallsModel() {
+    var builder = new PackageBuilder();
+    var prop = PackageBuilder.createProperty;
+
+    var mesh = builder.addMesh(VBUtils.createMeshes({
+        positions: new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0]),
+        indices: [0, 1, 2]
+    })[0]);
+
+    var root = builder.addObject(0, "House", PackageBuilder.NODE_TYPE_MODEL, [], "root");
+    var assembly = builder.addObject(root, "Walls", PackageBuilder.NODE_TYPE_ASSEMBLY, [
+        prop("Material", "Concrete", "Materials"),
+        prop("Volume", 1000, "Dimensions", "m^3")
+    ]);
+
+    function addPart(name, props) {
+        var dbId = builder.addObject(assembly, name, PackageBuilder.NODE_TYPE_GEOMETRY, props);
+        builder.addFragment(dbId, mesh, 0);
+        return dbId;
+    }
+
+    var ids = {
+        concrete1: addPart("Wall 1", [prop("Material", "Concrete", "Materials"), prop("Volume", 2, "Dimensions", "m^3")]),
+        concrete2: addPart("Wall 2", [prop("Material", "Concrete", "Materials"), prop("Volume", 500000, "Dimensions", "cm^3")]),
+        brick: addPart("Wall 3", [prop("Material", "Brick", "Materials"), prop("Volume", 100, "Dimensions", "ft^3")]),
+        odd: addPart("Wall 4", [prop("Material", "Brick", "Materials"), prop("Volume", 3, "Dimensions", "gallons")]),
+        door: addPart("Door", [prop("Volume", "n/a", "Dimensions")])
+    };
+
+    return { model: createModel(builder.build()), ids: ids, assembly: assembly };
+}
+
+function close(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, actual + " is not " + expected);
+}
+
+test('sums are per group, in common units', function (t, done) {
+    var walls = createWallsModel();
+    var propDb = walls.model.getData().propWorker;
+    var dbIds = [walls.ids.concrete1, walls.ids.concrete2, walls.ids.brick, walls.ids.odd, walls.ids.door];
+    var progress = [];
+
+    var options = {
+        groupBy: "Material",
+        value: "Volume",
+        batchSize: 2,
+        onProgress: function (done, total) { progress.push(done + "/" + total); }
+    };
+
+    PropertyAggregator.aggregate(propDb, dbIds, options, function (result) {
+        //In the units of the first value: ft^3 is converted, gallons are not a known
+        //volume and "n/a" is not a number, so both are skipped
+        assert.strictEqual(result.units, "m^3");
+        assert.strictEqual(result.skipped, 2);
+        assert.deepStrictEqual(progress, ["2/5", "4/5", "5/5"]);
+
+        var groups = result.groups;
+        assert.deepStrictEqual(groups.map(function (g) { return g.key; }), ["Brick", "Concrete", null]);
+
+        var brick = groups[0], concrete = groups[1], none = groups[2];
+        assert.deepStrictEqual(concrete.dbIds, [walls.ids.concrete1, walls.ids.concrete2]);
+        close(concrete.sum, 2.5);
+        close(concrete.min, 0.5);
+        assert.strictEqual(concrete.max, 2);
+
+        assert.strictEqual(brick.count, 2);
+        assert.strictEqual(brick.valueCount, 1);
+        close(brick.sum, 2.8316846592);
+
+        //Objects without the property are counted, without a value
+        assert.deepStrictEqual(none.dbIds, [walls.ids.door]);
+        assert.strictEqual(none.min, null);
+
+        assert.strictEqual(result.total.count, 5);
+        close(result.total.sum, 5.3316846592);
+        done();
+    });
+});
+
+test('counts without a value, in one group without groupBy', function (t, done) {
+    var walls = createWallsModel();
+    var propDb = walls.model.getData().propWorker;
+
+    PropertyAggregator.aggregate(propDb, [walls.ids.brick, walls.ids.door], {}, function (result) {
+        assert.strictEqual(result.groups.length, 1);
+        assert.strictEqual(result.groups[0].key, "");
+        assert.strictEqual(result.groups[0].count, 2);
+        assert.strictEqual(result.groups[0].sum, 0);
+        assert.strictEqual(result.units, null);
+        done();
+    });
+});
+
+test('the model takes off the leaves of the object tree, in the requested units', function (t, done) {
+    var walls = createWallsModel();
+
+    assert.strictEqual(PropertyAggregator.getTakeOffIds(walls.model.getData()).indexOf(walls.assembly), -1);
+
+    walls.model.aggregate({ value: "Volume", units: "ft^3" }, function (result) {
+        //The volume of the assembly is not added to the volumes of its parts
+        assert.strictEqual(result.total.count, 5);
+        close(result.total.sum / 35.31466672148859, 5.3316846592);
+        assert.strictEqual(result.units, "ft^3");
+        done();
+    });
+});
@@ -0,0 +1,128 @@
+var test = require('node:test');
+var assert = require('assert');
+var viewerModules = require('./support/viewerModules');
+var createModel = require('./support/createModel');
+
+var PropertyExporter = viewerModules('Core/Privite/PropertyExporter');
+var PackageBuilder = viewerModules('Core/Privite/PackageBuilder');
+var VBUtils = viewerModules('Core/Privite/VBUtils');
+
+//Two walls and a door, with a property name that is used in two categories
+function createModelWithProperties() {
+    var builder = new PackageBuilder();
+    var prop = PackageBuilder.createProperty;
+
+    var mesh = builder.addMesh(VBUtils.createMeshes({
+        positions: new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0]),
+        indices: [0, 1, 2]
+    })[0]);
+
+    var root = builder.addObject(0, "House", PackageBuilder.NODE_TYPE_MODEL, [], "root");
+    var ids = {
+        wall1: builder.addObject(root, "Wall, north", PackageBuilder.NODE_TYPE_GEOMETRY, [
+            prop("Material", "=Brick", "Materials"),
+            prop("Area", 12.5, "Dimensions", "m^2"),
+            prop("Mark", "W1", "Identity Data"),
+            prop("Mark", "A", "Structural"),
+            prop("Internal", 7, "Other", null, true)
+        ], "wall-1"),
+        wall2: builder.addObject(root, "Wall \"south\"", PackageBuilder.NODE_TYPE_GEOMETRY, [
+            prop("Area", 8, "Dimensions", "m^2")
+        ], "wall-2"),
+        door: builder.addObject(root, "Door", PackageBuilder.NODE_TYPE_GEOMETRY, [
+            prop("Material", "Oak", "Materials")
+        ], "door-1")
+    };
+    ids.root = root;
+
+    [ids.wall1, ids.wall2, ids.door].forEach(function (dbId) { builder.addFragment(dbId, mesh, 0); });
+
+    var model = createModel(builder.build());
+    return { propDb: model.getData().propWorker, svf: model.getData(), ids: ids };
+}
+
+//The text of a file. CSV files start with a byte order mark, which is checked and left out.
+function readText(blob, callback) {
+    blob.arrayBuffer().then(function (buffer) {
+        var bytes = Buffer.from(buffer);
+        if (blob.type.indexOf("text/csv") === 0) {
+            assert.deepStrictEqual(Array.prototype.slice.call(bytes, 0, 3), [0xef, 0xbb, 0xbf]);
+            bytes = bytes.subarray(3);
+        }
+        callback(bytes.toString());
+    });
+}
+
+function exportText(propDb, dbIds, options, callback) {
+    PropertyExporter.exportProperties(propDb, dbIds, options, function (blob) {
+        readText(blob, callback);
+    }, function (err) {
+        assert.fail(err.msg);
+    });
+}
+
+test('CSV with the given columns, quoted for spreadsheets', function (t, done) {
+    var db = createModelWithProperties();
+    var options = {
+        columns: ["Material", { displayName: "Area", header: "Surface" }],
+        includeExternalId: true,
+        batchSize: 1
+    };
+
+    exportText(db.propDb, [db.ids.wall1, db.ids.wall2, db.ids.door], options, function (text) {
+        assert.strictEqual(text, [
+            "dbId,Name,External ID,Material,Surface",
+            //Text that would be a formula is escaped, values are formatted with their units
+            db.ids.wall1 + ",\"Wall, north\",wall-1,'=Brick,12.500 m²",
+            db.ids.wall2 + ",\"Wall \"\"south\"\"\",wall-2,,8 m^2",
+            db.ids.door + ",Door,door-1,Oak,",
+            ""
+        ].join("\r\n"));
+        done();
+    });
+});
+
+test('JSON with the columns found in the data, skipping objects without properties', function (t, done) {
+    var db = createModelWithProperties();
+    var dbIds = PropertyExporter.getAllObjectIds(db.svf);
+    assert.deepStrictEqual(dbIds, [db.ids.root, db.ids.wall1, db.ids.wall2, db.ids.door]);
+
+    exportText(db.propDb, dbIds, { format: "json", formatValues: false }, function (text) {
+        var rows = JSON.parse(text);
+
+        //The root has no properties, hidden properties are left out, and names used
+        //in more than one category get the category
+        assert.deepStrictEqual(rows.map(function (r) { return r.name; }), ["Wall, north", "Wall \"south\"", "Door"]);
+        assert.deepStrictEqual(rows[0].properties, {
+            "Material": "=Brick",
+            "Area": 12.5,
+            "Identity Data: Mark": "W1",
+            "Structural: Mark": "A"
+        });
+        done();
+    });
+});
+
+test('the property database exports all objects, and rejects unknown formats', function (t, done) {
+    var db = createModelWithProperties();
+
+    db.propDb.exportProperties(null, { columns: ["Area"], separator: ";" }, function (blob) {
+        readText(blob, function (text) {
+            var lines = text.split("\r\n");
+            assert.strictEqual(lines[0], "dbId;Name;Area");
+            assert.strictEqual(lines.length, 4);
+
+            PropertyExporter.exportProperties(db.propDb, [1], { format: "xlsx" }, null, function (err) {
+                assert.match(err.msg, /Unsupported property export format: xlsx/);
+                done();
+            });
+        });
+    });
+});
+
+test('a table is written as CSV', function (t, done) {
+    readText(PropertyExporter.tableToCsv([["Name", "Count"], ["a;b", 2]], ";"), function (text) {
+        assert.strictEqual(text, "Name;Count\r\n\"a;b\";2\r\n");
+        done();
+    });
+});
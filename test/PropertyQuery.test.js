@@ -0,0 +1,133 @@
+var test = require('node:test');
+var assert = require('assert');
+var viewerModules = require('./support/viewerModules');
+
+var PropertyQuery = viewerModules('Core/Privite/PropertyQuery');
+var LocalPropDbLoader = viewerModules('Core/Privite/LocalPropDbLoader');
+var PackageBuilder = viewerModules('Core/Privite/PackageBuilder');
+
+//Objects with areas in various units, and values that are not numbers
+function createPropDb() {
+    var builder = new PackageBuilder();
+    var prop = PackageBuilder.createProperty;
+
+    var root = builder.addObject(0, "Building", PackageBuilder.NODE_TYPE_MODEL, [], "root");
+    var ids = {
+        small: builder.addObject(root, "Small room", PackageBuilder.NODE_TYPE_GEOMETRY, [
+            prop("Area", 9, "Dimensions", "m^2"),
+            prop("Category", "Rooms", "Identity Data"),
+            prop("Occupied", true, "Other")
+        ]),
+        large: builder.addObject(root, "Large room", PackageBuilder.NODE_TYPE_GEOMETRY, [
+            prop("Area", 300, "Dimensions", "ft^2"),
+            prop("Category", "Rooms", "Identity Data"),
+            prop("Occupied", false, "Other")
+        ]),
+        slab: builder.addObject(root, "Slab", PackageBuilder.NODE_TYPE_GEOMETRY, [
+            prop("Area", 150000, "Dimensions", "cm^2"),
+            prop("Area", 7, "Finishes", "m^2"),
+            prop("Category", "Floors", "Identity Data")
+        ]),
+        odd: builder.addObject(root, "Odd", PackageBuilder.NODE_TYPE_GEOMETRY, [
+            prop("Area", 12, "Dimensions", "acres"),
+            prop("Category", "Rooms", "Identity Data"),
+            prop("Length", 12, "Dimensions", "m")
+        ])
+    };
+
+    var svf = builder.build();
+    return { propDb: new LocalPropDbLoader({ getData: function () { return svf; } }, {}), ids: ids };
+}
+
+function run(db, query, dbIds) {
+    return PropertyQuery.run(db.propDb, query, dbIds);
+}
+
+test('numbers are compared in the units of the condition', function () {
+    var db = createPropDb();
+
+    //300 ft^2 is 27.9 m^2 and 150000 cm^2 is 15 m^2
+    assert.deepStrictEqual(run(db, { attr: "Area", gt: 10, units: "m^2" }), [db.ids.large, db.ids.slab]);
+    assert.deepStrictEqual(run(db, { attr: "Area", gte: 9, lt: 20, units: "m^2" }), [db.ids.small, db.ids.slab]);
+    assert.deepStrictEqual(run(db, { attr: "Area", eq: 15, units: "m^2" }), [db.ids.slab]);
+
+    //Without units, values are compared as they are
+    assert.deepStrictEqual(run(db, { attr: "Area", gt: 100 }), [db.ids.large, db.ids.slab]);
+});
+
+test('values in units that do not convert do not match, unless they are in the same units', function () {
+    var db = createPropDb();
+
+    //Acres are not a known unit, and a length is not an area
+    assert.deepStrictEqual(run(db, { attr: "Area", gt: 0, units: "m^2" }), [db.ids.small, db.ids.large, db.ids.slab]);
+    assert.deepStrictEqual(run(db, { attr: "Area", gt: 0, units: "acres" }), [db.ids.odd]);
+    assert.deepStrictEqual(run(db, { attr: "Length", gt: 0, units: "m^2" }), []);
+
+    //Such values are neither equal nor unequal
+    assert.deepStrictEqual(run(db, { attr: "Area", ne: 9, units: "m^2" }), [db.ids.large, db.ids.slab]);
+});
+
+test('conditions combine, and can be restricted to a category', function () {
+    var db = createPropDb();
+
+    var rooms = { attr: "Category", eq: "Rooms" };
+    assert.deepStrictEqual(run(db, { and: [rooms, { not: { attr: "Occupied", eq: true } }] }), [db.ids.large, db.ids.odd]);
+    assert.deepStrictEqual(run(db, { or: [{ attr: "Occupied", eq: true }, { attr: "Name", regex: "^sl", flags: "i" }] }),
+                           [db.ids.small, db.ids.slab]);
+
+    //All tests of a condition hold for the same value
+    assert.deepStrictEqual(run(db, { attr: "Area", category: "Finishes", lt: 10, units: "m^2" }), [db.ids.slab]);
+    assert.deepStrictEqual(run(db, { attr: "Area", category: "Dimensions", lt: 10, units: "m^2" }), [db.ids.small]);
+
+    assert.deepStrictEqual(run(db, { attr: "Occupied", exists: false }), [1, db.ids.slab, db.ids.odd]);
+    assert.deepStrictEqual(run(db, rooms, [db.ids.odd, db.ids.slab]), [db.ids.odd]);
+});
+
+test('malformed queries throw', function () {
+    var db = createPropDb();
+
+    assert.throws(function () { run(db, null); }, /object expected/);
+    assert.throws(function () { run(db, { foo: 1 }); }, /attr, and, or or not expected/);
+    assert.throws(function () { run(db, { attr: "Area" }); }, /no test given for Area/);
+    assert.throws(function () { run(db, { attr: "Area", gt: "ten" }); }, /numeric bound expected for Area/);
+});
+
+test('the property database answers queries asynchronously', function (t, done) {
+    var db = createPropDb();
+
+    db.propDb.query({ attr: "Category", eq: "Floors" }, null, function (dbIds) {
+        assert.deepStrictEqual(dbIds, [db.ids.slab]);
+
+        db.propDb.query({ attr: "" }, null, null, function (err) {
+            assert.match(err.msg, /attr, and, or or not expected/);
+            done();
+        });
+    });
+});
+
+test('the worker setup runs queries sent as property searches', function () {
+    var db = createPropDb();
+    var messages = [];
+    var searches = [];
+    var worker = { propdb: db.propDb, postMessage: function (msg) { messages.push(msg); } };
+    var self = { Autodesk: { LMVTK: { doPropertySearch: function (op) { searches.push(op); } } } };
+
+    new Function("self", PropertyQuery.getWorkerSetup())(self);
+
+    var search = self.Autodesk.LMVTK.doPropertySearch;
+    search({ worker: worker, cbId: 1, query: { attr: "Area", gt: 10, units: "m^2" } });
+    search({ worker: worker, cbId: 2, query: { attr: "Area" } });
+    search({ worker: worker, cbId: 3, searchText: "room" });
+
+    //Before the object tree is loaded there is no database to query
+    worker.propdb = null;
+    search({ worker: worker, cbId: 4, query: { attr: "Area", exists: true } });
+
+    assert.deepStrictEqual(messages[0], { cbId: 1, result: [db.ids.large, db.ids.slab] });
+    assert.deepStrictEqual(messages[1], { cbId: 2, error: { code: 2, msg: "Query: no test given for Area" } });
+    assert.deepStrictEqual(messages[2], { cbId: 4, error: { code: 1, msg: "Property database is not available" } });
+
+    //Searches without a query go to the worker's own search
+    assert.strictEqual(searches.length, 1);
+    assert.strictEqual(searches[0].searchText, "room");
+});
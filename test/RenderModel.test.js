@@ -0,0 +1,100 @@
+var test = require('node:test');
+var assert = require('assert');
+var viewerModules = require('./support/viewerModules');
+var createModel = require('./support/createModel');
+
+var PackageBuilder = viewerModules('Core/Privite/PackageBuilder');
+var VBUtils = viewerModules('Core/Privite/VBUtils');
+var transformBoxes = viewerModules('Core/Privite/Fn/transformBoxes');
+
+//Two unit boxes, the second one at x = 10
+function createBoxesModel() {
+    var builder = new PackageBuilder();
+
+    var triangle = builder.addMesh(VBUtils.createMeshes({
+        positions: new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 1]),
+        indices: [0, 1, 2]
+    })[0]);
+
+    var root = builder.addObject(0, "Site", PackageBuilder.NODE_TYPE_MODEL, [], "root");
+    var near = builder.addObject(root, "Near", PackageBuilder.NODE_TYPE_GEOMETRY, []);
+    var far = builder.addObject(root, "Far", PackageBuilder.NODE_TYPE_GEOMETRY, []);
+
+    builder.addFragment(near, triangle, 0);
+    builder.addFragment(far, triangle, 0, new THREE.Matrix4().makeTranslation(10, 0, 0));
+
+    var svf = builder.build();
+    return { model: createModel(svf), ids: { root: root, near: near, far: far } };
+}
+
+function fragmentBox(model, fragId) {
+    var box = new THREE.Box3();
+    model.getFragmentList().getWorldBounds(fragId, box);
+    return box.min.toArray().concat(box.max.toArray());
+}
+
+function nodeBox(model, dbId) {
+    var box = new Float32Array(6);
+    model.getData().instanceTree.getNodeBox(dbId, box);
+    return Array.from(box);
+}
+
+test('boxes are replaced by the box around their transformed corners', function () {
+    var boxes = new Float32Array([0, 0, 0, 1, 2, 3, Infinity, Infinity, Infinity, -Infinity, -Infinity, -Infinity]);
+
+    //A quarter turn around z, then up by 5
+    var matrix = new THREE.Matrix4().makeTranslation(0, 0, 5).multiply(new THREE.Matrix4().makeRotationZ(Math.PI / 2));
+    transformBoxes(boxes, matrix);
+
+    var rounded = Array.from(boxes.subarray(0, 6)).map(function (x) { return Math.round(x * 1e6) / 1e6 || 0; });
+    assert.deepStrictEqual(rounded, [-2, 0, 5, 0, 1, 8]);
+
+    //Empty boxes stay empty
+    assert.strictEqual(boxes[6], Infinity);
+    assert.strictEqual(boxes[9], -Infinity);
+});
+
+test('the placement transform moves the fragments, the node boxes and the model bounds', function () {
+    var site = createBoxesModel();
+    var model = site.model;
+
+    assert.deepStrictEqual(Array.from(model.getPlacementTransform().elements), Array.from(new THREE.Matrix4().elements));
+
+    model.setPlacementTransform(new THREE.Matrix4().makeTranslation(0, 100, 0));
+
+    assert.deepStrictEqual(fragmentBox(model, 0), [0, 100, 0, 1, 101, 1]);
+    assert.deepStrictEqual(fragmentBox(model, 1), [10, 100, 0, 11, 101, 1]);
+    assert.deepStrictEqual(nodeBox(model, site.ids.far), [10, 100, 0, 11, 101, 1]);
+    assert.deepStrictEqual(nodeBox(model, site.ids.root), [0, 100, 0, 11, 101, 1]);
+    assert.deepStrictEqual(model.getData().bbox.min.toArray(), [0, 100, 0]);
+    assert.deepStrictEqual(model.getVisibleBounds().max.toArray(), [11, 101, 1]);
+    assert.deepStrictEqual(Array.from(model.getPlacementTransform().elements.subarray(12)), [0, 100, 0, 1]);
+
+    //A new placement replaces the previous one
+    model.setPlacementTransform(new THREE.Matrix4().makeTranslation(5, 0, 0));
+    assert.deepStrictEqual(fragmentBox(model, 0), [5, 0, 0, 6, 1, 1]);
+    assert.deepStrictEqual(nodeBox(model, site.ids.near), [5, 0, 0, 6, 1, 1]);
+
+    var world = new THREE.Matrix4();
+    model.getFragmentList().getOriginalWorldMatrix(1, world);
+    assert.deepStrictEqual(Array.from(world.elements.subarray(12)), [15, 0, 0, 1]);
+
+    //Back to where it was loaded
+    model.setPlacementTransform(null);
+    assert.deepStrictEqual(fragmentBox(model, 1), [10, 0, 0, 11, 1, 1]);
+    assert.deepStrictEqual(model.getData().bbox.max.toArray(), [11, 1, 1]);
+});
+
+test('the global offset stays applied after the placement', function () {
+    var site = createBoxesModel();
+    var model = site.model;
+
+    //As if the model was loaded with a global offset, which is subtracted from all positions
+    model.getData().globalOffset = { x: 10, y: 0, z: 0 };
+
+    //A quarter turn around the origin of the model, which is at -10 in the scene
+    model.setPlacementTransform(new THREE.Matrix4().makeRotationZ(Math.PI / 2));
+
+    var rounded = fragmentBox(model, 1).map(function (x) { return Math.round(x * 1e6) / 1e6 || 0; });
+    assert.deepStrictEqual(rounded, [-11, 20, 0, -10, 21, 1]);
+});
@@ -0,0 +1,56 @@
+var test = require('node:test');
+var assert = require('assert');
+var viewerModules = require('./support/viewerModules');
+var createModel = require('./support/createModel');
+
+var RenderScene = viewerModules('Core/Privite/RenderScene');
+var PackageBuilder = viewerModules('Core/Privite/PackageBuilder');
+var VBUtils = viewerModules('Core/Privite/VBUtils');
+
+//A model with a single unit triangle at x
+function createModelAt(x) {
+    var builder = new PackageBuilder();
+
+    var triangle = builder.addMesh(VBUtils.createMeshes({
+        positions: new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0]),
+        indices: [0, 1, 2]
+    })[0]);
+
+    var root = builder.addObject(0, "Part", PackageBuilder.NODE_TYPE_MODEL, [], "root");
+    builder.addFragment(root, triangle, 0, new THREE.Matrix4().makeTranslation(x, 0, 0));
+
+    return createModel(builder.build());
+}
+
+test('hidden models are left out of the scene bounds', function () {
+    var scene = new RenderScene();
+    var near = createModelAt(0), far = createModelAt(10);
+    scene.addModel(near);
+    scene.addModel(far);
+
+    assert.deepStrictEqual(scene.getVisibleBounds().max.toArray(), [11, 1, 0]);
+
+    assert.strictEqual(scene.setModelVisible(far, false), true);
+    assert.strictEqual(scene.setModelVisible(far, false), false);
+    assert.strictEqual(scene.isModelVisible(far), false);
+    assert.strictEqual(scene.isModelVisible(near), true);
+    assert.deepStrictEqual(scene.getVisibleBounds().max.toArray(), [1, 1, 0]);
+
+    //With only one model left, hiding still counts
+    scene.removeModel(near);
+    assert.strictEqual(scene.getVisibleBounds().empty(), true);
+
+    assert.strictEqual(scene.setModelVisible(far, true), true);
+    assert.deepStrictEqual(scene.getVisibleBounds().min.toArray(), [10, 0, 0]);
+});
+
+test('a removed model is visible again when it is added back', function () {
+    var scene = new RenderScene();
+    var model = createModelAt(0);
+    scene.addModel(model);
+    scene.setModelVisible(model, false);
+
+    assert.strictEqual(scene.removeModel(model), true);
+    assert.strictEqual(scene.isModelVisible(model), true);
+    assert.strictEqual(scene.isEmpty(), true);
+});
@@ -0,0 +1,122 @@
+var test = require('node:test');
+var assert = require('assert');
+var viewerModules = require('./support/viewerModules');
+
+var StlLoader = viewerModules('Core/Privite/StlLoader');
+
+//A binary STL of the given facets, each { normal: [x, y, z], vertices: [9 numbers] }
+function toBinary(header, facets, count) {
+    var bytes = Buffer.alloc(84 + facets.length * 50);
+    bytes.write(header, 0, "latin1");
+    bytes.writeUInt32LE(count !== undefined ? count : facets.length, 80);
+
+    facets.forEach(function (facet, i) {
+        var offset = 84 + i * 50;
+        facet.normal.concat(facet.vertices).forEach(function (value, j) {
+            bytes.writeFloatLE(value, offset + j * 4);
+        });
+    });
+    return new Uint8Array(bytes);
+}
+
+var TRIANGLE = [0, 0, 0, 2, 0, 0, 0, 3, 0];
+
+function parse(data, options, callback) {
+    var loader = new StlLoader(null);
+    loader.options = options;
+    loader.parse(data, callback);
+}
+
+function propertyValue(obj, name) {
+    var props = obj.properties.filter(function (p) { return p.displayName === name; });
+    return props.length ? props[0].displayValue : undefined;
+}
+
+test('a binary STL is one solid named after its header', function (t, done) {
+    //The header starts with "solid" like many exporters write it, it is still binary
+    var data = toBinary("solid Bracket COLOR=1 UNITS=in", [
+        { normal: [0, 0, 1], vertices: TRIANGLE },
+        { normal: [0, 0, 0], vertices: [0, 0, 1, 0, 1, 1, 1, 0, 1] }
+    ]);
+
+    parse(data, {}, function (err, svf) {
+        assert.ifError(err);
+
+        var root = svf.objects[1];
+        assert.strictEqual(propertyValue(root, "Format"), "Binary");
+        assert.strictEqual(propertyValue(root, "Header"), "solid Bracket COLOR=1 UNITS=in");
+
+        var solid = svf.objects[root.children[0]];
+        assert.strictEqual(solid.name, "Bracket");
+        assert.strictEqual(solid.externalId, "solid0");
+        assert.strictEqual(propertyValue(solid, "Triangles"), 2);
+        assert.strictEqual(svf.fragments.length, 1);
+
+        assert.strictEqual(svf.metadata["distance unit"].value, "in");
+        assert.deepStrictEqual(svf.metadata["world up vector"].XYZ, [0, 0, 1]);
+        assert.deepStrictEqual(svf.bbox.max.toArray(), [2, 3, 1]);
+        done();
+    });
+});
+
+test('a truncated binary STL keeps the facets that are there', function (t, done) {
+    var data = toBinary("", [{ normal: [0, 0, 1], vertices: TRIANGLE }], 5);
+
+    parse(data, { units: "cm" }, function (err, svf) {
+        assert.ifError(err);
+
+        var solid = svf.objects[svf.objects[1].children[0]];
+        assert.strictEqual(solid.name, "Solid 1");
+        assert.strictEqual(propertyValue(solid, "Triangles"), 1);
+
+        //The load option wins, without a header the default is millimeters
+        assert.strictEqual(svf.metadata["distance unit"].value, "cm");
+        done();
+    });
+});
+
+test('every solid of an ASCII STL is a node of its own', function (t, done) {
+    var text = [
+        "solid base",
+        "  facet normal 0 0 1",
+        "    outer loop",
+        "      vertex 0 0 0", "      vertex 1 0 0", "      vertex 0 1 0",
+        "    endloop",
+        "  endfacet",
+        "endsolid base",
+        "solid lid",
+        "  facet normal 0 0 0",
+        "    outer loop",
+        "      vertex 0 0 5", "      vertex 1 0 5", "      vertex 0 1 5",
+        "    endloop",
+        "  endfacet",
+        "endsolid lid",
+        "solid empty",
+        "endsolid empty"
+    ].join("\n");
+
+    parse(new Uint8Array(Buffer.from(text)), {}, function (err, svf) {
+        assert.ifError(err);
+
+        var root = svf.objects[1];
+        assert.strictEqual(propertyValue(root, "Format"), "ASCII");
+
+        var names = root.children.map(function (id) { return svf.objects[id].name; });
+        assert.deepStrictEqual(names, ["base", "lid", "empty"]);
+
+        //The empty solid is selectable, but has no geometry
+        assert.strictEqual(svf.objects[root.children[2]].fragIds.length, 0);
+        assert.strictEqual(svf.fragments.length, 2);
+
+        assert.strictEqual(svf.metadata["distance unit"].value, "mm");
+        assert.deepStrictEqual(svf.bbox.max.toArray(), [1, 1, 5]);
+        done();
+    });
+});
+
+test('a file without solids is an error', function (t, done) {
+    parse(new Uint8Array(Buffer.from("hello")), {}, function (err) {
+        assert.match(err, /No solids found/);
+        done();
+    });
+});
@@ -0,0 +1,110 @@
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var childProcess = require('child_process');
+var writeSvf = require('./support/writeSvf');
+
+var CLI = path.resolve(__dirname, '../bin/extract-properties.js');
+
+var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'extract-properties-'));
+test.after(function () { fs.rmSync(dir, { recursive: true, force: true }); });
+
+var svf = writeSvf(path.join(dir, 'model'), {
+    objects: [
+        { name: "Model", externalId: "root" },
+        { name: "Wall", parent: 1, externalId: "wall", properties: [
+            { name: "Width", category: "Dimensions", value: 1.5, units: "m" },
+            { name: "Material", category: "Identity Data", value: 'Concrete, "C30"' }
+        ] },
+        { name: "Door", parent: 1, externalId: "door", properties: [
+            { name: "Material", category: "Identity Data", value: "Wood" },
+            { name: "Revision", category: "Other", value: "B", hidden: true }
+        ] }
+    ],
+    fragments: [
+        { dbId: 2, box: [0, 0, 0, 1, 1, 1] },
+        { dbId: 3, box: [2, 0, 0, 3, 1, 1] }
+    ]
+});
+
+function extract(args, callback) {
+    childProcess.execFile(process.execPath, [CLI].concat(args), { timeout: 60000 }, callback);
+}
+
+//Without the byte order mark, which is there for Excel
+function read(file) {
+    return fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, '');
+}
+
+function readRows(file) {
+    return read(file).trim().split('\r\n');
+}
+
+test('the object tree, the properties and the external ids are written as CSV', function (t, done) {
+    var out = path.join(dir, 'csv');
+
+    extract([svf, '--out', out], function (err, stdout) {
+        assert.ifError(err);
+        assert.match(stdout, /Wrote .*tree\.csv/);
+
+        assert.deepStrictEqual(readRows(path.join(out, 'tree.csv')), [
+            'dbId,Parent dbId,Name,Depth,Children',
+            '1,0,Model,0,2',
+            '2,1,Wall,1,0',
+            '3,1,Door,1,0'
+        ]);
+
+        //Hidden properties are left out, values with commas and quotes are quoted
+        assert.deepStrictEqual(readRows(path.join(out, 'properties.csv')), [
+            'dbId,Name,External ID,Width,Material',
+            '2,Wall,wall,1.500 m,"Concrete, ""C30"""',
+            '3,Door,door,,Wood'
+        ]);
+
+        assert.deepStrictEqual(readRows(path.join(out, 'externalIds.csv')), [
+            'dbId,External ID',
+            '1,root',
+            '2,wall',
+            '3,door'
+        ]);
+        done();
+    });
+});
+
+test('JSON output, with hidden properties on request', function (t, done) {
+    var out = path.join(dir, 'json');
+
+    extract([svf, '--out', out, '--format', 'JSON', '--include-hidden'], function (err) {
+        assert.ifError(err);
+
+        var tree = JSON.parse(read(path.join(out, 'tree.json')));
+        assert.deepStrictEqual(tree[2], { dbId: 3, parentId: 1, name: "Door", depth: 1, childCount: 0 });
+
+        //Hidden properties include the parent
+        var properties = JSON.parse(read(path.join(out, 'properties.json')));
+        assert.deepStrictEqual(properties.filter(function (object) { return object.dbId === 3; }), [{
+            dbId: 3, name: "Door", externalId: "door",
+            properties: { parent: 1, Material: "Wood", Revision: "B" }
+        }]);
+
+        assert.deepStrictEqual(JSON.parse(read(path.join(out, 'externalIds.json'))), { root: 1, wall: 2, door: 3 });
+        done();
+    });
+});
+
+test('bad arguments and missing models fail with a message', function (t, done) {
+    extract([svf, '--format', 'xml'], function (err, stdout, stderr) {
+        assert.strictEqual(err.code, 1);
+        assert.match(stderr, /Unsupported format: xml/);
+        assert.match(stderr, /Usage:/);
+
+        extract([path.join(dir, 'none.svf'), '--out', path.join(dir, 'none')], function (err, stdout, stderr) {
+            assert.strictEqual(err.code, 1);
+            assert.match(stderr, /^Extraction failed: /);
+            assert.strictEqual(fs.existsSync(path.join(dir, 'none')), false);
+            done();
+        });
+    });
+});
@@ -0,0 +1,150 @@
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var childProcess = require('child_process');
+var viewerModules = require('./support/viewerModules');
+var writeSvf = require('./support/writeSvf');
+
+var SvfValidator = viewerModules('Core/Privite/SvfValidator');
+
+var CLI = path.resolve(__dirname, '../bin/validate-model.js');
+
+var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'validate-model-'));
+test.after(function () { fs.rmSync(dir, { recursive: true, force: true }); });
+
+//A material with a single texture
+function material(uri) {
+    return {
+        version: 2,
+        userassets: ["0"],
+        materials: {
+            "0": { definition: "SimplePhong", properties: { uris: {} }, textures: { generic_diffuse: { connections: ["1"] } } },
+            "1": { definition: "UnifiedBitmap", properties: { uris: { unifiedbitmap_Bitmap: { values: [uri] } } } }
+        }
+    };
+}
+
+//A wall and a door in two geometry packs
+function writeModel(name, options) {
+    return writeSvf(path.join(dir, name), {
+        objects: [
+            { name: "Model", externalId: "root" },
+            { name: "Wall", parent: 1, externalId: "wall" },
+            { name: "Door", parent: 1, externalId: "door" }
+        ],
+        fragments: [
+            { dbId: 2, box: [0, 0, 0, 1, 1, 1], pack: 0 },
+            { dbId: 3, box: [2, 0, 0, 3, 1, 1], pack: 1 }
+        ],
+        packs: [{ uri: "0.pf" }, { uri: "1.pf", missing: options.missingPack }],
+        materials: {
+            name: "LMVTK Simple Materials",
+            version: "1.0",
+            materials: { "0": material("Textures/brick.jpg"), "1": material("Textures/wood.jpg"), "2": material("1/Mats/shared.png") }
+        },
+        files: options.missingTexture ? { "Textures/brick.jpg": "jpg" } : { "Textures/brick.jpg": "jpg", "Textures/wood.jpg": "jpg" },
+        metadata: { metadata: {
+            "world bounding box": { minXYZ: [0, 0, 0], maxXYZ: [3, 1, 1] },
+            "distance unit": options.unit ? { value: options.unit } : undefined
+        } }
+    });
+}
+
+function validate(args, callback) {
+    childProcess.execFile(process.execPath, [CLI].concat(args), { timeout: 60000 }, callback);
+}
+
+function checks(list) {
+    return list.map(function (entry) { return entry.check + ": " + entry.msg; });
+}
+
+test('missing geometry packs and textures make a model invalid', function (t, done) {
+    var svf = writeModel('broken', { missingPack: true, missingTexture: true });
+
+    validate([svf], function (err, stdout, stderr) {
+        assert.strictEqual(err.code, 1);
+        assert.match(stderr, /2 error\(s\), 2 warning\(s\)\./);
+
+        var report = JSON.parse(stdout);
+        assert.strictEqual(report.valid, false);
+        assert.deepStrictEqual(checks(report.errors), [
+            "geometryPacks: 1 of 2 geometry packs failed to load",
+            "textures: 1 textures are missing"
+        ]);
+        assert.deepStrictEqual(report.errors[1].details, [{ material: "1", uri: "Textures/wood.jpg", path: path.join(dir, 'broken/Textures/wood.jpg') }]);
+
+        //The packs have no meshes
+        assert.deepStrictEqual(checks(report.warnings), [
+            "fragments: 2 fragments have no geometry",
+            "units: The model has no distance unit"
+        ]);
+
+        assert.deepStrictEqual(report.fragments, { count: 2, withoutGeometry: 2 });
+        assert.deepStrictEqual(report.triangles, { geometry: 0, instances: 0 });
+        assert.strictEqual(report.geometryPacks.count, 2);
+        assert.strictEqual(report.geometryPacks.loaded, 1);
+        assert.strictEqual(report.geometryPacks.failed[0].uri, "1.pf");
+
+        //Textures of the shared material library are not part of the bundle
+        assert.strictEqual(report.materials.count, 3);
+        assert.strictEqual(report.materials.textures, 3);
+        assert.strictEqual(report.materials.sharedTextures, 1);
+        assert.strictEqual(report.materials.missingTextures, 1);
+
+        assert.deepStrictEqual(report.boundingBox, { min: [0, 0, 0], max: [3, 1, 1] });
+        assert.strictEqual(report.objects.nodes, 3);
+        done();
+    });
+});
+
+test('warnings alone leave a model valid, and the report can go to a file', function (t, done) {
+    var svf = writeModel('valid', { unit: "furlong" });
+    var out = path.join(dir, 'valid.json');
+
+    validate([svf, '--out', out], function (err, stdout) {
+        assert.ifError(err);
+        assert.strictEqual(stdout, "");
+
+        var report = JSON.parse(fs.readFileSync(out, 'utf8'));
+        assert.strictEqual(report.valid, true);
+        assert.deepStrictEqual(report.errors, []);
+        assert.deepStrictEqual(checks(report.warnings), [
+            "fragments: 2 fragments have no geometry",
+            "units: Unknown distance unit: furlong"
+        ]);
+        assert.strictEqual(report.units, null);
+
+        validate([writeModel('meters', { unit: "meter" })], function (err, stdout) {
+            assert.ifError(err);
+            assert.strictEqual(JSON.parse(stdout).units, "m");
+            done();
+        });
+    });
+});
+
+test('a model that cannot be read is reported as invalid', function (t, done) {
+    validate([path.join(dir, 'none.svf')], function (err, stdout) {
+        assert.strictEqual(err.code, 1);
+
+        var report = JSON.parse(stdout);
+        assert.strictEqual(report.valid, false);
+        assert.strictEqual(report.errors.length, 1);
+        assert.strictEqual(report.errors[0].check, "open");
+        assert.deepStrictEqual(report.warnings, []);
+        done();
+    });
+});
+
+test('the bounding box is reported in the coordinates of the file', function () {
+    var bbox = new THREE.Box3(new THREE.Vector3(-1, -1, 0), new THREE.Vector3(1, 1, 2));
+    var validator = new SvfValidator({ svf: { bbox: bbox, globalOffset: { x: 100, y: 200, z: 0 } } });
+
+    assert.deepStrictEqual(validator.checkBoundingBox(), { min: [99, 199, 0], max: [101, 201, 2] });
+    assert.deepStrictEqual(validator.errors, []);
+
+    validator = new SvfValidator({ svf: { bbox: new THREE.Box3() } });
+    assert.strictEqual(validator.checkBoundingBox(), null);
+    assert.deepStrictEqual(checks(validator.errors), ["boundingBox: The model has no valid bounding box"]);
+});
@@ -0,0 +1,126 @@
+var test = require('node:test');
+var assert = require('assert');
+var viewerModules = require('./support/viewerModules');
+
+//The loader parses with the DOMParser of the browser
+global.DOMParser = require('@xmldom/xmldom').DOMParser;
+
+var SvgLoader = viewerModules('Core/Privite/SvgLoader');
+var PackageBuilder = viewerModules('Core/Privite/PackageBuilder');
+
+function parse(text, options, callback) {
+    var loader = new SvgLoader(null);
+    loader.currentLoadPath = "sheets/plan.svg";
+    loader.options = options;
+    loader.parse(new Uint8Array(Buffer.from(text)), callback);
+}
+
+function findObject(svf, name) {
+    return svf.objects.filter(function (obj) { return obj && obj.name === name; })[0];
+}
+
+function propertyValue(obj, name) {
+    var props = obj.properties.filter(function (p) { return p.displayName === name; });
+    return props.length ? props[0].displayValue : undefined;
+}
+
+function layerNames(svf) {
+    var layers = svf.metadata.layers;
+    return Object.keys(layers).map(function (index) { return layers[index].name; });
+}
+
+var INKSCAPE_PLAN = [
+    '<svg xmlns="http://www.w3.org/2000/svg" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape"',
+    '     width="200mm" height="100mm" viewBox="0 0 200 100">',
+    '  <title>Ground floor</title>',
+    '  <g inkscape:groupmode="layer" inkscape:label="Walls">',
+    '    <g id="kitchen" data-room="K1">',
+    '      <desc>Kitchen walls</desc>',
+    '      <rect x="0" y="0" width="50" height="40" stroke="black" fill="none"/>',
+    '      <path d="M 50 0 L 50 40" stroke="red"/>',
+    '    </g>',
+    '    <circle id="column" cx="100" cy="50" r="5"/>',
+    '  </g>',
+    '  <g inkscape:groupmode="layer" inkscape:label="Notes" style="display:none">',
+    '    <text x="10" y="90">Draft</text>',
+    '  </g>',
+    '  <g id="not-a-layer"><line x1="0" y1="0" x2="1" y2="1" stroke="black"/></g>',
+    '</svg>'
+].join("\n");
+
+test('Inkscape layers are sheet layers and named groups are selectable objects', function (t, done) {
+    parse(INKSCAPE_PLAN, {}, function (err, svf) {
+        assert.ifError(err);
+
+        var root = svf.objects[1];
+        assert.strictEqual(root.name, "plan");
+        assert.strictEqual(propertyValue(root, "Title"), "Ground floor");
+
+        //Groups outside of the Inkscape layers go to a default layer
+        assert.deepStrictEqual(layerNames(svf), ["Walls", "Notes", "Default"]);
+
+        //Hidden layers are drawn, but off
+        assert.deepStrictEqual(svf.hiddenLayers, [2]);
+
+        var walls = findObject(svf, "Walls");
+        assert.strictEqual(walls.flags, PackageBuilder.NODE_TYPE_LAYER);
+
+        var kitchen = findObject(svf, "kitchen");
+        assert.strictEqual(kitchen.parent, walls.dbId);
+        assert.strictEqual(kitchen.externalId, "#kitchen");
+        assert.strictEqual(propertyValue(kitchen, "data-room"), "K1");
+        assert.strictEqual(propertyValue(kitchen, "Description"), "Kitchen walls");
+
+        //The shapes of a named group are drawn as the group
+        assert.deepStrictEqual(kitchen.children || [], []);
+
+        //Shapes outside of named groups are objects of their own
+        var column = findObject(svf, "column");
+        assert.strictEqual(column.parent, walls.dbId);
+        assert.strictEqual(propertyValue(column, "Element"), "circle");
+        assert.ok(svf.fragments.dbId2fragId[column.dbId] !== undefined);
+        done();
+    });
+});
+
+test('the sheet is in the units of the document size, with y up', function (t, done) {
+    parse(INKSCAPE_PLAN, {}, function (err, svf) {
+        assert.ifError(err);
+
+        assert.strictEqual(svf.metadata.page_dimensions.page_units, "mm");
+
+        //The view box maps one to one to millimeters. The rectangle at the top of the
+        //document is at the top of the sheet.
+        assert.ok(svf.bbox.max.y >= 100 && svf.bbox.min.y <= 10);
+        assert.ok(svf.bbox.max.x >= 105);
+        done();
+    });
+});
+
+test('without Inkscape layers, the top level groups are the layers', function (t, done) {
+    var text = [
+        '<svg xmlns="http://www.w3.org/2000/svg" width="100" height="100">',
+        '  <g id="Electrical"><rect id="panel" x="0" y="0" width="10" height="10"/></g>',
+        '  <g id="Plumbing"><circle cx="50" cy="50" r="10"/></g>',
+        '</svg>'
+    ].join("\n");
+
+    parse(text, { units: "ft" }, function (err, svf) {
+        assert.ifError(err);
+
+        assert.deepStrictEqual(layerNames(svf), ["Electrical", "Plumbing"]);
+        assert.strictEqual(findObject(svf, "panel").parent, findObject(svf, "Electrical").dbId);
+        assert.strictEqual(findObject(svf, "circle").externalId, "element:4");
+
+        //The load option sets the units of the user coordinates
+        assert.strictEqual(svf.metadata.page_dimensions.page_units, "ft");
+        done();
+    });
+});
+
+test('documents that are not SVG are errors', function (t, done) {
+    parse('<html xmlns="http://www.w3.org/1999/xhtml"></html>', {}, function (err) {
+        assert.match(err, /Failed to parse SVG document/);
+        done();
+    });
+});
@@ -0,0 +1,137 @@
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var http = require('http');
+var express = require('express');
+var viewerModules = require('./support/viewerModules');
+
+var documents = require('../server/documents');
+
+global.XMLHttpRequest = require('xhr2');
+
+var ViewerStateStore = viewerModules('Core/Privite/ViewerStateStore');
+var Logger = viewerModules('Core/Logger');
+
+var dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'viewer-state-store-'));
+var server = http.createServer(express().use('/api/models', documents(dataDir)));
+
+test.before(function (t, done) { server.listen(0, '127.0.0.1', done); });
+test.after(function () {
+    server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+//What the store uses of Viewer3D
+function createViewer() {
+    return {
+        state: { viewport: { eye: [0, 0, 10] } },
+        restored: [],
+        getState: function (filter) {
+            return filter && filter.viewport === false ? {} : JSON.parse(JSON.stringify(this.state));
+        },
+        restoreState: function (state, filter, immediate) {
+            if (!state.viewport)
+                return false;
+            this.restored.push({ state: state, filter: filter, immediate: immediate });
+            return true;
+        }
+    };
+}
+
+function createStore(viewer, modelId) {
+    return new ViewerStateStore(viewer, {
+        modelId: modelId || 'house/house.svf',
+        baseUrl: 'http://127.0.0.1:' + server.address().port + '/api/models'
+    });
+}
+
+test('viewer states are saved as documents and restored', function (t, done) {
+    var viewer = createViewer();
+    var store = createStore(viewer);
+
+    store.save('Entrance', { data: { note: 'main door' } }, function (doc) {
+        assert.strictEqual(doc.type, 'view');
+        assert.deepStrictEqual(doc.data, { note: 'main door', state: { viewport: { eye: [0, 0, 10] } } });
+
+        viewer.state = { viewport: { eye: [5, 5, 5] } };
+        store.update(doc.id, { name: 'Side' }, function (updated) {
+            assert.strictEqual(updated.name, 'Side');
+            assert.deepStrictEqual(updated.data, { state: { viewport: { eye: [5, 5, 5] } } });
+
+            store.list('view', function (docs) {
+                assert.deepStrictEqual(docs.map(function (d) { return d.name; }), ['Side']);
+
+                store.restore(doc.id, { immediate: true }, function (restored) {
+                    assert.strictEqual(restored.id, doc.id);
+                    assert.deepStrictEqual(viewer.restored, [{ state: updated.data.state, filter: undefined, immediate: true }]);
+
+                    store.remove(doc.id, function () {
+                        store.list(null, function (docs) {
+                            assert.deepStrictEqual(docs, []);
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+    });
+});
+
+test('a document with its data is restored without asking the server again', function (t, done) {
+    var viewer = createViewer();
+    var store = createStore(viewer);
+    store.baseUrl = 'http://127.0.0.1:1/nowhere';
+
+    var doc = { id: '0123456789abcdef', name: 'Local', data: { state: { viewport: { eye: [1, 2, 3] } } } };
+    store.restore(doc, { filter: { viewport: true } }, function (restored) {
+        assert.strictEqual(restored, doc);
+        assert.deepStrictEqual(viewer.restored[0].filter, { viewport: true });
+
+        //A state the viewer cannot restore
+        store.restore({ id: doc.id, name: 'Empty', data: { state: {} } }, null, function () {
+            assert.fail('Nothing to restore');
+        }, function (status, statusText, data) {
+            assert.strictEqual(status, 0);
+            assert.deepStrictEqual(data, { id: doc.id });
+            done();
+        });
+    });
+});
+
+test('failures are reported with the status and the error of the server', function (t, done) {
+    var store = createStore(createViewer());
+
+    store.rename('0123456789abcdef', 'A', function () {
+        assert.fail('There is no such document');
+    }, function (status, statusText, data) {
+        assert.strictEqual(status, 404);
+        assert.deepStrictEqual(data, { error: 'No such document' });
+
+        store.save('Bad', { type: 'note' }, null, function (status, statusText, data) {
+            assert.strictEqual(status, 400);
+            assert.match(data.error, /^type must be/);
+
+            //Logged without an error callback
+            var error = Logger.error;
+            Logger.error = function (msg) {
+                Logger.error = error;
+                assert.match(msg, /^ViewerStateStore: GET .* failed: 0 Network error$/);
+                done();
+            };
+            store.baseUrl = 'http://127.0.0.1:1/api/models';
+            store.get('0123456789abcdef', function () {
+                assert.fail('The server is not there');
+            });
+        });
+    });
+});
+
+test('documents need the id of the model', function () {
+    var store = new ViewerStateStore(createViewer());
+    assert.throws(function () { store.list(null, function () {}); }, /no modelId/);
+
+    store.modelId = 'a b/c.svf';
+    assert.strictEqual(store.documentsUrl('x'), '/api/models/a%20b%2Fc.svf/documents/x');
+});
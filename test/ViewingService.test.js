@@ -0,0 +1,213 @@
+var test = require('node:test');
+var assert = require('assert');
+var http = require('http');
+var viewerModules = require('./support/viewerModules');
+
+var ViewingService = viewerModules('Core/Privite/ViewingService');
+var WorkerRequests = viewerModules('Core/Privite/WorkerRequests');
+
+function get(url, options) {
+    return new Promise(function (resolve) {
+        ViewingService.rawGet(null, null, url, function (data) {
+            resolve({ data: data });
+        }, function (status, statusText) {
+            resolve({ status: status, statusText: statusText });
+        }, options || { responseType: "json", skipAssetCallback: true });
+    });
+}
+
+//Interceptors and the transport are global, remove them after each test
+function use(t, interceptors, transport) {
+    interceptors.forEach(ViewingService.addInterceptor);
+    ViewingService.setTransport(transport);
+    t.after(function () {
+        interceptors.forEach(ViewingService.removeInterceptor);
+        ViewingService.setTransport(null);
+    });
+}
+
+test('interceptors change requests before the transport sends them', async function (t) {
+    var sent = [];
+    use(t, [{
+        request: function (request, next) {
+            request.url += "?token=1";
+            next();
+        }
+    }, {
+        request: function (request, next) {
+            request.headers.Authorization = "Bearer abc";
+            next();
+        }
+    }], function (request, onSuccess, onFailure) {
+        sent.push(request);
+        onSuccess({ url: request.url });
+    });
+
+    assert.strictEqual(ViewingService.hasRequestHandlers(), true);
+    assert.deepStrictEqual(await get("http://host/model.json"), { data: { url: "http://host/model.json?token=1" } });
+
+    assert.strictEqual(sent.length, 1);
+    assert.strictEqual(sent[0].method, "GET");
+    assert.strictEqual(sent[0].responseType, "json");
+    assert.strictEqual(sent[0].attempt, 0);
+    assert.deepStrictEqual(sent[0].headers, { Authorization: "Bearer abc" });
+});
+
+test('interceptors can answer requests without sending them', async function (t) {
+    use(t, [{
+        request: function (request, next) {
+            if (/cached/.test(request.url))
+                next({ data: { cached: true } });
+            else if (/secret/.test(request.url))
+                next({ status: 403, statusText: "Forbidden" });
+            else
+                next();
+        }
+    }], function (request, onSuccess, onFailure) {
+        assert.fail("Nothing is sent");
+    });
+
+    assert.deepStrictEqual(await get("http://host/cached.json"), { data: { cached: true } });
+    assert.deepStrictEqual(await get("http://host/secret.json"), { status: 403, statusText: "Forbidden" });
+});
+
+test('the retry interceptor sends requests again after server errors only', async function (t) {
+    var attempts = { flaky: 0, down: 0, missing: 0 };
+    var failures = [];
+
+    use(t, [ViewingService.createRetryInterceptor({ retries: 2, delay: 1 }), {
+        failure: function (request, error, retry, next) {
+            failures.push(error.status);
+            next();
+        }
+    }], function (request, onSuccess, onFailure) {
+        var name = /\/(\w+)\.json/.exec(request.url)[1];
+        attempts[name]++;
+        if (name === "flaky" && request.attempt === 2)
+            onSuccess({ ok: true });
+        else
+            onFailure(name === "missing" ? 404 : 503, "Failed");
+    });
+
+    assert.deepStrictEqual(await get("http://host/flaky.json"), { data: { ok: true } });
+    assert.strictEqual(attempts.flaky, 3);
+
+    assert.deepStrictEqual(await get("http://host/down.json"), { status: 503, statusText: "Failed" });
+    assert.strictEqual(attempts.down, 3);
+
+    assert.deepStrictEqual(await get("http://host/missing.json"), { status: 404, statusText: "Failed" });
+    assert.strictEqual(attempts.missing, 1);
+
+    //Later interceptors only see the failures that were not retried
+    assert.deepStrictEqual(failures, [503, 404]);
+});
+
+test('without a transport, intercepted requests are sent with their changes', async function (t) {
+    var server = http.createServer(function (req, res) {
+        res.setHeader("Content-Type", "application/json");
+        res.end(JSON.stringify({ url: req.url, authorization: req.headers.authorization }));
+    });
+    await new Promise(function (resolve) { server.listen(0, "127.0.0.1", resolve); });
+    t.after(function () { server.close(); });
+
+    use(t, [{
+        request: function (request, next) {
+            request.url += "?v=2";
+            request.headers.Authorization = "Bearer abc";
+            next();
+        }
+    }], null);
+
+    var url = "http://127.0.0.1:" + server.address().port + "/model.json";
+    assert.deepStrictEqual(await get(url), { data: { url: "/model.json?v=2", authorization: "Bearer abc" } });
+});
+
+test('worker requests are answered with a message to the worker', async function (t) {
+    use(t, [], function (request, onSuccess, onFailure) {
+        if (/missing/.test(request.url))
+            onFailure(404, "Not Found");
+        else
+            onSuccess(new Uint8Array([0, 1, 2, 3]).subarray(1, 3));
+    });
+
+    var send = function (message) {
+        return new Promise(function (resolve) {
+            ViewingService.sendWorkerRequest({
+                postMessage: function (data, transfer) {
+                    resolve({ answer: data.workerResponse, transfer: transfer });
+                }
+            }, message);
+        });
+    };
+
+    var result = await send({ id: 7, url: "http://host/0.pf", method: "GET", responseType: "arraybuffer" });
+    assert.strictEqual(result.answer.id, 7);
+    assert.strictEqual(result.answer.status, 200);
+    assert.deepStrictEqual(Array.from(new Uint8Array(result.answer.data)), [1, 2]);
+    assert.deepStrictEqual(result.transfer, [result.answer.data]);
+
+    result = await send({ id: 8, url: "http://host/missing.pf", method: "GET", responseType: "arraybuffer" });
+    assert.deepStrictEqual(result.answer, { id: 8, status: 404, statusText: "Not Found" });
+});
+
+test('the worker setup forwards the requests of the worker to the main thread', function () {
+    var sends = 0;
+
+    //What a worker global and its XMLHttpRequest do, as far as the setup uses them
+    function Xhr() {
+        return Reflect.construct(EventTarget, [], Xhr);
+    }
+    Xhr.prototype = Object.create(EventTarget.prototype);
+    Xhr.prototype.open = function () {};
+    Xhr.prototype.send = function () { sends++; };
+    Xhr.prototype.setRequestHeader = function () {};
+    Xhr.prototype.overrideMimeType = function () {};
+
+    var scope = new EventTarget();
+    var messages = [];
+    scope.XMLHttpRequest = Xhr;
+    scope.URL = URL;
+    scope.Event = Event;
+    scope.postMessage = function (message) { messages.push(message); };
+
+    new Function("self", WorkerRequests.getWorkerSetup())(scope);
+
+    var xhr = new Xhr();
+    xhr.open("GET", "http://host/0.pf", true);
+    xhr.responseType = "arraybuffer";
+    xhr.setRequestHeader("Range", "bytes=0-9");
+    xhr.send();
+
+    assert.strictEqual(sends, 0);
+    assert.strictEqual(messages.length, 1);
+    var request = messages[0].workerRequest;
+    assert.strictEqual(request.url, "http://host/0.pf");
+    assert.strictEqual(request.method, "GET");
+    assert.strictEqual(request.responseType, "arraybuffer");
+    assert.deepStrictEqual(request.headers, { Range: "bytes=0-9" });
+
+    var events = [];
+    xhr.addEventListener("load", function () { events.push("load"); });
+
+    //The worker script does not see the answers
+    var workerMessages = 0;
+    scope.addEventListener("message", function () { workerMessages++; });
+
+    var data = new Uint8Array([5, 6]).buffer;
+    scope.dispatchEvent(new MessageEvent("message", {
+        data: { workerResponse: { id: request.id, status: 200, statusText: "OK", data: data } }
+    }));
+
+    assert.deepStrictEqual(events, ["load"]);
+    assert.strictEqual(xhr.status, 200);
+    assert.strictEqual(xhr.readyState, 4);
+    assert.strictEqual(xhr.response, data);
+    assert.strictEqual(workerMessages, 0);
+
+    //Synchronous and other requests are sent by the worker
+    var post = new Xhr();
+    post.open("POST", "http://host/log", true);
+    post.send();
+    assert.strictEqual(sends, 1);
+    assert.strictEqual(messages.length, 1);
+});
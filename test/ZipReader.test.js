@@ -0,0 +1,124 @@
+var test = require('node:test');
+var assert = require('assert');
+var zlib = require('zlib');
+var viewerModules = require('./support/viewerModules');
+
+var ZipReader = viewerModules('Core/Privite/ZipReader');
+
+//A ZIP archive of { name, text, deflate } files, as an ArrayBuffer
+function createZip(files) {
+    var locals = [], central = [], offset = 0;
+
+    files.forEach(function (file) {
+        var name = Buffer.from(file.name);
+        var data = Buffer.from(file.text || "");
+        var stored = file.deflate ? zlib.deflateRawSync(data) : data;
+
+        var local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(file.flags || 0, 6);
+        local.writeUInt16LE(file.deflate ? 8 : (file.method || 0), 8);
+        local.writeUInt32LE(stored.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+
+        var header = Buffer.alloc(46);
+        header.writeUInt32LE(0x02014b50, 0);
+        header.writeUInt16LE(file.flags || 0, 8);
+        header.writeUInt16LE(file.deflate ? 8 : (file.method || 0), 10);
+        header.writeUInt32LE(stored.length, 20);
+        header.writeUInt32LE(data.length, 24);
+        header.writeUInt16LE(name.length, 28);
+        header.writeUInt32LE(offset, 42);
+
+        locals.push(local, name, stored);
+        central.push(header, name);
+        offset += local.length + name.length + stored.length;
+    });
+
+    var directory = Buffer.concat(central);
+    var end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    var zip = Buffer.concat(locals.concat([directory, end]));
+    return zip.buffer.slice(zip.byteOffset, zip.byteOffset + zip.length);
+}
+
+function extractText(buffer, entry, callback) {
+    ZipReader.extract(buffer, entry, function (err, blob) {
+        if (err)
+            return callback(err);
+        blob.text().then(function (text) { callback(null, text); });
+    });
+}
+
+test('ZIP archives are recognized by their first header', function () {
+    assert.strictEqual(ZipReader.isZip(createZip([{ name: "a.txt", text: "a" }])), true);
+    assert.strictEqual(ZipReader.isZip(new Uint8Array([0x7b, 0x7d]).buffer), false);
+    assert.strictEqual(ZipReader.isZip(new ArrayBuffer(0)), false);
+});
+
+test('the entries are listed without the folders, with Windows separators fixed', function () {
+    var zip = createZip([
+        { name: "model/" },
+        { name: "model/0.svf", text: "svf" },
+        { name: "model\\textures\\wood.png", text: "png", deflate: true }
+    ]);
+
+    var entries = ZipReader.readEntries(zip);
+    assert.deepStrictEqual(entries.map(function (e) { return e.name; }), ["model/0.svf", "model/textures/wood.png"]);
+    assert.strictEqual(entries[0].method, 0);
+    assert.strictEqual(entries[1].method, 8);
+    assert.strictEqual(entries[1].size, 3);
+});
+
+test('stored and deflated files are extracted', function (t, done) {
+    var text = "vertex data ".repeat(100);
+    var zip = createZip([
+        { name: "stored.txt", text: "plain" },
+        { name: "deflated.txt", text: text, deflate: true }
+    ]);
+    var entries = ZipReader.readEntries(zip);
+
+    extractText(zip, entries[0], function (err, stored) {
+        assert.ifError(err);
+        assert.strictEqual(stored, "plain");
+
+        extractText(zip, entries[1], function (err, deflated) {
+            assert.ifError(err);
+            assert.strictEqual(deflated, text);
+            done();
+        });
+    });
+});
+
+test('encrypted files and other compression methods are errors', function (t, done) {
+    var zip = createZip([
+        { name: "secret.txt", text: "x", flags: 1 },
+        { name: "old.txt", text: "x", method: 6 }
+    ]);
+    var entries = ZipReader.readEntries(zip);
+
+    ZipReader.extract(zip, entries[0], function (err) {
+        assert.match(err, /Encrypted file in ZIP archive: secret\.txt/);
+
+        ZipReader.extract(zip, entries[1], function (err) {
+            assert.match(err, /Unsupported compression method 6/);
+            done();
+        });
+    });
+});
+
+test('damaged archives throw', function () {
+    assert.throws(function () { ZipReader.readEntries(new ArrayBuffer(100)); }, /Not a ZIP archive/);
+
+    //The central directory points past the end of the file
+    var zip = new Uint8Array(createZip([{ name: "a.txt", text: "a" }]));
+    var end = new DataView(zip.buffer, zip.length - 22);
+    end.setUint32(16, zip.length, true);
+    assert.throws(function () { ZipReader.readEntries(zip.buffer); }, /Damaged ZIP archive/);
+});
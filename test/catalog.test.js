@@ -0,0 +1,84 @@
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var catalog = require('../server/catalog');
+
+var root = fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-'));
+test.after(function () { fs.rmSync(root, { recursive: true, force: true }); });
+
+//File name relative to the models directory, and size
+function write(file, size) {
+    var full = path.join(root, file);
+    fs.mkdirSync(path.dirname(full), { recursive: true });
+    fs.writeFileSync(full, Buffer.alloc(size));
+}
+
+write('top level.svf', 10);
+write('thumbnail.png', 1);
+write('house/thumbnail.jpg', 2);
+write('house/output/1/house.svf', 100);
+write('house/output/1/0.pf', 1000);
+write('twin/a/a.svf', 20);
+write('twin/b/b.svf', 30);
+write('twin/b/thumbnail-large.PNG', 3);
+write('notes.txt', 5);
+
+test('each SVF is a model, named after its folder or its file', function (t, done) {
+    catalog.scan(root, '/model', function (error, models) {
+        assert.ifError(error);
+
+        assert.deepStrictEqual(models.map(function (model) {
+            return [model.id, model.name, model.url, model.size, model.thumbnail];
+        }), [
+            //A folder with a single model is the model, with all its files
+            ['house/output/1/house.svf', 'house', '/model/house/output/1/house.svf', 1102, '/model/house/thumbnail.jpg'],
+            ['top level.svf', 'top level', '/model/top%20level.svf', 10, '/model/thumbnail.png'],
+            //The thumbnails of other models are not looked for above their folder
+            ['twin/a/a.svf', 'twin - a', '/model/twin/a/a.svf', 53, null],
+            ['twin/b/b.svf', 'twin - b', '/model/twin/b/b.svf', 53, '/model/twin/b/thumbnail-large.PNG']
+        ]);
+
+        assert.ok(!isNaN(Date.parse(models[0].modified)));
+        done();
+    });
+});
+
+test('a missing models directory is an error', function (t, done) {
+    catalog.scan(path.join(root, 'none'), '/model', function (error, models) {
+        assert.strictEqual(error.code, 'ENOENT');
+        assert.strictEqual(models, undefined);
+        done();
+    });
+});
+
+test('only SVF files inside the models directory are models', function (t, done) {
+    var ids = {
+        'twin/a/a.svf': true,
+        'house/output/1/house.svf': true,
+        'twin/a': false,
+        'twin/c/c.svf': false,
+        'notes.txt': false,
+        '../catalog/x.svf': false,
+        'twin/./a/a.svf': false,
+        'twin\\a\\a.svf': false,
+        '/twin/a/a.svf': false,
+        '': false
+    };
+    var pending = Object.keys(ids).length + 1;
+
+    function check(id, expected) {
+        catalog.has(root, id, function (error, has) {
+            assert.ifError(error);
+            assert.strictEqual(has, expected, id);
+            if (--pending === 0)
+                done();
+        });
+    }
+
+    for (var id in ids)
+        check(id, ids[id]);
+    check(null, false);
+});
@@ -0,0 +1,26 @@
+var test = require('node:test');
+var assert = require('assert');
+var viewerModules = require('./support/viewerModules');
+
+var convertQuantity = viewerModules('Core/Privite/Fn/convertQuantity');
+
+function close(actual, expected) {
+    assert.ok(Math.abs(actual - expected) <= 1e-9 * Math.abs(expected), actual + " is not " + expected);
+}
+
+test('lengths, areas and volumes are converted', function () {
+    close(convertQuantity(1, "ft", "mm"), 304.8);
+    close(convertQuantity(1, "ft-and-fractional-in", "in"), 12);
+    close(convertQuantity(10000, "cm^2", "m^2"), 1);
+    close(convertQuantity(1, "m^3", "ft^3"), 35.31466672148859);
+});
+
+test('unknown units and different kinds of quantities do not convert', function () {
+    assert.ok(isNaN(convertQuantity(1, "acres", "m^2")));
+    assert.ok(isNaN(convertQuantity(1, "m^2", "")));
+    assert.ok(isNaN(convertQuantity(1, "m", "m^2")));
+    assert.ok(isNaN(convertQuantity(1, "toString", "m")));
+
+    //Except to the very same units
+    assert.strictEqual(convertQuantity(3, "acres", "acres"), 3);
+});
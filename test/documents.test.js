@@ -0,0 +1,195 @@
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var http = require('http');
+var net = require('net');
+var childProcess = require('child_process');
+var express = require('express');
+
+var documents = require('../server/documents');
+var catalog = require('../server/catalog');
+
+var MODEL = 'house/output/1/house.svf';
+
+var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'documents-'));
+var modelsDir = path.join(dir, 'model');
+var dataDir = path.join(dir, 'data');
+fs.mkdirSync(path.join(modelsDir, 'house/output/1'), { recursive: true });
+fs.writeFileSync(path.join(modelsDir, MODEL), '');
+
+var app = express();
+app.use('/api/models', documents(dataDir, {
+    hasModel: function (id, callback) {
+        catalog.has(modelsDir, id, callback);
+    }
+}));
+var server = http.createServer(app);
+
+test.before(function (t, done) { server.listen(0, '127.0.0.1', done); });
+test.after(function () {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function request(port, method, url, body, callback) {
+    var req = http.request({
+        host: '127.0.0.1',
+        port: port,
+        method: method,
+        path: url,
+        headers: body !== undefined ? { 'Content-Type': 'application/json' } : {}
+    }, function (res) {
+        var text = '';
+        res.setEncoding('utf8');
+        res.on('data', function (chunk) { text += chunk; });
+        res.on('end', function () {
+            res.body = text && /json/.test(res.headers['content-type']) ? JSON.parse(text) : text;
+            callback(res);
+        });
+    });
+    req.end(body !== undefined ? (typeof body === 'string' ? body : JSON.stringify(body)) : undefined);
+}
+
+function api(method, url, body, callback) {
+    request(server.address().port, method, '/api/models/' + encodeURIComponent(MODEL) + '/documents' + url, body, callback);
+}
+
+test('documents are created, listed, changed and deleted', function (t, done) {
+    var state = { viewport: { eye: [0, 0, 10] } };
+
+    api('POST', '', { type: 'view', name: ' Entrance ', data: { state: state } }, function (res) {
+        assert.strictEqual(res.statusCode, 201);
+        var doc = res.body;
+        assert.match(doc.id, /^[0-9a-f]{16}$/);
+        assert.strictEqual(doc.model, MODEL);
+        assert.strictEqual(doc.name, 'Entrance');
+        assert.deepStrictEqual(doc.data, { state: state });
+        assert.strictEqual(doc.created, doc.modified);
+        assert.strictEqual(res.headers['location'], '/api/models/' + encodeURIComponent(MODEL) + '/documents/' + doc.id);
+
+        //The model id is one folder, whatever its slashes and dots
+        assert.ok(fs.existsSync(path.join(dataDir, 'house%2Foutput%2F1%2Fhouse%2Esvf', doc.id + '.json')));
+
+        api('POST', '', { type: 'markup', name: 'Cracks', data: { svg: '<svg/>' } }, function (res) {
+            assert.strictEqual(res.statusCode, 201);
+            var markup = res.body;
+
+            api('GET', '', undefined, function (res) {
+                assert.strictEqual(res.statusCode, 200);
+                assert.deepStrictEqual(res.body.documents.map(function (d) { return d.name; }), ['Entrance', 'Cracks']);
+                assert.strictEqual(res.body.documents[0].data, undefined);
+
+                api('GET', '?type=markup', undefined, function (res) {
+                    assert.deepStrictEqual(res.body.documents.map(function (d) { return d.id; }), [markup.id]);
+
+                    api('PUT', '/' + doc.id, { name: 'Main entrance' }, function (res) {
+                        assert.strictEqual(res.statusCode, 200);
+                        assert.strictEqual(res.body.name, 'Main entrance');
+                        assert.deepStrictEqual(res.body.data, { state: state });
+                        assert.strictEqual(res.body.created, doc.created);
+
+                        api('DELETE', '/' + doc.id, undefined, function (res) {
+                            assert.strictEqual(res.statusCode, 204);
+
+                            api('GET', '/' + doc.id, undefined, function (res) {
+                                assert.strictEqual(res.statusCode, 404);
+
+                                api('GET', '/' + markup.id, undefined, function (res) {
+                                    assert.strictEqual(res.statusCode, 200);
+                                    assert.deepStrictEqual(res.body.data, { svg: '<svg/>' });
+                                    done();
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+});
+
+test('invalid documents are rejected', function (t, done) {
+    var cases = [
+        { method: 'POST', url: '', body: { type: 'note', name: 'A', data: {} }, error: /^type must be one of view, markup, annotation$/ },
+        { method: 'POST', url: '', body: { type: 'view', name: '  ', data: {} }, error: /^name must be/ },
+        { method: 'POST', url: '', body: { type: 'view', name: 'A' }, error: /^data is missing$/ },
+        { method: 'POST', url: '', body: [], error: /^A JSON object is expected$/ },
+        { method: 'POST', url: '', body: '{', status: 400 },
+        { method: 'PUT', url: '/0123456789abcdef', body: { type: 'note' }, error: /^type must be/ },
+        { method: 'PUT', url: '/0123456789abcdef', body: { name: 'A' }, status: 404 },
+        { method: 'GET', url: '/..%2F..%2Fsecret', status: 404 },
+        { method: 'DELETE', url: '/0123456789abcdef', status: 404 }
+    ];
+
+    (function next(i) {
+        if (i === cases.length)
+            return done();
+
+        var c = cases[i];
+        api(c.method, c.url, c.body, function (res) {
+            assert.strictEqual(res.statusCode, c.status || 400, c.method + ' ' + c.url);
+            if (c.error)
+                assert.match(res.body.error, c.error);
+            next(i + 1);
+        });
+    })(0);
+});
+
+test('models that are not in the catalog have no documents', function (t, done) {
+    var port = server.address().port;
+
+    request(port, 'POST', '/api/models/' + encodeURIComponent('house/other.svf') + '/documents', { type: 'view', name: 'A', data: {} }, function (res) {
+        assert.strictEqual(res.statusCode, 404);
+        assert.deepStrictEqual(res.body, { error: 'No such model' });
+
+        request(port, 'GET', '/api/models/' + encodeURIComponent('../model/house/output/1/house.svf') + '/documents', undefined, function (res) {
+            assert.strictEqual(res.statusCode, 404);
+            assert.deepStrictEqual(fs.readdirSync(dataDir), ['house%2Foutput%2F1%2Fhouse%2Esvf']);
+            done();
+        });
+    });
+});
+
+//A port nobody listens on
+function freePort(callback) {
+    var probe = net.createServer();
+    probe.listen(0, '127.0.0.1', function () {
+        var port = probe.address().port;
+        probe.close(function () { callback(port); });
+    });
+}
+
+test('the server does not serve the stored documents as static files', function (t, done) {
+    var doc = JSON.stringify({ id: '0123456789abcdef', name: 'Private' });
+    fs.mkdirSync(path.join(dir, 'data/house%2Eb'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'data/house%2Eb/0123456789abcdef.json'), doc);
+    fs.writeFileSync(path.join(dir, 'index.html'), 'viewer');
+
+    freePort(function (port) {
+        //Serves its working directory, with the models and the documents inside
+        var child = childProcess.spawn(process.execPath, [path.resolve(__dirname, '../server.js')], {
+            cwd: dir,
+            env: Object.assign({}, process.env, { PORT: port }),
+            stdio: ['ignore', 'pipe', 'inherit']
+        });
+        t.after(function () { child.kill(); });
+
+        child.stdout.once('data', function () {
+            request(port, 'GET', '/index.html', undefined, function (res) {
+                assert.strictEqual(res.body, 'viewer');
+
+                request(port, 'GET', '/data/house%252Eb/0123456789abcdef.json', undefined, function (res) {
+                    assert.strictEqual(res.statusCode, 404);
+                    assert.notStrictEqual(res.body, doc);
+
+                    request(port, 'GET', '/api/models', undefined, function (res) {
+                        assert.deepStrictEqual(res.body.models.map(function (m) { return m.id; }), [MODEL]);
+                        done();
+                    });
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,55 @@
+var test = require('node:test');
+var assert = require('assert');
+var http = require('http');
+var viewerModules = require('./support/viewerModules');
+
+//Set up by the viewer's polyfills in the browser
+global.ENABLE_INLINE_WORKER = true;
+global.LMV_WORKER_URL = "lmvworker.js";
+global.LMV_RESOURCE_VERSION = null;
+
+var initWorkerScript = viewerModules('Worker/initWorkerScript');
+var Logger = viewerModules('Core/Logger');
+
+test('a failed worker script download is reported to every caller, and the next call tries again', function (t, done) {
+    var requests = 0;
+    var server = http.createServer(function (req, res) {
+        requests++;
+        res.statusCode = 404;
+        res.end();
+    });
+
+    //The failure is logged
+    var error = Logger.error;
+    Logger.error = function () {};
+    t.after(function () {
+        Logger.error = error;
+        server.close();
+    });
+
+    server.listen(0, "127.0.0.1", function () {
+        global.LMV_RESOURCE_ROOT = "http://127.0.0.1:" + server.address().port + "/";
+
+        var failures = [];
+        var onSuccess = function () {
+            assert.fail("The worker script must not load");
+        };
+        var onError = function (status) {
+            failures.push(status);
+            if (failures.length < 2)
+                return;
+
+            assert.deepStrictEqual(failures, [404, 404]);
+            assert.strictEqual(requests, 1);
+
+            initWorkerScript(onSuccess, function (status) {
+                assert.strictEqual(status, 404);
+                assert.strictEqual(requests, 2);
+                done();
+            });
+        };
+
+        initWorkerScript(onSuccess, onError);
+        initWorkerScript(onSuccess, onError);
+    });
+});
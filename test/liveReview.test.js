@@ -0,0 +1,168 @@
+var test = require('node:test');
+var assert = require('assert');
+var http = require('http');
+var ioClient = require('socket.io-client');
+var viewerModules = require('./support/viewerModules');
+
+var liveReview = require('../server/liveReview');
+
+//What MessageClient uses of the browser and of the viewer
+global.window = { WebSocket: function () {} };
+global.io = ioClient;
+global.Autodesk = { Viewing: { i18n: { translate: function (text) { return text; } } } };
+
+var MessageClient = viewerModules('Core/Privite/MessageClient');
+var Logger = viewerModules('Core/Logger');
+
+//MessageClient logs what it receives
+Logger.log = Logger.info = function () {};
+
+var server = http.createServer();
+var relay = liveReview(server, { path: '/review' });
+
+test.before(function (t, done) { server.listen(0, '127.0.0.1', done); });
+test.after(function () {
+    relay.close();
+    server.close();
+});
+
+function serverUrl() {
+    return 'http://127.0.0.1:' + server.address().port;
+}
+
+//A socket that records its messages. Calls back once it has its session id.
+function connect(t, callback) {
+    var socket = ioClient.connect(serverUrl(), { path: '/review', forceNew: true, transports: ['websocket'] });
+    socket.messages = [];
+    socket.on('message', function (msg) {
+        socket.messages.push(msg);
+        if (msg.type === 'sessionId')
+            callback(socket);
+        if (socket.waiting && socket.waiting.type === msg.type) {
+            var waiting = socket.waiting;
+            socket.waiting = null;
+            waiting.callback(msg);
+        }
+    });
+    t.after(function () { socket.disconnect(); });
+}
+
+function waitFor(socket, type, callback) {
+    socket.waiting = { type: type, callback: callback };
+}
+
+test('users of a channel see each other join, talk and leave', function (t, done) {
+    connect(t, function (alice) {
+        connect(t, function (bob) {
+            assert.notStrictEqual(alice.id, bob.id);
+            assert.deepStrictEqual(alice.messages, [{ type: 'sessionId', id: alice.id }]);
+
+            alice.emit('join', { roomId: 'house', name: 'Alice' });
+            waitFor(alice, 'joinok', function (msg) {
+                assert.deepStrictEqual(msg, { type: 'joinok', roomId: 'house', users: [] });
+
+                bob.emit('join', { roomId: 'house', name: 'Bob' });
+                waitFor(alice, 'joined', function (msg) {
+                    assert.deepStrictEqual(msg.user, { id: bob.id, name: 'Bob', status: 0 });
+                    assert.deepStrictEqual(bob.messages[1].users, [{ id: alice.id, name: 'Alice', status: 0 }]);
+
+                    //The sender does not get its own messages, and cannot pretend to be someone else
+                    bob.emit('message', { type: 'camera', roomId: 'house', from: alice.id, msg: { eye: [1, 2, 3] } });
+                    waitFor(alice, 'camera', function (msg) {
+                        assert.deepStrictEqual(msg, { type: 'camera', from: bob.id, msg: { eye: [1, 2, 3] }, roomId: 'house' });
+                        assert.ok(bob.messages.every(function (m) { return m.type !== 'camera'; }));
+
+                        var bobId = bob.id;
+                        bob.disconnect();
+                        waitFor(alice, 'left', function (msg) {
+                            assert.deepStrictEqual(msg, { type: 'left', roomId: 'house', room: 'house', user: bobId });
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+    });
+});
+
+test('private messages, renames and invalid joins', function (t, done) {
+    connect(t, function (alice) {
+        connect(t, function (bob) {
+            alice.emit('join', {});
+            waitFor(alice, 'join_error', function (msg) {
+                assert.strictEqual(msg.msg, 'A roomId is required');
+
+                alice.emit('message', { type: 'private', target: bob.id, msg: 'psst' });
+                waitFor(bob, 'private', function (msg) {
+                    assert.deepStrictEqual(msg, { type: 'private', from: alice.id, msg: 'psst' });
+
+                    alice.emit('join', { roomId: 'office', name: 'alice' });
+                    waitFor(alice, 'joinok', function () {
+                        alice.emit('message', { type: 'txt', roomId: 'office', msg: '/nick Alice' });
+
+                        //Joining again only answers, after the rename is done
+                        alice.emit('join', { roomId: 'office', name: 'ignored' });
+                        waitFor(alice, 'joinok', function (msg) {
+                            assert.deepStrictEqual(msg.users, []);
+
+                            //Renamed for whoever joins next
+                            bob.emit('join', { roomId: 'office' });
+                            waitFor(bob, 'joinok', function (msg) {
+                                assert.deepStrictEqual(msg.users, [{ id: alice.id, name: 'Alice', status: 0 }]);
+                                done();
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+});
+
+test('the relay serves the socket.io client script', function (t, done) {
+    http.get(serverUrl() + '/review/socket.io.js', function (res) {
+        assert.strictEqual(res.statusCode, 200);
+        res.resume();
+        res.on('end', done);
+    });
+});
+
+test('message clients of the viewer review through the relay', function (t, done) {
+    var alice = new MessageClient(serverUrl(), '/review');
+    var bob = new MessageClient(serverUrl(), '/review');
+    t.after(function () {
+        alice.disconnect();
+        bob.disconnect();
+    });
+
+    //Joins wait for the connection
+    alice.connect('review');
+    alice.join('house');
+
+    alice.addEventListener('userListChange', function onJoined(e) {
+        if (e.data.type !== 'joinok')
+            return;
+        alice.removeEventListener('userListChange', onJoined);
+
+        bob.connect('review');
+        bob.join('house');
+        bob.addEventListener('userListChange', function onBobJoined(e) {
+            if (e.data.type !== 'joinok')
+                return;
+            bob.removeEventListener('userListChange', onBobJoined);
+
+            var users = bob.getChannelInfo('house').users;
+            assert.deepStrictEqual(users.map(function (user) { return user.id; }), [alice.getLocalId(), bob.getLocalId()]);
+            assert.strictEqual(users[1].isSelf, true);
+
+            bob.sendMessage('camera', { eye: [0, 0, 10] }, 'house');
+        });
+    });
+
+    alice.addEventListener('cameraChange', function (e) {
+        assert.strictEqual(e.channelId, 'house');
+        assert.strictEqual(e.data.from, bob.getLocalId());
+        assert.deepStrictEqual(e.data.msg, { eye: [0, 0, 10] });
+        done();
+    });
+});
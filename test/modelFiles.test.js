@@ -0,0 +1,121 @@
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var http = require('http');
+var zlib = require('zlib');
+var express = require('express');
+
+var modelFiles = require('../server/modelFiles');
+
+var root = fs.mkdtempSync(path.join(os.tmpdir(), 'model-files-'));
+var PACK = Buffer.from('0123456789');
+var PROPERTIES = JSON.stringify({ attrs: [] });
+
+fs.mkdirSync(path.join(root, 'house'));
+fs.writeFileSync(path.join(root, 'house/0.pf'), PACK);
+fs.writeFileSync(path.join(root, 'house/0.pf.gz'), zlib.gzipSync(PACK));
+fs.writeFileSync(path.join(root, 'house/1.pf'), PACK);
+fs.writeFileSync(path.join(root, 'house/objects_attrs.json.gz'), zlib.gzipSync(PROPERTIES));
+fs.writeFileSync(path.join(root, 'secret.txt'), 'secret');
+
+var app = express();
+app.use('/model', modelFiles(path.join(root, 'house'), { maxAge: 60000 }));
+var server = http.createServer(app);
+
+test.before(function (t, done) { server.listen(0, '127.0.0.1', done); });
+test.after(function () {
+    server.close();
+    fs.rmSync(root, { recursive: true, force: true });
+});
+
+//The body is left as it was sent, compressed or not
+function request(method, url, headers, callback) {
+    var req = http.request({
+        host: '127.0.0.1',
+        port: server.address().port,
+        method: method,
+        path: url,
+        headers: headers
+    }, function (res) {
+        var chunks = [];
+        res.on('data', function (chunk) { chunks.push(chunk); });
+        res.on('end', function () {
+            res.body = Buffer.concat(chunks);
+            callback(res);
+        });
+    });
+    req.end();
+}
+
+test('pre-compressed files are sent to clients that accept gzip', function (t, done) {
+    request('GET', '/model/0.pf?v=1', { 'Accept-Encoding': 'gzip, deflate' }, function (res) {
+        assert.strictEqual(res.statusCode, 200);
+        assert.strictEqual(res.headers['content-encoding'], 'gzip');
+        assert.strictEqual(res.headers['vary'], 'Accept-Encoding');
+        assert.deepStrictEqual(zlib.gunzipSync(res.body), PACK);
+
+        request('GET', '/model/0.pf', { 'Accept-Encoding': 'identity' }, function (res) {
+            assert.strictEqual(res.statusCode, 200);
+            assert.strictEqual(res.headers['content-encoding'], undefined);
+            assert.deepStrictEqual(res.body, PACK);
+
+            //Without a compressed copy
+            request('GET', '/model/1.pf', { 'Accept-Encoding': 'gzip' }, function (res) {
+                assert.strictEqual(res.headers['content-encoding'], undefined);
+                assert.deepStrictEqual(res.body, PACK);
+                done();
+            });
+        });
+    });
+});
+
+test('ranges are cut from the uncompressed file', function (t, done) {
+    request('GET', '/model/0.pf', { 'Accept-Encoding': 'gzip', 'Range': 'bytes=2-5' }, function (res) {
+        assert.strictEqual(res.statusCode, 206);
+        assert.strictEqual(res.headers['content-encoding'], undefined);
+        assert.strictEqual(res.headers['content-range'], 'bytes 2-5/10');
+        assert.strictEqual(res.body.toString(), '2345');
+        done();
+    });
+});
+
+test('gzipped files are sent with their encoding and the type of their contents', function (t, done) {
+    request('GET', '/model/objects_attrs.json.gz', {}, function (res) {
+        assert.strictEqual(res.statusCode, 200);
+        assert.strictEqual(res.headers['content-encoding'], 'gzip');
+        assert.match(res.headers['content-type'], /^application\/json/);
+        assert.strictEqual(zlib.gunzipSync(res.body).toString(), PROPERTIES);
+        done();
+    });
+});
+
+test('unchanged files are not sent again', function (t, done) {
+    request('GET', '/model/1.pf', {}, function (res) {
+        assert.strictEqual(res.headers['cache-control'], 'public, max-age=60');
+        assert.ok(res.headers['last-modified']);
+
+        request('GET', '/model/1.pf', { 'If-None-Match': res.headers['etag'] }, function (res) {
+            assert.strictEqual(res.statusCode, 304);
+            assert.strictEqual(res.body.length, 0);
+            done();
+        });
+    });
+});
+
+test('only files inside the models directory are served, and only for reading', function (t, done) {
+    request('GET', '/model/..%2fsecret.txt', {}, function (res) {
+        assert.strictEqual(res.statusCode, 404);
+        assert.notStrictEqual(res.body.toString(), 'secret');
+
+        request('GET', '/model/%E0%A4%A.pf', {}, function (res) {
+            assert.strictEqual(res.statusCode, 404);
+
+            request('POST', '/model/1.pf', {}, function (res) {
+                assert.strictEqual(res.statusCode, 404);
+                done();
+            });
+        });
+    });
+});
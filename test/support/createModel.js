@@ -0,0 +1,55 @@
+/*
+ * Turns a package ("svf") from a loader or a PackageBuilder into a RenderModel, the way
+ * FileLoaderBase does, for the tests that need a loaded model. There is no viewer, so the
+ * fragments get a gray Phong material instead of the converted materials.
+ */
+var viewerModules = require('./viewerModules');
+
+var RenderModel = viewerModules('Core/Privite/RenderModel');
+var LocalPropDbLoader = viewerModules('Core/Privite/LocalPropDbLoader');
+var BufferGeometryUtils = viewerModules('Core/Privite/BufferGeometryUtils');
+var EventDispatcher = viewerModules('Core/EventDispatcher');
+
+/**
+ * @param {Object} svf - package, see PackageBuilder.build
+ * @returns {RenderModel} the model, with its geometry, property database and instance tree
+ */
+module.exports = function (svf) {
+    var model = new RenderModel(svf);
+    model.initialize(null);
+
+    var material = new THREE.MeshPhongMaterial({ color: 0x808080 });
+    var fragments = svf.fragments;
+    var matrix = new THREE.Matrix4();
+
+    for (var meshIndex = 0; meshIndex < svf.meshes.length; meshIndex++) {
+        var fragIds = fragments.mesh2frag[meshIndex];
+        if (fragIds === undefined)
+            continue;
+        if (!Array.isArray(fragIds))
+            fragIds = [fragIds];
+
+        var mdata = { mesh: svf.meshes[meshIndex], is2d: svf.is2d };
+        BufferGeometryUtils.meshToGeometry(mdata);
+        model.getGeometryList().addGeometry(mdata.geometry, fragIds.length);
+
+        for (var i = 0; i < fragIds.length; i++) {
+            model.getFragmentList().getOriginalWorldMatrix(fragIds[i], matrix);
+            model.activateFragment(fragIds[i], {
+                geometry: mdata.geometry,
+                matrix: matrix,
+                material: material,
+                isLine: mdata.geometry.isLines,
+                is2d: mdata.geometry.is2d
+            }, false);
+        }
+    }
+
+    //The instance tree is built right away, instead of after a timeout
+    var events = {};
+    EventDispatcher.prototype.apply(events);
+    svf.propWorker = new LocalPropDbLoader(model, events);
+    svf.propWorker.processLoadResult();
+
+    return model;
+};
@@ -0,0 +1,21 @@
+/*
+ * Loads modules of the viewer in the tests. They are AMD modules, loaded with RequireJS.
+ * three.js is a global in the browser, so it is one here too.
+ */
+var path = require('path');
+var requirejs = require('requirejs');
+
+global.THREE = require('three');
+
+requirejs.config({
+    baseUrl: path.resolve(__dirname, '../../src'),
+    nodeRequire: require
+});
+
+/**
+ * @param {string} id - module id relative to src, e.g. 'Core/Privite/GltfLoader'
+ * @returns {*} the module
+ */
+module.exports = function (id) {
+    return requirejs(id);
+};
@@ -0,0 +1,265 @@
+/*
+ * Writes an SVF bundle to a folder, for the tests of the command line tools, which read
+ * models from disk with the worker script. The bundle has a fragment list, a property
+ * database and materials, but no meshes.
+ */
+var fs = require('fs');
+var path = require('path');
+var zlib = require('zlib');
+
+//Property database attributes: name, category, type, units, description, display name, flags
+var ATTRIBUTE_NAME = ["name", "__name__", 20, "", "", "", 0];
+var ATTRIBUTE_CHILD = ["child", "__child__", 11, "", "", "", 0];
+var ATTRIBUTE_PARENT = ["parent", "__parent__", 11, "", "", "", 0];
+var FLAG_HIDDEN = 1;
+
+//Writes a pack file, see PackFileReader in the worker script
+function PackWriter(type) {
+    this.type = type;
+    this.chunks = [];
+    this.offset = 0;
+    this.entries = [];
+
+    var name = Buffer.from(type);
+    var header = Buffer.alloc(8 + name.length);
+    header.writeInt32LE(name.length, 0);
+    name.copy(header, 4);
+    header.writeInt32LE(1, 4 + name.length);
+    this.write(header);
+}
+
+PackWriter.prototype.write = function (buffer) {
+    this.chunks.push(buffer);
+    this.offset += buffer.length;
+};
+
+PackWriter.prototype.u32 = function (value) {
+    var buffer = Buffer.alloc(4);
+    buffer.writeUInt32LE(value);
+    this.write(buffer);
+};
+
+PackWriter.prototype.varint = function (value) {
+    var bytes = [];
+    do {
+        var byte = value & 0x7f;
+        value >>>= 7;
+        bytes.push(value ? byte | 0x80 : byte);
+    } while (value);
+    this.write(Buffer.from(bytes));
+};
+
+PackWriter.prototype.string = function (text) {
+    var buffer = Buffer.from(text);
+    this.varint(buffer.length);
+    this.write(buffer);
+};
+
+PackWriter.prototype.floats = function (values) {
+    var buffer = Buffer.alloc(4 * values.length);
+    values.forEach(function (value, i) { buffer.writeFloatLE(value, 4 * i); });
+    this.write(buffer);
+};
+
+//Starts an entry of the only type of the file
+PackWriter.prototype.entry = function () {
+    this.entries.push(this.offset);
+    this.u32(0);
+};
+
+//Adds the type and the table of contents
+PackWriter.prototype.end = function (entryType, version) {
+    var typesOffset = this.offset;
+    this.varint(1);
+    this.string(this.type);
+    this.string(entryType);
+    this.varint(version);
+
+    var tocOffset = this.offset;
+    this.varint(this.entries.length);
+    this.entries.forEach(function (offset) { this.u32(offset); }, this);
+
+    this.u32(tocOffset);
+    this.u32(typesOffset);
+    return Buffer.concat(this.chunks);
+};
+
+//Fragments are { dbId, box: [minx, miny, minz, maxx, maxy, maxz], pack, entity }
+function writeFragmentList(fragments) {
+    var writer = new PackWriter("Autodesk.CloudPlatform.FragmentList");
+
+    fragments.forEach(function (frag) {
+        writer.entry();
+        writer.varint(frag.material || 0);
+        writer.string(String(frag.pack || 0));
+        writer.varint(frag.entity || 0);
+        writer.write(Buffer.from([4])); //identity transform
+        writer.floats(frag.box);
+        writer.varint(frag.dbId);
+    });
+
+    return writer.end("Autodesk.CloudPlatform.FragmentList", 2);
+}
+
+//Objects are { name, parent, externalId, properties }, their dbIds start at 1.
+//Properties are { name, category, value, units, hidden }.
+function writePropertyDb(objects) {
+    var attrs = [0, ATTRIBUTE_NAME, ATTRIBUTE_CHILD, ATTRIBUTE_PARENT];
+    var vals = [""];
+    var avs = [];
+    var offs = [0];
+    var ids = [""];
+
+    function attribute(prop) {
+        for (var i = 4; i < attrs.length; i++) {
+            if (attrs[i][0] === prop.name && attrs[i][1] === prop.category)
+                return i;
+        }
+        var type = typeof prop.value === "number" ? 3 : 20;
+        attrs.push([prop.name, prop.category, type, prop.units || "", "", prop.name, prop.hidden ? FLAG_HIDDEN : 0]);
+        return attrs.length - 1;
+    }
+
+    function value(v) {
+        var index = vals.indexOf(v);
+        if (index === -1) {
+            vals.push(v);
+            index = vals.length - 1;
+        }
+        return index;
+    }
+
+    objects.forEach(function (object, i) {
+        var dbId = i + 1;
+        offs.push(avs.length / 2);
+        ids.push(object.externalId || "");
+
+        avs.push(1, value(object.name));
+        if (object.parent)
+            avs.push(3, value(object.parent));
+        objects.forEach(function (child, j) {
+            if (child.parent === dbId)
+                avs.push(2, value(j + 1));
+        });
+        (object.properties || []).forEach(function (prop) {
+            avs.push(attribute(prop), value(prop.value));
+        });
+    });
+
+    function gz(data) {
+        return zlib.gzipSync(JSON.stringify(data));
+    }
+
+    //Values and ids are parsed one line per entry
+    function gzLines(data) {
+        return zlib.gzipSync("[" + data.map(function (v) { return JSON.stringify(v); }).join(",\n") + "]");
+    }
+
+    return {
+        "objects_attrs.json.gz": gz(attrs),
+        "objects_vals.json.gz": gzLines(vals),
+        "objects_avs.json.gz": gz(avs),
+        "objects_offs.json.gz": gz(offs),
+        "objects_ids.json.gz": gzLines(ids)
+    };
+}
+
+//A ZIP archive of stored files, by name
+function createZip(files) {
+    var locals = [], central = [], offset = 0;
+
+    Object.keys(files).forEach(function (fileName) {
+        var name = Buffer.from(fileName);
+        var data = Buffer.from(files[fileName]);
+        var crc = zlib.crc32(data);
+
+        var local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(10, 4);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+
+        var header = Buffer.alloc(46);
+        header.writeUInt32LE(0x02014b50, 0);
+        header.writeUInt16LE(10, 4);
+        header.writeUInt16LE(10, 6);
+        header.writeUInt32LE(crc, 16);
+        header.writeUInt32LE(data.length, 20);
+        header.writeUInt32LE(data.length, 24);
+        header.writeUInt16LE(name.length, 28);
+        header.writeUInt32LE(offset, 42);
+
+        locals.push(local, name, data);
+        central.push(header, name);
+        offset += local.length + name.length + data.length;
+    });
+
+    var directory = Buffer.concat(central);
+    var end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(central.length / 2, 8);
+    end.writeUInt16LE(central.length / 2, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat(locals.concat([directory, end]));
+}
+
+/**
+ * @param {string} dir - folder of the bundle, created if needed
+ * @param {Object} model
+ * @param {Object[]} model.objects - { name, parent, externalId, properties }, see writePropertyDb
+ * @param {Object[]} [model.fragments] - { dbId, box }, see writeFragmentList
+ * @param {Object[]} [model.packs] - geometry packs { uri, missing }. They are written without meshes,
+ * unless they are missing.
+ * @param {Object} [model.materials] - contents of Materials.json.gz
+ * @param {Object} [model.metadata] - contents of metadata.json
+ * @param {Object} [model.files] - other files of the bundle, like textures, by path
+ * @returns {string} the path of the .svf
+ */
+module.exports = function (dir, model) {
+    fs.mkdirSync(dir, { recursive: true });
+
+    var assets = [{ id: "FragmentList.pack", type: "Autodesk.CloudPlatform.FragmentList", URI: "embed:/FragmentList.pack" }];
+    var embedded = { "FragmentList.pack": writeFragmentList(model.fragments || []) };
+    var typesets = [];
+
+    var propertyDb = writePropertyDb(model.objects);
+    var types = { "objects_attrs": "Attributes", "objects_avs": "AVs", "objects_ids": "IDs", "objects_offs": "Offsets", "objects_vals": "Values" };
+    Object.keys(propertyDb).forEach(function (file) {
+        fs.writeFileSync(path.join(dir, file), propertyDb[file]);
+        var type = types[file.split(".")[0]];
+        assets.push({ id: type, type: "Autodesk.CloudPlatform.Property" + type, URI: file });
+    });
+
+    if (model.packs) {
+        typesets.push({ id: "0", types: [{ "class": "Autodesk.CloudPlatform.Geometry", type: "Autodesk.CloudPlatform.OpenCTM", version: 1 }] });
+        model.packs.forEach(function (pack) {
+            assets.push({ id: pack.uri, type: "Autodesk.CloudPlatform.PackFile", typeset: "0", URI: pack.uri });
+            if (!pack.missing)
+                fs.writeFileSync(path.join(dir, pack.uri), new PackWriter("Autodesk.CloudPlatform.PackFile").end("Autodesk.CloudPlatform.OpenCTM", 1));
+        });
+    }
+
+    if (model.materials) {
+        assets.push({ id: "Materials.json.gz", type: "Autodesk.CloudPlatform.ProteinMaterials", URI: "embed:/Materials.json.gz" });
+        //Embedded files are read as they are
+        embedded["Materials.json.gz"] = JSON.stringify(model.materials);
+    }
+
+    for (var file in model.files) {
+        fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+        fs.writeFileSync(path.join(dir, file), model.files[file]);
+    }
+
+    embedded["manifest.json"] = JSON.stringify({ name: "LMV Manifest", manifestversion: 2, typesets: typesets, assets: assets });
+    embedded["metadata.json"] = JSON.stringify(model.metadata || {
+        metadata: { "world bounding box": { minXYZ: [0, 0, 0], maxXYZ: [1, 1, 1] } }
+    });
+
+    var svf = path.join(dir, "0.svf");
+    fs.writeFileSync(svf, createZip(embedded));
+    return svf;
+};